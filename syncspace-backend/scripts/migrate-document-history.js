@@ -0,0 +1,74 @@
+/**
+ * Migration: delta-compressed document history
+ *
+ * Moves the full-content copies in Document.versionHistory into
+ * DocumentVersion (as diffs, with periodic snapshots) and removes the old
+ * array. Documents that already have DocumentVersion history only lose the
+ * array. Safe to run more than once.
+ *
+ * Usage: npm run migrate:document-history [-- --dry-run]
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const connectDatabase = require('../src/config/database');
+const Document = require('../src/models/Document');
+const DocumentVersion = require('../src/models/DocumentVersion');
+const { htmlToDelta } = require('../src/utils/documentImportUtils');
+const { recordVersion } = require('../src/utils/documentVersionUtils');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectDatabase();
+  console.log(`🔄 Migrating document history${dryRun ? ' (dry run)' : ''}...`);
+
+  // Raw query: versionHistory is no longer part of the schema
+  const filter = { versionHistory: { $exists: true } };
+  const documents = Document.collection.find(filter, { projection: { workspaceId: 1, title: 1, versionHistory: 1 } });
+
+  let migratedDocuments = 0;
+  let createdVersions = 0;
+
+  for await (const document of documents) {
+    const entries = (document.versionHistory || [])
+      .filter(entry => typeof entry.content === 'string')
+      .sort((a, b) => new Date(a.editedAt) - new Date(b.editedAt));
+
+    const hasHistory = await DocumentVersion.exists({ documentId: document._id });
+    if (hasHistory || !entries.length) {
+      console.log(`  ↪️ ${document.title}: ${hasHistory ? 'already migrated' : 'no versions'}`);
+    } else {
+      console.log(`  ↪️ ${document.title}: ${entries.length} version(s)`);
+
+      if (!dryRun) {
+        for (const entry of entries) {
+          const version = await recordVersion(document._id, htmlToDelta(entry.content), {
+            userId: entry.editedBy || null,
+            description: entry.changeDescription || '',
+            workspaceId: document.workspaceId,
+            createdAt: entry.editedAt
+          });
+          if (version) createdVersions++;
+        }
+      }
+      migratedDocuments++;
+    }
+  }
+
+  if (!dryRun) {
+    await Document.collection.updateMany(filter, { $unset: { versionHistory: '' } });
+  }
+
+  console.log(`✅ ${migratedDocuments} document(s) migrated, ${createdVersions} version(s) created`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Document history migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
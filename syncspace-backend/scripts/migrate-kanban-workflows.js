@@ -0,0 +1,84 @@
+/**
+ * Migration: configurable Kanban workflows
+ *
+ * Stores the default To Do / In Progress / Done columns on projects that
+ * predate Project.workflow, then maps task statuses that are not columns of
+ * their project (including legacy values such as "in-progress", "review" and
+ * "backlog") onto the closest column. Safe to run more than once.
+ *
+ * Usage: npm run migrate:workflows [-- --dry-run]
+ */
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const connectDatabase = require('../src/config/database');
+const Project = require('../src/models/Project');
+const Task = require('../src/models/Task');
+
+// Legacy status -> default column key
+const LEGACY_STATUS_MAP = {
+  backlog: 'todo',
+  'to-do': 'todo',
+  'in-progress': 'inProgress',
+  inprogress: 'inProgress',
+  review: 'inProgress',
+  completed: 'done'
+};
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectDatabase();
+  console.log(`🔄 Migrating Kanban workflows${dryRun ? ' (dry run)' : ''}...`);
+
+  // Raw query: documents loaded through the model already carry the default workflow
+  const legacyProjects = await Project.collection.countDocuments({ workflow: { $exists: false } });
+  if (!dryRun && legacyProjects) {
+    await Project.collection.updateMany(
+      { workflow: { $exists: false } },
+      { $set: { workflow: Project.getDefaultWorkflow() } }
+    );
+  }
+  console.log(`📋 ${legacyProjects} project(s) given the default workflow`);
+
+  let remappedTasks = 0;
+  const projects = Project.find().cursor();
+
+  for (let project = await projects.next(); project; project = await projects.next()) {
+    const keys = project.workflow.map(column => column.key);
+    const fallback = project.getDefaultStatus();
+
+    const strayStatuses = await Task.distinct('status', { projectId: project._id, status: { $nin: keys } });
+
+    for (const status of strayStatuses) {
+      const mapped = LEGACY_STATUS_MAP[String(status).toLowerCase()];
+      const target = keys.includes(mapped) ? mapped : fallback;
+      const filter = { projectId: project._id, status };
+
+      const count = await Task.countDocuments(filter);
+      console.log(`  ↪️ ${project.name}: ${count} task(s) "${status}" -> "${target}"`);
+      remappedTasks += count;
+
+      if (!dryRun) {
+        await Task.collection.updateMany(filter, { $set: { status: target } });
+      }
+    }
+
+    if (!dryRun) {
+      await project.syncTaskCompletion();
+      await project.calculateProgress();
+    }
+  }
+
+  console.log(`✅ ${remappedTasks} task(s) remapped onto workflow columns`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error('❌ Workflow migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
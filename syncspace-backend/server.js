@@ -82,12 +82,16 @@ dotenv.config();
 const app = require('./src/app');
 const connectDatabase = require('./src/config/database');
 const initializeSocket = require('./src/config/socket');
+const { startScheduler, stopScheduler } = require('./src/jobs/scheduler');
 
 // Connect to MongoDB
 (async () => {
   try {
     await connectDatabase();
     console.log('✅ MongoDB connected successfully');
+
+    // Background jobs need the database (and io, set up below before this resolves)
+    startScheduler(io);
   } catch (err) {
     console.error('❌ MongoDB connection failed:', err.message);
     process.exit(1);
@@ -130,6 +134,7 @@ process.on('uncaughtException', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('👋 SIGTERM received. Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     console.log('✅ Server closed. Process terminated.');
   });
@@ -9,7 +9,6 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const mongoSanitize = require('express-mongo-sanitize');
 const rateLimit = require('express-rate-limit');
-const path = require('path');
 
 // ==================== IMPORT ROUTES ====================
 
@@ -26,6 +25,9 @@ const notificationRoutes = require('./routes/notificationRoutes');
 // Error handling middleware
 const errorMiddleware = require('./middlewares/errorMiddleware');
 
+// File storage driver
+const { getStorage } = require('./utils/storageUtils');
+
 // ==================== INITIALIZE EXPRESS APP ====================
 
 const app = express();
@@ -79,7 +81,12 @@ if (process.env.NODE_ENV === 'development') {
 
 // ==================== STATIC FILES ====================
 
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Only public objects of the local storage driver (avatars) are served
+// directly; everything else goes through /api/files with an access check
+const { publicRoot } = getStorage();
+if (publicRoot) {
+  app.use('/uploads', express.static(publicRoot));
+}
 
 // ==================== HEALTH CHECK ====================
 
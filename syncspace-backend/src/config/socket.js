@@ -5,6 +5,9 @@
 
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
 
 // Import socket handlers
 const documentSocket = require('../socket/documentSocket');
@@ -25,7 +28,7 @@ const initializeSocket = (server) => {
   });
 
   // Middleware for Socket.IO authentication
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
 
@@ -35,11 +38,30 @@ const initializeSocket = (server) => {
 
       // Verify JWT token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.type === 'refresh') {
+        return next(new Error('Authentication error: Access token required'));
+      }
+
+      // Reject sockets for revoked sessions
+      if (decoded.sid) {
+        const session = await Session.findOne({ family: decoded.sid, userId: decoded.id });
+        if (!session || !session.isActive()) {
+          return next(new Error('Authentication error: Session revoked'));
+        }
+      }
       
+      const user = await User.findById(decoded.id).select('name email avatar role');
+      if (!user) {
+        return next(new Error('Authentication error: User not found'));
+      }
+
       // Attach user info to socket
+      socket.user = user;
       socket.userId = decoded.id;
       socket.userEmail = decoded.email;
       socket.userRole = decoded.role;
+      socket.sessionId = decoded.sid || null;
 
       console.log(`✅ User authenticated: ${socket.userEmail} (${socket.id})`);
       next();
@@ -56,14 +78,30 @@ const initializeSocket = (server) => {
     // Join user to their personal room
     socket.join(`user:${socket.userId}`);
 
+    // Session room lets a revoked session's sockets be disconnected
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
+
     // Initialize socket handlers
     documentSocket(io, socket);
     chatSocket(io, socket);
     kanbanSocket(io, socket);
     notificationSocket(io, socket);
 
-    // Handle workspace join
-    socket.on('workspace:join', (workspaceId) => {
+    // Handle workspace join (accepts an id or { workspaceId }); the room carries the activity feed, so members only
+    socket.on('workspace:join', async (data) => {
+      const workspaceId = data && typeof data === 'object' ? data.workspaceId : data;
+
+      try {
+        const workspace = await Workspace.findById(workspaceId).select('members createdBy');
+        if (!workspace || (!workspace.isMember(socket.userId) && !workspace.isCreator(socket.userId))) {
+          return socket.emit('workspace:error', { message: 'Access denied to workspace' });
+        }
+      } catch (error) {
+        return socket.emit('workspace:error', { message: 'Failed to join workspace' });
+      }
+
       socket.join(`workspace:${workspaceId}`);
       console.log(`📂 User ${socket.userEmail} joined workspace: ${workspaceId}`);
       
@@ -75,7 +113,8 @@ const initializeSocket = (server) => {
     });
 
     // Handle workspace leave
-    socket.on('workspace:leave', (workspaceId) => {
+    socket.on('workspace:leave', (data) => {
+      const workspaceId = data && typeof data === 'object' ? data.workspaceId : data;
       socket.leave(`workspace:${workspaceId}`);
       console.log(`📂 User ${socket.userEmail} left workspace: ${workspaceId}`);
       
@@ -1,8 +1,55 @@
 
 // src/controllers/authController.js
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { generateAuthTokens, verifyRefreshToken, hashToken, decodeToken } = require('../utils/tokenUtils');
+const { getDeviceName } = require('../utils/helpers');
+
+// Persist a freshly signed refresh token in its family
+const storeRefreshToken = async (user, tokens, req) => {
+  const { exp } = decodeToken(tokens.refreshToken);
+
+  return await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(tokens.refreshToken),
+    family: tokens.family,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent') || null
+  });
+};
+
+// Start a new session (refresh token family) for a login
+const issueTokens = async (user, req) => {
+  const tokens = generateAuthTokens(user);
+  const stored = await storeRefreshToken(user, tokens, req);
+  const userAgent = req.get('user-agent') || null;
+
+  await Session.create({
+    userId: user._id,
+    family: tokens.family,
+    device: getDeviceName(userAgent),
+    ip: req.ip,
+    userAgent,
+    expiresAt: stored.expiresAt
+  });
+
+  return tokens;
+};
+
+// Tell live sockets of revoked sessions and drop them
+const disconnectSessions = (req, families) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  families.forEach(family => {
+    io.to(`session:${family}`).emit('session:revoked', { sessionFamily: family });
+    io.in(`session:${family}`).disconnectSockets(true);
+  });
+};
 
 // ================= REGISTER =================
 
@@ -28,12 +75,13 @@ exports.register = async (req, res, next) => {
       password
     });
 
-    const token = user.generateAuthToken();
+    const { accessToken, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      token: accessToken,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -64,12 +112,13 @@ exports.login = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'Invalid email or password' });
     }
 
-    const token = user.generateAuthToken();
+    const { accessToken, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      token,
+      token: accessToken,
+      refreshToken,
       user: user.getPublicProfile()
     });
   } catch (error) {
@@ -80,8 +129,50 @@ exports.login = async (req, res, next) => {
 // ================= REFRESH TOKEN =================
 exports.refreshToken = async (req, res, next) => {
   try {
-    // In real setup, verify refresh token logic here
-    return res.status(200).json({ success: true, message: 'Token refreshed (placeholder)' });
+    const { refreshToken } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (err) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      const families = await Session.revokeWhere({ family: decoded.sid }, 'revoked');
+      disconnectSessions(req, families);
+      return res.status(401).json({ success: false, message: 'User not found or inactive' });
+    }
+
+    // Rotate: the presented token is consumed and a new one issued in the same family
+    const tokens = generateAuthTokens(user, decoded.sid);
+    const consumed = await RefreshToken.consume(tokenHash, hashToken(tokens.refreshToken));
+
+    if (!consumed) {
+      // A token that was already rotated is being replayed - treat as theft and kill the family
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (existing && existing.revokedReason === 'rotated') {
+        const families = await Session.revokeWhere({ family: existing.family }, 'reuse');
+        disconnectSessions(req, families);
+        console.warn(`⚠️ Refresh token reuse detected for user ${existing.userId} (family ${existing.family})`);
+      }
+      return res.status(401).json({ success: false, message: 'Refresh token is no longer valid. Please log in again.' });
+    }
+
+    const stored = await storeRefreshToken(user, tokens, req);
+    await Session.updateOne(
+      { family: consumed.family },
+      { $set: { lastSeenAt: new Date(), ip: req.ip, expiresAt: stored.expiresAt } }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
   } catch (error) {
     next(error);
   }
@@ -90,13 +181,96 @@ exports.refreshToken = async (req, res, next) => {
 // ================= LOGOUT =================
 exports.logout = async (req, res, next) => {
   try {
-    // Placeholder for token invalidation logic
+    let family = req.sessionId;
+
+    // Fall back to the refresh token for access tokens issued without a session id
+    if (!family && req.body.refreshToken) {
+      const stored = await RefreshToken.findOne({
+        tokenHash: hashToken(req.body.refreshToken),
+        userId: req.user._id
+      });
+      family = stored && stored.family;
+    }
+
+    if (family) {
+      const families = await Session.revokeWhere({ family, userId: req.user._id }, 'logout');
+      disconnectSessions(req, families);
+    }
+
     return res.status(200).json({ success: true, message: 'User logged out successfully' });
   } catch (error) {
     next(error);
   }
 };
 
+// ================= GET SESSIONS =================
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session.family === req.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ================= REVOKE SESSION =================
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const families = await Session.revokeWhere(
+      { _id: req.params.sessionId, userId: req.user._id },
+      'revoked'
+    );
+
+    if (!families.length) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    disconnectSessions(req, families);
+
+    res.status(200).json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ================= REVOKE OTHER SESSIONS =================
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.sessionId) {
+      filter.family = { $ne: req.sessionId };
+    }
+
+    const families = await Session.revokeWhere(filter, 'revoked');
+    disconnectSessions(req, families);
+
+    res.status(200).json({
+      success: true,
+      message: `${families.length} other session(s) revoked`,
+      count: families.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ================= FORGOT PASSWORD =================
 exports.forgotPassword = async (req, res, next) => {
   try {
@@ -5,7 +5,54 @@
 
 const Message = require('../models/Message');
 const Workspace = require('../models/Workspace');
-const Notification = require('../models/Notification');
+const Channel = require('../models/Channel');
+const Conversation = require('../models/Conversation');
+const { logActivity } = require('../utils/activityUtils');
+const { notifyUsers } = require('../utils/notificationUtils');
+const {
+  getAccessibleChannel,
+  getUnreadCounts,
+  describeChannel,
+  postChannelMessage,
+  broadcastChannelChange,
+  leaveChannelRoom,
+  canManageChannel
+} = require('../utils/channelUtils');
+const {
+  getAccessibleThread,
+  postThreadReply,
+  setThreadFollow,
+  isFollowing
+} = require('../utils/threadUtils');
+const conversationUtils = require('../utils/conversationUtils');
+const { getBacklinks } = require('../utils/linkReferenceUtils');
+const {
+  getAccessibleMessage,
+  parseSearchQuery,
+  buildSearchFilter,
+  buildSnippet,
+  getStreamScope,
+  getStreamRoom
+} = require('../utils/messageUtils');
+
+// Record a chat mutation in the workspace activity feed (entity name is a text excerpt)
+const logMessageActivity = (req, message, action) => {
+  return logActivity(req.app.get('io'), {
+    workspaceId: message.workspaceId,
+    actorId: req.user._id,
+    action,
+    entityType: 'message',
+    entityId: message._id,
+    entityName: (message.text || '').slice(0, 100)
+  });
+};
+
+// Direct messages and private channel messages stay out of the workspace activity feed
+const isInActivityFeed = async (message) => {
+  if (message.conversationId) return false;
+  if (!message.channelId) return true;
+  return !(await Channel.exists({ _id: message.channelId, isPrivate: true }));
+};
 
 /**
  * @desc    Get all messages in a workspace
@@ -18,7 +65,10 @@ exports.getMessagesByWorkspace = async (req, res, next) => {
     const { limit = 50, offset = 0 } = req.query;
 
     const messages = await Message.find({ 
+      ...Message.streamFilter(),
       workspaceId,
+      channelId: null,
+      conversationId: null,
       isDeleted: false
     })
       .populate('senderId', 'name email avatar')
@@ -34,7 +84,10 @@ exports.getMessagesByWorkspace = async (req, res, next) => {
 
     // Get total count
     const total = await Message.countDocuments({ 
+      ...Message.streamFilter(),
       workspaceId,
+      channelId: null,
+      conversationId: null,
       isDeleted: false
     });
 
@@ -86,38 +139,22 @@ exports.sendMessage = async (req, res, next) => {
 
     // Create notifications for mentions
     if (mentions && mentions.length > 0) {
-      const mentionNotifications = mentions
-        .filter(userId => userId !== req.user._id.toString())
-        .map(userId => ({
-          userId,
-          type: 'mention',
-          title: 'You were mentioned',
-          message: `${req.user.name} mentioned you in ${workspaceId}`,
-          workspaceId,
-          senderId: req.user._id,
-          link: `/workspace/${workspaceId}/chat`
-        }));
-
-      if (mentionNotifications.length > 0) {
-        await Notification.insertMany(mentionNotifications);
-
-        // Emit socket notifications
-        const io = req.app.get('io');
-        mentions.forEach(userId => {
-          if (userId !== req.user._id.toString()) {
-            io.to(`user:${userId}`).emit('notification:new', {
-              type: 'mention',
-              message: message
-            });
-          }
-        });
-      }
+      await notifyUsers(req.app.get('io'), mentions, {
+        type: 'mention',
+        title: 'You were mentioned',
+        message: `${req.user.name} mentioned you in chat`,
+        workspaceId,
+        senderId: req.user._id,
+        link: `/workspace/${workspaceId}/chat`
+      }, { payload: { message } });
     }
 
     // Emit socket event to workspace
     const io = req.app.get('io');
     io.to(`workspace:${workspaceId}`).emit('chat:message', message);
 
+    await logMessageActivity(req, message, 'message.sent');
+
     res.status(201).json({
       success: true,
       message
@@ -165,13 +202,17 @@ exports.updateMessage = async (req, res, next) => {
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`workspace:${message.workspaceId}`).emit('chat:message:updated', {
+    io.to(getStreamRoom(message)).emit('chat:message:updated', {
       messageId: message._id,
       text: message.text,
       isEdited: true,
       editedAt: message.editedAt
     });
 
+    if (await isInActivityFeed(message)) {
+      await logMessageActivity(req, message, 'message.edited');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Message updated successfully',
@@ -208,12 +249,24 @@ exports.deleteMessage = async (req, res, next) => {
 
     await message.softDelete();
 
+    // Deleted replies no longer count towards the thread
+    if (message.threadId) {
+      await Message.updateOne(
+        { _id: message.threadId, 'thread.replyCount': { $gt: 0 } },
+        { $inc: { 'thread.replyCount': -1 } }
+      );
+    }
+
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`workspace:${message.workspaceId}`).emit('chat:message:deleted', {
+    io.to(getStreamRoom(message)).emit('chat:message:deleted', {
       messageId: message._id
     });
 
+    if (await isInActivityFeed(message)) {
+      await logMessageActivity(req, message, 'message.deleted');
+    }
+
     res.status(200).json({
       success: true,
       message: 'Message deleted successfully'
@@ -252,7 +305,7 @@ exports.addReaction = async (req, res, next) => {
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`workspace:${message.workspaceId}`).emit('chat:reaction:added', {
+    io.to(getStreamRoom(message)).emit('chat:reaction:added', {
       messageId: message._id,
       userId: req.user._id,
       emoji
@@ -290,7 +343,7 @@ exports.removeReaction = async (req, res, next) => {
 
     // Emit socket event
     const io = req.app.get('io');
-    io.to(`workspace:${message.workspaceId}`).emit('chat:reaction:removed', {
+    io.to(getStreamRoom(message)).emit('chat:reaction:removed', {
       messageId: message._id,
       userId: req.user._id,
       emoji
@@ -354,41 +407,112 @@ exports.getUnreadCount = async (req, res, next) => {
 };
 
 /**
- * @desc    Search messages in workspace
- * @route   GET /api/workspaces/:workspaceId/messages/search
- * @access  Private
+ * @desc    Search messages with operators: from:@user in:#channel has:file has:link
+ *          is:pinned before:YYYY-MM-DD after:YYYY-MM-DD "exact phrase"
+ * @route   GET /api/chat/search?workspaceId=&query=&cursor=
+ * @access  Private (Workspace members)
  */
 exports.searchMessages = async (req, res, next) => {
   try {
-    const { workspaceId } = req.params;
-    const { query, limit = 20 } = req.query;
+    const { workspaceId, query, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
 
-    if (!query || !query.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    if (!workspace.hasAccess(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this workspace' });
     }
 
-    const messages = await Message.find({
-      workspaceId,
-      isDeleted: false,
-      $text: { $search: query }
-    })
+    const parsed = parseSearchQuery(query);
+    const filter = await buildSearchFilter(parsed, workspaceId, req.user._id);
+    // Newest first; the cursor is the last message ID of the previous page
+    if (cursor) filter._id = { $lt: cursor };
+
+    const messages = await Message.find(filter)
       .populate('senderId', 'name email avatar')
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(parseInt(limit));
+      .populate('channelId', 'name isPrivate')
+      .sort({ _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    const needles = [...parsed.terms, ...parsed.phrases];
 
     res.status(200).json({
       success: true,
-      count: messages.length,
-      messages
+      count: page.length,
+      messages: page.map(message => ({
+        ...message.toJSON(),
+        ...buildSnippet(message.text, needles)
+      })),
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a message with the messages around it in its channel, conversation or thread
+ * @route   GET /api/chat/messages/:id/context?before=&after=
+ * @access  Private
+ */
+exports.getMessageContext = async (req, res, next) => {
+  try {
+    const { message } = await getAccessibleMessage(req.params.id, req.user._id);
+    // 0 is a valid count, so only missing values fall back to 10
+    const before = req.query.before === undefined ? 10 : Math.min(parseInt(req.query.before), 50);
+    const after = req.query.after === undefined ? 10 : Math.min(parseInt(req.query.after), 50);
+    const scope = getStreamScope(message);
+
+    const populateContext = (q) => q
+      .populate('senderId', 'name email avatar')
+      .populate('mentions', 'name email avatar')
+      .populate('reactions.userId', 'name email avatar');
+
+    const [older, newer] = await Promise.all([
+      populateContext(Message.find({ ...scope, _id: { $lt: message._id } }).sort({ _id: -1 }).limit(before)),
+      populateContext(Message.find({ ...scope, _id: { $gt: message._id } }).sort({ _id: 1 }).limit(after))
+    ]);
+    await message.populate([
+      { path: 'senderId', select: 'name email avatar' },
+      { path: 'mentions', select: 'name email avatar' },
+      { path: 'reactions.userId', select: 'name email avatar' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      messageId: message._id,
+      channelId: message.channelId,
+      conversationId: message.conversationId,
+      threadId: scope.threadId || null,
+      messages: [...older.reverse(), message, ...newer],
+      hasOlder: before > 0 && older.length === before,
+      hasNewer: after > 0 && newer.length === after
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    List the documents, tasks and messages that link to a message
+ * @route   GET /api/chat/messages/:id/backlinks
+ * @access  Private
+ */
+exports.getMessageBacklinks = async (req, res, next) => {
+  try {
+    const { message } = await getAccessibleMessage(req.params.id, req.user._id);
+    const backlinks = await getBacklinks('message', message._id, req.user._id);
+
+    res.status(200).json({ success: true, count: backlinks.length, backlinks });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // --- Compatibility aliases and route handlers expected by routes ---
 
 // Route expects `getWorkspaceMessages` name
@@ -404,10 +528,34 @@ exports.getProjectMessages = async (req, res, next) => {
   }
 };
 
-// Direct messages between users - not implemented in current scaffold
+/**
+ * @desc    Get the one-to-one conversation with a user and its latest messages
+ * @route   GET /api/chat/direct/:userId/messages?workspaceId=
+ * @access  Private (Workspace members)
+ */
 exports.getDirectMessages = async (req, res, next) => {
   try {
-    return res.status(501).json({ success: false, message: 'Direct messages not implemented' });
+    const { workspaceId, limit = 50 } = req.query;
+
+    const conversation = await Conversation.findOne({
+      workspaceId,
+      directKey: Conversation.getDirectKey(req.user._id, req.params.userId)
+    });
+
+    // Nothing has been said yet
+    if (!conversation) {
+      return res.status(200).json({ success: true, count: 0, conversation: null, messages: [] });
+    }
+
+    const messages = await findConversationMessages(conversation, { limit });
+    await conversationUtils.populateConversations(conversation);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      conversation,
+      messages
+    });
   } catch (error) {
     next(error);
   }
@@ -416,11 +564,11 @@ exports.getDirectMessages = async (req, res, next) => {
 // Get single message by ID
 exports.getMessageById = async (req, res, next) => {
   try {
-    const message = await Message.findById(req.params.id)
-      .populate('senderId', 'name email avatar')
-      .populate('mentions', 'name email avatar');
-
-    if (!message) return res.status(404).json({ success: false, message: 'Message not found' });
+    const { message } = await getAccessibleMessage(req.params.id, req.user._id);
+    await message.populate([
+      { path: 'senderId', select: 'name email avatar' },
+      { path: 'mentions', select: 'name email avatar' }
+    ]);
 
     res.status(200).json({ success: true, message });
   } catch (error) {
@@ -431,26 +579,90 @@ exports.getMessageById = async (req, res, next) => {
 // editMessage route expects this name
 exports.editMessage = exports.updateMessage;
 
-// pin/unpin/pinned - not supported in current Message schema; return not implemented
-exports.pinMessage = async (req, res, next) => {
+// Pin or unpin a message for everyone who can read it
+const setMessagePinned = async (req, res, next, pinned) => {
   try {
-    return res.status(501).json({ success: false, message: 'Pin message not implemented' });
-  } catch (error) {
-    next(error);
-  }
-};
+    const { message, channel } = await getAccessibleMessage(req.params.id, req.user._id);
 
-exports.unpinMessage = async (req, res, next) => {
-  try {
-    return res.status(501).json({ success: false, message: 'Unpin message not implemented' });
+    if (channel && !channel.isMember(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Join the channel to pin messages' });
+    }
+
+    await message.setPinned(req.user._id, pinned);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(getStreamRoom(message)).emit(pinned ? 'chat:message:pinned' : 'chat:message:unpinned', {
+        messageId: message._id,
+        pinnedBy: message.pinnedBy,
+        pinnedAt: message.pinnedAt
+      });
+    }
+
+    if (await isInActivityFeed(message)) {
+      await logMessageActivity(req, message, pinned ? 'message.pinned' : 'message.unpinned');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: pinned ? 'Message pinned' : 'Message unpinned',
+      isPinned: message.isPinned
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Pin a message
+ * @route   POST /api/chat/messages/:id/pin
+ * @access  Private
+ */
+exports.pinMessage = (req, res, next) => setMessagePinned(req, res, next, true);
+
+/**
+ * @desc    Unpin a message
+ * @route   DELETE /api/chat/messages/:id/pin
+ * @access  Private
+ */
+exports.unpinMessage = (req, res, next) => setMessagePinned(req, res, next, false);
+
+/**
+ * @desc    Get pinned messages of the workspace stream, a channel (?channelId=)
+ *          or a conversation (?conversationId=)
+ * @route   GET /api/chat/workspace/:workspaceId/pinned
+ * @access  Private (Workspace members)
+ */
 exports.getPinnedMessages = async (req, res, next) => {
   try {
-    return res.status(501).json({ success: false, message: 'Get pinned messages not implemented' });
+    const { channelId, conversationId } = req.query;
+    const filter = {
+      workspaceId: req.params.workspaceId,
+      channelId: null,
+      conversationId: null,
+      isPinned: true,
+      isDeleted: false
+    };
+
+    if (channelId) {
+      const { channel } = await getAccessibleChannel(channelId, req.user._id);
+      filter.channelId = channel._id;
+    } else if (conversationId) {
+      const conversation = await conversationUtils.getAccessibleConversation(conversationId, req.user._id);
+      filter.conversationId = conversation._id;
+    }
+
+    const messages = await Message.find(filter)
+      .populate('senderId', 'name email avatar')
+      .populate('pinnedBy', 'name email avatar')
+      .sort({ pinnedAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
   } catch (error) {
     next(error);
   }
@@ -485,19 +697,794 @@ exports.sendTypingIndicator = async (req, res, next) => {
   }
 };
 
-// Channels - basic stubs
+
+// ==================== CHANNELS ====================
+
+const logChannelActivity = (req, channel, action) => {
+  return logActivity(req.app.get('io'), {
+    workspaceId: channel.workspaceId,
+    actorId: req.user._id,
+    action,
+    entityType: 'channel',
+    entityId: channel._id,
+    entityName: `#${channel.name}`
+  });
+};
+
+/**
+ * @desc    Create a channel
+ * @route   POST /api/chat/channels
+ * @access  Private (Workspace members)
+ */
 exports.createChannel = async (req, res, next) => {
   try {
-    return res.status(501).json({ success: false, message: 'Channels not implemented' });
+    const { workspaceId, name, topic, description, isPrivate, members } = req.body;
+    const workspace = req.workspace || await Workspace.findById(workspaceId);
+
+    const slug = Channel.toSlug(name);
+    if (slug.length < 2) {
+      return res.status(400).json({ success: false, message: 'Channel name must contain at least 2 letters or numbers' });
+    }
+
+    if (await Channel.exists({ workspaceId, name: slug })) {
+      return res.status(409).json({ success: false, message: `A channel named #${slug} already exists` });
+    }
+
+    // Invited members must belong to the workspace
+    const invited = [...new Set((members || []).map(String))]
+      .filter(userId => userId !== req.user._id.toString() && workspace.hasAccess(userId));
+
+    const channel = await Channel.create({
+      workspaceId,
+      name: slug,
+      topic: topic || '',
+      description: description || '',
+      isPrivate: !!isPrivate,
+      createdBy: req.user._id,
+      members: [
+        { userId: req.user._id, role: 'owner' },
+        ...invited.map(userId => ({ userId, role: 'member' }))
+      ]
+    });
+
+    broadcastChannelChange(req.app.get('io'), 'created', channel);
+    await logChannelActivity(req, channel, 'channel.created');
+
+    res.status(201).json({
+      success: true,
+      message: 'Channel created successfully',
+      channel: describeChannel(channel, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get channels of a workspace visible to the user, with unread counts
+ * @route   GET /api/chat/channels?workspaceId=&includeArchived=
+ * @access  Private (Workspace members)
+ */
+exports.getChannels = async (req, res, next) => {
+  try {
+    const { workspaceId, includeArchived } = req.query;
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    if (!workspace.hasAccess(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this workspace' });
+    }
+
+    const channels = await Channel.findVisible(workspaceId, req.user._id, {
+      includeArchived: includeArchived === 'true'
+    }).sort('name');
+
+    const unreadCounts = await getUnreadCounts(channels, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: channels.length,
+      channels: channels.map(channel => describeChannel(channel, req.user._id, unreadCounts))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a channel with its members
+ * @route   GET /api/chat/channels/:channelId
+ * @access  Private (Channel viewers)
+ */
+exports.getChannel = async (req, res, next) => {
+  try {
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const unreadCounts = await getUnreadCounts([channel], req.user._id);
+
+    await channel.populate('members.userId', 'name email avatar');
+
+    res.status(200).json({
+      success: true,
+      channel: describeChannel(channel, req.user._id, unreadCounts)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update channel name, topic, description, visibility or archive state
+ * @route   PUT /api/chat/channels/:channelId
+ * @access  Private (Members set the topic, owners and workspace admins the rest)
+ */
+exports.updateChannel = async (req, res, next) => {
+  try {
+    const { channel, workspace } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const { name, topic, description, isPrivate, archived } = req.body;
+
+    if (!channel.isMember(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Join the channel to change it' });
+    }
+
+    const managing = [name, description, isPrivate, archived].some(value => value !== undefined);
+    if (managing && !canManageChannel(channel, workspace, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only channel owners and workspace admins can change this'
+      });
+    }
+
+    if (channel.isArchived && archived !== false) {
+      return res.status(400).json({ success: false, message: 'Unarchive the channel before changing it' });
+    }
+
+    if (name !== undefined) {
+      const slug = Channel.toSlug(name);
+      if (slug.length < 2) {
+        return res.status(400).json({ success: false, message: 'Channel name must contain at least 2 letters or numbers' });
+      }
+      if (slug !== channel.name && await Channel.exists({ workspaceId: channel.workspaceId, name: slug })) {
+        return res.status(409).json({ success: false, message: `A channel named #${slug} already exists` });
+      }
+      channel.name = slug;
+    }
+    if (topic !== undefined) channel.topic = topic || '';
+    if (description !== undefined) channel.description = description || '';
+    const becamePrivate = isPrivate !== undefined && !!isPrivate && !channel.isPrivate;
+    if (isPrivate !== undefined) channel.isPrivate = !!isPrivate;
+
+    let action = 'updated';
+    if (archived !== undefined && !!archived !== channel.isArchived) {
+      channel.isArchived = !!archived;
+      channel.archivedAt = archived ? new Date() : null;
+      channel.archivedBy = archived ? req.user._id : null;
+      action = archived ? 'archived' : 'unarchived';
+    }
+
+    await channel.save();
+
+    broadcastChannelChange(req.app.get('io'), action, channel);
+    // Non-members who were reading the public channel stop receiving it
+    if (becamePrivate) leaveChannelRoom(req.app.get('io'), channel);
+    if (action !== 'updated') {
+      await logChannelActivity(req, channel, `channel.${action}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Channel ${action} successfully`,
+      channel: describeChannel(channel, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Join a public channel
+ * @route   POST /api/chat/channels/:channelId/join
+ * @access  Private (Workspace members)
+ */
+exports.joinChannel = async (req, res, next) => {
+  try {
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+
+    if (channel.isArchived) {
+      return res.status(400).json({ success: false, message: 'This channel is archived' });
+    }
+    if (channel.isMember(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'You are already a member of this channel' });
+    }
+
+    await channel.addMember(req.user._id);
+    broadcastChannelChange(req.app.get('io'), 'members:updated', channel);
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined channel successfully',
+      channel: describeChannel(channel, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Leave a channel
+ * @route   POST /api/chat/channels/:channelId/leave
+ * @access  Private (Channel members)
+ */
+exports.leaveChannel = async (req, res, next) => {
+  try {
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+
+    if (!channel.isMember(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'You are not a member of this channel' });
+    }
+
+    // A channel always keeps someone who can manage it
+    const owners = channel.members.filter(member => member.role === 'owner');
+    if (channel.isOwner(req.user._id) && owners.length === 1 && channel.members.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another member an owner before leaving this channel'
+      });
+    }
+
+    await channel.removeMember(req.user._id);
+    broadcastChannelChange(req.app.get('io'), 'members:updated', channel, [req.user._id]);
+    leaveChannelRoom(req.app.get('io'), channel, [req.user._id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Left channel successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a workspace member to a channel
+ * @route   POST /api/chat/channels/:channelId/members
+ * @access  Private (Channel members)
+ */
+exports.addChannelMember = async (req, res, next) => {
+  try {
+    const { channel, workspace } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const { userId, role } = req.body;
+
+    if (!channel.isMember(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Only channel members can add people' });
+    }
+    if (role === 'owner' && !canManageChannel(channel, workspace, req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Only channel owners can add owners' });
+    }
+    if (channel.isArchived) {
+      return res.status(400).json({ success: false, message: 'This channel is archived' });
+    }
+    if (!workspace.hasAccess(userId)) {
+      return res.status(400).json({ success: false, message: 'User is not a member of this workspace' });
+    }
+
+    const existing = channel.getMember(userId);
+    if (existing && existing.role === (role || existing.role)) {
+      return res.status(400).json({ success: false, message: 'User is already a member of this channel' });
+    }
+
+    if (existing) {
+      existing.role = role;
+      await channel.save();
+    } else {
+      await channel.addMember(userId, role || 'member');
+    }
+
+    broadcastChannelChange(req.app.get('io'), 'members:updated', channel);
+
+    res.status(200).json({
+      success: true,
+      message: existing ? 'Member role updated successfully' : 'Member added successfully',
+      channel: describeChannel(channel, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a member from a channel
+ * @route   DELETE /api/chat/channels/:channelId/members/:userId
+ * @access  Private (Channel owners and workspace admins)
+ */
+exports.removeChannelMember = async (req, res, next) => {
+  try {
+    const { channel, workspace } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const { userId } = req.params;
+
+    if (!canManageChannel(channel, workspace, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only channel owners and workspace admins can remove members'
+      });
+    }
+    if (!channel.isMember(userId)) {
+      return res.status(404).json({ success: false, message: 'User is not a member of this channel' });
+    }
+
+    await channel.removeMember(userId);
+    broadcastChannelChange(req.app.get('io'), 'members:updated', channel, [userId]);
+    leaveChannelRoom(req.app.get('io'), channel, [userId]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully',
+      channel: describeChannel(channel, req.user._id)
+    });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Get messages in a channel
+ * @route   GET /api/chat/channels/:channelId/messages
+ * @access  Private (Channel viewers)
+ */
 exports.getChannelMessages = async (req, res, next) => {
   try {
-    return res.status(501).json({ success: false, message: 'Channel messages not implemented' });
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const { limit = 50, before } = req.query;
+
+    const filter = { ...Message.streamFilter(), channelId: channel._id, isDeleted: false };
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    const messages = await Message.find(filter)
+      .populate('senderId', 'name email avatar')
+      .populate('mentions', 'name email avatar')
+      .populate('replyTo', 'text senderId')
+      .populate('reactions.userId', 'name email avatar')
+      .sort('-createdAt')
+      .limit(Math.min(parseInt(limit) || 50, 100));
+
+    // Reverse to show oldest first
+    messages.reverse();
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      channel: describeChannel(channel, req.user._id),
+      messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a message to a channel
+ * @route   POST /api/chat/channels/:channelId/messages
+ * @access  Private (Channel members)
+ */
+exports.sendChannelMessage = async (req, res, next) => {
+  try {
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+    const message = await postChannelMessage(req.app.get('io'), channel, req.user, req.body);
+
+    // Private channel messages stay out of the workspace activity feed
+    if (!channel.isPrivate) {
+      await logMessageActivity(req, message, 'message.sent');
+    }
+
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a channel as read up to now
+ * @route   POST /api/chat/channels/:channelId/read
+ * @access  Private (Channel members)
+ */
+exports.markChannelRead = async (req, res, next) => {
+  try {
+    const { channel } = await getAccessibleChannel(req.params.channelId, req.user._id);
+
+    if (!channel.isMember(req.user._id)) {
+      return res.status(400).json({ success: false, message: 'You are not a member of this channel' });
+    }
+
+    await Channel.markRead(channel._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Channel marked as read',
+      unreadCount: 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== THREADS ====================
+
+const THREAD_USER_FIELDS = 'name email avatar';
+
+/**
+ * @desc    Get a thread: root message, replies and participants
+ * @route   GET /api/chat/messages/:id/thread
+ * @access  Private
+ */
+exports.getThread = async (req, res, next) => {
+  try {
+    const { root } = await getAccessibleThread(req.params.id, req.user._id);
+    const { limit = 50, before } = req.query;
+
+    const filter = { threadId: root._id, isDeleted: false };
+    if (before) filter.createdAt = { $lt: new Date(before) };
+
+    const replies = await Message.find(filter)
+      .populate('senderId', THREAD_USER_FIELDS)
+      .populate('mentions', THREAD_USER_FIELDS)
+      .populate('reactions.userId', THREAD_USER_FIELDS)
+      .sort('-createdAt')
+      .limit(Math.min(parseInt(limit) || 50, 100));
+
+    // Reverse to show oldest first
+    replies.reverse();
+
+    await root.populate([
+      { path: 'senderId', select: THREAD_USER_FIELDS },
+      { path: 'thread.participants', select: THREAD_USER_FIELDS }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: root,
+      replies,
+      participants: root.thread ? root.thread.participants : [],
+      isFollowing: isFollowing(root, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reply in a thread, optionally also posting to the channel
+ * @route   POST /api/chat/messages/:id/thread
+ * @access  Private
+ */
+exports.replyToThread = async (req, res, next) => {
+  try {
+    const { root, channel } = await getAccessibleThread(req.params.id, req.user._id);
+    const { reply, root: updatedRoot } = await postThreadReply(
+      req.app.get('io'), root, channel, req.user, req.body
+    );
+
+    if (await isInActivityFeed(reply)) {
+      await logMessageActivity(req, reply, 'message.sent');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: reply,
+      thread: updatedRoot.thread
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Follow a thread to be notified of new replies
+ * @route   POST /api/chat/messages/:id/thread/follow
+ * @access  Private
+ */
+exports.followThread = async (req, res, next) => {
+  try {
+    const { root } = await getAccessibleThread(req.params.id, req.user._id);
+    await setThreadFollow(root, req.user._id, true);
+
+    res.status(200).json({ success: true, message: 'Following thread', isFollowing: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop following a thread
+ * @route   DELETE /api/chat/messages/:id/thread/follow
+ * @access  Private
+ */
+exports.unfollowThread = async (req, res, next) => {
+  try {
+    const { root } = await getAccessibleThread(req.params.id, req.user._id);
+    await setThreadFollow(root, req.user._id, false);
+
+    res.status(200).json({ success: true, message: 'Unfollowed thread', isFollowing: false });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get threads the user follows in a workspace, latest reply first
+ * @route   GET /api/chat/threads?workspaceId=
+ * @access  Private (Workspace members)
+ */
+exports.getFollowedThreads = async (req, res, next) => {
+  try {
+    const { workspaceId, limit = 20 } = req.query;
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+    if (!workspace.hasAccess(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this workspace' });
+    }
+
+    // Followers who left a private channel or a conversation no longer see its threads
+    const channels = await Channel.findVisible(workspaceId, req.user._id, { includeArchived: true }).select('_id name');
+    const conversations = await Conversation.findForUser(workspaceId, req.user._id).select('_id');
+
+    const threads = await Message.find({
+      workspaceId,
+      channelId: { $in: [null, ...channels.map(channel => channel._id)] },
+      conversationId: { $in: [null, ...conversations.map(conversation => conversation._id)] },
+      'thread.followers': req.user._id,
+      'thread.replyCount': { $gt: 0 },
+      isDeleted: false
+    })
+      .populate('senderId', THREAD_USER_FIELDS)
+      .populate('thread.lastReply.senderId', THREAD_USER_FIELDS)
+      .populate('channelId', 'name isPrivate')
+      .sort({ 'thread.lastReplyAt': -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.status(200).json({
+      success: true,
+      count: threads.length,
+      threads
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== CONVERSATIONS ====================
+
+const CONVERSATION_USER_FIELDS = 'name email avatar';
+
+// Latest messages of a conversation, oldest first
+const findConversationMessages = async (conversation, { limit = 50, before } = {}) => {
+  const filter = { ...Message.streamFilter(), conversationId: conversation._id, isDeleted: false };
+  if (before) filter.createdAt = { $lt: new Date(before) };
+
+  const messages = await Message.find(filter)
+    .populate('senderId', CONVERSATION_USER_FIELDS)
+    .populate('mentions', CONVERSATION_USER_FIELDS)
+    .populate('replyTo', 'text senderId')
+    .populate('reactions.userId', CONVERSATION_USER_FIELDS)
+    .sort('-createdAt')
+    .limit(Math.min(parseInt(limit) || 50, 100));
+
+  return messages.reverse();
+};
+
+/**
+ * @desc    Get recent conversations with their last message and unread counts
+ * @route   GET /api/chat/conversations?workspaceId=
+ * @access  Private (Workspace members)
+ */
+exports.getConversations = async (req, res, next) => {
+  try {
+    const { workspaceId, limit = 30 } = req.query;
+
+    const conversations = await Conversation.findForUser(workspaceId, req.user._id)
+      .limit(Math.min(parseInt(limit) || 30, 100));
+
+    await conversationUtils.populateConversations(conversations);
+    const unreadCounts = await conversationUtils.getUnreadCounts(conversations, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      conversations: conversations.map(
+        conversation => conversationUtils.describeConversation(conversation, unreadCounts)
+      )
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a conversation, or return the existing one with the same people
+ * @route   POST /api/chat/conversations
+ * @access  Private (Workspace members)
+ */
+exports.createConversation = async (req, res, next) => {
+  try {
+    const { workspaceId, participants, name } = req.body;
+
+    const { conversation, created } = await conversationUtils.findOrCreateConversation(
+      workspaceId, req.user._id, participants, name
+    );
+
+    await conversationUtils.populateConversations(conversation);
+    if (created) {
+      conversationUtils.broadcastConversationChange(req.app.get('io'), conversation);
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      conversation: conversationUtils.describeConversation(conversation)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a conversation with its participants
+ * @route   GET /api/chat/conversations/:conversationId
+ * @access  Private (Participants)
+ */
+exports.getConversation = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+
+    await conversationUtils.populateConversations(conversation);
+    const unreadCounts = await conversationUtils.getUnreadCounts([conversation], req.user._id);
+
+    res.status(200).json({
+      success: true,
+      conversation: conversationUtils.describeConversation(conversation, unreadCounts)
+    });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Add people to a conversation (a one-to-one conversation becomes a new group)
+ * @route   POST /api/chat/conversations/:conversationId/participants
+ * @access  Private (Participants)
+ */
+exports.addConversationParticipants = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+
+    const { conversation: updated, created, added } = await conversationUtils.addParticipants(
+      conversation, req.user._id, req.body.participants
+    );
+
+    await conversationUtils.populateConversations(updated);
+    conversationUtils.broadcastConversationChange(req.app.get('io'), updated);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      added,
+      conversation: conversationUtils.describeConversation(updated)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Leave a group conversation
+ * @route   POST /api/chat/conversations/:conversationId/leave
+ * @access  Private (Participants)
+ */
+exports.leaveConversation = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+
+    if (!conversation.isGroup) {
+      return res.status(400).json({ success: false, message: 'You cannot leave a one-to-one conversation' });
+    }
+
+    conversation.participants = conversation.participants.filter(
+      participant => participant.userId.toString() !== req.user._id.toString()
+    );
+    await conversation.save();
+
+    const io = req.app.get('io');
+    conversationUtils.broadcastConversationChange(io, conversation);
+    if (io) {
+      // Stop new messages reaching the user's open sockets
+      io.in(`user:${req.user._id}`).socketsLeave(`chat:conversation:${conversation._id}`);
+      io.to(`user:${req.user._id}`).emit('chat:conversation:left', { conversationId: conversation._id });
+    }
+
+    res.status(200).json({ success: true, message: 'Left conversation' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get messages in a conversation
+ * @route   GET /api/chat/conversations/:conversationId/messages
+ * @access  Private (Participants)
+ */
+exports.getConversationMessages = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+
+    const messages = await findConversationMessages(conversation, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a message to a conversation
+ * @route   POST /api/chat/conversations/:conversationId/messages
+ * @access  Private (Participants)
+ */
+exports.sendConversationMessage = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+    const message = await conversationUtils.postConversationMessage(
+      req.app.get('io'), conversation, req.user, req.body
+    );
+
+    // Direct messages stay out of the workspace activity feed
+    res.status(201).json({
+      success: true,
+      message
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a conversation as read up to now
+ * @route   POST /api/chat/conversations/:conversationId/read
+ * @access  Private (Participants)
+ */
+exports.markConversationRead = async (req, res, next) => {
+  try {
+    const conversation = await conversationUtils.getAccessibleConversation(
+      req.params.conversationId, req.user._id
+    );
+
+    await Conversation.markRead(conversation._id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation marked as read',
+      unreadCount: 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,9 +3,100 @@
  * Handles collaborative document CRUD and version control
  */
 
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const Delta = require('quill-delta');
 const Document = require('../models/Document');
 const Workspace = require('../models/Workspace');
-const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const documentSyncUtils = require('../utils/documentSyncUtils');
+const documentExportUtils = require('../utils/documentExportUtils');
+const documentImportUtils = require('../utils/documentImportUtils');
+const documentCommentUtils = require('../utils/documentCommentUtils');
+const documentVersionUtils = require('../utils/documentVersionUtils');
+const documentTreeUtils = require('../utils/documentTreeUtils');
+const linkReferenceUtils = require('../utils/linkReferenceUtils');
+const messageUtils = require('../utils/messageUtils');
+const { deleteFile } = require('../middlewares/uploadMiddleware');
+const { logActivity } = require('../utils/activityUtils');
+const { notifyUsers } = require('../utils/notificationUtils');
+const { AppError } = require('../utils/helpers');
+
+// Replace content outside the real-time editor: the write runs in the document's
+// sync queue, the OT state is dropped and open editors are told to reload
+const replaceLiveContent = async (req, document, replaceContent) => {
+  const result = await documentSyncUtils.resetDocumentState(document._id.toString(), replaceContent);
+
+  const io = req.app.get('io');
+  if (io) io.to(`document:${document._id}`).emit('document:reset', { documentId: document._id });
+
+  return result;
+};
+
+// Point [[Old title]] links at a renamed page. Pages are edited through the
+// sync engine so open editors receive the change as an operation.
+const renameDocumentLinks = async (req, document, oldTitle) => {
+  const { documentIds, tasks, messages } = await linkReferenceUtils.renameWikiLinks(document, oldTitle);
+  const pattern = linkReferenceUtils.wikiLinkPattern(oldTitle);
+  const replacement = `[[${document.title}]]`;
+  const io = req.app.get('io');
+
+  for (const documentId of documentIds) {
+    try {
+      const operation = await documentSyncUtils.replaceText(documentId, pattern, replacement, req.user._id);
+      if (operation) {
+        if (io) {
+          io.to(`document:${documentId}`).emit('document:op', {
+            documentId,
+            revision: operation.revision,
+            ops: operation.ops,
+            opId: operation.opId,
+            userId: req.user._id,
+            userName: req.user.name,
+            timestamp: new Date()
+          });
+        }
+        continue;
+      }
+
+      // Pages never opened in the editor only have HTML content
+      const source = await Document.findById(documentId).select('content delta workspaceId');
+      if (source && !source.delta && source.content) {
+        const content = source.content.replace(pattern, () => replacement);
+        if (content !== source.content) {
+          source.content = content;
+          await source.save();
+        }
+      }
+    } catch (error) {
+      console.error(`Error renaming links in document ${documentId}:`, error.message);
+    }
+  }
+
+  if (io) {
+    tasks.forEach(task => io.to(`workspace:${task.workspaceId}`).emit('task:updated', task));
+    messages.forEach(message => io.to(messageUtils.getStreamRoom(message)).emit('chat:message:updated', {
+      messageId: message._id,
+      text: message.text,
+      isEdited: message.isEdited,
+      editedAt: message.editedAt
+    }));
+  }
+};
+
+// Record a document mutation in the workspace activity feed
+const logDocumentActivity = (req, document, action, metadata) => {
+  return logActivity(req.app.get('io'), {
+    workspaceId: document.workspaceId,
+    projectId: document.projectId,
+    actorId: req.user._id,
+    action,
+    entityType: 'document',
+    entityId: document._id,
+    entityName: document.title,
+    metadata
+  });
+};
 
 /**
  * @desc    Get all documents in a workspace
@@ -18,7 +109,8 @@ exports.getDocumentsByWorkspace = async (req, res, next) => {
 
     const documents = await Document.find({ 
       workspaceId,
-      isLocked: false
+      isLocked: false,
+      isArchived: { $ne: true }
     })
       .populate('createdBy', 'name email avatar')
       .populate('lastEditedBy', 'name email avatar')
@@ -42,13 +134,7 @@ exports.getDocumentsByWorkspace = async (req, res, next) => {
  */
 exports.getDocumentById = async (req, res, next) => {
   try {
-    const document = await Document.findById(req.params.id)
-      .populate('createdBy', 'name email avatar')
-      .populate('lastEditedBy', 'name email avatar')
-      .populate('collaborators.userId', 'name email avatar')
-      .populate('versionHistory.editedBy', 'name email avatar')
-      .populate('workspaceId', 'name')
-      .populate('projectId', 'name');
+    const document = await Document.findById(req.params.id);
 
     if (!document) {
       return res.status(404).json({
@@ -57,12 +143,8 @@ exports.getDocumentById = async (req, res, next) => {
       });
     }
 
-    // Check if user can access
-    const canAccess = document.isPublic || 
-                     document.createdBy._id.toString() === req.user._id.toString() ||
-                     document.collaborators.some(c => c.userId._id.toString() === req.user._id.toString());
-
-    if (!canAccess) {
+    // Public pages, the creator, collaborators and workspace members can open it
+    if (!(await document.canUserView(req.user._id))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -71,16 +153,27 @@ exports.getDocumentById = async (req, res, next) => {
 
     // Update last accessed time for collaborator
     const collaborator = document.collaborators.find(
-      c => c.userId._id.toString() === req.user._id.toString()
+      c => c.userId && c.userId.toString() === req.user._id.toString()
     );
     if (collaborator) {
       collaborator.lastAccessed = new Date();
       await document.save();
     }
 
+    await document.populate([
+      { path: 'createdBy', select: 'name email avatar' },
+      { path: 'lastEditedBy', select: 'name email avatar' },
+      { path: 'collaborators.userId', select: 'name email avatar' },
+      { path: 'workspaceId', select: 'name' },
+      { path: 'projectId', select: 'name' }
+    ]);
+
+    const breadcrumbs = await documentTreeUtils.getBreadcrumbs(document._id);
+
     res.status(200).json({
       success: true,
-      document
+      document,
+      breadcrumbs
     });
   } catch (error) {
     next(error);
@@ -95,7 +188,9 @@ exports.getDocumentById = async (req, res, next) => {
 exports.createDocument = async (req, res, next) => {
   try {
     const { workspaceId } = req.params;
-    const { title, content, projectId, tags, isPublic } = req.body;
+    const { title, content, projectId, tags, isPublic, parentId, position } = req.body;
+
+    await documentTreeUtils.resolveParent(workspaceId, parentId);
 
     // Create document
     const document = await Document.create({
@@ -103,11 +198,13 @@ exports.createDocument = async (req, res, next) => {
       content: content || '',
       workspaceId,
       projectId,
+      parentId: parentId || null,
       createdBy: req.user._id,
       lastEditedBy: req.user._id,
       tags: tags || [],
       isPublic: isPublic || false
     });
+    await documentTreeUtils.placeDocument(document, position);
 
     // Populate document
     await document.populate([
@@ -119,6 +216,8 @@ exports.createDocument = async (req, res, next) => {
     const io = req.app.get('io');
     io.to(`workspace:${workspaceId}`).emit('document:created', document);
 
+    await logDocumentActivity(req, document, 'document.created');
+
     res.status(201).json({
       success: true,
       message: 'Document created successfully',
@@ -129,6 +228,102 @@ exports.createDocument = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Import uploaded Markdown, HTML, text or DOCX files as documents.
+ *          `paths` (JSON array, one per file) holds each file's relative path;
+ *          its folders become tags.
+ * @route   POST /api/documents/workspaces/:workspaceId/import
+ * @access  Private
+ */
+exports.importDocuments = async (req, res, next) => {
+  const files = req.files || [];
+
+  try {
+    const { workspaceId } = req.params;
+    const { projectId } = req.body;
+
+    if (!files.length) {
+      return res.status(400).json({ success: false, message: 'Choose at least one file to import' });
+    }
+
+    let paths = [];
+    try {
+      paths = JSON.parse(req.body.paths || '[]');
+    } catch (error) {
+      paths = null;
+    }
+    if (!Array.isArray(paths)) {
+      return res.status(400).json({ success: false, message: 'paths must be a JSON array of relative file paths' });
+    }
+
+    if (projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({ success: false, message: 'Invalid project ID format' });
+      }
+      const project = await Project.findOne({ _id: projectId, workspaceId }).select('_id');
+      if (!project) {
+        return res.status(404).json({ success: false, message: 'Project not found in this workspace' });
+      }
+    }
+
+    const io = req.app.get('io');
+    const documents = [];
+    const failed = [];
+
+    for (const [index, file] of files.entries()) {
+      const relativePath = typeof paths[index] === 'string' ? paths[index] : file.originalname;
+
+      try {
+        const { delta, content } = await documentImportUtils.convertFile(file, relativePath);
+
+        const document = await Document.create({
+          title: documentImportUtils.getImportTitle(relativePath),
+          content,
+          delta,
+          workspaceId,
+          projectId: projectId || null,
+          createdBy: req.user._id,
+          lastEditedBy: req.user._id,
+          tags: documentImportUtils.getFolderTags(relativePath),
+          isPublic: req.body.isPublic === 'true'
+        });
+
+        // The imported content is the first version
+        await documentVersionUtils.recordVersion(document._id, delta, {
+          userId: req.user._id,
+          source: 'import',
+          description: `Imported from ${relativePath}`,
+          workspaceId
+        });
+
+        await document.populate([
+          { path: 'createdBy', select: 'name email avatar' },
+          { path: 'lastEditedBy', select: 'name email avatar' }
+        ]);
+
+        if (io) io.to(`workspace:${workspaceId}`).emit('document:created', document);
+        await logDocumentActivity(req, document, 'document.created', { importedFrom: relativePath });
+
+        documents.push(document);
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        failed.push({ fileName: relativePath, message: error.message });
+      }
+    }
+
+    res.status(documents.length ? 201 : 400).json({
+      success: documents.length > 0,
+      message: `Imported ${documents.length} of ${files.length} file(s)`,
+      documents,
+      failed
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    await Promise.all(files.map(file => deleteFile(file.path).catch(() => {})));
+  }
+};
+
 /**
  * @desc    Update document
  * @route   PUT /api/documents/:id
@@ -155,6 +350,8 @@ exports.updateDocument = async (req, res, next) => {
       });
     }
 
+    const oldTitle = document.title;
+
     // Update fields
     if (title) document.title = title;
     if (content !== undefined) {
@@ -164,7 +361,11 @@ exports.updateDocument = async (req, res, next) => {
     if (tags) document.tags = tags;
     if (isPublic !== undefined) document.isPublic = isPublic;
 
-    await document.save();
+    if (content !== undefined) {
+      await replaceLiveContent(req, document, () => document.save());
+    } else {
+      await document.save();
+    }
 
     // Emit socket event
     const io = req.app.get('io');
@@ -174,6 +375,13 @@ exports.updateDocument = async (req, res, next) => {
       lastEditedBy: req.user._id
     });
 
+    const updateMetadata = { fields: Object.keys(req.body).filter(f => ['title', 'content', 'tags', 'isPublic'].includes(f)) };
+    if (title && title !== oldTitle) {
+      updateMetadata.oldTitle = oldTitle;
+      await renameDocumentLinks(req, document, oldTitle);
+    }
+    await logDocumentActivity(req, document, 'document.updated', updateMetadata);
+
     res.status(200).json({
       success: true,
       message: 'Document updated successfully',
@@ -185,7 +393,8 @@ exports.updateDocument = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete document
+ * @desc    Delete document. Subpages move up to its parent, or are deleted
+ *          too with ?cascade=true
  * @route   DELETE /api/documents/:id
  * @access  Private
  */
@@ -208,23 +417,149 @@ exports.deleteDocument = async (req, res, next) => {
       });
     }
 
-    await document.remove();
+    const { deletedIds, movedIds } = await documentTreeUtils.deleteDocument(
+      document,
+      req.user._id,
+      req.query.cascade === 'true'
+    );
 
     // Emit socket event
     const io = req.app.get('io');
     io.to(`workspace:${document.workspaceId}`).emit('document:deleted', {
-      documentId: document._id
+      documentId: document._id,
+      deletedIds,
+      movedIds
+    });
+
+    await logDocumentActivity(req, document, 'document.deleted', deletedIds.length > 1
+      ? { subpages: deletedIds.length - 1 }
+      : undefined);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully',
+      deletedIds,
+      movedIds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the page tree of a workspace (?archived=true for archived pages)
+ * @route   GET /api/documents/workspaces/:workspaceId/tree
+ * @access  Private
+ */
+exports.getDocumentTree = async (req, res, next) => {
+  try {
+    const tree = await documentTreeUtils.getTree(req.params.workspaceId, {
+      archived: req.query.archived === 'true'
+    });
+
+    res.status(200).json({ success: true, tree });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a page under another parent (null for the top level) and/or position
+ * @route   PATCH /api/documents/:id/move
+ * @access  Private
+ */
+exports.moveDocument = async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (!document.canUserEdit(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to move this document' });
+    }
+
+    const oldParentId = document.parentId;
+    await documentTreeUtils.moveDocument(document, req.body);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`workspace:${document.workspaceId}`).emit('document:moved', {
+        documentId: document._id,
+        parentId: document.parentId,
+        position: document.position
+      });
+    }
+
+    if (String(oldParentId) !== String(document.parentId)) {
+      await logDocumentActivity(req, document, 'document.moved', { from: oldParentId, to: document.parentId });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document moved',
+      parentId: document.parentId,
+      position: document.position
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Archive or unarchive a page with the subpages it cascades to
+const setDocumentArchived = (archived) => async (req, res, next) => {
+  try {
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+    if (!document.canUserEdit(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to archive this document' });
+    }
+
+    let documentIds;
+    if (archived) {
+      documentIds = await documentTreeUtils.archiveDocument(document, req.user._id);
+    } else {
+      ({ restoredIds: documentIds } = await documentTreeUtils.unarchiveDocument(document));
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`workspace:${document.workspaceId}`).emit('document:archived', {
+        documentId: document._id,
+        documentIds,
+        archived
+      });
+    }
+
+    await logDocumentActivity(req, document, archived ? 'document.archived' : 'document.unarchived', {
+      subpages: documentIds.length - 1
     });
 
     res.status(200).json({
       success: true,
-      message: 'Document deleted successfully'
+      message: archived ? 'Document archived' : 'Document unarchived',
+      documentIds
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Archive a page and its subpages
+ * @route   POST /api/documents/:id/archive
+ * @access  Private
+ */
+exports.archiveDocument = setDocumentArchived(true);
+
+/**
+ * @desc    Unarchive a page and the subpages archived with it
+ * @route   POST /api/documents/:id/unarchive
+ * @access  Private
+ */
+exports.unarchiveDocument = setDocumentArchived(false);
+
 /**
  * @desc    Add collaborator to document
  * @route   POST /api/documents/:id/collaborators
@@ -254,8 +589,7 @@ exports.addCollaborator = async (req, res, next) => {
     await document.addCollaborator(userId, canEdit);
 
     // Create notification
-    await Notification.create({
-      userId,
+    await notifyUsers(req.app.get('io'), [userId], {
       type: 'document_shared',
       title: 'Document Shared',
       message: `${req.user.name} shared a document with you: ${document.title}`,
@@ -265,6 +599,8 @@ exports.addCollaborator = async (req, res, next) => {
       link: `/workspace/${document.workspaceId}/document/${document._id}`
     });
 
+    await logDocumentActivity(req, document, 'document.shared', { userId, canEdit: !!canEdit });
+
     res.status(200).json({
       success: true,
       message: 'Collaborator added successfully',
@@ -303,6 +639,8 @@ exports.removeCollaborator = async (req, res, next) => {
 
     await document.removeCollaborator(userId);
 
+    await logDocumentActivity(req, document, 'document.unshared', { userId });
+
     res.status(200).json({
       success: true,
       message: 'Collaborator removed successfully'
@@ -313,26 +651,99 @@ exports.removeCollaborator = async (req, res, next) => {
 };
 
 /**
- * @desc    Get document version history
- * @route   GET /api/documents/:id/versions
+ * @desc    Get document version history, newest first, without content
+ * @route   GET /api/documents/:id/versions?limit=&before=
  * @access  Private
  */
 exports.getVersionHistory = async (req, res, next) => {
   try {
-    const document = await Document.findById(req.params.id)
-      .populate('versionHistory.editedBy', 'name email avatar')
-      .select('versionHistory');
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id);
+    const { versions, total } = await documentVersionUtils.listVersions(document._id, {
+      limit: parseInt(req.query.limit) || 50,
+      before: parseInt(req.query.before) || undefined
+    });
 
-    if (!document) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found'
-      });
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      total,
+      versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save the current content as a version, optionally named
+ * @route   POST /api/documents/:id/versions
+ * @access  Private (editors)
+ */
+exports.saveDocumentVersion = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id, true);
+    const version = await documentVersionUtils.describeVersion(
+      await documentSyncUtils.saveVersion(document._id.toString(), req.user._id, { name, description })
+    );
+
+    const io = req.app.get('io');
+    if (io) io.to(`document:${document._id}`).emit('document:version:saved', { documentId: document._id, version });
+
+    await logDocumentActivity(req, document, 'document.version_saved', { version: version.number, name: version.name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Version saved',
+      version
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a version with its content
+ * @route   GET /api/documents/:id/versions/:versionNumber
+ * @access  Private
+ */
+exports.getDocumentVersion = async (req, res, next) => {
+  try {
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id);
+    const { version, delta } = await documentVersionUtils.getVersionContent(document._id, req.params.versionNumber);
+
+    res.status(200).json({
+      success: true,
+      version,
+      delta: delta.ops,
+      content: documentSyncUtils.deltaToHtml(delta.ops)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Name, rename or describe a version
+ * @route   PATCH /api/documents/:id/versions/:versionNumber
+ * @access  Private (editors)
+ */
+exports.updateDocumentVersion = async (req, res, next) => {
+  try {
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id, true);
+    const version = await documentVersionUtils.updateVersion(document._id, req.params.versionNumber, req.body);
+
+    const io = req.app.get('io');
+    if (io) io.to(`document:${document._id}`).emit('document:version:updated', { documentId: document._id, version });
+
+    if (req.body.name !== undefined) {
+      await logDocumentActivity(req, document, 'document.version_named', { version: version.number, name: version.name });
     }
 
     res.status(200).json({
       success: true,
-      versionHistory: document.versionHistory
+      message: 'Version updated',
+      version
     });
   } catch (error) {
     next(error);
@@ -340,44 +751,77 @@ exports.getVersionHistory = async (req, res, next) => {
 };
 
 /**
- * @desc    Restore document to specific version
- * @route   POST /api/documents/:id/versions/:versionIndex/restore
+ * @desc    Compare two versions; `to` may be "current" for the live content
+ * @route   GET /api/documents/:id/versions/diff?from=&to=&mode=inline|split
  * @access  Private
  */
-exports.restoreVersion = async (req, res, next) => {
+exports.getDocumentVersionDiff = async (req, res, next) => {
   try {
-    const { versionIndex } = req.params;
+    const { from, to = 'current', mode = 'inline' } = req.query;
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id);
+
+    const loadContent = async (number) => {
+      if (number === 'current') {
+        const state = await documentSyncUtils.getDocumentState(document._id.toString());
+        if (!state.delta) {
+          throw new documentSyncUtils.DocumentSyncError('Document has not been initialised for real-time editing');
+        }
+        return new Delta(state.delta);
+      }
+      return (await documentVersionUtils.getVersionContent(document._id, number)).delta;
+    };
+
+    const diff = documentVersionUtils.diffDeltas(await loadContent(from), await loadContent(to), mode);
 
-    const document = await Document.findById(req.params.id);
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      ...diff
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (!document) {
-      return res.status(404).json({
-        success: false,
-        message: 'Document not found'
-      });
-    }
+/**
+ * @desc    Restore a version. The restore is a new edit and a new version;
+ *          nothing after the restored version is lost.
+ * @route   POST /api/documents/:id/versions/:versionNumber/restore
+ * @access  Private (editors)
+ */
+exports.restoreVersion = async (req, res, next) => {
+  try {
+    const versionNumber = parseInt(req.params.versionNumber);
+    const document = await documentVersionUtils.getVersionedDocument(req.params.id, req.user._id, true);
+    const restored = await documentSyncUtils.restoreVersion(document._id.toString(), versionNumber, req.user._id);
+    const { operation } = restored;
+    const version = restored.version ? await documentVersionUtils.describeVersion(restored.version) : null;
 
-    // Check if user can edit
-    if (!document.canUserEdit(req.user._id)) {
-      return res.status(403).json({
-        success: false,
-        message: 'You do not have permission to edit this document'
+    // Open editors apply the restore like any other edit
+    const io = req.app.get('io');
+    if (io && operation) {
+      io.to(`document:${document._id}`).emit('document:op', {
+        documentId: document._id,
+        revision: operation.revision,
+        ops: operation.ops,
+        opId: operation.opId,
+        userId: req.user._id,
+        userName: req.user.name,
+        timestamp: new Date()
       });
     }
+    if (io && version) {
+      io.to(`document:${document._id}`).emit('document:version:saved', { documentId: document._id, version });
+    }
 
-    await document.restoreVersion(parseInt(versionIndex), req.user._id);
-
-    // Emit socket event
-    const io = req.app.get('io');
-    io.to(`workspace:${document.workspaceId}`).emit('document:restored', {
-      documentId: document._id,
-      content: document.content
-    });
+    await logDocumentActivity(req, document, 'document.restored', { version: versionNumber });
 
     res.status(200).json({
       success: true,
       message: 'Document restored to selected version',
-      document
+      version,
+      revision: operation ? operation.revision : undefined
     });
   } catch (error) {
     next(error);
@@ -505,21 +949,15 @@ exports.updateDocumentContent = async (req, res, next) => {
     if (!document) return res.status(404).json({ success: false, message: 'Document not found' });
     if (!document.canUserEdit(req.user._id)) return res.status(403).json({ success: false, message: 'No edit permission' });
 
-    // Save previous content to versionHistory
-    document.versionHistory = document.versionHistory || [];
-    document.versionHistory.push({
-      content: document.content,
-      editedBy: document.lastEditedBy || req.user._id,
-      editedAt: new Date()
-    });
-
     document.content = content;
     document.lastEditedBy = req.user._id;
-    await document.save();
+    await replaceLiveContent(req, document, () => document.save());
 
     const io = req.app.get('io');
     if (io) io.to(`workspace:${document.workspaceId}`).emit('document:contentUpdated', { documentId: document._id, content });
 
+    await logDocumentActivity(req, document, 'document.updated', { fields: ['content'] });
+
     res.status(200).json({ success: true, message: 'Content updated', document });
   } catch (error) {
     next(error);
@@ -567,16 +1005,21 @@ exports.duplicateDocument = async (req, res, next) => {
     const document = await Document.findById(req.params.id);
     if (!document) return res.status(404).json({ success: false, message: 'Document not found' });
 
+    // The copy sits right after the original; a copy of an archived page goes to the top level
     const dup = await Document.create({
       title: `${document.title} (Copy)`,
       content: document.content,
       workspaceId: document.workspaceId,
       projectId: document.projectId,
+      parentId: document.isArchived ? null : document.parentId,
       createdBy: req.user._id,
       lastEditedBy: req.user._id,
       tags: document.tags,
       isPublic: document.isPublic
     });
+    await documentTreeUtils.placeDocument(dup, document.isArchived ? undefined : document.position + 1);
+
+    await logDocumentActivity(req, dup, 'document.created', { duplicatedFrom: document._id });
 
     res.status(201).json({ success: true, message: 'Document duplicated', document: dup });
   } catch (error) {
@@ -584,40 +1027,244 @@ exports.duplicateDocument = async (req, res, next) => {
   }
 };
 
-// Export document (not implemented)
+/**
+ * @desc    Export a document as Markdown, HTML, plain text or DOCX
+ * @route   GET /api/documents/:id/export?format=md|html|txt|docx
+ * @access  Private
+ */
 exports.exportDocument = async (req, res, next) => {
-  return res.status(501).json({ success: false, message: 'Export not implemented' });
+  try {
+    const document = await documentExportUtils.getExportableDocument(req.params.id, req.user._id);
+    const { data, fileName, mimeType } = await documentExportUtils.exportDocument(document, req.query.format);
+
+    res.attachment(fileName);
+    res.type(mimeType);
+    res.status(200).send(data);
+  } catch (error) {
+    next(error);
+  }
 };
 
-// Comments
+/**
+ * @desc    Export every document of a workspace, or of one project, as a zip
+ * @route   GET /api/documents/workspaces/:workspaceId/export?format=md|html|txt|docx&projectId=
+ * @access  Private
+ */
+exports.exportWorkspaceDocuments = async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+    const { format, projectId } = req.query;
+
+    const workspace = await Workspace.findById(workspaceId).select('name');
+    if (!workspace) {
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+    }
+
+    const projects = await Project.find(projectId ? { _id: projectId, workspaceId } : { workspaceId }).select('name');
+    if (projectId && !projects.length) {
+      return res.status(404).json({ success: false, message: 'Project not found in this workspace' });
+    }
+
+    const filter = { workspaceId, isArchived: { $ne: true } };
+    if (projectId) filter.projectId = projectId;
+    const ids = await Document.find(filter).distinct('_id');
+    await Promise.all(ids.map(id => documentSyncUtils.flushSnapshot(id.toString())));
+    const documents = await Document.find(filter).sort('title');
+
+    // A project export is already a single folder
+    const projectNames = projectId
+      ? new Map()
+      : new Map(projects.map(project => [project._id.toString(), project.name]));
+    const entries = await documentExportUtils.exportDocumentEntries(documents, format, projectNames);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', error => res.destroy(error));
+
+    res.attachment(documentExportUtils.getExportFileName(projectId ? projects[0].name : workspace.name, 'zip'));
+    archive.pipe(res);
+    entries.forEach(entry => archive.append(entry.data, { name: entry.name }));
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the documents, tasks and messages that link to a document
+ * @route   GET /api/documents/:id/backlinks
+ * @access  Private
+ */
+exports.getDocumentBacklinks = async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const backlinks = await linkReferenceUtils.getBacklinks('document', document._id, req.user._id);
+
+    res.status(200).json({ success: true, count: backlinks.length, backlinks });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==================== COMMENTS & SUGGESTIONS ====================
+
+/**
+ * @desc    List comment threads and suggestions with up-to-date anchors
+ * @route   GET /api/documents/:id/comments?status=open|closed|all
+ * @access  Private
+ */
+exports.getDocumentComments = async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comments = await documentCommentUtils.listComments(document, req.query.status || 'open');
+
+    res.status(200).json({ success: true, count: comments.length, comments });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on, or suggest a change to, a range of the document
+ * @route   POST /api/documents/:id/comments
+ * @access  Private
+ */
 exports.addDocumentComment = async (req, res, next) => {
   try {
-    const { text } = req.body;
-    if (!text) return res.status(400).json({ success: false, message: 'Comment text is required' });
-    const document = await Document.findById(req.params.id);
-    if (!document) return res.status(404).json({ success: false, message: 'Document not found' });
-    document.comments = document.comments || [];
-    const comment = { userId: req.user._id, text, createdAt: new Date() };
-    document.comments.push(comment);
-    await document.save();
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.addComment(req.app.get('io'), document, req.user, req.body);
+
+    await logDocumentActivity(req, document, comment.kind === 'suggestion' ? 'document.suggested' : 'document.commented', {
+      commentId: comment._id
+    });
+
     res.status(201).json({ success: true, message: 'Comment added', comment });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @desc    Edit the text of your comment
+ * @route   PATCH /api/documents/:id/comments/:commentId
+ * @access  Private
+ */
+exports.updateDocumentComment = async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.getComment(document, req.params.commentId);
+    const updated = await documentCommentUtils.editComment(req.app.get('io'), document, comment, req.user._id, req.body.text);
+
+    res.status(200).json({ success: true, message: 'Comment updated', comment: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a comment thread
+ * @route   DELETE /api/documents/:id/comments/:commentId
+ * @access  Private
+ */
 exports.deleteDocumentComment = async (req, res, next) => {
   try {
-    const { commentId } = req.params;
-    const document = await Document.findById(req.params.id);
-    if (!document) return res.status(404).json({ success: false, message: 'Document not found' });
-    const comment = document.comments.id(commentId);
-    if (!comment) return res.status(404).json({ success: false, message: 'Comment not found' });
-    if (comment.userId.toString() !== req.user._id.toString()) return res.status(403).json({ success: false, message: 'Can only delete your own comments' });
-    document.comments = (document.comments || []).filter(c => c._id.toString() !== commentId);
-    await document.save();
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.getComment(document, req.params.commentId);
+    await documentCommentUtils.deleteComment(req.app.get('io'), document, comment, req.user._id);
+
+    await logDocumentActivity(req, document, 'document.comment_deleted', { commentId: comment._id });
+
     res.status(200).json({ success: true, message: 'Comment deleted' });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @desc    Reply to a comment thread
+ * @route   POST /api/documents/:id/comments/:commentId/replies
+ * @access  Private
+ */
+exports.replyToDocumentComment = async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.getComment(document, req.params.commentId);
+    const updated = await documentCommentUtils.addReply(req.app.get('io'), document, comment, req.user, req.body);
+
+    res.status(201).json({ success: true, message: 'Reply added', comment: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Shared by resolve and reopen
+const setCommentResolved = (resolved) => async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.getComment(document, req.params.commentId);
+    const updated = await documentCommentUtils.setResolved(req.app.get('io'), document, comment, req.user._id, resolved);
+
+    await logDocumentActivity(req, document, resolved ? 'document.comment_resolved' : 'document.comment_reopened', {
+      commentId: comment._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: resolved ? 'Comment resolved' : 'Comment reopened',
+      comment: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve a comment thread
+ * @route   POST /api/documents/:id/comments/:commentId/resolve
+ * @access  Private (author or editors)
+ */
+exports.resolveDocumentComment = setCommentResolved(true);
+
+/**
+ * @desc    Reopen a resolved comment thread
+ * @route   POST /api/documents/:id/comments/:commentId/reopen
+ * @access  Private (author or editors)
+ */
+exports.reopenDocumentComment = setCommentResolved(false);
+
+// Shared by accept and reject
+const decideSuggestion = (accept) => async (req, res, next) => {
+  try {
+    const document = await documentCommentUtils.getAccessibleDocument(req.params.id, req.user._id);
+    const comment = await documentCommentUtils.getComment(document, req.params.commentId);
+    const { comment: updated, operation } = await documentCommentUtils.decideSuggestion(
+      req.app.get('io'), document, comment, req.user, accept
+    );
+
+    await logDocumentActivity(req, document, accept ? 'document.suggestion_accepted' : 'document.suggestion_rejected', {
+      commentId: comment._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: accept ? 'Suggestion accepted' : 'Suggestion rejected',
+      comment: updated,
+      revision: operation ? operation.revision : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a suggestion and apply its change
+ * @route   POST /api/documents/:id/comments/:commentId/accept
+ * @access  Private (document owner)
+ */
+exports.acceptDocumentSuggestion = decideSuggestion(true);
+
+/**
+ * @desc    Reject a suggestion
+ * @route   POST /api/documents/:id/comments/:commentId/reject
+ * @access  Private (document owner or suggestion author)
+ */
+exports.rejectDocumentSuggestion = decideSuggestion(false);
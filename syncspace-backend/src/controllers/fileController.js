@@ -1,8 +1,174 @@
 // /src/controllers/fileController.js
 
-const File = require('../models/File');
 const path = require('path');
-const fs = require('fs');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+const { deleteFile: discardUpload } = require('../middlewares/uploadMiddleware');
+const { logActivity } = require('../utils/activityUtils');
+const { notifyUsers } = require('../utils/notificationUtils');
+const {
+  getStorage,
+  storeUpload,
+  removeObjects,
+  sendObject
+} = require('../utils/storageUtils');
+const fileFolderUtils = require('../utils/fileFolderUtils');
+const { getPreview, warmPreview, removePreviews, formatPreview } = require('../utils/filePreviewUtils');
+const {
+  reserveStorage,
+  releaseStorage,
+  getFileBytes,
+  checkUsageWarnings
+} = require('../utils/storageUsageUtils');
+const { AppError } = require('../utils/helpers');
+
+// Record a file mutation in the workspace activity feed
+const logFileActivity = (req, file, action, metadata) => {
+  return logActivity(req.app.get('io'), {
+    workspaceId: file.workspaceId || req.body.workspaceId,
+    projectId: file.projectId || req.body.projectId,
+    actorId: req.user._id,
+    action,
+    entityType: 'file',
+    entityId: file._id,
+    entityName: file.originalName,
+    metadata
+  });
+};
+
+// Tell a task's assignee and creator about files attached to it
+const notifyTaskUpload = async (req, files) => {
+  if (!req.body.taskId) return;
+
+  const task = await Task.findById(req.body.taskId).select('title assignee createdBy workspaceId projectId');
+  if (!task) return;
+
+  const names = files.map(file => file.originalName);
+  await notifyUsers(req.app.get('io'), [task.assignee, task.createdBy], {
+    type: 'file_uploaded',
+    title: 'File Uploaded',
+    message: names.length === 1
+      ? `${req.user.name} attached ${names[0]} to ${task.title}`
+      : `${req.user.name} attached ${names.length} files to ${task.title}`,
+    workspaceId: task.workspaceId,
+    projectId: task.projectId,
+    taskId: task._id,
+    senderId: req.user._id,
+    link: `/workspace/${task.workspaceId}/project/${task.projectId}/task/${task._id}`
+  }, { payload: { files } });
+};
+
+// verifyWorkspaceAccess skips /files routes, so access is checked here
+const canAccessWorkspace = async (workspaceId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) return false;
+  const workspace = await Workspace.findById(workspaceId).select('members createdBy');
+  return !!workspace && workspace.hasAccess(userId);
+};
+
+// Load a file the user can open, answering 404/403 itself when it can't be used
+const getAccessibleFile = async (req, res) => {
+  const file = await File.findById(req.params.id);
+  if (!file || !file.storageKey) {
+    res.status(404).json({ success: false, message: 'File not found' });
+    return null;
+  }
+
+  if (!(await canAccessWorkspace(file.workspaceId, req.user._id))) {
+    res.status(403).json({ success: false, message: 'Access denied to this file' });
+    return null;
+  }
+  return file;
+};
+
+// Load a folder the user can open, answering 404/403 itself when it can't be used
+const getAccessibleFolder = async (req, res) => {
+  const folder = await Folder.findById(req.params.folderId);
+  if (!folder) {
+    res.status(404).json({ success: false, message: 'Folder not found' });
+    return null;
+  }
+
+  if (!(await canAccessWorkspace(folder.workspaceId, req.user._id))) {
+    res.status(403).json({ success: false, message: 'Access denied to this folder' });
+    return null;
+  }
+  return folder;
+};
+
+/**
+ * Put uploaded files into storage and create their File records. Stored
+ * objects are removed again if anything fails part way.
+ */
+const storeFiles = async (req, uploads, folder) => {
+  const { workspaceId, projectId, taskId, description } = req.body;
+  const files = [];
+
+  try {
+    for (const upload of uploads) {
+      const file = new File({
+        fileName: upload.originalname,
+        originalName: upload.originalname,
+        fileType: path.extname(upload.originalname).slice(1).toLowerCase() || 'file',
+        fileSize: upload.size,
+        mimeType: upload.mimetype,
+        workspaceId,
+        projectId: folder && folder.projectId ? folder.projectId : projectId || null,
+        taskId: taskId || null,
+        folderId: folder ? folder._id : null,
+        description: description || '',
+        uploadedBy: req.user._id
+      });
+      file.fileUrl = `/api/files/${file._id}/download`;
+
+      const stored = await storeUpload(upload, `files/${workspaceId}`);
+      file.storageKey = stored.key;
+      file.fileSize = stored.size;
+      files.push(file);
+    }
+
+    return await File.insertMany(files);
+  } catch (error) {
+    await removeObjects(files.map(file => file.storageKey));
+    await Promise.all(uploads.map(upload => discardUpload(upload.path).catch(() => {})));
+    throw error;
+  }
+};
+
+// Check the target workspace, task and folder of an upload before storing anything
+// Returns { folder }, or { status, message } when the upload can't go there
+const checkUploadTarget = async (req, uploads) => {
+  const { workspaceId, taskId, folderId } = req.body;
+  let target = {};
+
+  if (!workspaceId) {
+    target = { status: 400, message: 'workspaceId is required' };
+  } else if (!(await canAccessWorkspace(workspaceId, req.user._id))) {
+    target = { status: 403, message: 'Access denied to this workspace' };
+  } else {
+    if (taskId) {
+      const task = mongoose.Types.ObjectId.isValid(taskId)
+        ? await Task.findOne({ _id: taskId, workspaceId }).select('_id')
+        : null;
+      if (!task) target = { status: 404, message: 'Task not found in this workspace' };
+    }
+    if (!target.message) {
+      try {
+        target = { folder: await fileFolderUtils.resolveFolder(workspaceId, folderId) };
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        target = { status: error.statusCode, message: error.message };
+      }
+    }
+  }
+
+  if (target.message) {
+    await Promise.all(uploads.map(upload => discardUpload(upload.path).catch(() => {})));
+  }
+  return target;
+};
 
 /**
  * @desc    Upload a file
@@ -18,22 +184,16 @@ exports.uploadFile = async (req, res, next) => {
       });
     }
 
-    const fileData = {
-      name: req.file.originalname,
-      filename: req.file.filename,
-      path: req.file.path,
-      size: req.file.size,
-      mimetype: req.file.mimetype,
-      uploadedBy: req.user.id
-    };
+    const target = await checkUploadTarget(req, [req.file]);
+    if (target.message) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
 
-    // Add optional fields if provided
-    if (req.body.workspaceId) fileData.workspace = req.body.workspaceId;
-    if (req.body.projectId) fileData.project = req.body.projectId;
-    if (req.body.taskId) fileData.task = req.body.taskId;
-    if (req.body.description) fileData.description = req.body.description;
+    const [file] = await storeFiles(req, [req.file], target.folder);
+    warmPreview(file);
 
-    const file = await File.create(fileData);
+    await logFileActivity(req, file, 'file.uploaded', { size: file.fileSize, mimetype: file.mimeType });
+    await notifyTaskUpload(req, [file]);
 
     res.status(201).json({
       success: true,
@@ -59,19 +219,18 @@ exports.uploadMultipleFiles = async (req, res, next) => {
       });
     }
 
-    const filesData = req.files.map(file => ({
-      name: file.originalname,
-      filename: file.filename,
-      path: file.path,
-      size: file.size,
-      mimetype: file.mimetype,
-      uploadedBy: req.user.id,
-      workspace: req.body.workspaceId,
-      project: req.body.projectId,
-      task: req.body.taskId
-    }));
+    const target = await checkUploadTarget(req, req.files);
+    if (target.message) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
 
-    const files = await File.insertMany(filesData);
+    const files = await storeFiles(req, req.files, target.folder);
+    files.forEach(warmPreview);
+
+    for (const file of files) {
+      await logFileActivity(req, file, 'file.uploaded', { size: file.fileSize, mimetype: file.mimeType });
+    }
+    await notifyTaskUpload(req, files);
 
     res.status(201).json({
       success: true,
@@ -100,6 +259,13 @@ exports.getFileById = async (req, res, next) => {
       });
     }
 
+    if (!(await canAccessWorkspace(file.workspaceId, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this file'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: file
@@ -110,30 +276,69 @@ exports.getFileById = async (req, res, next) => {
 };
 
 /**
- * @desc    Download file
+ * @desc    Download file (?inline=true to display it in the browser)
  * @route   GET /api/files/:id/download
  * @access  Private
  */
 exports.downloadFile = async (req, res, next) => {
   try {
-    const file = await File.findById(req.params.id);
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
 
-    if (!file) {
+    await file.incrementDownloadCount();
+
+    await sendObject(res, file.storageKey, {
+      filename: file.fileName,
+      contentType: file.mimeType,
+      inline: req.query.inline === 'true'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a short-lived signed download URL for a file
+ * @route   GET /api/files/:id/url
+ * @access  Private
+ */
+exports.getFileUrl = async (req, res, next) => {
+  try {
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    const { url, expiresAt } = await getStorage().getSignedUrl(file.storageKey, { filename: file.fileName });
+
+    res.status(200).json({
+      success: true,
+      data: { url, expiresAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Serve a file from local storage through a signed URL
+ * @route   GET /api/files/signed/*
+ * @access  Public (signature checked)
+ */
+exports.serveSignedFile = async (req, res, next) => {
+  try {
+    const storage = getStorage();
+
+    // Other drivers hand out their own signed URLs
+    if (!storage.verifySignedUrl) {
       return res.status(404).json({
         success: false,
         message: 'File not found'
       });
     }
 
-    // Check if file exists on disk
-    if (!fs.existsSync(file.path)) {
-      return res.status(404).json({
-        success: false,
-        message: 'File not found on server'
-      });
-    }
+    const { expires, signature, filename } = req.query;
+    const key = storage.verifySignedUrl(req.params[0], { expires, signature, filename });
 
-    res.download(file.path, file.name);
+    await sendObject(res, key, { filename });
   } catch (error) {
     next(error);
   }
@@ -163,12 +368,12 @@ exports.deleteFile = async (req, res, next) => {
       });
     }
 
-    // Delete file from disk
-    if (fs.existsSync(file.path)) {
-      fs.unlinkSync(file.path);
-    }
-
     await file.deleteOne();
+    await removeObjects(file.getStorageKeys());
+    await releaseStorage(file.workspaceId, getFileBytes(file));
+    await removePreviews([file._id]);
+
+    await logFileActivity(req, file, 'file.deleted');
 
     res.status(200).json({
       success: true,
@@ -179,6 +384,166 @@ exports.deleteFile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Upload a new version of a file (field `file`, optional `changes` note).
+ *          The file keeps its ID, so links to it keep working
+ * @route   POST /api/files/:id/versions
+ * @access  Private
+ */
+exports.uploadFileVersion = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const file = await getAccessibleFile(req, res);
+    if (!file) return discardUpload(req.file.path).catch(() => {});
+
+    const stored = await storeUpload(req.file, `files/${file.workspaceId}`);
+
+    try {
+      await file.createNewVersion({
+        fileName: req.file.originalname,
+        storageKey: stored.key,
+        fileSize: stored.size,
+        fileType: path.extname(req.file.originalname).slice(1).toLowerCase() || 'file',
+        mimeType: req.file.mimetype
+      }, req.user._id, req.body.changes || '');
+    } catch (error) {
+      await removeObjects([stored.key]);
+      throw error;
+    }
+    warmPreview(file);
+
+    await logFileActivity(req, file, 'file.version_uploaded', { version: file.version, changes: file.changes });
+    await file.populate('uploadedBy', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${file.version} uploaded`,
+      data: file
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the versions of a file, newest first
+ * @route   GET /api/files/:id/versions
+ * @access  Private
+ */
+exports.getFileVersions = async (req, res, next) => {
+  try {
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    await file.populate([
+      { path: 'uploadedBy', select: 'name email' },
+      { path: 'versionUploadedBy', select: 'name email' },
+      { path: 'versionHistory.uploadedBy', select: 'name email' }
+    ]);
+
+    const versions = [
+      {
+        version: file.version,
+        fileName: file.fileName,
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        uploadedBy: file.versionUploadedBy || file.uploadedBy,
+        uploadedAt: file.versionUploadedAt || file.createdAt,
+        changes: file.changes,
+        isCurrent: true
+      },
+      ...file.versionHistory.map(version => ({
+        version: version.version,
+        fileName: version.fileName,
+        fileSize: version.fileSize,
+        mimeType: version.mimeType,
+        uploadedBy: version.uploadedBy,
+        uploadedAt: version.uploadedAt,
+        changes: version.changes,
+        isCurrent: false
+      }))
+    ].sort((a, b) => b.version - a.version);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a previous version of a file
+ * @route   GET /api/files/:id/versions/:version/download
+ * @access  Private
+ */
+exports.downloadFileVersion = async (req, res, next) => {
+  try {
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    const versionNumber = parseInt(req.params.version, 10);
+    const version = versionNumber === file.version ? file : file.getVersion(versionNumber);
+
+    if (!version || !version.storageKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await sendObject(res, version.storageKey, {
+      filename: version.fileName,
+      contentType: version.mimeType,
+      inline: req.query.inline === 'true'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a previous version as the newest version (optional `changes` note)
+ * @route   POST /api/files/:id/versions/:version/restore
+ * @access  Private
+ */
+exports.restoreFileVersion = async (req, res, next) => {
+  try {
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    const versionNumber = parseInt(req.params.version, 10);
+    if (!file.getVersion(versionNumber)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found'
+      });
+    }
+
+    await file.restoreVersion(versionNumber, req.user._id, req.body.changes);
+    warmPreview(file);
+
+    await logFileActivity(req, file, 'file.version_restored', { version: file.version, restoredVersion: versionNumber });
+    await file.populate('uploadedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${versionNumber} restored as version ${file.version}`,
+      data: file
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get workspace files
  * @route   GET /api/files/workspace/:workspaceId
@@ -186,7 +551,7 @@ exports.deleteFile = async (req, res, next) => {
  */
 exports.getWorkspaceFiles = async (req, res, next) => {
   try {
-    const files = await File.find({ workspace: req.params.workspaceId })
+    const files = await File.find({ workspaceId: req.params.workspaceId })
       .populate('uploadedBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -207,7 +572,7 @@ exports.getWorkspaceFiles = async (req, res, next) => {
  */
 exports.getProjectFiles = async (req, res, next) => {
   try {
-    const files = await File.find({ project: req.params.projectId })
+    const files = await File.find({ projectId: req.params.projectId })
       .populate('uploadedBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -228,7 +593,7 @@ exports.getProjectFiles = async (req, res, next) => {
  */
 exports.getTaskFiles = async (req, res, next) => {
   try {
-    const files = await File.find({ task: req.params.taskId })
+    const files = await File.find({ taskId: req.params.taskId })
       .populate('uploadedBy', 'name email')
       .sort({ createdAt: -1 });
 
@@ -267,12 +632,18 @@ exports.updateFileMetadata = async (req, res, next) => {
     }
 
     const { name, description } = req.body;
+    const oldName = file.originalName;
 
-    if (name) file.name = name;
+    if (name) {
+      file.originalName = name;
+      file.fileName = name;
+    }
     if (description !== undefined) file.description = description;
 
     await file.save();
 
+    await logFileActivity(req, file, 'file.updated', name && name !== oldName ? { oldName } : {});
+
     res.status(200).json({
       success: true,
       message: 'File metadata updated successfully',
@@ -321,41 +692,82 @@ exports.shareFile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the preview of a file (?version=, defaults to the current one):
+ *          thumbnail info, PDF text, highlighted source or CSV rows
+ * @route   GET /api/files/:id/preview
+ * @access  Private
+ */
 exports.getFilePreview = async (req, res, next) => {
   try {
-    const file = await File.findById(req.params.id);
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
 
-    if (!file) {
+    const versionNumber = req.query.version ? parseInt(req.query.version, 10) : file.version;
+    const preview = await getPreview(file, versionNumber);
+
+    if (!preview) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'Version not found'
       });
     }
 
     res.status(200).json({
       success: true,
-      message: 'File preview functionality - to be implemented',
-      data: file
+      data: formatPreview(preview)
     });
   } catch (error) {
     next(error);
   }
 };
 
-exports.moveFile = async (req, res, next) => {
+/**
+ * @desc    Get the WebP thumbnail of an image or PDF (?version=, defaults to the current one)
+ * @route   GET /api/files/:id/thumbnail
+ * @access  Private
+ */
+exports.getFileThumbnail = async (req, res, next) => {
   try {
-    const file = await File.findById(req.params.id);
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
 
-    if (!file) {
+    const versionNumber = req.query.version ? parseInt(req.query.version, 10) : file.version;
+    const preview = await getPreview(file, versionNumber);
+
+    if (!preview || !preview.thumbnailKey) {
       return res.status(404).json({
         success: false,
-        message: 'File not found'
+        message: 'No thumbnail for this file'
       });
     }
 
+    // A version's thumbnail never changes
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    await sendObject(res, preview.thumbnailKey, { contentType: 'image/webp' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a file into a folder (`folderId`, null for the top level)
+ * @route   POST /api/files/:id/move
+ * @access  Private
+ */
+exports.moveFile = async (req, res, next) => {
+  try {
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    const fromFolderId = file.folderId;
+    await fileFolderUtils.moveFile(file, req.body.folderId || null);
+
+    await logFileActivity(req, file, 'file.moved', { fromFolderId, toFolderId: file.folderId });
+
     res.status(200).json({
       success: true,
-      message: 'File move functionality - to be implemented',
+      message: 'File moved successfully',
       data: file
     });
   } catch (error) {
@@ -363,21 +775,156 @@ exports.moveFile = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Copy a file, content included, into a folder (`folderId`, its own folder when omitted)
+ * @route   POST /api/files/:id/copy
+ * @access  Private
+ */
 exports.copyFile = async (req, res, next) => {
   try {
-    const file = await File.findById(req.params.id);
+    const file = await getAccessibleFile(req, res);
+    if (!file) return;
+
+    // A copy has its own stored bytes
+    const reserved = await reserveStorage(file.workspaceId, file.fileSize);
+
+    let copy;
+    try {
+      copy = await fileFolderUtils.copyFile(file, { folderId: req.body.folderId }, req.user._id);
+    } catch (error) {
+      if (reserved) await releaseStorage(file.workspaceId, file.fileSize);
+      throw error;
+    }
+    warmPreview(copy);
+    await checkUsageWarnings(req.app.get('io'), file.workspaceId);
+    await copy.populate('uploadedBy', 'name email');
 
-    if (!file) {
-      return res.status(404).json({
+    await logFileActivity(req, copy, 'file.copied', { sourceFileId: file._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'File copied successfully',
+      data: copy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a folder of workspace files (?workspaceId=&projectId=&folderId=):
+ *          subfolders with sizes, files and breadcrumbs
+ * @route   GET /api/files/browse
+ * @access  Private
+ */
+exports.browseFiles = async (req, res, next) => {
+  try {
+    const { workspaceId, projectId, folderId } = req.query;
+
+    if (!(await canAccessWorkspace(workspaceId, req.user._id))) {
+      return res.status(403).json({
         success: false,
-        message: 'File not found'
+        message: 'Access denied to this workspace'
       });
     }
 
+    const contents = await fileFolderUtils.getFolderContents(workspaceId, { projectId, folderId });
+
     res.status(200).json({
       success: true,
-      message: 'File copy functionality - to be implemented',
-      data: file
+      data: contents
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a folder ({ workspaceId, projectId, parentId, name })
+ * @route   POST /api/files/folders
+ * @access  Private
+ */
+exports.createFolder = async (req, res, next) => {
+  try {
+    if (!(await canAccessWorkspace(req.body.workspaceId, req.user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this workspace'
+      });
+    }
+
+    const folder = await fileFolderUtils.createFolder(req.body, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename a folder
+ * @route   PATCH /api/files/folders/:folderId
+ * @access  Private
+ */
+exports.updateFolder = async (req, res, next) => {
+  try {
+    const folder = await getAccessibleFolder(req, res);
+    if (!folder) return;
+
+    await fileFolderUtils.renameFolder(folder, req.body.name);
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder renamed successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a folder and its contents under another folder (`parentId`, null for the top level)
+ * @route   POST /api/files/folders/:folderId/move
+ * @access  Private
+ */
+exports.moveFolder = async (req, res, next) => {
+  try {
+    const folder = await getAccessibleFolder(req, res);
+    if (!folder) return;
+
+    await fileFolderUtils.moveFolder(folder, req.body.parentId || null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Folder moved successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a folder with its subfolders and files
+ * @route   DELETE /api/files/folders/:folderId
+ * @access  Private
+ */
+exports.deleteFolder = async (req, res, next) => {
+  try {
+    const folder = await getAccessibleFolder(req, res);
+    if (!folder) return;
+
+    const { deletedFolderIds, deletedFileIds } = await fileFolderUtils.deleteFolder(folder, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Folder deleted with ${deletedFileIds.length} file(s)`,
+      data: { deletedFolderIds, deletedFileIds }
     });
   } catch (error) {
     next(error);
@@ -389,7 +936,7 @@ exports.searchFiles = async (req, res, next) => {
     const { query } = req.query;
 
     const files = await File.find({
-      name: { $regex: query, $options: 'i' }
+      originalName: { $regex: query, $options: 'i' }
     })
       .populate('uploadedBy', 'name email')
       .sort({ createdAt: -1 });
@@ -4,6 +4,20 @@
  */
 
 const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const { notify } = require('../utils/notificationUtils');
+
+// Preferences as returned to clients; `effective` resolves defaults (and the workspace override)
+const formatPreferences = (preferences, workspaceId) => ({
+  types: Object.fromEntries(preferences.types),
+  workspaces: preferences.workspaces.map(entry => ({
+    workspaceId: entry.workspaceId,
+    types: Object.fromEntries(entry.types)
+  })),
+  quietHours: preferences.quietHours,
+  digestHour: preferences.digestHour,
+  effective: preferences.resolve(workspaceId)
+});
 
 /**
  * @desc    Get all notifications for current user
@@ -224,17 +238,22 @@ exports.getNotificationsByType = async (req, res, next) => {
 };
 
 /**
- * @desc    Update notification preferences (stub)
+ * @desc    Update notification preferences
  * @route   POST /api/notifications/preferences
  * @access  Private
  */
 exports.updatePreferences = async (req, res, next) => {
   try {
-    // Save user preferences in DB (you can extend this logic)
+    const { types, workspaceId, quietHours, digestHour } = req.body;
+
+    const preferences = await NotificationPreference.forUser(req.user._id);
+    preferences.applyUpdate({ types, workspaceId, quietHours, digestHour });
+    await preferences.save();
+
     res.status(200).json({
       success: true,
       message: 'Notification preferences updated',
-      preferences: req.body,
+      preferences: formatPreferences(preferences, workspaceId),
     });
   } catch (error) {
     next(error);
@@ -242,20 +261,18 @@ exports.updatePreferences = async (req, res, next) => {
 };
 
 /**
- * @desc    Get notification preferences (stub)
+ * @desc    Get notification preferences
  * @route   GET /api/notifications/preferences
  * @access  Private
  */
 exports.getPreferences = async (req, res, next) => {
   try {
-    // Fetch preferences (you can load from DB)
+    const preferences = await NotificationPreference.forUser(req.user._id);
+
     res.status(200).json({
       success: true,
-      preferences: {
-        email: true,
-        push: true,
-        inApp: true,
-      },
+      preferences: formatPreferences(preferences, req.query.workspaceId),
+      modes: NotificationPreference.DELIVERY_MODES,
     });
   } catch (error) {
     next(error);
@@ -263,16 +280,26 @@ exports.getPreferences = async (req, res, next) => {
 };
 
 /**
- * @desc    Send test notification (stub)
+ * @desc    Send a test notification to yourself through your preferences
  * @route   POST /api/notifications/test
  * @access  Private
  */
 exports.sendTestNotification = async (req, res, next) => {
   try {
-    // Simulate test notification
+    const notification = await notify(req.app.get('io'), {
+      userId: req.user._id,
+      type: 'system',
+      title: 'Test Notification',
+      message: 'Notifications are working. This is how system notifications reach you.',
+      link: '/notifications',
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Test notification sent successfully!',
+      message: notification
+        ? 'Test notification sent successfully!'
+        : 'System notifications are turned off in your preferences',
+      notification,
     });
   } catch (error) {
     next(error);
@@ -7,7 +7,8 @@
 
 const Project = require('../models/Project');
 const Workspace = require('../models/Workspace');
-const Notification = require('../models/Notification');
+const { getActivityFeed, getActivityFilters } = require('../utils/activityUtils');
+const { notifyUsers } = require('../utils/notificationUtils');
 
 /**
  * @desc    Get all projects in a workspace
@@ -109,11 +110,8 @@ exports.createProject = async (req, res, next) => {
     await workspace.save();
 
     // Notify workspace members
-    const memberIds = workspace.members
-      .filter(m => m.userId.toString() !== req.user._id.toString())
-      .map(m => m.userId);
-
-    await Notification.createForUsers(memberIds, {
+    const io = req.app.get('io');
+    await notifyUsers(io, workspace.members.map(m => m.userId), {
       type: 'system',
       title: 'New Project Created',
       message: `${req.user.name} created a new project: ${name}`,
@@ -124,7 +122,6 @@ exports.createProject = async (req, res, next) => {
     });
 
     // Emit socket event
-    const io = req.app.get('io');
     io.to(`workspace:${workspaceId}`).emit('project:created', project);
 
     res.status(201).json({
@@ -144,7 +141,7 @@ exports.createProject = async (req, res, next) => {
  */
 exports.updateProject = async (req, res, next) => {
   try {
-    const { name, description, status, priority, startDate, dueDate, tags, color, progress } = req.body;
+    const { name, description, status, priority, startDate, dueDate, tags, color, progress, enforceDependencies } = req.body;
 
     const project = await Project.findById(req.params.id);
 
@@ -165,6 +162,7 @@ exports.updateProject = async (req, res, next) => {
     if (tags) project.tags = tags;
     if (color) project.color = color;
     if (progress !== undefined) project.progress = progress;
+    if (enforceDependencies !== undefined) project.enforceDependencies = enforceDependencies;
 
     await project.save();
 
@@ -400,11 +398,110 @@ exports.updateProjectStatus = async (req, res, next) => {
   }
 };
 
-// Get project activity (stub)
+/**
+ * @desc    Get project Kanban workflow
+ * @route   GET /api/projects/:id/workflow
+ * @access  Private
+ */
+exports.getProjectWorkflow = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id).select('workflow');
+    if (!project) return res.status(404).json({ success: false, message: 'Project not found' });
+
+    res.status(200).json({ success: true, workflow: project.getWorkflow() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace project Kanban workflow. Tasks in removed columns must be
+ *          moved with remap: { removedColumnKey: targetColumnKey }
+ * @route   PUT /api/projects/:id/workflow
+ * @access  Private
+ */
+exports.updateProjectWorkflow = async (req, res, next) => {
+  try {
+    const Task = require('../models/Task');
+    const { columns, remap = {} } = req.body;
+
+    const project = await Project.findById(req.params.id);
+    if (!project) return res.status(404).json({ success: false, message: 'Project not found' });
+
+    const workflow = columns.map((column, index) => ({
+      key: column.key,
+      name: column.name,
+      color: column.color,
+      order: column.order !== undefined ? column.order : index,
+      wipLimit: column.wipLimit || null,
+      isDone: !!column.isDone
+    }));
+    const newKeys = workflow.map(column => column.key);
+
+    // Every task in a removed column needs somewhere to go
+    const moves = [];
+    for (const column of project.workflow) {
+      if (newKeys.includes(column.key)) continue;
+
+      const taskCount = await Task.countDocuments({ projectId: project._id, status: column.key });
+      if (!taskCount) continue;
+
+      const target = remap[column.key];
+      if (!target || !newKeys.includes(target)) {
+        return res.status(400).json({
+          success: false,
+          message: `Column "${column.name}" still has ${taskCount} task(s); remap "${column.key}" to one of: ${newKeys.join(', ')}`
+        });
+      }
+      moves.push({ from: column.key, to: target });
+    }
+
+    project.workflow = workflow;
+    await project.save();
+
+    for (const { from, to } of moves) {
+      await Task.updateMany({ projectId: project._id, status: from }, { $set: { status: to } });
+    }
+
+    // Done flags may have moved between columns
+    await project.syncTaskCompletion();
+    await project.calculateProgress();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`workspace:${project.workspaceId}`).emit('project:workflowUpdated', {
+        projectId: project._id,
+        workflow: project.getWorkflow(),
+        remap: moves
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Workflow updated successfully',
+      workflow: project.getWorkflow()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get project activity log
+ * @route   GET /api/projects/:id/activity
+ * @access  Private
+ */
 exports.getProjectActivity = async (req, res, next) => {
   try {
-    // Placeholder: in a full app this would pull audit logs
-    res.status(200).json({ success: true, activity: [] });
+    const project = await Project.findById(req.params.id).select('workspaceId');
+    if (!project) return res.status(404).json({ success: false, message: 'Project not found' });
+
+    const { activities, pagination } = await getActivityFeed(
+      { ...getActivityFilters(req.query), workspaceId: project.workspaceId, projectId: project._id },
+      req.query
+    );
+
+    res.status(200).json({ success: true, activity: activities, pagination });
   } catch (error) {
     next(error);
   }
@@ -9,7 +9,21 @@ const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
 const Workspace = require('../models/Workspace');
-const Notification = require('../models/Notification');
+const TaskLink = require('../models/TaskLink');
+const { logActivity } = require('../utils/activityUtils');
+const { notify, notifyUsers } = require('../utils/notificationUtils');
+const { sendTaskAssignmentEmail } = require('../utils/emailUtils');
+const { normalizeRecurrence } = require('../utils/recurrenceUtils');
+const { getBacklinks } = require('../utils/linkReferenceUtils');
+const { storeUpload, removeObjects, sendObject } = require('../utils/storageUtils');
+const { deleteFile } = require('../middlewares/uploadMiddleware');
+const { releaseStorage } = require('../utils/storageUsageUtils');
+const {
+  getTaskLinks,
+  createTaskLink,
+  removeTaskLink,
+  broadcastLinkChange
+} = require('../utils/taskLinkUtils');
 
 // ------------------ Helpers ------------------
 const getProjectIdFromParams = (params) => {
@@ -17,6 +31,50 @@ const getProjectIdFromParams = (params) => {
   return params.projectId || params.id || params.project_id;
 };
 
+// Record a task mutation in the workspace activity feed
+const logTaskActivity = (req, task, action, metadata) => {
+  return logActivity(req.app.get('io'), {
+    workspaceId: task.workspaceId,
+    projectId: task.projectId,
+    actorId: req.user._id,
+    action,
+    entityType: 'task',
+    entityId: task._id,
+    entityName: task.title,
+    metadata
+  });
+};
+
+// Tell a user they were assigned a task; emailed with the task assignment template
+const notifyAssignment = async (req, task, project, assigneeId, title = 'Task Assigned') => {
+  const taskProject = project || await Project.findById(task.projectId).select('name');
+
+  return notify(req.app.get('io'), {
+    userId: assigneeId,
+    type: 'task_assigned',
+    title,
+    message: `${req.user.name} assigned you a task: ${task.title}`,
+    workspaceId: task.workspaceId,
+    projectId: task.projectId,
+    taskId: task._id,
+    senderId: req.user._id,
+    link: `/workspace/${task.workspaceId}/project/${task.projectId}/task/${task._id}`
+  }, {
+    payload: { task },
+    email: (user) => sendTaskAssignmentEmail(user, task, taskProject, req.user)
+  });
+};
+
+// Reject a move into an unknown column (400), a full column or a done column while blocked (409)
+const rejectColumnMove = (res, error) => {
+  return res.status(error.code === 'unknown_column' ? 400 : 409).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    blockers: error.blockers
+  });
+};
+
 // ------------------ Controllers ------------------
 
 exports.getTasksByProject = async (req, res, next) => {
@@ -45,19 +103,28 @@ exports.getTasksByProject = async (req, res, next) => {
       .populate('createdBy', 'name email avatar')
       .populate('assignee', 'name email avatar')
       .populate('comments.userId', 'name email avatar')
+      .populate('subtasks.assignee', 'name email avatar')
       .sort('position');
 
-    // Group tasks by status
-    const groupedTasks = {
-      todo: tasks.filter(task => task.status === 'todo'),
-      inProgress: tasks.filter(task => task.status === 'inProgress'),
-      done: tasks.filter(task => task.status === 'done')
-    };
+    const blockerCounts = await TaskLink.countOpenBlockers(tasks.map(task => task._id));
+
+    // Group tasks by workflow column; tasks left in a removed column show up in the first one
+    const workflow = project.getWorkflow();
+    const groupedTasks = {};
+    workflow.forEach(column => {
+      groupedTasks[column.key] = [];
+    });
+    tasks.forEach(task => {
+      const openBlockers = blockerCounts.get(task._id.toString()) || 0;
+      const column = groupedTasks[task.status] || groupedTasks[workflow[0].key];
+      column.push({ ...task.toJSON(), openBlockers, isBlocked: openBlockers > 0 });
+    });
 
     return res.status(200).json({
       success: true,
       projectId: project._id,
       count: tasks.length,
+      workflow,
       tasks: groupedTasks
     });
   } catch (error) {
@@ -81,6 +148,7 @@ exports.getTaskById = async (req, res, next) => {
       .populate('assignee', 'name email avatar')
       .populate('comments.userId', 'name email avatar')
       .populate('attachments.uploadedBy', 'name email avatar')
+      .populate('subtasks.assignee', 'name email avatar')
       .populate('projectId', 'name')
       .populate('workspaceId', 'name');
 
@@ -114,7 +182,8 @@ exports.createTask = async (req, res, next) => {
       assignee,
       dueDate,
       tags,
-      estimatedHours
+      estimatedHours,
+      recurrence
     } = req.body;
 
     // Ensure required fields (title)
@@ -128,6 +197,10 @@ exports.createTask = async (req, res, next) => {
       return res.status(404).json({ success: false, message: 'Project not found' });
     }
 
+    const taskStatus = status || project.getDefaultStatus();
+    const columnError = await project.checkColumnMove(taskStatus);
+    if (columnError) return rejectColumnMove(res, columnError);
+
     // Create the task using project._id (ObjectId)
     const task = await Task.create({
       title: title.trim(),
@@ -136,11 +209,12 @@ exports.createTask = async (req, res, next) => {
       workspaceId: project.workspaceId,
       createdBy: req.user._id,
       assignee: assignee || null,
-      status: status || 'todo',
+      status: taskStatus,
       priority: priority || 'medium',
       dueDate: dueDate || null,
       tags: Array.isArray(tags) ? tags : (tags ? [tags] : []),
-      estimatedHours: estimatedHours || undefined
+      estimatedHours: estimatedHours || undefined,
+      recurrence: normalizeRecurrence(recurrence)
     });
 
     // Populate response-friendly fields
@@ -152,20 +226,7 @@ exports.createTask = async (req, res, next) => {
     // Notify assignee (if different from creator)
     if (assignee && assignee.toString() !== req.user._id.toString()) {
       try {
-        await Notification.create({
-          userId: assignee,
-          type: 'task_assigned',
-          title: 'New Task Assigned',
-          message: `${req.user.name} assigned you a task: ${task.title}`,
-          workspaceId: project.workspaceId,
-          projectId: project._id,
-          taskId: task._id,
-          senderId: req.user._id,
-          link: `/workspace/${project.workspaceId}/project/${project._id}/task/${task._id}`
-        });
-
-        const io = req.app.get('io');
-        if (io) io.to(`user:${assignee}`).emit('notification:new', { type: 'task_assigned', task });
+        await notifyAssignment(req, task, project, assignee, 'New Task Assigned');
       } catch (notifyErr) {
         console.error('⚠️ Failed to create/send assignee notification:', notifyErr);
       }
@@ -181,6 +242,8 @@ exports.createTask = async (req, res, next) => {
       console.error('⚠️ Socket emit error (task:created):', socketErr);
     }
 
+    await logTaskActivity(req, task, 'task.created', { status: task.status, priority: task.priority });
+
     return res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -208,7 +271,8 @@ exports.updateTask = async (req, res, next) => {
       dueDate,
       tags,
       estimatedHours,
-      actualHours
+      actualHours,
+      recurrence
     } = req.body;
 
     const task = await Task.findById(id);
@@ -216,6 +280,17 @@ exports.updateTask = async (req, res, next) => {
 
     const oldAssignee = task.assignee ? task.assignee.toString() : null;
     const oldStatus = task.status;
+    const wasCompleted = !!task.completedAt;
+
+    if (status !== undefined && status !== oldStatus) {
+      const project = await Project.findById(task.projectId).select('workflow enforceDependencies');
+      const columnError = project && await project.checkColumnMove(status, task._id);
+      if (columnError) return rejectColumnMove(res, columnError);
+    }
+
+    const changedFields = Object.keys(req.body).filter(field => [
+      'title', 'description', 'status', 'priority', 'assignee', 'dueDate', 'tags', 'estimatedHours', 'actualHours', 'recurrence'
+    ].includes(field));
 
     // Update fields safely
     if (title !== undefined) task.title = title;
@@ -227,6 +302,8 @@ exports.updateTask = async (req, res, next) => {
     if (tags !== undefined) task.tags = tags;
     if (estimatedHours !== undefined) task.estimatedHours = estimatedHours;
     if (actualHours !== undefined) task.actualHours = actualHours;
+    // null stops the series; a new rule replaces the old one and reschedules it
+    if (recurrence !== undefined) task.recurrence = normalizeRecurrence(recurrence);
 
     await task.save();
 
@@ -237,33 +314,21 @@ exports.updateTask = async (req, res, next) => {
 
     // Notify new assignee
     if (assignee && assignee.toString() !== oldAssignee && assignee.toString() !== req.user._id.toString()) {
-      await Notification.create({
-        userId: assignee,
-        type: 'task_assigned',
-        title: 'Task Assigned',
-        message: `${req.user.name} assigned you a task: ${task.title}`,
+      await notifyAssignment(req, task, null, assignee);
+    }
+
+    // If task completed, notify creator (createdBy is populated by now)
+    if (task.completedAt && !wasCompleted && task.createdBy) {
+      await notifyUsers(req.app.get('io'), [task.createdBy._id], {
+        type: 'task_completed',
+        title: 'Task Completed',
+        message: `${req.user.name} completed the task: ${task.title}`,
         workspaceId: task.workspaceId,
         projectId: task.projectId,
         taskId: task._id,
         senderId: req.user._id,
         link: `/workspace/${task.workspaceId}/project/${task.projectId}/task/${task._id}`
-      });
-    }
-
-    // If task completed, notify creator
-    if (status === 'done' && oldStatus !== 'done') {
-      if (task.createdBy && task.createdBy.toString() !== req.user._id.toString()) {
-        await Notification.create({
-          userId: task.createdBy,
-          type: 'task_completed',
-          title: 'Task Completed',
-          message: `${req.user.name} completed the task: ${task.title}`,
-          workspaceId: task.workspaceId,
-          projectId: task.projectId,
-          taskId: task._id,
-          senderId: req.user._id
-        });
-      }
+      }, { payload: { task } });
     }
 
     // Emit socket event
@@ -274,6 +339,13 @@ exports.updateTask = async (req, res, next) => {
       console.error('⚠️ Socket emit error (task:updated):', socketErr);
     }
 
+    const updateMetadata = { fields: changedFields };
+    if (task.status !== oldStatus) {
+      updateMetadata.fromStatus = oldStatus;
+      updateMetadata.toStatus = task.status;
+    }
+    await logTaskActivity(req, task, 'task.updated', updateMetadata);
+
     return res.status(200).json({ success: true, message: 'Task updated successfully', task });
   } catch (error) {
     console.error('❌ Error in updateTask:', error);
@@ -284,21 +356,32 @@ exports.updateTask = async (req, res, next) => {
 exports.moveTask = async (req, res, next) => {
   try {
     const id = req.params.id;
-    const { status } = req.body;
+    const { status, position } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ success: false, message: 'Invalid task ID' });
     }
 
-    if (!['todo', 'inProgress', 'done'].includes(status)) {
-      return res.status(400).json({ success: false, message: 'Invalid status. Must be todo, inProgress, or done' });
+    if (!status) {
+      return res.status(400).json({ success: false, message: 'Status is required' });
     }
 
     const task = await Task.findById(id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
 
     const oldStatus = task.status;
+
+    // Reordering inside the same column never trips the WIP limit
+    if (status !== oldStatus) {
+      const project = await Project.findById(task.projectId).select('workflow enforceDependencies');
+      if (!project) return res.status(404).json({ success: false, message: 'Project not found' });
+
+      const columnError = await project.checkColumnMove(status, task._id);
+      if (columnError) return rejectColumnMove(res, columnError);
+    }
+
     task.status = status;
+    if (position !== undefined) task.position = position;
     await task.save();
 
     try {
@@ -308,6 +391,7 @@ exports.moveTask = async (req, res, next) => {
           taskId: task._id,
           fromColumn: oldStatus,
           toColumn: status,
+          position: task.position,
           task
         });
       }
@@ -315,6 +399,10 @@ exports.moveTask = async (req, res, next) => {
       console.error('⚠️ Socket emit error (task:moved):', socketErr);
     }
 
+    if (oldStatus !== status) {
+      await logTaskActivity(req, task, 'task.moved', { fromStatus: oldStatus, toStatus: status });
+    }
+
     return res.status(200).json({ success: true, message: 'Task moved successfully', task });
   } catch (error) {
     console.error('❌ Error in moveTask:', error);
@@ -338,7 +426,7 @@ exports.deleteTask = async (req, res, next) => {
       });
     }
 
-    await task.remove();
+    await task.deleteOne();
 
     // Emit socket event
     const io = req.app.get('io');
@@ -346,6 +434,8 @@ exports.deleteTask = async (req, res, next) => {
       taskId: task._id
     });
 
+    await logTaskActivity(req, task, 'task.deleted');
+
     res.status(200).json({
       success: true,
       message: 'Task deleted successfully'
@@ -386,22 +476,16 @@ exports.addComment = async (req, res, next) => {
     await task.populate('comments.userId', 'name email avatar');
 
     // Notify task assignee and creator
-    const notifyUserIds = [task.createdBy, task.assignee]
-      .filter(id => id && id.toString() !== req.user._id.toString())
-      .map(id => id.toString());
-
-    if (notifyUserIds.length > 0) {
-      await Notification.createForUsers(notifyUserIds, {
-        type: 'comment',
-        title: 'New Comment',
-        message: `${req.user.name} commented on task: ${task.title}`,
-        workspaceId: task.workspaceId,
-        projectId: task.projectId,
-        taskId: task._id,
-        senderId: req.user._id,
-        link: `/workspace/${task.workspaceId}/project/${task.projectId}/task/${task._id}`
-      });
-    }
+    await notifyUsers(req.app.get('io'), [task.createdBy, task.assignee], {
+      type: 'comment',
+      title: 'New Comment',
+      message: `${req.user.name} commented on task: ${task.title}`,
+      workspaceId: task.workspaceId,
+      projectId: task.projectId,
+      taskId: task._id,
+      senderId: req.user._id,
+      link: `/workspace/${task.workspaceId}/project/${task.projectId}/task/${task._id}`
+    }, { payload: { comment } });
 
     // Emit socket event
     const io = req.app.get('io');
@@ -410,6 +494,8 @@ exports.addComment = async (req, res, next) => {
       comment
     });
 
+    await logTaskActivity(req, task, 'task.commented', { commentId: comment._id });
+
     res.status(201).json({
       success: true,
       message: 'Comment added successfully',
@@ -520,6 +606,8 @@ exports.deleteComment = async (req, res, next) => {
       commentId
     });
 
+    await logTaskActivity(req, task, 'task.comment_deleted', { commentId });
+
     res.status(200).json({
       success: true,
       message: 'Comment deleted successfully'
@@ -538,7 +626,7 @@ exports.getAssignedTasks = async (req, res, next) => {
   try {
     const tasks = await Task.find({ 
       assignee: req.user._id,
-      status: { $ne: 'done' }
+      completedAt: null
     })
       .populate('projectId', 'name')
       .populate('workspaceId', 'name')
@@ -597,10 +685,12 @@ exports.updateTaskPriority = async (req, res, next) => {
     const { priority } = req.body;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+    const oldPriority = task.priority;
     task.priority = priority || task.priority;
     await task.save();
     const io = req.app.get('io');
     if (io) io.to(`workspace:${task.workspaceId}`).emit('task:priorityUpdated', task);
+    await logTaskActivity(req, task, 'task.priority_changed', { oldPriority, newPriority: task.priority });
     res.status(200).json({ success: true, message: 'Task priority updated', task });
   } catch (error) {
     next(error);
@@ -619,21 +709,13 @@ exports.assignTask = async (req, res, next) => {
     await task.save();
 
     // Notify assignee
-    if (task.assignee) {
-      await Notification.create({
-        userId: task.assignee,
-        type: 'task_assigned',
-        title: 'Task Assigned',
-        message: `${req.user.name} assigned you a task: ${task.title}`,
-        workspaceId: task.workspaceId,
-        projectId: task.projectId,
-        taskId: task._id,
-        senderId: req.user._id
-      });
+    if (task.assignee && task.assignee.toString() !== req.user._id.toString()) {
+      await notifyAssignment(req, task, null, task.assignee);
     }
 
     const io = req.app.get('io');
     if (io) io.to(`workspace:${task.workspaceId}`).emit('task:assigned', task);
+    await logTaskActivity(req, task, 'task.assigned', { assignee: task.assignee });
 
     res.status(200).json({ success: true, message: 'Task assigned', task });
   } catch (error) {
@@ -646,10 +728,12 @@ exports.unassignTask = async (req, res, next) => {
   try {
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+    const oldAssignee = task.assignee;
     task.assignee = null;
     await task.save();
     const io = req.app.get('io');
     if (io) io.to(`workspace:${task.workspaceId}`).emit('task:unassigned', task);
+    await logTaskActivity(req, task, 'task.unassigned', { assignee: oldAssignee });
     res.status(200).json({ success: true, message: 'Task unassigned', task });
   } catch (error) {
     next(error);
@@ -667,17 +751,30 @@ exports.getTaskComments = async (req, res, next) => {
   }
 };
 
-// Subtasks: add/update/delete
+// Subtasks: add/update/delete/convert
+
+// Broadcast a task whose checklist changed
+const emitTaskUpdated = (req, task) => {
+  try {
+    const io = req.app.get('io');
+    if (io && task.workspaceId) io.to(`workspace:${task.workspaceId}`).emit('task:updated', task);
+  } catch (socketErr) {
+    console.error('⚠️ Socket emit error (task:updated):', socketErr);
+  }
+};
+
 exports.addSubtask = async (req, res, next) => {
   try {
-    const { title } = req.body;
+    const { title, assignee, dueDate } = req.body;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
-    task.subtasks = task.subtasks || [];
-    const subtask = { title, completed: false };
-    task.subtasks.push(subtask);
-    await task.save();
-    res.status(201).json({ success: true, message: 'Subtask added', subtask: task.subtasks[task.subtasks.length - 1] });
+
+    const subtask = await task.addSubtask(req.user._id, { title, assignee, dueDate });
+
+    emitTaskUpdated(req, task);
+    await logTaskActivity(req, task, 'task.subtask_added', { subtaskId: subtask._id, subtask: subtask.title });
+
+    res.status(201).json({ success: true, message: 'Subtask added', subtask, task });
   } catch (error) {
     next(error);
   }
@@ -686,15 +783,24 @@ exports.addSubtask = async (req, res, next) => {
 exports.updateSubtask = async (req, res, next) => {
   try {
     const { subtaskId } = req.params;
-    const { title, completed } = req.body;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
-    const sub = task.subtasks.id(subtaskId);
-    if (!sub) return res.status(404).json({ success: false, message: 'Subtask not found' });
-    if (title !== undefined) sub.title = title;
-    if (completed !== undefined) sub.completed = completed;
-    await task.save();
-    res.status(200).json({ success: true, message: 'Subtask updated', subtask: sub });
+
+    const existing = task.subtasks.id(subtaskId);
+    if (!existing) return res.status(404).json({ success: false, message: 'Subtask not found' });
+    const wasDone = existing.done;
+
+    const subtask = await task.updateSubtask(subtaskId, req.body);
+
+    emitTaskUpdated(req, task);
+    if (subtask.done !== wasDone) {
+      await logTaskActivity(req, task, subtask.done ? 'task.subtask_completed' : 'task.subtask_reopened', {
+        subtaskId: subtask._id,
+        subtask: subtask.title
+      });
+    }
+
+    res.status(200).json({ success: true, message: 'Subtask updated', subtask, task });
   } catch (error) {
     next(error);
   }
@@ -705,39 +811,280 @@ exports.deleteSubtask = async (req, res, next) => {
     const { subtaskId } = req.params;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
-    task.subtasks = (task.subtasks || []).filter(s => s._id.toString() !== subtaskId);
+
+    const subtask = task.subtasks.id(subtaskId);
+    if (!subtask) return res.status(404).json({ success: false, message: 'Subtask not found' });
+
+    task.subtasks.pull(subtaskId);
     await task.save();
-    res.status(200).json({ success: true, message: 'Subtask deleted' });
+
+    emitTaskUpdated(req, task);
+    await logTaskActivity(req, task, 'task.subtask_deleted', { subtaskId, subtask: subtask.title });
+
+    res.status(200).json({ success: true, message: 'Subtask deleted', task });
   } catch (error) {
     next(error);
   }
 };
 
-// Attachments (basic placeholders)
-exports.addAttachment = async (req, res, next) => {
+/**
+ * @desc    Turn a checklist item into a task of its own in the same project
+ * @route   POST /api/tasks/:id/subtasks/:subtaskId/convert
+ * @access  Private
+ */
+exports.convertSubtask = async (req, res, next) => {
   try {
-    // This expects file upload middleware to populate req.file or req.files
+    const { subtaskId } = req.params;
+    const parent = await Task.findById(req.params.id);
+    if (!parent) return res.status(404).json({ success: false, message: 'Task not found' });
+
+    const subtask = parent.subtasks.id(subtaskId);
+    if (!subtask) return res.status(404).json({ success: false, message: 'Subtask not found' });
+
+    const project = await Project.findById(parent.projectId);
+    if (!project) return res.status(404).json({ success: false, message: 'Project not found' });
+
+    const status = req.body.status || project.getDefaultStatus();
+    const columnError = await project.checkColumnMove(status);
+    if (columnError) return rejectColumnMove(res, columnError);
+
+    // Task titles need 3+ characters, checklist items don't
+    const title = subtask.title.length >= 3 ? subtask.title : `${subtask.title} (${parent.title})`;
+
+    const task = await Task.create({
+      title: title.slice(0, 200),
+      description: `Converted from a checklist item on "${parent.title}"`,
+      projectId: parent.projectId,
+      workspaceId: parent.workspaceId,
+      createdBy: req.user._id,
+      assignee: subtask.assignee || null,
+      dueDate: subtask.dueDate || null,
+      status,
+      priority: parent.priority
+    });
+
+    parent.subtasks.pull(subtaskId);
+    await parent.save();
+
+    await task.populate([
+      { path: 'createdBy', select: 'name email avatar' },
+      { path: 'assignee', select: 'name email avatar' }
+    ]);
+
+    try {
+      const io = req.app.get('io');
+      if (io && task.workspaceId) io.to(`workspace:${task.workspaceId}`).emit('task:created', task);
+    } catch (socketErr) {
+      console.error('⚠️ Socket emit error (task:created):', socketErr);
+    }
+    emitTaskUpdated(req, parent);
+
+    await logTaskActivity(req, task, 'task.created', {
+      status: task.status,
+      priority: task.priority,
+      convertedFrom: parent._id
+    });
+    await logTaskActivity(req, parent, 'task.subtask_converted', { subtask: subtask.title, taskId: task._id });
+
+    res.status(201).json({ success: true, message: 'Subtask converted to task', task, parentTask: parent });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Links: blocks / blocked by / relates to / duplicates
+
+/**
+ * @desc    Get task links
+ * @route   GET /api/tasks/:id/links
+ * @access  Private
+ */
+exports.getTaskLinks = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id).select('_id');
+    if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+
+    const links = await getTaskLinks(task._id);
+    const isBlocked = links.some(link => link.type === 'blocked_by' && !link.task.completedAt);
+
+    res.status(200).json({ success: true, count: links.length, isBlocked, links });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the documents, tasks and messages that link to a task
+ * @route   GET /api/tasks/:id/backlinks
+ * @access  Private
+ */
+exports.getTaskBacklinks = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id).select('workspaceId');
+    if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
+
+    const workspace = await Workspace.findById(task.workspaceId);
+    if (!workspace || !workspace.hasAccess(req.user._id)) {
+      return res.status(403).json({ success: false, message: 'Access denied to this task' });
+    }
+
+    const backlinks = await getBacklinks('task', task._id, req.user._id);
+
+    res.status(200).json({ success: true, count: backlinks.length, backlinks });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Link a task to another task of the same workspace
+ * @route   POST /api/tasks/:id/links
+ * @access  Private
+ */
+exports.addTaskLink = async (req, res, next) => {
+  try {
+    const { type, taskId } = req.body;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
-    const attachment = req.file || req.body.attachment;
-    task.attachments = task.attachments || [];
-    task.attachments.push({ url: attachment && attachment.path ? attachment.path : attachment, uploadedBy: req.user._id });
-    await task.save();
-    res.status(201).json({ success: true, message: 'Attachment added', attachments: task.attachments });
+
+    const { link, tasks } = await createTaskLink(task, { taskId, type, userId: req.user._id });
+
+    broadcastLinkChange(req.app.get('io'), 'added', link, tasks);
+    await logTaskActivity(req, task, 'task.linked', { type: link.type, taskId: link.task._id, task: link.task.title });
+
+    res.status(201).json({ success: true, message: 'Tasks linked', link });
   } catch (error) {
     next(error);
   }
 };
 
-exports.deleteAttachment = async (req, res, next) => {
+/**
+ * @desc    Remove a task link
+ * @route   DELETE /api/tasks/:id/links/:linkId
+ * @access  Private
+ */
+exports.removeTaskLink = async (req, res, next) => {
   try {
-    const { attachmentId } = req.params;
     const task = await Task.findById(req.params.id);
     if (!task) return res.status(404).json({ success: false, message: 'Task not found' });
-    task.attachments = (task.attachments || []).filter(a => a._id.toString() !== attachmentId);
+
+    const { link, tasks } = await removeTaskLink(task, req.params.linkId);
+
+    broadcastLinkChange(req.app.get('io'), 'removed', link, tasks);
+    await logTaskActivity(req, task, 'task.unlinked', {
+      type: link.type,
+      taskId: link.task && link.task._id,
+      task: link.task && link.task.title
+    });
+
+    res.status(200).json({ success: true, message: 'Link removed', link });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a task for an attachment request, answering 404/403 itself when it can't be used
+const getAttachmentTask = async (req, res) => {
+  const task = await Task.findById(req.params.id);
+  if (!task) {
+    res.status(404).json({ success: false, message: 'Task not found' });
+    return null;
+  }
+
+  const workspace = await Workspace.findById(task.workspaceId);
+  if (!workspace || !workspace.hasAccess(req.user._id)) {
+    res.status(403).json({ success: false, message: 'Access denied to this task' });
+    return null;
+  }
+  return task;
+};
+
+/**
+ * @desc    Attach an uploaded file (field `file`) to a task
+ * @route   POST /api/tasks/:id/attachments
+ * @access  Private
+ */
+exports.addAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded' });
+
+    const task = await getAttachmentTask(req, res);
+    if (!task) return deleteFile(req.file.path).catch(() => {});
+
+    const stored = await storeUpload(req.file, `attachments/${task._id}`);
+    const attachment = task.attachments.create({
+      fileName: req.file.originalname,
+      storageKey: stored.key,
+      mimeType: req.file.mimetype,
+      fileSize: stored.size,
+      uploadedBy: req.user._id
+    });
+    attachment.fileUrl = `/api/tasks/${task._id}/attachments/${attachment._id}/download`;
+
+    try {
+      await task.addAttachment(attachment);
+    } catch (error) {
+      await removeObjects([stored.key]);
+      throw error;
+    }
+
+    emitTaskUpdated(req, task);
+    await logTaskActivity(req, task, 'task.attachment_added', { attachmentId: attachment._id, fileName: attachment.fileName });
+
+    res.status(201).json({ success: true, message: 'Attachment added', attachment, attachments: task.attachments });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download a task attachment (?inline=true to display it in the browser)
+ * @route   GET /api/tasks/:id/attachments/:attachmentId/download
+ * @access  Private
+ */
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const task = await getAttachmentTask(req, res);
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment || !attachment.storageKey) {
+      return res.status(404).json({ success: false, message: 'Attachment not found' });
+    }
+
+    await sendObject(res, attachment.storageKey, {
+      filename: attachment.fileName,
+      contentType: attachment.mimeType,
+      inline: req.query.inline === 'true'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove an attachment from a task, and its stored file
+ * @route   DELETE /api/tasks/:id/attachments/:attachmentId
+ * @access  Private
+ */
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    const task = await getAttachmentTask(req, res);
+    if (!task) return;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) return res.status(404).json({ success: false, message: 'Attachment not found' });
+
+    attachment.deleteOne();
     await task.save();
+    await removeObjects([attachment.storageKey]);
+    if (attachment.storageKey) await releaseStorage(task.workspaceId, attachment.fileSize);
+
+    emitTaskUpdated(req, task);
+    await logTaskActivity(req, task, 'task.attachment_removed', { attachmentId: attachment._id, fileName: attachment.fileName });
+
     res.status(200).json({ success: true, message: 'Attachment removed' });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
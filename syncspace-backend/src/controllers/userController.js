@@ -3,7 +3,9 @@
 const User = require('../models/User');
 const Workspace = require('../models/Workspace');
 const Notification = require('../models/Notification');
-const { uploadToCloudinary, deleteFromCloudinary } = require('../utils/cloudinaryUtils');
+const { storeUpload, removeObjects } = require('../utils/storageUtils');
+const { deleteFile } = require('../middlewares/uploadMiddleware');
+const { getActivityFeed, getActivityFilters } = require('../utils/activityUtils');
 
 /**
  * @desc    Get all users (Admin only)
@@ -176,7 +178,7 @@ exports.updateUser = async (req, res, next) => {
  */
 exports.deleteUser = async (req, res, next) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findById(req.params.id).select('+avatarKey');
 
     if (!user) {
       return res.status(404).json({
@@ -185,13 +187,11 @@ exports.deleteUser = async (req, res, next) => {
       });
     }
 
-    // Delete user's avatar from cloud storage if exists
-    if (user.avatar && user.avatar.public_id) {
-      await deleteFromCloudinary(user.avatar.public_id);
-    }
-
     await user.deleteOne();
 
+    // Delete user's uploaded avatar from storage if exists
+    await removeObjects([user.avatarKey]);
+
     res.status(200).json({
       success: true,
       message: 'User deleted successfully'
@@ -212,20 +212,22 @@ exports.uploadAvatar = async (req, res, next) => {
 
     // Check if user is updating their own avatar
     if (req.user.id !== id) {
+      if (req.file) await deleteFile(req.file.path).catch(() => {});
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this user avatar'
       });
     }
 
-    if (!req.file) {
+    if (!req.file || !req.file.mimetype.startsWith('image/')) {
+      if (req.file) await deleteFile(req.file.path).catch(() => {});
       return res.status(400).json({
         success: false,
         message: 'Please upload an image'
       });
     }
 
-    const user = await User.findById(id);
+    const user = await User.findById(id).select('+avatarKey');
 
     if (!user) {
       return res.status(404).json({
@@ -234,21 +236,16 @@ exports.uploadAvatar = async (req, res, next) => {
       });
     }
 
-    // Delete old avatar if exists
-    if (user.avatar && user.avatar.public_id) {
-      await deleteFromCloudinary(user.avatar.public_id);
-    }
-
-    // Upload new avatar to cloudinary
-    const result = await uploadToCloudinary(req.file.path, 'avatars');
-
-    user.avatar = {
-      public_id: result.public_id,
-      url: result.secure_url
-    };
+    // Avatars are public objects: they are shown wherever the user appears
+    const oldKey = user.avatarKey;
+    const stored = await storeUpload(req.file, `avatars/${user._id}`, { public: true });
 
+    user.avatar = stored.url;
+    user.avatarKey = stored.key;
     await user.save();
 
+    await removeObjects([oldKey]);
+
     res.status(200).json({
       success: true,
       message: 'Avatar uploaded successfully',
@@ -397,7 +394,7 @@ exports.updateUserStatus = async (req, res, next) => {
 exports.getUserActivity = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { page = 1, limit = 20, days = 7 } = req.query;
+    const { page = 1, limit = 20, days = 7, from } = req.query;
 
     // Check authorization
     if (req.user.id !== id && req.user.role !== 'admin') {
@@ -416,16 +413,20 @@ exports.getUserActivity = async (req, res, next) => {
       });
     }
 
-    // Calculate date range
+    // Calculate date range (an explicit `from` wins over `days`)
     const dateLimit = new Date();
-    dateLimit.setDate(dateLimit.getDate() - parseInt(days));
+    dateLimit.setDate(dateLimit.getDate() - (parseInt(days) || 7));
+
+    const { activities, pagination } = await getActivityFeed(
+      { ...getActivityFilters(req.query), actorId: user._id, from: from || dateLimit },
+      { page, limit }
+    );
 
-    // Get activity data (this would need an Activity model in production)
-    // For now, returning user's last active information
     const activityData = {
       lastActive: user.lastActive,
       status: user.status,
-      recentActivity: [] // Would populate from Activity model
+      recentActivity: activities,
+      pagination
     };
 
     res.status(200).json({
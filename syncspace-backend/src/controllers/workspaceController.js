@@ -7,7 +7,9 @@ const Project = require('../models/Project');
 const Document = require('../models/Document');
 const File = require('../models/File');
 const Message = require('../models/Message');
-const Notification = require('../models/Notification');
+const { logActivity, getActivityFeed, getActivityFilters } = require('../utils/activityUtils');
+const { notify } = require('../utils/notificationUtils');
+const { getUsageBreakdown, checkUsageWarnings } = require('../utils/storageUsageUtils');
 
 /**
  * @desc Get all workspaces for current user
@@ -156,6 +158,16 @@ exports.addMember = async (req, res) => {
       await userToAdd.save();
     }
 
+    await logActivity(req.app.get('io'), {
+      workspaceId: workspace._id,
+      actorId: req.user._id,
+      action: 'member.added',
+      entityType: 'member',
+      entityId: userToAdd._id,
+      entityName: userToAdd.name,
+      metadata: { role: role || 'Member' }
+    });
+
     res.status(200).json({ success: true, message: 'Member added' });
   } catch (err) {
     res.status(500).json({ success: false, message: 'Failed to add member' });
@@ -174,7 +186,16 @@ exports.removeMember = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Workspace not found' });
 
     await workspace.removeMember(userId);
-    await User.findByIdAndUpdate(userId, { $pull: { workspaces: workspace._id } });
+    const removedUser = await User.findByIdAndUpdate(userId, { $pull: { workspaces: workspace._id } });
+
+    await logActivity(req.app.get('io'), {
+      workspaceId: workspace._id,
+      actorId: req.user._id,
+      action: 'member.removed',
+      entityType: 'member',
+      entityId: userId,
+      entityName: removedUser ? removedUser.name : ''
+    });
 
     res.status(200).json({ success: true, message: 'Member removed' });
   } catch (err) {
@@ -247,7 +268,7 @@ exports.getWorkspaceMembers = async (req, res) => {
  */
 exports.getWorkspaceDocuments = async (req, res) => {
   try {
-    const docs = await Document.find({ workspaceId: req.params.id });
+    const docs = await Document.find({ workspaceId: req.params.id, isArchived: { $ne: true } });
     res.status(200).json({ success: true, documents: docs });
   } catch (err) {
     res.status(500).json({ success: false, message: 'Failed to load documents' });
@@ -259,19 +280,65 @@ exports.getWorkspaceDocuments = async (req, res) => {
  */
 exports.getWorkspaceFiles = async (req, res) => {
   try {
-    const files = await File.find({ workspaceId: req.params.id });
+    const files = await File.find({ workspaceId: req.params.id, isArchived: false })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
     res.status(200).json({ success: true, files });
   } catch (err) {
     res.status(500).json({ success: false, message: 'Failed to load files' });
   }
 };
 
+/**
+ * @desc    Get storage usage against the quota, by kind, project and user
+ * @route   GET /api/workspaces/:id/storage
+ * @access  Private
+ */
+exports.getStorageUsage = async (req, res) => {
+  try {
+    const workspace = await Workspace.findById(req.params.id).select('storage');
+    if (!workspace)
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+
+    const usage = await getUsageBreakdown(workspace);
+    res.status(200).json({ success: true, usage });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to load storage usage' });
+  }
+};
+
+/**
+ * @desc    Set the storage quota of a workspace ({ quotaMB }: 0 for
+ *          unlimited, null for the WORKSPACE_STORAGE_QUOTA_MB default)
+ * @route   PATCH /api/workspaces/:id/storage
+ * @access  Private (Site admin)
+ */
+exports.updateStorageQuota = async (req, res) => {
+  try {
+    const workspace = await Workspace.findById(req.params.id);
+    if (!workspace)
+      return res.status(404).json({ success: false, message: 'Workspace not found' });
+
+    const { quotaMB } = req.body;
+    workspace.storage.quota = quotaMB === null ? null : quotaMB * 1024 * 1024;
+    await workspace.save();
+
+    // A lower quota may put the workspace past a warning level
+    await checkUsageWarnings(req.app.get('io'), workspace._id);
+
+    const usage = await getUsageBreakdown(workspace);
+    res.status(200).json({ success: true, message: 'Storage quota updated', usage });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to update storage quota' });
+  }
+};
+
 /**
  * @desc Get workspace messages
  */
 exports.getWorkspaceMessages = async (req, res) => {
   try {
-    const messages = await Message.find({ workspaceId: req.params.id })
+    const messages = await Message.find({ ...Message.streamFilter(), workspaceId: req.params.id, channelId: null, conversationId: null })
       .populate('sender', 'name email avatar')
       .sort('-createdAt')
       .limit(50);
@@ -281,6 +348,24 @@ exports.getWorkspaceMessages = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get workspace activity feed
+ * @route   GET /api/workspaces/:id/activity
+ * @access  Private
+ */
+exports.getWorkspaceActivity = async (req, res) => {
+  try {
+    const { activities, pagination } = await getActivityFeed(
+      { ...getActivityFilters(req.query), workspaceId: req.params.id },
+      req.query
+    );
+
+    res.status(200).json({ success: true, activity: activities, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: 'Failed to load activity' });
+  }
+};
+
 
 /**
  * @desc    Update a member’s role in workspace
@@ -311,9 +396,21 @@ exports.updateMemberRole = async (req, res) => {
     if (!member)
       return res.status(404).json({ success: false, message: 'Member not found in workspace' });
 
+    const oldRole = member.role;
     member.role = role;
     await workspace.save();
 
+    const memberUser = await User.findById(userId).select('name');
+    await logActivity(req.app.get('io'), {
+      workspaceId: workspace._id,
+      actorId: req.user._id,
+      action: 'member.role_changed',
+      entityType: 'member',
+      entityId: userId,
+      entityName: memberUser ? memberUser.name : '',
+      metadata: { oldRole, newRole: role }
+    });
+
     res.status(200).json({
       success: true,
       message: 'Member role updated successfully',
@@ -385,8 +482,10 @@ exports.inviteMember = async (req, res) => {
     await workspace.addMember(invitedUser._id, role || 'Member');
     await invitedUser.updateOne({ $push: { workspaces: workspace._id } });
 
+    const io = req.app.get('io');
+
     // Create notification
-    await Notification.create({
+    await notify(io, {
       userId: invitedUser._id,
       type: 'workspace_invite',
       title: 'Workspace Invitation',
@@ -397,7 +496,6 @@ exports.inviteMember = async (req, res) => {
     });
 
     // Emit real-time event
-    const io = req.app.get('io');
     if (io) {
       io.to(`user:${invitedUser._id}`).emit('workspace:invited', {
         workspace: workspace,
@@ -405,6 +503,16 @@ exports.inviteMember = async (req, res) => {
       });
     }
 
+    await logActivity(io, {
+      workspaceId: workspace._id,
+      actorId: req.user._id,
+      action: 'member.invited',
+      entityType: 'member',
+      entityId: invitedUser._id,
+      entityName: invitedUser.name,
+      metadata: { role: role || 'Member' }
+    });
+
     res.status(200).json({
       success: true,
       message: `Invitation sent successfully to ${invitedUser.email}`,
@@ -467,6 +575,15 @@ exports.leaveWorkspace = async (req, res) => {
       });
     }
 
+    await logActivity(io, {
+      workspaceId: workspace._id,
+      actorId: userId,
+      action: 'member.left',
+      entityType: 'member',
+      entityId: userId,
+      entityName: req.user.name
+    });
+
     res.status(200).json({
       success: true,
       message: 'You have left the workspace successfully',
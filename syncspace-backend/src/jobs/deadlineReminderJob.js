@@ -0,0 +1,136 @@
+/**
+ * Deadline Reminder Job
+ * Reminds assignees of tasks that are due soon and tells assignees and creators
+ * when a task becomes overdue. Each reminder is sent once per task, user,
+ * threshold and due date.
+ */
+
+const Task = require('../models/Task');
+const TaskReminder = require('../models/TaskReminder');
+const { notify } = require('../utils/notificationUtils');
+const { sendDeadlineReminderEmail } = require('../utils/emailUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Only tasks that became overdue this recently are reported, so a first run does not flood inboxes
+const OVERDUE_LOOKBACK_MS = 24 * HOUR_MS;
+
+/**
+ * Reminder windows in hours before the due date, largest first.
+ * Configured with TASK_REMINDER_HOURS, e.g. "24,1".
+ */
+const getReminderWindows = () => {
+  const windows = (process.env.TASK_REMINDER_HOURS || '24')
+    .split(',')
+    .map(Number)
+    .filter(hours => Number.isFinite(hours) && hours > 0);
+
+  return [...new Set(windows.length ? windows : [24])].sort((a, b) => b - a);
+};
+
+/**
+ * Threshold a task has reached: the tightest window it falls in, or overdue
+ * @returns {String|null} due_<hours>h, overdue or null
+ */
+const getThreshold = (dueDate, windows, now = new Date()) => {
+  const hoursLeft = (new Date(dueDate) - now) / HOUR_MS;
+  if (hoursLeft <= 0) return 'overdue';
+
+  const reached = windows.filter(hours => hoursLeft <= hours);
+  return reached.length ? `due_${reached[reached.length - 1]}h` : null;
+};
+
+// Users to remind: the assignee (or the creator of unassigned tasks); overdue also tells the creator
+const getRecipients = (task, threshold) => {
+  const recipients = [task.assignee || task.createdBy];
+  if (threshold === 'overdue') recipients.push(task.createdBy);
+
+  const seen = new Set();
+  return recipients.filter(user => {
+    if (!user || seen.has(user._id.toString())) return false;
+    seen.add(user._id.toString());
+    return true;
+  });
+};
+
+/**
+ * Notify one user about one task, by email too unless their preferences say otherwise
+ */
+const remind = (io, task, user, threshold) => {
+  const project = task.projectId;
+  const isOverdue = threshold === 'overdue';
+
+  return notify(io, {
+    userId: user._id,
+    type: isOverdue ? 'task_overdue' : 'task_due',
+    title: isOverdue ? 'Task Overdue' : 'Task Due Soon',
+    message: isOverdue
+      ? `"${task.title}" in ${project.name} is overdue`
+      : `"${task.title}" in ${project.name} is due ${new Date(task.dueDate).toLocaleString()}`,
+    workspaceId: task.workspaceId,
+    projectId: project._id,
+    taskId: task._id,
+    priority: isOverdue ? 'high' : 'normal',
+    link: `/workspace/${task.workspaceId}/project/${project._id}/task/${task._id}`
+  }, {
+    payload: { task: { _id: task._id, title: task.title, dueDate: task.dueDate, projectId: project._id } },
+    email: (recipient) => sendDeadlineReminderEmail(recipient, task, project)
+  });
+};
+
+/**
+ * Send every reminder that is due
+ * @param {Object} io - Socket.IO server
+ */
+const run = async (io) => {
+  const now = new Date();
+  const windows = getReminderWindows();
+
+  const cursor = Task.find({
+    completedAt: null,
+    dueDate: {
+      $gt: new Date(now.getTime() - OVERDUE_LOOKBACK_MS),
+      $lte: new Date(now.getTime() + windows[0] * HOUR_MS)
+    }
+  })
+    .populate('assignee', 'name email')
+    .populate('createdBy', 'name email')
+    .populate('projectId', 'name')
+    .cursor();
+
+  let sent = 0;
+  for await (const task of cursor) {
+    const threshold = getThreshold(task.dueDate, windows, now);
+    if (!threshold || !task.projectId) continue;
+
+    for (const user of getRecipients(task, threshold)) {
+      try {
+        // Claimed before sending: a crash mid-send skips a reminder rather than repeating it
+        const claimed = await TaskReminder.claim({
+          taskId: task._id,
+          userId: user._id,
+          threshold,
+          dueDate: task.dueDate
+        });
+        if (!claimed) continue;
+
+        if (await remind(io, task, user, threshold)) sent++;
+      } catch (error) {
+        console.error(`⚠️ Failed to send ${threshold} reminder for task ${task._id}:`, error.message);
+      }
+    }
+  }
+
+  if (sent) {
+    console.log(`⏰ Sent ${sent} task deadline reminder(s)`);
+  }
+};
+
+module.exports = {
+  name: 'deadline-reminders',
+  intervalMs: 5 * 60 * 1000,
+  intervalEnv: 'DEADLINE_REMINDERS_INTERVAL_MS',
+  run,
+  getThreshold,
+  getReminderWindows
+};
@@ -0,0 +1,47 @@
+/**
+ * Document History Job
+ * Applies each workspace's document history retention policy
+ * (settings.documentHistory.retentionDays): unnamed versions older than the
+ * policy are pruned. Workspaces without a policy keep their history forever.
+ */
+
+const Workspace = require('../models/Workspace');
+const DocumentVersion = require('../models/DocumentVersion');
+const { getRetentionCutoff } = require('../utils/documentVersionUtils');
+const { pruneDocumentHistory } = require('../utils/documentSyncUtils');
+
+const run = async () => {
+  const workspaces = await Workspace.find({ 'settings.documentHistory.retentionDays': { $gte: 1 } })
+    .select('settings');
+
+  let pruned = 0;
+
+  for (const workspace of workspaces) {
+    const cutoff = getRetentionCutoff(workspace);
+
+    const documentIds = await DocumentVersion.distinct('documentId', {
+      workspaceId: workspace._id,
+      name: null,
+      createdAt: { $lt: cutoff }
+    });
+
+    for (const documentId of documentIds) {
+      try {
+        pruned += await pruneDocumentHistory(documentId.toString(), cutoff);
+      } catch (error) {
+        console.error(`⚠️ Failed to prune history of document ${documentId}:`, error.message);
+      }
+    }
+  }
+
+  if (pruned) {
+    console.log(`🗂️ Pruned ${pruned} document version(s)`);
+  }
+};
+
+module.exports = {
+  name: 'document-history',
+  intervalMs: 6 * 60 * 60 * 1000,
+  intervalEnv: 'DOCUMENT_HISTORY_INTERVAL_MS',
+  run
+};
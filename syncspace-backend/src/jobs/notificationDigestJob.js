@@ -0,0 +1,78 @@
+/**
+ * Notification Digest Job
+ * Emails each user the notifications waiting for their digest (digest-only
+ * types and emails held back by quiet hours) once a day at their digest hour,
+ * or as soon as quiet hours end when the digest hour falls inside them.
+ */
+
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { sendNotificationDigestEmail } = require('../utils/emailUtils');
+
+// Notifications listed in one digest email; the rest wait for the next one
+const DIGEST_LIMIT = 50;
+
+// Guards against a second digest in the same local hour
+const MIN_DIGEST_GAP_MS = 20 * 60 * 60 * 1000;
+
+const isDigestDue = (preferences, now) => {
+  if (preferences.lastDigestAt && now - preferences.lastDigestAt < MIN_DIGEST_GAP_MS) return false;
+  return preferences.digestDeferred || preferences.getLocalTime(now).hour === preferences.digestHour;
+};
+
+/**
+ * Send every digest that is due
+ */
+const run = async () => {
+  const now = new Date();
+  const userIds = await Notification.distinct('userId', { digestPending: true });
+
+  let sent = 0;
+  for (const userId of userIds) {
+    try {
+      const preferences = await NotificationPreference.forUser(userId);
+      if (!isDigestDue(preferences, now)) continue;
+
+      if (preferences.isQuietTime(now)) {
+        if (!preferences.digestDeferred) {
+          preferences.digestDeferred = true;
+          await preferences.save();
+        }
+        continue;
+      }
+
+      const user = await User.findById(userId).select('name email');
+      const notifications = await Notification.find({ userId, digestPending: true })
+        .sort('createdAt')
+        .limit(DIGEST_LIMIT);
+
+      if (user && notifications.length) {
+        await sendNotificationDigestEmail(user, notifications);
+        sent++;
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: notifications.map(notification => notification._id) } },
+        { $set: { digestPending: false } }
+      );
+
+      preferences.lastDigestAt = now;
+      preferences.digestDeferred = false;
+      await preferences.save();
+    } catch (error) {
+      console.error(`⚠️ Failed to send notification digest to ${userId}:`, error.message);
+    }
+  }
+
+  if (sent) {
+    console.log(`📬 Sent ${sent} notification digest(s)`);
+  }
+};
+
+module.exports = {
+  name: 'notification-digests',
+  intervalMs: 15 * 60 * 1000,
+  intervalEnv: 'NOTIFICATION_DIGEST_INTERVAL_MS',
+  run
+};
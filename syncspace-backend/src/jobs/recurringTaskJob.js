@@ -0,0 +1,127 @@
+/**
+ * Recurring Task Job
+ * Materializes the next occurrence of recurring tasks whose nextRunAt has passed.
+ * The recurrence rule moves from the finished occurrence to the new one.
+ */
+
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { getNextOccurrence } = require('../utils/recurrenceUtils');
+const { logActivity } = require('../utils/activityUtils');
+
+// Tasks materialized per run; the rest are picked up on the next tick
+const BATCH_SIZE = 100;
+
+/**
+ * Create the next occurrence of a recurring task
+ * @param {Object} io - Socket.IO server
+ * @param {Object} task - Task carrying the recurrence rule
+ * @returns {Object|null} New task, or null if another run claimed it first
+ */
+const materializeOccurrence = async (io, task) => {
+  const rule = task.recurrence.toObject();
+  const runAt = rule.nextRunAt;
+
+  // Claim the rule so concurrent runs (or instances) don't duplicate the occurrence
+  const claimed = await Task.updateOne(
+    { _id: task._id, 'recurrence.nextRunAt': runAt },
+    { $set: { recurrence: null } }
+  );
+  if (!claimed.modifiedCount) return null;
+
+  try {
+    const project = await Project.findById(task.projectId).select('workflow');
+    const lastTask = await Task.findOne({ projectId: task.projectId }).sort('-position').select('position');
+
+    // Calendar rules schedule their next run up front; after_completion waits for completion
+    const nextRunAt = rule.frequency === 'after_completion' ? null : getNextOccurrence(rule, runAt);
+
+    // Generated tasks skip the WIP limit check: a schedule must not silently drop work
+    const occurrence = await Task.create({
+      title: task.title,
+      description: task.description,
+      projectId: task.projectId,
+      workspaceId: task.workspaceId,
+      createdBy: task.createdBy,
+      assignee: task.assignee,
+      status: project ? project.getDefaultStatus() : undefined,
+      priority: task.priority,
+      dueDate: runAt,
+      tags: task.tags,
+      estimatedHours: task.estimatedHours,
+      subtasks: task.subtasks.map(subtask => ({
+        title: subtask.title,
+        assignee: subtask.assignee,
+        order: subtask.order,
+        createdBy: subtask.createdBy
+      })),
+      position: lastTask ? lastTask.position + 1 : 0,
+      recurrence: (rule.frequency === 'after_completion' || nextRunAt) ? { ...rule, nextRunAt } : null,
+      recurringFromTaskId: task._id
+    });
+
+    await occurrence.populate([
+      { path: 'createdBy', select: 'name email avatar' },
+      { path: 'assignee', select: 'name email avatar' }
+    ]);
+
+    if (io) {
+      io.to(`kanban:${occurrence.projectId}`).emit('kanban:task:created', {
+        task: occurrence,
+        projectId: occurrence.projectId,
+        createdBy: 'SyncSpace',
+        recurringFromTaskId: task._id,
+        timestamp: new Date()
+      });
+      io.to(`workspace:${occurrence.workspaceId}`).emit('task:created', occurrence);
+    }
+
+    await logActivity(io, {
+      workspaceId: occurrence.workspaceId,
+      projectId: occurrence.projectId,
+      actorId: task.createdBy,
+      action: 'task.recurred',
+      entityType: 'task',
+      entityId: occurrence._id,
+      entityName: occurrence.title,
+      metadata: { recurringFromTaskId: task._id, frequency: rule.frequency }
+    });
+
+    return occurrence;
+  } catch (error) {
+    // Hand the rule back so the next run retries
+    await Task.updateOne({ _id: task._id, recurrence: null }, { $set: { recurrence: rule } });
+    throw error;
+  }
+};
+
+/**
+ * Materialize every due occurrence
+ * @param {Object} io - Socket.IO server
+ */
+const run = async (io) => {
+  const dueTasks = await Task.find({ 'recurrence.nextRunAt': { $ne: null, $lte: new Date() } })
+    .sort({ 'recurrence.nextRunAt': 1 })
+    .limit(BATCH_SIZE);
+
+  let created = 0;
+  for (const task of dueTasks) {
+    try {
+      if (await materializeOccurrence(io, task)) created++;
+    } catch (error) {
+      console.error(`⚠️ Failed to create next occurrence of task ${task._id}:`, error.message);
+    }
+  }
+
+  if (created) {
+    console.log(`🔁 Created ${created} recurring task occurrence(s)`);
+  }
+};
+
+module.exports = {
+  name: 'recurring-tasks',
+  intervalMs: 60 * 1000,
+  intervalEnv: 'RECURRING_TASKS_INTERVAL_MS',
+  run,
+  materializeOccurrence
+};
@@ -0,0 +1,57 @@
+/**
+ * Background Job Scheduler
+ * Runs registered jobs on fixed intervals inside the API process.
+ * A job never overlaps with its own previous run.
+ */
+
+const recurringTaskJob = require('./recurringTaskJob');
+const deadlineReminderJob = require('./deadlineReminderJob');
+const notificationDigestJob = require('./notificationDigestJob');
+const documentHistoryJob = require('./documentHistoryJob');
+
+const jobs = [recurringTaskJob, deadlineReminderJob, notificationDigestJob, documentHistoryJob];
+const timers = [];
+
+/**
+ * Run one job, skipping the tick if the previous run is still going
+ */
+const runJob = async (job, io, state) => {
+  if (state.running) return;
+  state.running = true;
+
+  try {
+    await job.run(io);
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error.message);
+  } finally {
+    state.running = false;
+  }
+};
+
+/**
+ * Start every job. Disabled with SCHEDULER_ENABLED=false
+ * (e.g. when a separate worker process runs the jobs).
+ * @param {Object} io - Socket.IO server
+ */
+exports.startScheduler = (io) => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('⏸️ Background scheduler disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    const state = { running: false };
+    const interval = Number(process.env[job.intervalEnv]) || job.intervalMs;
+
+    timers.push(setInterval(() => runJob(job, io, state), interval));
+    // First run right away so nothing waits a full interval after a restart
+    runJob(job, io, state);
+  });
+
+  console.log(`⏰ Background scheduler started (${jobs.map(job => job.name).join(', ')})`);
+};
+
+exports.stopScheduler = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
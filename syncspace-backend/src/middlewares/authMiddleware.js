@@ -9,6 +9,10 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Workspace = require('../models/Workspace');
 const Project = require('../models/Project');
+const Session = require('../models/Session');
+
+// Don't write lastSeenAt more than once a minute per session
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
 
 /* ============================================================================ 
    PROTECT MIDDLEWARE
@@ -34,6 +38,14 @@ const protect = async (req, res, next) => {
     // ✅ Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // ❌ Refresh tokens cannot be used as access tokens
+    if (decoded.type === 'refresh') {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized. Access token required.',
+      });
+    }
+
     // ✅ Find user
     const user = await User.findById(decoded.id).select('-password');
     if (!user) {
@@ -43,7 +55,24 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // ❌ Session revoked (tokens without a session id predate session tracking)
+    if (decoded.sid) {
+      const session = await Session.findOne({ family: decoded.sid, userId: user._id });
+      if (!session || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.',
+        });
+      }
+
+      if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+        Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ip: req.ip } })
+          .catch(err => console.error('⚠️ Failed to update session lastSeenAt:', err.message));
+      }
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     console.error('❌ Auth Middleware Error:', error.message);
@@ -60,9 +89,14 @@ const protect = async (req, res, next) => {
 ============================================================================ */
 const verifyWorkspaceAccess = async (req, res, next) => {
   try {
+    // On /api/projects/:id the :id is the project, not the workspace
+    const projectId =
+      req.params.projectId ||
+      (req.baseUrl === '/api/projects' ? req.params.id : undefined);
+
     let workspaceId =
       req.params.workspaceId ||
-      req.params.id ||
+      (projectId ? undefined : req.params.id) ||
       req.body.workspaceId;
 
     // 🧠 Skip access check for global routes like /notifications or /auth/*
@@ -78,8 +112,11 @@ const verifyWorkspaceAccess = async (req, res, next) => {
     }
 
     // ✅ Handle project-based routes like /api/projects/:projectId/tasks
-    if (!workspaceId && req.params.projectId) {
-      const project = await Project.findById(req.params.projectId).select('workspaceId');
+    if (!workspaceId && projectId) {
+      if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        return res.status(400).json({ success: false, message: 'Invalid project ID format' });
+      }
+      const project = await Project.findById(projectId).select('workspaceId');
       if (project) {
         workspaceId = project.workspaceId;
       } else {
@@ -3,49 +3,18 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { reserveStorage, releaseStorage, checkUsageWarnings, StorageQuotaError } = require('../utils/storageUsageUtils');
 
-// Ensure upload directories exist
-const createUploadDirs = () => {
-  const dirs = [
-    './uploads',
-    './uploads/documents',
-    './uploads/images',
-    './uploads/files',
-    './uploads/avatars',
-    './uploads/temp'
-  ];
-
-  dirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-  });
-};
-
-createUploadDirs();
+// Uploads land in a temporary directory; controllers move them into the
+// configured storage driver (see utils/storageUtils) and the temp file is removed
+const tempDir = process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), 'syncspace-uploads');
+fs.mkdirSync(tempDir, { recursive: true });
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    let uploadPath = './uploads/files';
-
-    // Determine upload path based on file type
-    if (file.mimetype.startsWith('image/')) {
-      uploadPath = './uploads/images';
-    } else if (
-      file.mimetype === 'application/pdf' ||
-      file.mimetype === 'application/msword' ||
-      file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ) {
-      uploadPath = './uploads/documents';
-    }
-
-    // Check if uploading avatar
-    if (req.route.path.includes('avatar')) {
-      uploadPath = './uploads/avatars';
-    }
-
-    cb(null, uploadPath);
+    cb(null, tempDir);
   },
   filename: (req, file, cb) => {
     // Generate unique filename
@@ -79,6 +48,8 @@ const fileFilter = (req, file, cb) => {
     'application/vnd.openxmlformats-officedocument.presentationml.presentation',
     'text/plain',
     'text/csv',
+    'text/markdown',
+    'text/x-markdown',
     
     // Archives
     'application/zip',
@@ -125,10 +96,15 @@ const upload = multer({
   limits: limits
 });
 
+// Multer's own handlers; the exports below replace them on the instance
+const multerSingle = upload.single.bind(upload);
+const multerArray = upload.array.bind(upload);
+const multerFields = upload.fields.bind(upload);
+
 // Middleware for handling single file upload
 const uploadSingle = (fieldName) => {
   return (req, res, next) => {
-    const uploadMiddleware = upload.single(fieldName);
+    const uploadMiddleware = multerSingle(fieldName);
     
     uploadMiddleware(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -171,7 +147,7 @@ const uploadSingle = (fieldName) => {
 // Middleware for handling multiple file uploads
 const uploadMultiple = (fieldName, maxCount = 10) => {
   return (req, res, next) => {
-    const uploadMiddleware = upload.array(fieldName, maxCount);
+    const uploadMiddleware = multerArray(fieldName, maxCount);
     
     uploadMiddleware(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -206,7 +182,7 @@ const uploadMultiple = (fieldName, maxCount = 10) => {
 // Middleware for handling multiple fields with files
 const uploadFields = (fields) => {
   return (req, res, next) => {
-    const uploadMiddleware = upload.fields(fields);
+    const uploadMiddleware = multerFields(fields);
     
     uploadMiddleware(req, res, (err) => {
       if (err instanceof multer.MulterError) {
@@ -239,9 +215,60 @@ const deleteFile = (filePath) => {
   });
 };
 
+/**
+ * Refuse uploads that would take a workspace over its storage quota, and
+ * warn its admins when a successful upload passes 80% or 95%. Goes after
+ * the multer middleware, once upload sizes are known; refused uploads are
+ * deleted from the temp directory. The upload's bytes are reserved on the
+ * workspace's usage counter and given back if the request fails or is aborted.
+ * @param {Function} resolveWorkspaceId - (req) => workspace ID, or a promise of one
+ *                                        (see storageUsageUtils.workspaceOfUpload)
+ */
+const enforceQuota = (resolveWorkspaceId) => {
+  return async (req, res, next) => {
+    const uploads = Array.isArray(req.files)
+      ? req.files
+      : req.files ? Object.values(req.files).flat() : [req.file].filter(Boolean);
+    if (uploads.length === 0) return next();
+
+    try {
+      // Missing or unknown workspaces are reported by the controller
+      const workspaceId = await resolveWorkspaceId(req);
+      if (!workspaceId) return next();
+
+      const bytes = uploads.reduce((sum, file) => sum + file.size, 0);
+      const reserved = await reserveStorage(workspaceId, bytes);
+
+      // 'close' also fires when the client aborts, which must free the reservation too
+      res.on('close', () => {
+        const stored = res.writableFinished && res.statusCode < 300;
+        const update = stored
+          ? checkUsageWarnings(req.app.get('io'), workspaceId)
+          : reserved && releaseStorage(workspaceId, bytes);
+        Promise.resolve(update).catch((error) => {
+          console.error('Error updating storage usage:', error.message);
+        });
+      });
+      next();
+    } catch (error) {
+      await Promise.all(uploads.map(file => deleteFile(file.path).catch(() => {})));
+
+      if (error instanceof StorageQuotaError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          usage: error.usage
+        });
+      }
+      next(error);
+    }
+  };
+};
+
 // Export configured multer instance and helpers
 module.exports = upload;
 module.exports.single = uploadSingle;
 module.exports.array = uploadMultiple;
 module.exports.fields = uploadFields;
-module.exports.deleteFile = deleteFile;
\ No newline at end of file
+module.exports.deleteFile = deleteFile;
+module.exports.enforceQuota = enforceQuota;
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Activity Model
+ * Audit log of mutations across a workspace (tasks, documents, files,
+ * chat and membership) powering activity feeds
+ */
+
+const mongoose = require('mongoose');
+const { getTimeAgo } = require('../utils/helpers');
+
+const activitySchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Dotted verb, e.g. task.created, document.shared, member.removed
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    enum: ['task', 'document', 'file', 'message', 'channel', 'member'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Snapshot of the entity's title/name so the feed survives deletes and renames
+  entityName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Entity name cannot exceed 200 characters'],
+    default: ''
+  },
+  // Action-specific details (changed fields, old/new status, target user, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+activitySchema.index({ workspaceId: 1, createdAt: -1 });
+activitySchema.index({ projectId: 1, createdAt: -1 });
+activitySchema.index({ actorId: 1, createdAt: -1 });
+activitySchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+// Build a query filter from feed parameters; ignores parameters that are not set
+activitySchema.statics.buildFilter = function({ workspaceId, projectId, actorId, entityType, entityId, action, from, to } = {}) {
+  const filter = {};
+
+  if (workspaceId) filter.workspaceId = workspaceId;
+  if (projectId) filter.projectId = projectId;
+  if (actorId) filter.actorId = actorId;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (action) filter.action = action;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return filter;
+};
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for time elapsed
+activitySchema.virtual('timeAgo').get(function() {
+  return getTimeAgo(this.createdAt);
+});
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,185 @@
+/**
+ * Channel Model
+ * Named chat channel inside a workspace. Public channels are visible to
+ * every workspace member, private channels only to their members.
+ */
+
+const mongoose = require('mongoose');
+
+const channelSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Stored as a lowercase slug, e.g. "design-review"
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true,
+    lowercase: true,
+    minlength: [2, 'Channel name must be at least 2 characters'],
+    maxlength: [50, 'Channel name cannot exceed 50 characters'],
+    match: [/^[a-z0-9_-]+$/, 'Channel name can only contain letters, numbers, hyphens and underscores']
+  },
+  topic: {
+    type: String,
+    trim: true,
+    maxlength: [250, 'Topic cannot exceed 250 characters'],
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'member'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Messages after this point count as unread
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+channelSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+channelSchema.index({ workspaceId: 1, isArchived: 1 });
+channelSchema.index({ 'members.userId': 1 });
+
+// ==================== METHODS ====================
+
+// Get a user's membership entry (works with populated members too)
+channelSchema.methods.getMember = function(userId) {
+  return this.members.find(
+    member => (member.userId._id || member.userId).toString() === userId.toString()
+  );
+};
+
+// Check if user is a member
+channelSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+// Check if user is an owner
+channelSchema.methods.isOwner = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && member.role === 'owner';
+};
+
+// Public channels are readable by the whole workspace, private ones by members only
+channelSchema.methods.canView = function(userId) {
+  return !this.isPrivate || this.isMember(userId);
+};
+
+// Add member to channel
+channelSchema.methods.addMember = async function(userId, role = 'member') {
+  if (this.isMember(userId)) {
+    throw new Error('User is already a member of this channel');
+  }
+
+  this.members.push({
+    userId,
+    role,
+    joinedAt: new Date(),
+    lastReadAt: new Date()
+  });
+
+  await this.save();
+  return this;
+};
+
+// Remove member from channel
+channelSchema.methods.removeMember = async function(userId) {
+  this.members = this.members.filter(
+    member => (member.userId._id || member.userId).toString() !== userId.toString()
+  );
+
+  await this.save();
+  return this;
+};
+
+// ==================== STATIC METHODS ====================
+
+// "Design Review" -> "design-review"
+channelSchema.statics.toSlug = function(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '')
+    .replace(/-+/g, '-');
+};
+
+// Channels of a workspace the user can see
+channelSchema.statics.findVisible = function(workspaceId, userId, { includeArchived = false } = {}) {
+  const filter = {
+    workspaceId,
+    $or: [{ isPrivate: false }, { 'members.userId': userId }]
+  };
+  if (!includeArchived) filter.isArchived = false;
+
+  return this.find(filter);
+};
+
+// Move a member's read marker forward without loading the channel
+channelSchema.statics.markRead = function(channelId, userId, readAt = new Date()) {
+  return this.updateOne(
+    { _id: channelId, members: { $elemMatch: { userId, lastReadAt: { $lt: readAt } } } },
+    { $set: { 'members.$.lastReadAt': readAt } }
+  );
+};
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for member count
+channelSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+module.exports = mongoose.model('Channel', channelSchema);
@@ -0,0 +1,140 @@
+/**
+ * Conversation Model
+ * Direct messages between workspace members: one-to-one or a small group.
+ */
+
+const mongoose = require('mongoose');
+
+// Including the creator
+const MAX_PARTICIPANTS = 8;
+
+const conversationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  // Optional label for group conversations
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [80, 'Conversation name cannot exceed 80 characters'],
+    default: ''
+  },
+  // Sorted "<userId>:<userId>" for one-to-one conversations, so each pair has one
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  participants: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Messages after this point count as unread
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  lastMessage: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+conversationSchema.index(
+  { workspaceId: 1, directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+);
+conversationSchema.index({ 'participants.userId': 1, workspaceId: 1, lastMessageAt: -1 });
+
+// ==================== MIDDLEWARE ====================
+
+// Keep group conversations small
+conversationSchema.pre('validate', function(next) {
+  if (this.participants.length > MAX_PARTICIPANTS) {
+    this.invalidate('participants', `A conversation can have at most ${MAX_PARTICIPANTS} people`);
+  }
+  next();
+});
+
+// ==================== METHODS ====================
+
+// Get a user's participant entry (works with populated participants too)
+conversationSchema.methods.getParticipant = function(userId) {
+  return this.participants.find(
+    participant => (participant.userId._id || participant.userId).toString() === userId.toString()
+  );
+};
+
+// Check if user takes part in the conversation
+conversationSchema.methods.isParticipant = function(userId) {
+  return !!this.getParticipant(userId);
+};
+
+// ==================== STATIC METHODS ====================
+
+conversationSchema.statics.getDirectKey = function(userIdA, userIdB) {
+  return [userIdA.toString(), userIdB.toString()].sort().join(':');
+};
+
+// Conversations a user takes part in, most recent activity first
+conversationSchema.statics.findForUser = function(workspaceId, userId) {
+  return this.find({ workspaceId, 'participants.userId': userId })
+    .sort({ lastMessageAt: -1, updatedAt: -1 });
+};
+
+// Move a participant's read marker forward without loading the conversation
+conversationSchema.statics.markRead = function(conversationId, userId, readAt = new Date()) {
+  return this.updateOne(
+    { _id: conversationId, participants: { $elemMatch: { userId, lastReadAt: { $lt: readAt } } } },
+    { $set: { 'participants.$.lastReadAt': readAt } }
+  );
+};
+
+conversationSchema.statics.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for participant count
+conversationSchema.virtual('participantCount').get(function() {
+  return this.participants ? this.participants.length : 0;
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,6 +1,7 @@
 /**
  * Document Model
- * Defines schema for collaborative documents with version history
+ * Defines schema for collaborative documents. Version history lives in
+ * DocumentVersion. Documents nest as pages through `parentId`.
  */
 
 const mongoose = require('mongoose');
@@ -17,6 +18,16 @@ const documentSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Canonical Quill Delta for real-time editing; `content` is its HTML snapshot
+  delta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Last operation revision folded into `delta`/`content`
+  revision: {
+    type: Number,
+    default: 0
+  },
   workspaceId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Workspace',
@@ -27,6 +38,17 @@ const documentSchema = new mongoose.Schema({
     ref: 'Project',
     default: null
   },
+  // Page this document is nested under; null for top-level pages
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+  // Order among the pages with the same parent
+  position: {
+    type: Number,
+    default: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,29 +73,6 @@ const documentSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  versionHistory: [{
-    content: {
-      type: String,
-      required: true
-    },
-    editedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    editedAt: {
-      type: Date,
-      default: Date.now
-    },
-    changeDescription: {
-      type: String,
-      default: 'Document updated'
-    },
-    contentLength: {
-      type: Number,
-      default: 0
-    }
-  }],
   tags: [{
     type: String,
     trim: true
@@ -94,6 +93,20 @@ const documentSchema = new mongoose.Schema({
   lockedAt: {
     type: Date,
     default: null
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  // Shared by every page archived together, so unarchiving restores the same subtree
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true,
@@ -104,30 +117,38 @@ const documentSchema = new mongoose.Schema({
 // ==================== INDEXES ====================
 documentSchema.index({ workspaceId: 1 });
 documentSchema.index({ projectId: 1 });
+documentSchema.index({ workspaceId: 1, parentId: 1, position: 1 });
+documentSchema.index({ parentId: 1 });
 documentSchema.index({ createdBy: 1 });
 documentSchema.index({ createdAt: -1 });
 documentSchema.index({ title: 'text', content: 'text' });
 
 // ==================== MIDDLEWARE ====================
 
-// Save version history before updating content
+// Re-index internal links when the content changes, and attach waiting
+// [[Page]] links when a page gets their title. Live edits are indexed by the
+// sync engine, which writes with updateOne.
 documentSchema.pre('save', function(next) {
-  if (this.isModified('content') && !this.isNew) {
-    // Add current version to history
-    this.versionHistory.push({
-      content: this.content,
-      editedBy: this.lastEditedBy || this.createdBy,
-      editedAt: new Date(),
-      changeDescription: 'Document updated',
-      contentLength: this.content.length
-    });
+  this.$locals.contentChanged = this.isModified('content');
+  this.$locals.titleChanged = this.isNew || this.isModified('title');
+  next();
+});
 
-    // Keep only last 50 versions
-    if (this.versionHistory.length > 50) {
-      this.versionHistory = this.versionHistory.slice(-50);
+documentSchema.post('save', async function() {
+  try {
+    const LinkReference = require('./LinkReference');
+    if (this.$locals.contentChanged) {
+      await LinkReference.indexSource(
+        { sourceType: 'document', sourceId: this._id, workspaceId: this.workspaceId },
+        [{ text: this.content }]
+      );
+    }
+    if (this.$locals.titleChanged) {
+      await LinkReference.resolveWikiLinks(this);
     }
+  } catch (error) {
+    console.error('Error indexing document links:', error);
   }
-  next();
 });
 
 // ==================== METHODS ====================
@@ -184,6 +205,15 @@ documentSchema.methods.canUserEdit = function(userId) {
   return collaborator && collaborator.canEdit;
 };
 
+// Check if user can open the document: public, creator, collaborator or workspace member
+documentSchema.methods.canUserView = async function(userId) {
+  if (this.isPublic || this.createdBy.toString() === userId.toString()) return true;
+  if (this.collaborators.some(c => c.userId && c.userId.toString() === userId.toString())) return true;
+
+  const workspace = await mongoose.model('Workspace').findById(this.workspaceId).select('members createdBy');
+  return !!workspace && (workspace.isMember(userId) || workspace.isCreator(userId));
+};
+
 // Lock document
 documentSchema.methods.lock = async function(userId) {
   this.isLocked = true;
@@ -202,23 +232,47 @@ documentSchema.methods.unlock = async function() {
   return this;
 };
 
-// Get version by index
-documentSchema.methods.getVersion = function(versionIndex) {
-  if (versionIndex < 0 || versionIndex >= this.versionHistory.length) {
-    throw new Error('Invalid version index');
-  }
-  return this.versionHistory[versionIndex];
+// ==================== STATIC METHODS ====================
+
+// IDs of every page nested below a document, at any depth
+documentSchema.statics.findDescendantIds = async function(documentId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(documentId.toString()) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants'
+      }
+    },
+    { $project: { ids: '$descendants._id' } }
+  ]);
+  return result ? result.ids : [];
 };
 
-// Restore to specific version
-documentSchema.methods.restoreVersion = async function(versionIndex, userId) {
-  const version = this.getVersion(versionIndex);
-  
-  this.content = version.content;
-  this.lastEditedBy = userId;
-  
-  await this.save();
-  return this;
+// Pages above a document, top-level page first
+documentSchema.statics.findAncestors = async function(documentId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(documentId.toString()) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    },
+    { $project: { 'ancestors._id': 1, 'ancestors.title': 1, 'ancestors.depth': 1 } }
+  ]);
+  if (!result) return [];
+
+  return result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ _id, title }) => ({ _id, title }));
 };
 
 // ==================== VIRTUAL FIELDS ====================
@@ -234,9 +288,4 @@ documentSchema.virtual('characterCount').get(function() {
   return this.content ? this.content.length : 0;
 });
 
-// Virtual for version count
-documentSchema.virtual('versionCount').get(function() {
-  return this.versionHistory ? this.versionHistory.length : 0;
-});
-
 module.exports = mongoose.model('Document', documentSchema);
\ No newline at end of file
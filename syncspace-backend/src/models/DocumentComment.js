@@ -0,0 +1,165 @@
+/**
+ * DocumentComment Model
+ * Inline comment threads and suggested edits anchored to a text range of a
+ * document. Anchors are kept in step with edits by the document sync engine.
+ */
+
+const mongoose = require('mongoose');
+
+const replySchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Reply text is required'],
+    trim: true,
+    maxlength: [2000, 'Reply cannot exceed 2000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+const documentCommentSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A suggestion proposes replacing the anchored text with `replacement`
+  kind: {
+    type: String,
+    enum: ['comment', 'suggestion'],
+    default: 'comment'
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters'],
+    default: ''
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Range in the document's Delta as of `revision`
+  anchor: {
+    index: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    length: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // -1 when the content was replaced wholesale and the range must be found again
+    revision: {
+      type: Number,
+      required: true
+    },
+    // Text the range covered, used to find it again
+    quote: {
+      type: String,
+      default: ''
+    },
+    // The anchored text was deleted or could not be found
+    detached: {
+      type: Boolean,
+      default: false
+    }
+  },
+  suggestion: {
+    replacement: {
+      type: String,
+      maxlength: [10000, 'Suggested text cannot exceed 10000 characters'],
+      default: undefined
+    }
+  },
+  // Comments end up resolved, suggestions accepted or rejected
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'accepted', 'rejected'],
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  replies: [replySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+documentCommentSchema.index({ documentId: 1, status: 1, createdAt: 1 });
+documentCommentSchema.index({ documentId: 1, 'anchor.revision': 1 });
+
+// ==================== MIDDLEWARE ====================
+
+// Comments need text; suggestions need a replacement (empty means "delete")
+documentCommentSchema.pre('validate', function(next) {
+  if (this.kind === 'comment' && !this.text) {
+    this.invalidate('text', 'Comment text is required');
+  }
+  if (this.kind === 'suggestion' && typeof this.suggestion.replacement !== 'string') {
+    this.invalidate('suggestion.replacement', 'Suggested text is required');
+  }
+  next();
+});
+
+// ==================== METHODS ====================
+
+documentCommentSchema.methods.isOpen = function() {
+  return this.status === 'open';
+};
+
+// Author of the comment or of any reply
+documentCommentSchema.methods.getParticipantIds = function() {
+  const ids = [this.authorId, ...this.replies.map(reply => reply.authorId)];
+  return [...new Set(ids.map(id => (id._id || id).toString()))];
+};
+
+// ==================== STATIC METHODS ====================
+
+// Comments whose anchors still follow the text
+documentCommentSchema.statics.findOpen = function(documentId) {
+  return this.find({ documentId, status: 'open' });
+};
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for reply count
+documentCommentSchema.virtual('replyCount').get(function() {
+  return this.replies ? this.replies.length : 0;
+});
+
+module.exports = mongoose.model('DocumentComment', documentCommentSchema);
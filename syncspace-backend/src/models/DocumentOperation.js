@@ -0,0 +1,42 @@
+/**
+ * DocumentOperation Model
+ * Append-only log of Quill Delta operations applied to a document,
+ * used to transform stale client edits and to catch up reconnecting clients
+ */
+
+const mongoose = require('mongoose');
+
+const documentOperationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  // Document revision produced by applying this operation
+  revision: {
+    type: Number,
+    required: true
+  },
+  ops: {
+    type: Array,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Client-generated id so a resent operation is not applied twice
+  opId: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================== INDEXES ====================
+documentOperationSchema.index({ documentId: 1, revision: 1 }, { unique: true });
+documentOperationSchema.index({ documentId: 1, opId: 1 });
+
+module.exports = mongoose.model('DocumentOperation', documentOperationSchema);
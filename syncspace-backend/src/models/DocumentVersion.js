@@ -0,0 +1,122 @@
+/**
+ * DocumentVersion Model
+ * Version history of a document. Most versions store only the Delta diff
+ * from the version before them; every few versions a full snapshot bounds
+ * how many diffs have to be composed to rebuild one.
+ */
+
+const mongoose = require('mongoose');
+
+const documentVersionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // 1, 2, 3... per document; numbers of pruned versions are not reused
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  kind: {
+    type: String,
+    enum: ['snapshot', 'diff'],
+    required: true
+  },
+  // Version a diff applies to: the previous version still stored
+  baseNumber: {
+    type: Number,
+    default: null
+  },
+  // Full Delta for snapshots, change from baseNumber for diffs
+  ops: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Sync revision of the document the version was taken at
+  revision: {
+    type: Number,
+    default: 0
+  },
+  // Named versions ("Sent to client") are never pruned
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Version name cannot exceed 100 characters'],
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Version description cannot exceed 500 characters'],
+    default: ''
+  },
+  // auto: taken while editing; manual: saved by a user; restore: made by restoring restoredFrom
+  source: {
+    type: String,
+    enum: ['auto', 'manual', 'restore', 'import'],
+    default: 'auto'
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Document length at this version
+  contentLength: {
+    type: Number,
+    default: 0
+  },
+  // Characters inserted and deleted since the previous version
+  changes: {
+    insertions: {
+      type: Number,
+      default: 0
+    },
+    deletions: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+documentVersionSchema.index({ documentId: 1, number: -1 }, { unique: true });
+documentVersionSchema.index({ documentId: 1, kind: 1, number: -1 });
+documentVersionSchema.index({ workspaceId: 1, createdAt: 1 });
+
+// ==================== METHODS ====================
+
+documentVersionSchema.methods.isNamed = function() {
+  return !!this.name;
+};
+
+// ==================== STATIC METHODS ====================
+
+// Most recent version of a document
+documentVersionSchema.statics.findLatest = function(documentId) {
+  return this.findOne({ documentId }).sort({ number: -1 });
+};
+
+// ==================== VIRTUAL FIELDS ====================
+
+// Virtual for a label to show in lists
+documentVersionSchema.virtual('label').get(function() {
+  return this.name || `Version ${this.number}`;
+});
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
@@ -3,6 +3,7 @@
  * Defines schema for file uploads with version control
  */
 
+const path = require('path');
 const mongoose = require('mongoose');
 
 const fileSchema = new mongoose.Schema({
@@ -20,6 +21,11 @@ const fileSchema = new mongoose.Schema({
     type: String,
     required: [true, 'File URL is required']
   },
+  // Key of the stored bytes in the configured storage driver (utils/storageUtils)
+  storageKey: {
+    type: String,
+    default: null
+  },
   fileType: {
     type: String,
     required: true
@@ -42,6 +48,17 @@ const fileSchema = new mongoose.Schema({
     ref: 'Project',
     default: null
   },
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Null for files at the top level of the workspace (or project)
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -61,11 +78,30 @@ const fileSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Who uploaded the current version, when, and its change note
+  versionUploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  versionUploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Change note cannot exceed 500 characters'],
+    default: ''
+  },
+  // Previous versions; each keeps its stored bytes until the file is deleted
   versionHistory: [{
     version: Number,
     fileName: String,
     fileUrl: String,
+    storageKey: String,
     fileSize: Number,
+    mimeType: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -105,30 +141,12 @@ const fileSchema = new mongoose.Schema({
 // ==================== INDEXES ====================
 fileSchema.index({ workspaceId: 1 });
 fileSchema.index({ projectId: 1 });
+fileSchema.index({ taskId: 1 });
+fileSchema.index({ folderId: 1 });
 fileSchema.index({ uploadedBy: 1 });
 fileSchema.index({ createdAt: -1 });
 fileSchema.index({ fileName: 'text', originalName: 'text' });
 
-// ==================== MIDDLEWARE ====================
-
-// Save version history before updating
-fileSchema.pre('save', function(next) {
-  if (this.isModified('fileUrl') && !this.isNew) {
-    this.versionHistory.push({
-      version: this.version,
-      fileName: this.fileName,
-      fileUrl: this.fileUrl,
-      fileSize: this.fileSize,
-      uploadedBy: this.uploadedBy,
-      uploadedAt: new Date(),
-      changes: 'File updated'
-    });
-
-    this.version += 1;
-  }
-  next();
-});
-
 // ==================== METHODS ====================
 
 // Increment download count
@@ -139,59 +157,70 @@ fileSchema.methods.incrementDownloadCount = async function() {
   return this;
 };
 
-// Create new version
-fileSchema.methods.createNewVersion = async function(newFileData, userId) {
-  // Save current version to history
+// Move the current version into the history
+fileSchema.methods.archiveCurrentVersion = function() {
   this.versionHistory.push({
     version: this.version,
     fileName: this.fileName,
     fileUrl: this.fileUrl,
+    storageKey: this.storageKey,
     fileSize: this.fileSize,
-    uploadedBy: this.uploadedBy,
-    uploadedAt: new Date()
+    mimeType: this.mimeType,
+    uploadedBy: this.versionUploadedBy || this.uploadedBy,
+    uploadedAt: this.versionUploadedAt || this.createdAt,
+    changes: this.changes
   });
+};
+
+// Create new version. The file keeps its ID and URL, so links to it still work
+fileSchema.methods.createNewVersion = async function(newFileData, userId, changes = '') {
+  this.archiveCurrentVersion();
 
-  // Update file with new version
   this.fileName = newFileData.fileName;
-  this.fileUrl = newFileData.fileUrl;
+  this.storageKey = newFileData.storageKey;
   this.fileSize = newFileData.fileSize;
   this.fileType = newFileData.fileType;
   this.mimeType = newFileData.mimeType;
-  this.uploadedBy = userId;
+  this.versionUploadedBy = userId;
+  this.versionUploadedAt = new Date();
+  this.changes = changes;
   this.version += 1;
 
   await this.save();
   return this;
 };
 
+// Storage keys of every version that still has stored bytes
+fileSchema.methods.getStorageKeys = function() {
+  return [...new Set([
+    this.storageKey,
+    ...(this.versionHistory || []).map(version => version.storageKey)
+  ].filter(Boolean))];
+};
+
 // Get specific version
 fileSchema.methods.getVersion = function(versionNumber) {
   return this.versionHistory.find(v => v.version === versionNumber);
 };
 
-// Restore to specific version
-fileSchema.methods.restoreVersion = async function(versionNumber, userId) {
+// Restore a previous version as a new version, sharing its stored bytes
+fileSchema.methods.restoreVersion = async function(versionNumber, userId, changes) {
   const version = this.getVersion(versionNumber);
-  
+
   if (!version) {
     throw new Error('Version not found');
   }
 
-  // Save current state to history
-  this.versionHistory.push({
-    version: this.version,
-    fileName: this.fileName,
-    fileUrl: this.fileUrl,
-    fileSize: this.fileSize,
-    uploadedBy: this.uploadedBy,
-    uploadedAt: new Date()
-  });
+  this.archiveCurrentVersion();
 
-  // Restore to selected version
   this.fileName = version.fileName;
-  this.fileUrl = version.fileUrl;
+  this.storageKey = version.storageKey;
   this.fileSize = version.fileSize;
-  this.uploadedBy = userId;
+  this.fileType = path.extname(version.fileName || '').slice(1).toLowerCase() || this.fileType;
+  this.mimeType = version.mimeType || this.mimeType;
+  this.versionUploadedBy = userId;
+  this.versionUploadedAt = new Date();
+  this.changes = changes || `Restored version ${versionNumber}`;
   this.version += 1;
 
   await this.save();
@@ -0,0 +1,82 @@
+/**
+ * FilePreview Model
+ * Cached preview of one version of a file: a thumbnail in storage for images
+ * and PDFs, extracted text for PDFs, highlighted source for text and code,
+ * and the first rows of CSV files. A new version gets a new preview, so a
+ * cached one never has to be invalidated.
+ */
+
+const mongoose = require('mongoose');
+
+const filePreviewSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'pdf', 'text', 'csv', 'unsupported'],
+    required: true
+  },
+  // failed: the file couldn't be read or rendered (see error); not retried
+  status: {
+    type: String,
+    enum: ['ready', 'failed'],
+    default: 'ready'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Storage key of a WebP thumbnail (images and PDF first pages)
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  width: Number,
+  height: Number,
+  // PDFs: extracted text of the first pages
+  text: {
+    type: String,
+    default: null
+  },
+  pageCount: Number,
+  // Text and code: highlight.js markup, already HTML-escaped
+  html: {
+    type: String,
+    default: null
+  },
+  language: {
+    type: String,
+    default: null
+  },
+  // CSV: first rows, header included
+  rows: {
+    type: [[String]],
+    default: undefined
+  },
+  // Only the beginning of the file is shown
+  truncated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+filePreviewSchema.index({ fileId: 1, version: 1 }, { unique: true });
+filePreviewSchema.index({ workspaceId: 1 });
+
+module.exports = mongoose.model('FilePreview', filePreviewSchema);
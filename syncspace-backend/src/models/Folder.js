@@ -0,0 +1,88 @@
+/**
+ * Folder Model
+ * Folders for workspace files. Folders nest through `parentId`; a folder with
+ * a projectId belongs to that project's files, otherwise to the workspace's.
+ */
+
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [100, 'Folder name cannot exceed 100 characters']
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  // Null for a top-level folder
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+folderSchema.index({ workspaceId: 1, projectId: 1, parentId: 1 });
+folderSchema.index({ parentId: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// IDs of every folder nested below a folder, at any depth
+folderSchema.statics.findDescendantIds = async function(folderId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(folderId.toString()) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parentId',
+        as: 'descendants'
+      }
+    },
+    { $project: { ids: '$descendants._id' } }
+  ]);
+  return result ? result.ids : [];
+};
+
+// Folders above a folder, top-level folder first
+folderSchema.statics.findAncestors = async function(folderId) {
+  const [result] = await this.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(folderId.toString()) } },
+    {
+      $graphLookup: {
+        from: this.collection.name,
+        startWith: '$parentId',
+        connectFromField: 'parentId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    },
+    { $project: { 'ancestors._id': 1, 'ancestors.name': 1, 'ancestors.depth': 1 } }
+  ]);
+  if (!result) return [];
+
+  return result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ _id, name }) => ({ _id, name }));
+};
+
+module.exports = mongoose.model('Folder', folderSchema);
@@ -0,0 +1,225 @@
+/**
+ * LinkReference Model
+ * Index of internal links between documents, tasks and messages. Internal URLs
+ * and [[Page]] wiki links written in Document.content, task descriptions and
+ * comments, and Message.text are indexed whenever that text is saved, so each
+ * entity can list what references it.
+ */
+
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['document', 'task', 'message'];
+const ENTITY_MODELS = { document: 'Document', task: 'Task', message: 'Message' };
+
+// App URLs (absolute or relative) of documents, tasks and chat messages
+const OBJECT_ID = '[a-f0-9]{24}';
+const URL_PATTERN = new RegExp(
+  `/workspace/(${OBJECT_ID})/(?:project/${OBJECT_ID}/task/(${OBJECT_ID})|document/(${OBJECT_ID})|chat\\?(?:[^\\s"'<>]*?&(?:amp;)?)?message=(${OBJECT_ID}))`,
+  'g'
+);
+const WIKI_PATTERN = /\[\[([^[\]\n]{1,200})\]\]/g;
+
+const linkReferenceSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Task comment the link is written in; null for the main text
+  sourceCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  targetType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: true
+  },
+  // Null for a wiki link to a page that does not exist (yet)
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['url', 'wiki'],
+    required: true
+  },
+  // Wiki link title as written, and its normalised form for matching page titles
+  label: {
+    type: String,
+    default: null
+  },
+  labelKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+linkReferenceSchema.index({ sourceType: 1, sourceId: 1 });
+linkReferenceSchema.index({ targetType: 1, targetId: 1 });
+linkReferenceSchema.index({ workspaceId: 1, kind: 1, labelKey: 1 });
+
+// Page titles match wiki links regardless of case and repeated spaces
+const normalizeTitle = (title = '') => title.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Links written in a piece of text (plain text or HTML)
+const extractReferences = (text = '') => {
+  const references = [];
+
+  for (const [, workspaceId, taskId, documentId, messageId] of text.matchAll(URL_PATTERN)) {
+    const [targetType, targetId] = taskId
+      ? ['task', taskId]
+      : documentId ? ['document', documentId] : ['message', messageId];
+    references.push({ kind: 'url', workspaceId, targetType, targetId });
+  }
+
+  for (const [, title] of decodeEntities(text).matchAll(WIKI_PATTERN)) {
+    const label = title.trim();
+    if (label) {
+      references.push({ kind: 'wiki', targetType: 'document', label, labelKey: normalizeTitle(label) });
+    }
+  }
+
+  return references;
+};
+
+const referenceKey = (reference) => [
+  reference.sourceCommentId,
+  reference.kind,
+  reference.targetType,
+  reference.targetId,
+  reference.labelKey
+].join(':');
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Rebuild the links written by one entity
+ * @param {Object} source - { sourceType, sourceId, workspaceId }
+ * @param {Array} entries - [{ text, commentId }], commentId only for task comments
+ */
+linkReferenceSchema.statics.indexSource = async function({ sourceType, sourceId, workspaceId: workspace }, entries) {
+  const workspaceId = workspace._id || workspace;
+  const found = entries.flatMap(({ text, commentId = null }) =>
+    extractReferences(text || '').map(reference => ({ ...reference, sourceCommentId: commentId }))
+  );
+
+  // URLs only count when they point at something that exists in the same workspace
+  const existing = new Set();
+  const urls = found.filter(ref => ref.kind === 'url' && ref.workspaceId === workspaceId.toString());
+  for (const type of ENTITY_TYPES) {
+    const ids = urls.filter(ref => ref.targetType === type).map(ref => ref.targetId);
+    if (!ids.length) continue;
+
+    const matches = await mongoose.model(ENTITY_MODELS[type]).find({ _id: { $in: ids }, workspaceId }).distinct('_id');
+    matches.forEach(id => existing.add(`${type}:${id}`));
+  }
+
+  // Wiki links point at the live page with that title
+  const labels = [...new Set(found.filter(ref => ref.kind === 'wiki').map(ref => ref.label))];
+  const pages = new Map();
+  if (labels.length) {
+    const documents = await mongoose.model('Document')
+      .find({ workspaceId, isArchived: { $ne: true }, title: { $in: labels } })
+      .collation({ locale: 'en', strength: 2 })
+      .select('title')
+      .sort('createdAt');
+    documents.forEach(doc => {
+      const key = normalizeTitle(doc.title);
+      if (!pages.has(key)) pages.set(key, doc._id);
+    });
+  }
+
+  const references = [];
+  const seen = new Set();
+  for (const ref of found) {
+    if (ref.kind === 'url' && !existing.has(`${ref.targetType}:${ref.targetId}`)) continue;
+
+    const targetId = ref.kind === 'wiki' ? pages.get(ref.labelKey) || null : ref.targetId;
+    if (ref.targetType === sourceType && targetId && targetId.toString() === sourceId.toString()) continue;
+
+    const reference = {
+      workspaceId,
+      sourceType,
+      sourceId,
+      sourceCommentId: ref.sourceCommentId,
+      targetType: ref.targetType,
+      targetId,
+      kind: ref.kind,
+      label: ref.label || null,
+      labelKey: ref.labelKey || null
+    };
+    const key = referenceKey(reference);
+    if (!seen.has(key)) {
+      seen.add(key);
+      references.push(reference);
+    }
+  }
+
+  // Most saves don't touch any links
+  const current = await this.find({ sourceType, sourceId }).lean();
+  const signature = (list) => list.map(referenceKey).sort().join('|');
+  if (signature(current) === signature(references)) return;
+
+  await this.deleteMany({ sourceType, sourceId });
+  if (references.length) await this.insertMany(references);
+};
+
+/**
+ * Point wiki links waiting for a page with this title at the document
+ * @param {Object} document - Document with title and workspaceId
+ */
+linkReferenceSchema.statics.resolveWikiLinks = function(document) {
+  return this.updateMany(
+    {
+      workspaceId: document.workspaceId._id || document.workspaceId,
+      kind: 'wiki',
+      targetId: null,
+      labelKey: normalizeTitle(document.title)
+    },
+    { $set: { targetId: document._id } }
+  );
+};
+
+/**
+ * Forget deleted entities: their own links go, links to them are dropped,
+ * and wiki links to a deleted page wait for a new page with that title
+ * @param {String} type - document, task or message
+ * @param {Array} ids - Entity IDs
+ */
+linkReferenceSchema.statics.removeEntities = async function(type, ids) {
+  await this.deleteMany({
+    $or: [
+      { sourceType: type, sourceId: { $in: ids } },
+      { targetType: type, targetId: { $in: ids }, kind: 'url' }
+    ]
+  });
+  await this.updateMany(
+    { targetType: type, targetId: { $in: ids }, kind: 'wiki' },
+    { $set: { targetId: null } }
+  );
+};
+
+linkReferenceSchema.statics.normalizeTitle = normalizeTitle;
+
+module.exports = mongoose.model('LinkReference', linkReferenceSchema);
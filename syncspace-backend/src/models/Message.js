@@ -11,6 +11,18 @@ const messageSchema = new mongoose.Schema({
     ref: 'Workspace',
     required: true
   },
+  // Named channel the message was posted in; null for the workspace-wide stream
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    default: null
+  },
+  // Direct / group conversation the message belongs to
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -46,6 +58,48 @@ const messageSchema = new mongoose.Schema({
     ref: 'Message',
     default: null
   },
+  // Root message of the thread this message replies in
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread reply that is also shown in the channel / workspace stream
+  alsoSentToChannel: {
+    type: Boolean,
+    default: false
+  },
+  // Summary kept on the root message of a thread
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null
+    },
+    lastReply: {
+      messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+      },
+      senderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      text: String
+    },
+    participants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Notified of new replies
+    followers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
   reactions: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -60,6 +114,19 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   isEdited: {
     type: Boolean,
     default: false
@@ -94,9 +161,45 @@ const messageSchema = new mongoose.Schema({
 
 // ==================== INDEXES ====================
 messageSchema.index({ workspaceId: 1, createdAt: -1 });
+messageSchema.index({ channelId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ threadId: 1, createdAt: 1 });
+messageSchema.index({ 'thread.followers': 1, 'thread.lastReplyAt': -1 });
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ mentions: 1 });
 messageSchema.index({ createdAt: -1 });
+messageSchema.index({ workspaceId: 1, isPinned: 1, pinnedAt: -1 });
+messageSchema.index({ text: 'text' });
+
+// ==================== MIDDLEWARE ====================
+
+// Re-index internal links when the text changes
+messageSchema.pre('save', function(next) {
+  this.$locals.textChanged = this.isModified('text');
+  next();
+});
+
+messageSchema.post('save', async function() {
+  if (!this.$locals.textChanged) return;
+  try {
+    const LinkReference = require('./LinkReference');
+    await LinkReference.indexSource(
+      { sourceType: 'message', sourceId: this._id, workspaceId: this.workspaceId },
+      [{ text: this.isDeleted ? '' : this.text }]
+    );
+  } catch (error) {
+    console.error('Error indexing message links:', error);
+  }
+});
+
+messageSchema.post('deleteOne', { document: true, query: false }, async function() {
+  try {
+    const LinkReference = require('./LinkReference');
+    await LinkReference.removeEntities('message', [this._id]);
+  } catch (error) {
+    console.error('Error removing message links:', error);
+  }
+});
 
 // ==================== METHODS ====================
 
@@ -148,6 +251,15 @@ messageSchema.methods.removeReaction = async function(userId, emoji) {
   return this;
 };
 
+// Pin or unpin message
+messageSchema.methods.setPinned = async function(userId, pinned) {
+  this.isPinned = pinned;
+  this.pinnedAt = pinned ? new Date() : null;
+  this.pinnedBy = pinned ? userId : null;
+  await this.save();
+  return this;
+};
+
 // Mark as read by user
 messageSchema.methods.markAsRead = async function(userId) {
   // Check if already read by this user
@@ -166,16 +278,36 @@ messageSchema.methods.markAsRead = async function(userId) {
   return this;
 };
 
-// Get unread count for workspace
+// Thread replies only show up in the main stream when also sent there
+messageSchema.statics.streamFilter = function() {
+  return { $or: [{ threadId: null }, { alsoSentToChannel: true }] };
+};
+
+// Get unread count for the workspace-wide stream
 messageSchema.statics.getUnreadCount = async function(workspaceId, userId) {
   return await this.countDocuments({
+    ...this.streamFilter(),
     workspaceId,
+    channelId: null,
+    conversationId: null,
     'readBy.userId': { $ne: userId },
     senderId: { $ne: userId },
     isDeleted: false
   });
 };
 
+// Get unread count of a channel or conversation since the user's read marker
+// scope: { channelId } or { conversationId }
+messageSchema.statics.getUnreadCountSince = async function(scope, userId, since) {
+  return await this.countDocuments({
+    ...this.streamFilter(),
+    ...scope,
+    createdAt: { $gt: since },
+    senderId: { $ne: userId },
+    isDeleted: false
+  });
+};
+
 // ==================== VIRTUAL FIELDS ====================
 
 // Virtual for attachment count
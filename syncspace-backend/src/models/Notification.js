@@ -15,14 +15,19 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     enum: [
       'mention',
+      'thread_reply',
+      'direct_message',
       'task_assigned',
       'task_updated',
       'task_completed',
+      'task_due',
+      'task_overdue',
       'comment',
       'workspace_invite',
       'project_invite',
       'file_uploaded',
       'document_shared',
+      'storage_quota',
       'system'
     ],
     required: true
@@ -81,6 +86,11 @@ const notificationSchema = new mongoose.Schema({
     enum: ['low', 'normal', 'high', 'urgent'],
     default: 'normal'
   },
+  // Waiting to go out with the recipient's next digest email
+  digestPending: {
+    type: Boolean,
+    default: false
+  },
   expiresAt: {
     type: Date,
     default: null
@@ -95,6 +105,7 @@ const notificationSchema = new mongoose.Schema({
 notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ workspaceId: 1 });
+notificationSchema.index({ digestPending: 1, userId: 1 }, { partialFilterExpression: { digestPending: true } });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // ==================== METHODS ====================
@@ -0,0 +1,208 @@
+/**
+ * NotificationPreference Model
+ * How a user receives each notification type, with per-workspace
+ * overrides, quiet hours and the daily digest time
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+// in_app: notification list + live push; email: also emailed;
+// digest: listed and collected into the daily digest email; off: dropped
+const DELIVERY_MODES = ['in_app', 'email', 'digest', 'off'];
+
+// Used for types the user has not configured
+const DEFAULT_MODES = {
+  mention: 'email',
+  task_assigned: 'email',
+  task_due: 'email',
+  task_overdue: 'email',
+  workspace_invite: 'email',
+  storage_quota: 'email'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const modeMap = {
+  type: Map,
+  of: {
+    type: String,
+    enum: DELIVERY_MODES
+  },
+  default: {},
+  validate: {
+    validator: (types) => [...types.keys()].every(type => NOTIFICATION_TYPES.includes(type)),
+    message: 'Unknown notification type'
+  }
+};
+
+const workspacePreferenceSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  types: modeMap
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  types: modeMap,
+  workspaces: [workspacePreferenceSchema],
+  // Emails held back during quiet hours go out with the next digest
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours start must be HH:mm'],
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      match: [TIME_PATTERN, 'Quiet hours end must be HH:mm'],
+      default: '07:00'
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown time zone'
+      }
+    }
+  },
+  // Local hour (in quietHours.timezone) the daily digest is sent
+  digestHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+  // The digest hour fell in quiet hours; the digest goes out when they end
+  digestDeferred: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== METHODS ====================
+
+// Delivery mode for a type, workspace override first
+notificationPreferenceSchema.methods.getMode = function(type, workspaceId) {
+  if (workspaceId) {
+    const override = this.workspaces.find(entry => entry.workspaceId.toString() === workspaceId.toString());
+    if (override && override.types.get(type)) return override.types.get(type);
+  }
+  return this.types.get(type) || DEFAULT_MODES[type] || 'in_app';
+};
+
+// Hours and minutes on the user's clock
+notificationPreferenceSchema.methods.getLocalTime = function(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.quietHours.timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (name) => Number(parts.find(p => p.type === name).value);
+  return { hour: part('hour'), minute: part('minute') };
+};
+
+notificationPreferenceSchema.methods.isQuietTime = function(date = new Date()) {
+  if (!this.quietHours.enabled) return false;
+
+  const { hour, minute } = this.getLocalTime(date);
+  const now = hour * 60 + minute;
+  const [startHour, startMinute] = this.quietHours.start.split(':').map(Number);
+  const [endHour, endMinute] = this.quietHours.end.split(':').map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+
+  // Ranges like 22:00-07:00 wrap past midnight
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Apply a preferences update. A null mode clears the setting so the
+ * default (or the user-wide setting for a workspace override) applies again.
+ * @param {Object} updates - { types, workspaceId, quietHours, digestHour }
+ */
+notificationPreferenceSchema.methods.applyUpdate = function({ types, workspaceId, quietHours, digestHour } = {}) {
+  if (types) {
+    let target = this.types;
+
+    if (workspaceId) {
+      let override = this.workspaces.find(entry => entry.workspaceId.toString() === workspaceId.toString());
+      if (!override) {
+        this.workspaces.push({ workspaceId, types: {} });
+        override = this.workspaces[this.workspaces.length - 1];
+      }
+      target = override.types;
+    }
+
+    Object.entries(types).forEach(([type, mode]) => {
+      if (mode === null) target.delete(type);
+      else target.set(type, mode);
+    });
+
+    // Drop overrides that no longer override anything
+    this.workspaces = this.workspaces.filter(entry => entry.types.size > 0);
+  }
+
+  if (quietHours) {
+    ['enabled', 'start', 'end', 'timezone'].forEach(field => {
+      if (quietHours[field] !== undefined) this.quietHours[field] = quietHours[field];
+    });
+  }
+
+  if (digestHour !== undefined) this.digestHour = digestHour;
+
+  return this;
+};
+
+// Every type with its effective mode, for settings screens
+notificationPreferenceSchema.methods.resolve = function(workspaceId) {
+  return NOTIFICATION_TYPES.reduce((modes, type) => {
+    modes[type] = this.getMode(type, workspaceId);
+    return modes;
+  }, {});
+};
+
+// ==================== STATIC METHODS ====================
+
+// Stored preferences, or unsaved defaults for users who never changed them
+notificationPreferenceSchema.statics.forUser = async function(userId) {
+  return (await this.findOne({ userId })) || new this({ userId });
+};
+
+notificationPreferenceSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+notificationPreferenceSchema.statics.DELIVERY_MODES = DELIVERY_MODES;
+notificationPreferenceSchema.statics.isValidTimeZone = isValidTimeZone;
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -5,6 +5,50 @@
 
 const mongoose = require('mongoose');
 
+// Column keys double as Task.status values
+const COLUMN_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,39}$/;
+
+// Columns every project starts with; legacy task statuses map onto these
+const DEFAULT_WORKFLOW = [
+  { key: 'todo', name: 'To Do', color: '#64748b', order: 0, wipLimit: null, isDone: false },
+  { key: 'inProgress', name: 'In Progress', color: '#3b82f6', order: 1, wipLimit: null, isDone: false },
+  { key: 'done', name: 'Done', color: '#22c55e', order: 2, wipLimit: null, isDone: true }
+];
+
+const workflowColumnSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Column key is required'],
+    trim: true,
+    match: [COLUMN_KEY_PATTERN, 'Column key must start with a letter and contain only letters, numbers, hyphens and underscores']
+  },
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true,
+    maxlength: [50, 'Column name cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    default: '#64748b'
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Maximum number of tasks allowed in the column; null means unlimited
+  wipLimit: {
+    type: Number,
+    min: [1, 'WIP limit must be at least 1'],
+    default: null
+  },
+  // Tasks in this column count as completed
+  isDone: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -67,6 +111,23 @@ const projectSchema = new mongoose.Schema({
     type: String,
     default: '#3b82f6'
   },
+  // Kanban columns, see DEFAULT_WORKFLOW
+  workflow: {
+    type: [workflowColumnSchema],
+    default: () => DEFAULT_WORKFLOW.map(column => ({ ...column })),
+    validate: {
+      validator: function(columns) {
+        const keys = columns.map(column => column.key);
+        return columns.length > 0 && new Set(keys).size === keys.length;
+      },
+      message: 'Workflow needs at least one column and column keys must be unique'
+    }
+  },
+  // Refuse moving a task into a done column while its blockers are open
+  enforceDependencies: {
+    type: Boolean,
+    default: false
+  },
   isArchived: {
     type: Boolean,
     default: false
@@ -127,8 +188,8 @@ projectSchema.methods.calculateProgress = async function() {
   if (!tasks.length) {
     this.progress = 0;
   } else {
-    // 🔧 Standardize to lowercase statuses from Task model
-    const completedTasks = tasks.filter(t => t.status === 'done').length;
+    const doneStatuses = this.getDoneStatuses();
+    const completedTasks = tasks.filter(t => doneStatuses.includes(t.status)).length;
     this.progress = Math.round((completedTasks / tasks.length) * 100);
   }
 
@@ -136,6 +197,92 @@ projectSchema.methods.calculateProgress = async function() {
   return this.progress;
 };
 
+// ✅ Workflow columns sorted by display order
+projectSchema.methods.getWorkflow = function() {
+  return [...this.workflow].sort((a, b) => a.order - b.order);
+};
+
+projectSchema.methods.getColumn = function(key) {
+  return this.workflow.find(column => column.key === key) || null;
+};
+
+// Status given to new tasks when none is specified
+projectSchema.methods.getDefaultStatus = function() {
+  const [first] = this.getWorkflow();
+  return first ? first.key : DEFAULT_WORKFLOW[0].key;
+};
+
+projectSchema.methods.getDoneStatuses = function() {
+  return this.workflow.filter(column => column.isDone).map(column => column.key);
+};
+
+projectSchema.methods.isDoneStatus = function(key) {
+  const column = this.getColumn(key);
+  return !!(column && column.isDone);
+};
+
+/**
+ * Check whether tasks may enter a column
+ * @param {String} key - Target column key
+ * @param {ObjectId|Array} taskIds - Task(s) being moved (not counted against the WIP limit);
+ *                                   none for a new task
+ * @returns {Object|null} { code: 'unknown_column' | 'wip_limit' | 'blocked', message } or null if allowed
+ */
+projectSchema.methods.checkColumnMove = async function(key, taskIds = null) {
+  const column = this.getColumn(key);
+  if (!column) {
+    const keys = this.getWorkflow().map(c => c.key).join(', ');
+    return { code: 'unknown_column', message: `Status must be one of: ${keys}` };
+  }
+
+  const moving = [].concat(taskIds || []);
+
+  if (column.wipLimit) {
+    const filter = { projectId: this._id, status: key };
+    if (moving.length) filter._id = { $nin: moving };
+
+    const count = await mongoose.model('Task').countDocuments(filter);
+    if (count + Math.max(moving.length, 1) > column.wipLimit) {
+      return {
+        code: 'wip_limit',
+        message: `Column "${column.name}" has reached its WIP limit of ${column.wipLimit}`
+      };
+    }
+  }
+
+  if (column.isDone && this.enforceDependencies) {
+    const TaskLink = require('./TaskLink');
+    for (const taskId of moving) {
+      const blockers = await TaskLink.getOpenBlockers(taskId);
+      if (blockers.length) {
+        return {
+          code: 'blocked',
+          message: `Task is blocked by ${blockers.length} open task(s): ${blockers.map(t => t.title).join(', ')}`,
+          taskId,
+          blockers
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+// ✅ Set or clear completedAt on tasks after the done columns changed
+projectSchema.methods.syncTaskCompletion = async function() {
+  const Task = mongoose.model('Task');
+  const doneStatuses = this.getDoneStatuses();
+
+  await Task.updateMany(
+    { projectId: this._id, status: { $in: doneStatuses }, completedAt: null },
+    { $set: { completedAt: new Date() } }
+  );
+  await Task.updateMany(
+    { projectId: this._id, status: { $nin: doneStatuses }, completedAt: { $ne: null } },
+    { $set: { completedAt: null } }
+  );
+};
+
 // ✅ Check if project is overdue
 projectSchema.methods.isOverdue = function() {
   if (!this.dueDate || this.status === 'Completed') return false;
@@ -157,6 +304,12 @@ projectSchema.methods.unarchive = async function() {
   return this;
 };
 
+// ==================== STATIC METHODS ====================
+
+projectSchema.statics.getDefaultWorkflow = function() {
+  return DEFAULT_WORKFLOW.map(column => ({ ...column }));
+};
+
 // ==================== VIRTUAL FIELDS ====================
 
 // ✅ Days until due date
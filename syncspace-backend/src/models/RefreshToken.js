@@ -0,0 +1,78 @@
+/**
+ * RefreshToken Model
+ * Persists issued refresh tokens so they can be rotated and revoked.
+ * Every token belongs to a family (one per login); reusing a rotated
+ * token revokes the whole family.
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the signed token - the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'revoked', 'reuse', null],
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==================== METHODS ====================
+
+// Check if token can still be exchanged
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ==================== STATIC METHODS ====================
+
+// Atomically mark a token as used; returns null if it was already used or revoked
+refreshTokenSchema.statics.consume = async function(tokenHash, replacedByHash) {
+  return await this.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
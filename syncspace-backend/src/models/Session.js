@@ -0,0 +1,88 @@
+/**
+ * Session Model
+ * One record per login (refresh token family) so users can review
+ * and revoke their signed-in devices
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Refresh token family - also carried as `sid` in every token of the session
+  family: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==================== METHODS ====================
+
+// Check if session is still usable
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ==================== STATIC METHODS ====================
+
+// Revoke matching live sessions and their refresh tokens; returns the revoked families
+sessionSchema.statics.revokeWhere = async function(filter, reason = 'revoked') {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('family');
+  const families = sessions.map(s => s.family);
+
+  if (families.length) {
+    await this.updateMany(
+      { family: { $in: families } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await mongoose.model('RefreshToken').updateMany(
+      { family: { $in: families }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  return families;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -4,6 +4,95 @@
  */
 
 const mongoose = require('mongoose');
+const { getNextOccurrence, getNextAfterCompletion, FREQUENCIES } = require('../utils/recurrenceUtils');
+
+// Checklist item on a task
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    maxlength: [200, 'Subtask title cannot exceed 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Stamp completion time when an item is ticked or unticked
+subtaskSchema.pre('save', function(next) {
+  if (this.isModified('done')) {
+    this.completedAt = this.done ? new Date() : null;
+  }
+  next();
+});
+
+// Recurrence rule; the rule travels with the latest occurrence of the series
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  // Every N days / weeks / months
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    max: [365, 'Interval cannot exceed 365'],
+    default: 1
+  },
+  // Weekly: 0 (Sunday) - 6 (Saturday)
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Monthly: falls back to the last day of shorter months
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null
+  },
+  // Anchor date; occurrences keep its time of day
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  // When the scheduler creates the next occurrence
+  nextRunAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -39,9 +128,10 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Key of a column in the project's workflow
   status: {
     type: String,
-    enum: ['todo', 'inProgress', 'done'],
+    trim: true,
     default: 'todo'
   },
   priority: {
@@ -64,6 +154,8 @@ const taskSchema = new mongoose.Schema({
   attachments: [{
     fileName: String,
     fileUrl: String,
+    storageKey: String,
+    mimeType: String,
     fileSize: Number,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -94,6 +186,17 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  subtasks: [subtaskSchema],
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // Previous occurrence this task was generated from
+  recurringFromTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
   position: {
     type: Number,
     default: 0
@@ -121,17 +224,36 @@ taskSchema.index({ assignee: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdAt: -1 });
 taskSchema.index({ title: 'text', description: 'text' });
+taskSchema.index({ 'recurrence.nextRunAt': 1 }, { sparse: true });
 
 // ==================== MIDDLEWARE ====================
 
-// Update completedAt when status changes to done
+// Update completedAt when the task enters or leaves a done column
+taskSchema.pre('save', async function() {
+  if (!this.isModified('status')) return;
+
+  const Project = require('./Project');
+  const project = await Project.findById(this.projectId).select('workflow');
+  const isDone = project ? project.isDoneStatus(this.status) : this.status === 'done';
+
+  if (isDone && !this.completedAt) {
+    this.completedAt = new Date();
+  } else if (!isDone) {
+    this.completedAt = null;
+  }
+});
+
+// Schedule the next occurrence of a recurring task
 taskSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
-    if (this.status === 'done' && !this.completedAt) {
-      this.completedAt = new Date();
-    } else if (this.status !== 'done') {
-      this.completedAt = null;
+  const rule = this.recurrence;
+  if (!rule || !rule.frequency) return next();
+
+  if (rule.frequency === 'after_completion') {
+    if (this.isModified('completedAt') || this.isModified('recurrence')) {
+      rule.nextRunAt = getNextAfterCompletion(rule, this.completedAt);
     }
+  } else if (this.isModified('recurrence') && !rule.nextRunAt) {
+    rule.nextRunAt = getNextOccurrence(rule, new Date());
   }
   next();
 });
@@ -149,6 +271,54 @@ taskSchema.post('save', async function() {
   }
 });
 
+// Drop dependency links together with the task
+taskSchema.post('deleteOne', { document: true, query: false }, async function() {
+  try {
+    const TaskLink = require('./TaskLink');
+    await TaskLink.deleteMany({ $or: [{ sourceTaskId: this._id }, { targetTaskId: this._id }] });
+    const LinkReference = require('./LinkReference');
+    await LinkReference.removeEntities('task', [this._id]);
+  } catch (error) {
+    console.error('Error removing task links:', error);
+  }
+});
+
+// Stored attachment files go with the task, and their bytes leave the workspace's usage
+taskSchema.post('deleteOne', { document: true, query: false }, async function() {
+  try {
+    const stored = (this.attachments || []).filter(attachment => attachment.storageKey);
+    if (!stored.length) return;
+    const { removeObjects } = require('../utils/storageUtils');
+    const { releaseStorage } = require('../utils/storageUsageUtils');
+    await removeObjects(stored.map(attachment => attachment.storageKey));
+    await releaseStorage(this.workspaceId, stored.reduce((sum, attachment) => sum + (attachment.fileSize || 0), 0));
+  } catch (error) {
+    console.error('Error removing task attachments:', error);
+  }
+});
+
+// Re-index internal links when the description or comments change
+taskSchema.pre('save', function(next) {
+  this.$locals.textChanged = this.isModified('description') || this.isModified('comments');
+  next();
+});
+
+taskSchema.post('save', async function() {
+  if (!this.$locals.textChanged) return;
+  try {
+    const LinkReference = require('./LinkReference');
+    await LinkReference.indexSource(
+      { sourceType: 'task', sourceId: this._id, workspaceId: this.workspaceId },
+      [
+        { text: this.description },
+        ...this.comments.map(comment => ({ text: comment.text, commentId: comment._id }))
+      ]
+    );
+  } catch (error) {
+    console.error('Error indexing task links:', error);
+  }
+});
+
 // ==================== METHODS ====================
 
 // Add comment to task
@@ -188,12 +358,44 @@ taskSchema.methods.deleteComment = async function(commentId) {
 
 // Check if task is overdue
 taskSchema.methods.isOverdue = function() {
-  if (!this.dueDate || this.status === 'done') {
+  if (!this.dueDate || this.completedAt) {
     return false;
   }
   return new Date() > this.dueDate;
 };
 
+// Add checklist item at the end of the list
+taskSchema.methods.addSubtask = async function(userId, { title, assignee, dueDate }) {
+  const lastOrder = this.subtasks.reduce((max, subtask) => Math.max(max, subtask.order), -1);
+
+  this.subtasks.push({
+    title,
+    assignee: assignee || null,
+    dueDate: dueDate || null,
+    order: lastOrder + 1,
+    createdBy: userId
+  });
+
+  await this.save();
+  return this.subtasks[this.subtasks.length - 1];
+};
+
+// Update checklist item; only checklist fields are copied
+taskSchema.methods.updateSubtask = async function(subtaskId, updates) {
+  const subtask = this.subtasks.id(subtaskId);
+
+  if (!subtask) {
+    throw new Error('Subtask not found');
+  }
+
+  ['title', 'done', 'assignee', 'dueDate', 'order'].forEach(field => {
+    if (updates[field] !== undefined) subtask[field] = updates[field];
+  });
+
+  await this.save();
+  return subtask;
+};
+
 // Add attachment
 taskSchema.methods.addAttachment = async function(fileData) {
   this.attachments.push(fileData);
@@ -208,6 +410,21 @@ taskSchema.virtual('commentCount').get(function() {
   return this.comments ? this.comments.length : 0;
 });
 
+// Checklist roll-up
+taskSchema.virtual('subtaskCount').get(function() {
+  return this.subtasks ? this.subtasks.length : 0;
+});
+
+taskSchema.virtual('completedSubtaskCount').get(function() {
+  return this.subtasks ? this.subtasks.filter(subtask => subtask.done).length : 0;
+});
+
+// Percentage of checklist items done, null when the task has no checklist
+taskSchema.virtual('subtaskProgress').get(function() {
+  if (!this.subtasks || !this.subtasks.length) return null;
+  return Math.round((this.completedSubtaskCount / this.subtasks.length) * 100);
+});
+
 // Virtual for attachment count
 taskSchema.virtual('attachmentCount').get(function() {
   return this.attachments ? this.attachments.length : 0;
@@ -0,0 +1,111 @@
+/**
+ * TaskLink Model
+ * Directed relationship between two tasks of the same workspace.
+ * "blocked by" is stored as the reverse "blocks" link.
+ */
+
+const mongoose = require('mongoose');
+
+const taskLinkSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  sourceTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  targetTaskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  // source blocks / relates to / duplicates target
+  type: {
+    type: String,
+    enum: ['blocks', 'relates_to', 'duplicates'],
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// ==================== INDEXES ====================
+taskLinkSchema.index({ sourceTaskId: 1, targetTaskId: 1, type: 1 }, { unique: true });
+taskLinkSchema.index({ targetTaskId: 1, type: 1 });
+taskLinkSchema.index({ workspaceId: 1 });
+
+// ==================== STATIC METHODS ====================
+
+// All links touching a task, in either direction
+taskLinkSchema.statics.findForTask = function(taskId) {
+  return this.find({ $or: [{ sourceTaskId: taskId }, { targetTaskId: taskId }] });
+};
+
+// Blocking tasks of a task that are not completed yet
+taskLinkSchema.statics.getOpenBlockers = async function(taskId) {
+  const links = await this.find({ targetTaskId: taskId, type: 'blocks' }).select('sourceTaskId');
+  if (!links.length) return [];
+
+  return mongoose.model('Task').find({
+    _id: { $in: links.map(link => link.sourceTaskId) },
+    completedAt: null
+  }).select('title status projectId');
+};
+
+/**
+ * Count open blockers for many tasks at once
+ * @param {Array} taskIds - Task IDs
+ * @returns {Map} taskId string -> number of open blockers (only blocked tasks are present)
+ */
+taskLinkSchema.statics.countOpenBlockers = async function(taskIds) {
+  const links = await this.find({ targetTaskId: { $in: taskIds }, type: 'blocks' })
+    .select('sourceTaskId targetTaskId');
+  const counts = new Map();
+  if (!links.length) return counts;
+
+  const openBlockers = await mongoose.model('Task').find({
+    _id: { $in: links.map(link => link.sourceTaskId) },
+    completedAt: null
+  }).select('_id');
+  const openIds = new Set(openBlockers.map(task => task._id.toString()));
+
+  links.forEach(link => {
+    if (!openIds.has(link.sourceTaskId.toString())) return;
+    const key = link.targetTaskId.toString();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  return counts;
+};
+
+/**
+ * Whether adding "sourceId blocks targetId" would close a loop,
+ * i.e. targetId already (transitively) blocks sourceId
+ * @returns {Boolean}
+ */
+taskLinkSchema.statics.wouldCreateCycle = async function(sourceId, targetId) {
+  const goal = sourceId.toString();
+  const visited = new Set();
+  let frontier = [targetId.toString()];
+
+  while (frontier.length) {
+    if (frontier.includes(goal)) return true;
+    frontier.forEach(id => visited.add(id));
+
+    const links = await this.find({ sourceTaskId: { $in: frontier }, type: 'blocks' }).select('targetTaskId');
+    frontier = [...new Set(links.map(link => link.targetTaskId.toString()))]
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+module.exports = mongoose.model('TaskLink', taskLinkSchema);
@@ -0,0 +1,56 @@
+/**
+ * TaskReminder Model
+ * Records which due-date reminders were sent, so a user is reminded
+ * once per task, threshold and due date
+ */
+
+const mongoose = require('mongoose');
+
+const taskReminderSchema = new mongoose.Schema({
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // due_<hours>h or overdue
+  threshold: {
+    type: String,
+    required: true,
+    match: [/^(due_\d+h|overdue)$/, 'Invalid reminder threshold']
+  },
+  // Due date the reminder was for; moving the due date allows new reminders
+  dueDate: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================== INDEXES ====================
+taskReminderSchema.index({ taskId: 1, userId: 1, threshold: 1, dueDate: 1 }, { unique: true });
+// Reminders only matter while the task is in the scan window
+taskReminderSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Claim a reminder before sending it
+ * @returns {Boolean} false if it was already sent
+ */
+taskReminderSchema.statics.claim = async function({ taskId, userId, threshold, dueDate }) {
+  try {
+    await this.create({ taskId, userId, threshold, dueDate });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('TaskReminder', taskReminderSchema);
@@ -41,6 +41,12 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage key of an uploaded avatar, so it can be removed when replaced
+  avatarKey: {
+    type: String,
+    default: null,
+    select: false
+  },
   phone: {
     type: String,
     default: null
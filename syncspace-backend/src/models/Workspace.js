@@ -57,6 +57,35 @@ const workspaceSchema = new mongoose.Schema({
       type: String,
       enum: ['public', 'private'],
       default: 'private'
+    },
+    // Unnamed document versions older than this are pruned; null keeps them all
+    documentHistory: {
+      retentionDays: {
+        type: Number,
+        min: 1,
+        default: null
+      }
+    }
+  },
+  // Managed by site admins, not through workspace settings
+  storage: {
+    // Bytes; null uses WORKSPACE_STORAGE_QUOTA_MB, 0 means unlimited
+    quota: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Bytes stored, kept by uploads and deletions; null until first counted
+    used: {
+      type: Number,
+      min: 0,
+      default: null
+    },
+    // Highest usage warning (80/95%) sent to admins since usage was last below it
+    warningLevel: {
+      type: Number,
+      enum: [0, 80, 95],
+      default: 0
     }
   },
   avatar: {
@@ -118,10 +147,15 @@ workspaceSchema.pre('remove', async function(next) {
 
     // Delete all files in workspace
     await this.model('File').deleteMany({ workspaceId: this._id });
+    await this.model('Folder').deleteMany({ workspaceId: this._id });
+    await this.model('FilePreview').deleteMany({ workspaceId: this._id });
 
     // Delete all notifications related to workspace
     await this.model('Notification').deleteMany({ workspaceId: this._id });
 
+    // Delete the link index of the workspace
+    await this.model('LinkReference').deleteMany({ workspaceId: this._id });
+
     next();
   } catch (error) {
     next(error);
@@ -146,6 +180,11 @@ workspaceSchema.methods.isCreator = function(userId) {
   return this.createdBy.toString() === userId.toString();
 };
 
+// Check if user can access the workspace (creators are not always listed in members)
+workspaceSchema.methods.hasAccess = function(userId) {
+  return this.isCreator(userId) || this.isMember(userId);
+};
+
 // Add member to workspace
 workspaceSchema.methods.addMember = async function(userId, role = 'Member') {
   // Check if user is already a member
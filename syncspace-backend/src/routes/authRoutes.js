@@ -7,12 +7,14 @@ const { validationResult } = require('express-validator');
 const authController = require('../controllers/authController');
 const { protect, verifyToken } = require('../middlewares/authMiddleware');
 const validationMiddleware = require('../middlewares/validationMiddleware');
+const { validateObjectId } = validationMiddleware;
 
 // Validators
 const {
   validateRegister,
   validateLogin,
-  validatePasswordReset
+  validatePasswordReset,
+  validateRefreshToken
 } = require('../validators/authValidator');
 
 // ==================== DEBUG LOGS ====================
@@ -41,11 +43,11 @@ router.post('/register', validateRegister, async (req, res, next) => {
 router.post('/login', validateLogin, validationMiddleware, authController.login);
 
 // @route   POST /api/auth/refresh-token
-// @desc    Refresh token
-router.post('/refresh-token', authController.refreshToken);
+// @desc    Rotate refresh token and issue a new access token
+router.post('/refresh-token', validateRefreshToken, validationMiddleware, authController.refreshToken);
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user and revoke the current session's refresh tokens
 router.post('/logout', protect, authController.logout);
 
 // @route   POST /api/auth/forgot-password
@@ -72,6 +74,18 @@ router.get('/me', protect, authController.getCurrentUser);
 // @desc    Change password
 router.post('/change-password', protect, authController.changePassword);
 
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+router.get('/sessions', protect, authController.getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a single session
+router.delete('/sessions/:sessionId', protect, validateObjectId('sessionId'), authController.revokeSession);
+
 // @route   GET /api/auth/validate
 // @desc    Validate token (check if logged in)
 // router.get('/validate', verifyToken, async (req, res) => {
@@ -4,7 +4,23 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
-const { validateMessageCreate } = require('../validators/chatValidator');
+const {
+  validateMessageCreate,
+  validateChannelCreate,
+  validateChannelUpdate,
+  validateChannelList,
+  validateChannelMember,
+  validateChannelMessage,
+  validateThreadCreate,
+  validateThreadList,
+  validateConversationList,
+  validateConversationCreate,
+  validateConversationParticipants,
+  validateConversationMessage,
+  validateDirectMessages,
+  validateMessageSearch,
+  validateMessageContext
+} = require('../validators/chatValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 /**
@@ -46,10 +62,16 @@ router.get(
 
 /**
  * @route   GET /api/chat/direct/:userId/messages
- * @desc    Get direct messages with a specific user
+ * @desc    Get direct messages with a specific user (?workspaceId=)
  * @access  Private
  */
-router.get('/direct/:userId/messages', protect, chatController.getDirectMessages);
+router.get(
+  '/direct/:userId/messages',
+  protect,
+  validateDirectMessages,
+  validationMiddleware,
+  chatController.getDirectMessages
+);
 
 /**
  * @route   GET /api/chat/messages/:id
@@ -58,6 +80,26 @@ router.get('/direct/:userId/messages', protect, chatController.getDirectMessages
  */
 router.get('/messages/:id', protect, chatController.getMessageById);
 
+/**
+ * @route   GET /api/chat/messages/:id/context
+ * @desc    Get a message with the messages around it (jump to message)
+ * @access  Private
+ */
+router.get(
+  '/messages/:id/context',
+  protect,
+  validateMessageContext,
+  validationMiddleware,
+  chatController.getMessageContext
+);
+
+/**
+ * @route   GET /api/chat/messages/:id/backlinks
+ * @desc    List the documents, tasks and messages linking to the message
+ * @access  Private
+ */
+router.get('/messages/:id/backlinks', protect, chatController.getMessageBacklinks);
+
 /**
  * @route   PUT /api/chat/messages/:id
  * @desc    Edit message
@@ -119,6 +161,55 @@ router.get(
  */
 router.post('/messages/:id/read', protect, chatController.markMessageAsRead);
 
+// ==================== THREADS ====================
+
+/**
+ * @route   GET /api/chat/threads
+ * @desc    Get threads the user follows in a workspace (?workspaceId=)
+ * @access  Private
+ */
+router.get(
+  '/threads',
+  protect,
+  validateThreadList,
+  validationMiddleware,
+  chatController.getFollowedThreads
+);
+
+/**
+ * @route   GET /api/chat/messages/:id/thread
+ * @desc    Get a thread with its replies and participants
+ * @access  Private
+ */
+router.get('/messages/:id/thread', protect, chatController.getThread);
+
+/**
+ * @route   POST /api/chat/messages/:id/thread
+ * @desc    Reply in a thread
+ * @access  Private
+ */
+router.post(
+  '/messages/:id/thread',
+  protect,
+  validateThreadCreate,
+  validationMiddleware,
+  chatController.replyToThread
+);
+
+/**
+ * @route   POST /api/chat/messages/:id/thread/follow
+ * @desc    Follow a thread
+ * @access  Private
+ */
+router.post('/messages/:id/thread/follow', protect, chatController.followThread);
+
+/**
+ * @route   DELETE /api/chat/messages/:id/thread/follow
+ * @desc    Unfollow a thread
+ * @access  Private
+ */
+router.delete('/messages/:id/thread/follow', protect, chatController.unfollowThread);
+
 /**
  * @route   GET /api/chat/unread
  * @desc    Get unread message count
@@ -135,28 +226,207 @@ router.post('/typing', protect, chatController.sendTypingIndicator);
 
 /**
  * @route   GET /api/chat/search
- * @desc    Search messages
+ * @desc    Search messages with operators (?workspaceId=&query=&cursor=)
+ * @access  Private
+ */
+router.get(
+  '/search',
+  protect,
+  validateMessageSearch,
+  validationMiddleware,
+  chatController.searchMessages
+);
+
+// ==================== CHANNELS ====================
+
+/**
+ * @route   GET /api/chat/channels
+ * @desc    Get channels of a workspace with unread counts (?workspaceId=)
  * @access  Private
  */
-router.get('/search', protect, chatController.searchMessages);
+router.get(
+  '/channels',
+  protect,
+  validateChannelList,
+  validationMiddleware,
+  chatController.getChannels
+);
 
 /**
  * @route   POST /api/chat/channels
  * @desc    Create a chat channel
  * @access  Private
  */
-router.post('/channels', protect, verifyWorkspaceAccess, chatController.createChannel);
+router.post(
+  '/channels',
+  protect,
+  validateChannelCreate,
+  validationMiddleware,
+  verifyWorkspaceAccess,
+  chatController.createChannel
+);
+
+/**
+ * @route   GET /api/chat/channels/:channelId
+ * @desc    Get a channel with its members
+ * @access  Private
+ */
+router.get('/channels/:channelId', protect, chatController.getChannel);
+
+/**
+ * @route   PUT /api/chat/channels/:channelId
+ * @desc    Update channel details or archive/unarchive it
+ * @access  Private
+ */
+router.put(
+  '/channels/:channelId',
+  protect,
+  validateChannelUpdate,
+  validationMiddleware,
+  chatController.updateChannel
+);
+
+/**
+ * @route   POST /api/chat/channels/:channelId/join
+ * @desc    Join a public channel
+ * @access  Private
+ */
+router.post('/channels/:channelId/join', protect, chatController.joinChannel);
+
+/**
+ * @route   POST /api/chat/channels/:channelId/leave
+ * @desc    Leave a channel
+ * @access  Private
+ */
+router.post('/channels/:channelId/leave', protect, chatController.leaveChannel);
+
+/**
+ * @route   POST /api/chat/channels/:channelId/members
+ * @desc    Add a member to a channel or change their role
+ * @access  Private
+ */
+router.post(
+  '/channels/:channelId/members',
+  protect,
+  validateChannelMember,
+  validationMiddleware,
+  chatController.addChannelMember
+);
+
+/**
+ * @route   DELETE /api/chat/channels/:channelId/members/:userId
+ * @desc    Remove a member from a channel
+ * @access  Private
+ */
+router.delete('/channels/:channelId/members/:userId', protect, chatController.removeChannelMember);
 
 /**
  * @route   GET /api/chat/channels/:channelId/messages
  * @desc    Get messages in a channel
  * @access  Private
  */
-router.get(
+router.get('/channels/:channelId/messages', protect, chatController.getChannelMessages);
+
+/**
+ * @route   POST /api/chat/channels/:channelId/messages
+ * @desc    Send a message to a channel
+ * @access  Private
+ */
+router.post(
   '/channels/:channelId/messages',
   protect,
-  verifyWorkspaceAccess,
-  chatController.getChannelMessages
+  validateChannelMessage,
+  validationMiddleware,
+  chatController.sendChannelMessage
+);
+
+/**
+ * @route   POST /api/chat/channels/:channelId/read
+ * @desc    Mark a channel as read
+ * @access  Private
+ */
+router.post('/channels/:channelId/read', protect, chatController.markChannelRead);
+
+// ==================== CONVERSATIONS ====================
+
+/**
+ * @route   GET /api/chat/conversations
+ * @desc    Get recent conversations with unread counts (?workspaceId=)
+ * @access  Private
+ */
+router.get(
+  '/conversations',
+  protect,
+  validateConversationList,
+  validationMiddleware,
+  chatController.getConversations
+);
+
+/**
+ * @route   POST /api/chat/conversations
+ * @desc    Start a direct or group conversation
+ * @access  Private
+ */
+router.post(
+  '/conversations',
+  protect,
+  validateConversationCreate,
+  validationMiddleware,
+  chatController.createConversation
+);
+
+/**
+ * @route   GET /api/chat/conversations/:conversationId
+ * @desc    Get a conversation with its participants
+ * @access  Private
+ */
+router.get('/conversations/:conversationId', protect, chatController.getConversation);
+
+/**
+ * @route   POST /api/chat/conversations/:conversationId/participants
+ * @desc    Add people to a conversation
+ * @access  Private
+ */
+router.post(
+  '/conversations/:conversationId/participants',
+  protect,
+  validateConversationParticipants,
+  validationMiddleware,
+  chatController.addConversationParticipants
 );
 
+/**
+ * @route   POST /api/chat/conversations/:conversationId/leave
+ * @desc    Leave a group conversation
+ * @access  Private
+ */
+router.post('/conversations/:conversationId/leave', protect, chatController.leaveConversation);
+
+/**
+ * @route   GET /api/chat/conversations/:conversationId/messages
+ * @desc    Get messages in a conversation
+ * @access  Private
+ */
+router.get('/conversations/:conversationId/messages', protect, chatController.getConversationMessages);
+
+/**
+ * @route   POST /api/chat/conversations/:conversationId/messages
+ * @desc    Send a message to a conversation
+ * @access  Private
+ */
+router.post(
+  '/conversations/:conversationId/messages',
+  protect,
+  validateConversationMessage,
+  validationMiddleware,
+  chatController.sendConversationMessage
+);
+
+/**
+ * @route   POST /api/chat/conversations/:conversationId/read
+ * @desc    Mark a conversation as read
+ * @access  Private
+ */
+router.post('/conversations/:conversationId/read', protect, chatController.markConversationRead);
+
 module.exports = router;
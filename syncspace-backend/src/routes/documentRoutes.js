@@ -4,8 +4,26 @@ const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/documentController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
-const { validateDocumentCreate, validateDocumentUpdate } = require('../validators/documentValidator');
+const {
+  validateDocumentCreate,
+  validateDocumentUpdate,
+  validateDocumentExport,
+  validateDocumentBulkExport,
+  validateDocumentImport,
+  validateDocumentComment,
+  validateDocumentCommentReply,
+  validateDocumentCommentUpdate,
+  validateDocumentCommentList,
+  validateDocumentVersion,
+  validateDocumentVersionNumber,
+  validateDocumentVersionList,
+  validateDocumentVersionDiff,
+  validateDocumentMove,
+  validateDocumentTree,
+  validateDocumentDelete
+} = require('../validators/documentValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
 
 /* =========================================================================
    ✅ WORKSPACE-LEVEL DOCUMENT ROUTES
@@ -39,6 +57,49 @@ router.get(
   documentController.getDocumentsByWorkspace
 );
 
+/**
+ * @route   GET /api/documents/workspaces/:workspaceId/tree
+ * @desc    Get the nested page tree of a workspace (?archived=true for archived pages)
+ * @access  Private
+ */
+router.get(
+  '/workspaces/:workspaceId/tree',
+  protect,
+  verifyWorkspaceAccess,
+  validateDocumentTree,
+  validationMiddleware,
+  documentController.getDocumentTree
+);
+
+/**
+ * @route   POST /api/documents/workspaces/:workspaceId/import
+ * @desc    Import Markdown, HTML, text or DOCX files (field `files`) as documents
+ * @access  Private
+ */
+router.post(
+  '/workspaces/:workspaceId/import',
+  protect,
+  verifyWorkspaceAccess,
+  validateDocumentImport,
+  validationMiddleware,
+  uploadMiddleware.array('files', 10),
+  documentController.importDocuments
+);
+
+/**
+ * @route   GET /api/documents/workspaces/:workspaceId/export
+ * @desc    Export all documents of a workspace (or ?projectId=) as a zip
+ * @access  Private
+ */
+router.get(
+  '/workspaces/:workspaceId/export',
+  protect,
+  verifyWorkspaceAccess,
+  validateDocumentBulkExport,
+  validationMiddleware,
+  documentController.exportWorkspaceDocuments
+);
+
 /* =========================================================================
    ✅ GENERIC DOCUMENT ROUTES
    ========================================================================= */
@@ -55,7 +116,7 @@ router.get('/', protect, documentController.getUserDocuments);
  * @desc    Get document by ID
  * @access  Private
  */
-router.get('/:id', protect, verifyWorkspaceAccess, documentController.getDocumentById);
+router.get('/:id', protect, documentController.getDocumentById);
 
 /**
  * @route   PUT /api/documents/:id
@@ -65,7 +126,6 @@ router.get('/:id', protect, verifyWorkspaceAccess, documentController.getDocumen
 router.put(
   '/:id',
   protect,
-  verifyWorkspaceAccess,
   validateDocumentUpdate,
   validationMiddleware,
   documentController.updateDocument
@@ -73,10 +133,16 @@ router.put(
 
 /**
  * @route   DELETE /api/documents/:id
- * @desc    Delete document
+ * @desc    Delete document; subpages move up, or are deleted too with ?cascade=true
  * @access  Private
  */
-router.delete('/:id', protect, verifyWorkspaceAccess, documentController.deleteDocument);
+router.delete(
+  '/:id',
+  protect,
+  validateDocumentDelete,
+  validationMiddleware,
+  documentController.deleteDocument
+);
 
 /**
  * @route   PATCH /api/documents/:id/content
@@ -108,17 +174,82 @@ router.get('/:id/collaborators', protect, verifyWorkspaceAccess, documentControl
 
 /**
  * @route   GET /api/documents/:id/versions
- * @desc    Get document version history
+ * @desc    Get document version history (?limit=&before=)
  * @access  Private
  */
-router.get('/:id/versions', protect, verifyWorkspaceAccess, documentController.getDocumentVersions);
+router.get(
+  '/:id/versions',
+  protect,
+  validateDocumentVersionList,
+  validationMiddleware,
+  documentController.getDocumentVersions
+);
+
+/**
+ * @route   POST /api/documents/:id/versions
+ * @desc    Save the current content as a version, optionally named
+ * @access  Private
+ */
+router.post(
+  '/:id/versions',
+  protect,
+  validateDocumentVersion,
+  validationMiddleware,
+  documentController.saveDocumentVersion
+);
+
+/**
+ * @route   GET /api/documents/:id/versions/diff
+ * @desc    Compare two versions (?from=&to=|current&mode=inline|split)
+ * @access  Private
+ */
+router.get(
+  '/:id/versions/diff',
+  protect,
+  validateDocumentVersionDiff,
+  validationMiddleware,
+  documentController.getDocumentVersionDiff
+);
 
 /**
- * @route   POST /api/documents/:id/versions/:versionId/restore
- * @desc    Restore document to a specific version
+ * @route   GET /api/documents/:id/versions/:versionNumber
+ * @desc    Get a version with its content
  * @access  Private
  */
-router.post('/:id/versions/:versionId/restore', protect, verifyWorkspaceAccess, documentController.restoreDocumentVersion);
+router.get(
+  '/:id/versions/:versionNumber',
+  protect,
+  validateDocumentVersionNumber,
+  validationMiddleware,
+  documentController.getDocumentVersion
+);
+
+/**
+ * @route   PATCH /api/documents/:id/versions/:versionNumber
+ * @desc    Name, rename or describe a version
+ * @access  Private
+ */
+router.patch(
+  '/:id/versions/:versionNumber',
+  protect,
+  validateDocumentVersionNumber,
+  validateDocumentVersion,
+  validationMiddleware,
+  documentController.updateDocumentVersion
+);
+
+/**
+ * @route   POST /api/documents/:id/versions/:versionNumber/restore
+ * @desc    Restore a version as a new version
+ * @access  Private
+ */
+router.post(
+  '/:id/versions/:versionNumber/restore',
+  protect,
+  validateDocumentVersionNumber,
+  validationMiddleware,
+  documentController.restoreDocumentVersion
+);
 
 /**
  * @route   POST /api/documents/:id/lock
@@ -141,25 +272,143 @@ router.post('/:id/unlock', protect, verifyWorkspaceAccess, documentController.un
  */
 router.post('/:id/duplicate', protect, verifyWorkspaceAccess, documentController.duplicateDocument);
 
+/**
+ * @route   PATCH /api/documents/:id/move
+ * @desc    Move a page under another parent and/or to another position
+ * @access  Private
+ */
+router.patch(
+  '/:id/move',
+  protect,
+  validateDocumentMove,
+  validationMiddleware,
+  documentController.moveDocument
+);
+
+/**
+ * @route   POST /api/documents/:id/archive
+ * @desc    Archive a page and its subpages
+ * @access  Private
+ */
+router.post('/:id/archive', protect, documentController.archiveDocument);
+
+/**
+ * @route   POST /api/documents/:id/unarchive
+ * @desc    Unarchive a page and the subpages archived with it
+ * @access  Private
+ */
+router.post('/:id/unarchive', protect, documentController.unarchiveDocument);
+
+/**
+ * @route   GET /api/documents/:id/backlinks
+ * @desc    List the documents, tasks and messages linking to the document
+ * @access  Private
+ */
+router.get('/:id/backlinks', protect, documentController.getDocumentBacklinks);
+
 /**
  * @route   GET /api/documents/:id/export
- * @desc    Export document (PDF, DOCX, etc.)
+ * @desc    Export document as Markdown, HTML, plain text or DOCX
+ * @access  Private
+ */
+router.get(
+  '/:id/export',
+  protect,
+  validateDocumentExport,
+  validationMiddleware,
+  documentController.exportDocument
+);
+
+/* =========================================================================
+   COMMENTS & SUGGESTIONS
+   Access is checked per document in the controller
+   ========================================================================= */
+
+/**
+ * @route   GET /api/documents/:id/comments
+ * @desc    List comment threads and suggestions (?status=open|closed|all)
  * @access  Private
  */
-router.get('/:id/export', protect, verifyWorkspaceAccess, documentController.exportDocument);
+router.get(
+  '/:id/comments',
+  protect,
+  validateDocumentCommentList,
+  validationMiddleware,
+  documentController.getDocumentComments
+);
 
 /**
  * @route   POST /api/documents/:id/comments
- * @desc    Add comment to document
+ * @desc    Comment on, or suggest a change to, a range of the document
  * @access  Private
  */
-router.post('/:id/comments', protect, verifyWorkspaceAccess, documentController.addDocumentComment);
+router.post(
+  '/:id/comments',
+  protect,
+  validateDocumentComment,
+  validationMiddleware,
+  documentController.addDocumentComment
+);
+
+/**
+ * @route   PATCH /api/documents/:id/comments/:commentId
+ * @desc    Edit the text of your comment
+ * @access  Private
+ */
+router.patch(
+  '/:id/comments/:commentId',
+  protect,
+  validateDocumentCommentUpdate,
+  validationMiddleware,
+  documentController.updateDocumentComment
+);
 
 /**
  * @route   DELETE /api/documents/:id/comments/:commentId
- * @desc    Delete comment from document
+ * @desc    Delete a comment thread
+ * @access  Private
+ */
+router.delete('/:id/comments/:commentId', protect, documentController.deleteDocumentComment);
+
+/**
+ * @route   POST /api/documents/:id/comments/:commentId/replies
+ * @desc    Reply to a comment thread
+ * @access  Private
+ */
+router.post(
+  '/:id/comments/:commentId/replies',
+  protect,
+  validateDocumentCommentReply,
+  validationMiddleware,
+  documentController.replyToDocumentComment
+);
+
+/**
+ * @route   POST /api/documents/:id/comments/:commentId/resolve
+ * @desc    Resolve a comment thread
+ * @access  Private
+ */
+router.post('/:id/comments/:commentId/resolve', protect, documentController.resolveDocumentComment);
+
+/**
+ * @route   POST /api/documents/:id/comments/:commentId/reopen
+ * @desc    Reopen a resolved comment thread
+ * @access  Private
+ */
+router.post('/:id/comments/:commentId/reopen', protect, documentController.reopenDocumentComment);
+
+/**
+ * @route   POST /api/documents/:id/comments/:commentId/accept
+ * @desc    Accept a suggestion and apply it (document owner)
+ * @access  Private
+ */
+router.post('/:id/comments/:commentId/accept', protect, documentController.acceptDocumentSuggestion);
+
+/**
+ * @route   POST /api/documents/:id/comments/:commentId/reject
+ * @desc    Reject a suggestion (document owner or its author)
  * @access  Private
  */
-router.delete('/:id/comments/:commentId', protect, verifyWorkspaceAccess, documentController.deleteDocumentComment);
+router.post('/:id/comments/:commentId/reject', protect, documentController.rejectDocumentSuggestion);
 
 module.exports = router;
@@ -5,6 +5,19 @@ const router = express.Router();
 const fileController = require('../controllers/fileController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
 const uploadMiddleware = require('../middlewares/uploadMiddleware');
+const validationMiddleware = require('../middlewares/validationMiddleware');
+const { workspaceOfUpload } = require('../utils/storageUsageUtils');
+const {
+  validateFileVersion,
+  validateFileVersionNumber,
+  validateFileMove,
+  validateFileCopy,
+  validateFilePreview,
+  validateFolderBrowse,
+  validateFolderCreate,
+  validateFolderUpdate,
+  validateFolderMove
+} = require('../validators/fileValidator');
 
 // ==================== FILE ROUTES ====================
 
@@ -13,6 +26,7 @@ router.post(
   '/upload',
   protect,
   uploadMiddleware.single('file'),
+  uploadMiddleware.enforceQuota(workspaceOfUpload.body),
   verifyWorkspaceAccess,
   fileController.uploadFile
 );
@@ -21,11 +35,16 @@ router.post(
   '/upload-multiple',
   protect,
   uploadMiddleware.array('files', 10),
+  uploadMiddleware.enforceQuota(workspaceOfUpload.body),
   verifyWorkspaceAccess,
   fileController.uploadMultipleFiles
 );
 
+// Signed download links from the local storage driver; the signature is the credential
+router.get('/signed/*', fileController.serveSignedFile);
+
 // Specific routes BEFORE parameterized routes
+router.get('/browse', protect, validateFolderBrowse, validationMiddleware, fileController.browseFiles);
 router.get('/search', protect, fileController.searchFiles);
 router.get('/recent', protect, fileController.getRecentFiles);
 router.get('/workspace/:workspaceId', protect, verifyWorkspaceAccess, fileController.getWorkspaceFiles);
@@ -33,16 +52,51 @@ router.get('/project/:projectId', protect, verifyWorkspaceAccess, fileController
 router.get('/task/:taskId', protect, verifyWorkspaceAccess, fileController.getTaskFiles);
 router.get('/document/:documentId', protect, verifyWorkspaceAccess, fileController.getDocumentFiles);
 
+// Folders: access is checked per workspace in the controller
+router.post('/folders', protect, validateFolderCreate, validationMiddleware, fileController.createFolder);
+router.patch('/folders/:folderId', protect, validateFolderUpdate, validationMiddleware, fileController.updateFolder);
+router.post('/folders/:folderId/move', protect, validateFolderMove, validationMiddleware, fileController.moveFolder);
+router.delete('/folders/:folderId', protect, fileController.deleteFolder);
+
 // Generic ID routes LAST
 router.get('/:id/download', protect, verifyWorkspaceAccess, fileController.downloadFile);
-router.get('/:id/preview', protect, verifyWorkspaceAccess, fileController.getFilePreview);
+router.get('/:id/url', protect, fileController.getFileUrl);
+router.get('/:id/preview', protect, validateFilePreview, validationMiddleware, fileController.getFilePreview);
+router.get('/:id/thumbnail', protect, validateFilePreview, validationMiddleware, fileController.getFileThumbnail);
 router.get('/:id', protect, verifyWorkspaceAccess, fileController.getFileById);
 router.patch('/:id', protect, verifyWorkspaceAccess, fileController.updateFileMetadata);
 router.delete('/:id', protect, verifyWorkspaceAccess, fileController.deleteFile);
 
+// Versions: the file keeps its ID while its content is replaced
+router.post(
+  '/:id/versions',
+  protect,
+  uploadMiddleware.single('file'),
+  uploadMiddleware.enforceQuota(workspaceOfUpload.file),
+  validateFileVersion,
+  validationMiddleware,
+  fileController.uploadFileVersion
+);
+router.get('/:id/versions', protect, fileController.getFileVersions);
+router.get(
+  '/:id/versions/:version/download',
+  protect,
+  validateFileVersionNumber,
+  validationMiddleware,
+  fileController.downloadFileVersion
+);
+router.post(
+  '/:id/versions/:version/restore',
+  protect,
+  validateFileVersionNumber,
+  validateFileVersion,
+  validationMiddleware,
+  fileController.restoreFileVersion
+);
+
 // Additional operations
 router.post('/:id/share', protect, verifyWorkspaceAccess, fileController.shareFile);
-router.post('/:id/move', protect, verifyWorkspaceAccess, fileController.moveFile);
-router.post('/:id/copy', protect, verifyWorkspaceAccess, fileController.copyFile);
+router.post('/:id/move', protect, validateFileMove, validationMiddleware, fileController.moveFile);
+router.post('/:id/copy', protect, validateFileCopy, validationMiddleware, fileController.copyFile);
 
 module.exports = router;
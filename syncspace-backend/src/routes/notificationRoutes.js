@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const { protect } = require('../middlewares/authMiddleware'); // ✅ only protect, not verifyWorkspaceAccess
+const { validatePreferencesUpdate } = require('../validators/notificationValidator');
+const validationMiddleware = require('../middlewares/validationMiddleware');
 
 // ==================== Notification Routes ====================
 
@@ -15,6 +17,21 @@ router.get('/', protect, notificationController.getNotifications);
 // Get unread count
 router.get('/unread', protect, notificationController.getUnreadCount);
 
+// Get preferences (registered before /:id so it is not read as an ID)
+router.get('/preferences', protect, notificationController.getPreferences);
+
+// Update preferences
+router.post(
+  '/preferences',
+  protect,
+  validatePreferencesUpdate,
+  validationMiddleware,
+  notificationController.updatePreferences
+);
+
+// Send test notification
+router.post('/test', protect, notificationController.sendTestNotification);
+
 // Get notification by ID
 router.get('/:id', protect, notificationController.getNotificationById);
 
@@ -33,13 +50,4 @@ router.delete('/', protect, notificationController.deleteAllNotifications);
 // Get by type
 router.get('/type/:type', protect, notificationController.getNotificationsByType);
 
-// Update preferences
-router.post('/preferences', protect, notificationController.updatePreferences);
-
-// Get preferences
-router.get('/preferences', protect, notificationController.getPreferences);
-
-// Send test notification
-router.post('/test', protect, notificationController.sendTestNotification);
-
 module.exports = router;
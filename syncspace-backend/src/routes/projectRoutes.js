@@ -4,7 +4,8 @@ const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
-const { validateProjectCreate, validateProjectUpdate } = require('../validators/projectValidator');
+const { validateProjectCreate, validateProjectUpdate, validateWorkflowUpdate } = require('../validators/projectValidator');
+const { validateActivityQuery } = require('../validators/activityValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 /**
@@ -97,12 +98,40 @@ router.get('/:id/documents', protect, verifyWorkspaceAccess, projectController.g
  */
 router.patch('/:id/status', protect, verifyWorkspaceAccess, projectController.updateProjectStatus);
 
+/**
+ * @route   GET /api/projects/:id/workflow
+ * @desc    Get the project's Kanban columns
+ * @access  Private
+ */
+router.get('/:id/workflow', protect, verifyWorkspaceAccess, projectController.getProjectWorkflow);
+
+/**
+ * @route   PUT /api/projects/:id/workflow
+ * @desc    Replace the project's Kanban columns
+ * @access  Private
+ */
+router.put(
+  '/:id/workflow',
+  protect,
+  verifyWorkspaceAccess,
+  validateWorkflowUpdate,
+  validationMiddleware,
+  projectController.updateProjectWorkflow
+);
+
 /**
  * @route   GET /api/projects/:id/activity
  * @desc    Get project activity log
  * @access  Private
  */
-router.get('/:id/activity', protect, verifyWorkspaceAccess, projectController.getProjectActivity);
+router.get(
+  '/:id/activity',
+  protect,
+  verifyWorkspaceAccess,
+  validateActivityQuery,
+  validationMiddleware,
+  projectController.getProjectActivity
+);
 
 /**
  * @route   POST /api/projects/:id/archive
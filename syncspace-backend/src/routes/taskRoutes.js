@@ -9,8 +9,18 @@ const express = require('express');
 const router = express.Router({ mergeParams: true }); // ✅ Enables :projectId param access
 const taskController = require('../controllers/taskController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
-const { validateTaskCreate, validateTaskUpdate } = require('../validators/taskValidator');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
+const {
+  validateTaskCreate,
+  validateTaskUpdate,
+  validateStatusUpdate,
+  validateSubtask,
+  validateSubtaskUpdate,
+  validateSubtaskConvert,
+  validateTaskLink
+} = require('../validators/taskValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
+const { workspaceOfUpload } = require('../utils/storageUsageUtils');
 
 /* ============================================================================
    PROJECT-BASED TASK ROUTES
@@ -98,14 +108,28 @@ router.delete('/:id', protect, verifyWorkspaceAccess, taskController.deleteTask)
  * @desc    Move task between columns/status (Kanban)
  * @access  Private
  */
-router.patch('/:id/move', protect, verifyWorkspaceAccess, taskController.moveTask);
+router.patch(
+  '/:id/move',
+  protect,
+  verifyWorkspaceAccess,
+  validateStatusUpdate,
+  validationMiddleware,
+  taskController.moveTask
+);
 
 /**
  * @route   PATCH /api/tasks/:id/status
  * @desc    Update task status
  * @access  Private
  */
-router.patch('/:id/status', protect, verifyWorkspaceAccess, taskController.updateTaskStatus);
+router.patch(
+  '/:id/status',
+  protect,
+  verifyWorkspaceAccess,
+  validateStatusUpdate,
+  validationMiddleware,
+  taskController.updateTaskStatus
+);
 
 /**
  * @route   PATCH /api/tasks/:id/priority
@@ -154,14 +178,28 @@ router.delete('/:id/comments/:commentId', protect, verifyWorkspaceAccess, taskCo
  * @desc    Add subtask to a task
  * @access  Private
  */
-router.post('/:id/subtasks', protect, verifyWorkspaceAccess, taskController.addSubtask);
+router.post(
+  '/:id/subtasks',
+  protect,
+  verifyWorkspaceAccess,
+  validateSubtask,
+  validationMiddleware,
+  taskController.addSubtask
+);
 
 /**
  * @route   PATCH /api/tasks/:id/subtasks/:subtaskId
  * @desc    Update a subtask
  * @access  Private
  */
-router.patch('/:id/subtasks/:subtaskId', protect, verifyWorkspaceAccess, taskController.updateSubtask);
+router.patch(
+  '/:id/subtasks/:subtaskId',
+  protect,
+  verifyWorkspaceAccess,
+  validateSubtaskUpdate,
+  validationMiddleware,
+  taskController.updateSubtask
+);
 
 /**
  * @route   DELETE /api/tasks/:id/subtasks/:subtaskId
@@ -170,18 +208,80 @@ router.patch('/:id/subtasks/:subtaskId', protect, verifyWorkspaceAccess, taskCon
  */
 router.delete('/:id/subtasks/:subtaskId', protect, verifyWorkspaceAccess, taskController.deleteSubtask);
 
+/**
+ * @route   POST /api/tasks/:id/subtasks/:subtaskId/convert
+ * @desc    Convert a subtask into a full task
+ * @access  Private
+ */
+router.post(
+  '/:id/subtasks/:subtaskId/convert',
+  protect,
+  verifyWorkspaceAccess,
+  validateSubtaskConvert,
+  validationMiddleware,
+  taskController.convertSubtask
+);
+
+/**
+ * @route   GET /api/tasks/:id/links
+ * @desc    Get task links (blocks, blocked by, relates to, duplicates)
+ * @access  Private
+ */
+router.get('/:id/links', protect, verifyWorkspaceAccess, taskController.getTaskLinks);
+
+/**
+ * @route   GET /api/tasks/:id/backlinks
+ * @desc    List the documents, tasks and messages linking to the task
+ * @access  Private
+ */
+router.get('/:id/backlinks', protect, taskController.getTaskBacklinks);
+
+/**
+ * @route   POST /api/tasks/:id/links
+ * @desc    Link task to another task
+ * @access  Private
+ */
+router.post(
+  '/:id/links',
+  protect,
+  verifyWorkspaceAccess,
+  validateTaskLink,
+  validationMiddleware,
+  taskController.addTaskLink
+);
+
+/**
+ * @route   DELETE /api/tasks/:id/links/:linkId
+ * @desc    Remove a task link
+ * @access  Private
+ */
+router.delete('/:id/links/:linkId', protect, verifyWorkspaceAccess, taskController.removeTaskLink);
+
 /**
  * @route   POST /api/tasks/:id/attachments
- * @desc    Add attachment to a task
+ * @desc    Add attachment to a task (file field `file`)
+ * @access  Private
+ */
+router.post(
+  '/:id/attachments',
+  protect,
+  uploadMiddleware.single('file'),
+  uploadMiddleware.enforceQuota(workspaceOfUpload.task),
+  taskController.addAttachment
+);
+
+/**
+ * @route   GET /api/tasks/:id/attachments/:attachmentId/download
+ * @desc    Download a task attachment
  * @access  Private
  */
-router.post('/:id/attachments', protect, verifyWorkspaceAccess, taskController.addAttachment);
+router.get('/:id/attachments/:attachmentId/download', protect, taskController.downloadAttachment);
 
 /**
  * @route   DELETE /api/tasks/:id/attachments/:attachmentId
  * @desc    Delete attachment from task
  * @access  Private
  */
-router.delete('/:id/attachments/:attachmentId', protect, verifyWorkspaceAccess, taskController.deleteAttachment);
+router.delete('/:id/attachments/:attachmentId', protect, taskController.deleteAttachment);
 
 module.exports = router;
@@ -6,7 +6,9 @@ const userController = require('../controllers/userController');
 const { protect } = require('../middlewares/authMiddleware'); // ✅ FIXED import
 const roleMiddleware = require('../middlewares/roleMiddleware');
 const { validateUserUpdate, validateUserSearch } = require('../validators/userValidator');
+const { validateActivityQuery } = require('../validators/activityValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
+const uploadMiddleware = require('../middlewares/uploadMiddleware');
 
 /**
  * @route   GET /api/users
@@ -67,10 +69,10 @@ router.delete(
 
 /**
  * @route   POST /api/users/:id/upload-avatar
- * @desc    Upload user avatar
+ * @desc    Upload user avatar (image field `avatar`)
  * @access  Private
  */
-router.post('/:id/upload-avatar', protect, userController.uploadAvatar);
+router.post('/:id/upload-avatar', protect, uploadMiddleware.single('avatar'), userController.uploadAvatar);
 
 /**
  * @route   GET /api/users/:id/workspaces
@@ -98,6 +100,12 @@ router.patch('/:id/status', protect, userController.updateUserStatus);
  * @desc    Get user activity history
  * @access  Private
  */
-router.get('/:id/activity', protect, userController.getUserActivity);
+router.get(
+  '/:id/activity',
+  protect,
+  validateActivityQuery,
+  validationMiddleware,
+  userController.getUserActivity
+);
 
 module.exports = router;
@@ -7,7 +7,12 @@ const router = express.Router();
 const workspaceController = require('../controllers/workspaceController');
 const { protect, verifyWorkspaceAccess } = require('../middlewares/authMiddleware');
 const roleMiddleware = require('../middlewares/roleMiddleware');
-const { validateWorkspaceCreate, validateWorkspaceUpdate } = require('../validators/workspaceValidator');
+const {
+  validateWorkspaceCreate,
+  validateWorkspaceUpdate,
+  validateStorageQuota
+} = require('../validators/workspaceValidator');
+const { validateActivityQuery } = require('../validators/activityValidator');
 const validationMiddleware = require('../middlewares/validationMiddleware');
 
 /**
@@ -115,6 +120,26 @@ router.post('/:id/leave', protect, verifyWorkspaceAccess, workspaceController.le
  */
 router.get('/:id/files', protect, verifyWorkspaceAccess, workspaceController.getWorkspaceFiles);
 
+/**
+ * @route   GET /api/workspaces/:id/storage
+ * @desc    Get storage usage against the quota, by kind, project and user
+ */
+router.get('/:id/storage', protect, verifyWorkspaceAccess, workspaceController.getStorageUsage);
+
+/**
+ * @route   PATCH /api/workspaces/:id/storage
+ * @desc    Set the workspace storage quota ({ quotaMB }, 0 for unlimited, null for the default)
+ * @access  Private (Site admin only)
+ */
+router.patch(
+  '/:id/storage',
+  protect,
+  roleMiddleware(['admin']),
+  validateStorageQuota,
+  validationMiddleware,
+  workspaceController.updateStorageQuota
+);
+
 /**
  * @route   GET /api/workspaces/:id/documents
  * @desc    Get all documents in workspace
@@ -127,5 +152,18 @@ router.get('/:id/documents', protect, verifyWorkspaceAccess, workspaceController
  */
 router.get('/:id/messages', protect, verifyWorkspaceAccess, workspaceController.getWorkspaceMessages);
 
+/**
+ * @route   GET /api/workspaces/:id/activity
+ * @desc    Get workspace activity feed (filter by project, actor, entity, date range)
+ */
+router.get(
+  '/:id/activity',
+  protect,
+  verifyWorkspaceAccess,
+  validateActivityQuery,
+  validationMiddleware,
+  workspaceController.getWorkspaceActivity
+);
+
 
 module.exports = router;
@@ -4,24 +4,65 @@ const Message = require('../models/Message');
 const User = require('../models/User');
 const Workspace = require('../models/Workspace');
 const Project = require('../models/Project');
+const { logActivity } = require('../utils/activityUtils');
+const { getAccessibleChannel, postChannelMessage } = require('../utils/channelUtils');
+const {
+  getAccessibleConversation,
+  postConversationMessage
+} = require('../utils/conversationUtils');
+const { AppError } = require('../utils/helpers');
 
 // Store typing indicators
 const typingUsers = new Map();
 
+/**
+ * Record a chat mutation in the activity feed of the room's workspace.
+ * Direct messages have no workspace and are not logged.
+ */
+const logMessageActivity = async (io, socket, message, roomId, roomType, action) => {
+  let workspaceId = message.workspaceId || null;
+  let projectId = null;
+
+  if (!workspaceId && roomType === 'workspace') {
+    workspaceId = roomId;
+  } else if (!workspaceId && roomType === 'project') {
+    const project = await Project.findById(roomId).select('workspaceId');
+    workspaceId = project ? project.workspaceId : null;
+    projectId = roomId;
+  }
+
+  return logActivity(io, {
+    workspaceId,
+    projectId,
+    actorId: socket.userId,
+    action,
+    entityType: 'message',
+    entityId: message._id,
+    entityName: (message.text || message.content || '').slice(0, 100)
+  });
+};
+
 /**
  * Chat socket handler
  */
 const chatSocket = (io, socket) => {
 
   /**
-   * Join a chat room (workspace or project)
+   * Join a chat room (workspace, project, channel, conversation or direct)
    */
   socket.on('chat:join', async (data) => {
     try {
-      const { roomId, roomType } = data; // roomType: 'workspace' | 'project' | 'direct'
+      const { roomId, roomType } = data; // roomType: 'workspace' | 'project' | 'channel' | 'conversation' | 'direct'
 
       // Verify access based on room type
-      if (roomType === 'workspace') {
+      if (roomType === 'channel') {
+        // Public channels can be read before joining, private ones only by members
+        await getAccessibleChannel(roomId, socket.userId);
+        socket.join(`chat:channel:${roomId}`);
+      } else if (roomType === 'conversation') {
+        await getAccessibleConversation(roomId, socket.userId);
+        socket.join(`chat:conversation:${roomId}`);
+      } else if (roomType === 'workspace') {
         const workspace = await Workspace.findById(roomId);
         if (!workspace) {
           return socket.emit('chat:error', { message: 'Workspace not found' });
@@ -60,6 +101,9 @@ const chatSocket = (io, socket) => {
 
       console.log(`User ${socket.userId} joined chat room: ${roomType}:${roomId}`);
     } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('chat:error', { message: error.message });
+      }
       console.error('Error joining chat room:', error);
       socket.emit('chat:error', { message: 'Failed to join chat room' });
     }
@@ -72,7 +116,11 @@ const chatSocket = (io, socket) => {
     try {
       const { roomId, roomType } = data;
 
-      if (roomType === 'workspace') {
+      if (roomType === 'channel') {
+        socket.leave(`chat:channel:${roomId}`);
+      } else if (roomType === 'conversation') {
+        socket.leave(`chat:conversation:${roomId}`);
+      } else if (roomType === 'workspace') {
         socket.leave(`chat:workspace:${roomId}`);
       } else if (roomType === 'project') {
         socket.leave(`chat:project:${roomId}`);
@@ -95,6 +143,34 @@ const chatSocket = (io, socket) => {
     try {
       const { roomId, roomType, content, attachments, mentions, replyTo } = data;
 
+      // Channel messages go through the same path as the REST endpoint
+      if (roomType === 'channel') {
+        const { channel } = await getAccessibleChannel(roomId, socket.userId);
+        const message = await postChannelMessage(io, channel, socket.user, {
+          text: data.text || content,
+          attachments,
+          mentions,
+          replyTo
+        });
+        // Private channel messages stay out of the activity feed
+        if (!channel.isPrivate) {
+          await logMessageActivity(io, socket, message, roomId, roomType, 'message.sent');
+        }
+        return;
+      }
+
+      // Conversation messages are private and stay out of the activity feed
+      if (roomType === 'conversation') {
+        const conversation = await getAccessibleConversation(roomId, socket.userId);
+        await postConversationMessage(io, conversation, socket.user, {
+          text: data.text || content,
+          attachments,
+          mentions,
+          replyTo
+        });
+        return;
+      }
+
       // Create message in database
       const messageData = {
         sender: socket.userId,
@@ -157,8 +233,13 @@ const chatSocket = (io, socket) => {
         }
       }
 
+      await logMessageActivity(io, socket, message, roomId, roomType, 'message.sent');
+
       console.log(`Message sent by ${socket.userId} in ${roomType}:${roomId}`);
     } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('chat:error', { message: error.message });
+      }
       console.error('Error sending message:', error);
       socket.emit('chat:error', { message: 'Failed to send message' });
     }
@@ -206,6 +287,8 @@ const chatSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logMessageActivity(io, socket, message, roomId, roomType, 'message.edited');
+
     } catch (error) {
       console.error('Error editing message:', error);
       socket.emit('chat:error', { message: 'Failed to edit message' });
@@ -251,6 +334,8 @@ const chatSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logMessageActivity(io, socket, message, roomId, roomType, 'message.deleted');
+
     } catch (error) {
       console.error('Error deleting message:', error);
       socket.emit('chat:error', { message: 'Failed to delete message' });
@@ -376,7 +461,11 @@ const chatSocket = (io, socket) => {
 
       // Determine target room
       let targetRoom;
-      if (roomType === 'workspace') {
+      if (roomType === 'channel') {
+        targetRoom = `chat:channel:${roomId}`;
+      } else if (roomType === 'conversation') {
+        targetRoom = `chat:conversation:${roomId}`;
+      } else if (roomType === 'workspace') {
         targetRoom = `chat:workspace:${roomId}`;
       } else if (roomType === 'project') {
         targetRoom = `chat:project:${roomId}`;
@@ -418,7 +507,11 @@ const chatSocket = (io, socket) => {
 
       // Determine target room
       let targetRoom;
-      if (roomType === 'workspace') {
+      if (roomType === 'channel') {
+        targetRoom = `chat:channel:${roomId}`;
+      } else if (roomType === 'conversation') {
+        targetRoom = `chat:conversation:${roomId}`;
+      } else if (roomType === 'workspace') {
         targetRoom = `chat:workspace:${roomId}`;
       } else if (roomType === 'project') {
         targetRoom = `chat:project:${roomId}`;
@@ -2,10 +2,71 @@
 
 const Document = require('../models/Document');
 const User = require('../models/User');
+const {
+  getDocumentState,
+  bootstrapDocument,
+  applyOperation,
+  getOperationsSince,
+  flushSnapshot,
+  saveVersion
+} = require('../utils/documentSyncUtils');
+const {
+  getAccessibleDocument,
+  getComment,
+  addComment,
+  addReply
+} = require('../utils/documentCommentUtils');
+const {
+  getVersionedDocument,
+  describeVersion
+} = require('../utils/documentVersionUtils');
+const { AppError } = require('../utils/helpers');
+const { logActivity } = require('../utils/activityUtils');
 
 // Store active document editing sessions
 const documentSessions = new Map();
 
+/**
+ * Record a document mutation in the workspace activity feed
+ */
+const logDocumentActivity = (io, userId, document, action, metadata) => {
+  return logActivity(io, {
+    workspaceId: document.workspaceId,
+    projectId: document.projectId,
+    actorId: userId,
+    action,
+    entityType: 'document',
+    entityId: document._id,
+    entityName: document.title,
+    metadata
+  });
+};
+
+/**
+ * Remove a user from a document session; snapshots and frees the
+ * document state once the last editor is gone.
+ * Real-time edits are logged once per session rather than per operation.
+ */
+const leaveDocumentSession = (io, documentId, userId) => {
+  if (!documentSessions.has(documentId)) return;
+
+  const editor = documentSessions.get(documentId).get(userId);
+  documentSessions.get(documentId).delete(userId);
+
+  if (editor && editor.edited) {
+    Document.findById(documentId).select('title workspaceId projectId')
+      .then(document => document && logDocumentActivity(io, userId, document, 'document.edited'))
+      .catch(err => console.error(`Error logging edit of document ${documentId}:`, err));
+  }
+
+  if (documentSessions.get(documentId).size === 0) {
+    documentSessions.delete(documentId);
+    flushSnapshot(documentId, true).catch(err =>
+      console.error(`Error snapshotting document ${documentId}:`, err)
+    );
+  }
+};
+
 /**
  * Document collaboration socket handler
  */
@@ -16,7 +77,7 @@ const documentSocket = (io, socket) => {
    */
   socket.on('document:join', async (data) => {
     try {
-      const { documentId } = data;
+      const { documentId, revision } = data;
 
       // Verify user has access to document
       const document = await Document.findById(documentId);
@@ -26,12 +87,7 @@ const documentSocket = (io, socket) => {
         });
       }
 
-      // Check if user has access
-      const hasAccess = document.owner.toString() === socket.userId ||
-                       document.collaborators.some(c => c.user.toString() === socket.userId) ||
-                       document.sharedWith.some(s => s.user.toString() === socket.userId);
-
-      if (!hasAccess) {
+      if (!(await document.canUserView(socket.userId))) {
         return socket.emit('document:error', {
           message: 'Access denied to document'
         });
@@ -50,25 +106,43 @@ const documentSocket = (io, socket) => {
         userName: socket.user.name,
         avatar: socket.user.avatar,
         joinedAt: new Date(),
-        cursor: null
+        cursor: null,
+        edited: false
       });
 
       // Get list of active editors
-      const activeEditors = Array.from(documentSessions.get(documentId).values())
-        .map(editor => ({
-          userId: socket.userId,
+      const activeEditors = Array.from(documentSessions.get(documentId).entries())
+        .map(([userId, editor]) => ({
+          userId,
           userName: editor.userName,
           avatar: editor.avatar,
           cursor: editor.cursor
         }));
 
-      // Notify user of successful join
-      socket.emit('document:joined', {
-        documentId,
-        content: document.content,
-        version: document.version,
-        activeEditors
-      });
+      // Reconnecting clients catch up from their last known revision when the log allows it
+      const ops = revision !== undefined && revision !== null
+        ? await getOperationsSince(documentId, revision)
+        : null;
+
+      if (ops) {
+        socket.emit('document:joined', {
+          documentId,
+          revision: revision + ops.length,
+          ops,
+          canEdit: document.canUserEdit(socket.userId),
+          activeEditors
+        });
+      } else {
+        const state = await getDocumentState(documentId);
+        socket.emit('document:joined', {
+          documentId,
+          content: document.content,
+          delta: state.delta,
+          revision: state.revision,
+          canEdit: document.canUserEdit(socket.userId),
+          activeEditors
+        });
+      }
 
       // Notify other users that someone joined
       socket.to(`document:${documentId}`).emit('document:user:joined', {
@@ -98,14 +172,7 @@ const documentSocket = (io, socket) => {
       socket.leave(`document:${documentId}`);
 
       // Remove from active editors
-      if (documentSessions.has(documentId)) {
-        documentSessions.get(documentId).delete(socket.userId);
-        
-        // Clean up if no more editors
-        if (documentSessions.get(documentId).size === 0) {
-          documentSessions.delete(documentId);
-        }
-      }
+      leaveDocumentSession(io, documentId, socket.userId);
 
       // Notify other users
       socket.to(`document:${documentId}`).emit('document:user:left', {
@@ -121,57 +188,110 @@ const documentSocket = (io, socket) => {
   });
 
   /**
-   * Handle real-time document content changes
+   * Seed the real-time state of a document that only has HTML content.
+   * The first joined client converts the HTML with Quill and sends the delta.
    */
-  socket.on('document:change', async (data) => {
+  socket.on('document:bootstrap', async (data) => {
     try {
-      const { documentId, content, delta, version, selection } = data;
+      const { documentId, delta } = data;
 
-      // Verify document access
-      const document = await Document.findById(documentId);
+      if (!socket.rooms.has(`document:${documentId}`) || !Array.isArray(delta)) {
+        return socket.emit('document:error', {
+          message: 'Join the document before bootstrapping it'
+        });
+      }
+
+      const state = await bootstrapDocument(documentId, delta);
+
+      // Everyone (including a losing bootstrapper) aligns on the canonical delta
+      io.to(`document:${documentId}`).emit('document:snapshot', {
+        documentId,
+        delta: state.delta,
+        revision: state.revision
+      });
+    } catch (error) {
+      console.error('Error bootstrapping document:', error);
+      socket.emit('document:error', {
+        message: 'Failed to initialise document'
+      });
+    }
+  });
+
+  /**
+   * Handle a real-time edit: a Quill delta based on a known revision.
+   * The server transforms it over concurrent operations, logs it and
+   * broadcasts the transformed operation.
+   */
+  socket.on('document:op', async (data) => {
+    const { documentId, revision, ops, opId } = data || {};
+
+    try {
+      if (!socket.rooms.has(`document:${documentId}`)) {
+        return socket.emit('document:error', {
+          message: 'Join the document before editing it'
+        });
+      }
+
+      if (!Array.isArray(ops) || !opId) {
+        return socket.emit('document:error', {
+          message: 'Invalid document operation'
+        });
+      }
+
+      const document = await Document.findById(documentId).select('createdBy collaborators isLocked lockedBy');
       if (!document) {
         return socket.emit('document:error', {
           message: 'Document not found'
         });
       }
 
-      // Check version for conflict resolution
-      if (version && document.version !== version) {
-        return socket.emit('document:conflict', {
-          documentId,
-          currentVersion: document.version,
-          serverContent: document.content
+      if (!document.canUserEdit(socket.userId)) {
+        return socket.emit('document:error', {
+          message: 'You do not have permission to edit this document'
         });
       }
 
-      // Update document in database
-      document.content = content;
-      document.version = (document.version || 0) + 1;
-      document.lastModifiedBy = socket.userId;
-      document.updatedAt = new Date();
-      
-      await document.save();
+      const result = await applyOperation(documentId, {
+        revision,
+        ops,
+        opId,
+        userId: socket.userId
+      });
 
-      // Broadcast changes to other users in the document
-      socket.to(`document:${documentId}`).emit('document:changed', {
+      // Acknowledge to sender
+      socket.emit('document:op:ack', {
         documentId,
-        content,
-        delta,
-        version: document.version,
-        userId: socket.userId,
-        userName: socket.user.name,
+        opId,
+        revision: result.revision,
         timestamp: new Date()
       });
 
-      // Acknowledge to sender
-      socket.emit('document:change:ack', {
+      if (result.duplicate) return;
+
+      const editor = documentSessions.has(documentId) && documentSessions.get(documentId).get(socket.userId);
+      if (editor) editor.edited = true;
+
+      // Broadcast transformed operation to other editors
+      socket.to(`document:${documentId}`).emit('document:op', {
         documentId,
-        version: document.version,
+        revision: result.revision,
+        ops: result.ops,
+        opId,
+        userId: socket.userId,
+        userName: socket.user.name,
         timestamp: new Date()
       });
-
     } catch (error) {
-      console.error('Error handling document change:', error);
+      if (error.name === 'DocumentSyncError') {
+        // Client state can't be reconciled - make it reload from the latest snapshot
+        return socket.emit('document:resync', {
+          documentId,
+          opId,
+          message: error.message
+        });
+      }
+
+      console.error('Error applying document operation:', error);
       socket.emit('document:error', {
         message: 'Failed to save document changes'
       });
@@ -312,46 +432,24 @@ const documentSocket = (io, socket) => {
   });
 
   /**
-   * Add comment to document
+   * Comment on, or suggest a change to, a range of the document.
+   * Same rules as POST /api/documents/:id/comments; everyone in the
+   * document receives document:comment:added.
    */
   socket.on('document:comment:add', async (data) => {
     try {
-      const { documentId, content, position } = data;
-
-      const document = await Document.findById(documentId);
-      if (!document) {
-        return socket.emit('document:error', {
-          message: 'Document not found'
-        });
-      }
-
-      const comment = {
-        user: socket.userId,
-        content,
-        position,
-        createdAt: new Date()
-      };
+      const { documentId, ...comment } = data || {};
 
-      document.comments.push(comment);
-      await document.save();
-
-      const populatedComment = {
-        ...comment,
-        user: {
-          _id: socket.userId,
-          name: socket.user.name,
-          avatar: socket.user.avatar
-        }
-      };
-
-      // Broadcast new comment to all users
-      io.to(`document:${documentId}`).emit('document:comment:added', {
-        documentId,
-        comment: populatedComment,
-        timestamp: new Date()
-      });
+      const document = await getAccessibleDocument(documentId, socket.userId);
+      const created = await addComment(io, document, socket.user, comment);
 
+      await logDocumentActivity(io, socket.userId, document,
+        created.kind === 'suggestion' ? 'document.suggested' : 'document.commented',
+        { commentId: created._id });
     } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('document:error', { message: error.message });
+      }
       console.error('Error adding comment:', error);
       socket.emit('document:error', {
         message: 'Failed to add comment'
@@ -360,42 +458,54 @@ const documentSocket = (io, socket) => {
   });
 
   /**
-   * Save document version
+   * Reply to a comment thread
    */
-  socket.on('document:version:save', async (data) => {
+  socket.on('document:comment:reply', async (data) => {
     try {
-      const { documentId, description } = data;
+      const { documentId, commentId, text, mentions } = data || {};
 
-      const document = await Document.findById(documentId);
-      if (!document) {
-        return socket.emit('document:error', {
-          message: 'Document not found'
-        });
+      const document = await getAccessibleDocument(documentId, socket.userId);
+      const comment = await getComment(document, commentId);
+      await addReply(io, document, comment, socket.user, { text, mentions });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('document:error', { message: error.message });
       }
+      console.error('Error replying to comment:', error);
+      socket.emit('document:error', {
+        message: 'Failed to reply to comment'
+      });
+    }
+  });
 
-      const versionData = {
-        version: (document.version || 0) + 1,
-        content: document.content,
-        savedBy: socket.userId,
-        description: description || `Version saved by ${socket.user.name}`,
-        createdAt: new Date()
-      };
+  /**
+   * Save the current content as a version, optionally named.
+   * Same rules as POST /api/documents/:id/versions.
+   */
+  socket.on('document:version:save', async (data) => {
+    try {
+      const { documentId, name, description } = data || {};
 
-      if (!document.versions) {
-        document.versions = [];
-      }
-      
-      document.versions.push(versionData);
-      document.version = versionData.version;
-      await document.save();
+      const document = await getVersionedDocument(documentId, socket.userId, true);
+      const version = await describeVersion(
+        await saveVersion(documentId, socket.userId, { name, description })
+      );
 
-      socket.emit('document:version:saved', {
+      io.to(`document:${documentId}`).emit('document:version:saved', {
         documentId,
-        version: versionData,
+        version,
         timestamp: new Date()
       });
 
+      await logDocumentActivity(io, socket.userId, document, 'document.version_saved', {
+        version: version.number,
+        name: version.name
+      });
+
     } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('document:error', { message: error.message });
+      }
       console.error('Error saving document version:', error);
       socket.emit('document:error', {
         message: 'Failed to save document version'
@@ -407,22 +517,18 @@ const documentSocket = (io, socket) => {
    * Handle disconnect - cleanup document sessions
    */
   socket.on('disconnect', () => {
-    // Remove user from all document sessions
+    // Remove user from all document sessions this socket was editing
     for (const [documentId, editors] of documentSessions.entries()) {
-      if (editors.has(socket.userId)) {
-        editors.delete(socket.userId);
-        
+      const editor = editors.get(socket.userId);
+      if (editor && editor.socketId === socket.id) {
+        leaveDocumentSession(io, documentId, socket.userId);
+
         // Notify others in the document
         socket.to(`document:${documentId}`).emit('document:user:left', {
           documentId,
           userId: socket.userId,
           timestamp: new Date()
         });
-
-        // Clean up empty sessions
-        if (editors.size === 0) {
-          documentSessions.delete(documentId);
-        }
       }
     }
   });
@@ -2,6 +2,23 @@
 
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const { logActivity } = require('../utils/activityUtils');
+const { createTaskLink, removeTaskLink, broadcastLinkChange } = require('../utils/taskLinkUtils');
+const { AppError } = require('../utils/helpers');
+
+// Record a task mutation made over the socket in the workspace activity feed
+const logTaskActivity = (io, socket, task, action, metadata) => {
+  return logActivity(io, {
+    workspaceId: task.workspaceId,
+    projectId: task.projectId,
+    actorId: socket.userId,
+    action,
+    entityType: 'task',
+    entityId: task._id,
+    entityName: task.title,
+    metadata
+  });
+};
 
 /**
  * Kanban board real-time updates socket handler
@@ -87,9 +104,17 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Access denied' });
       }
 
+      // New tasks go into a workflow column that has room
+      const status = taskData.status || project.getDefaultStatus();
+      const columnError = await project.checkColumnMove(status);
+      if (columnError) {
+        return socket.emit('kanban:error', { message: columnError.message, code: columnError.code });
+      }
+
       // Create task
       const task = await Task.create({
         ...taskData,
+        status,
         project: projectId,
         createdBy: socket.userId
       });
@@ -104,6 +129,8 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.created', { status: task.status, priority: task.priority });
+
       console.log(`Task created by ${socket.userId} in project ${projectId}`);
     } catch (error) {
       console.error('Error creating task:', error);
@@ -123,6 +150,23 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Task not found' });
       }
 
+      // A status change is a column move and gets the same checks
+      if (updates.status !== undefined && updates.status !== task.status) {
+        const project = await Project.findById(task.projectId).select('workflow enforceDependencies');
+        if (!project) {
+          return socket.emit('kanban:error', { message: 'Project not found' });
+        }
+
+        const columnError = await project.checkColumnMove(updates.status, task._id);
+        if (columnError) {
+          return socket.emit('kanban:error', {
+            message: columnError.message,
+            code: columnError.code,
+            taskId
+          });
+        }
+      }
+
       // Update task fields
       Object.keys(updates).forEach(key => {
         task[key] = updates[key];
@@ -143,6 +187,8 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.updated', { fields: Object.keys(updates) });
+
       console.log(`Task ${taskId} updated by ${socket.userId}`);
     } catch (error) {
       console.error('Error updating task:', error);
@@ -162,8 +208,26 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Task not found' });
       }
 
-      // Update task status and position
       const oldStatus = task.status;
+
+      // Target column must exist in the project's workflow and have room
+      if (toStatus !== oldStatus) {
+        const project = await Project.findById(task.projectId).select('workflow enforceDependencies');
+        if (!project) {
+          return socket.emit('kanban:error', { message: 'Project not found' });
+        }
+
+        const columnError = await project.checkColumnMove(toStatus, task._id);
+        if (columnError) {
+          return socket.emit('kanban:error', {
+            message: columnError.message,
+            code: columnError.code,
+            taskId
+          });
+        }
+      }
+
+      // Update task status and position
       task.status = toStatus;
       task.position = position;
       task.updatedBy = socket.userId;
@@ -183,6 +247,10 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      if (oldStatus !== toStatus) {
+        await logTaskActivity(io, socket, task, 'task.moved', { fromStatus: oldStatus, toStatus });
+      }
+
       console.log(`Task ${taskId} moved from ${fromStatus} to ${toStatus} by ${socket.userId}`);
     } catch (error) {
       console.error('Error moving task:', error);
@@ -223,6 +291,8 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.deleted');
+
       console.log(`Task ${taskId} deleted by ${socket.userId}`);
     } catch (error) {
       console.error('Error deleting task:', error);
@@ -273,6 +343,10 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      if (!alreadyAssigned) {
+        await logTaskActivity(io, socket, task, 'task.assigned', { assignee: userId });
+      }
+
       console.log(`Task ${taskId} assigned to user ${userId} by ${socket.userId}`);
     } catch (error) {
       console.error('Error assigning task:', error);
@@ -311,6 +385,8 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.unassigned', { assignee: userId });
+
       console.log(`User ${userId} unassigned from task ${taskId} by ${socket.userId}`);
     } catch (error) {
       console.error('Error unassigning task:', error);
@@ -348,6 +424,8 @@ const kanbanSocket = (io, socket) => {
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.priority_changed', { oldPriority, newPriority: priority });
+
       console.log(`Task ${taskId} priority changed to ${priority} by ${socket.userId}`);
     } catch (error) {
       console.error('Error updating task priority:', error);
@@ -411,6 +489,8 @@ const kanbanSocket = (io, socket) => {
         }
       }
 
+      await logTaskActivity(io, socket, task, 'task.commented');
+
       console.log(`Comment added to task ${taskId} by ${socket.userId}`);
     } catch (error) {
       console.error('Error adding comment:', error);
@@ -467,29 +547,20 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Task not found' });
       }
 
-      if (!task.subtasks) {
-        task.subtasks = [];
-      }
-
-      const newSubtask = {
-        ...subtask,
-        createdBy: socket.userId,
-        createdAt: new Date()
-      };
-
-      task.subtasks.push(newSubtask);
-      task.updatedAt = new Date();
-      await task.save();
+      const newSubtask = await task.addSubtask(socket.userId, subtask || {});
 
       // Broadcast subtask addition
       io.to(`kanban:${projectId}`).emit('kanban:task:subtask:added', {
         taskId,
         projectId,
         subtask: newSubtask,
+        subtaskProgress: task.subtaskProgress,
         addedBy: socket.user.name,
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.subtask_added', { subtaskId: newSubtask._id, subtask: newSubtask.title });
+
       console.log(`Subtask added to task ${taskId} by ${socket.userId}`);
     } catch (error) {
       console.error('Error adding subtask:', error);
@@ -509,19 +580,13 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Task not found' });
       }
 
-      const subtask = task.subtasks.id(subtaskId);
-      if (!subtask) {
+      const existing = task.subtasks.id(subtaskId);
+      if (!existing) {
         return socket.emit('kanban:error', { message: 'Subtask not found' });
       }
+      const wasDone = existing.done;
 
-      // Update subtask fields
-      Object.keys(updates).forEach(key => {
-        subtask[key] = updates[key];
-      });
-
-      subtask.updatedAt = new Date();
-      task.updatedAt = new Date();
-      await task.save();
+      const subtask = await task.updateSubtask(subtaskId, updates || {});
 
       // Broadcast subtask update
       io.to(`kanban:${projectId}`).emit('kanban:task:subtask:updated', {
@@ -529,10 +594,18 @@ const kanbanSocket = (io, socket) => {
         projectId,
         subtaskId,
         subtask,
+        subtaskProgress: task.subtaskProgress,
         updatedBy: socket.user.name,
         timestamp: new Date()
       });
 
+      if (subtask.done !== wasDone) {
+        await logTaskActivity(io, socket, task, subtask.done ? 'task.subtask_completed' : 'task.subtask_reopened', {
+          subtaskId: subtask._id,
+          subtask: subtask.title
+        });
+      }
+
       console.log(`Subtask ${subtaskId} updated by ${socket.userId}`);
     } catch (error) {
       console.error('Error updating subtask:', error);
@@ -552,9 +625,12 @@ const kanbanSocket = (io, socket) => {
         return socket.emit('kanban:error', { message: 'Task not found' });
       }
 
-      // Remove subtask
-      task.subtasks = task.subtasks.filter(st => st._id.toString() !== subtaskId);
-      task.updatedAt = new Date();
+      const subtask = task.subtasks.id(subtaskId);
+      if (!subtask) {
+        return socket.emit('kanban:error', { message: 'Subtask not found' });
+      }
+
+      task.subtasks.pull(subtaskId);
       await task.save();
 
       // Broadcast subtask deletion
@@ -562,10 +638,13 @@ const kanbanSocket = (io, socket) => {
         taskId,
         projectId,
         subtaskId,
+        subtaskProgress: task.subtaskProgress,
         deletedBy: socket.user.name,
         timestamp: new Date()
       });
 
+      await logTaskActivity(io, socket, task, 'task.subtask_deleted', { subtaskId, subtask: subtask.title });
+
       console.log(`Subtask ${subtaskId} deleted by ${socket.userId}`);
     } catch (error) {
       console.error('Error deleting subtask:', error);
@@ -573,16 +652,98 @@ const kanbanSocket = (io, socket) => {
     }
   });
 
+  /**
+   * Link task to another task (blocks, blocked_by, relates_to, duplicates)
+   */
+  socket.on('kanban:task:link:add', async (data) => {
+    try {
+      const { taskId, linkedTaskId, type } = data;
+
+      const task = await Task.findById(taskId);
+      if (!task) {
+        return socket.emit('kanban:error', { message: 'Task not found' });
+      }
+
+      const { link, tasks } = await createTaskLink(task, { taskId: linkedTaskId, type, userId: socket.userId });
+
+      broadcastLinkChange(io, 'added', link, tasks);
+      await logTaskActivity(io, socket, task, 'task.linked', { type: link.type, taskId: link.task._id, task: link.task.title });
+
+      console.log(`Task ${taskId} linked (${link.type}) to ${linkedTaskId} by ${socket.userId}`);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('kanban:error', { message: error.message });
+      }
+      console.error('Error linking tasks:', error);
+      socket.emit('kanban:error', { message: 'Failed to link tasks' });
+    }
+  });
+
+  /**
+   * Remove a task link
+   */
+  socket.on('kanban:task:link:remove', async (data) => {
+    try {
+      const { taskId, linkId } = data;
+
+      const task = await Task.findById(taskId);
+      if (!task) {
+        return socket.emit('kanban:error', { message: 'Task not found' });
+      }
+
+      const { link, tasks } = await removeTaskLink(task, linkId);
+
+      broadcastLinkChange(io, 'removed', link, tasks);
+      await logTaskActivity(io, socket, task, 'task.unlinked', {
+        type: link.type,
+        taskId: link.task && link.task._id,
+        task: link.task && link.task.title
+      });
+
+      console.log(`Link ${linkId} removed from task ${taskId} by ${socket.userId}`);
+    } catch (error) {
+      if (error instanceof AppError) {
+        return socket.emit('kanban:error', { message: error.message });
+      }
+      console.error('Error removing task link:', error);
+      socket.emit('kanban:error', { message: 'Failed to remove task link' });
+    }
+  });
+
   /**
    * Bulk task operations
    */
   socket.on('kanban:tasks:bulk:update', async (data) => {
     try {
       const { projectId, taskIds, updates } = data;
+      let project = null;
+
+      // Tasks changing column are checked together against the target column
+      if (updates.status !== undefined) {
+        project = await Project.findById(projectId).select('workflow enforceDependencies progress');
+        if (!project) {
+          return socket.emit('kanban:error', { message: 'Project not found' });
+        }
+
+        const moving = await Task.find({
+          _id: { $in: taskIds },
+          projectId,
+          status: { $ne: updates.status }
+        }).distinct('_id');
+
+        const columnError = moving.length && await project.checkColumnMove(updates.status, moving);
+        if (columnError) {
+          return socket.emit('kanban:error', {
+            message: columnError.message,
+            code: columnError.code,
+            taskId: columnError.taskId
+          });
+        }
+      }
 
-      // Update multiple tasks
+      // Update multiple tasks of the project
       await Task.updateMany(
-        { _id: { $in: taskIds } },
+        { _id: { $in: taskIds }, projectId },
         { 
           ...updates,
           updatedBy: socket.userId,
@@ -590,6 +751,12 @@ const kanbanSocket = (io, socket) => {
         }
       );
 
+      // updateMany skips the task save hooks that track completion and progress
+      if (project) {
+        await project.syncTaskCompletion();
+        await project.calculateProgress();
+      }
+
       // Broadcast bulk update
       io.to(`kanban:${projectId}`).emit('kanban:tasks:bulk:updated', {
         projectId,
@@ -613,12 +780,21 @@ const kanbanSocket = (io, socket) => {
     try {
       const { projectId, status, taskOrders } = data;
 
-      // taskOrders: [{ taskId, position }, ...]
+      const project = await Project.findById(projectId).select('workflow');
+      if (!project) {
+        return socket.emit('kanban:error', { message: 'Project not found' });
+      }
+
+      if (!project.getColumn(status)) {
+        return socket.emit('kanban:error', { message: `Unknown column: ${status}`, code: 'unknown_column' });
+      }
+
+      // taskOrders: [{ taskId, position }, ...] - only tasks already in this column are reordered
       for (const { taskId, position } of taskOrders) {
-        await Task.findByIdAndUpdate(taskId, { 
-          position,
-          updatedAt: new Date()
-        });
+        await Task.updateOne(
+          { _id: taskId, projectId, status },
+          { position, updatedAt: new Date() }
+        );
       }
 
       // Broadcast reorder
@@ -2,6 +2,8 @@
 
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const NotificationPreference = require('../models/NotificationPreference');
+const { notify } = require('../utils/notificationUtils');
 
 /**
  * Notification socket handler
@@ -171,27 +173,15 @@ const notificationSocket = (io, socket) => {
    */
   socket.on('notification:preferences:update', async (data) => {
     try {
-      const { preferences } = data;
+      const { types, workspaceId, quietHours, digestHour } = data.preferences || {};
 
-      const user = await User.findById(socket.userId);
-      if (!user) {
-        return socket.emit('notification:error', { message: 'User not found' });
-      }
-
-      // Update user notification preferences
-      if (!user.notificationPreferences) {
-        user.notificationPreferences = {};
-      }
-
-      user.notificationPreferences = {
-        ...user.notificationPreferences,
-        ...preferences
-      };
-
-      await user.save();
+      const preferences = await NotificationPreference.forUser(socket.userId);
+      preferences.applyUpdate({ types, workspaceId, quietHours, digestHour });
+      // Schema validation rejects unknown types, modes and time zones
+      await preferences.save();
 
       socket.emit('notification:preferences:updated', {
-        preferences: user.notificationPreferences,
+        preferences,
         timestamp: new Date()
       });
 
@@ -210,22 +200,8 @@ const notificationSocket = (io, socket) => {
  */
 const sendNotification = async (io, recipientId, notificationData) => {
   try {
-    // Create notification in database
-    const notification = await Notification.create({
-      recipient: recipientId,
-      ...notificationData,
-      createdAt: new Date()
-    });
-
-    await notification.populate('sender', 'name email avatar');
-
-    // Send notification via socket if user is online
-    io.to(`user:${recipientId}`).emit('notification:new', {
-      notification,
-      timestamp: new Date()
-    });
-
-    return notification;
+    // Goes through the dispatcher so the recipient's preferences apply
+    return await notify(io, { ...notificationData, userId: recipientId });
   } catch (error) {
     console.error('Error sending notification:', error);
     throw error;
@@ -240,20 +216,8 @@ const sendNotificationToMultiple = async (io, recipientIds, notificationData) =>
     const notifications = [];
 
     for (const recipientId of recipientIds) {
-      const notification = await Notification.create({
-        recipient: recipientId,
-        ...notificationData,
-        createdAt: new Date()
-      });
-
-      await notification.populate('sender', 'name email avatar');
-      notifications.push(notification);
-
-      // Send notification via socket if user is online
-      io.to(`user:${recipientId}`).emit('notification:new', {
-        notification,
-        timestamp: new Date()
-      });
+      const notification = await sendNotification(io, recipientId, notificationData);
+      if (notification) notifications.push(notification);
     }
 
     return notifications;
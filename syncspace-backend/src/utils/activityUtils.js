@@ -0,0 +1,79 @@
+/**
+ * Activity Utility Functions
+ * Records audit log entries and streams them to the workspace feed
+ */
+
+const Activity = require('../models/Activity');
+const { getPagination, getPaginationMeta } = require('./helpers');
+
+const ACTOR_FIELDS = 'name email avatar';
+
+/**
+ * Record an activity and broadcast it to the workspace.
+ * Never throws - a failed audit entry must not fail the mutation it describes.
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} data - { workspaceId, projectId, actorId, action, entityType, entityId, entityName, metadata }
+ * @returns {Object|null} Created activity
+ */
+exports.logActivity = async (io, data) => {
+  try {
+    if (!data.workspaceId || !data.actorId) return null;
+
+    const activity = await Activity.create({
+      workspaceId: data.workspaceId,
+      projectId: data.projectId || null,
+      actorId: data.actorId,
+      action: data.action,
+      entityType: data.entityType,
+      entityId: data.entityId || null,
+      entityName: data.entityName ? String(data.entityName).slice(0, 200) : '',
+      metadata: data.metadata || {}
+    });
+
+    await activity.populate('actorId', ACTOR_FIELDS);
+
+    if (io) {
+      io.to(`workspace:${activity.workspaceId}`).emit('activity:new', activity);
+    }
+
+    return activity;
+  } catch (error) {
+    console.error(`⚠️ Failed to log activity (${data.action}):`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Fetch a page of activities, newest first
+ * @param {Object} filters - Activity.buildFilter parameters
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { activities, pagination }
+ */
+exports.getActivityFeed = async (filters, { page, limit } = {}) => {
+  const pagination = getPagination(page, limit || 20);
+  const filter = Activity.buildFilter(filters);
+
+  const [activities, total] = await Promise.all([
+    Activity.find(filter)
+      .populate('actorId', ACTOR_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(pagination.skip)
+      .limit(pagination.limit),
+    Activity.countDocuments(filter)
+  ]);
+
+  return {
+    activities,
+    pagination: getPaginationMeta(total, pagination.page, pagination.limit)
+  };
+};
+
+/**
+ * Pick activity filters from a request query string
+ * @param {Object} query - req.query
+ * @returns {Object} Filters
+ */
+exports.getActivityFilters = (query = {}) => {
+  const { workspaceId, projectId, actorId, entityType, entityId, action, from, to } = query;
+  return { workspaceId, projectId, actorId, entityType, entityId, action, from, to };
+};
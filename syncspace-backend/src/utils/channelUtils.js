@@ -0,0 +1,220 @@
+/**
+ * Channel Utility Functions
+ * Access checks, posting and broadcasting for named chat channels.
+ * Shared by the REST controller and the chat socket handler.
+ */
+
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const Workspace = require('../models/Workspace');
+const { notifyUsers } = require('./notificationUtils');
+const { AppError } = require('./helpers');
+
+// Channel owners and workspace admins manage a channel
+const canManageChannel = (channel, workspace, userId) =>
+  channel.isOwner(userId) || workspace.isCreator(userId) || !!workspace.isAdmin(userId);
+
+/**
+ * Load a channel the user is allowed to read
+ * @param {String} channelId - Channel ID
+ * @param {String} userId - User ID
+ * @returns {Object} { channel, workspace }
+ * @throws {AppError}
+ */
+exports.getAccessibleChannel = async (channelId, userId) => {
+  const channel = await Channel.findById(channelId);
+  if (!channel) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  const workspace = await Workspace.findById(channel.workspaceId);
+  if (!workspace || !workspace.hasAccess(userId)) {
+    throw new AppError('Access denied to this channel', 403);
+  }
+
+  // Private channels stay hidden from non-members
+  if (!channel.canView(userId)) {
+    throw new AppError('Channel not found', 404);
+  }
+
+  return { channel, workspace };
+};
+
+/**
+ * Count unread messages of each channel for a user.
+ * Channels the user has not joined have no unread count.
+ * @param {Array} channels - Channels
+ * @param {String} userId - User ID
+ * @returns {Map} channelId string -> unread count
+ */
+exports.getUnreadCounts = async (channels, userId) => {
+  const counts = new Map();
+
+  await Promise.all(channels.map(async (channel) => {
+    const member = channel.getMember(userId);
+    if (!member) return;
+
+    const unread = channel.lastMessageAt && channel.lastMessageAt > member.lastReadAt
+      ? await Message.getUnreadCountSince({ channelId: channel._id }, userId, member.lastReadAt)
+      : 0;
+    counts.set(channel._id.toString(), unread);
+  }));
+
+  return counts;
+};
+
+/**
+ * Describe a channel for one user
+ * @param {Object} channel - Channel
+ * @param {String} userId - User ID
+ * @param {Map} unreadCounts - From getUnreadCounts
+ * @returns {Object} Channel fields plus isMember, role and unreadCount
+ */
+exports.describeChannel = (channel, userId, unreadCounts = new Map()) => {
+  const member = channel.getMember(userId);
+
+  return {
+    ...channel.toJSON(),
+    isMember: !!member,
+    role: member ? member.role : null,
+    unreadCount: member ? unreadCounts.get(channel._id.toString()) || 0 : null
+  };
+};
+
+/**
+ * Broadcast a new channel message to the room and to every member's unread badge
+ * @param {Object} io - Socket.IO server
+ * @param {Object} channel - Channel
+ * @param {Object} message - Message with populated sender
+ */
+exports.broadcastChannelMessage = (io, channel, message) => {
+  if (!io) return;
+
+  io.to(`chat:channel:${channel._id}`).emit('chat:message:received', {
+    message,
+    roomId: channel._id,
+    roomType: 'channel',
+    timestamp: new Date()
+  });
+
+  // Lets members outside the room bump their unread badge
+  const senderId = message.senderId._id || message.senderId;
+  channel.members.forEach(member => {
+    io.to(`user:${member.userId}`).emit('chat:channel:activity', {
+      channelId: channel._id,
+      workspaceId: channel.workspaceId,
+      messageId: message._id,
+      senderId
+    });
+  });
+};
+
+/**
+ * Post a message to a channel and broadcast it
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} channel - Channel the sender is a member of
+ * @param {Object} sender - User document of the sender
+ * @param {Object} data - { text, type, mentions, replyTo, attachments }
+ * @returns {Object} Created message, populated
+ * @throws {AppError}
+ */
+exports.postChannelMessage = async (io, channel, sender, data) => {
+  if (channel.isArchived) {
+    throw new AppError('This channel is archived');
+  }
+  if (!channel.isMember(sender._id)) {
+    throw new AppError('Join the channel to post messages', 403);
+  }
+
+  const text = (data.text || '').trim();
+  if (!text) {
+    throw new AppError('Message text is required');
+  }
+
+  const message = await Message.create({
+    workspaceId: channel.workspaceId,
+    channelId: channel._id,
+    senderId: sender._id,
+    text,
+    type: data.type || 'text',
+    mentions: data.mentions || [],
+    replyTo: data.replyTo || null,
+    attachments: data.attachments || []
+  });
+
+  await Channel.updateOne({ _id: channel._id }, { $set: { lastMessageAt: message.createdAt } });
+  await Channel.markRead(channel._id, sender._id, message.createdAt);
+
+  await message.populate([
+    { path: 'senderId', select: 'name email avatar' },
+    { path: 'mentions', select: 'name email avatar' },
+    { path: 'replyTo', select: 'text senderId' }
+  ]);
+
+  exports.broadcastChannelMessage(io, channel, message);
+
+  // Only channel members are notified, so mentions cannot leak private channels
+  const mentioned = (data.mentions || []).filter(userId => channel.isMember(userId));
+  if (mentioned.length > 0) {
+    await notifyUsers(io, mentioned, {
+      type: 'mention',
+      title: 'You were mentioned',
+      message: `${sender.name} mentioned you in #${channel.name}`,
+      workspaceId: channel.workspaceId,
+      senderId: sender._id,
+      link: `/workspace/${channel.workspaceId}/chat?channel=${channel._id}`
+    }, { payload: { message } });
+  }
+
+  return message;
+};
+
+/**
+ * Broadcast a channel change to the users who can see the channel
+ * @param {Object} io - Socket.IO server
+ * @param {String} action - 'created' | 'updated' | 'archived' | 'unarchived' | 'members:updated'
+ * @param {Object} channel - Channel
+ * @param {Array} extraUserIds - Users who lost access and should still hear about it
+ */
+exports.broadcastChannelChange = (io, action, channel, extraUserIds = []) => {
+  if (!io) return;
+
+  const payload = { channel, timestamp: new Date() };
+
+  if (!channel.isPrivate) {
+    io.to(`workspace:${channel.workspaceId}`).emit(`chat:channel:${action}`, payload);
+    return;
+  }
+
+  const userIds = new Set([
+    ...channel.members.map(member => member.userId.toString()),
+    ...extraUserIds.map(id => id.toString())
+  ]);
+  userIds.forEach(userId => {
+    io.to(`user:${userId}`).emit(`chat:channel:${action}`, payload);
+  });
+};
+
+/**
+ * Take sockets out of a channel's room so they stop receiving its messages:
+ * the given users, or everyone but the members when no users are given
+ * (a channel that just became private)
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} channel - Channel
+ * @param {Array} userIds - Users who left or were removed
+ */
+exports.leaveChannelRoom = (io, channel, userIds = null) => {
+  if (!io) return;
+
+  const room = `chat:channel:${channel._id}`;
+  if (userIds) {
+    userIds.forEach(userId => io.in(`user:${userId}`).socketsLeave(room));
+    return;
+  }
+
+  io.in(room)
+    .except(channel.members.map(member => `user:${member.userId}`))
+    .socketsLeave(room);
+};
+
+exports.canManageChannel = canManageChannel;
@@ -0,0 +1,300 @@
+/**
+ * Conversation Utility Functions
+ * Direct and group messages between workspace members.
+ * Shared by the REST controller and the chat socket handler.
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Workspace = require('../models/Workspace');
+const { notifyUsers } = require('./notificationUtils');
+const { AppError } = require('./helpers');
+
+const PARTICIPANT_FIELDS = 'name email avatar';
+
+// Length of the last-message preview stored on the conversation
+const PREVIEW_LENGTH = 200;
+
+// Distinct user ID strings, without empty values
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(String))];
+
+/**
+ * Load a conversation the user takes part in
+ * @param {String} conversationId - Conversation ID
+ * @param {String} userId - User ID
+ * @returns {Object} Conversation
+ * @throws {AppError}
+ */
+exports.getAccessibleConversation = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  // Outsiders get the same answer as for a missing conversation
+  if (!conversation || !conversation.isParticipant(userId)) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  return conversation;
+};
+
+/**
+ * Check that every user belongs to the workspace
+ * @throws {AppError}
+ */
+const assertWorkspaceMembers = async (workspaceId, userIds) => {
+  const workspace = await Workspace.findById(workspaceId);
+  if (!workspace) {
+    throw new AppError('Workspace not found', 404);
+  }
+
+  const outsider = userIds.find(userId => !workspace.hasAccess(userId));
+  if (outsider) {
+    throw new AppError('Everyone in a conversation must be a member of the workspace');
+  }
+};
+
+/**
+ * Find the conversation between exactly these people, or start one.
+ * Two people share a single one-to-one conversation; a group with the
+ * same people is reused as well.
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} creatorId - User starting the conversation
+ * @param {Array} participantIds - Other participants
+ * @param {String} name - Optional group name
+ * @returns {Object} { conversation, created }
+ * @throws {AppError}
+ */
+exports.findOrCreateConversation = async (workspaceId, creatorId, participantIds, name = '') => {
+  const userIds = uniqueIds([creatorId, ...participantIds]);
+
+  if (userIds.length < 2) {
+    throw new AppError('Pick at least one other person');
+  }
+  if (userIds.length > Conversation.MAX_PARTICIPANTS) {
+    throw new AppError(`A conversation can have at most ${Conversation.MAX_PARTICIPANTS} people`);
+  }
+
+  await assertWorkspaceMembers(workspaceId, userIds);
+
+  const isGroup = userIds.length > 2;
+  const existing = isGroup
+    ? await Conversation.findOne({
+      workspaceId,
+      isGroup: true,
+      participants: { $size: userIds.length },
+      'participants.userId': { $all: userIds }
+    })
+    : await Conversation.findOne({ workspaceId, directKey: Conversation.getDirectKey(userIds[0], userIds[1]) });
+
+  if (existing) {
+    return { conversation: existing, created: false };
+  }
+
+  try {
+    const conversation = await Conversation.create({
+      workspaceId,
+      isGroup,
+      name: isGroup ? name : '',
+      directKey: isGroup ? undefined : Conversation.getDirectKey(userIds[0], userIds[1]),
+      createdBy: creatorId,
+      participants: userIds.map(userId => ({
+        userId,
+        addedBy: userId === creatorId.toString() ? null : creatorId
+      }))
+    });
+    return { conversation, created: true };
+  } catch (error) {
+    // Both people opened the DM at the same moment
+    if (error.code === 11000 && !isGroup) {
+      const conversation = await Conversation.findOne({
+        workspaceId,
+        directKey: Conversation.getDirectKey(userIds[0], userIds[1])
+      });
+      return { conversation, created: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add people to a conversation. A one-to-one conversation stays private:
+ * adding someone starts a new group with everyone instead.
+ * @param {Object} conversation - Conversation the actor takes part in
+ * @param {String} actorId - User adding people
+ * @param {Array} userIds - People to add
+ * @returns {Object} { conversation, created, added }
+ * @throws {AppError}
+ */
+exports.addParticipants = async (conversation, actorId, userIds) => {
+  const newIds = uniqueIds(userIds).filter(userId => !conversation.isParticipant(userId));
+  if (!newIds.length) {
+    throw new AppError('Everyone is already in this conversation');
+  }
+
+  const currentIds = conversation.participants.map(participant => participant.userId.toString());
+
+  if (!conversation.isGroup) {
+    const { conversation: group, created } = await exports.findOrCreateConversation(
+      conversation.workspaceId, actorId, [...currentIds, ...newIds]
+    );
+    return { conversation: group, created, added: newIds };
+  }
+
+  if (currentIds.length + newIds.length > Conversation.MAX_PARTICIPANTS) {
+    throw new AppError(`A conversation can have at most ${Conversation.MAX_PARTICIPANTS} people`);
+  }
+
+  await assertWorkspaceMembers(conversation.workspaceId, newIds);
+
+  newIds.forEach(userId => {
+    conversation.participants.push({ userId, addedBy: actorId });
+  });
+  await conversation.save();
+
+  return { conversation, created: false, added: newIds };
+};
+
+/**
+ * Count unread messages of each conversation for a user
+ * @param {Array} conversations - Conversations the user takes part in
+ * @param {String} userId - User ID
+ * @returns {Map} conversationId string -> unread count
+ */
+exports.getUnreadCounts = async (conversations, userId) => {
+  const counts = new Map();
+
+  await Promise.all(conversations.map(async (conversation) => {
+    const participant = conversation.getParticipant(userId);
+    if (!participant) return;
+
+    const unread = conversation.lastMessageAt && conversation.lastMessageAt > participant.lastReadAt
+      ? await Message.getUnreadCountSince({ conversationId: conversation._id }, userId, participant.lastReadAt)
+      : 0;
+    counts.set(conversation._id.toString(), unread);
+  }));
+
+  return counts;
+};
+
+/**
+ * Describe a conversation for the requesting user
+ * @param {Object} conversation - Conversation with populated participants
+ * @param {Map} unreadCounts - From getUnreadCounts
+ * @returns {Object} Conversation fields plus unreadCount
+ */
+exports.describeConversation = (conversation, unreadCounts = new Map()) => ({
+  ...conversation.toJSON(),
+  unreadCount: unreadCounts.get(conversation._id.toString()) || 0
+});
+
+/**
+ * Populate what the conversation list shows
+ * @param {Object|Array} conversations - Conversation(s)
+ */
+exports.populateConversations = (conversations) =>
+  Conversation.populate(conversations, [
+    { path: 'participants.userId', select: PARTICIPANT_FIELDS },
+    { path: 'lastMessage.senderId', select: PARTICIPANT_FIELDS }
+  ]);
+
+/**
+ * Post a message to a conversation and broadcast it
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} conversation - Conversation the sender takes part in
+ * @param {Object} sender - User document of the sender
+ * @param {Object} data - { text, type, mentions, replyTo, attachments }
+ * @returns {Object} Created message, populated
+ * @throws {AppError}
+ */
+exports.postConversationMessage = async (io, conversation, sender, data) => {
+  const text = (data.text || '').trim();
+  if (!text) {
+    throw new AppError('Message text is required');
+  }
+
+  const message = await Message.create({
+    workspaceId: conversation.workspaceId,
+    conversationId: conversation._id,
+    senderId: sender._id,
+    text,
+    type: data.type || 'text',
+    mentions: data.mentions || [],
+    replyTo: data.replyTo || null,
+    attachments: data.attachments || []
+  });
+
+  await Conversation.updateOne({ _id: conversation._id }, {
+    $set: {
+      lastMessageAt: message.createdAt,
+      lastMessage: {
+        messageId: message._id,
+        senderId: sender._id,
+        text: text.slice(0, PREVIEW_LENGTH)
+      }
+    }
+  });
+  await Conversation.markRead(conversation._id, sender._id, message.createdAt);
+
+  await message.populate([
+    { path: 'senderId', select: PARTICIPANT_FIELDS },
+    { path: 'mentions', select: PARTICIPANT_FIELDS },
+    { path: 'replyTo', select: 'text senderId' }
+  ]);
+
+  exports.broadcastConversationMessage(io, conversation, message);
+
+  // Every other participant hears about a direct message
+  const recipients = conversation.participants.map(participant => participant.userId);
+  await notifyUsers(io, recipients, {
+    type: 'direct_message',
+    title: conversation.isGroup ? 'New group message' : 'New direct message',
+    message: `${sender.name}: ${text.slice(0, 100)}`,
+    workspaceId: conversation.workspaceId,
+    senderId: sender._id,
+    link: `/workspace/${conversation.workspaceId}/chat?conversation=${conversation._id}`
+  }, { payload: { message, conversationId: conversation._id } });
+
+  return message;
+};
+
+/**
+ * Broadcast a new conversation message to the room and to every participant's list
+ * @param {Object} io - Socket.IO server
+ * @param {Object} conversation - Conversation
+ * @param {Object} message - Message with populated sender
+ */
+exports.broadcastConversationMessage = (io, conversation, message) => {
+  if (!io) return;
+
+  io.to(`chat:conversation:${conversation._id}`).emit('chat:message:received', {
+    message,
+    roomId: conversation._id,
+    roomType: 'conversation',
+    timestamp: new Date()
+  });
+
+  const senderId = message.senderId._id || message.senderId;
+  conversation.participants.forEach(participant => {
+    io.to(`user:${participant.userId._id || participant.userId}`).emit('chat:conversation:activity', {
+      conversationId: conversation._id,
+      workspaceId: conversation.workspaceId,
+      messageId: message._id,
+      senderId
+    });
+  });
+};
+
+/**
+ * Tell participants that a conversation was created or changed
+ * @param {Object} io - Socket.IO server
+ * @param {Object} conversation - Conversation
+ */
+exports.broadcastConversationChange = (io, conversation) => {
+  if (!io) return;
+
+  conversation.participants.forEach(participant => {
+    io.to(`user:${participant.userId._id || participant.userId}`).emit('chat:conversation:updated', {
+      conversation,
+      timestamp: new Date()
+    });
+  });
+};
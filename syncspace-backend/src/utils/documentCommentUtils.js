@@ -0,0 +1,375 @@
+/**
+ * Document Comment Utility Functions
+ * Inline comment threads and suggested edits on documents.
+ * Shared by the REST controller and the document socket handler.
+ */
+
+const Document = require('../models/Document');
+const DocumentComment = require('../models/DocumentComment');
+const Workspace = require('../models/Workspace');
+const { anchorRange, syncCommentAnchors, applySuggestion } = require('./documentSyncUtils');
+const { notifyUsers } = require('./notificationUtils');
+const { AppError } = require('./helpers');
+
+const USER_FIELDS = 'name email avatar';
+
+// Sync engine errors mean the client's view of the document is out of date
+const fromSyncError = (error) => {
+  if (error.name === 'DocumentSyncError') {
+    return new AppError(error.message, 409);
+  }
+  return error;
+};
+
+const sameId = (a, b) => (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Load a document the user may open
+ * @param {String} documentId - Document ID
+ * @param {String} userId - User ID
+ * @returns {Object} Document
+ * @throws {AppError}
+ */
+exports.getAccessibleDocument = async (documentId, userId) => {
+  const document = await Document.findById(documentId).select('title workspaceId projectId createdBy collaborators isPublic isLocked lockedBy');
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+  if (!(await document.canUserView(userId))) {
+    throw new AppError('Access denied to this document', 403);
+  }
+  return document;
+};
+
+/**
+ * Load a comment of a document
+ * @throws {AppError}
+ */
+exports.getComment = async (document, commentId) => {
+  const comment = await DocumentComment.findOne({ _id: commentId, documentId: document._id });
+  if (!comment) {
+    throw new AppError('Comment not found', 404);
+  }
+  return comment;
+};
+
+/**
+ * Populate what the comment panel shows
+ * @param {Object|Array} comments - Comment(s)
+ */
+exports.populateComments = (comments) =>
+  DocumentComment.populate(comments, [
+    { path: 'authorId', select: USER_FIELDS },
+    { path: 'mentions', select: USER_FIELDS },
+    { path: 'resolvedBy', select: USER_FIELDS },
+    { path: 'replies.authorId', select: USER_FIELDS },
+    { path: 'replies.mentions', select: USER_FIELDS }
+  ]);
+
+/**
+ * List the comments of a document with up-to-date anchors
+ * @param {Object} document - Document
+ * @param {String} status - open, closed (resolved, accepted, rejected) or all
+ * @returns {Array} Comments in document order, populated
+ */
+exports.listComments = async (document, status = 'open') => {
+  await syncCommentAnchors(document._id.toString());
+
+  const filter = { documentId: document._id };
+  if (status === 'open') filter.status = 'open';
+  if (status === 'closed') filter.status = { $ne: 'open' };
+
+  const comments = await DocumentComment.find(filter).sort({ 'anchor.index': 1, createdAt: 1 });
+  return exports.populateComments(comments);
+};
+
+/**
+ * Keep only mentioned users who can open the document
+ * @returns {Array} User ID strings
+ */
+const filterMentions = async (document, mentions = []) => {
+  const ids = [...new Set(mentions.filter(Boolean).map(String))];
+  if (!ids.length || document.isPublic) return ids;
+
+  const workspace = await Workspace.findById(document.workspaceId).select('members createdBy');
+  return ids.filter(userId =>
+    sameId(document.createdBy, userId) ||
+    document.collaborators.some(c => c.userId && sameId(c.userId, userId)) ||
+    (workspace && (workspace.isMember(userId) || workspace.isCreator(userId)))
+  );
+};
+
+/**
+ * Tell mentioned users, then everyone else in the thread and the document owner.
+ * Mentions take precedence, so nobody is notified twice.
+ */
+const notifyComment = async (io, document, comment, sender, text, mentions, isReply) => {
+  const link = `/workspace/${document.workspaceId}/document/${document._id}?comment=${comment._id}`;
+  const senderId = sender._id.toString();
+  const what = comment.kind === 'suggestion' && !isReply ? 'suggested a change' : 'commented';
+
+  const mentioned = mentions.filter(userId => userId !== senderId);
+  if (mentioned.length > 0) {
+    await notifyUsers(io, mentioned, {
+      type: 'mention',
+      title: 'You were mentioned',
+      message: `${sender.name} mentioned you in a comment on "${document.title}"`,
+      workspaceId: document.workspaceId,
+      senderId: sender._id,
+      link
+    }, { payload: { documentId: document._id, comment } });
+  }
+
+  const others = [...comment.getParticipantIds(), document.createdBy.toString()]
+    .filter((userId, i, all) => all.indexOf(userId) === i && userId !== senderId && !mentioned.includes(userId));
+  if (others.length > 0) {
+    await notifyUsers(io, others, {
+      type: 'comment',
+      title: isReply ? 'New reply to a comment' : `New ${comment.kind} on a document`,
+      message: `${sender.name} ${isReply ? 'replied' : what} on "${document.title}": ${(text || comment.suggestion.replacement || '').slice(0, 100)}`,
+      workspaceId: document.workspaceId,
+      senderId: sender._id,
+      link
+    }, { payload: { documentId: document._id, comment } });
+  }
+};
+
+/**
+ * Broadcast a comment change to everyone in the document
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {String} event - added, updated or deleted
+ * @param {Object} document - Document
+ * @param {Object} data - { comment } or { commentId }
+ */
+exports.broadcastComment = (io, event, document, data) => {
+  if (!io) return;
+  io.to(`document:${document._id}`).emit(`document:comment:${event}`, {
+    documentId: document._id,
+    ...data,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Start a comment thread or a suggestion on a range of the document
+ * @param {Object} io - Socket.IO server
+ * @param {Object} document - Document the sender can open
+ * @param {Object} sender - User document
+ * @param {Object} data - { text, mentions, anchor: { index, length, revision }, kind, replacement }
+ * @returns {Object} Created comment, populated
+ * @throws {AppError}
+ */
+exports.addComment = async (io, document, sender, data) => {
+  const kind = data.kind === 'suggestion' ? 'suggestion' : 'comment';
+  const text = (data.text || '').trim();
+
+  if (kind === 'comment' && !text) {
+    throw new AppError('Comment text is required');
+  }
+  if (kind === 'suggestion') {
+    if (typeof data.replacement !== 'string') {
+      throw new AppError('Suggested text is required');
+    }
+    if (!data.anchor || (!data.anchor.length && !data.replacement)) {
+      throw new AppError('A suggestion has to change something');
+    }
+  }
+
+  let anchor;
+  try {
+    anchor = await anchorRange(document._id.toString(), data.anchor || {});
+  } catch (error) {
+    throw fromSyncError(error);
+  }
+
+  const mentions = await filterMentions(document, data.mentions);
+
+  const comment = await DocumentComment.create({
+    documentId: document._id,
+    workspaceId: document.workspaceId,
+    authorId: sender._id,
+    kind,
+    text,
+    mentions,
+    anchor,
+    suggestion: kind === 'suggestion' ? { replacement: data.replacement } : undefined
+  });
+  await exports.populateComments(comment);
+
+  exports.broadcastComment(io, 'added', document, { comment });
+  await notifyComment(io, document, comment, sender, text, mentions, false);
+
+  return comment;
+};
+
+/**
+ * Reply to a comment thread; replying to a closed thread reopens a comment
+ * @returns {Object} Updated comment, populated
+ * @throws {AppError}
+ */
+exports.addReply = async (io, document, comment, sender, data) => {
+  const text = (data.text || '').trim();
+  if (!text) {
+    throw new AppError('Reply text is required');
+  }
+
+  const mentions = await filterMentions(document, data.mentions);
+
+  comment.replies.push({ authorId: sender._id, text, mentions });
+  if (comment.status === 'resolved') {
+    comment.status = 'open';
+    comment.resolvedBy = null;
+    comment.resolvedAt = null;
+  }
+  await comment.save();
+  await exports.populateComments(comment);
+
+  exports.broadcastComment(io, 'updated', document, { comment });
+  await notifyComment(io, document, comment, sender, text, mentions, true);
+
+  return comment;
+};
+
+/**
+ * Edit the text of a comment (its author only)
+ * @throws {AppError}
+ */
+exports.editComment = async (io, document, comment, userId, text) => {
+  if (!sameId(comment.authorId, userId)) {
+    throw new AppError('Only the author can edit a comment', 403);
+  }
+  if (comment.kind === 'comment' && !(text || '').trim()) {
+    throw new AppError('Comment text is required');
+  }
+
+  comment.text = (text || '').trim();
+  await comment.save();
+  await exports.populateComments(comment);
+
+  exports.broadcastComment(io, 'updated', document, { comment });
+  return comment;
+};
+
+/**
+ * Delete a comment thread (its author or the document owner)
+ * @throws {AppError}
+ */
+exports.deleteComment = async (io, document, comment, userId) => {
+  if (!sameId(comment.authorId, userId) && !sameId(document.createdBy, userId)) {
+    throw new AppError('Only the author or the document owner can delete a comment', 403);
+  }
+
+  await comment.deleteOne();
+  exports.broadcastComment(io, 'deleted', document, { commentId: comment._id });
+};
+
+/**
+ * Resolve or reopen a comment thread. Its author and anyone who can edit
+ * the document may do so.
+ * @throws {AppError}
+ */
+exports.setResolved = async (io, document, comment, userId, resolved) => {
+  if (comment.kind !== 'comment') {
+    throw new AppError('Suggestions are accepted or rejected instead');
+  }
+  if (!sameId(comment.authorId, userId) && !document.canUserEdit(userId)) {
+    throw new AppError('You cannot resolve comments on this document', 403);
+  }
+  if ((comment.status === 'resolved') === resolved) {
+    throw new AppError(resolved ? 'Comment is already resolved' : 'Comment is already open');
+  }
+
+  comment.status = resolved ? 'resolved' : 'open';
+  comment.resolvedBy = resolved ? userId : null;
+  comment.resolvedAt = resolved ? new Date() : null;
+  // Anchors of closed threads stop moving; catch up when reopened
+  if (!resolved) comment.anchor.revision = -1;
+  await comment.save();
+  if (!resolved) await syncCommentAnchors(document._id.toString());
+
+  const updated = await exports.populateComments(await DocumentComment.findById(comment._id));
+  exports.broadcastComment(io, 'updated', document, { comment: updated });
+  return updated;
+};
+
+/**
+ * Accept a suggestion, applying its change to the document, or reject it.
+ * Only the document owner decides; the author may also reject (withdraw) it.
+ * @returns {Object} { comment, operation } - operation is set when the text changed
+ * @throws {AppError}
+ */
+exports.decideSuggestion = async (io, document, comment, user, accept) => {
+  if (comment.kind !== 'suggestion') {
+    throw new AppError('Only suggestions can be accepted or rejected');
+  }
+  if (!comment.isOpen()) {
+    throw new AppError(`Suggestion was already ${comment.status}`, 409);
+  }
+
+  const isOwner = sameId(document.createdBy, user._id);
+  if (accept ? !isOwner : !(isOwner || sameId(comment.authorId, user._id))) {
+    throw new AppError('Only the document owner can accept or reject suggestions', 403);
+  }
+
+  // Claim the suggestion before changing the text, so two concurrent
+  // accepts can't both apply it
+  const decision = {
+    status: accept ? 'accepted' : 'rejected',
+    resolvedBy: user._id,
+    resolvedAt: new Date()
+  };
+  const claimed = await DocumentComment.findOneAndUpdate(
+    { _id: comment._id, status: 'open' },
+    { $set: decision },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError('Suggestion was already decided', 409);
+  }
+
+  let operation = null;
+  if (accept) {
+    try {
+      operation = await applySuggestion(document._id.toString(), comment, user._id);
+    } catch (error) {
+      // The change didn't go in, so the suggestion stays open
+      await DocumentComment.updateOne(
+        { _id: comment._id, status: decision.status },
+        { $set: { status: 'open', resolvedBy: null, resolvedAt: null } }
+      );
+      throw fromSyncError(error);
+    }
+
+    if (io) {
+      io.to(`document:${document._id}`).emit('document:op', {
+        documentId: document._id,
+        revision: operation.revision,
+        ops: operation.ops,
+        opId: operation.opId,
+        userId: user._id,
+        userName: user.name,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  // Keeps the anchor moved onto the replacement text
+  comment.set(decision);
+  await comment.save();
+  await exports.populateComments(comment);
+
+  exports.broadcastComment(io, 'updated', document, { comment });
+
+  if (!sameId(comment.authorId._id, user._id)) {
+    await notifyUsers(io, [comment.authorId._id], {
+      type: 'comment',
+      title: accept ? 'Suggestion accepted' : 'Suggestion rejected',
+      message: `${user.name} ${accept ? 'accepted' : 'rejected'} your suggestion on "${document.title}"`,
+      workspaceId: document.workspaceId,
+      senderId: user._id,
+      link: `/workspace/${document.workspaceId}/document/${document._id}?comment=${comment._id}`
+    }, { payload: { documentId: document._id, comment } });
+  }
+
+  return { comment, operation };
+};
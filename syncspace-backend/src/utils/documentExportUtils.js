@@ -0,0 +1,646 @@
+/**
+ * Document Export Utility Functions
+ * Converts the Quill HTML stored in Document.content to Markdown, HTML,
+ * plain text or DOCX, and names the exported files.
+ */
+
+const { parse } = require('node-html-parser');
+const sizeOf = require('image-size');
+const {
+  Document: DocxDocument,
+  Packer,
+  Paragraph,
+  TextRun,
+  ExternalHyperlink,
+  ImageRun,
+  HeadingLevel,
+  LevelFormat,
+  AlignmentType,
+  BorderStyle
+} = require('docx');
+const Document = require('../models/Document');
+const { flushSnapshot } = require('./documentSyncUtils');
+const { AppError } = require('./helpers');
+
+const EXPORT_FORMATS = {
+  md: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', mimeType: 'text/html; charset=utf-8' },
+  txt: { extension: 'txt', mimeType: 'text/plain; charset=utf-8' },
+  docx: {
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  }
+};
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const DOCX_HEADINGS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const CODE_FONT = 'Courier New';
+const LIST_INDENT = '    ';
+
+// Embedded images wider than this (in pixels) are scaled down in DOCX files
+const DOCX_MAX_IMAGE_WIDTH = 600;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_FETCH_TIMEOUT_MS = 5000;
+const DOCX_IMAGE_TYPES = ['png', 'jpg', 'gif', 'bmp'];
+
+// Remote images are only downloaded from these hosts; others stay links
+const IMAGE_HOSTS = (process.env.DOCUMENT_EXPORT_IMAGE_HOSTS || 'res.cloudinary.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Load a document the user may read, with pending real-time edits written into it
+ * @param {String} documentId - Document ID
+ * @param {String} userId - User ID
+ * @returns {Object} Document
+ * @throws {AppError}
+ */
+exports.getExportableDocument = async (documentId, userId) => {
+  let document = await Document.findById(documentId).select('workspaceId createdBy collaborators isPublic');
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+
+  if (!(await document.canUserView(userId))) {
+    throw new AppError('Access denied to this document', 403);
+  }
+
+  await flushSnapshot(documentId.toString());
+  document = await Document.findById(documentId);
+  return document;
+};
+
+// ==================== HTML PARSING HELPERS ====================
+
+const isElement = (node) => node.nodeType === 1;
+const tagOf = (node) => (isElement(node) ? node.rawTagName.toLowerCase() : '');
+
+// Quill stores list and block indentation as ql-indent-N classes
+const indentOf = (node) => {
+  const match = /ql-indent-(\d+)/.exec(node.getAttribute('class') || '');
+  return match ? Number(match[1]) : 0;
+};
+
+const alignmentOf = (node) => {
+  const match = /ql-align-(center|right|justify)/.exec(node.getAttribute('class') || '');
+  return match ? match[1] : null;
+};
+
+// Code block text without highlighting markup; <br> line breaks become newlines
+const codeText = (node) => parse(node.innerHTML, { blockTextElements: {} }).text.replace(/\n$/, '');
+
+/**
+ * Flatten the lists of a document into items with their depth, so nested
+ * lists and Quill's flat ql-indent lists are handled the same way
+ * @param {Object} list - <ol> or <ul> element
+ * @param {Number} depth - Depth of the list itself
+ * @returns {Array} [{ node, ordered, depth }] where node is the <li>
+ */
+const flattenList = (list, depth = 0) => {
+  const ordered = tagOf(list) === 'ol';
+  const items = [];
+
+  list.childNodes.filter(node => tagOf(node) === 'li').forEach(item => {
+    // Quill 1 marks bullets inside <ol> with data-list="bullet"
+    const dataList = item.getAttribute('data-list');
+    items.push({
+      node: item,
+      ordered: dataList ? dataList === 'ordered' : ordered,
+      depth: depth + indentOf(item)
+    });
+
+    item.childNodes
+      .filter(node => ['ol', 'ul'].includes(tagOf(node)))
+      .forEach(nested => items.push(...flattenList(nested, depth + indentOf(item) + 1)));
+  });
+
+  return items;
+};
+
+// Inline children of a list item, without its nested lists
+const itemInlineNodes = (item) => item.childNodes.filter(node => !['ol', 'ul'].includes(tagOf(node)));
+
+// Number ordered items per level, restarting when a shallower item interrupts
+const numberListItems = (items) => {
+  const counters = [];
+  return items.map(item => {
+    counters.length = item.depth + 1;
+    counters[item.depth] = (counters[item.depth] || 0) + 1;
+    return { ...item, number: counters[item.depth] };
+  });
+};
+
+// ==================== MARKDOWN & PLAIN TEXT ====================
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>])/g, '\\$1');
+
+// Keep surrounding spaces outside of markers: "** bold **" is not bold
+const wrap = (marker, content, closing = marker) => {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(content);
+  if (!match[2]) return content;
+  return `${match[1]}${marker}${match[2]}${closing}${match[3]}`;
+};
+
+// Longest run of backticks decides the fence length
+const codeFence = (text, minimum) => {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(minimum, longest + 1));
+};
+
+// Parentheses and spaces would end a Markdown link target early
+const markdownUrl = (url) => url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+
+const renderInline = (nodes, markdown) => nodes.map(node => {
+  if (!isElement(node)) {
+    const text = node.text.replace(/\n/g, ' ');
+    return markdown ? escapeMarkdown(text) : text;
+  }
+
+  const inner = () => renderInline(node.childNodes, markdown);
+
+  switch (tagOf(node)) {
+    case 'br':
+      return markdown ? '  \n' : '\n';
+    case 'strong':
+    case 'b':
+      return markdown ? wrap('**', inner()) : inner();
+    case 'em':
+    case 'i':
+      return markdown ? wrap('*', inner()) : inner();
+    case 's':
+    case 'strike':
+    case 'del':
+      return markdown ? wrap('~~', inner()) : inner();
+    case 'u':
+      return markdown ? wrap('<u>', inner(), '</u>') : inner();
+    case 'code': {
+      const text = node.text;
+      if (!markdown) return text;
+      const fence = codeFence(text, 1);
+      return `${fence}${text.startsWith('`') ? ' ' : ''}${text}${text.endsWith('`') ? ' ' : ''}${fence}`;
+    }
+    case 'a': {
+      const href = node.getAttribute('href') || '';
+      const label = inner();
+      if (!href) return label;
+      if (markdown) return `[${label}](${markdownUrl(href)})`;
+      return label === href ? href : `${label} (${href})`;
+    }
+    case 'img': {
+      const src = node.getAttribute('src') || '';
+      const alt = node.getAttribute('alt') || '';
+      if (markdown) return `![${escapeMarkdown(alt)}](${markdownUrl(src)})`;
+      return src.startsWith('data:') ? `[image${alt ? `: ${alt}` : ''}]` : `[image: ${alt || src}]`;
+    }
+    default:
+      return inner();
+  }
+}).join('');
+
+const prefixLines = (text, prefix) => text.split('\n').map(line => `${prefix}${line}`).join('\n');
+
+/**
+ * Render block-level nodes as Markdown or plain text
+ * @param {Array} nodes - Parsed nodes
+ * @param {Boolean} markdown - Markdown when true, plain text otherwise
+ * @returns {Array} Rendered blocks, to be separated by blank lines
+ */
+const renderBlocks = (nodes, markdown) => {
+  const blocks = [];
+  let inline = [];
+
+  // Stray inline nodes between blocks form a paragraph of their own
+  const flushInline = () => {
+    const text = renderInline(inline, markdown).trim();
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  nodes.forEach(node => {
+    const tag = tagOf(node);
+
+    if (!isElement(node) || !['p', 'div', 'blockquote', 'pre', 'ol', 'ul', ...HEADING_TAGS].includes(tag)) {
+      inline.push(node);
+      return;
+    }
+    flushInline();
+
+    if (HEADING_TAGS.includes(tag)) {
+      const text = renderInline(node.childNodes, markdown).replace(/\s*\n\s*/g, ' ').trim();
+      if (text) blocks.push(markdown ? `${'#'.repeat(Number(tag[1]))} ${text}` : text);
+    } else if (tag === 'p') {
+      const text = renderInline(node.childNodes, markdown).trim();
+      if (text) blocks.push(prefixLines(text, LIST_INDENT.repeat(indentOf(node))));
+    } else if (tag === 'div') {
+      blocks.push(...renderBlocks(node.childNodes, markdown));
+    } else if (tag === 'blockquote') {
+      // Quill quotes hold inline content only, one line per <blockquote>
+      const children = renderInline(node.childNodes, markdown).trim();
+      if (children) blocks.push(prefixLines(children, '> ').replace(/^> $/gm, '>'));
+    } else if (tag === 'pre') {
+      const text = codeText(node);
+      if (markdown) {
+        const fence = codeFence(text, 3);
+        blocks.push(`${fence}\n${text}\n${fence}`);
+      } else {
+        blocks.push(text);
+      }
+    } else {
+      const lines = numberListItems(flattenList(node)).map(item => {
+        const marker = item.ordered ? `${item.number}. ` : (markdown ? '- ' : '• ');
+        const text = renderInline(itemInlineNodes(item.node), markdown).trim();
+        return `${LIST_INDENT.repeat(item.depth)}${marker}${text.replace(/\n/g, `\n${LIST_INDENT.repeat(item.depth)}  `)}`;
+      });
+      if (lines.length) blocks.push(lines.join('\n'));
+    }
+  });
+
+  flushInline();
+  return blocks;
+};
+
+/**
+ * Convert Quill HTML to Markdown
+ * @param {String} html - Document HTML
+ * @returns {String} Markdown
+ */
+exports.htmlToMarkdown = (html = '') => {
+  const blocks = renderBlocks(parse(html).childNodes, true);
+  return blocks.length ? `${blocks.join('\n\n')}\n` : '';
+};
+
+/**
+ * Convert Quill HTML to plain text
+ * @param {String} html - Document HTML
+ * @returns {String} Plain text
+ */
+exports.htmlToText = (html = '') => {
+  const blocks = renderBlocks(parse(html).childNodes, false);
+  return blocks.length ? `${blocks.join('\n\n')}\n` : '';
+};
+
+// ==================== HTML ====================
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Enough of Quill's stylesheet for indentation, alignment and code blocks
+const HTML_STYLES = [
+  'body { font-family: Helvetica, Arial, sans-serif; line-height: 1.5; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }',
+  'pre { background: #f5f5f5; padding: 0.75rem 1rem; white-space: pre-wrap; }',
+  'blockquote { border-left: 4px solid #ccc; margin: 0; padding-left: 1rem; }',
+  'img { max-width: 100%; }',
+  '.ql-align-center { text-align: center; }',
+  '.ql-align-right { text-align: right; }',
+  '.ql-align-justify { text-align: justify; }',
+  ...Array.from({ length: 8 }, (_, i) => `.ql-indent-${i + 1} { padding-left: ${(i + 1) * 3}em; }`)
+].join('\n    ');
+
+/**
+ * Wrap document HTML in a standalone page
+ * @param {String} title - Document title
+ * @param {String} html - Document HTML
+ * @returns {String} HTML page
+ */
+exports.htmlToPage = (title, html = '') => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    ${HTML_STYLES}
+  </style>
+</head>
+<body>
+${html}
+</body>
+</html>
+`;
+
+// ==================== DOCX ====================
+
+const isAllowedImageHost = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ['http:', 'https:'].includes(protocol) && IMAGE_HOSTS.includes(hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Load the bytes of an <img> source: data URIs are decoded, remote images
+ * are downloaded from trusted hosts only
+ * @param {String} src - Image source
+ * @returns {Buffer|null} Image data, or null when unavailable
+ */
+const loadImage = async (src) => {
+  const dataUri = /^data:image\/[\w.+-]+;base64,(.*)$/i.exec(src);
+  if (dataUri) {
+    const data = Buffer.from(dataUri[1], 'base64');
+    return data.length <= MAX_IMAGE_BYTES ? data : null;
+  }
+
+  if (!isAllowedImageHost(src)) return null;
+
+  try {
+    const response = await fetch(src, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) return null;
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) return null;
+
+    const data = Buffer.from(await response.arrayBuffer());
+    return data.length <= MAX_IMAGE_BYTES ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildImageRun = async (src) => {
+  const data = await loadImage(src);
+  if (!data) return null;
+
+  let dimensions;
+  try {
+    dimensions = sizeOf(data);
+  } catch (error) {
+    return null;
+  }
+  if (!DOCX_IMAGE_TYPES.includes(dimensions.type) || !dimensions.width || !dimensions.height) return null;
+
+  const scale = Math.min(1, DOCX_MAX_IMAGE_WIDTH / dimensions.width);
+  return new ImageRun({
+    type: dimensions.type,
+    data,
+    transformation: {
+      width: Math.round(dimensions.width * scale),
+      height: Math.round(dimensions.height * scale)
+    }
+  });
+};
+
+/**
+ * Convert inline nodes to docx runs, carrying formatting down the tree
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} format - Active TextRun options (bold, italics, ...)
+ * @returns {Array} TextRun, ExternalHyperlink and ImageRun children
+ */
+const buildRuns = async (nodes, format = {}) => {
+  const runs = [];
+
+  for (const node of nodes) {
+    if (!isElement(node)) {
+      const text = node.text.replace(/\n/g, ' ');
+      if (text) runs.push(new TextRun({ ...format, text }));
+      continue;
+    }
+
+    const tag = tagOf(node);
+    const children = (extra) => buildRuns(node.childNodes, { ...format, ...extra });
+
+    if (tag === 'br') {
+      runs.push(new TextRun({ ...format, break: 1 }));
+    } else if (tag === 'strong' || tag === 'b') {
+      runs.push(...await children({ bold: true }));
+    } else if (tag === 'em' || tag === 'i') {
+      runs.push(...await children({ italics: true }));
+    } else if (tag === 'u') {
+      runs.push(...await children({ underline: {} }));
+    } else if (['s', 'strike', 'del'].includes(tag)) {
+      runs.push(...await children({ strike: true }));
+    } else if (tag === 'code') {
+      runs.push(...await children({ font: CODE_FONT }));
+    } else if (tag === 'a') {
+      const href = node.getAttribute('href');
+      const linkRuns = await children(href ? { style: 'Hyperlink' } : {});
+      runs.push(...(href ? [new ExternalHyperlink({ link: href, children: linkRuns })] : linkRuns));
+    } else if (tag === 'img') {
+      const src = node.getAttribute('src') || '';
+      const image = await buildImageRun(src);
+      if (image) {
+        runs.push(image);
+      } else if (/^https?:/i.test(src)) {
+        // Images that cannot be embedded stay reachable as a link
+        runs.push(new ExternalHyperlink({
+          link: src,
+          children: [new TextRun({ ...format, text: node.getAttribute('alt') || src, style: 'Hyperlink' })]
+        }));
+      }
+    } else {
+      runs.push(...await children({}));
+    }
+  }
+
+  return runs;
+};
+
+const DOCX_ALIGNMENTS = {
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+  justify: AlignmentType.JUSTIFIED
+};
+
+// Twentieths of a point per indentation step, as in Word's default list indent
+const INDENT_STEP = 720;
+
+const buildParagraphs = async (nodes, state) => {
+  const paragraphs = [];
+  let inline = [];
+
+  const flushInline = async () => {
+    if (inline.some(node => isElement(node) || node.text.trim())) {
+      paragraphs.push(new Paragraph({ children: await buildRuns(inline) }));
+    }
+    inline = [];
+  };
+
+  for (const node of nodes) {
+    const tag = tagOf(node);
+
+    if (!isElement(node) || !['p', 'div', 'blockquote', 'pre', 'ol', 'ul', ...HEADING_TAGS].includes(tag)) {
+      inline.push(node);
+      continue;
+    }
+    await flushInline();
+
+    const alignment = DOCX_ALIGNMENTS[alignmentOf(node)];
+
+    if (HEADING_TAGS.includes(tag)) {
+      paragraphs.push(new Paragraph({
+        heading: DOCX_HEADINGS[Number(tag[1]) - 1],
+        alignment,
+        children: await buildRuns(node.childNodes)
+      }));
+    } else if (tag === 'p') {
+      const indent = indentOf(node);
+      paragraphs.push(new Paragraph({
+        alignment,
+        indent: indent ? { left: indent * INDENT_STEP } : undefined,
+        children: await buildRuns(node.childNodes)
+      }));
+    } else if (tag === 'div') {
+      paragraphs.push(...await buildParagraphs(node.childNodes, state));
+    } else if (tag === 'blockquote') {
+      paragraphs.push(new Paragraph({
+        indent: { left: INDENT_STEP / 2 },
+        border: { left: { style: BorderStyle.SINGLE, size: 12, color: 'CCCCCC', space: 8 } },
+        children: await buildRuns(node.childNodes, { italics: true })
+      }));
+    } else if (tag === 'pre') {
+      codeText(node).split('\n').forEach(line => {
+        paragraphs.push(new Paragraph({
+          shading: { fill: 'F5F5F5' },
+          spacing: { after: 0 },
+          children: [new TextRun({ text: line, font: CODE_FONT })]
+        }));
+      });
+    } else {
+      // Each ordered list restarts its numbering
+      state.listInstance += 1;
+      for (const item of flattenList(node)) {
+        const level = Math.min(item.depth, 8);
+        paragraphs.push(new Paragraph({
+          alignment: DOCX_ALIGNMENTS[alignmentOf(item.node)],
+          ...(item.ordered
+            ? { numbering: { reference: 'ordered-list', level, instance: state.listInstance } }
+            : { bullet: { level } }),
+          children: await buildRuns(itemInlineNodes(item.node))
+        }));
+      }
+    }
+  }
+
+  await flushInline();
+  return paragraphs;
+};
+
+const ORDERED_LEVEL_FORMATS = [LevelFormat.DECIMAL, LevelFormat.LOWER_LETTER, LevelFormat.LOWER_ROMAN];
+
+/**
+ * Convert Quill HTML to a DOCX file
+ * @param {String} title - Document title
+ * @param {String} html - Document HTML
+ * @returns {Buffer} DOCX file
+ */
+exports.htmlToDocx = async (title, html = '') => {
+  const children = await buildParagraphs(parse(html).childNodes, { listInstance: 0 });
+
+  const docx = new DocxDocument({
+    title,
+    numbering: {
+      config: [{
+        reference: 'ordered-list',
+        levels: Array.from({ length: 9 }, (_, level) => ({
+          level,
+          format: ORDERED_LEVEL_FORMATS[level % ORDERED_LEVEL_FORMATS.length],
+          text: `%${level + 1}.`,
+          alignment: AlignmentType.START,
+          style: { paragraph: { indent: { left: INDENT_STEP * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(docx);
+};
+
+// ==================== EXPORT ====================
+
+// Title without characters that are invalid in file names on any OS
+const sanitizeFileName = (name) => (name || '')
+  .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^\.+/, '')
+  .slice(0, 100)
+  .trim();
+
+/**
+ * File name for an export, safe for every OS
+ * @param {String} title - Document title
+ * @param {String} extension - File extension
+ * @returns {String} File name
+ */
+exports.getExportFileName = (title, extension) => `${sanitizeFileName(title) || 'Untitled document'}.${extension}`;
+
+/**
+ * Export a document in one of the EXPORT_FORMATS
+ * @param {Object} document - Document with up-to-date content
+ * @param {String} format - md, html, txt or docx
+ * @returns {Object} { data, fileName, mimeType }
+ * @throws {AppError} On unknown formats
+ */
+exports.exportDocument = async (document, format) => {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new AppError(`Unsupported export format: ${format}`);
+  }
+
+  const html = document.content || '';
+  let data;
+  switch (format) {
+    case 'md':
+      data = exports.htmlToMarkdown(html);
+      break;
+    case 'html':
+      data = exports.htmlToPage(document.title, html);
+      break;
+    case 'txt':
+      data = exports.htmlToText(html);
+      break;
+    default:
+      data = await exports.htmlToDocx(document.title, html);
+  }
+
+  return {
+    data,
+    fileName: exports.getExportFileName(document.title, target.extension),
+    mimeType: target.mimeType
+  };
+};
+
+/**
+ * Export several documents as zip entries. Documents of a project go into a
+ * folder named after it; clashing names get a " (2)" suffix.
+ * @param {Array} documents - Documents with up-to-date content
+ * @param {String} format - md, html, txt or docx
+ * @param {Map} projectNames - projectId string -> project name, for folders
+ * @returns {Array} [{ name, data }]
+ */
+exports.exportDocumentEntries = async (documents, format, projectNames = new Map()) => {
+  const usedNames = new Set();
+  const entries = [];
+
+  for (const document of documents) {
+    const { data, fileName } = await exports.exportDocument(document, format);
+
+    const projectName = document.projectId && projectNames.get(document.projectId.toString());
+    const folder = projectName && sanitizeFileName(projectName) ? `${sanitizeFileName(projectName)}/` : '';
+    const extension = `.${EXPORT_FORMATS[format].extension}`;
+    const base = fileName.slice(0, -extension.length);
+
+    let name = `${folder}${fileName}`;
+    for (let copy = 2; usedNames.has(name.toLowerCase()); copy++) {
+      name = `${folder}${base} (${copy})${extension}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+exports.EXPORT_FORMATS = EXPORT_FORMATS;
@@ -0,0 +1,280 @@
+/**
+ * Document Import Utility Functions
+ * Converts uploaded Markdown, HTML, plain text and DOCX files into the
+ * editor's Quill Delta. Only formats the editor supports survive, so the
+ * conversion doubles as sanitization.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const Delta = require('quill-delta');
+const MarkdownIt = require('markdown-it');
+const mammoth = require('mammoth');
+const { parse } = require('node-html-parser');
+const { deltaToHtml } = require('./documentSyncUtils');
+const { AppError } = require('./helpers');
+
+const IMPORT_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text',
+  '.docx': 'docx'
+};
+
+// Keeps an imported document (images included) well below MongoDB's 16MB limit
+const MAX_IMPORT_SIZE = 8 * 1024 * 1024;
+
+const TITLE_MIN_LENGTH = 3;
+const TITLE_MAX_LENGTH = 200;
+const TAG_MAX_LENGTH = 30;
+const MAX_INDENT = 8;
+
+const markdown = new MarkdownIt({ html: true, linkify: true });
+
+// Elements whose content never reaches the document
+const DROPPED_TAGS = ['script', 'style', 'head', 'title', 'template', 'noscript', 'iframe', 'object', 'svg', 'math'];
+const INLINE_FORMATS = {
+  strong: { bold: true },
+  b: { bold: true },
+  em: { italic: true },
+  i: { italic: true },
+  u: { underline: true },
+  ins: { underline: true },
+  s: { strike: true },
+  strike: { strike: true },
+  del: { strike: true },
+  code: { code: true },
+  kbd: { code: true }
+};
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const SAFE_LINK = /^(https?:|mailto:|#|\/(?!\/))/i;
+const SAFE_IMAGE = /^(https?:\/\/|data:image\/(png|jpe?g|gif|webp);base64,)/i;
+
+// ==================== HTML TO DELTA ====================
+
+const isElement = (node) => node.nodeType === 1;
+const tagOf = (node) => (isElement(node) ? node.rawTagName.toLowerCase() : '');
+
+const indentOf = (node) => {
+  const match = /ql-indent-(\d+)/.exec(node.getAttribute('class') || '');
+  return match ? Number(match[1]) : 0;
+};
+
+/**
+ * Collects inline content line by line; a line ends with a newline that
+ * carries the block formats (header, list, blockquote, code-block)
+ */
+class DeltaBuilder {
+  constructor() {
+    this.delta = new Delta();
+    this.line = [];
+  }
+
+  text(text, attributes) {
+    if (text) this.line.push({ insert: text, attributes });
+  }
+
+  embed(embed, attributes) {
+    this.line.push({ insert: embed, attributes });
+  }
+
+  // Finish the current line; empty lines are dropped unless forced
+  endLine(blockAttributes = {}, force = false) {
+    const line = this.line;
+    this.line = [];
+
+    // Collapsed HTML whitespace at the edges of a line is not content
+    if (!blockAttributes['code-block']) {
+      while (line.length && typeof line[0].insert === 'string' && !line[0].insert.trim()) line.shift();
+      while (line.length && typeof line[line.length - 1].insert === 'string' && !line[line.length - 1].insert.trim()) line.pop();
+      if (line.length && typeof line[0].insert === 'string') {
+        line[0] = { ...line[0], insert: line[0].insert.replace(/^\s+/, '') };
+      }
+      const last = line.length - 1;
+      if (last >= 0 && typeof line[last].insert === 'string') {
+        line[last] = { ...line[last], insert: line[last].insert.replace(/\s+$/, '') };
+      }
+    }
+
+    if (!line.length && !force) return;
+
+    line.forEach(op => this.delta.insert(op.insert, op.attributes));
+    this.delta.insert('\n', Object.keys(blockAttributes).length ? blockAttributes : undefined);
+  }
+
+  toDelta() {
+    this.endLine();
+    return this.delta.length() ? this.delta : new Delta().insert('\n');
+  }
+}
+
+const walkList = (builder, list, context) => {
+  const ordered = tagOf(list) === 'ol';
+
+  list.childNodes.filter(node => tagOf(node) === 'li').forEach(item => {
+    const dataList = item.getAttribute('data-list');
+    const depth = Math.min(context.listDepth + indentOf(item), MAX_INDENT);
+    const block = { list: (dataList ? dataList === 'ordered' : ordered) ? 'ordered' : 'bullet' };
+    if (depth) block.indent = depth;
+
+    // Nested lists inside the item continue one level deeper
+    walk(builder, item.childNodes, { ...context, block, listDepth: depth + 1 });
+    builder.endLine(block);
+  });
+};
+
+/**
+ * Walk parsed HTML and add the content the editor supports to the builder
+ * @param {DeltaBuilder} builder - Delta being built
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} context - { marks, block, listDepth }
+ */
+const walk = (builder, nodes, context) => {
+  nodes.forEach(node => {
+    if (node.nodeType === 3) {
+      builder.text(node.text.replace(/\s+/g, ' '), context.marks);
+      return;
+    }
+    if (!isElement(node)) return;
+
+    const tag = tagOf(node);
+    if (DROPPED_TAGS.includes(tag)) return;
+
+    if (INLINE_FORMATS[tag]) {
+      walk(builder, node.childNodes, { ...context, marks: { ...context.marks, ...INLINE_FORMATS[tag] } });
+    } else if (tag === 'a') {
+      const href = (node.getAttribute('href') || '').trim();
+      const marks = SAFE_LINK.test(href) ? { ...context.marks, link: href } : context.marks;
+      walk(builder, node.childNodes, { ...context, marks });
+    } else if (tag === 'img') {
+      const src = (node.getAttribute('src') || '').trim();
+      if (SAFE_IMAGE.test(src)) builder.embed({ image: src });
+    } else if (tag === 'br') {
+      builder.endLine(context.block, true);
+    } else if (HEADING_TAGS.includes(tag)) {
+      builder.endLine(context.block);
+      const block = { header: Number(tag[1]) };
+      walk(builder, node.childNodes, { ...context, block });
+      builder.endLine(block);
+    } else if (tag === 'blockquote') {
+      builder.endLine(context.block);
+      walk(builder, node.childNodes, { ...context, block: { blockquote: true } });
+      builder.endLine({ blockquote: true });
+    } else if (tag === 'pre') {
+      builder.endLine(context.block);
+      // Highlighting spans and <code> wrappers are dropped, <br> becomes a newline
+      const code = parse(node.innerHTML, { blockTextElements: {} }).text.replace(/\n$/, '');
+      code.split('\n').forEach(line => {
+        builder.text(line);
+        builder.endLine({ 'code-block': true }, true);
+      });
+    } else if (tag === 'ol' || tag === 'ul') {
+      builder.endLine(context.block);
+      walkList(builder, node, context);
+    } else if (['p', 'div', 'li', 'section', 'article', 'main', 'header', 'footer', 'aside', 'figure', 'figcaption',
+      'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'dl', 'dt', 'dd', 'hr', 'body', 'html'].includes(tag)) {
+      // Other block containers (tables included) become plain paragraphs
+      builder.endLine(context.block);
+      walk(builder, node.childNodes, context);
+      builder.endLine(context.block);
+    } else {
+      walk(builder, node.childNodes, context);
+    }
+  });
+};
+
+/**
+ * Convert HTML to a Delta of the formats the editor supports
+ * @param {String} html - HTML from any source
+ * @returns {Delta} Delta
+ */
+exports.htmlToDelta = (html = '') => {
+  const builder = new DeltaBuilder();
+  walk(builder, parse(html, { comment: false }).childNodes, { marks: undefined, block: {}, listDepth: 0 });
+  return builder.toDelta();
+};
+
+/**
+ * Convert plain text to a Delta, one paragraph per line
+ * @param {String} text - Plain text
+ * @returns {Delta} Delta
+ */
+exports.textToDelta = (text = '') => {
+  const delta = new Delta().insert(text.replace(/\r\n?/g, '\n').replace(/\n*$/, '\n'));
+  return delta.length() > 1 ? delta : new Delta().insert('\n');
+};
+
+// ==================== FILES ====================
+
+/**
+ * Import format of an uploaded file, from its extension
+ * @param {String} fileName - Original file name
+ * @returns {String|null} markdown, html, text or docx
+ */
+exports.getImportFormat = (fileName = '') => IMPORT_FORMATS[path.extname(fileName).toLowerCase()] || null;
+
+/**
+ * Document title from a file name: the name without folders and extension
+ * @param {String} fileName - Original file name or relative path
+ * @returns {String} Title within the Document length limits
+ */
+exports.getImportTitle = (fileName = '') => {
+  const base = path.basename(fileName.replace(/\\/g, '/'), path.extname(fileName))
+    .replace(/[_\s]+/g, ' ')
+    .trim()
+    .slice(0, TITLE_MAX_LENGTH);
+
+  if (!base) return 'Imported document';
+  return base.length >= TITLE_MIN_LENGTH ? base : `Imported ${base}`;
+};
+
+/**
+ * Tags for an imported file: one per folder in its relative path
+ * @param {String} relativePath - e.g. "Notes/Design/spec.md"
+ * @returns {Array} e.g. ["Notes", "Design"]
+ */
+exports.getFolderTags = (relativePath = '') => relativePath
+  .replace(/\\/g, '/')
+  .split('/')
+  .slice(0, -1)
+  .map(folder => folder.trim().slice(0, TAG_MAX_LENGTH).trim())
+  .filter(folder => folder && folder !== '.' && folder !== '..');
+
+/**
+ * Convert an uploaded file to the editor's Delta and HTML
+ * @param {Object} file - Multer file ({ path, originalname })
+ * @param {String} fileName - Name used to pick the format, defaults to originalname
+ * @returns {Object} { delta, content }
+ * @throws {AppError} On unsupported, empty or oversized files
+ */
+exports.convertFile = async (file, fileName = file.originalname) => {
+  const format = exports.getImportFormat(fileName);
+  if (!format) {
+    throw new AppError('Only Markdown, HTML, text and DOCX files can be imported');
+  }
+
+  let delta;
+  try {
+    if (format === 'docx') {
+      // Images are inlined as data URIs
+      const { value } = await mammoth.convertToHtml({ path: file.path });
+      delta = exports.htmlToDelta(value);
+    } else {
+      const source = (await fs.readFile(file.path, 'utf8')).replace(/^\uFEFF/, '');
+      if (format === 'markdown') delta = exports.htmlToDelta(markdown.render(source));
+      else if (format === 'html') delta = exports.htmlToDelta(source);
+      else delta = exports.textToDelta(source);
+    }
+  } catch (error) {
+    throw new AppError(`Could not read ${path.basename(fileName)}`);
+  }
+
+  if (JSON.stringify(delta.ops).length > MAX_IMPORT_SIZE) {
+    throw new AppError('The imported document is too large', 413);
+  }
+
+  return { delta: delta.ops, content: deltaToHtml(delta.ops) };
+};
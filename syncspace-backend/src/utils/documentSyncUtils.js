@@ -0,0 +1,707 @@
+/**
+ * Document Sync Utility Functions
+ * Operational transform engine for real-time document editing.
+ * Clients submit Quill deltas against a known revision; the server
+ * transforms them over concurrent operations, appends them to the
+ * operation log and periodically snapshots the result into the Document.
+ */
+
+const Delta = require('quill-delta');
+const { QuillDeltaToHtmlConverter } = require('quill-delta-to-html');
+const Document = require('../models/Document');
+const DocumentOperation = require('../models/DocumentOperation');
+const DocumentComment = require('../models/DocumentComment');
+const LinkReference = require('../models/LinkReference');
+const { recordVersion, captureAutoVersion, getVersionContent, pruneVersions } = require('./documentVersionUtils');
+const { AppError } = require('./helpers');
+
+// Snapshot after this many operations, or after this much idle time
+const SNAPSHOT_EVERY_OPS = 50;
+const SNAPSHOT_IDLE_MS = 5000;
+
+// Operations older than this many revisions behind the snapshot are pruned
+const OP_LOG_RETENTION = 1000;
+
+// Stands in for embeds (images) so text offsets match Delta offsets
+const EMBED_CHAR = '\uFFFC';
+
+// In-memory document states and per-document work queues (single node)
+const documentStates = new Map();
+const documentQueues = new Map();
+
+/**
+ * Error raised when a client must reload the document from a snapshot
+ */
+class DocumentSyncError extends AppError {
+  constructor(message, code = 'resync') {
+    super(message, code === 'not_found' ? 404 : 409);
+    this.name = 'DocumentSyncError';
+    this.code = code;
+  }
+}
+
+/**
+ * Run a task after every earlier task for the same document has finished
+ * @param {String} documentId - Document ID
+ * @param {Function} task - Async task
+ * @returns {Promise} Task result
+ */
+const enqueue = (documentId, task) => {
+  const previous = documentQueues.get(documentId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  documentQueues.set(documentId, next);
+
+  next.finally(() => {
+    if (documentQueues.get(documentId) === next) {
+      documentQueues.delete(documentId);
+    }
+  }).catch(() => {});
+
+  return next;
+};
+
+/**
+ * Length of the document a delta expects to be applied to
+ * @param {Delta} delta - Change delta
+ * @returns {Number} Base length
+ */
+const baseLength = (delta) => {
+  return delta.ops.reduce((length, op) => {
+    if (typeof op.retain === 'number') return length + op.retain;
+    if (typeof op.delete === 'number') return length + op.delete;
+    return length;
+  }, 0);
+};
+
+/**
+ * Convert Delta ops to HTML
+ * @param {Array} ops - Delta ops
+ * @returns {String} HTML
+ */
+const deltaToHtml = (ops) => {
+  return new QuillDeltaToHtmlConverter(ops, {}).convert();
+};
+
+/**
+ * Plain text of a delta, one character per Delta position
+ * @param {Delta} delta - Document delta
+ * @returns {String} Text
+ */
+const deltaText = (delta) => {
+  return delta.ops.map(op => (typeof op.insert === 'string' ? op.insert : EMBED_CHAR)).join('');
+};
+
+/**
+ * Find the occurrence of a quote closest to where it used to be
+ * @returns {Number} Index, or -1 when the quote is gone
+ */
+const locateQuote = (text, quote, near) => {
+  if (!quote) return -1;
+
+  let best = -1;
+  for (let at = text.indexOf(quote); at !== -1; at = text.indexOf(quote, at + 1)) {
+    if (best === -1 || Math.abs(at - near) < Math.abs(best - near)) best = at;
+  }
+  return best;
+};
+
+/**
+ * Bring comment anchors up to the current revision: ranges are transformed
+ * through the logged operations, or found again by their quote when the log
+ * does not reach back far enough (e.g. after the content was replaced).
+ * Must run inside the queue, with state.delta set.
+ * @param {String} documentId - Document ID
+ * @param {Object} state - Live document state
+ * @param {Array} comments - Comments to rebase; defaults to every open comment that is behind
+ * @returns {Array} Comments that changed (already saved)
+ */
+const rebaseAnchors = async (documentId, state, comments) => {
+  const stale = (comments || await DocumentComment.find({
+    documentId,
+    status: 'open',
+    'anchor.revision': { $lt: state.revision }
+  })).filter(comment => comment.anchor.revision < state.revision);
+
+  if (!stale.length) return [];
+
+  const oldest = Math.max(0, Math.min(...stale.map(comment => comment.anchor.revision)));
+  const operations = await DocumentOperation.find({ documentId, revision: { $gt: oldest } })
+    .sort({ revision: 1 })
+    .select('revision ops');
+  const firstLogged = operations.length ? operations[0].revision : state.revision + 1;
+  const text = deltaText(state.delta);
+
+  stale.forEach(comment => {
+    const { anchor } = comment;
+    const wasEmpty = anchor.length === 0;
+
+    if (anchor.revision >= 0 && anchor.revision + 1 >= firstLogged) {
+      // Text typed at either edge stays outside the range
+      let start = anchor.index;
+      let end = anchor.index + anchor.length;
+      operations
+        .filter(op => op.revision > anchor.revision)
+        .forEach(op => {
+          const delta = new Delta(op.ops);
+          start = delta.transformPosition(start);
+          end = delta.transformPosition(end, true);
+        });
+      anchor.index = start;
+      anchor.length = Math.max(0, end - start);
+      if (anchor.length === 0 && !wasEmpty) anchor.detached = true;
+    } else {
+      const at = locateQuote(text, anchor.quote, anchor.index);
+      if (at === -1) {
+        anchor.detached = true;
+      } else {
+        anchor.index = at;
+        anchor.length = anchor.quote.length;
+        anchor.detached = false;
+      }
+    }
+
+    if (!anchor.detached) {
+      anchor.quote = text.slice(anchor.index, anchor.index + anchor.length);
+    }
+    anchor.revision = state.revision;
+  });
+
+  await DocumentComment.bulkWrite(stale.map(comment => ({
+    updateOne: {
+      filter: { _id: comment._id },
+      update: { $set: { anchor: comment.anchor.toObject ? comment.anchor.toObject() : comment.anchor } }
+    }
+  })));
+
+  return stale;
+};
+
+/**
+ * Load (or reuse) the live state of a document. Must run inside the queue.
+ */
+const loadState = async (documentId) => {
+  if (documentStates.has(documentId)) {
+    return documentStates.get(documentId);
+  }
+
+  const document = await Document.findById(documentId).select('content delta revision lastEditedBy workspaceId');
+  if (!document) {
+    throw new DocumentSyncError('Document not found', 'not_found');
+  }
+
+  let delta = null;
+  if (document.delta) {
+    delta = new Delta(document.delta);
+  } else if (!document.content) {
+    // Empty documents start from Quill's empty state
+    delta = new Delta().insert('\n');
+  }
+
+  let revision = document.revision || 0;
+
+  // Replay operations that were logged after the last snapshot
+  if (delta) {
+    const pending = await DocumentOperation.find({ documentId, revision: { $gt: revision } })
+      .sort({ revision: 1 });
+    pending.forEach(op => {
+      delta = delta.compose(new Delta(op.ops));
+      revision = op.revision;
+    });
+  }
+
+  const state = {
+    delta,
+    revision,
+    snapshotRevision: document.revision || 0,
+    lastEditedBy: document.lastEditedBy,
+    workspaceId: document.workspaceId,
+    timer: null
+  };
+
+  documentStates.set(documentId, state);
+  return state;
+};
+
+/**
+ * Write the current state into Document.content/delta. Must run inside the queue.
+ */
+const writeSnapshot = async (documentId, state) => {
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  if (!state.delta || state.revision === state.snapshotRevision) return;
+
+  const revision = state.revision;
+  const content = deltaToHtml(state.delta.ops);
+  await Document.updateOne(
+    { _id: documentId },
+    {
+      $set: {
+        content,
+        delta: state.delta.ops,
+        revision,
+        lastEditedBy: state.lastEditedBy
+      }
+    }
+  );
+  state.snapshotRevision = revision;
+
+  await captureAutoVersion(documentId, state.delta, { userId: state.lastEditedBy, revision });
+
+  try {
+    await LinkReference.indexSource({ sourceType: 'document', sourceId: documentId, workspaceId: state.workspaceId }, [{ text: content }]);
+  } catch (error) {
+    console.error(`Error indexing links of document ${documentId}:`, error);
+  }
+
+  // Anchors must move past operations before those are pruned
+  await rebaseAnchors(documentId, state);
+
+  await DocumentOperation.deleteMany({
+    documentId,
+    revision: { $lte: revision - OP_LOG_RETENTION }
+  });
+};
+
+/**
+ * Schedule a snapshot after idle time, or write one now if enough ops piled up
+ */
+const scheduleSnapshot = async (documentId, state) => {
+  if (state.revision - state.snapshotRevision >= SNAPSHOT_EVERY_OPS) {
+    await writeSnapshot(documentId, state);
+    return;
+  }
+
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    exports.flushSnapshot(documentId).catch(err =>
+      console.error(`Error snapshotting document ${documentId}:`, err)
+    );
+  }, SNAPSHOT_IDLE_MS);
+};
+
+/**
+ * Append an already-transformed operation to the log and the live state.
+ * Must run inside the queue.
+ * @returns {Object} { revision, ops, opId, duplicate }
+ */
+const commitOperation = async (documentId, state, delta, userId, opId) => {
+  const nextRevision = state.revision + 1;
+  await DocumentOperation.create({
+    documentId,
+    revision: nextRevision,
+    ops: delta.ops,
+    userId,
+    opId
+  });
+
+  state.delta = state.delta.compose(delta);
+  state.revision = nextRevision;
+  state.lastEditedBy = userId;
+
+  await scheduleSnapshot(documentId, state);
+
+  return { revision: nextRevision, ops: delta.ops, opId, duplicate: false };
+};
+
+/**
+ * Get the live state of a document
+ * @param {String} documentId - Document ID
+ * @returns {Object} { delta, revision } - delta is null until a client bootstraps it
+ */
+exports.getDocumentState = (documentId) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+    return {
+      delta: state.delta ? state.delta.ops : null,
+      revision: state.revision
+    };
+  });
+};
+
+/**
+ * Seed the canonical delta of a legacy HTML-only document.
+ * Only the first client to bootstrap wins; later calls return the existing state.
+ * @param {String} documentId - Document ID
+ * @param {Array} ops - Delta ops produced by the client from Document.content
+ * @returns {Object} { delta, revision, bootstrapped }
+ */
+exports.bootstrapDocument = (documentId, ops) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (state.delta) {
+      return { delta: state.delta.ops, revision: state.revision, bootstrapped: false };
+    }
+
+    state.delta = new Delta(ops);
+    await Document.updateOne(
+      { _id: documentId },
+      { $set: { delta: state.delta.ops, revision: state.revision } }
+    );
+    state.snapshotRevision = state.revision;
+
+    return { delta: state.delta.ops, revision: state.revision, bootstrapped: true };
+  });
+};
+
+/**
+ * Apply a client operation
+ * @param {String} documentId - Document ID
+ * @param {Object} operation - { revision, ops, opId, userId }
+ * @returns {Object} { revision, ops, opId, duplicate } - transformed operation
+ */
+exports.applyOperation = (documentId, { revision, ops, opId, userId }) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta) {
+      throw new DocumentSyncError('Document has not been initialised for real-time editing');
+    }
+
+    // Resent operation whose acknowledgement was lost
+    const existing = await DocumentOperation.findOne({ documentId, opId });
+    if (existing) {
+      return { revision: existing.revision, ops: existing.ops, opId, duplicate: true };
+    }
+
+    if (!Number.isInteger(revision) || revision < 0 || revision > state.revision) {
+      throw new DocumentSyncError(`Invalid revision ${revision}`);
+    }
+
+    let delta = new Delta(ops);
+
+    if (revision < state.revision) {
+      const concurrent = await DocumentOperation.find({ documentId, revision: { $gt: revision } })
+        .sort({ revision: 1 });
+
+      if (concurrent.length !== state.revision - revision) {
+        throw new DocumentSyncError('Operation history is no longer available');
+      }
+
+      // Server operations happened first
+      concurrent.forEach(op => {
+        delta = new Delta(op.ops).transform(delta, true);
+      });
+    }
+
+    if (baseLength(delta) > state.delta.length()) {
+      throw new DocumentSyncError('Operation does not match document length');
+    }
+
+    return commitOperation(documentId, state, delta, userId, opId);
+  });
+};
+
+/**
+ * Get operations applied after a known revision, for reconnect catch-up
+ * @param {String} documentId - Document ID
+ * @param {Number} revision - Last revision the client has seen
+ * @returns {Array|null} Operations, or null if the client must reload a snapshot
+ */
+exports.getOperationsSince = (documentId, revision) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta || !Number.isInteger(revision) || revision < 0 || revision > state.revision) {
+      return null;
+    }
+
+    const operations = await DocumentOperation.find({ documentId, revision: { $gt: revision } })
+      .sort({ revision: 1 })
+      .select('revision ops opId userId');
+
+    if (operations.length !== state.revision - revision) {
+      return null;
+    }
+
+    return operations.map(op => ({
+      revision: op.revision,
+      ops: op.ops,
+      opId: op.opId,
+      userId: op.userId
+    }));
+  });
+};
+
+/**
+ * Anchor a range the client selected at a known revision to the current revision
+ * @param {String} documentId - Document ID
+ * @param {Object} range - { index, length, revision }
+ * @returns {Object} { index, length, revision, quote }
+ * @throws {DocumentSyncError} When the revision is unknown or the range is outside the document
+ */
+exports.anchorRange = (documentId, { index, length, revision }) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta) {
+      throw new DocumentSyncError('Document has not been initialised for real-time editing');
+    }
+    if (!Number.isInteger(revision) || revision < 0 || revision > state.revision) {
+      throw new DocumentSyncError(`Invalid revision ${revision}`);
+    }
+
+    let start = index;
+    let end = index + length;
+    if (revision < state.revision) {
+      const operations = await DocumentOperation.find({ documentId, revision: { $gt: revision } })
+        .sort({ revision: 1 });
+      if (operations.length !== state.revision - revision) {
+        throw new DocumentSyncError('Operation history is no longer available');
+      }
+      operations.forEach(op => {
+        const delta = new Delta(op.ops);
+        start = delta.transformPosition(start);
+        end = delta.transformPosition(end, true);
+      });
+    }
+
+    // The final newline of a document cannot be part of a range
+    if (end > state.delta.length() - 1) {
+      throw new DocumentSyncError('Range is outside the document');
+    }
+
+    return {
+      index: start,
+      length: end - start,
+      revision: state.revision,
+      quote: deltaText(state.delta).slice(start, end)
+    };
+  });
+};
+
+/**
+ * Bring the anchors of a document's open comments up to date
+ * @param {String} documentId - Document ID
+ * @returns {Array} Comments whose anchors moved
+ */
+exports.syncCommentAnchors = (documentId) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+    if (!state.delta) return [];
+
+    return rebaseAnchors(documentId, state);
+  });
+};
+
+/**
+ * Replace the text a suggestion is anchored to with its replacement,
+ * as an operation by the user accepting it
+ * @param {String} documentId - Document ID
+ * @param {Object} comment - Open suggestion (its anchor is updated in place)
+ * @param {String} userId - User accepting the suggestion
+ * @returns {Object} { revision, ops, opId } - operation to broadcast
+ * @throws {DocumentSyncError} When the suggested text no longer exists
+ */
+exports.applySuggestion = (documentId, comment, userId) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta) {
+      throw new DocumentSyncError('Document has not been initialised for real-time editing');
+    }
+
+    await rebaseAnchors(documentId, state, [comment]);
+    if (comment.anchor.detached) {
+      throw new DocumentSyncError('The text this suggestion changes no longer exists');
+    }
+
+    const { index, length } = comment.anchor;
+    const replacement = comment.suggestion.replacement || '';
+
+    // The replacement keeps the inline formatting of the text it replaces
+    const [first] = state.delta.slice(index, index + 1).ops;
+    const attributes = first && typeof first.insert === 'string' && first.insert !== '\n'
+      ? first.attributes
+      : undefined;
+
+    const delta = new Delta().retain(index).delete(length);
+    if (replacement) delta.insert(replacement, attributes);
+
+    const result = await commitOperation(documentId, state, delta, userId, `suggestion:${comment._id}`);
+
+    comment.anchor.length = replacement.length;
+    comment.anchor.quote = replacement;
+    comment.anchor.revision = state.revision;
+
+    return result;
+  });
+};
+
+/**
+ * Replace every match of a pattern in the document text, as an operation by
+ * the user. Replacements keep the inline formatting of the text they replace.
+ * @param {String} documentId - Document ID
+ * @param {RegExp} pattern - Global pattern matched against the plain text
+ * @param {String} replacement - Replacement text
+ * @param {String} userId - User making the change
+ * @returns {Object|null} { revision, ops, opId } to broadcast, or null when nothing matched
+ */
+exports.replaceText = (documentId, pattern, replacement, userId) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+    if (!state.delta) return null;
+
+    const delta = new Delta();
+    let last = 0;
+    for (const match of deltaText(state.delta).matchAll(pattern)) {
+      const [first] = state.delta.slice(match.index, match.index + 1).ops;
+      delta
+        .retain(match.index - last)
+        .delete(match[0].length)
+        .insert(replacement, first && first.attributes);
+      last = match.index + match[0].length;
+    }
+    if (!delta.ops.length) return null;
+
+    return commitOperation(documentId, state, delta, userId, `replace:${state.revision}`);
+  });
+};
+
+/**
+ * Save the current content as a version, optionally named
+ * @param {String} documentId - Document ID
+ * @param {String} userId - User saving the version
+ * @param {Object} data - { name, description }
+ * @returns {Object} Version
+ * @throws {DocumentSyncError} When the document has no Delta yet
+ */
+exports.saveVersion = (documentId, userId, { name, description } = {}) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta) {
+      throw new DocumentSyncError('Document has not been initialised for real-time editing');
+    }
+
+    return recordVersion(documentId, state.delta, {
+      userId,
+      source: 'manual',
+      name,
+      description,
+      revision: state.revision
+    });
+  });
+};
+
+/**
+ * Bring a version's content back as an edit, so history is added to rather
+ * than rewritten: the current content is versioned, the change is applied
+ * like any other operation and the result becomes a new version.
+ * @param {String} documentId - Document ID
+ * @param {Number} number - Version to restore
+ * @param {String} userId - User restoring it
+ * @returns {Object} { operation, version } - operation is null when nothing changed
+ * @throws {DocumentSyncError|AppError}
+ */
+exports.restoreVersion = (documentId, number, userId) => {
+  return enqueue(documentId, async () => {
+    const state = await loadState(documentId);
+
+    if (!state.delta) {
+      throw new DocumentSyncError('Document has not been initialised for real-time editing');
+    }
+
+    const { version, delta } = await getVersionContent(documentId, number);
+
+    await captureAutoVersion(documentId, state.delta, {
+      userId: state.lastEditedBy,
+      revision: state.revision,
+      force: true
+    });
+
+    const change = state.delta.diff(delta);
+    const operation = change.ops.length
+      ? await commitOperation(documentId, state, change, userId, `restore:${number}:${state.revision}`)
+      : null;
+
+    const restored = await recordVersion(documentId, state.delta, {
+      userId,
+      source: 'restore',
+      restoredFrom: version.number,
+      description: `Restored from ${version.label}`,
+      revision: state.revision
+    });
+
+    return { operation, version: restored };
+  });
+};
+
+/**
+ * Delete unnamed versions older than a date (see documentVersionUtils.pruneVersions)
+ * @param {String} documentId - Document ID
+ * @param {Date} before - Cutoff date
+ * @returns {Number} Versions deleted
+ */
+exports.pruneDocumentHistory = (documentId, before) => {
+  return enqueue(documentId, () => pruneVersions(documentId, before));
+};
+
+/**
+ * Write pending operations into Document.content now
+ * @param {String} documentId - Document ID
+ * @param {Boolean} evict - Drop the in-memory state afterwards
+ */
+exports.flushSnapshot = (documentId, evict = false) => {
+  return enqueue(documentId, async () => {
+    const state = documentStates.get(documentId);
+    if (!state) return;
+
+    await writeSnapshot(documentId, state);
+
+    if (evict) {
+      // The end of an editing session is always kept in the history
+      if (state.delta) {
+        await captureAutoVersion(documentId, state.delta, {
+          userId: state.lastEditedBy,
+          revision: state.revision,
+          force: true
+        });
+      }
+      documentStates.delete(documentId);
+    }
+  });
+};
+
+/**
+ * Replace content outside the editor (REST content update) and
+ * discard the real-time state so open editors reload it
+ * @param {String} documentId - Document ID
+ * @param {Function} replaceContent - Async write of the new content, run inside the document queue
+ * @returns {Promise} Result of replaceContent
+ */
+exports.resetDocumentState = (documentId, replaceContent = async () => {}) => {
+  return enqueue(documentId, async () => {
+    const state = documentStates.get(documentId) || await loadState(documentId);
+    if (state.timer) clearTimeout(state.timer);
+    documentStates.delete(documentId);
+
+    // Keep what is being replaced in the history
+    if (state.delta) {
+      await captureAutoVersion(documentId, state.delta, {
+        userId: state.lastEditedBy,
+        revision: state.revision,
+        force: true
+      });
+    }
+
+    const result = await replaceContent();
+
+    await Document.updateOne({ _id: documentId }, { $set: { delta: null } });
+    await DocumentOperation.deleteMany({ documentId });
+
+    // The log is gone, so open comments find their text again by quote
+    await DocumentComment.updateMany(
+      { documentId, status: 'open' },
+      { $set: { 'anchor.revision': -1 } }
+    );
+
+    return result;
+  });
+};
+
+exports.deltaToHtml = deltaToHtml;
+exports.DocumentSyncError = DocumentSyncError;
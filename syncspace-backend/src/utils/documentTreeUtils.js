@@ -0,0 +1,256 @@
+/**
+ * Document Tree Utility Functions
+ * Nested pages: the workspace page tree, moving pages, and the cascade rules
+ * for archiving and deleting a page with subpages.
+ */
+
+const Document = require('../models/Document');
+const DocumentComment = require('../models/DocumentComment');
+const DocumentVersion = require('../models/DocumentVersion');
+const LinkReference = require('../models/LinkReference');
+const { AppError } = require('./helpers');
+
+const TREE_FIELDS = 'title parentId position projectId isArchived archivedAt createdBy createdAt updatedAt';
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+const byPosition = (a, b) => (a.position - b.position) || (a.createdAt - b.createdAt);
+
+// Live pages sharing a parent, in order
+const findSiblings = async (workspaceId, parentId, excludeId) => {
+  const siblings = await Document.find({
+    workspaceId,
+    parentId: parentId || null,
+    isArchived: { $ne: true },
+    _id: { $ne: excludeId }
+  })
+    .select('position createdAt')
+    .lean();
+  return siblings.sort(byPosition);
+};
+
+// Store the order of a sibling list, touching only pages whose position changed
+const writeOrder = async (pages, parentId) => {
+  const operations = pages
+    .map((page, index) => ({ page, index }))
+    .filter(({ page, index }) => page.position !== index || page.reparent)
+    .map(({ page, index }) => ({
+      updateOne: {
+        filter: { _id: page._id },
+        update: { $set: { position: index, parentId: parentId || null } }
+      }
+    }));
+
+  if (operations.length) await Document.bulkWrite(operations);
+};
+
+/**
+ * Build the page tree of a workspace. Archived pages only appear with
+ * `archived`, in which case pages whose parent is still live become roots.
+ * @param {String} workspaceId - Workspace ID
+ * @param {Object} options - { archived }
+ * @returns {Array} Top-level pages, each with nested `children`
+ */
+exports.getTree = async (workspaceId, { archived = false } = {}) => {
+  const documents = await Document.find({
+    workspaceId,
+    isArchived: archived ? true : { $ne: true }
+  })
+    .select(TREE_FIELDS)
+    .lean();
+
+  const nodes = new Map(documents.sort(byPosition).map(doc => [doc._id.toString(), {
+    id: doc._id,
+    title: doc.title,
+    parentId: doc.parentId,
+    position: doc.position,
+    projectId: doc.projectId,
+    isArchived: !!doc.isArchived,
+    archivedAt: doc.archivedAt,
+    createdBy: doc.createdBy,
+    updatedAt: doc.updatedAt,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+/**
+ * Pages above a document, top-level page first
+ * @param {String} documentId - Document ID
+ * @returns {Array} [{ _id, title }]
+ */
+exports.getBreadcrumbs = (documentId) => Document.findAncestors(documentId);
+
+/**
+ * Check that a page can hold `documentId` (or a new page when omitted):
+ * same workspace, not archived, and not the page itself or one of its subpages
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} parentId - Parent page ID, or null for the top level
+ * @param {String} documentId - Page being moved
+ * @returns {Object|null} Parent document
+ * @throws {AppError}
+ */
+exports.resolveParent = async (workspaceId, parentId, documentId = null) => {
+  if (!parentId) return null;
+
+  const parent = await Document.findOne({ _id: parentId, workspaceId }).select('title isArchived');
+  if (!parent) {
+    throw new AppError('Parent page not found in this workspace', 404);
+  }
+  if (parent.isArchived) {
+    throw new AppError('Cannot add pages under an archived page');
+  }
+  if (documentId) {
+    if (sameId(parent._id, documentId)) {
+      throw new AppError('A page cannot be nested under itself');
+    }
+    const descendantIds = await Document.findDescendantIds(documentId);
+    if (descendantIds.some(id => sameId(id, parent._id))) {
+      throw new AppError('A page cannot be moved under one of its subpages');
+    }
+  }
+  return parent;
+};
+
+/**
+ * Put a page at `position` among its siblings (the end when omitted)
+ * @param {Object} document - Document, already under its parent
+ * @param {Number} position - Zero-based index among the live siblings
+ */
+exports.placeDocument = async (document, position) => {
+  const siblings = await findSiblings(document.workspaceId, document.parentId, document._id);
+  const index = position === undefined || position === null
+    ? siblings.length
+    : Math.max(0, Math.min(position, siblings.length));
+
+  siblings.splice(index, 0, { _id: document._id, position: -1 });
+  await writeOrder(siblings, document.parentId);
+  document.position = index;
+};
+
+/**
+ * Move a page under another parent and/or to another position. Subpages move with it.
+ * @param {Object} document - Document
+ * @param {Object} target - { parentId (null for top level, undefined to keep), position }
+ * @returns {Object} Document
+ * @throws {AppError}
+ */
+exports.moveDocument = async (document, { parentId, position }) => {
+  if (document.isArchived) {
+    throw new AppError('Unarchive the page before moving it');
+  }
+
+  const newParentId = parentId === undefined ? document.parentId : parentId;
+  await exports.resolveParent(document.workspaceId, newParentId, document._id);
+
+  document.parentId = newParentId || null;
+  await exports.placeDocument(document, position);
+  return document;
+};
+
+/**
+ * Archive a page together with its live subpages
+ * @param {Object} document - Document
+ * @param {String} userId - User archiving
+ * @returns {Array} IDs of the archived pages
+ * @throws {AppError}
+ */
+exports.archiveDocument = async (document, userId) => {
+  if (document.isArchived) {
+    throw new AppError('Page is already archived');
+  }
+
+  const descendantIds = await Document.findDescendantIds(document._id);
+  const filter = { _id: { $in: [document._id, ...descendantIds] }, isArchived: { $ne: true } };
+  const archivedIds = await Document.find(filter).distinct('_id');
+
+  await Document.updateMany(filter, {
+    $set: { isArchived: true, archivedAt: new Date(), archivedBy: userId }
+  });
+  return archivedIds;
+};
+
+/**
+ * Unarchive a page and the subpages archived with it. Subpages archived on
+ * their own stay archived. A page whose parent is gone or still archived
+ * returns at the top level.
+ * @param {Object} document - Document
+ * @returns {Object} { restoredIds, parentId }
+ * @throws {AppError}
+ */
+exports.unarchiveDocument = async (document) => {
+  if (!document.isArchived) {
+    throw new AppError('Page is not archived');
+  }
+
+  const descendantIds = await Document.findDescendantIds(document._id);
+  const restoredIds = [
+    document._id,
+    ...await Document.find({ _id: { $in: descendantIds }, archivedAt: document.archivedAt }).distinct('_id')
+  ];
+
+  if (document.parentId) {
+    const parent = await Document.findById(document.parentId).select('isArchived');
+    if (!parent || parent.isArchived) document.parentId = null;
+  }
+
+  await Document.updateMany(
+    { _id: { $in: restoredIds } },
+    { $set: { isArchived: false, archivedAt: null, archivedBy: null } }
+  );
+
+  document.isArchived = false;
+  await exports.placeDocument(document);
+  return { restoredIds, parentId: document.parentId };
+};
+
+/**
+ * Delete a page. With `cascade` its subpages are deleted too, which needs the
+ * user to have created all of them; otherwise its direct subpages take its
+ * place under its parent.
+ * @param {Object} document - Document
+ * @param {String} userId - User deleting
+ * @param {Boolean} cascade - Delete subpages as well
+ * @returns {Object} { deletedIds, movedIds }
+ * @throws {AppError}
+ */
+exports.deleteDocument = async (document, userId, cascade = false) => {
+  const deletedIds = [document._id];
+  let movedIds = [];
+
+  if (cascade) {
+    const descendants = await Document.find({ _id: { $in: await Document.findDescendantIds(document._id) } })
+      .select('createdBy');
+    const foreign = descendants.filter(page => !sameId(page.createdBy, userId));
+    if (foreign.length) {
+      throw new AppError(`${foreign.length} subpage(s) were created by someone else and cannot be deleted by you`, 403);
+    }
+    deletedIds.push(...descendants.map(page => page._id));
+  } else {
+    // Subpages take the deleted page's slot under its parent
+    const children = await Document.find({ parentId: document._id }).select('position createdAt isArchived').lean();
+    if (children.length) {
+      const siblings = await findSiblings(document.workspaceId, document.parentId, null);
+      const index = siblings.findIndex(page => sameId(page._id, document._id));
+      const moved = children.sort(byPosition).map(child => ({ ...child, reparent: true }));
+      siblings.splice(index === -1 ? siblings.length : index, index === -1 ? 0 : 1, ...moved);
+
+      await writeOrder(siblings, document.parentId);
+      movedIds = children.map(child => child._id);
+    }
+  }
+
+  await Document.deleteMany({ _id: { $in: deletedIds } });
+  await DocumentComment.deleteMany({ documentId: { $in: deletedIds } });
+  await DocumentVersion.deleteMany({ documentId: { $in: deletedIds } });
+  await LinkReference.removeEntities('document', deletedIds);
+
+  return { deletedIds, movedIds };
+};
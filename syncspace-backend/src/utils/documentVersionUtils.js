@@ -0,0 +1,407 @@
+/**
+ * Document Version Utility Functions
+ * Delta-compressed version history: versions are stored as diffs from the
+ * previous version, with a full snapshot every SNAPSHOT_INTERVAL versions.
+ * Writes must run inside the document's sync queue (see documentSyncUtils),
+ * which owns when versions are taken.
+ */
+
+const Delta = require('quill-delta');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const { AppError } = require('./helpers');
+
+// At most this many diffs are composed to rebuild a version
+const SNAPSHOT_INTERVAL = 20;
+
+// Automatic versions are taken at most this often while a document is edited
+const AUTO_VERSION_INTERVAL_MS = 10 * 60 * 1000;
+
+const USER_FIELDS = 'name email avatar';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== ENCODING ====================
+
+/**
+ * Characters inserted and deleted by a change
+ * @param {Delta} diff - Change delta
+ * @returns {Object} { insertions, deletions }
+ */
+const countChanges = (diff) => {
+  return diff.ops.reduce((changes, op) => {
+    if (op.insert !== undefined) {
+      changes.insertions += typeof op.insert === 'string' ? op.insert.length : 1;
+    }
+    if (typeof op.delete === 'number') changes.deletions += op.delete;
+    return changes;
+  }, { insertions: 0, deletions: 0 });
+};
+
+/**
+ * Encode a version's content against the previous stored version
+ * @param {Object|null} previous - { number, delta, diffsSinceSnapshot }
+ * @param {Delta} delta - Content of the version
+ * @returns {Object} { kind, baseNumber, ops, changes, unchanged }
+ */
+const encodeVersion = (previous, delta) => {
+  if (!previous) {
+    return {
+      kind: 'snapshot',
+      baseNumber: null,
+      ops: delta.ops,
+      changes: { insertions: delta.length(), deletions: 0 },
+      unchanged: false
+    };
+  }
+
+  const diff = previous.delta.diff(delta);
+  const changes = countChanges(diff);
+  const unchanged = diff.ops.length === 0;
+
+  // A diff as large as the content (e.g. everything replaced) saves nothing
+  if (previous.diffsSinceSnapshot + 1 >= SNAPSHOT_INTERVAL
+    || JSON.stringify(diff.ops).length >= JSON.stringify(delta.ops).length) {
+    return { kind: 'snapshot', baseNumber: null, ops: delta.ops, changes, unchanged };
+  }
+  return { kind: 'diff', baseNumber: previous.number, ops: diff.ops, changes, unchanged };
+};
+
+/**
+ * Rebuild the content of a stored version by following its diffs back to a snapshot
+ * @param {String} documentId - Document ID
+ * @param {Number} number - Version number
+ * @returns {Object} { delta, diffsSinceSnapshot }
+ */
+const rebuildVersion = async (documentId, number) => {
+  const fields = 'number kind baseNumber ops';
+  const snapshot = await DocumentVersion.findOne({ documentId, kind: 'snapshot', number: { $lte: number } })
+    .sort({ number: -1 })
+    .select('number');
+
+  // Usually the whole chain lies after the nearest snapshot; pruning may leave it elsewhere
+  const candidates = await DocumentVersion.find({
+    documentId,
+    number: { $gte: snapshot ? snapshot.number : 1, $lte: number }
+  }).select(fields);
+  const byNumber = new Map(candidates.map(version => [version.number, version]));
+
+  const chain = [];
+  let version = byNumber.get(number);
+  while (version && version.kind === 'diff') {
+    chain.unshift(version);
+    version = byNumber.get(version.baseNumber)
+      || await DocumentVersion.findOne({ documentId, number: version.baseNumber }).select(fields);
+  }
+  if (!version) {
+    throw new Error(`Version history of document ${documentId} is missing a base of version ${number}`);
+  }
+
+  const delta = chain.reduce((content, diff) => content.compose(new Delta(diff.ops)), new Delta(version.ops));
+  return { delta, diffsSinceSnapshot: chain.length };
+};
+
+// ==================== HISTORY ====================
+
+/**
+ * Load a document the user may open, or edit
+ * @param {String} documentId - Document ID
+ * @param {String} userId - User ID
+ * @param {Boolean} edit - Require edit permission
+ * @returns {Object} Document
+ * @throws {AppError}
+ */
+exports.getVersionedDocument = async (documentId, userId, edit = false) => {
+  const document = await Document.findById(documentId)
+    .select('title workspaceId projectId createdBy collaborators isPublic isLocked lockedBy');
+
+  if (!document) {
+    throw new AppError('Document not found', 404);
+  }
+  if (!(await document.canUserView(userId))) {
+    throw new AppError('Access denied', 403);
+  }
+  if (edit && !document.canUserEdit(userId)) {
+    throw new AppError('You do not have permission to edit this document', 403);
+  }
+  return document;
+};
+
+/**
+ * List versions, newest first, without their content
+ * @param {String} documentId - Document ID
+ * @param {Object} options - { limit, before } - before: only versions numbered below it
+ * @returns {Object} { versions, total }
+ */
+exports.listVersions = async (documentId, { limit = 50, before } = {}) => {
+  const filter = { documentId };
+  if (before) filter.number = { $lt: before };
+
+  const [versions, total] = await Promise.all([
+    DocumentVersion.find(filter)
+      .sort({ number: -1 })
+      .limit(limit)
+      .select('-ops')
+      .populate('createdBy', USER_FIELDS),
+    DocumentVersion.countDocuments({ documentId })
+  ]);
+
+  return { versions, total };
+};
+
+/**
+ * Get a version and its content
+ * @param {String} documentId - Document ID
+ * @param {Number} number - Version number
+ * @returns {Object} { version, delta }
+ * @throws {AppError} When the version does not exist (or was pruned)
+ */
+exports.getVersionContent = async (documentId, number) => {
+  const version = await DocumentVersion.findOne({ documentId, number })
+    .select('-ops')
+    .populate('createdBy', USER_FIELDS);
+
+  if (!version) {
+    throw new AppError(`Version ${number} not found`, 404);
+  }
+
+  const { delta } = await rebuildVersion(documentId, number);
+  return { version, delta };
+};
+
+/**
+ * A version as listed, without its content
+ * @param {Object} version - Version
+ * @returns {Object} Plain version with createdBy populated
+ */
+exports.describeVersion = async (version) => {
+  await version.populate('createdBy', USER_FIELDS);
+  const summary = version.toObject();
+  delete summary.ops;
+  return summary;
+};
+
+/**
+ * Store the given content as the next version. Run inside the document's sync queue.
+ * @param {String} documentId - Document ID
+ * @param {Delta|Array} content - Content of the version (Delta or ops)
+ * @param {Object} options - { userId, source, name, description, restoredFrom, revision, workspaceId, createdAt }
+ * @returns {Object|null} Version, or null for an automatic version with nothing new
+ */
+exports.recordVersion = async (documentId, content, options = {}) => {
+  const delta = new Delta(content);
+  const { userId = null, source = 'auto', name = null, description = '', restoredFrom = null, revision = 0 } = options;
+
+  const latest = await DocumentVersion.findLatest(documentId).select('number');
+  const previous = latest ? { number: latest.number, ...(await rebuildVersion(documentId, latest.number)) } : null;
+
+  const { unchanged, ...encoded } = encodeVersion(previous, delta);
+  if (unchanged && source === 'auto') return null;
+
+  let { workspaceId } = options;
+  if (!workspaceId) {
+    const document = await Document.findById(documentId).select('workspaceId');
+    if (!document) return null;
+    workspaceId = document.workspaceId;
+  }
+
+  return DocumentVersion.create({
+    documentId,
+    workspaceId,
+    number: previous ? previous.number + 1 : 1,
+    ...encoded,
+    revision,
+    name: name || null,
+    description,
+    source,
+    restoredFrom,
+    createdBy: userId,
+    contentLength: delta.length(),
+    createdAt: options.createdAt
+  });
+};
+
+/**
+ * Take an automatic version if the last one is old enough (or `force`)
+ * and the content changed since. Run inside the document's sync queue.
+ * @param {String} documentId - Document ID
+ * @param {Delta} delta - Current content
+ * @param {Object} options - { userId, revision, force }
+ * @returns {Object|null} Version taken, if any
+ */
+exports.captureAutoVersion = async (documentId, delta, { userId = null, revision = 0, force = false } = {}) => {
+  if (!force) {
+    const latest = await DocumentVersion.findLatest(documentId).select('createdAt');
+    if (latest && Date.now() - latest.createdAt.getTime() < AUTO_VERSION_INTERVAL_MS) return null;
+  }
+
+  return exports.recordVersion(documentId, delta, { userId, revision, source: 'auto' });
+};
+
+/**
+ * Name (or rename) a version; named versions are kept whatever the retention policy
+ * @param {String} documentId - Document ID
+ * @param {Number} number - Version number
+ * @param {Object} data - { name, description } - an empty name clears it
+ * @returns {Object} Updated version, without content
+ * @throws {AppError}
+ */
+exports.updateVersion = async (documentId, number, { name, description }) => {
+  const update = {};
+  if (name !== undefined) update.name = (name || '').trim() || null;
+  if (description !== undefined) update.description = description;
+
+  const version = await DocumentVersion.findOneAndUpdate({ documentId, number }, { $set: update }, {
+    new: true,
+    runValidators: true
+  })
+    .select('-ops')
+    .populate('createdBy', USER_FIELDS);
+
+  if (!version) {
+    throw new AppError(`Version ${number} not found`, 404);
+  }
+  return version;
+};
+
+// ==================== RETENTION ====================
+
+/**
+ * Oldest creation date a workspace keeps unnamed versions from
+ * @param {Object} workspace - Workspace
+ * @returns {Date|null} null when history is kept forever
+ */
+exports.getRetentionCutoff = (workspace) => {
+  const days = workspace.settings && workspace.settings.documentHistory
+    ? workspace.settings.documentHistory.retentionDays
+    : null;
+  return days ? new Date(Date.now() - days * DAY_MS) : null;
+};
+
+/**
+ * Delete unnamed versions created before a date. Named versions and the
+ * latest version are kept; versions that diffed against a deleted one are
+ * re-encoded against the version now before them. Run inside the document's sync queue.
+ * @param {String} documentId - Document ID
+ * @param {Date} before - Cutoff date
+ * @returns {Number} Versions deleted
+ */
+exports.pruneVersions = async (documentId, before) => {
+  const latest = await DocumentVersion.findLatest(documentId).select('number');
+  if (!latest) return 0;
+
+  const doomed = await DocumentVersion.find({
+    documentId,
+    name: null,
+    createdAt: { $lt: before },
+    number: { $lt: latest.number }
+  }).select('number');
+  if (!doomed.length) return 0;
+
+  const doomedNumbers = new Set(doomed.map(version => version.number));
+  const first = Math.min(...doomedNumbers);
+  const last = Math.max(...doomedNumbers);
+
+  // Versions from the snapshot before the first deleted one up to the next
+  // snapshot after the last deleted one are affected; later ones are not
+  const start = await DocumentVersion.findOne({ documentId, kind: 'snapshot', number: { $lte: first } })
+    .sort({ number: -1 })
+    .select('number');
+  const end = await DocumentVersion.findOne({ documentId, kind: 'snapshot', number: { $gt: last } })
+    .sort({ number: 1 })
+    .select('number');
+
+  const range = { $gte: start ? start.number : 1 };
+  if (end) range.$lt = end.number;
+
+  const updates = [];
+  const deletes = [];
+  let content = null;
+  let previous = null;
+
+  const versions = DocumentVersion.find({ documentId, number: range }).sort({ number: 1 }).cursor();
+  for (let version = await versions.next(); version; version = await versions.next()) {
+    content = version.kind === 'snapshot' || !content
+      ? new Delta(version.ops)
+      : content.compose(new Delta(version.ops));
+
+    if (doomedNumbers.has(version.number)) {
+      deletes.push({ deleteOne: { filter: { _id: version._id } } });
+      continue;
+    }
+
+    const { unchanged, ...encoded } = encodeVersion(previous, content);
+    updates.push({ updateOne: { filter: { _id: version._id }, update: { $set: encoded } } });
+
+    previous = {
+      number: version.number,
+      delta: content,
+      diffsSinceSnapshot: encoded.kind === 'snapshot' ? 0 : previous.diffsSinceSnapshot + 1
+    };
+  }
+
+  // Re-encode first: until the deletes run, both chains still rebuild correctly
+  if (updates.length) await DocumentVersion.bulkWrite(updates);
+  await DocumentVersion.bulkWrite(deletes);
+  return doomedNumbers.size;
+};
+
+// ==================== DIFF ====================
+
+// Split a slice of the older content into segments of one type
+const toSegments = (slice, type, changedAttributes) => slice.ops.map(op => {
+  const segment = { type, insert: op.insert, attributes: op.attributes };
+  if (changedAttributes) {
+    segment.previousAttributes = op.attributes;
+    segment.attributes = Delta.AttributeMap.compose(op.attributes, changedAttributes) || undefined;
+  }
+  return segment;
+});
+
+/**
+ * Compare two versions of a document
+ * @param {Delta} from - Older content
+ * @param {Delta} to - Newer content
+ * @param {String} mode - inline (one list of segments) or split (left/right, for side by side)
+ * @returns {Object} { mode, stats, segments } or { mode, stats, left, right }.
+ *          Segments are { type: equal|insert|delete|format, insert, attributes, previousAttributes }
+ */
+exports.diffDeltas = (from, to, mode = 'inline') => {
+  const diff = from.diff(to);
+  const segments = [];
+  let index = 0;
+
+  diff.ops.forEach(op => {
+    if (typeof op.retain === 'number') {
+      const slice = from.slice(index, index + op.retain);
+      segments.push(...toSegments(slice, op.attributes ? 'format' : 'equal', op.attributes));
+      index += op.retain;
+    } else if (typeof op.delete === 'number') {
+      segments.push(...toSegments(from.slice(index, index + op.delete), 'delete'));
+      index += op.delete;
+    } else {
+      segments.push({ type: 'insert', insert: op.insert, attributes: op.attributes });
+    }
+  });
+
+  // Unchanged text after the last change
+  if (index < from.length()) {
+    segments.push(...toSegments(from.slice(index), 'equal'));
+  }
+
+  const stats = {
+    ...countChanges(diff),
+    formatChanges: segments.filter(segment => segment.type === 'format').length
+  };
+
+  if (mode === 'split') {
+    return {
+      mode,
+      stats,
+      left: segments.filter(segment => segment.type !== 'insert'),
+      right: segments.filter(segment => segment.type !== 'delete')
+    };
+  }
+  return { mode: 'inline', stats, segments };
+};
+
+exports.SNAPSHOT_INTERVAL = SNAPSHOT_INTERVAL;
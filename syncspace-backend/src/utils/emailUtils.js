@@ -440,6 +440,7 @@ const sendTaskAssignmentEmail = async (user, task, project, assignedBy) => {
 const sendDeadlineReminderEmail = async (user, task, project) => {
   const taskUrl = `${process.env.FRONTEND_URL}/projects/${project._id}/tasks/${task._id}`;
   const daysUntilDue = Math.ceil((new Date(task.dueDate) - new Date()) / (1000 * 60 * 60 * 24));
+  const isOverdue = new Date(task.dueDate) < new Date();
 
   const html = `
     <!DOCTYPE html>
@@ -505,7 +506,7 @@ const sendDeadlineReminderEmail = async (user, task, project) => {
         <div class="content">
           <p>Hi ${user.name},</p>
           <div class="warning">
-            <p><strong>Your task is due ${daysUntilDue === 0 ? 'today' : `in ${daysUntilDue} day${daysUntilDue > 1 ? 's' : ''}`}!</strong></p>
+            <p><strong>${isOverdue ? 'Your task is overdue!' : `Your task is due ${daysUntilDue === 0 ? 'today' : `in ${daysUntilDue} day${daysUntilDue > 1 ? 's' : ''}`}!`}</strong></p>
           </div>
           <div class="task-info">
             <h3>${task.title}</h3>
@@ -516,7 +517,7 @@ const sendDeadlineReminderEmail = async (user, task, project) => {
           <div style="text-align: center;">
             <a href="${taskUrl}" class="button">View Task</a>
           </div>
-          <p>Make sure to complete this task before the deadline.</p>
+          <p>${isOverdue ? 'Please complete this task or move its due date.' : 'Make sure to complete this task before the deadline.'}</p>
           <p>Best regards,<br>The SyncSpace Team</p>
         </div>
         <div class="footer">
@@ -529,7 +530,7 @@ const sendDeadlineReminderEmail = async (user, task, project) => {
 
   return await sendEmail({
     to: user.email,
-    subject: `Reminder: Task "${task.title}" is due soon`,
+    subject: isOverdue ? `Overdue: Task "${task.title}"` : `Reminder: Task "${task.title}" is due soon`,
     html
   });
 };
@@ -724,6 +725,85 @@ const sendNotificationDigestEmail = async (user, notifications) => {
   });
 };
 
+/**
+ * Send a single notification by email (types without a dedicated template)
+ */
+const sendNotificationEmail = async (user, notification) => {
+  const notificationUrl = `${process.env.FRONTEND_URL}${notification.link || '/notifications'}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body {
+          font-family: Arial, sans-serif;
+          line-height: 1.6;
+          color: #333;
+        }
+        .container {
+          max-width: 600px;
+          margin: 0 auto;
+          padding: 20px;
+        }
+        .header {
+          background-color: #4F46E5;
+          color: white;
+          padding: 20px;
+          text-align: center;
+          border-radius: 5px 5px 0 0;
+        }
+        .content {
+          background-color: #f9f9f9;
+          padding: 30px;
+          border-radius: 0 0 5px 5px;
+        }
+        .button {
+          display: inline-block;
+          padding: 12px 30px;
+          background-color: #4F46E5;
+          color: white;
+          text-decoration: none;
+          border-radius: 5px;
+          margin: 20px 0;
+        }
+        .footer {
+          text-align: center;
+          margin-top: 20px;
+          color: #666;
+          font-size: 12px;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>${notification.title}</h1>
+        </div>
+        <div class="content">
+          <p>Hi ${user.name},</p>
+          <p>${notification.message}</p>
+          <div style="text-align: center;">
+            <a href="${notificationUrl}" class="button">Open SyncSpace</a>
+          </div>
+          <p>Best regards,<br>The SyncSpace Team</p>
+        </div>
+        <div class="footer">
+          <p>You can choose which notifications are emailed in your notification settings.</p>
+          <p>&copy; ${new Date().getFullYear()} SyncSpace. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+  return await sendEmail({
+    to: user.email,
+    subject: notification.title,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   sendVerificationEmail,
@@ -732,5 +812,6 @@ module.exports = {
   sendTaskAssignmentEmail,
   sendDeadlineReminderEmail,
   sendWelcomeEmail,
-  sendNotificationDigestEmail
+  sendNotificationDigestEmail,
+  sendNotificationEmail
 };
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * File Folder Utility Functions
+ * Nested folders for workspace and project files: browsing a folder with its
+ * breadcrumbs and sizes, creating, renaming, moving and deleting folders, and
+ * moving or copying files between them.
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Folder = require('../models/Folder');
+const { getStorage, buildKey, removeObjects } = require('./storageUtils');
+const { releaseStorage, getFileBytes } = require('./storageUsageUtils');
+const { removePreviews } = require('./filePreviewUtils');
+const { AppError } = require('./helpers');
+
+// Folder names are unique among siblings regardless of case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const checkUniqueName = async ({ workspaceId, projectId, parentId }, name, excludeId = null) => {
+  const existing = await Folder.findOne({
+    workspaceId,
+    projectId: projectId || null,
+    parentId: parentId || null,
+    name: name.trim(),
+    _id: { $ne: excludeId }
+  })
+    .collation(NAME_COLLATION)
+    .select('_id');
+
+  if (existing) {
+    throw new AppError(`A folder named "${name.trim()}" already exists here`, 409);
+  }
+};
+
+/**
+ * Bytes and file counts of every folder in a workspace (or project), each
+ * including its subfolders
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} projectId - Project ID, or null for workspace folders
+ * @returns {Map} folderId -> { size, fileCount }
+ */
+exports.getFolderSizes = async (workspaceId, projectId = null) => {
+  const folders = await Folder.find({ workspaceId, projectId: projectId || null }).select('parentId').lean();
+  const totals = await File.aggregate([
+    { $match: { workspaceId: toObjectId(workspaceId), folderId: { $in: folders.map(folder => folder._id) }, isArchived: false } },
+    { $group: { _id: '$folderId', size: { $sum: '$fileSize' }, fileCount: { $sum: 1 } } }
+  ]);
+
+  const sizes = new Map(folders.map(folder => [folder._id.toString(), { size: 0, fileCount: 0 }]));
+  const parents = new Map(folders.map(folder => [folder._id.toString(), folder.parentId && folder.parentId.toString()]));
+
+  // Each folder's own files count towards it and every folder above it
+  for (const total of totals) {
+    let folderId = total._id.toString();
+    const seen = new Set();
+    while (folderId && sizes.has(folderId) && !seen.has(folderId)) {
+      seen.add(folderId);
+      sizes.get(folderId).size += total.size;
+      sizes.get(folderId).fileCount += total.fileCount;
+      folderId = parents.get(folderId);
+    }
+  }
+  return sizes;
+};
+
+/**
+ * Check that a folder of the workspace can hold `movingFolderId` (or files
+ * and new folders when omitted): not the folder itself or one of its subfolders
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} folderId - Folder ID, or null for the top level
+ * @param {String} movingFolderId - Folder being moved
+ * @returns {Object|null} Folder
+ * @throws {AppError}
+ */
+exports.resolveFolder = async (workspaceId, folderId, movingFolderId = null) => {
+  if (!folderId) return null;
+
+  const folder = mongoose.Types.ObjectId.isValid(folderId)
+    ? await Folder.findOne({ _id: folderId, workspaceId })
+    : null;
+  if (!folder) {
+    throw new AppError('Folder not found in this workspace', 404);
+  }
+  if (movingFolderId) {
+    if (sameId(folder._id, movingFolderId)) {
+      throw new AppError('A folder cannot be moved into itself');
+    }
+    const descendantIds = await Folder.findDescendantIds(movingFolderId);
+    if (descendantIds.some(id => sameId(id, folder._id))) {
+      throw new AppError('A folder cannot be moved into one of its subfolders');
+    }
+  }
+  return folder;
+};
+
+/**
+ * List a folder: its subfolders with their sizes, its files and the path to it.
+ * At the top level of a workspace every file without a folder is listed,
+ * including project files; a project lists only its own.
+ * @param {String} workspaceId - Workspace ID
+ * @param {Object} options - { projectId, folderId }
+ * @returns {Object} { folder, breadcrumbs, folders, files, size, fileCount }
+ */
+exports.getFolderContents = async (workspaceId, { projectId = null, folderId = null } = {}) => {
+  const folder = await exports.resolveFolder(workspaceId, folderId);
+  const scopeProjectId = folder ? folder.projectId : projectId || null;
+
+  const fileFilter = { workspaceId, folderId: folder ? folder._id : null, isArchived: false };
+  if (scopeProjectId) fileFilter.projectId = scopeProjectId;
+
+  const [subfolders, files, sizes, breadcrumbs] = await Promise.all([
+    Folder.find({ workspaceId, projectId: scopeProjectId, parentId: folder ? folder._id : null })
+      .collation(NAME_COLLATION)
+      .sort('name')
+      .lean(),
+    File.find(fileFilter)
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 }),
+    exports.getFolderSizes(workspaceId, scopeProjectId),
+    folder ? Folder.findAncestors(folder._id) : []
+  ]);
+
+  const folders = subfolders.map(subfolder => ({
+    ...subfolder,
+    ...(sizes.get(subfolder._id.toString()) || { size: 0, fileCount: 0 })
+  }));
+  const totals = folder
+    ? sizes.get(folder._id.toString())
+    : {
+      size: files.reduce((sum, file) => sum + file.fileSize, 0) + folders.reduce((sum, sub) => sum + sub.size, 0),
+      fileCount: files.length + folders.reduce((sum, sub) => sum + sub.fileCount, 0)
+    };
+
+  return {
+    folder,
+    breadcrumbs: folder ? [...breadcrumbs, { _id: folder._id, name: folder.name }] : [],
+    folders,
+    files,
+    size: totals.size,
+    fileCount: totals.fileCount
+  };
+};
+
+/**
+ * Create a folder. Subfolders belong to their parent's project.
+ * @param {Object} data - { workspaceId, projectId, parentId, name }
+ * @param {String} userId - Creator
+ * @returns {Object} Folder
+ * @throws {AppError}
+ */
+exports.createFolder = async ({ workspaceId, projectId, parentId, name }, userId) => {
+  const parent = await exports.resolveFolder(workspaceId, parentId);
+  const placement = {
+    workspaceId,
+    projectId: parent ? parent.projectId : projectId || null,
+    parentId: parent ? parent._id : null
+  };
+
+  await checkUniqueName(placement, name);
+  return Folder.create({ ...placement, name: name.trim(), createdBy: userId });
+};
+
+/**
+ * Rename a folder
+ * @param {Object} folder - Folder
+ * @param {String} name - New name
+ * @returns {Object} Folder
+ * @throws {AppError}
+ */
+exports.renameFolder = async (folder, name) => {
+  await checkUniqueName(folder, name, folder._id);
+  folder.name = name.trim();
+  await folder.save();
+  return folder;
+};
+
+/**
+ * Move a folder, with everything in it, under another folder of the same
+ * workspace and project, or to the top level
+ * @param {Object} folder - Folder
+ * @param {String} parentId - New parent folder ID, or null
+ * @returns {Object} Folder
+ * @throws {AppError}
+ */
+exports.moveFolder = async (folder, parentId) => {
+  const parent = await exports.resolveFolder(folder.workspaceId, parentId, folder._id);
+  if (parent && !sameId(parent.projectId, folder.projectId)) {
+    throw new AppError('Folders can only be moved within the same project');
+  }
+  if (sameId(parent ? parent._id : null, folder.parentId)) return folder;
+
+  await checkUniqueName({ ...folder.toObject(), parentId: parent ? parent._id : null }, folder.name, folder._id);
+  folder.parentId = parent ? parent._id : null;
+  await folder.save();
+  return folder;
+};
+
+/**
+ * Delete a folder with its subfolders and every file in them, stored bytes
+ * included. Only allowed when the user may delete all of those files.
+ * @param {Object} folder - Folder
+ * @param {Object} user - User deleting (uploaders and admins may delete files)
+ * @returns {Object} { deletedFolderIds, deletedFileIds }
+ * @throws {AppError}
+ */
+exports.deleteFolder = async (folder, user) => {
+  const folderIds = [folder._id, ...(await Folder.findDescendantIds(folder._id))];
+  const files = await File.find({ folderId: { $in: folderIds } });
+
+  if (user.role !== 'admin') {
+    const foreign = files.filter(file => !sameId(file.uploadedBy, user._id));
+    if (foreign.length) {
+      throw new AppError(`${foreign.length} file(s) in this folder were uploaded by someone else and cannot be deleted by you`, 403);
+    }
+  }
+
+  await File.deleteMany({ _id: { $in: files.map(file => file._id) } });
+  await Folder.deleteMany({ _id: { $in: folderIds } });
+  await removeObjects(files.flatMap(file => file.getStorageKeys()));
+  await releaseStorage(folder.workspaceId, files.reduce((sum, file) => sum + getFileBytes(file), 0));
+  await removePreviews(files.map(file => file._id));
+
+  return { deletedFolderIds: folderIds, deletedFileIds: files.map(file => file._id) };
+};
+
+/**
+ * Move a file into a folder of its workspace, or to the top level. A file
+ * moved into a project folder joins that project.
+ * @param {Object} file - File
+ * @param {String} folderId - Folder ID, or null
+ * @returns {Object} File
+ * @throws {AppError}
+ */
+exports.moveFile = async (file, folderId) => {
+  const folder = await exports.resolveFolder(file.workspaceId, folderId);
+
+  file.folderId = folder ? folder._id : null;
+  if (folder && folder.projectId) file.projectId = folder.projectId;
+  await file.save();
+  return file;
+};
+
+/**
+ * Copy a file, stored bytes and metadata, into a folder (its own folder when
+ * `folderId` is undefined). The copy starts at version 1 and is owned by the
+ * user copying it.
+ * @param {Object} file - File
+ * @param {Object} options - { folderId }
+ * @param {String} userId - User copying
+ * @returns {Object} New file
+ * @throws {AppError}
+ */
+exports.copyFile = async (file, { folderId } = {}, userId) => {
+  if (!file.storageKey) throw new AppError('File has no stored content to copy', 404);
+
+  const folder = await exports.resolveFolder(file.workspaceId, folderId === undefined ? file.folderId : folderId);
+  const targetFolderId = folder ? folder._id : null;
+
+  // A copy next to the original gets a distinct name
+  let originalName = file.originalName;
+  if (sameId(targetFolderId, file.folderId)) {
+    const ext = path.extname(originalName);
+    originalName = `${path.basename(originalName, ext)} (copy)${ext}`;
+  }
+
+  const stored = await getStorage().copy(file.storageKey, buildKey(`files/${file.workspaceId}`, file.fileName));
+
+  const copy = new File({
+    fileName: file.fileName,
+    originalName,
+    fileType: file.fileType,
+    fileSize: stored.size,
+    mimeType: file.mimeType,
+    workspaceId: file.workspaceId,
+    projectId: folder && folder.projectId ? folder.projectId : file.projectId,
+    folderId: targetFolderId,
+    description: file.description,
+    tags: file.tags,
+    uploadedBy: userId,
+    storageKey: stored.key
+  });
+  copy.fileUrl = `/api/files/${copy._id}/download`;
+
+  try {
+    await copy.save();
+  } catch (error) {
+    await removeObjects([stored.key]);
+    throw error;
+  }
+  return copy;
+};
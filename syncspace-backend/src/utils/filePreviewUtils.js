@@ -0,0 +1,343 @@
+/**
+ * File Preview Utility Functions
+ * Previews generated locally from stored files: WebP thumbnails of images,
+ * first-page renders and text of PDFs, highlighted text and code, and the
+ * first rows of CSV files. Previews are cached per file version.
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const hljs = require('highlight.js');
+const { PDFParse } = require('pdf-parse');
+const FilePreview = require('../models/FilePreview');
+const { getStorage, removeObjects } = require('./storageUtils');
+const { AppError } = require('./helpers');
+
+const THUMBNAIL_SIZE = 480; // px, longest side
+const MAX_SOURCE_BYTES = 50 * 1024 * 1024; // images and PDFs are read into memory
+const MAX_TEXT_BYTES = 256 * 1024;
+const PDF_TEXT_PAGES = 3;
+const MAX_PDF_TEXT = 20000; // characters
+const CSV_PREVIEW_ROWS = 100;
+
+const IMAGE_TYPES = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'tif', 'tiff', 'svg']);
+const CSV_DELIMITERS = { csv: ',', tsv: '\t' };
+
+// File extension -> highlight.js language
+const LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  rb: 'ruby',
+  java: 'java',
+  kt: 'kotlin',
+  go: 'go',
+  rs: 'rust',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  hpp: 'cpp',
+  cs: 'csharp',
+  php: 'php',
+  swift: 'swift',
+  html: 'xml',
+  htm: 'xml',
+  xml: 'xml',
+  css: 'css',
+  scss: 'scss',
+  less: 'less',
+  json: 'json',
+  yml: 'yaml',
+  yaml: 'yaml',
+  toml: 'ini',
+  ini: 'ini',
+  md: 'markdown',
+  sh: 'bash',
+  bash: 'bash',
+  sql: 'sql',
+  txt: 'plaintext',
+  log: 'plaintext'
+};
+
+// Generations in progress, by `<fileId>:<version>`
+const pending = new Map();
+let queue = Promise.resolve();
+
+// Previews are generated one at a time: rendering is CPU and memory heavy
+const enqueue = (task) => {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const getExtension = (fileName) => path.extname(fileName || '').slice(1).toLowerCase();
+
+// Read the start of a stored object, at most maxBytes
+const readObject = async (key, maxBytes) => {
+  const stream = await getStorage().getStream(key);
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > maxBytes) break;
+  }
+
+  return {
+    buffer: Buffer.concat(chunks).subarray(0, maxBytes),
+    truncated: size > maxBytes
+  };
+};
+
+const makeThumbnail = (input) => sharp(input)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .webp({ quality: 80 })
+  .toBuffer({ resolveWithObject: true });
+
+// Quoted fields may contain delimiters, doubled quotes and line breaks
+const parseCsv = (content, delimiter, maxRows) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  for (; i < content.length && rows.length < maxRows; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  const complete = i >= content.length;
+  if (complete && (field || row.length)) {
+    row.push(field);
+    rows.push(row);
+  }
+  return { rows, complete };
+};
+
+// Text of a text file, up to the last whole line when cut off; null for binary files
+const readText = async (key) => {
+  const { buffer, truncated } = await readObject(key, MAX_TEXT_BYTES);
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+
+  let content = buffer.toString('utf8');
+  if (truncated && content.includes('\n')) {
+    content = content.slice(0, content.lastIndexOf('\n') + 1);
+  }
+  return { content, truncated };
+};
+
+const previewImage = async (source) => {
+  const { buffer } = await readObject(source.storageKey, MAX_SOURCE_BYTES);
+  return { thumbnail: await makeThumbnail(buffer) };
+};
+
+const previewPdf = async (source) => {
+  const { buffer } = await readObject(source.storageKey, MAX_SOURCE_BYTES);
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getText({ first: PDF_TEXT_PAGES });
+    const text = result.pages.map(page => page.text.trim()).filter(Boolean).join('\n\n');
+
+    // A page that can't be rendered still leaves the text preview
+    let thumbnail = null;
+    try {
+      const screenshot = await parser.getScreenshot({
+        partial: [1],
+        desiredWidth: THUMBNAIL_SIZE,
+        imageDataUrl: false
+      });
+      thumbnail = await makeThumbnail(Buffer.from(screenshot.pages[0].data));
+    } catch (error) {
+      console.error('Error rendering PDF page:', error.message);
+    }
+
+    return {
+      thumbnail,
+      text: text.slice(0, MAX_PDF_TEXT),
+      pageCount: result.total,
+      truncated: text.length > MAX_PDF_TEXT || result.total > PDF_TEXT_PAGES
+    };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+const previewText = async (source) => {
+  const text = await readText(source.storageKey);
+  if (!text) return { kind: 'unsupported' };
+
+  const language = LANGUAGES[getExtension(source.fileName)] || 'plaintext';
+  return {
+    html: hljs.highlight(text.content, { language, ignoreIllegals: true }).value,
+    language,
+    truncated: text.truncated
+  };
+};
+
+const previewCsv = async (source) => {
+  const text = await readText(source.storageKey);
+  if (!text) return { kind: 'unsupported' };
+
+  const { rows, complete } = parseCsv(text.content, CSV_DELIMITERS[getExtension(source.fileName)], CSV_PREVIEW_ROWS);
+  return { rows, truncated: text.truncated || !complete };
+};
+
+const GENERATORS = {
+  image: previewImage,
+  pdf: previewPdf,
+  text: previewText,
+  csv: previewCsv
+};
+
+const generatePreview = async (file, source, version) => {
+  const preview = {
+    fileId: file._id,
+    workspaceId: file.workspaceId,
+    version,
+    kind: exports.getPreviewKind(source)
+  };
+
+  if ((preview.kind === 'image' || preview.kind === 'pdf') && source.fileSize > MAX_SOURCE_BYTES) {
+    Object.assign(preview, { status: 'failed', error: 'File is too large to preview' });
+  } else if (preview.kind !== 'unsupported') {
+    try {
+      const { thumbnail, ...result } = await GENERATORS[preview.kind](source);
+      Object.assign(preview, result);
+
+      if (thumbnail) {
+        const stored = await getStorage().put(
+          `previews/${file.workspaceId}/${file._id}/v${version}.webp`,
+          thumbnail.data,
+          { contentType: 'image/webp' }
+        );
+        Object.assign(preview, {
+          thumbnailKey: stored.key,
+          width: thumbnail.info.width,
+          height: thumbnail.info.height
+        });
+      }
+    } catch (error) {
+      // Storage trouble may pass, so only unreadable files are cached as failed
+      if (error instanceof AppError) throw error;
+
+      console.error(`Error generating preview of file ${file._id} version ${version}:`, error.message);
+      Object.assign(preview, { status: 'failed', error: 'Preview could not be generated for this file' });
+    }
+  }
+
+  return FilePreview.findOneAndUpdate(
+    { fileId: file._id, version },
+    { $setOnInsert: preview },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * What kind of preview a file (or file version) gets
+ * @param {Object} source - { fileName, mimeType }
+ * @returns {String} image | pdf | text | csv | unsupported
+ */
+exports.getPreviewKind = ({ fileName, mimeType }) => {
+  const ext = getExtension(fileName);
+
+  if (IMAGE_TYPES.has(ext)) return 'image';
+  if (ext === 'pdf' || mimeType === 'application/pdf') return 'pdf';
+  if (CSV_DELIMITERS[ext]) return 'csv';
+  if (LANGUAGES[ext] || (mimeType || '').startsWith('text/')) return 'text';
+  return 'unsupported';
+};
+
+/**
+ * Get the preview of a file version, generating and caching it on first use
+ * @param {Object} file - File
+ * @param {Number} versionNumber - Version (defaults to the current one)
+ * @returns {Object|null} FilePreview, or null if the version doesn't exist
+ */
+exports.getPreview = async (file, versionNumber = file.version) => {
+  const source = versionNumber === file.version ? file : file.getVersion(versionNumber);
+  if (!source || !source.storageKey) return null;
+
+  const cached = await FilePreview.findOne({ fileId: file._id, version: versionNumber });
+  if (cached) return cached;
+
+  const id = `${file._id}:${versionNumber}`;
+  if (!pending.has(id)) {
+    pending.set(id, enqueue(() => generatePreview(file, source, versionNumber))
+      .finally(() => pending.delete(id)));
+  }
+  return pending.get(id);
+};
+
+/**
+ * Generate the preview of a file's current version in the background, so
+ * its thumbnail is ready by the time it's listed
+ * @param {Object} file - File
+ */
+exports.warmPreview = (file) => {
+  exports.getPreview(file).catch((error) => {
+    console.error(`Error generating preview of file ${file._id}:`, error.message);
+  });
+};
+
+/**
+ * Remove the cached previews of files, thumbnails included
+ * @param {Array} fileIds - File IDs
+ */
+exports.removePreviews = async (fileIds) => {
+  const previews = await FilePreview.find({ fileId: { $in: fileIds }, thumbnailKey: { $ne: null } })
+    .select('thumbnailKey');
+
+  await FilePreview.deleteMany({ fileId: { $in: fileIds } });
+  await removeObjects(previews.map(preview => preview.thumbnailKey));
+};
+
+/**
+ * Shape a preview for API responses (storage keys stay on the server)
+ * @param {Object} preview - FilePreview
+ * @returns {Object} Preview
+ */
+exports.formatPreview = (preview) => ({
+  version: preview.version,
+  kind: preview.kind,
+  status: preview.status,
+  error: preview.error,
+  hasThumbnail: !!preview.thumbnailKey,
+  width: preview.width,
+  height: preview.height,
+  text: preview.text,
+  pageCount: preview.pageCount,
+  html: preview.html,
+  language: preview.language,
+  rows: preview.rows,
+  truncated: preview.truncated
+});
@@ -5,6 +5,19 @@
 
 const crypto = require('crypto');
 
+/**
+ * Error answered with its HTTP status by the error middleware
+ */
+class AppError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+exports.AppError = AppError;
+
 /**
  * Generate random string
  * @param {Number} length - Length of string
@@ -150,6 +163,38 @@ exports.generateUniqueFilename = (originalName) => {
   return `${safeName}_${timestamp}_${randomString}.${extension}`;
 };
 
+/**
+ * Build a readable device label from a User-Agent header
+ * @param {String} userAgent - User-Agent header
+ * @returns {String} Device label, e.g. "Chrome on Windows"
+ */
+exports.getDeviceName = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.slice(0, 60);
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
 /**
  * Deep clone object
  * @param {Object} obj - Object to clone
@@ -0,0 +1,205 @@
+/**
+ * Link Reference Utility Functions
+ * "Referenced by" lists for documents, tasks and messages, built from the
+ * LinkReference index, and rewriting [[Page]] links when a page is renamed.
+ */
+
+const Document = require('../models/Document');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const Workspace = require('../models/Workspace');
+const LinkReference = require('../models/LinkReference');
+const { checkMessageAccess } = require('./messageUtils');
+
+const SNIPPET_LENGTH = 140;
+
+// Plain-text excerpt of a description, comment, message or HTML content,
+// centred on where the link is written when it can be found
+const toSnippet = (text = '', needle = '') => {
+  const plain = text.replace(/<a [^>]*href="([^"]*)"[^>]*>/g, ' $1 ').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (plain.length <= SNIPPET_LENGTH) return plain;
+
+  const at = needle ? plain.toLowerCase().indexOf(needle.toLowerCase()) : -1;
+  const start = Math.max(0, Math.min(at - SNIPPET_LENGTH / 2, plain.length - SNIPPET_LENGTH));
+  const excerpt = plain.slice(start, start + SNIPPET_LENGTH).trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${start + SNIPPET_LENGTH < plain.length ? '…' : ''}`;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * App URL of a document, task or message, in the form links are written with
+ * @param {String} type - document, task or message
+ * @param {Object} entity - Entity with _id and workspaceId (and projectId for tasks)
+ * @returns {String} Relative URL
+ */
+exports.getEntityLink = (type, entity) => {
+  const base = `/workspace/${entity.workspaceId}`;
+  if (type === 'document') return `${base}/document/${entity._id}`;
+  if (type === 'task') return `${base}/project/${entity.projectId}/task/${entity._id}`;
+  return `${base}/chat?message=${entity._id}`;
+};
+
+/**
+ * List what references an entity, most recently linked first. Sources the
+ * user cannot open (archived pages, private channels, other people's
+ * conversations) are left out.
+ * @param {String} targetType - document, task or message
+ * @param {String} targetId - Entity ID
+ * @param {String} userId - User asking
+ * @returns {Array} [{ type, id, title, snippet, link, commentId, kinds, updatedAt }]
+ */
+exports.getBacklinks = async (targetType, targetId, userId) => {
+  const references = await LinkReference.find({ targetType, targetId }).sort('-updatedAt').lean();
+  if (!references.length) return [];
+
+  const idsOf = (type) => [...new Set(
+    references.filter(ref => ref.sourceType === type).map(ref => ref.sourceId.toString())
+  )];
+  const sources = new Map();
+
+  const documents = await Document.find({ _id: { $in: idsOf('document') }, isArchived: { $ne: true } })
+    .select('title content workspaceId createdBy collaborators isPublic');
+  for (const document of documents) {
+    if (await document.canUserView(userId)) {
+      sources.set(`document:${document._id}`, { entity: document, title: document.title });
+    }
+  }
+
+  // Tasks are visible to the members of their workspace
+  const tasks = await Task.find({ _id: { $in: idsOf('task') } })
+    .select('title description comments workspaceId projectId');
+  const memberOf = new Map();
+  for (const task of tasks) {
+    const workspaceId = task.workspaceId.toString();
+    if (!memberOf.has(workspaceId)) {
+      const workspace = await Workspace.findById(workspaceId).select('members createdBy');
+      memberOf.set(workspaceId, !!workspace && workspace.hasAccess(userId));
+    }
+    if (memberOf.get(workspaceId)) {
+      sources.set(`task:${task._id}`, { entity: task, title: task.title });
+    }
+  }
+
+  const messages = await Message.find({ _id: { $in: idsOf('message') }, isDeleted: false })
+    .select('text senderId workspaceId channelId conversationId threadId')
+    .populate('senderId', 'name avatar');
+  for (const message of messages) {
+    try {
+      await checkMessageAccess(message, userId);
+      sources.set(`message:${message._id}`, {
+        entity: message,
+        title: `Message from ${message.senderId ? message.senderId.name : 'a former member'}`
+      });
+    } catch (error) {
+      // Not readable by this user
+    }
+  }
+
+  // One entry per source, quoting where the first link to the target is written
+  const backlinks = new Map();
+  for (const ref of references) {
+    const key = `${ref.sourceType}:${ref.sourceId}`;
+    const source = sources.get(key);
+    if (!source) continue;
+
+    if (backlinks.has(key)) {
+      const entry = backlinks.get(key);
+      if (!entry.kinds.includes(ref.kind)) entry.kinds.push(ref.kind);
+      continue;
+    }
+
+    const { entity, title } = source;
+    let text;
+    if (ref.sourceType === 'document') text = entity.content;
+    else if (ref.sourceType === 'message') text = entity.text;
+    else if (ref.sourceCommentId) text = (entity.comments.id(ref.sourceCommentId) || {}).text;
+    else text = entity.description;
+
+    backlinks.set(key, {
+      type: ref.sourceType,
+      id: entity._id,
+      title,
+      snippet: toSnippet(text || '', ref.kind === 'wiki' ? `[[${ref.label}` : targetId.toString()),
+      link: exports.getEntityLink(ref.sourceType, entity),
+      commentId: ref.sourceCommentId,
+      kinds: [ref.kind],
+      updatedAt: ref.updatedAt
+    });
+  }
+
+  return [...backlinks.values()];
+};
+
+/**
+ * Pattern matching [[Title]] links to a page, whatever case and spacing they were written with
+ * @param {String} title - Page title
+ * @returns {RegExp} Global pattern
+ */
+exports.wikiLinkPattern = (title) => new RegExp(
+  `\\[\\[\\s*${escapeRegExp(title.trim()).replace(/\s+/g, '\\s+')}\\s*\\]\\]`,
+  'gi'
+);
+
+/**
+ * Rewrite [[Old title]] links to a renamed page in task descriptions, task
+ * comments and messages. Documents are left to the caller, which edits them
+ * live through the sync engine.
+ * @param {Object} document - Renamed document
+ * @param {String} oldTitle - Title before the rename
+ * @returns {Object} { documentIds, tasks, messages } - documents still to update, edited tasks and messages
+ */
+exports.renameWikiLinks = async (document, oldTitle) => {
+  const references = await LinkReference.find({ targetType: 'document', targetId: document._id, kind: 'wiki' })
+    .select('sourceType sourceId')
+    .lean();
+
+  const idsOf = (type) => [...new Set(
+    references.filter(ref => ref.sourceType === type).map(ref => ref.sourceId.toString())
+  )];
+  const pattern = exports.wikiLinkPattern(oldTitle);
+  const replacement = `[[${document.title}]]`;
+  const rewrite = (text) => (text ? text.replace(pattern, () => replacement) : text);
+
+  const tasks = [];
+  for (const task of await Task.find({ _id: { $in: idsOf('task') } })) {
+    let changed = false;
+    const description = rewrite(task.description);
+    if (description !== task.description) {
+      task.description = description;
+      changed = true;
+    }
+    task.comments.forEach(comment => {
+      const text = rewrite(comment.text);
+      if (text !== comment.text) {
+        comment.text = text;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      try {
+        await task.save();
+        tasks.push(task);
+      } catch (error) {
+        console.error(`Error renaming links in task ${task._id}:`, error.message);
+      }
+    }
+  }
+
+  const messages = [];
+  for (const message of await Message.find({ _id: { $in: idsOf('message') }, isDeleted: false })) {
+    const text = rewrite(message.text);
+    if (text === message.text) continue;
+
+    message.text = text;
+    try {
+      await message.save();
+      messages.push(message);
+    } catch (error) {
+      console.error(`Error renaming links in message ${message._id}:`, error.message);
+    }
+  }
+
+  return { documentIds: idsOf('document'), tasks, messages };
+};
@@ -0,0 +1,291 @@
+/**
+ * Message Utility Functions
+ * Access checks for single messages and the chat search query language
+ * (from:@user, in:#channel, has:file|link, is:pinned, before:/after:, "phrases").
+ */
+
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const Conversation = require('../models/Conversation');
+const Workspace = require('../models/Workspace');
+const { getAccessibleChannel } = require('./channelUtils');
+const { AppError } = require('./helpers');
+
+const SEARCH_OPERATORS = ['from', 'in', 'has', 'is', 'before', 'after'];
+const HAS_VALUES = ['file', 'link'];
+const IS_VALUES = ['pinned'];
+
+// op:"quoted value", op:value, "phrase" or a bare word
+const TOKEN_PATTERN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+const LINK_PATTERN = /https?:\/\/\S+/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+// Room the message's stream is broadcast to
+const getStreamRoom = (message) => {
+  if (message.channelId) return `chat:channel:${message.channelId}`;
+  if (message.conversationId) return `chat:conversation:${message.conversationId}`;
+  return `workspace:${message.workspaceId}`;
+};
+
+/**
+ * Check that a user may read a message
+ * @param {Object} message - Message document
+ * @param {String} userId - User ID
+ * @returns {Object} { channel, conversation } - the message's channel or conversation, if any
+ * @throws {AppError}
+ */
+const checkMessageAccess = async (message, userId) => {
+  if (message.channelId) {
+    const { channel } = await getAccessibleChannel(message.channelId, userId);
+    return { channel, conversation: null };
+  }
+
+  if (message.conversationId) {
+    const conversation = await Conversation.findById(message.conversationId);
+    // Outsiders get the same answer as for a missing message
+    if (!conversation || !conversation.isParticipant(userId)) {
+      throw new AppError('Message not found', 404);
+    }
+    return { channel: null, conversation };
+  }
+
+  const workspace = await Workspace.findById(message.workspaceId);
+  if (!workspace || !workspace.hasAccess(userId)) {
+    throw new AppError('Access denied to this message', 403);
+  }
+  return { channel: null, conversation: null };
+};
+
+/**
+ * Load a message the user is allowed to read
+ * @param {String} messageId - Message ID
+ * @param {String} userId - User ID
+ * @returns {Object} { message, channel, conversation }
+ * @throws {AppError}
+ */
+exports.getAccessibleMessage = async (messageId, userId) => {
+  const message = await Message.findById(messageId);
+  if (!message || message.isDeleted) {
+    throw new AppError('Message not found', 404);
+  }
+
+  const { channel, conversation } = await checkMessageAccess(message, userId);
+  return { message, channel, conversation };
+};
+
+// ==================== SEARCH ====================
+
+const parseDate = (operator, value) => {
+  const date = new Date(value);
+  if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime())) {
+    throw new AppError(`${operator}: expects a date like 2024-05-31`);
+  }
+  return date;
+};
+
+const addOperator = (parsed, operator, value) => {
+  if (!value) {
+    throw new AppError(`${operator}: needs a value`);
+  }
+
+  switch (operator) {
+    case 'from':
+      parsed.from.push(value.replace(/^@/, '').toLowerCase());
+      break;
+    case 'in':
+      parsed.in.push(value.replace(/^#/, '').toLowerCase());
+      break;
+    case 'has':
+      if (!HAS_VALUES.includes(value.toLowerCase())) {
+        throw new AppError(`Unknown filter has:${value} (use ${HAS_VALUES.map(v => `has:${v}`).join(' or ')})`);
+      }
+      parsed.has.push(value.toLowerCase());
+      break;
+    case 'is':
+      if (!IS_VALUES.includes(value.toLowerCase())) {
+        throw new AppError(`Unknown filter is:${value} (use ${IS_VALUES.map(v => `is:${v}`).join(' or ')})`);
+      }
+      parsed.is.push(value.toLowerCase());
+      break;
+    case 'before':
+      parsed.before = parseDate(operator, value);
+      break;
+    case 'after':
+      parsed.after = parseDate(operator, value);
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Split a search query into words, phrases and operators.
+ * Unknown operators (e.g. the "https:" of a pasted link) are searched as text.
+ * @param {String} raw - Query as typed
+ * @returns {Object} { terms, phrases, from, in, has, is, before, after }
+ * @throws {AppError} On malformed operator values
+ */
+exports.parseSearchQuery = (raw = '') => {
+  const parsed = { terms: [], phrases: [], from: [], in: [], has: [], is: [], before: null, after: null };
+
+  for (const match of raw.matchAll(TOKEN_PATTERN)) {
+    const [token, quotedOperator, quotedValue, operator, value, phrase] = match;
+    const name = (quotedOperator || operator || '').toLowerCase();
+
+    if (SEARCH_OPERATORS.includes(name)) {
+      addOperator(parsed, name, (quotedOperator ? quotedValue : value).trim());
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+
+  return parsed;
+};
+
+// Lowercase letters and digits only, so "@jane.doe" matches "Jane Doe"
+const compact = (value = '') => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const findMemberByHandle = (users, handle) => {
+  const target = compact(handle);
+  return users.find(user => {
+    const email = user.email || '';
+    const name = user.name || '';
+    return [email, email.split('@')[0], name, name.split(' ')[0]].some(candidate => compact(candidate) === target);
+  });
+};
+
+/**
+ * Turn a parsed query into a Message filter limited to what the user can read
+ * @param {Object} parsed - From parseSearchQuery
+ * @param {String} workspaceId - Workspace ID
+ * @param {String} userId - User searching
+ * @returns {Object} Mongo filter
+ * @throws {AppError} When a from:/in: value matches nobody
+ */
+exports.buildSearchFilter = async (parsed, workspaceId, userId) => {
+  // Skip messages from private channels and conversations the user is not in
+  const channels = await Channel.findVisible(workspaceId, userId, { includeArchived: true }).select('_id name');
+  const conversations = await Conversation.findForUser(workspaceId, userId).select('_id');
+
+  const filter = {
+    workspaceId,
+    isDeleted: false,
+    channelId: { $in: [null, ...channels.map(channel => channel._id)] },
+    conversationId: { $in: [null, ...conversations.map(conversation => conversation._id)] }
+  };
+
+  if (parsed.in.length) {
+    filter.channelId = {
+      $in: parsed.in.map(name => {
+        const channel = channels.find(c => c.name === Channel.toSlug(name));
+        if (!channel) throw new AppError(`No channel named #${name}`);
+        return channel._id;
+      })
+    };
+  }
+
+  if (parsed.from.length) {
+    const workspace = await Workspace.findById(workspaceId).populate('members.userId', 'name email');
+    const users = workspace.members.map(member => member.userId).filter(Boolean);
+
+    filter.senderId = {
+      $in: parsed.from.map(handle => {
+        if (handle === 'me') return userId;
+        const user = findMemberByHandle(users, handle);
+        if (!user) throw new AppError(`No workspace member matches @${handle}`);
+        return user._id;
+      })
+    };
+  }
+
+  if (parsed.has.includes('file')) filter['attachments.0'] = { $exists: true };
+  if (parsed.has.includes('link')) filter.text = LINK_PATTERN;
+  if (parsed.is.includes('pinned')) filter.isPinned = true;
+
+  // before: excludes the given day, after: starts the day after it
+  if (parsed.before || parsed.after) {
+    filter.createdAt = {};
+    if (parsed.before) filter.createdAt.$lt = parsed.before;
+    if (parsed.after) filter.createdAt.$gte = new Date(parsed.after.getTime() + DAY_MS);
+  }
+
+  // Every word and phrase is quoted so all of them have to match
+  const needles = [...parsed.terms, ...parsed.phrases];
+  if (needles.length) {
+    filter.$text = { $search: needles.map(needle => `"${needle.replace(/"/g, '')}"`).join(' ') };
+  }
+
+  return filter;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Cut a snippet around the first match and locate every match inside it
+ * @param {String} text - Message text
+ * @param {Array} needles - Words and phrases searched for
+ * @returns {Object} { snippet, highlights: [{ start, end }] } - offsets into snippet
+ */
+exports.buildSnippet = (text, needles) => {
+  const ranges = [];
+  needles.filter(Boolean).forEach(needle => {
+    const pattern = new RegExp(escapeRegExp(needle), 'gi');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+
+  // Overlapping matches ("deploy" inside "deploy script") become one highlight
+  const merged = ranges.reduce((list, range) => {
+    const last = list[list.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      list.push({ ...range });
+    }
+    return list;
+  }, []);
+
+  const anchor = merged[0] || { start: 0, end: 0 };
+  const start = Math.max(0, anchor.start - SNIPPET_RADIUS);
+  const end = Math.min(text.length, anchor.end + SNIPPET_RADIUS + (merged.length ? 0 : SNIPPET_RADIUS));
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: merged
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+  };
+};
+
+/**
+ * Filter for the stream a message is shown in: its thread for thread-only
+ * replies, otherwise its channel, conversation or the workspace stream
+ * @param {Object} message - Message document
+ * @returns {Object} Mongo filter
+ */
+exports.getStreamScope = (message) => {
+  if (message.threadId && !message.alsoSentToChannel) {
+    return { threadId: message.threadId, isDeleted: false };
+  }
+
+  return {
+    ...Message.streamFilter(),
+    workspaceId: message.workspaceId,
+    channelId: message.channelId || null,
+    conversationId: message.conversationId || null,
+    isDeleted: false
+  };
+};
+
+exports.getStreamRoom = getStreamRoom;
+exports.checkMessageAccess = checkMessageAccess;
@@ -0,0 +1,76 @@
+/**
+ * Notification Utility Functions
+ * Single entry point for sending notifications. Honors each recipient's
+ * preferences: delivery mode per type and workspace, and quiet hours.
+ */
+
+const Notification = require('../models/Notification');
+const NotificationPreference = require('../models/NotificationPreference');
+const User = require('../models/User');
+const { sendNotificationEmail } = require('./emailUtils');
+
+/**
+ * Send a notification to one user
+ * @param {Object} io - Socket.IO server (may be undefined in jobs and tests)
+ * @param {Object} data - Notification fields, including userId and type
+ * @param {Object} options - { payload, email }
+ *   payload: extra fields for the `notification:new` socket event
+ *   email: (user, notification) => Promise, replaces the generic notification email
+ * @returns {Object|null} Created notification, or null when the user turned the type off
+ */
+exports.notify = async (io, data, { payload = {}, email } = {}) => {
+  const preferences = await NotificationPreference.forUser(data.userId);
+  const mode = preferences.getMode(data.type, data.workspaceId);
+  if (mode === 'off') return null;
+
+  // Quiet hours hold back emails until the next digest
+  const quiet = mode === 'email' && preferences.isQuietTime();
+
+  const notification = await Notification.create({
+    ...data,
+    digestPending: mode === 'digest' || quiet
+  });
+
+  if (io && mode !== 'digest') {
+    io.to(`user:${data.userId}`).emit('notification:new', {
+      type: notification.type,
+      notification,
+      ...payload
+    });
+  }
+
+  if (mode === 'email' && !quiet) {
+    // A failed email must not fail the action that caused the notification
+    try {
+      const user = await User.findById(data.userId).select('name email');
+      if (user) {
+        await (email ? email(user, notification) : sendNotificationEmail(user, notification));
+      }
+    } catch (error) {
+      console.error(`⚠️ Failed to email ${data.type} notification to ${data.userId}:`, error.message);
+    }
+  }
+
+  return notification;
+};
+
+/**
+ * Send the same notification to several users
+ * @param {Object} io - Socket.IO server
+ * @param {Array} userIds - Recipients; duplicates and the sender are skipped
+ * @param {Object} data - Notification fields without userId
+ * @param {Object} options - See notify
+ * @returns {Array} Created notifications
+ */
+exports.notifyUsers = async (io, userIds, data, options) => {
+  const sender = data.senderId ? data.senderId.toString() : null;
+  const recipients = [...new Set(userIds.filter(Boolean).map(id => id.toString()))]
+    .filter(id => id !== sender);
+
+  const notifications = [];
+  for (const userId of recipients) {
+    const notification = await exports.notify(io, { ...data, userId }, options);
+    if (notification) notifications.push(notification);
+  }
+  return notifications;
+};
@@ -0,0 +1,152 @@
+/**
+ * Recurrence Utility Functions
+ * Date math for recurring task rules. Occurrences keep the time of day
+ * of the rule's startsAt anchor and are computed in server time.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Safety cap when scanning forward for the next occurrence
+const MAX_SCAN_DAYS = 400;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'after_completion'];
+
+/**
+ * Copy a date onto another day, keeping the anchor's time of day
+ */
+const atAnchorTime = (day, anchor) => {
+  const date = new Date(day);
+  date.setHours(anchor.getHours(), anchor.getMinutes(), anchor.getSeconds(), 0);
+  return date;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Whole calendar days between two dates, ignoring DST shifts
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const nextDaily = (rule, anchor, after) => {
+  const interval = rule.interval || 1;
+  if (anchor > after) return anchor;
+
+  const steps = Math.floor(daysBetween(anchor, after) / interval) * interval;
+  const candidate = new Date(anchor);
+  candidate.setDate(candidate.getDate() + steps);
+  while (candidate <= after) {
+    candidate.setDate(candidate.getDate() + interval);
+  }
+  return candidate;
+};
+
+const nextWeekly = (rule, anchor, after) => {
+  const interval = rule.interval || 1;
+  const weekdays = rule.weekdays && rule.weekdays.length ? rule.weekdays : [anchor.getDay()];
+  const anchorWeekStart = startOfDay(anchor);
+  anchorWeekStart.setDate(anchorWeekStart.getDate() - anchorWeekStart.getDay());
+
+  const from = after < anchor ? new Date(anchor.getTime() - 1) : after;
+  const day = startOfDay(from);
+
+  for (let i = 0; i <= MAX_SCAN_DAYS + 7 * interval; i++) {
+    const candidate = atAnchorTime(day, anchor);
+    const week = Math.floor(daysBetween(anchorWeekStart, candidate) / 7);
+
+    if (candidate > from && candidate >= anchor && weekdays.includes(candidate.getDay()) && week % interval === 0) {
+      return candidate;
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return null;
+};
+
+const nextMonthly = (rule, anchor, after) => {
+  const interval = rule.interval || 1;
+  const dayOfMonth = rule.dayOfMonth || anchor.getDate();
+  const from = after < anchor ? new Date(anchor.getTime() - 1) : after;
+
+  // Months since the anchor month, rounded down to the interval
+  let monthOffset = (from.getFullYear() - anchor.getFullYear()) * 12 + (from.getMonth() - anchor.getMonth());
+  monthOffset = Math.max(0, Math.floor(monthOffset / interval) * interval);
+
+  for (let i = 0; i < 3; i++, monthOffset += interval) {
+    const year = anchor.getFullYear() + Math.floor((anchor.getMonth() + monthOffset) / 12);
+    const month = (anchor.getMonth() + monthOffset) % 12;
+    // Day 31 falls back to the last day of shorter months
+    const day = Math.min(dayOfMonth, daysInMonth(year, month));
+    const candidate = atAnchorTime(new Date(year, month, day), anchor);
+
+    if (candidate > from && candidate >= anchor) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Next occurrence of a calendar rule strictly after a date
+ * @param {Object} rule - { frequency, interval, weekdays, dayOfMonth, startsAt, endsAt }
+ * @param {Date} after - Previous occurrence (or now)
+ * @returns {Date|null} Next occurrence, or null when the rule has ended
+ */
+exports.getNextOccurrence = (rule, after = new Date()) => {
+  if (!rule || !rule.frequency || rule.frequency === 'after_completion') return null;
+
+  const anchor = rule.startsAt ? new Date(rule.startsAt) : new Date();
+  const from = new Date(after);
+
+  let next = null;
+  if (rule.frequency === 'daily') next = nextDaily(rule, anchor, from);
+  if (rule.frequency === 'weekly') next = nextWeekly(rule, anchor, from);
+  if (rule.frequency === 'monthly') next = nextMonthly(rule, anchor, from);
+
+  if (next && rule.endsAt && next > new Date(rule.endsAt)) return null;
+  return next;
+};
+
+/**
+ * Next occurrence of an "every N days after completion" rule
+ * @param {Object} rule - { interval, endsAt }
+ * @param {Date} completedAt - When the current occurrence was completed
+ * @returns {Date|null}
+ */
+exports.getNextAfterCompletion = (rule, completedAt) => {
+  if (!rule || !completedAt) return null;
+
+  const next = new Date(completedAt);
+  next.setDate(next.getDate() + (rule.interval || 1));
+
+  if (rule.endsAt && next > new Date(rule.endsAt)) return null;
+  return next;
+};
+
+/**
+ * Pick the user-settable fields of a recurrence rule from a request body.
+ * nextRunAt is left out so the Task model recomputes it.
+ * @param {Object|null} input - Rule from the request, null to stop recurring
+ * @returns {Object|null}
+ */
+exports.normalizeRecurrence = (input) => {
+  if (!input || !input.frequency) return null;
+
+  const rule = {
+    frequency: input.frequency,
+    interval: Number(input.interval) || 1,
+    startsAt: input.startsAt ? new Date(input.startsAt) : new Date(),
+    endsAt: input.endsAt ? new Date(input.endsAt) : null
+  };
+
+  if (input.frequency === 'weekly') {
+    rule.weekdays = [...new Set((input.weekdays || []).map(Number))].sort();
+  }
+  if (input.frequency === 'monthly' && input.dayOfMonth) {
+    rule.dayOfMonth = Number(input.dayOfMonth);
+  }
+
+  return rule;
+};
+
+exports.FREQUENCIES = FREQUENCIES;
@@ -0,0 +1,321 @@
+/**
+ * Storage Usage Utility Functions
+ * Bytes a workspace keeps in storage, broken down by kind, project and user,
+ * and the per-workspace quota uploads are checked against. Usage counts every
+ * stored version of every file (archived ones included), task attachments
+ * and the files chat messages link to.
+ *
+ * Uploads reserve their bytes on a running counter on the workspace
+ * (storage.used) and deletions release them; only the usage breakdown scans
+ * the stored files.
+ */
+
+const mongoose = require('mongoose');
+const File = require('../models/File');
+const Task = require('../models/Task');
+const Message = require('../models/Message');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { notifyUsers } = require('./notificationUtils');
+const { formatFileSize, AppError } = require('./helpers');
+
+const DEFAULT_QUOTA_MB = 5120;
+const WARNING_LEVELS = [95, 80];
+
+// Chat messages attach workspace files by their download URL
+const FILE_URL_PATTERN = /^\/api\/files\/([a-f0-9]{24})\/download$/i;
+
+/**
+ * Upload refused because the workspace is out of space
+ */
+class StorageQuotaError extends AppError {
+  constructor(message, usage) {
+    super(message, 413);
+    this.name = 'StorageQuotaError';
+    this.usage = usage;
+  }
+}
+
+const loadWorkspace = (workspaceId) => {
+  if (!mongoose.Types.ObjectId.isValid(workspaceId)) return null;
+  return Workspace.findById(workspaceId).select('name members createdBy storage');
+};
+
+/**
+ * Quota of a workspace in bytes
+ * @param {Object} workspace - Workspace
+ * @returns {Number|null} Bytes, or null when unlimited
+ */
+exports.getQuota = (workspace) => {
+  const configured = workspace.storage && workspace.storage.quota;
+  if (configured !== null && configured !== undefined) return configured || null;
+
+  const defaultMB = process.env.WORKSPACE_STORAGE_QUOTA_MB !== undefined
+    ? Number(process.env.WORKSPACE_STORAGE_QUOTA_MB)
+    : DEFAULT_QUOTA_MB;
+  return defaultMB > 0 ? defaultMB * 1024 * 1024 : null;
+};
+
+/**
+ * Bytes stored for a file, every version included; a restored version shares
+ * its bytes with the version it came from
+ * @param {Object} file - File
+ * @returns {Number} Bytes
+ */
+exports.getFileBytes = (file) => {
+  const counted = new Set();
+  let bytes = 0;
+  for (const source of [file, ...(file.versionHistory || [])]) {
+    if (!source.storageKey || counted.has(source.storageKey)) continue;
+    counted.add(source.storageKey);
+    bytes += source.fileSize || 0;
+  }
+  return bytes;
+};
+
+/**
+ * Bytes stored for a workspace, counted from its files and attachments
+ * @param {String} workspaceId - Workspace ID
+ * @returns {Object} { used, categories: { files, versions, taskAttachments,
+ *                     chatAttachments }, projects: Map, users: Map }
+ */
+exports.getWorkspaceUsage = async (workspaceId) => {
+  const [files, tasks, messages] = await Promise.all([
+    File.find({ workspaceId })
+      .select('fileSize storageKey projectId uploadedBy versionUploadedBy versionHistory.fileSize versionHistory.storageKey versionHistory.uploadedBy')
+      .lean(),
+    Task.find({ workspaceId, 'attachments.storageKey': { $type: 'string' } })
+      .select('projectId attachments.fileSize attachments.storageKey attachments.uploadedBy')
+      .lean(),
+    Message.find({ workspaceId, 'attachments.fileUrl': FILE_URL_PATTERN })
+      .select('attachments.fileUrl')
+      .lean()
+  ]);
+
+  const chatFileIds = new Set(messages.flatMap(message => message.attachments
+    .map(attachment => (attachment.fileUrl || '').match(FILE_URL_PATTERN))
+    .filter(Boolean)
+    .map(match => match[1])));
+
+  const usage = {
+    used: 0,
+    categories: { files: 0, versions: 0, taskAttachments: 0, chatAttachments: 0 },
+    projects: new Map(),
+    users: new Map()
+  };
+
+  const add = (category, bytes, projectId, userId) => {
+    if (!bytes) return;
+    usage.used += bytes;
+    usage.categories[category] += bytes;
+
+    const projectKey = projectId ? projectId.toString() : null;
+    usage.projects.set(projectKey, (usage.projects.get(projectKey) || 0) + bytes);
+    if (userId) {
+      const userKey = userId.toString();
+      usage.users.set(userKey, (usage.users.get(userKey) || 0) + bytes);
+    }
+  };
+
+  for (const file of files) {
+    // Same counting as getFileBytes, split between the current version and history
+    const counted = new Set();
+    if (file.storageKey) {
+      counted.add(file.storageKey);
+      const category = chatFileIds.has(file._id.toString()) ? 'chatAttachments' : 'files';
+      add(category, file.fileSize, file.projectId, file.versionUploadedBy || file.uploadedBy);
+    }
+    for (const version of file.versionHistory || []) {
+      if (!version.storageKey || counted.has(version.storageKey)) continue;
+      counted.add(version.storageKey);
+      add('versions', version.fileSize, file.projectId, version.uploadedBy);
+    }
+  }
+
+  for (const task of tasks) {
+    for (const attachment of task.attachments) {
+      if (attachment.storageKey) add('taskAttachments', attachment.fileSize, task.projectId, attachment.uploadedBy);
+    }
+  }
+
+  return usage;
+};
+
+/**
+ * Usage of a workspace against its quota, with the biggest projects and
+ * users named
+ * @param {Object} workspace - Workspace
+ * @returns {Object} { used, quota, available, percent, categories, projects, users }
+ */
+exports.getUsageBreakdown = async (workspace) => {
+  const usage = await exports.getWorkspaceUsage(workspace._id);
+  const quota = exports.getQuota(workspace);
+
+  const projectIds = [...usage.projects.keys()].filter(Boolean);
+  const userIds = [...usage.users.keys()];
+  const [projects, users] = await Promise.all([
+    Project.find({ _id: { $in: projectIds } }).select('name').lean(),
+    User.find({ _id: { $in: userIds } }).select('name email').lean()
+  ]);
+  const projectNames = new Map(projects.map(project => [project._id.toString(), project.name]));
+  const userInfo = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    used: usage.used,
+    quota,
+    available: quota ? Math.max(quota - usage.used, 0) : null,
+    percent: quota ? Math.round(usage.used / quota * 1000) / 10 : null,
+    categories: usage.categories,
+    projects: [...usage.projects]
+      .map(([projectId, bytes]) => ({
+        projectId,
+        name: projectId ? projectNames.get(projectId) || null : null,
+        bytes
+      }))
+      .sort((a, b) => b.bytes - a.bytes),
+    users: [...usage.users]
+      .map(([userId, bytes]) => ({
+        userId,
+        name: userInfo.get(userId)?.name || null,
+        email: userInfo.get(userId)?.email || null,
+        bytes
+      }))
+      .sort((a, b) => b.bytes - a.bytes)
+  };
+};
+
+/**
+ * Bytes a workspace uses, from its running counter. Workspaces without one
+ * yet are counted once to start it.
+ * @param {Object} workspace - Workspace
+ * @returns {Number} Bytes
+ */
+exports.getUsedBytes = async (workspace) => {
+  const used = workspace.storage && workspace.storage.used;
+  if (used !== null && used !== undefined) return used;
+
+  const usage = await exports.getWorkspaceUsage(workspace._id);
+  await Workspace.updateOne(
+    { _id: workspace._id, 'storage.used': null },
+    { $set: { 'storage.used': usage.used } }
+  );
+
+  const counted = await Workspace.findById(workspace._id).select('storage.used').lean();
+  return counted.storage.used;
+};
+
+/**
+ * Reserve room for an upload on the workspace's usage counter. The counter
+ * only moves while the upload fits, so concurrent uploads can't pass the
+ * quota together.
+ * @param {String} workspaceId - Workspace ID (unknown workspaces are left to the caller)
+ * @param {Number} bytes - Size of the upload
+ * @returns {Boolean} Whether bytes were reserved (release them if the upload fails)
+ * @throws {StorageQuotaError}
+ */
+exports.reserveStorage = async (workspaceId, bytes) => {
+  const workspace = bytes > 0 && await loadWorkspace(workspaceId);
+  if (!workspace) return false;
+
+  await exports.getUsedBytes(workspace);
+  const quota = exports.getQuota(workspace);
+
+  const filter = { _id: workspace._id };
+  if (quota) filter['storage.used'] = { $lte: quota - bytes };
+  const reserved = await Workspace.updateOne(filter, { $inc: { 'storage.used': bytes } });
+  if (reserved.modifiedCount) return true;
+  if (!quota) return false;
+
+  const used = await exports.getUsedBytes(await loadWorkspace(workspace._id));
+  const available = Math.max(quota - used, 0);
+  throw new StorageQuotaError(
+    `Workspace storage quota exceeded: this upload needs ${formatFileSize(bytes)} but only ` +
+    `${formatFileSize(available)} of the ${formatFileSize(quota)} quota is left. ` +
+    'Delete files or old versions to free up space, or ask an administrator to raise the quota.',
+    { used, quota, available, required: bytes }
+  );
+};
+
+/**
+ * Give bytes back to a workspace's usage counter: a failed upload's
+ * reservation, or deleted files and attachments
+ * @param {String} workspaceId - Workspace ID
+ * @param {Number} bytes - Bytes freed
+ */
+exports.releaseStorage = async (workspaceId, bytes) => {
+  if (!bytes || !mongoose.Types.ObjectId.isValid(workspaceId)) return;
+
+  // Never below zero, and workspaces not counted yet are counted when next used
+  await Workspace.updateOne(
+    { _id: workspaceId, 'storage.used': { $ne: null } },
+    [{ $set: { 'storage.used': { $max: [{ $subtract: ['$storage.used', bytes] }, 0] } } }]
+  );
+};
+
+/**
+ * Notify workspace admins when usage passes 80% or 95% of the quota. Each
+ * level is sent once until usage drops below it again.
+ * @param {Object} io - Socket.IO instance
+ * @param {String} workspaceId - Workspace ID
+ */
+exports.checkUsageWarnings = async (io, workspaceId) => {
+  const workspace = await loadWorkspace(workspaceId);
+  if (!workspace) return;
+
+  const quota = exports.getQuota(workspace);
+  const used = quota ? await exports.getUsedBytes(workspace) : 0;
+  const percent = quota ? used / quota * 100 : 0;
+  const level = WARNING_LEVELS.find(threshold => percent >= threshold) || 0;
+
+  const previous = workspace.storage?.warningLevel || 0;
+  if (level === previous) return;
+
+  // Only the request that moves the level sends the warning
+  const result = await Workspace.updateOne(
+    { _id: workspace._id, 'storage.warningLevel': { $in: previous ? [previous] : [0, null] } },
+    { $set: { 'storage.warningLevel': level } }
+  );
+  if (!result.modifiedCount || level < previous) return;
+
+  const adminIds = [
+    workspace.createdBy,
+    ...workspace.members.filter(member => member.role === 'Admin').map(member => member.userId)
+  ];
+  await notifyUsers(io, adminIds, {
+    type: 'storage_quota',
+    title: level >= 95 ? 'Workspace storage nearly full' : 'Workspace storage filling up',
+    message: `${workspace.name} uses ${formatFileSize(used)} (${Math.floor(percent)}%) of its ${formatFileSize(quota)} storage quota`,
+    workspaceId: workspace._id,
+    priority: level >= 95 ? 'high' : 'normal',
+    link: `/workspace/${workspace._id}/files`
+  }, { payload: { used, quota, level } });
+};
+
+// The workspace, if the user belongs to it; anything else is left for the
+// controller to refuse, so quota details only go to members
+const memberWorkspaceId = async (req, workspaceId) => {
+  if (!workspaceId || !mongoose.Types.ObjectId.isValid(workspaceId)) return null;
+  const isMember = await Workspace.exists({
+    _id: workspaceId,
+    $or: [{ createdBy: req.user._id }, { 'members.userId': req.user._id }]
+  });
+  return isMember ? workspaceId : null;
+};
+
+// Where an upload's bytes will go, for uploadMiddleware.enforceQuota
+exports.workspaceOfUpload = {
+  body: (req) => memberWorkspaceId(req, req.body.workspaceId),
+  file: async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    const file = await File.findById(req.params.id).select('workspaceId');
+    return file && memberWorkspaceId(req, file.workspaceId);
+  },
+  task: async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    const task = await Task.findById(req.params.id).select('workspaceId');
+    return task && memberWorkspaceId(req, task.workspaceId);
+  }
+};
+
+exports.StorageQuotaError = StorageQuotaError;
@@ -0,0 +1,388 @@
+/**
+ * Storage Utility Functions
+ * File storage behind one driver interface, so uploads, downloads, avatars
+ * and attachments work the same on local disk and on Cloudinary. The driver
+ * is picked with STORAGE_DRIVER (`local`, the default, or `cloudinary`).
+ *
+ * Every driver implements:
+ *   put(key, source, { contentType, public }) -> { key, size, contentType, url }
+ *   getStream(key)                            -> readable stream
+ *   delete(key)
+ *   getSignedUrl(key, { expiresIn, filename }) -> { url, expiresAt }
+ *   stat(key)                                 -> { size, contentType, updatedAt } or null
+ *   copy(fromKey, toKey, { public })          -> { key, size, contentType, url }
+ *   getPublicUrl(key)                         -> URL of an object stored with `public`
+ *
+ * `source` is a local file path or a Buffer. The key returned by put and copy
+ * is the one to store: drivers may prefix it (e.g. with the visibility).
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { AppError } = require('./helpers');
+
+const DEFAULT_URL_TTL = 3600; // seconds
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg'
+};
+
+const guessContentType = (key) => MIME_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const urlTtl = () => parseInt(process.env.STORAGE_URL_TTL, 10) || DEFAULT_URL_TTL;
+
+// Keys only use safe characters, and never climb out of their folder
+const normalizeKey = (key) => {
+  const parts = String(key).split('/').filter(part => part && part !== '.' && part !== '..');
+  if (!parts.length) throw new AppError('Invalid storage key', 400);
+  return parts.join('/');
+};
+
+// ==================== LOCAL DRIVER ====================
+
+/**
+ * Files under UPLOAD_PATH (./uploads by default). Public objects live in
+ * `public/` and are served from /uploads; private ones are only reachable
+ * through HMAC-signed, expiring URLs served by GET /api/files/signed.
+ */
+const createLocalDriver = ({ root, secret }) => {
+  const publicRoot = path.join(root, 'public');
+
+  const resolve = (key) => {
+    const filePath = path.resolve(root, normalizeKey(key));
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires, filename) => crypto
+    .createHmac('sha256', secret)
+    .update(`${key}\n${expires}\n${filename || ''}`)
+    .digest('hex');
+
+  const describe = async (key, contentType) => {
+    const stats = await fsp.stat(resolve(key));
+    return {
+      key,
+      size: stats.size,
+      contentType: contentType || guessContentType(key),
+      url: key.startsWith('public/') ? `/uploads/${key.slice('public/'.length)}` : null
+    };
+  };
+
+  const driver = {
+    name: 'local',
+    publicRoot,
+
+    async put(key, source, { contentType, public: isPublic = false } = {}) {
+      const storedKey = normalizeKey(isPublic ? `public/${key}` : key);
+      const filePath = resolve(storedKey);
+      await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+      if (Buffer.isBuffer(source)) {
+        await fsp.writeFile(filePath, source);
+      } else {
+        await fsp.copyFile(source, filePath);
+      }
+      return describe(storedKey, contentType);
+    },
+
+    async getStream(key) {
+      const filePath = resolve(key);
+      try {
+        await fsp.access(filePath);
+      } catch (error) {
+        throw new AppError('File not found in storage', 404);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async delete(key) {
+      await fsp.rm(resolve(key), { force: true });
+    },
+
+    async getSignedUrl(key, { expiresIn = urlTtl(), filename } = {}) {
+      const storedKey = normalizeKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires: String(expires), signature: sign(storedKey, expires, filename) });
+      if (filename) params.set('filename', filename);
+
+      return {
+        url: `/api/files/signed/${storedKey.split('/').map(encodeURIComponent).join('/')}?${params}`,
+        expiresAt: new Date(expires * 1000)
+      };
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fsp.stat(resolve(key));
+        return { size: stats.size, contentType: guessContentType(key), updatedAt: stats.mtime };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async copy(fromKey, toKey, { public: isPublic = false } = {}) {
+      return driver.put(toKey, resolve(fromKey), { public: isPublic });
+    },
+
+    getPublicUrl(key) {
+      return key.startsWith('public/') ? `/uploads/${key.slice('public/'.length)}` : null;
+    },
+
+    /**
+     * Check a signed URL made by getSignedUrl
+     * @returns {String} Storage key
+     * @throws {AppError}
+     */
+    verifySignedUrl(key, { expires, signature, filename }) {
+      const storedKey = normalizeKey(key);
+      const expected = sign(storedKey, expires, filename);
+      const valid = typeof signature === 'string'
+        && signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+      if (!valid) throw new AppError('Invalid download link', 403);
+      if (Number(expires) * 1000 < Date.now()) throw new AppError('Download link has expired', 410);
+      return storedKey;
+    }
+  };
+
+  return driver;
+};
+
+// ==================== CLOUDINARY DRIVER ====================
+
+/**
+ * Files stored as raw Cloudinary assets. Keys are `<type>/<public_id>`, with
+ * type `authenticated` for private files (signed URLs only) and `upload` for
+ * public ones.
+ */
+const createCloudinaryDriver = () => {
+  const { cloudinary } = require('./cloudinaryUtils');
+
+  const parse = (key) => {
+    const [type, ...rest] = normalizeKey(key).split('/');
+    if (!['upload', 'authenticated'].includes(type) || !rest.length) {
+      throw new AppError('Invalid storage key', 400);
+    }
+    return { type, publicId: rest.join('/') };
+  };
+
+  const describe = (result, contentType) => ({
+    key: `${result.type}/${result.public_id}`,
+    size: result.bytes,
+    contentType: contentType || guessContentType(result.public_id),
+    url: result.type === 'upload' ? result.secure_url : null
+  });
+
+  const upload = (source, options) => {
+    if (!Buffer.isBuffer(source)) {
+      return cloudinary.uploader.upload(source, options);
+    }
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(options, (error, result) => (error ? reject(error) : resolve(result)));
+      Readable.from(source).pipe(stream);
+    });
+  };
+
+  const notFound = (error) => error && (error.http_code === 404 || (error.error && error.error.http_code === 404));
+
+  const driver = {
+    name: 'cloudinary',
+    publicRoot: null,
+
+    async put(key, source, { contentType, public: isPublic = false } = {}) {
+      try {
+        const result = await upload(source, {
+          public_id: normalizeKey(key),
+          resource_type: 'raw',
+          type: isPublic ? 'upload' : 'authenticated',
+          overwrite: true
+        });
+        return describe(result, contentType);
+      } catch (error) {
+        console.error('Cloudinary upload error:', error);
+        throw new AppError('Failed to upload file to cloud storage', 500);
+      }
+    },
+
+    async getStream(key) {
+      const { type, publicId } = parse(key);
+      const url = cloudinary.url(publicId, { resource_type: 'raw', type, sign_url: true, secure: true });
+
+      return new Promise((resolve, reject) => {
+        https.get(url, (response) => {
+          if (response.statusCode === 200) return resolve(response);
+          response.resume();
+          reject(new AppError(
+            response.statusCode === 404 ? 'File not found in storage' : 'Failed to read file from cloud storage',
+            response.statusCode === 404 ? 404 : 502
+          ));
+        }).on('error', () => reject(new AppError('Failed to read file from cloud storage', 502)));
+      });
+    },
+
+    async delete(key) {
+      const { type, publicId } = parse(key);
+      try {
+        await cloudinary.uploader.destroy(publicId, { resource_type: 'raw', type, invalidate: true });
+      } catch (error) {
+        console.error('Cloudinary delete error:', error);
+        throw new AppError('Failed to delete file from cloud storage', 500);
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn = urlTtl(), filename } = {}) {
+      const { type, publicId } = parse(key);
+      const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+      const url = cloudinary.utils.private_download_url(publicId, '', {
+        resource_type: 'raw',
+        type,
+        expires_at: expiresAt,
+        attachment: filename || true
+      });
+      return { url, expiresAt: new Date(expiresAt * 1000) };
+    },
+
+    async stat(key) {
+      const { type, publicId } = parse(key);
+      try {
+        const result = await cloudinary.api.resource(publicId, { resource_type: 'raw', type });
+        return { size: result.bytes, contentType: guessContentType(publicId), updatedAt: new Date(result.created_at) };
+      } catch (error) {
+        if (notFound(error)) return null;
+        console.error('Cloudinary stat error:', error);
+        throw new AppError('Failed to read file information from cloud storage', 500);
+      }
+    },
+
+    // Cloudinary has no server-side copy, so the source is uploaded again from a signed URL
+    async copy(fromKey, toKey, { public: isPublic = false } = {}) {
+      const { url } = await driver.getSignedUrl(fromKey, { expiresIn: 300 });
+      return driver.put(toKey, url, { public: isPublic });
+    },
+
+    getPublicUrl(key) {
+      const { type, publicId } = parse(key);
+      return type === 'upload' ? cloudinary.url(publicId, { resource_type: 'raw', secure: true }) : null;
+    }
+  };
+
+  return driver;
+};
+
+// ==================== DRIVER SELECTION ====================
+
+let storage = null;
+
+/**
+ * The configured storage driver
+ * @returns {Object} Driver
+ */
+exports.getStorage = () => {
+  if (storage) return storage;
+
+  const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (driver === 'cloudinary') {
+    storage = createCloudinaryDriver();
+  } else if (driver === 'local') {
+    storage = createLocalDriver({
+      root: path.resolve(process.env.UPLOAD_PATH || path.join(__dirname, '../../uploads')),
+      secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'syncspace-storage'
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or cloudinary)`);
+  }
+  return storage;
+};
+
+/**
+ * Storage key for a new object: `<folder>/<timestamp>-<random>-<safe name>`
+ * @param {String} folder - e.g. files/<workspaceId>
+ * @param {String} originalName - Uploaded file name
+ * @returns {String} Key
+ */
+exports.buildKey = (folder, originalName = 'file') => {
+  const ext = path.extname(originalName).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const base = path.basename(originalName, path.extname(originalName)).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 80) || 'file';
+  return `${folder}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}-${base}${ext}`;
+};
+
+/**
+ * Move an upload received by multer into storage. The temporary file is
+ * removed whether or not the upload succeeds.
+ * @param {Object} file - Multer file (path, originalname, mimetype)
+ * @param {String} folder - Key folder
+ * @param {Object} options - { public }
+ * @returns {Object} { key, size, contentType, url }
+ */
+exports.storeUpload = async (file, folder, { public: isPublic = false } = {}) => {
+  try {
+    return await exports.getStorage().put(exports.buildKey(folder, file.originalname), file.path, {
+      contentType: file.mimetype,
+      public: isPublic
+    });
+  } finally {
+    await fsp.rm(file.path, { force: true }).catch(() => {});
+  }
+};
+
+/**
+ * Remove objects, logging failures instead of throwing: a file that can't
+ * be deleted from storage shouldn't block deleting its record
+ * @param {Array} keys - Storage keys (empty values are skipped)
+ */
+exports.removeObjects = async (keys) => {
+  const storageDriver = exports.getStorage();
+  for (const key of keys.filter(Boolean)) {
+    try {
+      await storageDriver.delete(key);
+    } catch (error) {
+      console.error(`Error deleting ${key} from storage:`, error.message);
+    }
+  }
+};
+
+/**
+ * Send a stored object as a download
+ * @param {Object} res - Express response
+ * @param {String} key - Storage key
+ * @param {Object} options - { filename, contentType, inline }
+ */
+exports.sendObject = async (res, key, { filename, contentType, inline = false } = {}) => {
+  const stream = await exports.getStorage().getStream(key);
+
+  res.setHeader('Content-Type', contentType || guessContentType(filename || key));
+  if (filename) {
+    res.setHeader(
+      'Content-Disposition',
+      `${inline ? 'inline' : 'attachment'}; filename="${filename.replace(/["\\\r\n]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+    );
+  }
+
+  stream.on('error', (error) => {
+    console.error(`Error streaming ${key}:`, error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
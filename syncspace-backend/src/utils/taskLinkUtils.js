@@ -0,0 +1,187 @@
+/**
+ * Task Link Utility Functions
+ * Creates, removes and describes dependencies between tasks.
+ * Shared by the REST controller and the Kanban socket handler.
+ */
+
+const Task = require('../models/Task');
+const TaskLink = require('../models/TaskLink');
+const { AppError } = require('./helpers');
+
+const LINKED_TASK_FIELDS = 'title status completedAt projectId priority';
+
+// Link types as seen from one task -> how they are stored
+const LINK_TYPES = {
+  blocks: { type: 'blocks', reverse: false },
+  blocked_by: { type: 'blocks', reverse: true },
+  relates_to: { type: 'relates_to', reverse: false },
+  duplicates: { type: 'duplicates', reverse: false },
+  duplicated_by: { type: 'duplicates', reverse: true }
+};
+
+// Stored type -> name seen from the target task
+const INVERSE_TYPES = {
+  blocks: 'blocked_by',
+  relates_to: 'relates_to',
+  duplicates: 'duplicated_by'
+};
+
+/**
+ * Describe a link from the point of view of one of its tasks
+ * @param {Object} link - TaskLink with populated source/target tasks
+ * @param {String} taskId - Task the link is viewed from
+ * @returns {Object} { _id, type, task, createdBy, createdAt }
+ */
+const describeLink = (link, taskId) => {
+  const source = link.sourceTaskId;
+  const sourceId = source && source._id ? source._id : source;
+  const isSource = sourceId.toString() === taskId.toString();
+
+  return {
+    _id: link._id,
+    type: isSource ? link.type : INVERSE_TYPES[link.type],
+    task: isSource ? link.targetTaskId : link.sourceTaskId,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt
+  };
+};
+
+/**
+ * Get every link of a task
+ * @param {String} taskId - Task ID
+ * @returns {Array} Links described from the task's side
+ */
+exports.getTaskLinks = async (taskId) => {
+  const links = await TaskLink.findForTask(taskId)
+    .populate('sourceTaskId', LINKED_TASK_FIELDS)
+    .populate('targetTaskId', LINKED_TASK_FIELDS)
+    .populate('createdBy', 'name email avatar')
+    .sort('createdAt');
+
+  // Skip links whose other task vanished without cleanup
+  return links
+    .filter(link => link.sourceTaskId && link.targetTaskId)
+    .map(link => describeLink(link, taskId));
+};
+
+/**
+ * Link two tasks
+ * @param {Object} task - Task the link is created from
+ * @param {Object} data - { taskId, type, userId }
+ * @returns {Object} { link, tasks } - link described from `task`, both tasks
+ * @throws {AppError}
+ */
+exports.createTaskLink = async (task, { taskId, type, userId }) => {
+  const linkType = LINK_TYPES[type];
+  if (!linkType) {
+    throw new AppError(`Link type must be one of: ${Object.keys(LINK_TYPES).join(', ')}`);
+  }
+
+  if (task._id.toString() === String(taskId)) {
+    throw new AppError('A task cannot be linked to itself');
+  }
+
+  const other = await Task.findById(taskId);
+  if (!other) {
+    throw new AppError('Linked task not found', 404);
+  }
+
+  if (other.workspaceId.toString() !== task.workspaceId.toString()) {
+    throw new AppError('Tasks can only be linked within the same workspace');
+  }
+
+  const [source, target] = linkType.reverse ? [other, task] : [task, other];
+
+  // relates_to is symmetric, so either direction counts as existing
+  const existingFilter = linkType.type === 'relates_to'
+    ? {
+      type: 'relates_to',
+      $or: [
+        { sourceTaskId: source._id, targetTaskId: target._id },
+        { sourceTaskId: target._id, targetTaskId: source._id }
+      ]
+    }
+    : { type: linkType.type, sourceTaskId: source._id, targetTaskId: target._id };
+
+  if (await TaskLink.exists(existingFilter)) {
+    throw new AppError('These tasks are already linked', 409);
+  }
+
+  if (linkType.type === 'blocks' && await TaskLink.wouldCreateCycle(source._id, target._id)) {
+    throw new AppError('This link would create a dependency cycle', 409);
+  }
+
+  const link = await TaskLink.create({
+    workspaceId: task.workspaceId,
+    sourceTaskId: source._id,
+    targetTaskId: target._id,
+    type: linkType.type,
+    createdBy: userId
+  });
+
+  await link.populate([
+    { path: 'sourceTaskId', select: LINKED_TASK_FIELDS },
+    { path: 'targetTaskId', select: LINKED_TASK_FIELDS },
+    { path: 'createdBy', select: 'name email avatar' }
+  ]);
+
+  return { link: describeLink(link, task._id), tasks: [task, other] };
+};
+
+/**
+ * Remove a link of a task
+ * @param {Object} task - Task the link belongs to
+ * @param {String} linkId - TaskLink ID
+ * @returns {Object} { link, tasks } - removed link described from `task`, both tasks
+ * @throws {AppError}
+ */
+exports.removeTaskLink = async (task, linkId) => {
+  const link = await TaskLink.findOne({
+    _id: linkId,
+    $or: [{ sourceTaskId: task._id }, { targetTaskId: task._id }]
+  });
+
+  if (!link) {
+    throw new AppError('Link not found', 404);
+  }
+
+  const otherId = link.sourceTaskId.toString() === task._id.toString()
+    ? link.targetTaskId
+    : link.sourceTaskId;
+  const other = await Task.findById(otherId);
+
+  await link.deleteOne();
+
+  await link.populate([
+    { path: 'sourceTaskId', select: LINKED_TASK_FIELDS },
+    { path: 'targetTaskId', select: LINKED_TASK_FIELDS }
+  ]);
+
+  return { link: describeLink(link, task._id), tasks: other ? [task, other] : [task] };
+};
+
+/**
+ * Broadcast a link change to the Kanban boards and workspace of the linked tasks
+ * @param {Object} io - Socket.IO server
+ * @param {String} action - 'added' | 'removed'
+ * @param {Object} link - Described link
+ * @param {Array} tasks - Linked tasks
+ */
+exports.broadcastLinkChange = (io, action, link, tasks) => {
+  if (!io) return;
+
+  const payload = {
+    link,
+    taskIds: tasks.map(task => task._id),
+    timestamp: new Date()
+  };
+
+  const projectIds = new Set(tasks.map(task => task.projectId.toString()));
+  projectIds.forEach(projectId => {
+    io.to(`kanban:${projectId}`).emit(`kanban:task:link:${action}`, { ...payload, projectId });
+  });
+
+  io.to(`workspace:${tasks[0].workspaceId}`).emit('task:links:updated', payload);
+};
+
+exports.LINK_TYPES = Object.keys(LINK_TYPES);
@@ -0,0 +1,201 @@
+/**
+ * Thread Utility Functions
+ * Replies to a root message, the thread summary kept on the root,
+ * and notifications for thread followers.
+ */
+
+const Channel = require('../models/Channel');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { notifyUsers } = require('./notificationUtils');
+const { broadcastChannelMessage } = require('./channelUtils');
+const { checkMessageAccess, getStreamRoom } = require('./messageUtils');
+const { AppError } = require('./helpers');
+
+// Length of the last-reply preview stored on the root message
+const PREVIEW_LENGTH = 200;
+
+/**
+ * Load the root message of a thread the user is allowed to read.
+ * Passing a reply resolves to its root.
+ * @param {String} messageId - Root message or one of its replies
+ * @param {String} userId - User ID
+ * @returns {Object} { root, channel } - channel is null outside channels
+ * @throws {AppError}
+ */
+exports.getAccessibleThread = async (messageId, userId) => {
+  let root = await Message.findById(messageId);
+  if (root && root.threadId) {
+    root = await Message.findById(root.threadId);
+  }
+  if (!root || root.isDeleted) {
+    throw new AppError('Message not found', 404);
+  }
+
+  const { channel } = await checkMessageAccess(root, userId);
+  return { root, channel };
+};
+
+/**
+ * Reply in a thread and broadcast the reply
+ * @param {Object} io - Socket.IO server (may be undefined in tests)
+ * @param {Object} root - Root message
+ * @param {Object|null} channel - Channel of the root message
+ * @param {Object} sender - User document of the sender
+ * @param {Object} data - { text, mentions, attachments, alsoSendToChannel }
+ * @returns {Object} { reply, root } - populated reply and updated root
+ * @throws {AppError}
+ */
+exports.postThreadReply = async (io, root, channel, sender, data) => {
+  if (channel && channel.isArchived) {
+    throw new AppError('This channel is archived');
+  }
+  if (channel && !channel.isMember(sender._id)) {
+    throw new AppError('Join the channel to reply', 403);
+  }
+
+  const text = (data.text || '').trim();
+  if (!text) {
+    throw new AppError('Reply text is required');
+  }
+
+  const reply = await Message.create({
+    workspaceId: root.workspaceId,
+    channelId: root.channelId,
+    conversationId: root.conversationId,
+    threadId: root._id,
+    alsoSentToChannel: !!data.alsoSendToChannel,
+    senderId: sender._id,
+    text,
+    mentions: data.mentions || [],
+    attachments: data.attachments || []
+  });
+
+  // The root's author follows from the first reply on
+  const followers = [sender._id];
+  if (!root.thread || !root.thread.replyCount) followers.push(root.senderId);
+
+  const updatedRoot = await Message.findByIdAndUpdate(root._id, {
+    $inc: { 'thread.replyCount': 1 },
+    $set: {
+      'thread.lastReplyAt': reply.createdAt,
+      'thread.lastReply': {
+        messageId: reply._id,
+        senderId: sender._id,
+        text: text.slice(0, PREVIEW_LENGTH)
+      }
+    },
+    $addToSet: {
+      'thread.participants': sender._id,
+      'thread.followers': { $each: followers }
+    }
+  }, { new: true });
+
+  if (channel && reply.alsoSentToChannel) {
+    await Channel.updateOne({ _id: channel._id }, { $set: { lastMessageAt: reply.createdAt } });
+    await Channel.markRead(channel._id, sender._id, reply.createdAt);
+  }
+  if (root.conversationId && reply.alsoSentToChannel) {
+    await Conversation.updateOne({ _id: root.conversationId }, { $set: { lastMessageAt: reply.createdAt } });
+    await Conversation.markRead(root.conversationId, sender._id, reply.createdAt);
+  }
+
+  await reply.populate([
+    { path: 'senderId', select: 'name email avatar' },
+    { path: 'mentions', select: 'name email avatar' }
+  ]);
+
+  if (io) {
+    io.to(getStreamRoom(root)).emit('chat:thread:reply', {
+      threadId: root._id,
+      message: reply,
+      thread: updatedRoot.thread,
+      timestamp: new Date()
+    });
+
+    if (reply.alsoSentToChannel) {
+      if (channel) {
+        broadcastChannelMessage(io, channel, reply);
+      } else if (root.conversationId) {
+        io.to(getStreamRoom(root)).emit('chat:message:received', {
+          message: reply,
+          roomId: root.conversationId,
+          roomType: 'conversation',
+          timestamp: new Date()
+        });
+      } else {
+        io.to(`workspace:${root.workspaceId}`).emit('chat:message', reply);
+      }
+    }
+  }
+
+  await notifyThreadReply(io, updatedRoot, channel, sender, reply, data.mentions || []);
+
+  return { reply, root: updatedRoot };
+};
+
+/**
+ * Notify mentioned users and thread followers of a new reply.
+ * Mentions take precedence, so nobody is notified twice.
+ */
+const notifyThreadReply = async (io, root, channel, sender, reply, mentions) => {
+  const conversation = root.conversationId ? await Conversation.findById(root.conversationId) : null;
+
+  // People who cannot see a private channel or left the conversation are skipped
+  const canView = (userId) => (channel ? channel.canView(userId) : true)
+    && (conversation ? conversation.isParticipant(userId) : true);
+
+  let where = 'chat';
+  let link = `/workspace/${root.workspaceId}/chat?thread=${root._id}`;
+  if (channel) {
+    where = `#${channel.name}`;
+    link = `/workspace/${root.workspaceId}/chat?channel=${channel._id}&thread=${root._id}`;
+  } else if (conversation) {
+    where = 'a direct message';
+    link = `/workspace/${root.workspaceId}/chat?conversation=${conversation._id}&thread=${root._id}`;
+  }
+
+  const mentioned = mentions.map(String).filter(canView);
+  if (mentioned.length > 0) {
+    await notifyUsers(io, mentioned, {
+      type: 'mention',
+      title: 'You were mentioned',
+      message: `${sender.name} mentioned you in a thread in ${where}`,
+      workspaceId: root.workspaceId,
+      senderId: sender._id,
+      link
+    }, { payload: { message: reply } });
+  }
+
+  const followers = (root.thread.followers || [])
+    .map(String)
+    .filter(userId => canView(userId) && !mentioned.includes(userId));
+  if (followers.length > 0) {
+    await notifyUsers(io, followers, {
+      type: 'thread_reply',
+      title: 'New reply in a thread',
+      message: `${sender.name} replied in a thread in ${where}: ${reply.text.slice(0, 100)}`,
+      workspaceId: root.workspaceId,
+      senderId: sender._id,
+      link
+    }, { payload: { message: reply, threadId: root._id } });
+  }
+};
+
+/**
+ * Follow or unfollow a thread
+ * @param {Object} root - Root message
+ * @param {String} userId - User ID
+ * @param {Boolean} follow - true to follow, false to unfollow
+ * @returns {Object} Updated root message
+ */
+exports.setThreadFollow = (root, userId, follow) => {
+  const update = follow
+    ? { $addToSet: { 'thread.followers': userId } }
+    : { $pull: { 'thread.followers': userId } };
+
+  return Message.findByIdAndUpdate(root._id, update, { new: true });
+};
+
+exports.isFollowing = (root, userId) =>
+  !!root.thread && (root.thread.followers || []).some(id => id.toString() === userId.toString());
@@ -3,6 +3,7 @@
  * Helper functions for JWT token generation and management
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
@@ -34,26 +35,59 @@ exports.verifyToken = (token) => {
 /**
  * Generate access and refresh tokens
  * @param {Object} user - User object
+ * @param {String} family - Refresh token family (session) both tokens belong to
  * @returns {Object} Access and refresh tokens
  */
-exports.generateAuthTokens = (user) => {
+exports.generateAuthTokens = (user, family = crypto.randomUUID()) => {
   const accessToken = jwt.sign(
     { 
       id: user._id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: family
     },
     process.env.JWT_SECRET,
-    { expiresIn: '15m' } // Short-lived access token
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' } // Short-lived access token
   );
 
   const refreshToken = jwt.sign(
-    { id: user._id },
+    { id: user._id, sid: family, type: 'refresh' },
     process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '7d' } // Long-lived refresh token
+    {
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d', // Long-lived refresh token
+      jwtid: crypto.randomBytes(16).toString('hex')
+    }
   );
 
-  return { accessToken, refreshToken };
+  return { accessToken, refreshToken, family };
+};
+
+/**
+ * Verify refresh token signature and expiry
+ * @param {String} token - Refresh token
+ * @returns {Object} Decoded token payload
+ */
+exports.verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
+
+    if (decoded.type !== 'refresh') {
+      throw new Error('Invalid refresh token');
+    }
+
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired refresh token');
+  }
+};
+
+/**
+ * Hash a token for storage
+ * @param {String} token - Raw token
+ * @returns {String} SHA-256 hex digest
+ */
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
 };
 
 /**
@@ -0,0 +1,59 @@
+// /src/validators/activityValidator.js
+
+const { query } = require('express-validator');
+
+/**
+ * Validation rules for activity feed queries
+ */
+exports.validateActivityQuery = [
+  query('workspaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('projectId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid project ID format'),
+
+  query('actorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid actor ID format'),
+
+  query('entityType')
+    .optional()
+    .isIn(['task', 'document', 'file', 'message', 'channel', 'member'])
+    .withMessage('Entity type must be one of: task, document, file, message, member'),
+
+  query('entityId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid entity ID format'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('To must be after from');
+      }
+      return true;
+    }),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
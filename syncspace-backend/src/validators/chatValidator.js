@@ -101,43 +101,43 @@ exports.validateMessageSearch = [
     .notEmpty()
     .withMessage('Search query is required')
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Search query must be between 1 and 100 characters'),
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Search query must be between 1 and 200 characters'),
 
   query('workspaceId')
-    .optional()
+    .notEmpty()
+    .withMessage('Workspace ID is required')
     .isMongoId()
     .withMessage('Invalid workspace ID format'),
 
-  query('projectId')
-    .optional()
-    .isMongoId()
-    .withMessage('Invalid project ID format'),
-
-  query('senderId')
+  query('cursor')
     .optional()
     .isMongoId()
-    .withMessage('Invalid sender ID format'),
+    .withMessage('Invalid cursor'),
 
-  query('type')
+  query('limit')
     .optional()
-    .isIn(['text', 'file', 'image', 'video', 'audio', 'system', 'all'])
-    .withMessage('Invalid message type'),
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
 
-  query('dateFrom')
-    .optional()
-    .isISO8601()
-    .withMessage('Invalid date format for dateFrom'),
+/**
+ * Validation rules for loading the messages around a message
+ */
+exports.validateMessageContext = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid message ID format'),
 
-  query('dateTo')
+  query('before')
     .optional()
-    .isISO8601()
-    .withMessage('Invalid date format for dateTo'),
+    .isInt({ min: 0, max: 50 })
+    .withMessage('before must be between 0 and 50'),
 
-  query('hasAttachments')
+  query('after')
     .optional()
-    .isBoolean()
-    .withMessage('hasAttachments must be a boolean value')
+    .isInt({ min: 0, max: 50 })
+    .withMessage('after must be between 0 and 50')
 ];
 
 /**
@@ -153,6 +153,12 @@ exports.validateChannelCreate = [
     .matches(/^[a-zA-Z0-9\s\-_]+$/)
     .withMessage('Channel name can only contain letters, numbers, spaces, hyphens, and underscores'),
 
+  body('topic')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Topic must not exceed 250 characters'),
+
   body('description')
     .optional()
     .trim()
@@ -160,7 +166,8 @@ exports.validateChannelCreate = [
     .withMessage('Description must not exceed 500 characters'),
 
   body('workspaceId')
-    .optional()
+    .notEmpty()
+    .withMessage('Workspace ID is required')
     .isMongoId()
     .withMessage('Invalid workspace ID format'),
 
@@ -197,6 +204,12 @@ exports.validateChannelUpdate = [
     .matches(/^[a-zA-Z0-9\s\-_]+$/)
     .withMessage('Channel name can only contain letters, numbers, spaces, hyphens, and underscores'),
 
+  body('topic')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Topic must not exceed 250 characters'),
+
   body('description')
     .optional()
     .trim()
@@ -214,6 +227,78 @@ exports.validateChannelUpdate = [
     .withMessage('archived must be a boolean value')
 ];
 
+/**
+ * Validation rules for listing channels
+ */
+exports.validateChannelList = [
+  query('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('includeArchived')
+    .optional()
+    .isBoolean()
+    .withMessage('includeArchived must be a boolean value')
+];
+
+/**
+ * Validation rules for adding a channel member
+ */
+exports.validateChannelMember = [
+  param('channelId')
+    .isMongoId()
+    .withMessage('Invalid channel ID format'),
+
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('role')
+    .optional()
+    .isIn(['owner', 'member'])
+    .withMessage('Role must be owner or member')
+];
+
+/**
+ * Validation rules for posting a channel message
+ */
+exports.validateChannelMessage = [
+  param('channelId')
+    .isMongoId()
+    .withMessage('Invalid channel ID format'),
+
+  body('text')
+    .notEmpty()
+    .withMessage('Message text is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['text', 'file', 'code'])
+    .withMessage('Invalid message type'),
+
+  body('mentions')
+    .optional()
+    .isArray()
+    .withMessage('Mentions must be an array'),
+
+  body('mentions.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each mentioned user ID must be valid'),
+
+  body('replyTo')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid message ID for reply')
+];
+
 /**
  * Validation rules for pinning a message
  */
@@ -226,21 +311,164 @@ exports.validateMessagePin = [
 ];
 
 /**
- * Validation rules for message thread
+ * Validation rules for replying in a thread
  */
 exports.validateThreadCreate = [
-  body('messageId')
-    .notEmpty()
-    .withMessage('Message ID is required')
+  param('id')
     .isMongoId()
     .withMessage('Invalid message ID format'),
 
-  body('content')
+  body('text')
     .notEmpty()
-    .withMessage('Thread reply content is required')
+    .withMessage('Thread reply text is required')
     .trim()
-    .isLength({ min: 1, max: 5000 })
-    .withMessage('Thread reply must be between 1 and 5000 characters')
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Thread reply must be between 1 and 2000 characters'),
+
+  body('mentions')
+    .optional()
+    .isArray()
+    .withMessage('Mentions must be an array'),
+
+  body('mentions.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each mentioned user ID must be valid'),
+
+  body('alsoSendToChannel')
+    .optional()
+    .isBoolean()
+    .withMessage('alsoSendToChannel must be a boolean value')
+];
+
+/**
+ * Validation rules for listing followed threads
+ */
+exports.validateThreadList = [
+  query('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation rules for listing conversations
+ */
+exports.validateConversationList = [
+  query('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation rules for starting a conversation
+ */
+exports.validateConversationCreate = [
+  body('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  body('participants')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Pick between 1 and 7 people'),
+
+  body('participants.*')
+    .isMongoId()
+    .withMessage('Each participant ID must be valid'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 80 })
+    .withMessage('Conversation name cannot exceed 80 characters')
+];
+
+/**
+ * Validation rules for adding people to a conversation
+ */
+exports.validateConversationParticipants = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID format'),
+
+  body('participants')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Pick between 1 and 7 people'),
+
+  body('participants.*')
+    .isMongoId()
+    .withMessage('Each participant ID must be valid')
+];
+
+/**
+ * Validation rules for sending a conversation message
+ */
+exports.validateConversationMessage = [
+  param('conversationId')
+    .isMongoId()
+    .withMessage('Invalid conversation ID format'),
+
+  body('text')
+    .notEmpty()
+    .withMessage('Message text is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+
+  body('type')
+    .optional()
+    .isIn(['text', 'file', 'code'])
+    .withMessage('Invalid message type'),
+
+  body('mentions')
+    .optional()
+    .isArray()
+    .withMessage('Mentions must be an array'),
+
+  body('mentions.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each mentioned user ID must be valid'),
+
+  body('replyTo')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid message ID for reply')
+];
+
+/**
+ * Validation rules for reading direct messages with a user
+ */
+exports.validateDirectMessages = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  query('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
 ];
 
 /**
@@ -53,7 +53,18 @@ exports.validateDocumentCreate = [
   body('template')
     .optional()
     .isMongoId()
-    .withMessage('Invalid template ID format')
+    .withMessage('Invalid template ID format'),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent page ID format'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt()
 ];
 
 /**
@@ -127,30 +138,50 @@ exports.validateDocumentShare = [
 ];
 
 /**
- * Validation rules for document comment
+ * Validation rules for a document comment or suggestion
  */
 exports.validateDocumentComment = [
-  body('content')
+  body('kind')
+    .optional()
+    .isIn(['comment', 'suggestion'])
+    .withMessage('Kind must be comment or suggestion'),
+
+  body('text')
+    .if(body('kind').not().equals('suggestion'))
     .notEmpty()
-    .withMessage('Comment content is required')
-    .trim()
-    .isLength({ min: 1, max: 2000 })
-    .withMessage('Comment must be between 1 and 2000 characters'),
+    .withMessage('Comment text is required'),
 
-  body('position')
+  body('text')
     .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters'),
+
+  body('replacement')
+    .if(body('kind').equals('suggestion'))
+    .isString()
+    .withMessage('Suggested text is required')
+    .isLength({ max: 10000 })
+    .withMessage('Suggested text must not exceed 10,000 characters'),
+
+  body('anchor')
     .isObject()
-    .withMessage('Position must be an object'),
+    .withMessage('Anchor must be an object with index, length and revision'),
 
-  body('position.line')
-    .optional()
+  body('anchor.index')
     .isInt({ min: 0 })
-    .withMessage('Line must be a non-negative integer'),
+    .withMessage('Anchor index must be a non-negative integer')
+    .toInt(),
 
-  body('position.column')
-    .optional()
+  body('anchor.length')
     .isInt({ min: 0 })
-    .withMessage('Column must be a non-negative integer'),
+    .withMessage('Anchor length must be a non-negative integer')
+    .toInt(),
+
+  body('anchor.revision')
+    .isInt({ min: 0 })
+    .withMessage('Anchor revision must be a non-negative integer')
+    .toInt(),
 
   body('mentions')
     .optional()
@@ -164,19 +195,160 @@ exports.validateDocumentComment = [
 ];
 
 /**
- * Validation rules for document version
+ * Validation rules for replying to a document comment
+ */
+exports.validateDocumentCommentReply = [
+  body('text')
+    .notEmpty()
+    .withMessage('Reply text is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Reply must be between 1 and 2000 characters'),
+
+  body('mentions')
+    .optional()
+    .isArray()
+    .withMessage('Mentions must be an array'),
+
+  body('mentions.*')
+    .optional()
+    .isMongoId()
+    .withMessage('Each mentioned user ID must be valid')
+];
+
+/**
+ * Validation rules for editing a document comment
+ */
+exports.validateDocumentCommentUpdate = [
+  body('text')
+    .isString()
+    .withMessage('Comment text is required')
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters')
+];
+
+/**
+ * Validation rules for listing document comments
+ */
+exports.validateDocumentCommentList = [
+  query('status')
+    .optional()
+    .isIn(['open', 'closed', 'all'])
+    .withMessage('Status must be one of: open, closed, all')
+];
+
+/**
+ * Validation rules for saving or naming a document version
  */
 exports.validateDocumentVersion = [
+  param('versionNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version number must be a positive integer')
+    .toInt(),
+
+  body('name')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Version name must be text')
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Version name must not exceed 100 characters'),
+
   body('description')
     .optional()
+    .isString()
+    .withMessage('Version description must be text')
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Version description must not exceed 500 characters'),
+    .withMessage('Version description must not exceed 500 characters')
+];
 
-  body('isMajor')
+/**
+ * Validation rules for routes addressing one document version
+ */
+exports.validateDocumentVersionNumber = [
+  param('versionNumber')
+    .isInt({ min: 1 })
+    .withMessage('Version number must be a positive integer')
+    .toInt()
+];
+
+/**
+ * Validation rules for listing document versions
+ */
+exports.validateDocumentVersionList = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('before must be a version number')
+];
+
+/**
+ * Validation rules for comparing document versions
+ */
+exports.validateDocumentVersionDiff = [
+  query('from')
+    .notEmpty()
+    .withMessage('from is required')
+    .custom(value => value === 'current' || /^[1-9]\d*$/.test(value))
+    .withMessage('from must be a version number or "current"'),
+
+  query('to')
+    .optional()
+    .custom(value => value === 'current' || /^[1-9]\d*$/.test(value))
+    .withMessage('to must be a version number or "current"'),
+
+  query('mode')
+    .optional()
+    .isIn(['inline', 'split'])
+    .withMessage('Mode must be inline or split')
+];
+
+/**
+ * Validation rules for moving a page
+ */
+exports.validateDocumentMove = [
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent page ID format'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt(),
+
+  body()
+    .custom(value => value.parentId !== undefined || value.position !== undefined)
+    .withMessage('Provide a parentId or a position')
+];
+
+/**
+ * Validation rules for the workspace page tree
+ */
+exports.validateDocumentTree = [
+  query('archived')
+    .optional()
+    .isBoolean()
+    .withMessage('archived must be true or false')
+];
+
+/**
+ * Validation rules for deleting a page
+ */
+exports.validateDocumentDelete = [
+  query('cascade')
     .optional()
     .isBoolean()
-    .withMessage('isMajor must be a boolean value')
+    .withMessage('cascade must be true or false')
 ];
 
 /**
@@ -227,18 +399,34 @@ exports.validateDocumentExport = [
   query('format')
     .notEmpty()
     .withMessage('Export format is required')
-    .isIn(['pdf', 'docx', 'html', 'markdown', 'txt'])
-    .withMessage('Format must be one of: pdf, docx, html, markdown, txt'),
+    .isIn(['md', 'html', 'txt', 'docx'])
+    .withMessage('Format must be one of: md, html, txt, docx')
+];
 
-  query('includeComments')
-    .optional()
-    .isBoolean()
-    .withMessage('includeComments must be a boolean value'),
+/**
+ * Validation rules for exporting all documents of a workspace or project
+ */
+exports.validateDocumentBulkExport = [
+  ...exports.validateDocumentExport,
 
-  query('includeMetadata')
+  param('workspaceId')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  query('projectId')
     .optional()
-    .isBoolean()
-    .withMessage('includeMetadata must be a boolean value')
+    .isMongoId()
+    .withMessage('Invalid project ID format')
+];
+
+/**
+ * Validation rules for importing files as documents. The multipart form
+ * fields are only parsed after upload, so the controller checks those.
+ */
+exports.validateDocumentImport = [
+  param('workspaceId')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format')
 ];
 
 /**
@@ -200,25 +200,105 @@ exports.validateFileSearch = [
  * Validation rules for moving files
  */
 exports.validateFileMove = [
-  body('destinationWorkspaceId')
-    .optional()
+  body('folderId')
+    .optional({ values: 'null' })
     .isMongoId()
-    .withMessage('Invalid destination workspace ID format'),
+    .withMessage('Invalid folder ID format')
+];
 
-  body('destinationProjectId')
-    .optional()
+/**
+ * Validation rules for copying files
+ */
+exports.validateFileCopy = [
+  body('folderId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid folder ID format')
+];
+
+/**
+ * Validation rules for browsing a folder
+ */
+exports.validateFolderBrowse = [
+  query('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
     .isMongoId()
-    .withMessage('Invalid destination project ID format'),
+    .withMessage('Invalid workspace ID format'),
 
-  body('destinationTaskId')
+  query('projectId')
     .optional()
     .isMongoId()
-    .withMessage('Invalid destination task ID format'),
+    .withMessage('Invalid project ID format'),
 
-  body('destinationDocumentId')
+  query('folderId')
     .optional()
     .isMongoId()
-    .withMessage('Invalid destination document ID format')
+    .withMessage('Invalid folder ID format')
+];
+
+/**
+ * Validation rules for creating a folder
+ */
+exports.validateFolderCreate = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Folder name is required')
+    .isLength({ max: 100 })
+    .withMessage('Folder name must not exceed 100 characters')
+    .not()
+    .matches(/[\/\\]/)
+    .withMessage('Folder name cannot contain slashes'),
+
+  body('workspaceId')
+    .notEmpty()
+    .withMessage('Workspace ID is required')
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  body('projectId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid project ID format'),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent folder ID format')
+];
+
+/**
+ * Validation rules for renaming a folder
+ */
+exports.validateFolderUpdate = [
+  param('folderId')
+    .isMongoId()
+    .withMessage('Invalid folder ID format'),
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Folder name is required')
+    .isLength({ max: 100 })
+    .withMessage('Folder name must not exceed 100 characters')
+    .not()
+    .matches(/[\/\\]/)
+    .withMessage('Folder name cannot contain slashes')
+];
+
+/**
+ * Validation rules for moving a folder
+ */
+exports.validateFolderMove = [
+  param('folderId')
+    .isMongoId()
+    .withMessage('Invalid folder ID format'),
+
+  body('parentId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent folder ID format')
 ];
 
 /**
@@ -253,16 +333,20 @@ exports.validateBulkFileOperation = [
  * Validation rules for file version
  */
 exports.validateFileVersion = [
-  body('description')
+  body('changes')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Version description must not exceed 500 characters'),
+    .withMessage('Change note must not exceed 500 characters')
+];
 
-  body('isMajor')
-    .optional()
-    .isBoolean()
-    .withMessage('isMajor must be a boolean value')
+/**
+ * Validation rules for a file version number in the URL
+ */
+exports.validateFileVersionNumber = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
 ];
 
 /**
@@ -287,26 +371,11 @@ exports.validateDownloadLink = [
 ];
 
 /**
- * Validation rules for file preview
+ * Validation rules for file previews and thumbnails
  */
 exports.validateFilePreview = [
-  query('width')
-    .optional()
-    .isInt({ min: 50, max: 2000 })
-    .withMessage('Width must be between 50 and 2000 pixels'),
-
-  query('height')
-    .optional()
-    .isInt({ min: 50, max: 2000 })
-    .withMessage('Height must be between 50 and 2000 pixels'),
-
-  query('quality')
-    .optional()
-    .isIn(['low', 'medium', 'high', 'auto'])
-    .withMessage('Quality must be one of: low, medium, high, auto'),
-
-  query('format')
+  query('version')
     .optional()
-    .isIn(['jpg', 'png', 'webp', 'auto'])
-    .withMessage('Format must be one of: jpg, png, webp, auto')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
 ];
\ No newline at end of file
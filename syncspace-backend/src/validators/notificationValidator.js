@@ -0,0 +1,63 @@
+// /src/validators/notificationValidator.js
+
+const { body } = require('express-validator');
+const NotificationPreference = require('../models/NotificationPreference');
+
+const { NOTIFICATION_TYPES, DELIVERY_MODES } = NotificationPreference;
+
+/**
+ * Validation rules for updating notification preferences
+ */
+exports.validatePreferencesUpdate = [
+  body('workspaceId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid workspace ID format'),
+
+  body('types')
+    .optional()
+    .isObject()
+    .withMessage('Types must be an object of notification type to delivery mode')
+    .bail()
+    .custom((types) => {
+      Object.entries(types).forEach(([type, mode]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (mode !== null && !DELIVERY_MODES.includes(mode)) {
+          throw new Error(`Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}`);
+        }
+      });
+      return true;
+    }),
+
+  body('quietHours')
+    .optional()
+    .isObject()
+    .withMessage('Quiet hours must be an object'),
+
+  body('quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Quiet hours enabled must be a boolean'),
+
+  body(['quietHours.start', 'quietHours.end'])
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Quiet hours must use HH:mm'),
+
+  body('quietHours.timezone')
+    .optional()
+    .custom((value) => {
+      if (!NotificationPreference.isValidTimeZone(value)) {
+        throw new Error('Unknown time zone');
+      }
+      return true;
+    }),
+
+  body('digestHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Digest hour must be between 0 and 23')
+    .toInt()
+];
@@ -170,7 +170,12 @@ exports.validateProjectUpdate = [
   body('progress')
     .optional()
     .isInt({ min: 0, max: 100 })
-    .withMessage('Progress must be between 0 and 100')
+    .withMessage('Progress must be between 0 and 100'),
+
+  body('enforceDependencies')
+    .optional()
+    .isBoolean()
+    .withMessage('enforceDependencies must be a boolean value')
 ];
 
 /**
@@ -312,4 +317,62 @@ exports.validateProjectTemplate = [
     .optional()
     .isBoolean()
     .withMessage('isPublic must be a boolean value')
-];
\ No newline at end of file
+];
+/**
+ * Validation rules for updating a project's Kanban workflow
+ */
+exports.validateWorkflowUpdate = [
+  body('columns')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Columns must be an array of 1 to 20 columns')
+    .custom((columns) => {
+      const keys = columns.map(column => column && column.key);
+      if (new Set(keys).size !== keys.length) {
+        throw new Error('Column keys must be unique');
+      }
+      return true;
+    }),
+
+  body('columns.*.key')
+    .notEmpty()
+    .withMessage('Column key is required')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{0,39}$/)
+    .withMessage('Column key must start with a letter and contain only letters, numbers, hyphens and underscores (max 40)'),
+
+  body('columns.*.name')
+    .notEmpty()
+    .withMessage('Column name is required')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Column name must be between 1 and 50 characters'),
+
+  body('columns.*.color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Column color must be a valid hex color code'),
+
+  body('columns.*.order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Column order must be a non-negative integer'),
+
+  body('columns.*.wipLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('WIP limit must be a positive integer or null'),
+
+  body('columns.*.isDone')
+    .optional()
+    .isBoolean()
+    .withMessage('isDone must be a boolean value'),
+
+  body('remap')
+    .optional()
+    .isObject()
+    .withMessage('Remap must be an object of { removedColumnKey: targetColumnKey }'),
+
+  body('remap.*')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{0,39}$/)
+    .withMessage('Remap targets must be column keys')
+];
@@ -1,6 +1,91 @@
 // /src/validators/taskValidator.js
 
 const { body, query, param } = require('express-validator');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { FREQUENCIES } = require('../utils/recurrenceUtils');
+
+// Workflow column keys, e.g. todo, inProgress, in-review
+const STATUS_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{0,39}$/;
+
+const projectFromRequest = (req) => req.params.projectId || req.body.projectId;
+
+const projectFromTask = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const task = await Task.findById(req.params.id).select('projectId');
+  return task ? task.projectId : null;
+};
+
+/**
+ * Custom validator: the status must be a column of the task's project workflow.
+ * Missing projects and tasks are left to the controller's 404 handling.
+ * @param {Function} resolveProjectId - (req) => project ID
+ */
+const isWorkflowStatus = (resolveProjectId) => async (value, { req }) => {
+  const projectId = await resolveProjectId(req);
+  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) return true;
+
+  const project = await Project.findById(projectId).select('workflow');
+  if (project && !project.getColumn(value)) {
+    const keys = project.getWorkflow().map(column => column.key).join(', ');
+    throw new Error(`Status must be one of: ${keys}`);
+  }
+  return true;
+};
+
+/**
+ * Recurrence rule fields, shared by task create and update.
+ * A null recurrence stops the series.
+ */
+const recurrenceRules = [
+  body('recurrence')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Recurrence must be an object'),
+
+  body('recurrence.frequency')
+    .if(body('recurrence').exists({ values: 'null' }))
+    .isIn(FREQUENCIES)
+    .withMessage(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`),
+
+  body('recurrence.interval')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Recurrence interval must be between 1 and 365'),
+
+  body('recurrence.weekdays')
+    .if(body('recurrence.frequency').equals('weekly'))
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Weekly recurrence needs at least one weekday'),
+
+  body('recurrence.weekdays.*')
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Weekdays must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('recurrence.dayOfMonth')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31'),
+
+  body('recurrence.startsAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Recurrence start must be a valid ISO 8601 date'),
+
+  body('recurrence.endsAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Recurrence end must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      const startsAt = req.body.recurrence.startsAt ? new Date(req.body.recurrence.startsAt) : new Date();
+      if (new Date(value) <= startsAt) {
+        throw new Error('Recurrence end must be after its start');
+      }
+      return true;
+    })
+];
 
 /**
  * Validation rules for creating a task
@@ -27,8 +112,11 @@ exports.validateTaskCreate = [
 
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
-    .withMessage('Status must be one of: todo, in-progress, review, done, backlog'),
+    .trim()
+    .matches(STATUS_PATTERN)
+    .withMessage('Invalid status format')
+    .bail()
+    .custom(isWorkflowStatus(projectFromRequest)),
 
   body('priority')
     .optional()
@@ -106,7 +194,9 @@ exports.validateTaskCreate = [
   body('checklist.*.completed')
     .optional()
     .isBoolean()
-    .withMessage('Checklist item completed must be a boolean')
+    .withMessage('Checklist item completed must be a boolean'),
+
+  ...recurrenceRules
 ];
 
 /**
@@ -127,8 +217,11 @@ exports.validateTaskUpdate = [
 
   body('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
-    .withMessage('Status must be one of: todo, in-progress, review, done, backlog'),
+    .trim()
+    .matches(STATUS_PATTERN)
+    .withMessage('Invalid status format')
+    .bail()
+    .custom(isWorkflowStatus(projectFromTask)),
 
   body('priority')
     .optional()
@@ -183,7 +276,9 @@ exports.validateTaskUpdate = [
   body('checklist')
     .optional()
     .isArray()
-    .withMessage('Checklist must be an array')
+    .withMessage('Checklist must be an array'),
+
+  ...recurrenceRules
 ];
 
 /**
@@ -193,8 +288,11 @@ exports.validateStatusUpdate = [
   body('status')
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
-    .withMessage('Status must be one of: todo, in-progress, review, done, backlog'),
+    .trim()
+    .matches(STATUS_PATTERN)
+    .withMessage('Invalid status format')
+    .bail()
+    .custom(isWorkflowStatus(projectFromTask)),
 
   body('position')
     .optional()
@@ -258,14 +356,16 @@ exports.validateTaskMove = [
   body('fromStatus')
     .notEmpty()
     .withMessage('Source status is required')
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
+    .matches(STATUS_PATTERN)
     .withMessage('Invalid source status'),
 
   body('toStatus')
     .notEmpty()
     .withMessage('Destination status is required')
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
-    .withMessage('Invalid destination status'),
+    .matches(STATUS_PATTERN)
+    .withMessage('Invalid destination status')
+    .bail()
+    .custom(isWorkflowStatus(projectFromTask)),
 
   body('position')
     .notEmpty()
@@ -285,20 +385,76 @@ exports.validateSubtask = [
     .isLength({ min: 1, max: 200 })
     .withMessage('Subtask title must be between 1 and 200 characters'),
 
-  body('completed')
+  body('assignee')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+
+  body('dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Due date must be a valid ISO 8601 date')
+];
+
+/**
+ * Validation rules for subtask update
+ */
+exports.validateSubtaskUpdate = [
+  body('title')
     .optional()
-    .isBoolean()
-    .withMessage('Completed must be a boolean value'),
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Subtask title must be between 1 and 200 characters'),
 
-  body('assignedTo')
+  body('done')
     .optional()
+    .isBoolean()
+    .withMessage('Done must be a boolean value'),
+
+  body('assignee')
+    .optional({ values: 'null' })
     .isMongoId()
     .withMessage('Invalid user ID format'),
 
   body('dueDate')
-    .optional()
+    .optional({ values: 'null' })
     .isISO8601()
-    .withMessage('Due date must be a valid ISO 8601 date')
+    .withMessage('Due date must be a valid ISO 8601 date'),
+
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer')
+];
+
+/**
+ * Validation rules for converting a subtask into a task
+ */
+exports.validateSubtaskConvert = [
+  body('status')
+    .optional()
+    .trim()
+    .matches(STATUS_PATTERN)
+    .withMessage('Invalid status format')
+    .bail()
+    .custom(isWorkflowStatus(projectFromTask))
+];
+
+/**
+ * Validation rules for linking tasks
+ */
+exports.validateTaskLink = [
+  body('type')
+    .notEmpty()
+    .withMessage('Link type is required')
+    .isIn(['blocks', 'blocked_by', 'relates_to', 'duplicates', 'duplicated_by'])
+    .withMessage('Link type must be one of: blocks, blocked_by, relates_to, duplicates, duplicated_by'),
+
+  body('taskId')
+    .notEmpty()
+    .withMessage('Linked task ID is required')
+    .isMongoId()
+    .withMessage('Invalid task ID format')
 ];
 
 /**
@@ -318,7 +474,7 @@ exports.validateTaskSearch = [
 
   query('status')
     .optional()
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog', 'all'])
+    .matches(STATUS_PATTERN)
     .withMessage('Invalid status filter'),
 
   query('priority')
@@ -424,7 +580,7 @@ exports.validateBulkTaskOperation = [
     .if(body('action').equals('updateStatus'))
     .notEmpty()
     .withMessage('Status is required for updateStatus action')
-    .isIn(['todo', 'in-progress', 'review', 'done', 'backlog'])
+    .matches(STATUS_PATTERN)
     .withMessage('Invalid status value'),
 
   body('priority')
@@ -91,6 +91,12 @@ exports.validateWorkspaceUpdate = [
     .isObject()
     .withMessage('Settings must be an object'),
 
+  body('settings.documentHistory.retentionDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Document history retention must be between 1 and 3650 days, or null to keep everything')
+    .toInt(),
+
   body('color')
     .optional()
     .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
@@ -259,6 +265,20 @@ exports.validateWorkspaceSettings = [
     .withMessage('Storage limit must be at least 100 MB')
 ];
 
+/**
+ * Validation rules for a workspace storage quota (site admins)
+ */
+exports.validateStorageQuota = [
+  body('quotaMB')
+    .exists()
+    .withMessage('quotaMB is required: a number of MB, 0 for unlimited or null for the default quota')
+    .bail()
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 10485760 })
+    .withMessage('Quota must be between 0 and 10485760 MB')
+    .toInt()
+];
+
 /**
  * Validation rules for workspace transfer
  */
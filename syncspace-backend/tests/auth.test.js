@@ -10,6 +10,8 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
 
 // Test database connection
 beforeAll(async () => {
@@ -23,6 +25,8 @@ beforeAll(async () => {
 // Clean up database after each test
 afterEach(async () => {
   await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+  await Session.deleteMany({});
 });
 
 // Close database connection after all tests
@@ -217,6 +221,43 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('token');
     });
 
+    it('should rotate the refresh token on every refresh', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+
+      // The rotated token works once more
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: response.body.refreshToken })
+        .expect(200);
+    });
+
+    it('should revoke the whole token family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replaying the already-rotated token is treated as theft
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken })
+        .expect(401);
+
+      // ...so the legitimate successor is revoked as well
+      const response = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: first.body.refreshToken })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+
     it('should fail to refresh with invalid refresh token', async () => {
       const response = await request(app)
         .post('/api/auth/refresh-token')
@@ -282,6 +323,7 @@ describe('Authentication API', () => {
 
   describe('POST /api/auth/logout', () => {
     let token;
+    let refreshToken;
 
     beforeEach(async () => {
       // Register and login
@@ -302,6 +344,7 @@ describe('Authentication API', () => {
         });
 
       token = loginResponse.body.token;
+      refreshToken = loginResponse.body.refreshToken;
     });
 
     it('should logout successfully with valid token', async () => {
@@ -313,6 +356,19 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('success', true);
     });
 
+    it('should invalidate the session refresh token on logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
     it('should fail to logout without token', async () => {
       const response = await request(app)
         .post('/api/auth/logout')
@@ -321,6 +377,75 @@ describe('Authentication API', () => {
       expect(response.body).toHaveProperty('success', false);
     });
   });
+
+  describe('Session management', () => {
+    let firstToken;
+    let secondToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test User',
+          email: 'test@example.com',
+          password: 'Test@1234',
+          confirmPassword: 'Test@1234'
+        });
+
+      const credentials = { email: 'test@example.com', password: 'Test@1234' };
+      firstToken = (await request(app).post('/api/auth/login').send(credentials)).body.token;
+      secondToken = (await request(app).post('/api/auth/login').send(credentials)).body.token;
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(200);
+
+      // Registration plus two logins
+      expect(response.body.sessions).toHaveLength(3);
+      expect(response.body.sessions.filter(s => s.current)).toHaveLength(1);
+      expect(response.body.sessions[0]).toHaveProperty('device');
+      expect(response.body.sessions[0]).toHaveProperty('lastSeenAt');
+    });
+
+    it('should reject access tokens of a revoked session', async () => {
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${firstToken}`);
+      const current = list.body.sessions.find(s => s.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${current._id}`)
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(401);
+    });
+
+    it('should revoke all other sessions but keep the current one', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('count', 2);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(200);
+    });
+  });
 });
 
 // To run these tests, you need to install the following:
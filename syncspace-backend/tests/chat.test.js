@@ -0,0 +1,562 @@
+// /tests/chat.test.js
+
+/**
+ * Chat Tests
+ *
+ * Tests for who can reach channels, threads and conversations, and for
+ * message search
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+const Channel = require('../src/models/Channel');
+const Message = require('../src/models/Message');
+const Conversation = require('../src/models/Conversation');
+const { parseSearchQuery, buildSearchFilter } = require('../src/utils/messageUtils');
+const { generateTestToken } = require('./setup');
+
+let owner;
+let member;
+let outsider;
+let workspace;
+let ownerToken;
+let memberToken;
+let outsiderToken;
+
+const createUser = (name, email) =>
+  User.create({ name, email, password: 'Test@1234' });
+
+// Runs after the global beforeEach has cleared the database
+beforeEach(async () => {
+  owner = await createUser('Owner', 'chat-owner@example.com');
+  member = await createUser('Member', 'chat-member@example.com');
+  outsider = await createUser('Outsider', 'chat-outsider@example.com');
+
+  workspace = await Workspace.create({
+    name: 'Chat Workspace',
+    createdBy: owner._id,
+    members: [
+      { userId: owner._id, role: 'Admin' },
+      { userId: member._id, role: 'Member' }
+    ]
+  });
+
+  ownerToken = generateTestToken(owner._id);
+  memberToken = generateTestToken(member._id);
+  outsiderToken = generateTestToken(outsider._id);
+});
+
+describe('Chat API', () => {
+
+  describe('Channels', () => {
+    let general;
+    let secret;
+    let io;
+
+    // Records which sockets were taken out of which rooms
+    const createFakeIo = () => {
+      const room = { emit: jest.fn(), except: jest.fn(), socketsLeave: jest.fn() };
+      room.except.mockReturnValue(room);
+      return { to: jest.fn(() => room), in: jest.fn(() => room), room };
+    };
+
+    beforeEach(async () => {
+      general = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'general',
+        createdBy: owner._id,
+        members: [
+          { userId: owner._id, role: 'owner' },
+          { userId: member._id }
+        ]
+      });
+      secret = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'secret',
+        isPrivate: true,
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'owner' }]
+      });
+
+      io = createFakeIo();
+      app.set('io', io);
+    });
+
+    afterEach(() => {
+      app.set('io', undefined);
+    });
+
+    it('should list private channels only to their members', async () => {
+      const asMember = await request(app)
+        .get(`/api/chat/channels?workspaceId=${workspace._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      const asOwner = await request(app)
+        .get(`/api/chat/channels?workspaceId=${workspace._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(asMember.status).toBe(200);
+      expect(asMember.body.channels.map(channel => channel.name)).toEqual(['general']);
+      expect(asOwner.body.channels.map(channel => channel.name)).toEqual(['general', 'secret']);
+    });
+
+    it('should answer a non-member as if a private channel did not exist', async () => {
+      const view = await request(app)
+        .get(`/api/chat/channels/${secret._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      const join = await request(app)
+        .post(`/api/chat/channels/${secret._id}/join`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      const messages = await request(app)
+        .get(`/api/chat/channels/${secret._id}/messages`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(view.status).toBe(404);
+      expect(join.status).toBe(404);
+      expect(messages.status).toBe(404);
+      expect((await Channel.findById(secret._id)).isMember(member._id)).toBe(false);
+    });
+
+    it('should refuse channels to someone outside the workspace', async () => {
+      const response = await request(app)
+        .post(`/api/chat/channels/${general._id}/join`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should let a workspace member join and leave a public channel', async () => {
+      const random = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'random',
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'owner' }]
+      });
+
+      const join = await request(app)
+        .post(`/api/chat/channels/${random._id}/join`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(join.status).toBe(200);
+      expect(join.body.channel).toMatchObject({ isMember: true, role: 'member' });
+
+      const leave = await request(app)
+        .post(`/api/chat/channels/${random._id}/leave`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(leave.status).toBe(200);
+      expect((await Channel.findById(random._id)).isMember(member._id)).toBe(false);
+    });
+
+    it('should take the sockets of a member who leaves out of the channel room', async () => {
+      const response = await request(app)
+        .post(`/api/chat/channels/${general._id}/leave`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(200);
+      expect(io.in).toHaveBeenCalledWith(`user:${member._id}`);
+      expect(io.room.socketsLeave).toHaveBeenCalledWith(`chat:channel:${general._id}`);
+    });
+
+    it('should keep the last owner from leaving while others remain', async () => {
+      const response = await request(app)
+        .post(`/api/chat/channels/${general._id}/leave`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(400);
+      expect((await Channel.findById(general._id)).isOwner(owner._id)).toBe(true);
+    });
+
+    it('should leave channel management to owners', async () => {
+      const rename = await request(app)
+        .put(`/api/chat/channels/${general._id}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ name: 'mine' });
+      const remove = await request(app)
+        .delete(`/api/chat/channels/${general._id}/members/${owner._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(rename.status).toBe(403);
+      expect(remove.status).toBe(403);
+      const unchanged = await Channel.findById(general._id);
+      expect(unchanged.name).toBe('general');
+      expect(unchanged.isMember(owner._id)).toBe(true);
+    });
+
+    it('should let an owner remove a member and drop their sockets from the room', async () => {
+      const response = await request(app)
+        .delete(`/api/chat/channels/${general._id}/members/${member._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(200);
+      expect((await Channel.findById(general._id)).isMember(member._id)).toBe(false);
+      expect(io.in).toHaveBeenCalledWith(`user:${member._id}`);
+      expect(io.room.socketsLeave).toHaveBeenCalledWith(`chat:channel:${general._id}`);
+    });
+
+    it('should drop non-member sockets when a channel becomes private', async () => {
+      const response = await request(app)
+        .put(`/api/chat/channels/${general._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ isPrivate: true });
+
+      expect(response.status).toBe(200);
+      expect(io.in).toHaveBeenCalledWith(`chat:channel:${general._id}`);
+      expect(io.room.except).toHaveBeenCalledWith([`user:${owner._id}`, `user:${member._id}`]);
+      expect(io.room.socketsLeave).toHaveBeenCalledWith(`chat:channel:${general._id}`);
+    });
+  });
+
+  describe('Threads', () => {
+    let publicRoot;
+    let privateRoot;
+
+    beforeEach(async () => {
+      const general = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'general',
+        createdBy: owner._id,
+        members: [
+          { userId: owner._id, role: 'owner' },
+          { userId: member._id }
+        ]
+      });
+      const secret = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'secret',
+        isPrivate: true,
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'owner' }]
+      });
+
+      publicRoot = await Message.create({
+        workspaceId: workspace._id,
+        channelId: general._id,
+        senderId: owner._id,
+        text: 'Release plan'
+      });
+      privateRoot = await Message.create({
+        workspaceId: workspace._id,
+        channelId: secret._id,
+        senderId: owner._id,
+        text: 'Salary review'
+      });
+    });
+
+    it('should return a thread to a channel member', async () => {
+      const response = await request(app)
+        .get(`/api/chat/messages/${publicRoot._id}/thread`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+    });
+
+    it('should refuse a thread to someone outside the workspace', async () => {
+      const response = await request(app)
+        .get(`/api/chat/messages/${publicRoot._id}/thread`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should hide a private channel thread from workspace members outside the channel', async () => {
+      const response = await request(app)
+        .get(`/api/chat/messages/${privateRoot._id}/thread`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not let a non-member reply in a thread', async () => {
+      const response = await request(app)
+        .post(`/api/chat/messages/${privateRoot._id}/thread`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ text: 'Can I see this?' });
+
+      expect(response.status).toBe(404);
+      expect(await Message.countDocuments({ threadId: privateRoot._id })).toBe(0);
+    });
+
+    it('should not let a non-member follow a thread', async () => {
+      const response = await request(app)
+        .post(`/api/chat/messages/${publicRoot._id}/thread/follow`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Conversations', () => {
+    let conversation;
+
+    beforeEach(async () => {
+      conversation = await Conversation.create({
+        workspaceId: workspace._id,
+        isGroup: true,
+        name: 'Launch',
+        createdBy: owner._id,
+        participants: [
+          { userId: owner._id },
+          { userId: member._id, addedBy: owner._id }
+        ]
+      });
+      await Message.create({
+        workspaceId: workspace._id,
+        conversationId: conversation._id,
+        senderId: owner._id,
+        text: 'Launch is on Friday'
+      });
+    });
+
+    it('should return conversation messages to a participant', async () => {
+      const response = await request(app)
+        .get(`/api/chat/conversations/${conversation._id}/messages`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('success', true);
+    });
+
+    it('should answer a non-participant as if the conversation did not exist', async () => {
+      const response = await request(app)
+        .get(`/api/chat/conversations/${conversation._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Conversation not found');
+    });
+
+    it('should not show messages to a non-participant', async () => {
+      const response = await request(app)
+        .get(`/api/chat/conversations/${conversation._id}/messages`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).not.toHaveProperty('messages');
+    });
+
+    it('should not let a non-participant post or mark as read', async () => {
+      const post = await request(app)
+        .post(`/api/chat/conversations/${conversation._id}/messages`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ text: 'Hello?' });
+      const read = await request(app)
+        .post(`/api/chat/conversations/${conversation._id}/read`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+
+      expect(post.status).toBe(404);
+      expect(read.status).toBe(404);
+      expect(await Message.countDocuments({ conversationId: conversation._id })).toBe(1);
+    });
+
+    it('should refuse a participant who left the conversation', async () => {
+      const leave = await request(app)
+        .post(`/api/chat/conversations/${conversation._id}/leave`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(leave.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/chat/conversations/${conversation._id}/messages`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Search', () => {
+    let general;
+    let secret;
+    let conversation;
+
+    const createMessage = async (text, { channel = general, sender = owner, createdAt } = {}) => {
+      const message = await Message.create({
+        workspaceId: workspace._id,
+        channelId: channel ? channel._id : undefined,
+        conversationId: channel ? undefined : conversation._id,
+        senderId: sender._id,
+        text
+      });
+      // Timestamps are set on create, so older messages are backdated directly
+      if (createdAt) {
+        await Message.collection.updateOne({ _id: message._id }, { $set: { createdAt: new Date(createdAt) } });
+      }
+      return message;
+    };
+
+    const search = (query, token = memberToken, params = {}) => request(app)
+      .get('/api/chat/search')
+      .query({ workspaceId: workspace._id.toString(), query, ...params })
+      .set('Authorization', `Bearer ${token}`);
+
+    const textsOf = (response) => response.body.messages.map(message => message.text).sort();
+
+    beforeEach(async () => {
+      await Message.init();
+
+      general = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'general',
+        createdBy: owner._id,
+        members: [
+          { userId: owner._id, role: 'owner' },
+          { userId: member._id }
+        ]
+      });
+      secret = await Channel.create({
+        workspaceId: workspace._id,
+        name: 'secret',
+        isPrivate: true,
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'owner' }]
+      });
+      conversation = await Conversation.create({
+        workspaceId: workspace._id,
+        isGroup: true,
+        name: 'Leads',
+        createdBy: owner._id,
+        participants: [{ userId: owner._id }]
+      });
+    });
+
+    describe('parseSearchQuery', () => {
+      it('should split words, quoted phrases and operators', () => {
+        const parsed = parseSearchQuery('deploy "release plan" from:@Owner in:#General has:file is:pinned https://example.com');
+
+        expect(parsed).toMatchObject({
+          terms: ['deploy', 'https://example.com'],
+          phrases: ['release plan'],
+          from: ['owner'],
+          in: ['general'],
+          has: ['file'],
+          is: ['pinned']
+        });
+      });
+
+      it('should read quoted operator values and dates', () => {
+        const parsed = parseSearchQuery('in:"Release Plan" before:2026-03-01 after:2026-02-01');
+
+        expect(parsed.in).toEqual(['release plan']);
+        expect(parsed.before).toEqual(new Date('2026-03-01'));
+        expect(parsed.after).toEqual(new Date('2026-02-01'));
+      });
+
+      it('should reject malformed operator values', () => {
+        expect(() => parseSearchQuery('before:yesterday')).toThrow('before: expects a date like 2024-05-31');
+        expect(() => parseSearchQuery('has:picture')).toThrow(/Unknown filter has:picture/);
+        expect(() => parseSearchQuery('from:""')).toThrow('from: needs a value');
+      });
+    });
+
+    describe('buildSearchFilter', () => {
+      it('should leave out private channels and conversations the user is not in', async () => {
+        const filter = await buildSearchFilter(parseSearchQuery('plan'), workspace._id, member._id);
+
+        expect(filter.channelId.$in.map(String)).toEqual(['null', general._id.toString()]);
+        expect(filter.conversationId.$in.map(String)).toEqual(['null']);
+      });
+
+      it('should turn before: and after: into whole-day bounds', async () => {
+        const filter = await buildSearchFilter(parseSearchQuery('before:2026-03-01 after:2026-02-01'), workspace._id, member._id);
+
+        expect(filter.createdAt).toEqual({
+          $lt: new Date('2026-03-01T00:00:00Z'),
+          $gte: new Date('2026-02-02T00:00:00Z')
+        });
+      });
+    });
+
+    describe('GET /api/chat/search', () => {
+      it('should only find messages the user can read', async () => {
+        await createMessage('Release plan for Friday');
+        await createMessage('Release plan salaries', { channel: secret });
+        await createMessage('Release plan for the leads', { channel: null });
+
+        const asMember = await search('plan');
+        const asOwner = await search('plan', ownerToken);
+
+        expect(asMember.status).toBe(200);
+        expect(textsOf(asMember)).toEqual(['Release plan for Friday']);
+        expect(asOwner.body.count).toBe(3);
+      });
+
+      it('should filter by sender with from:', async () => {
+        await createMessage('Deploy tonight');
+        await createMessage('Deploy tomorrow', { sender: member });
+
+        const byOwner = await search('deploy from:@owner');
+        const byMe = await search('deploy from:me');
+        const unknown = await search('deploy from:@nobody');
+
+        expect(textsOf(byOwner)).toEqual(['Deploy tonight']);
+        expect(textsOf(byMe)).toEqual(['Deploy tomorrow']);
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.message).toBe('No workspace member matches @nobody');
+      });
+
+      it('should filter by channel with in: and not reveal private channels', async () => {
+        const random = await Channel.create({
+          workspaceId: workspace._id,
+          name: 'random',
+          createdBy: owner._id,
+          members: [{ userId: owner._id, role: 'owner' }]
+        });
+        await createMessage('Lunch order');
+        await createMessage('Lunch order again', { channel: random });
+
+        const inRandom = await search('lunch in:#random');
+        const inSecret = await search('lunch in:#secret');
+
+        expect(textsOf(inRandom)).toEqual(['Lunch order again']);
+        expect(inSecret.status).toBe(400);
+        expect(inSecret.body.message).toBe('No channel named #secret');
+      });
+
+      it('should filter by day with before: and after:', async () => {
+        await createMessage('Budget draft', { createdAt: '2026-01-31T18:00:00Z' });
+        await createMessage('Budget review', { createdAt: '2026-02-01T09:00:00Z' });
+        await createMessage('Budget final', { createdAt: '2026-02-02T09:00:00Z' });
+
+        const before = await search('budget before:2026-02-01');
+        const after = await search('budget after:2026-02-01');
+
+        expect(textsOf(before)).toEqual(['Budget draft']);
+        expect(textsOf(after)).toEqual(['Budget final']);
+      });
+
+      it('should match quoted phrases exactly', async () => {
+        await createMessage('The release plan is ready');
+        await createMessage('Plan the release next week');
+
+        const response = await search('"release plan"');
+
+        expect(textsOf(response)).toEqual(['The release plan is ready']);
+        expect(response.body.messages[0].highlights).toHaveLength(1);
+      });
+
+      it('should page through results with the cursor', async () => {
+        for (let i = 1; i <= 5; i++) {
+          await createMessage(`Standup notes ${i}`);
+        }
+
+        const seen = [];
+        let cursor;
+        let pages = 0;
+        do {
+          const response = await search('standup', memberToken, { limit: 2, ...(cursor && { cursor }) });
+          expect(response.status).toBe(200);
+          seen.push(...response.body.messages.map(message => message.text));
+          cursor = response.body.nextCursor;
+          pages++;
+        } while (cursor);
+
+        expect(pages).toBe(3);
+        expect(seen).toEqual([5, 4, 3, 2, 1].map(i => `Standup notes ${i}`));
+      });
+    });
+  });
+});
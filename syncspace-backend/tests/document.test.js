@@ -0,0 +1,1057 @@
+// /tests/document.test.js
+
+/**
+ * Document Tests
+ *
+ * Tests for real-time document sync: transforming stale operations,
+ * reconnect catch-up and resync; for sanitizing imported files; for
+ * exporting documents; for comments and suggestions; for nested pages; for
+ * backlinks and [[Page]] links; and for restoring and pruning version history
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const zlib = require('zlib');
+const request = require('supertest');
+const mammoth = require('mammoth');
+const mongoose = require('mongoose');
+const Delta = require('quill-delta');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+const Project = require('../src/models/Project');
+const Task = require('../src/models/Task');
+const Channel = require('../src/models/Channel');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const Document = require('../src/models/Document');
+const DocumentOperation = require('../src/models/DocumentOperation');
+const DocumentComment = require('../src/models/DocumentComment');
+const Notification = require('../src/models/Notification');
+const DocumentVersion = require('../src/models/DocumentVersion');
+const documentSyncUtils = require('../src/utils/documentSyncUtils');
+const documentImportUtils = require('../src/utils/documentImportUtils');
+const documentExportUtils = require('../src/utils/documentExportUtils');
+const documentCommentUtils = require('../src/utils/documentCommentUtils');
+const documentVersionUtils = require('../src/utils/documentVersionUtils');
+const { generateTestToken } = require('./setup');
+
+const userId = new mongoose.Types.ObjectId();
+const otherUserId = new mongoose.Types.ObjectId();
+
+let documentId;
+
+// Plain text of the live document
+const liveText = async () => {
+  const { delta } = await documentSyncUtils.getDocumentState(documentId);
+  return new Delta(delta).ops.map(op => op.insert).join('');
+};
+
+beforeEach(async () => {
+  const document = await Document.create({
+    title: 'Sync Test',
+    workspaceId: new mongoose.Types.ObjectId(),
+    createdBy: userId,
+    delta: [{ insert: 'world\n' }]
+  });
+  documentId = document._id.toString();
+});
+
+// Drop the in-memory state (and its snapshot timer) of each test's document
+afterEach(async () => {
+  await documentSyncUtils.flushSnapshot(documentId, true);
+});
+
+describe('Document sync', () => {
+
+  describe('applyOperation', () => {
+    it('should apply an operation made at the current revision', async () => {
+      const result = await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId
+      });
+
+      expect(result.revision).toBe(1);
+      expect(result.duplicate).toBe(false);
+      expect(await liveText()).toBe('Hello world\n');
+    });
+
+    it('should transform an operation made at a stale revision', async () => {
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId
+      });
+
+      // Made against "world\n" before the first operation arrived
+      const result = await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ retain: 5 }, { insert: '!' }],
+        opId: 'op-2',
+        userId: otherUserId
+      });
+
+      expect(result.revision).toBe(2);
+      expect(result.ops).toEqual([{ retain: 11 }, { insert: '!' }]);
+      expect(await liveText()).toBe('Hello world!\n');
+    });
+
+    it('should put the server operation first when both insert at the same place', async () => {
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'A' }],
+        opId: 'op-1',
+        userId
+      });
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'B' }],
+        opId: 'op-2',
+        userId: otherUserId
+      });
+
+      expect(await liveText()).toBe('ABworld\n');
+    });
+
+    it('should transform across several concurrent revisions', async () => {
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId
+      });
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 1,
+        ops: [{ retain: 6 }, { delete: 5 }, { insert: 'there' }],
+        opId: 'op-2',
+        userId
+      });
+
+      // Deletes the "w" the other user already replaced, then appends
+      const result = await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ delete: 1 }, { retain: 4 }, { insert: '?' }],
+        opId: 'op-3',
+        userId: otherUserId
+      });
+
+      expect(result.revision).toBe(3);
+      expect(await liveText()).toBe('Hello there?\n');
+    });
+
+    it('should not apply a resent operation twice', async () => {
+      const operation = { revision: 0, ops: [{ insert: 'Hello ' }], opId: 'op-1', userId };
+
+      await documentSyncUtils.applyOperation(documentId, operation);
+      const resent = await documentSyncUtils.applyOperation(documentId, operation);
+
+      expect(resent.duplicate).toBe(true);
+      expect(resent.revision).toBe(1);
+      expect(await liveText()).toBe('Hello world\n');
+    });
+
+    it('should reject a revision the server has not reached', async () => {
+      await expect(documentSyncUtils.applyOperation(documentId, {
+        revision: 5,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId
+      })).rejects.toMatchObject({ name: 'DocumentSyncError', code: 'resync' });
+    });
+
+    it('should reject an operation longer than the document', async () => {
+      await expect(documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ retain: 50 }, { insert: '!' }],
+        opId: 'op-1',
+        userId
+      })).rejects.toMatchObject({ name: 'DocumentSyncError', code: 'resync' });
+    });
+  });
+
+  describe('getOperationsSince', () => {
+    beforeEach(async () => {
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId
+      });
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 1,
+        ops: [{ retain: 11 }, { insert: '!' }],
+        opId: 'op-2',
+        userId: otherUserId
+      });
+    });
+
+    it('should return the operations a reconnecting client missed, in order', async () => {
+      const operations = await documentSyncUtils.getOperationsSince(documentId, 0);
+
+      expect(operations.map(op => op.revision)).toEqual([1, 2]);
+      expect(operations.map(op => op.opId)).toEqual(['op-1', 'op-2']);
+
+      // Replaying them on the client's copy gives the live document
+      const replayed = operations.reduce(
+        (delta, op) => delta.compose(new Delta(op.ops)),
+        new Delta([{ insert: 'world\n' }])
+      );
+      expect(replayed.ops.map(op => op.insert).join('')).toBe(await liveText());
+    });
+
+    it('should return nothing to a client that is up to date', async () => {
+      const operations = await documentSyncUtils.getOperationsSince(documentId, 2);
+
+      expect(operations).toEqual([]);
+    });
+
+    it('should ask for a resync once the missed operations are pruned', async () => {
+      await DocumentOperation.deleteMany({ documentId, revision: 1 });
+
+      expect(await documentSyncUtils.getOperationsSince(documentId, 0)).toBeNull();
+      await expect(documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hi ' }],
+        opId: 'op-3',
+        userId
+      })).rejects.toMatchObject({ name: 'DocumentSyncError', code: 'resync' });
+
+      // A client that reloaded the snapshot can edit again
+      const result = await documentSyncUtils.applyOperation(documentId, {
+        revision: 2,
+        ops: [{ insert: 'Hi ' }],
+        opId: 'op-3',
+        userId
+      });
+      expect(result.revision).toBe(3);
+    });
+
+    it('should ask for a resync after the content was replaced outside the editor', async () => {
+      await documentSyncUtils.resetDocumentState(documentId, () =>
+        Document.updateOne({ _id: documentId }, { $set: { content: '<p>Replaced</p>' } })
+      );
+
+      expect(await documentSyncUtils.getOperationsSince(documentId, 2)).toBeNull();
+      expect(await DocumentOperation.countDocuments({ documentId })).toBe(0);
+
+      // The first client back seeds the new content
+      const { bootstrapped, revision } = await documentSyncUtils.bootstrapDocument(documentId, [{ insert: 'Replaced\n' }]);
+      expect(bootstrapped).toBe(true);
+      expect(await liveText()).toBe('Replaced\n');
+
+      const result = await documentSyncUtils.applyOperation(documentId, {
+        revision,
+        ops: [{ retain: 8 }, { insert: '!' }],
+        opId: 'op-3',
+        userId
+      });
+      expect(await liveText()).toBe('Replaced!\n');
+      expect(result.revision).toBe(revision + 1);
+    });
+  });
+});
+
+describe('Document import', () => {
+  const UNSAFE_HTML = '<h1>Notes</h1>'
+    + '<script>alert(document.cookie)</script>'
+    + '<p>Read <a href="javascript:alert(1)">this</a> and <a href="https://example.com">that</a></p>'
+    + '<p><img src="x" onerror="alert(1)">Done</p>';
+
+  describe('htmlToDelta', () => {
+    it('should drop scripts and their content', () => {
+      const delta = documentImportUtils.htmlToDelta(UNSAFE_HTML);
+      const text = delta.ops.map(op => (typeof op.insert === 'string' ? op.insert : '')).join('');
+
+      expect(text).toBe('Notes\nRead this and that\nDone\n');
+    });
+
+    it('should keep the text of javascript: links but not the link', () => {
+      const delta = documentImportUtils.htmlToDelta(
+        '<p><a href=" JavaScript:alert(1)">click</a> <a href="/docs">docs</a></p>'
+      );
+
+      expect(delta.ops).toEqual([
+        { insert: 'click ' },
+        { insert: 'docs', attributes: { link: '/docs' } },
+        { insert: '\n' }
+      ]);
+    });
+
+    it('should drop images that are not http(s) or inline pictures', () => {
+      const delta = documentImportUtils.htmlToDelta(
+        '<p><img src="javascript:alert(1)"><img src="https://example.com/a.png"></p>'
+      );
+
+      expect(delta.ops).toEqual([
+        { insert: { image: 'https://example.com/a.png' } },
+        { insert: '\n' }
+      ]);
+    });
+  });
+
+  describe('POST /api/documents/workspaces/:workspaceId/import', () => {
+    let authToken;
+    let workspace;
+
+    beforeEach(async () => {
+      const user = await User.create({ name: 'Importer', email: 'import-test@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Import Workspace',
+        createdBy: user._id,
+        members: [{ userId: user._id, role: 'Admin' }]
+      });
+      authToken = generateTestToken(user._id);
+    });
+
+    it('should strip scripts and javascript: links from an imported HTML file', async () => {
+      const response = await request(app)
+        .post(`/api/documents/workspaces/${workspace._id}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('files', Buffer.from(UNSAFE_HTML), { filename: 'notes.html', contentType: 'text/html' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.documents).toHaveLength(1);
+
+      const document = await Document.findById(response.body.documents[0]._id);
+      expect(document.content).not.toMatch(/<script|javascript:|onerror/i);
+      expect(document.content).toContain('href="https://example.com"');
+      expect(JSON.stringify(document.delta)).not.toMatch(/alert|javascript:/i);
+    });
+
+    it('should strip raw HTML scripts from an imported Markdown file', async () => {
+      const markdown = '# Notes\n\n<script>alert(1)</script>\n\n<a href="javascript:alert(1)">click</a> and **bold**\n';
+
+      const response = await request(app)
+        .post(`/api/documents/workspaces/${workspace._id}/import`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('files', Buffer.from(markdown), { filename: 'notes.md', contentType: 'text/markdown' });
+
+      expect(response.status).toBe(201);
+
+      const document = await Document.findById(response.body.documents[0]._id);
+      expect(document.content).not.toMatch(/<script|javascript:|alert/i);
+      expect(document.content).toContain('<strong>bold</strong>');
+    });
+  });
+});
+
+describe('Document export', () => {
+  const HTML = '<h1>Plan</h1>'
+    + '<p>Ship <strong>v2</strong> with <a href="https://example.com/a b">docs</a></p>'
+    + '<ol><li>Tests</li><li class="ql-indent-1">Unit</li></ol>'
+    + '<pre class="ql-syntax" spellcheck="false">npm test\n</pre>'
+    + '<blockquote>Be *careful*</blockquote>';
+
+  // Collect a binary response body into a Buffer
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  // Entry names and text of a zip archive, read from its central directory
+  const readZip = (buffer) => {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+      const method = buffer.readUInt16LE(offset + 10);
+      const size = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const otherLength = buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+      const local = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+      const data = buffer.subarray(start, start + size);
+      entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+      offset += 46 + nameLength + otherLength;
+    }
+    return entries;
+  };
+
+  describe('exportDocument', () => {
+    const document = { title: 'Q3: plan/notes?', content: HTML };
+
+    it('should export Markdown', async () => {
+      const { data, fileName, mimeType } = await documentExportUtils.exportDocument(document, 'md');
+
+      expect(data).toBe([
+        '# Plan',
+        'Ship **v2** with [docs](https://example.com/a%20b)',
+        '1. Tests\n    1. Unit',
+        '```\nnpm test\n```',
+        '> Be \\*careful\\*'
+      ].join('\n\n') + '\n');
+      expect(fileName).toBe('Q3 plan notes.md');
+      expect(mimeType).toBe('text/markdown; charset=utf-8');
+    });
+
+    it('should export plain text with link targets spelled out', async () => {
+      const { data } = await documentExportUtils.exportDocument(document, 'txt');
+
+      expect(data).toBe([
+        'Plan',
+        'Ship v2 with docs (https://example.com/a b)',
+        '1. Tests\n    1. Unit',
+        'npm test',
+        '> Be *careful*'
+      ].join('\n\n') + '\n');
+    });
+
+    it('should export a standalone HTML page with an escaped title', async () => {
+      const { data } = await documentExportUtils.exportDocument(
+        { title: '<script>alert(1)</script>', content: HTML },
+        'html'
+      );
+
+      expect(data).toMatch(/^<!DOCTYPE html>/);
+      expect(data).toContain('<title>&lt;script&gt;alert(1)&lt;/script&gt;</title>');
+      expect(data).toContain(HTML);
+    });
+
+    it('should export a Word document', async () => {
+      const { data, fileName } = await documentExportUtils.exportDocument(document, 'docx');
+      const { value } = await mammoth.extractRawText({ buffer: data });
+
+      expect(fileName).toBe('Q3 plan notes.docx');
+      expect(value).toContain('Ship v2 with docs');
+      expect(value).toContain('npm test');
+    });
+
+    it('should name untitled exports and reject unknown formats', async () => {
+      expect(documentExportUtils.getExportFileName('  ...  ', 'md')).toBe('Untitled document.md');
+      await expect(documentExportUtils.exportDocument(document, 'pdf'))
+        .rejects.toMatchObject({ name: 'AppError', statusCode: 400 });
+    });
+  });
+
+  describe('export endpoints', () => {
+    let workspace;
+    let authToken;
+
+    beforeEach(async () => {
+      const user = await User.create({ name: 'Exporter', email: 'export-test@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Export / Workspace',
+        createdBy: user._id,
+        members: [{ userId: user._id, role: 'Admin' }]
+      });
+      await Document.updateOne({ _id: documentId }, {
+        $set: { createdBy: user._id, workspaceId: workspace._id, title: 'Overview', content: HTML }
+      });
+      authToken = generateTestToken(user._id);
+    });
+
+    it('should download a single document in the requested format', async () => {
+      const response = await request(app)
+        .get(`/api/documents/${documentId}/export?format=md`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/markdown/);
+      expect(response.headers['content-disposition']).toContain('filename="Overview.md"');
+      expect(response.text).toMatch(/^# Plan\n/);
+    });
+
+    it('should refuse unknown formats and users without access', async () => {
+      const outsider = await User.create({ name: 'Outsider', email: 'export-outsider@example.com', password: 'Test@1234' });
+
+      const badFormat = await request(app)
+        .get(`/api/documents/${documentId}/export?format=pdf`)
+        .set('Authorization', `Bearer ${authToken}`);
+      const noAccess = await request(app)
+        .get(`/api/documents/${documentId}/export?format=md`)
+        .set('Authorization', `Bearer ${generateTestToken(outsider._id)}`);
+
+      expect(badFormat.status).toBe(400);
+      expect(noAccess.status).toBe(403);
+    });
+
+    it('should zip the workspace with a folder per project and no archived documents', async () => {
+      const project = await Project.create({ name: 'Launch', workspaceId: workspace._id, createdBy: workspace.createdBy });
+      const base = { workspaceId: workspace._id, createdBy: workspace.createdBy };
+      await Document.create([
+        { ...base, title: 'Overview', content: '<p>Second overview</p>' },
+        { ...base, title: 'Checklist', content: '<p>Pack the booth</p>', projectId: project._id },
+        { ...base, title: 'Old plan', content: '<p>Obsolete</p>', isArchived: true }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/documents/workspaces/${workspace._id}/export?format=txt`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('filename="Export Workspace.zip"');
+
+      const entries = readZip(response.body);
+      expect(Object.keys(entries).sort()).toEqual(['Launch/Checklist.txt', 'Overview (2).txt', 'Overview.txt']);
+      expect(entries['Launch/Checklist.txt']).toBe('Pack the booth\n');
+      expect([entries['Overview.txt'], entries['Overview (2).txt']]).toContain('Second overview\n');
+    });
+
+    it('should zip one project on its own', async () => {
+      const project = await Project.create({ name: 'Launch', workspaceId: workspace._id, createdBy: workspace.createdBy });
+      await Document.create({
+        workspaceId: workspace._id,
+        createdBy: workspace.createdBy,
+        projectId: project._id,
+        title: 'Checklist',
+        content: '<p>Pack the booth</p>'
+      });
+
+      const response = await request(app)
+        .get(`/api/documents/workspaces/${workspace._id}/export?format=md&projectId=${project._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toContain('filename="Launch.zip"');
+      expect(readZip(response.body)).toEqual({ 'Checklist.md': 'Pack the booth\n' });
+    });
+  });
+});
+
+describe('Document comments', () => {
+  let owner;
+  let reviewer;
+  let ownerToken;
+  let reviewerToken;
+
+  const comment = (token, body) => request(app)
+    .post(`/api/documents/${documentId}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const act = (token, commentId, action, body) => request(app)
+    .post(`/api/documents/${documentId}/comments/${commentId}/${action}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  // The owner wrote "world\n"; the reviewer is a workspace member
+  beforeEach(async () => {
+    owner = await User.create({ name: 'Owner', email: 'comments-owner@example.com', password: 'Test@1234' });
+    reviewer = await User.create({ name: 'Reviewer', email: 'comments-reviewer@example.com', password: 'Test@1234' });
+    const workspace = await Workspace.create({
+      name: 'Comments Workspace',
+      createdBy: owner._id,
+      members: [
+        { userId: owner._id, role: 'Admin' },
+        { userId: reviewer._id, role: 'Member' }
+      ]
+    });
+    await Document.updateOne({ _id: documentId }, { $set: { createdBy: owner._id, workspaceId: workspace._id } });
+    ownerToken = generateTestToken(owner._id);
+    reviewerToken = generateTestToken(reviewer._id);
+  });
+
+  describe('comment threads', () => {
+    it('should anchor a comment to the text it was made on and follow later edits', async () => {
+      const response = await comment(reviewerToken, { text: 'Which world?', anchor: { index: 0, length: 5, revision: 0 } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.comment.anchor).toMatchObject({ index: 0, length: 5, revision: 0, quote: 'world' });
+
+      await documentSyncUtils.applyOperation(documentId, { revision: 0, ops: [{ insert: 'Hello ' }], opId: 'op-1', userId: owner._id });
+
+      const list = await request(app)
+        .get(`/api/documents/${documentId}/comments`)
+        .set('Authorization', `Bearer ${ownerToken}`);
+
+      expect(list.body.comments).toHaveLength(1);
+      expect(list.body.comments[0].anchor).toMatchObject({ index: 6, length: 5, revision: 1, quote: 'world', detached: false });
+    });
+
+    it('should move a range selected at an older revision onto the current text', async () => {
+      await documentSyncUtils.applyOperation(documentId, { revision: 0, ops: [{ insert: 'Hello ' }], opId: 'op-1', userId: owner._id });
+
+      const response = await comment(reviewerToken, { text: 'Which world?', anchor: { index: 0, length: 5, revision: 0 } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.comment.anchor).toMatchObject({ index: 6, length: 5, revision: 1, quote: 'world' });
+    });
+
+    it('should refuse ranges outside the document or at an unknown revision with 409', async () => {
+      const outside = await comment(reviewerToken, { text: 'Too far', anchor: { index: 3, length: 10, revision: 0 } });
+      const future = await comment(reviewerToken, { text: 'Too soon', anchor: { index: 0, length: 5, revision: 7 } });
+
+      expect(outside.status).toBe(409);
+      expect(future.status).toBe(409);
+      expect(await DocumentComment.countDocuments({ documentId })).toBe(0);
+    });
+
+    it('should add replies, tell the thread about them and reopen resolved threads', async () => {
+      const created = await comment(reviewerToken, { text: 'Which world?', anchor: { index: 0, length: 5, revision: 0 } });
+      const commentId = created.body.comment._id;
+
+      const resolved = await act(ownerToken, commentId, 'resolve');
+      expect(resolved.body.comment.status).toBe('resolved');
+
+      const reply = await act(ownerToken, commentId, 'replies', { text: 'This one' });
+
+      expect(reply.status).toBe(201);
+      expect(reply.body.comment.status).toBe('open');
+      expect(reply.body.comment.replies.map(r => r.text)).toEqual(['This one']);
+      expect(await Notification.countDocuments({ userId: reviewer._id, type: 'comment' })).toBe(1);
+    });
+  });
+
+  describe('suggestions', () => {
+    let suggestionId;
+
+    // The reviewer suggests replacing "world" with "there"
+    beforeEach(async () => {
+      const response = await comment(reviewerToken, {
+        kind: 'suggestion',
+        replacement: 'there',
+        anchor: { index: 0, length: 5, revision: 0 }
+      });
+      suggestionId = response.body.comment._id;
+    });
+
+    it('should apply an accepted suggestion to the document', async () => {
+      const response = await act(ownerToken, suggestionId, 'accept');
+
+      expect(response.status).toBe(200);
+      expect(response.body.comment).toMatchObject({ status: 'accepted' });
+      expect(response.body.revision).toBe(1);
+      expect(await liveText()).toBe('there\n');
+    });
+
+    it('should leave the document alone when a suggestion is rejected', async () => {
+      // The author may withdraw their own suggestion
+      const response = await act(reviewerToken, suggestionId, 'reject');
+
+      expect(response.status).toBe(200);
+      expect(response.body.comment).toMatchObject({ status: 'rejected' });
+      expect(await liveText()).toBe('world\n');
+    });
+
+    it('should only let the document owner accept', async () => {
+      const response = await act(reviewerToken, suggestionId, 'accept');
+
+      expect(response.status).toBe(403);
+      expect(await liveText()).toBe('world\n');
+    });
+
+    it('should answer a second accept with 409 and apply the change once', async () => {
+      const first = await act(ownerToken, suggestionId, 'accept');
+      const second = await act(ownerToken, suggestionId, 'accept');
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(409);
+      expect(await liveText()).toBe('there\n');
+    });
+
+    it('should answer 409 to an accept racing one that already claimed the suggestion', async () => {
+      const document = await documentCommentUtils.getAccessibleDocument(documentId, owner._id);
+      // Both requests loaded the suggestion while it was still open
+      const first = await documentCommentUtils.getComment(document, suggestionId);
+      const second = await documentCommentUtils.getComment(document, suggestionId);
+
+      await documentCommentUtils.decideSuggestion(undefined, document, first, owner, true);
+
+      await expect(documentCommentUtils.decideSuggestion(undefined, document, second, owner, true))
+        .rejects.toMatchObject({ statusCode: 409, message: 'Suggestion was already decided' });
+      expect(await liveText()).toBe('there\n');
+    });
+  });
+});
+
+describe('Document tree', () => {
+  let owner;
+  let member;
+  let workspace;
+  let ownerToken;
+  let pages;
+
+  const createPage = (title, parent, position, createdBy = owner) => Document.create({
+    title,
+    workspaceId: workspace._id,
+    parentId: parent ? parent._id : null,
+    position,
+    createdBy: createdBy._id
+  });
+
+  const send = (method, url, body) => request(app)[method](url)
+    .set('Authorization', `Bearer ${ownerToken}`)
+    .send(body);
+
+  // Titles of the tree, with subpages in brackets
+  const outline = async (archived = false) => {
+    const response = await send('get', `/api/documents/workspaces/${workspace._id}/tree?archived=${archived}`);
+    const render = (nodes) => nodes.map(node =>
+      (node.children.length ? `${node.title} [${render(node.children)}]` : node.title)
+    ).join(', ');
+    return render(response.body.tree);
+  };
+
+  // Guide > Setup > Install, and Notes beside Guide
+  beforeEach(async () => {
+    owner = await User.create({ name: 'Owner', email: 'tree-owner@example.com', password: 'Test@1234' });
+    member = await User.create({ name: 'Member', email: 'tree-member@example.com', password: 'Test@1234' });
+    workspace = await Workspace.create({
+      name: 'Tree Workspace',
+      createdBy: owner._id,
+      members: [
+        { userId: owner._id, role: 'Admin' },
+        { userId: member._id, role: 'Member' }
+      ]
+    });
+    ownerToken = generateTestToken(owner._id);
+
+    const guide = await createPage('Guide', null, 0);
+    const setup = await createPage('Setup', guide, 0);
+    pages = {
+      guide,
+      setup,
+      install: await createPage('Install', setup, 0),
+      notes: await createPage('Notes', null, 1)
+    };
+
+    // Deleting a page broadcasts to the workspace
+    app.set('io', { to: () => ({ emit: () => {} }) });
+  });
+
+  afterEach(() => {
+    app.set('io', undefined);
+  });
+
+  it('should return the pages of a workspace as a tree', async () => {
+    expect(await outline()).toBe('Guide [Setup [Install]], Notes');
+  });
+
+  describe('PATCH /api/documents/:id/move', () => {
+    it('should refuse to move a page under its own subpage', async () => {
+      const response = await send('patch', `/api/documents/${pages.guide._id}/move`, { parentId: pages.install._id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('A page cannot be moved under one of its subpages');
+      expect(await outline()).toBe('Guide [Setup [Install]], Notes');
+    });
+
+    it('should refuse to nest a page under itself', async () => {
+      const response = await send('patch', `/api/documents/${pages.setup._id}/move`, { parentId: pages.setup._id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('A page cannot be nested under itself');
+    });
+
+    it('should move a page with its subpages to another parent and position', async () => {
+      const response = await send('patch', `/api/documents/${pages.setup._id}/move`, { parentId: null, position: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ parentId: null, position: 1 });
+      expect(await outline()).toBe('Guide, Setup [Install], Notes');
+    });
+  });
+
+  describe('archiving', () => {
+    it('should archive a page with its subpages', async () => {
+      const response = await send('post', `/api/documents/${pages.guide._id}/archive`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.documentIds).toHaveLength(3);
+      expect(await outline()).toBe('Notes');
+      expect(await outline(true)).toBe('Guide [Setup [Install]]');
+    });
+
+    it('should unarchive the subpages archived with a page but not those archived on their own', async () => {
+      await send('post', `/api/documents/${pages.install._id}/archive`);
+      await send('post', `/api/documents/${pages.guide._id}/archive`);
+
+      const response = await send('post', `/api/documents/${pages.guide._id}/unarchive`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.documentIds.map(String).sort()).toEqual([pages.guide._id, pages.setup._id].map(String).sort());
+      expect(await outline()).toBe('Notes, Guide [Setup]');
+      expect(await outline(true)).toBe('Install');
+    });
+
+    it('should bring a subpage back at the top level while its parent stays archived', async () => {
+      await send('post', `/api/documents/${pages.guide._id}/archive`);
+
+      const response = await send('post', `/api/documents/${pages.setup._id}/unarchive`);
+
+      expect(response.status).toBe(200);
+      expect(await outline()).toBe('Notes, Setup [Install]');
+      expect(await outline(true)).toBe('Guide');
+    });
+  });
+
+  describe('DELETE /api/documents/:id', () => {
+    it('should move subpages into the deleted page\'s place without cascade', async () => {
+      const response = await send('delete', `/api/documents/${pages.guide._id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.deletedIds.map(String)).toEqual([pages.guide._id.toString()]);
+      expect(response.body.movedIds.map(String)).toEqual([pages.setup._id.toString()]);
+      expect(await outline()).toBe('Setup [Install], Notes');
+    });
+
+    it('should delete the subpages too with cascade', async () => {
+      const response = await send('delete', `/api/documents/${pages.guide._id}?cascade=true`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.deletedIds).toHaveLength(3);
+      expect(await outline()).toBe('Notes');
+      expect(await Document.countDocuments({ workspaceId: workspace._id })).toBe(1);
+    });
+
+    it('should delete nothing with cascade when someone else created a subpage', async () => {
+      await createPage('Theirs', pages.install, 0, member);
+
+      const response = await send('delete', `/api/documents/${pages.guide._id}?cascade=true`);
+
+      expect(response.status).toBe(403);
+      expect(await outline()).toBe('Guide [Setup [Install [Theirs]]], Notes');
+    });
+  });
+});
+
+describe('Document links', () => {
+  let owner;
+  let member;
+  let workspace;
+  let roadmap;
+  let sources;
+  let emit;
+
+  const backlinksFor = (user) => request(app)
+    .get(`/api/documents/${roadmap._id}/backlinks`)
+    .set('Authorization', `Bearer ${generateTestToken(user._id)}`);
+
+  const titlesOf = (response) => response.body.backlinks.map(link => `${link.type}: ${link.title}`).sort();
+
+  // Roadmap is linked from a page, an archived page, a task, a public and a
+  // private channel, and a conversation the member is not in
+  beforeEach(async () => {
+    owner = await User.create({ name: 'Owner', email: 'links-owner@example.com', password: 'Test@1234' });
+    member = await User.create({ name: 'Member', email: 'links-member@example.com', password: 'Test@1234' });
+    workspace = await Workspace.create({
+      name: 'Links Workspace',
+      createdBy: owner._id,
+      members: [
+        { userId: owner._id, role: 'Admin' },
+        { userId: member._id, role: 'Member' }
+      ]
+    });
+    const base = { workspaceId: workspace._id, createdBy: owner._id };
+    roadmap = await Document.create({ ...base, title: 'Roadmap', content: '<p>Q3 goals</p>' });
+
+    const project = await Project.create({ ...base, name: 'Launch' });
+    const general = await Channel.create({
+      ...base,
+      name: 'general',
+      members: [{ userId: owner._id, role: 'owner' }, { userId: member._id }]
+    });
+    const secret = await Channel.create({
+      ...base,
+      name: 'secret',
+      isPrivate: true,
+      members: [{ userId: owner._id, role: 'owner' }]
+    });
+    const conversation = await Conversation.create({
+      ...base,
+      isGroup: true,
+      name: 'Leads',
+      participants: [{ userId: owner._id }]
+    });
+    const message = (where, text) => Message.create({ workspaceId: workspace._id, senderId: owner._id, ...where, text });
+
+    sources = {
+      plan: await Document.create({ ...base, title: 'Plan', content: '<p>See [[Roadmap]] first</p>' }),
+      archived: await Document.create({ ...base, title: 'Old plan', content: '<p>[[Roadmap]]</p>', isArchived: true }),
+      task: await Task.create({ ...base, projectId: project._id, title: 'Review', description: 'Follow [[ roadmap ]]' }),
+      general: await message({ channelId: general._id }, 'Read [[Roadmap]] please'),
+      secret: await message({ channelId: secret._id }, 'Budget for [[Roadmap]]'),
+      leads: await message({ conversationId: conversation._id }, 'Draft of [[Roadmap]]')
+    };
+
+    emit = jest.fn();
+    app.set('io', { to: jest.fn(room => ({ emit: (...args) => emit(room, ...args) })) });
+  });
+
+  afterEach(() => {
+    app.set('io', undefined);
+  });
+
+  describe('GET /api/documents/:id/backlinks', () => {
+    it('should leave out archived pages, private channels and other people\'s conversations', async () => {
+      const response = await backlinksFor(member);
+
+      expect(response.status).toBe(200);
+      expect(titlesOf(response)).toEqual([
+        'document: Plan',
+        'message: Message from Owner',
+        'task: Review'
+      ]);
+      const page = response.body.backlinks.find(link => link.type === 'document');
+      expect(page).toMatchObject({ kinds: ['wiki'], snippet: 'See [[Roadmap]] first' });
+    });
+
+    it('should list every source the user can open', async () => {
+      const response = await backlinksFor(owner);
+
+      expect(response.body.count).toBe(5);
+      expect(response.body.backlinks.map(link => link.id.toString())).not.toContain(sources.archived._id.toString());
+    });
+  });
+
+  describe('renaming a page', () => {
+    it('should rewrite [[Page]] links to the new title wherever they are written', async () => {
+      const response = await request(app)
+        .put(`/api/documents/${roadmap._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(owner._id)}`)
+        .send({ title: 'Roadmap 2027' });
+
+      expect(response.status).toBe(200);
+      expect((await Document.findById(sources.plan._id)).content).toBe('<p>See [[Roadmap 2027]] first</p>');
+      expect((await Task.findById(sources.task._id)).description).toBe('Follow [[Roadmap 2027]]');
+      expect((await Message.findById(sources.general._id)).text).toBe('Read [[Roadmap 2027]] please');
+      expect((await Message.findById(sources.leads._id)).text).toBe('Draft of [[Roadmap 2027]]');
+
+      // The links still point at the page
+      const backlinks = await backlinksFor(owner);
+      expect(backlinks.body.count).toBe(5);
+    });
+
+    it('should send each rewritten message to its own stream', async () => {
+      await request(app)
+        .put(`/api/documents/${roadmap._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(owner._id)}`)
+        .send({ title: 'Roadmap 2027' });
+
+      const updates = emit.mock.calls.filter(([, event]) => event === 'chat:message:updated');
+      expect(updates.map(([room, , payload]) => [room, payload.text]).sort()).toEqual([
+        [`chat:channel:${sources.general.channelId}`, 'Read [[Roadmap 2027]] please'],
+        [`chat:channel:${sources.secret.channelId}`, 'Budget for [[Roadmap 2027]]'],
+        [`chat:conversation:${sources.leads.conversationId}`, 'Draft of [[Roadmap 2027]]']
+      ].sort());
+    });
+  });
+});
+
+describe('Document history', () => {
+
+  describe('POST /api/documents/:id/versions/:versionNumber/restore', () => {
+    let user;
+    let authToken;
+
+    beforeEach(async () => {
+      user = await User.create({ name: 'Editor', email: 'history-test@example.com', password: 'Test@1234' });
+      const workspace = await Workspace.create({
+        name: 'History Workspace',
+        createdBy: user._id,
+        members: [{ userId: user._id, role: 'Admin' }]
+      });
+      await Document.updateOne({ _id: documentId }, { $set: { createdBy: user._id, workspaceId: workspace._id } });
+      authToken = generateTestToken(user._id);
+    });
+
+    it('should restore a version as a new version', async () => {
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 0,
+        ops: [{ insert: 'Hello ' }],
+        opId: 'op-1',
+        userId: user._id
+      });
+      const saved = await documentSyncUtils.saveVersion(documentId, user._id, { name: 'Greeting' });
+      await documentSyncUtils.applyOperation(documentId, {
+        revision: 1,
+        ops: [{ retain: 6 }, { delete: 5 }, { insert: 'there' }],
+        opId: 'op-2',
+        userId: user._id
+      });
+
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/versions/${saved.number}/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.version).toMatchObject({ source: 'restore', restoredFrom: saved.number });
+      expect(response.body.version.number).toBeGreaterThan(saved.number);
+      expect(await liveText()).toBe('Hello world\n');
+
+      // History is added to: the replaced content and the restored version are both kept
+      const { delta: replaced } = await documentVersionUtils.getVersionContent(documentId, response.body.version.number - 1);
+      const { delta: original } = await documentVersionUtils.getVersionContent(documentId, saved.number);
+      expect(replaced.ops).toEqual([{ insert: 'Hello there\n' }]);
+      expect(original.ops).toEqual([{ insert: 'Hello world\n' }]);
+    });
+
+    it('should return 404 for a version that does not exist', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${documentId}/versions/99/restore`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(await liveText()).toBe('world\n');
+    });
+  });
+
+  describe('pruneVersions', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const LINES = [
+      'Planning notes for the third quarter, agreed at the offsite\n',
+      'Budget\n',
+      'Hiring\n',
+      'Roadmap\n',
+      'Launch\n',
+      'Retrospective\n'
+    ];
+
+    // Version n holds the first n lines
+    const contentOf = (number) => [{ insert: LINES.slice(0, number).join('') }];
+
+    // Versions 1-3 are ten days old, version 2 is named
+    beforeEach(async () => {
+      for (let number = 1; number <= 5; number++) {
+        await documentVersionUtils.recordVersion(documentId, contentOf(number), {
+          userId,
+          source: 'manual',
+          name: number === 2 ? 'Outline' : null,
+          createdAt: number <= 3 ? new Date(Date.now() - 10 * DAY_MS) : new Date()
+        });
+      }
+    });
+
+    it('should delete old unnamed versions and rebuild the ones left', async () => {
+      expect(await DocumentVersion.countDocuments({ documentId, kind: 'diff' })).toBe(4);
+
+      const deleted = await documentVersionUtils.pruneVersions(documentId, new Date(Date.now() - 5 * DAY_MS));
+
+      expect(deleted).toBe(2);
+      const versions = await DocumentVersion.find({ documentId }).sort({ number: 1 });
+      expect(versions.map(version => version.number)).toEqual([2, 4, 5]);
+
+      for (const { number } of versions) {
+        const { delta } = await documentVersionUtils.getVersionContent(documentId, number);
+        expect(delta.ops).toEqual(contentOf(number));
+      }
+      await expect(documentVersionUtils.getVersionContent(documentId, 3))
+        .rejects.toMatchObject({ name: 'AppError', statusCode: 404 });
+    });
+
+    it('should keep the latest version and build new versions on what is left', async () => {
+      const deleted = await documentVersionUtils.pruneVersions(documentId, new Date());
+
+      expect(deleted).toBe(3);
+      expect((await DocumentVersion.find({ documentId })).map(version => version.number).sort()).toEqual([2, 5]);
+
+      const version = await documentVersionUtils.recordVersion(documentId, contentOf(6), { userId, source: 'manual' });
+      expect(version.number).toBe(6);
+
+      const { delta } = await documentVersionUtils.getVersionContent(documentId, 6);
+      expect(delta.ops).toEqual(contentOf(6));
+    });
+  });
+});
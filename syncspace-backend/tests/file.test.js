@@ -0,0 +1,527 @@
+// /tests/file.test.js
+
+/**
+ * File Tests
+ *
+ * Tests for signed download links from the local storage driver, for
+ * deleting folders with their contents, for the workspace storage quota, for
+ * file versions and for file previews
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'syncspace-files-'));
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workspace = require('../src/models/Workspace');
+const Folder = require('../src/models/Folder');
+const File = require('../src/models/File');
+const FilePreview = require('../src/models/FilePreview');
+const { getStorage } = require('../src/utils/storageUtils');
+const { getPreview, getPreviewKind } = require('../src/utils/filePreviewUtils');
+const { generateTestToken } = require('./setup');
+
+const storage = getStorage();
+
+// Remove what the tests stored
+afterAll(() => {
+  fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+});
+
+describe('File API', () => {
+
+  describe('GET /api/files/signed/*', () => {
+    let key;
+
+    beforeEach(async () => {
+      ({ key } = await storage.put('files/test/report.txt', Buffer.from('Quarterly report')));
+    });
+
+    // Change one query parameter of a signed URL
+    const withParam = (url, name, value) => {
+      const [pathname, query] = url.split('?');
+      const params = new URLSearchParams(query);
+      params.set(name, value);
+      return `${pathname}?${params}`;
+    };
+
+    it('should download a file with a valid signed URL', async () => {
+      const { url } = await storage.getSignedUrl(key, { filename: 'report.txt' });
+
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toBe('Quarterly report');
+      expect(response.headers['content-disposition']).toContain('filename="report.txt"');
+    });
+
+    it('should refuse a URL with a tampered signature', async () => {
+      const { url } = await storage.getSignedUrl(key);
+      const signature = new URLSearchParams(url.split('?')[1]).get('signature');
+      const tampered = `${signature[0] === 'a' ? 'b' : 'a'}${signature.slice(1)}`;
+
+      const response = await request(app).get(withParam(url, 'signature', tampered));
+
+      expect(response.status).toBe(403);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should refuse a URL whose expiry was pushed back', async () => {
+      const { url } = await storage.getSignedUrl(key, { expiresIn: 60 });
+      const expires = Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+
+      const response = await request(app).get(withParam(url, 'expires', String(expires)));
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should refuse a signature used for another file or file name', async () => {
+      await storage.put('files/test/secret.txt', Buffer.from('Salaries'));
+      const { url } = await storage.getSignedUrl(key, { filename: 'report.txt' });
+
+      const otherFile = await request(app).get(url.replace('report.txt?', 'secret.txt?'));
+      const otherName = await request(app).get(withParam(url, 'filename', 'secret.txt'));
+
+      expect(otherFile.status).toBe(403);
+      expect(otherName.status).toBe(403);
+    });
+
+    it('should refuse a URL without a signature', async () => {
+      const { url } = await storage.getSignedUrl(key);
+
+      const response = await request(app).get(url.split('?')[0]);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should answer 410 once a signed URL has expired', async () => {
+      const { url } = await storage.getSignedUrl(key, { expiresIn: -60 });
+
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(410);
+      expect(response.body.message).toBe('Download link has expired');
+    });
+  });
+
+  describe('DELETE /api/files/folders/:folderId', () => {
+    let owner;
+    let member;
+    let outsider;
+    let workspace;
+    let reports;
+    let files;
+
+    // Store some text and create its File record
+    const storeFile = async (folder, name, uploader) => {
+      const stored = await storage.put(`files/${workspace._id}/${name}`, Buffer.from(`Contents of ${name}`));
+      const file = new File({
+        fileName: name,
+        originalName: name,
+        fileType: 'txt',
+        fileSize: stored.size,
+        mimeType: 'text/plain',
+        storageKey: stored.key,
+        workspaceId: workspace._id,
+        folderId: folder._id,
+        uploadedBy: uploader._id
+      });
+      file.fileUrl = `/api/files/${file._id}/download`;
+      return file.save();
+    };
+
+    // Reports holds a file and an Archive subfolder with another; Other is untouched
+    beforeEach(async () => {
+      owner = await User.create({ name: 'Owner', email: 'files-owner@example.com', password: 'Test@1234' });
+      member = await User.create({ name: 'Member', email: 'files-member@example.com', password: 'Test@1234' });
+      outsider = await User.create({ name: 'Outsider', email: 'files-outsider@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Files Workspace',
+        createdBy: owner._id,
+        members: [
+          { userId: owner._id, role: 'Admin' },
+          { userId: member._id, role: 'Member' }
+        ]
+      });
+
+      reports = await Folder.create({ name: 'Reports', workspaceId: workspace._id, createdBy: owner._id });
+      const archive = await Folder.create({
+        name: 'Archive',
+        workspaceId: workspace._id,
+        parentId: reports._id,
+        createdBy: owner._id
+      });
+      const other = await Folder.create({ name: 'Other', workspaceId: workspace._id, createdBy: owner._id });
+
+      files = {
+        q2: await storeFile(reports, 'q2.txt', owner),
+        q1: await storeFile(archive, 'q1.txt', owner),
+        notes: await storeFile(other, 'notes.txt', owner)
+      };
+      const used = Object.values(files).reduce((sum, file) => sum + file.fileSize, 0);
+      await Workspace.updateOne({ _id: workspace._id }, { $set: { 'storage.used': used } });
+    });
+
+    it('should delete a folder with its subfolders, files and stored content', async () => {
+      const response = await request(app)
+        .delete(`/api/files/folders/${reports._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(owner._id)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.deletedFolderIds).toHaveLength(2);
+      expect(response.body.data.deletedFileIds).toHaveLength(2);
+
+      expect((await Folder.find({ workspaceId: workspace._id })).map(folder => folder.name)).toEqual(['Other']);
+      expect((await File.find({ workspaceId: workspace._id })).map(file => file.originalName)).toEqual(['notes.txt']);
+      expect(await storage.stat(files.q2.storageKey)).toBeNull();
+      expect(await storage.stat(files.q1.storageKey)).toBeNull();
+      expect(await storage.stat(files.notes.storageKey)).not.toBeNull();
+
+      // The deleted bytes are given back to the workspace
+      const updated = await Workspace.findById(workspace._id);
+      expect(updated.storage.used).toBe(files.notes.fileSize);
+    });
+
+    it('should delete nothing when the folder holds files uploaded by someone else', async () => {
+      const response = await request(app)
+        .delete(`/api/files/folders/${reports._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(member._id)}`);
+
+      expect(response.status).toBe(403);
+      expect(await Folder.countDocuments({ workspaceId: workspace._id })).toBe(3);
+      expect(await File.countDocuments({ workspaceId: workspace._id })).toBe(3);
+      expect(await storage.stat(files.q1.storageKey)).not.toBeNull();
+    });
+
+    it('should refuse users outside the workspace', async () => {
+      const response = await request(app)
+        .delete(`/api/files/folders/${reports._id}`)
+        .set('Authorization', `Bearer ${generateTestToken(outsider._id)}`);
+
+      expect(response.status).toBe(403);
+      expect(await Folder.countDocuments({ workspaceId: workspace._id })).toBe(3);
+    });
+  });
+
+  describe('POST /api/files/upload', () => {
+    let authToken;
+    let workspace;
+
+    const upload = (bytes, name = 'data.txt') => request(app)
+      .post('/api/files/upload')
+      .set('Authorization', `Bearer ${authToken}`)
+      .field('workspaceId', workspace._id.toString())
+      .attach('file', Buffer.alloc(bytes, 'a'), { filename: name, contentType: 'text/plain' });
+
+    const usedBytes = async () => (await Workspace.findById(workspace._id)).storage.used;
+
+    // A 1KB quota with 1000 bytes already used
+    beforeEach(async () => {
+      const user = await User.create({ name: 'Uploader', email: 'quota-test@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Quota Workspace',
+        createdBy: user._id,
+        members: [{ userId: user._id, role: 'Admin' }],
+        storage: { quota: 1024, used: 1000 }
+      });
+      authToken = generateTestToken(user._id);
+    });
+
+    it('should refuse an upload over the quota with 413', async () => {
+      const response = await upload(100);
+
+      expect(response.status).toBe(413);
+      expect(response.body).toHaveProperty('success', false);
+      expect(response.body.usage).toEqual({ used: 1000, quota: 1024, available: 24, required: 100 });
+      expect(await File.countDocuments({ workspaceId: workspace._id })).toBe(0);
+      expect(await usedBytes()).toBe(1000);
+    });
+
+    it('should count an upload that fits against the quota', async () => {
+      await Workspace.updateOne({ _id: workspace._id }, { $set: { 'storage.used': 0 } });
+
+      const response = await upload(100);
+
+      expect(response.status).toBe(201);
+      expect(await usedBytes()).toBe(100);
+    });
+
+    it('should not let concurrent uploads pass the quota together', async () => {
+      await Workspace.updateOne({ _id: workspace._id }, { $set: { 'storage.used': 0 } });
+
+      const responses = await Promise.all([upload(600, 'first.txt'), upload(600, 'second.txt')]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 413]);
+      expect(await File.countDocuments({ workspaceId: workspace._id })).toBe(1);
+      expect(await usedBytes()).toBe(600);
+    });
+  });
+
+  describe('File versions', () => {
+    let owner;
+    let outsider;
+    let workspace;
+    let file;
+
+    const as = (user) => `Bearer ${generateTestToken(user._id)}`;
+
+    const uploadVersion = (user, text, name = 'plan-v2.txt') => request(app)
+      .post(`/api/files/${file._id}/versions`)
+      .set('Authorization', as(user))
+      .field('changes', 'Tightened the scope')
+      .attach('file', Buffer.from(text), { filename: name, contentType: 'text/plain' });
+
+    const downloadVersion = (user, version) => request(app)
+      .get(`/api/files/${file._id}/versions/${version}/download`)
+      .set('Authorization', as(user));
+
+    const restoreVersion = (user, version) => request(app)
+      .post(`/api/files/${file._id}/versions/${version}/restore`)
+      .set('Authorization', as(user));
+
+    const usedBytes = async () => (await Workspace.findById(workspace._id)).storage.used;
+
+    // plan.txt at version 1, counted against a 1KB quota
+    beforeEach(async () => {
+      owner = await User.create({ name: 'Owner', email: 'versions-owner@example.com', password: 'Test@1234' });
+      outsider = await User.create({ name: 'Outsider', email: 'versions-outsider@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Versions Workspace',
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'Admin' }],
+        storage: { quota: 1024 }
+      });
+
+      const stored = await storage.put(`files/${workspace._id}/plan.txt`, Buffer.from('First draft'));
+      file = new File({
+        fileName: 'plan.txt',
+        originalName: 'plan.txt',
+        fileType: 'txt',
+        fileSize: stored.size,
+        mimeType: 'text/plain',
+        storageKey: stored.key,
+        workspaceId: workspace._id,
+        uploadedBy: owner._id
+      });
+      file.fileUrl = `/api/files/${file._id}/download`;
+      await file.save();
+      await Workspace.updateOne({ _id: workspace._id }, { $set: { 'storage.used': stored.size } });
+    });
+
+    it('should upload a new version and keep the old one downloadable', async () => {
+      const response = await uploadVersion(owner, 'Second draft');
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ _id: file._id.toString(), version: 2, fileName: 'plan-v2.txt' });
+      expect(await usedBytes()).toBe('First draft'.length + 'Second draft'.length);
+
+      const versions = await request(app)
+        .get(`/api/files/${file._id}/versions`)
+        .set('Authorization', as(owner));
+      expect(versions.body.versions.map(v => [v.version, v.isCurrent, v.changes])).toEqual([
+        [2, true, 'Tightened the scope'],
+        [1, false, '']
+      ]);
+
+      expect((await downloadVersion(owner, 1)).text).toBe('First draft');
+      expect((await downloadVersion(owner, 2)).text).toBe('Second draft');
+    });
+
+    it('should refuse a version over the quota and keep the current one', async () => {
+      const response = await uploadVersion(owner, 'x'.repeat(2000));
+
+      expect(response.status).toBe(413);
+      expect((await File.findById(file._id)).version).toBe(1);
+      expect(await usedBytes()).toBe('First draft'.length);
+    });
+
+    it('should restore an old version as a new version sharing its stored bytes', async () => {
+      await uploadVersion(owner, 'Second draft');
+      const usedBefore = await usedBytes();
+
+      const response = await restoreVersion(owner, 1);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ version: 3, fileName: 'plan.txt', changes: 'Restored version 1' });
+      expect(response.body.data.storageKey).toBe(file.storageKey);
+      expect((await downloadVersion(owner, 3)).text).toBe('First draft');
+      expect(await usedBytes()).toBe(usedBefore);
+    });
+
+    it('should answer 404 for versions that do not exist and 400 for malformed ones', async () => {
+      expect((await restoreVersion(owner, 9)).status).toBe(404);
+      expect((await downloadVersion(owner, 9)).status).toBe(404);
+      expect((await downloadVersion(owner, 'latest')).status).toBe(400);
+      expect((await File.findById(file._id)).version).toBe(1);
+    });
+
+    it('should refuse every version action to users outside the workspace', async () => {
+      const upload = await uploadVersion(outsider, 'Not yours');
+      const restore = await restoreVersion(outsider, 1);
+      const download = await downloadVersion(outsider, 1);
+
+      expect([upload.status, restore.status, download.status]).toEqual([403, 403, 403]);
+      expect((await File.findById(file._id)).version).toBe(1);
+      expect(await usedBytes()).toBe('First draft'.length);
+    });
+  });
+
+  describe('File previews', () => {
+    let owner;
+    let workspace;
+
+    // Store content and create its File record
+    const storeFile = async (name, content, mimeType) => {
+      const stored = await storage.put(`files/${workspace._id}/${name}`, Buffer.from(content));
+      const file = new File({
+        fileName: name,
+        originalName: name,
+        fileType: path.extname(name).slice(1),
+        fileSize: stored.size,
+        mimeType,
+        storageKey: stored.key,
+        workspaceId: workspace._id,
+        uploadedBy: owner._id
+      });
+      file.fileUrl = `/api/files/${file._id}/download`;
+      return file.save();
+    };
+
+    // A one-page PDF showing a line of text
+    const makePdf = (text) => {
+      const content = `BT /F1 18 Tf 20 50 Td (${text}) Tj ET`;
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 100] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+      ];
+
+      let pdf = '%PDF-1.4\n';
+      const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+      const xref = pdf.length;
+      pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return pdf;
+    };
+
+    beforeEach(async () => {
+      owner = await User.create({ name: 'Owner', email: 'previews-owner@example.com', password: 'Test@1234' });
+      workspace = await Workspace.create({
+        name: 'Previews Workspace',
+        createdBy: owner._id,
+        members: [{ userId: owner._id, role: 'Admin' }]
+      });
+    });
+
+    it('should tell each kind of file apart', () => {
+      expect(getPreviewKind({ fileName: 'photo.JPG' })).toBe('image');
+      expect(getPreviewKind({ fileName: 'scan', mimeType: 'application/pdf' })).toBe('pdf');
+      expect(getPreviewKind({ fileName: 'data.tsv' })).toBe('csv');
+      expect(getPreviewKind({ fileName: 'main.go' })).toBe('text');
+      expect(getPreviewKind({ fileName: 'notes', mimeType: 'text/plain' })).toBe('text');
+      expect(getPreviewKind({ fileName: 'archive.zip', mimeType: 'application/zip' })).toBe('unsupported');
+    });
+
+    it('should make a WebP thumbnail of an image within 480px', async () => {
+      const png = await sharp({
+        create: { width: 1000, height: 500, channels: 3, background: { r: 200, g: 0, b: 0 } }
+      }).png().toBuffer();
+      const file = await storeFile('banner.png', png, 'image/png');
+
+      const preview = await getPreview(file);
+
+      expect(preview).toMatchObject({ kind: 'image', status: 'ready', width: 480, height: 240 });
+
+      const response = await request(app)
+        .get(`/api/files/${file._id}/thumbnail`)
+        .set('Authorization', `Bearer ${generateTestToken(owner._id)}`);
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('image/webp');
+    });
+
+    it('should read the text and render the first page of a PDF', async () => {
+      const file = await storeFile('report.pdf', makePdf('Quarterly report'), 'application/pdf');
+
+      const preview = await getPreview(file);
+
+      expect(preview).toMatchObject({ kind: 'pdf', status: 'ready', text: 'Quarterly report', pageCount: 1, truncated: false });
+      expect(preview.thumbnailKey).toBeTruthy();
+    });
+
+    it('should cache a failed preview of a file that cannot be read', async () => {
+      const file = await storeFile('broken.pdf', 'not a pdf', 'application/pdf');
+
+      const preview = await getPreview(file);
+
+      expect(preview).toMatchObject({ kind: 'pdf', status: 'failed', error: 'Preview could not be generated for this file' });
+      expect(await FilePreview.countDocuments({ fileId: file._id })).toBe(1);
+    });
+
+    it('should highlight code in the language of its extension', async () => {
+      const file = await storeFile('app.js', 'const answer = 42;\n', 'text/javascript');
+
+      const preview = await getPreview(file);
+
+      expect(preview).toMatchObject({ kind: 'text', language: 'javascript', truncated: false });
+      expect(preview.html).toContain('<span class="hljs-keyword">const</span>');
+    });
+
+    it('should parse quoted CSV fields with delimiters, quotes and line breaks', async () => {
+      const file = await storeFile('people.csv', 'name,notes\r\nAnn,"likes ""tea"", cake"\nBob,"two\nlines"\n', 'text/csv');
+
+      const preview = await getPreview(file);
+
+      expect(preview.rows).toEqual([
+        ['name', 'notes'],
+        ['Ann', 'likes "tea", cake'],
+        ['Bob', 'two\nlines']
+      ]);
+      expect(preview.truncated).toBe(false);
+    });
+
+    it('should not preview binary content as text', async () => {
+      const file = await storeFile('dump.txt', Buffer.from([0x48, 0x00, 0x49]), 'text/plain');
+
+      expect((await getPreview(file)).kind).toBe('unsupported');
+    });
+
+    it('should keep one preview per version', async () => {
+      const file = await storeFile('notes.txt', 'First draft', 'text/plain');
+      const first = await getPreview(file);
+      expect((await getPreview(file))._id.toString()).toBe(first._id.toString());
+
+      const stored = await storage.put(`files/${workspace._id}/notes-v2.txt`, Buffer.from('Second draft'));
+      await file.createNewVersion({
+        fileName: 'notes.txt',
+        storageKey: stored.key,
+        fileSize: stored.size,
+        fileType: 'txt',
+        mimeType: 'text/plain'
+      }, owner._id);
+
+      const response = await request(app)
+        .get(`/api/files/${file._id}/preview?version=1`)
+        .set('Authorization', `Bearer ${generateTestToken(owner._id)}`);
+      const current = await getPreview(file);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ version: 1, kind: 'text', html: 'First draft', hasThumbnail: false });
+      expect(current).toMatchObject({ version: 2, html: 'Second draft' });
+      expect(await getPreview(file, 7)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+// /tests/notification.test.js
+
+/**
+ * Notification Tests
+ *
+ * Tests for notification preferences: delivery modes, workspace overrides,
+ * quiet hours and the daily digest
+ */
+
+jest.mock('../src/utils/emailUtils', () => ({
+  ...jest.requireActual('../src/utils/emailUtils'),
+  sendNotificationEmail: jest.fn().mockResolvedValue({ success: true }),
+  sendNotificationDigestEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Notification = require('../src/models/Notification');
+const NotificationPreference = require('../src/models/NotificationPreference');
+const notificationDigestJob = require('../src/jobs/notificationDigestJob');
+const { notify, notifyUsers } = require('../src/utils/notificationUtils');
+const { sendNotificationEmail, sendNotificationDigestEmail } = require('../src/utils/emailUtils');
+
+// Only the clock is faked; timers keep running for the database
+const setClock = (iso) => {
+  jest.useFakeTimers({
+    now: new Date(iso),
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+};
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('Notification preferences', () => {
+
+  describe('getMode', () => {
+    const workspaceId = new mongoose.Types.ObjectId();
+    const otherWorkspaceId = new mongoose.Types.ObjectId();
+
+    it('should fall back to the default mode of each type', () => {
+      const preferences = new NotificationPreference({ userId: new mongoose.Types.ObjectId() });
+
+      expect(preferences.getMode('mention')).toBe('email');
+      expect(preferences.getMode('file_uploaded')).toBe('in_app');
+    });
+
+    it('should let a workspace override the user-wide mode in that workspace only', () => {
+      const preferences = new NotificationPreference({ userId: new mongoose.Types.ObjectId() });
+      preferences.applyUpdate({ types: { mention: 'digest' } });
+      preferences.applyUpdate({ workspaceId, types: { mention: 'off' } });
+
+      expect(preferences.getMode('mention', workspaceId)).toBe('off');
+      expect(preferences.getMode('mention', otherWorkspaceId)).toBe('digest');
+      expect(preferences.getMode('mention')).toBe('digest');
+    });
+
+    it('should drop an override once its last mode is cleared', () => {
+      const preferences = new NotificationPreference({ userId: new mongoose.Types.ObjectId() });
+      preferences.applyUpdate({ workspaceId, types: { task_assigned: 'off' } });
+      preferences.applyUpdate({ workspaceId, types: { task_assigned: null } });
+
+      expect(preferences.workspaces).toHaveLength(0);
+      expect(preferences.getMode('task_assigned', workspaceId)).toBe('email');
+    });
+  });
+
+  describe('isQuietTime', () => {
+    const quietAt = (quietHours, iso) =>
+      new NotificationPreference({ userId: new mongoose.Types.ObjectId(), quietHours: { enabled: true, ...quietHours } })
+        .isQuietTime(new Date(iso));
+
+    it('should wrap quiet hours past midnight', () => {
+      const overnight = { start: '22:00', end: '07:00' };
+
+      expect(quietAt(overnight, '2026-03-02T23:30:00Z')).toBe(true);
+      expect(quietAt(overnight, '2026-03-03T06:59:00Z')).toBe(true);
+      expect(quietAt(overnight, '2026-03-03T07:00:00Z')).toBe(false);
+      expect(quietAt(overnight, '2026-03-02T12:00:00Z')).toBe(false);
+    });
+
+    it('should handle quiet hours within one day', () => {
+      const lunch = { start: '12:00', end: '13:30' };
+
+      expect(quietAt(lunch, '2026-03-02T12:45:00Z')).toBe(true);
+      expect(quietAt(lunch, '2026-03-02T13:30:00Z')).toBe(false);
+      expect(quietAt(lunch, '2026-03-02T23:00:00Z')).toBe(false);
+    });
+
+    it('should read quiet hours on the user\'s clock', () => {
+      // 03:00 UTC is 22:00 the evening before in New York (EST)
+      expect(quietAt({ start: '21:00', end: '23:00', timezone: 'America/New_York' }, '2026-01-15T03:00:00Z')).toBe(true);
+      expect(quietAt({ start: '21:00', end: '23:00' }, '2026-01-15T03:00:00Z')).toBe(false);
+    });
+
+    it('should never be quiet while quiet hours are disabled', () => {
+      const preferences = new NotificationPreference({ userId: new mongoose.Types.ObjectId() });
+
+      expect(preferences.isQuietTime(new Date('2026-03-02T23:30:00Z'))).toBe(false);
+    });
+  });
+
+  describe('notify', () => {
+    let user;
+    let io;
+    let emit;
+
+    const mention = (overrides = {}) => ({
+      userId: user._id,
+      type: 'mention',
+      title: 'You were mentioned',
+      message: 'Ana mentioned you in #general',
+      ...overrides
+    });
+
+    const setPreferences = (update) =>
+      NotificationPreference.forUser(user._id).then(preferences => preferences.applyUpdate(update).save());
+
+    beforeEach(async () => {
+      user = await User.create({ name: 'Reader', email: 'notify-reader@example.com', password: 'Test@1234' });
+      emit = jest.fn();
+      io = { to: jest.fn(() => ({ emit })) };
+    });
+
+    it('should list, push and email a notification in email mode', async () => {
+      const notification = await notify(io, mention());
+
+      expect(notification.digestPending).toBe(false);
+      expect(io.to).toHaveBeenCalledWith(`user:${user._id}`);
+      expect(emit).toHaveBeenCalledWith('notification:new', expect.objectContaining({ type: 'mention' }));
+      expect(sendNotificationEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should drop a notification whose type is turned off', async () => {
+      await setPreferences({ types: { mention: 'off' } });
+
+      const notification = await notify(io, mention());
+
+      expect(notification).toBeNull();
+      expect(await Notification.countDocuments({ userId: user._id })).toBe(0);
+      expect(emit).not.toHaveBeenCalled();
+      expect(sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should keep digest notifications for the digest without pushing or emailing them', async () => {
+      await setPreferences({ types: { mention: 'digest' } });
+
+      const notification = await notify(io, mention());
+
+      expect(notification.digestPending).toBe(true);
+      expect(emit).not.toHaveBeenCalled();
+      expect(sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should apply the workspace override of the notification\'s workspace', async () => {
+      const quietWorkspace = new mongoose.Types.ObjectId();
+      await setPreferences({ workspaceId: quietWorkspace, types: { mention: 'off' } });
+
+      expect(await notify(io, mention({ workspaceId: quietWorkspace }))).toBeNull();
+      expect(await notify(io, mention({ workspaceId: new mongoose.Types.ObjectId() }))).not.toBeNull();
+      expect(sendNotificationEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hold emails back for the digest during quiet hours', async () => {
+      await setPreferences({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+      setClock('2026-03-02T23:30:00Z');
+
+      const notification = await notify(io, mention());
+
+      expect(notification.digestPending).toBe(true);
+      expect(emit).toHaveBeenCalled();
+      expect(sendNotificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should skip the sender and duplicate recipients', async () => {
+      const sender = await User.create({ name: 'Sender', email: 'notify-sender@example.com', password: 'Test@1234' });
+
+      const notifications = await notifyUsers(io, [user._id, user._id.toString(), sender._id], {
+        ...mention(),
+        userId: undefined,
+        senderId: sender._id
+      });
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].userId.toString()).toBe(user._id.toString());
+    });
+  });
+
+  describe('digest job', () => {
+    let user;
+
+    const createPending = () => Notification.create({
+      userId: user._id,
+      type: 'mention',
+      title: 'You were mentioned',
+      message: 'Ana mentioned you in #general',
+      digestPending: true
+    });
+
+    beforeEach(async () => {
+      user = await User.create({ name: 'Digest', email: 'notify-digest@example.com', password: 'Test@1234' });
+    });
+
+    it('should send pending notifications once at the digest hour', async () => {
+      await NotificationPreference.create({ userId: user._id, digestHour: 8 });
+      await createPending();
+      await createPending();
+
+      setClock('2026-03-02T07:15:00Z');
+      await notificationDigestJob.run();
+      expect(sendNotificationDigestEmail).not.toHaveBeenCalled();
+
+      setClock('2026-03-02T08:15:00Z');
+      await notificationDigestJob.run();
+      await notificationDigestJob.run();
+
+      expect(sendNotificationDigestEmail).toHaveBeenCalledTimes(1);
+      expect(sendNotificationDigestEmail.mock.calls[0][1]).toHaveLength(2);
+      expect(await Notification.countDocuments({ userId: user._id, digestPending: true })).toBe(0);
+    });
+
+    it('should defer a digest that falls in quiet hours until they end', async () => {
+      await NotificationPreference.create({
+        userId: user._id,
+        digestHour: 6,
+        quietHours: { enabled: true, start: '22:00', end: '07:00' }
+      });
+      await createPending();
+
+      setClock('2026-03-02T06:10:00Z');
+      await notificationDigestJob.run();
+
+      expect(sendNotificationDigestEmail).not.toHaveBeenCalled();
+      expect((await NotificationPreference.findOne({ userId: user._id })).digestDeferred).toBe(true);
+
+      // Quiet hours are over, though the digest hour has passed
+      setClock('2026-03-02T07:05:00Z');
+      await notificationDigestJob.run();
+
+      expect(sendNotificationDigestEmail).toHaveBeenCalledTimes(1);
+      const preferences = await NotificationPreference.findOne({ userId: user._id });
+      expect(preferences.digestDeferred).toBe(false);
+      expect(preferences.lastDigestAt).toEqual(new Date('2026-03-02T07:05:00Z'));
+    });
+  });
+});
@@ -0,0 +1,124 @@
+// /tests/reminder.test.js
+
+/**
+ * Reminder Tests
+ *
+ * Tests for the deadline reminder job: which threshold a task has reached,
+ * who is reminded, and that nobody is reminded twice
+ */
+
+jest.mock('../src/utils/emailUtils', () => ({
+  ...jest.requireActual('../src/utils/emailUtils'),
+  sendDeadlineReminderEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Project = require('../src/models/Project');
+const Task = require('../src/models/Task');
+const Notification = require('../src/models/Notification');
+const deadlineReminderJob = require('../src/jobs/deadlineReminderJob');
+const { sendDeadlineReminderEmail } = require('../src/utils/emailUtils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Deadline reminder job', () => {
+
+  describe('getThreshold', () => {
+    const now = new Date('2026-03-02T12:00:00Z');
+    const dueIn = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+    afterEach(() => {
+      delete process.env.TASK_REMINDER_HOURS;
+    });
+
+    it('should pick the tightest reminder window a task is in', () => {
+      const windows = [24, 1];
+
+      expect(deadlineReminderJob.getThreshold(dueIn(30), windows, now)).toBeNull();
+      expect(deadlineReminderJob.getThreshold(dueIn(20), windows, now)).toBe('due_24h');
+      expect(deadlineReminderJob.getThreshold(dueIn(0.5), windows, now)).toBe('due_1h');
+      expect(deadlineReminderJob.getThreshold(dueIn(-1), windows, now)).toBe('overdue');
+    });
+
+    it('should read the reminder windows from TASK_REMINDER_HOURS', () => {
+      expect(deadlineReminderJob.getReminderWindows()).toEqual([24]);
+
+      process.env.TASK_REMINDER_HOURS = '1, 48, soon, 48';
+      expect(deadlineReminderJob.getReminderWindows()).toEqual([48, 1]);
+    });
+  });
+
+  describe('run', () => {
+    let creator;
+    let assignee;
+    let project;
+
+    const createTask = (hoursLeft) => Task.create({
+      title: 'Ship the release',
+      projectId: project._id,
+      workspaceId: project.workspaceId,
+      createdBy: creator._id,
+      assignee: assignee._id,
+      dueDate: new Date(Date.now() + hoursLeft * HOUR_MS)
+    });
+
+    const recipientsOf = async (task) => (await Notification.find({ taskId: task._id }))
+      .map(notification => notification.userId.toString())
+      .sort();
+
+    beforeEach(async () => {
+      creator = await User.create({ name: 'Creator', email: 'reminder-creator@example.com', password: 'Test@1234' });
+      assignee = await User.create({ name: 'Assignee', email: 'reminder-assignee@example.com', password: 'Test@1234' });
+      project = await Project.create({
+        name: 'Release',
+        workspaceId: new mongoose.Types.ObjectId(),
+        createdBy: creator._id
+      });
+    });
+
+    it('should remind the assignee of a task due soon only once', async () => {
+      const task = await createTask(2);
+
+      await deadlineReminderJob.run();
+      await deadlineReminderJob.run();
+
+      const notifications = await Notification.find({ taskId: task._id });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0]).toMatchObject({ type: 'task_due', priority: 'normal' });
+      expect(notifications[0].userId.toString()).toBe(assignee._id.toString());
+      expect(sendDeadlineReminderEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tell the assignee and the creator when a task becomes overdue', async () => {
+      const task = await createTask(-1);
+
+      await deadlineReminderJob.run();
+
+      expect(await recipientsOf(task)).toEqual([creator._id.toString(), assignee._id.toString()].sort());
+      expect(await Notification.countDocuments({ taskId: task._id, type: 'task_overdue' })).toBe(2);
+    });
+
+    it('should remind again when the due date changes', async () => {
+      const task = await createTask(2);
+      await deadlineReminderJob.run();
+
+      await Task.updateOne({ _id: task._id }, { $set: { dueDate: new Date(Date.now() + 3 * HOUR_MS) } });
+      await deadlineReminderJob.run();
+
+      expect(await Notification.countDocuments({ taskId: task._id, type: 'task_due' })).toBe(2);
+    });
+
+    it('should skip completed tasks and tasks not due yet', async () => {
+      const completed = await createTask(2);
+      await Task.updateOne({ _id: completed._id }, { $set: { completedAt: new Date() } });
+      const later = await createTask(48);
+
+      await deadlineReminderJob.run();
+
+      expect(await recipientsOf(completed)).toEqual([]);
+      expect(await recipientsOf(later)).toEqual([]);
+      expect(sendDeadlineReminderEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -13,6 +13,8 @@ const User = require('../src/models/User');
 const Workspace = require('../src/models/Workspace');
 const Project = require('../src/models/Project');
 const Task = require('../src/models/Task');
+const TaskLink = require('../src/models/TaskLink');
+const { materializeOccurrence } = require('../src/jobs/recurringTaskJob');
 
 let authToken;
 let userId;
@@ -346,7 +348,7 @@ describe('Task API', () => {
 
     it('should update task status', async () => {
       const statusData = {
-        status: 'in-progress'
+        status: 'inProgress'
       };
 
       const response = await request(app)
@@ -375,8 +377,8 @@ describe('Task API', () => {
       expect(response.body).toHaveProperty('success', false);
     });
 
-    it('should accept all valid status values', async () => {
-      const validStatuses = ['todo', 'in-progress', 'review', 'done', 'backlog'];
+    it('should accept every column of the default workflow', async () => {
+      const validStatuses = ['todo', 'inProgress', 'done'];
 
       for (const status of validStatuses) {
         const response = await request(app)
@@ -804,4 +806,208 @@ describe('Task API', () => {
       expect(Array.isArray(response.body.data)).toBe(true);
     });
   });
+
+  describe('Project workflows', () => {
+    const columns = [
+      { key: 'todo', name: 'To Do' },
+      { key: 'review', name: 'Review', wipLimit: 1 },
+      { key: 'shipped', name: 'Shipped', isDone: true }
+    ];
+
+    const createTask = (title, status) => Task.create({
+      title,
+      status,
+      projectId,
+      workspaceId,
+      createdBy: userId
+    });
+
+    afterEach(async () => {
+      await Project.findByIdAndUpdate(projectId, { workflow: Project.getDefaultWorkflow() });
+    });
+
+    it('should start projects with the default columns', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${projectId}/workflow`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(200);
+      expect(response.body.workflow.map(c => c.key)).toEqual(['todo', 'inProgress', 'done']);
+    });
+
+    it('should require a remap for columns that still hold tasks', async () => {
+      await createTask('Legacy Task', 'inProgress');
+
+      const response = await request(app)
+        .put(`/api/projects/${projectId}/workflow`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ columns })
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should remap tasks and honor custom done columns', async () => {
+      const task = await createTask('Remapped Task', 'done');
+
+      const response = await request(app)
+        .put(`/api/projects/${projectId}/workflow`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ columns, remap: { inProgress: 'review', done: 'shipped' } })
+        .expect('Content-Type', /json/);
+
+      expect(response.status).toBe(200);
+      expect(response.body.workflow.map(c => c.key)).toEqual(['todo', 'review', 'shipped']);
+
+      const updated = await Task.findById(task._id);
+      expect(updated.status).toBe('shipped');
+      expect(updated.completedAt).not.toBeNull();
+    });
+
+    it('should reject moves into unknown columns and full columns', async () => {
+      await request(app)
+        .put(`/api/projects/${projectId}/workflow`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ columns });
+
+      await createTask('Review Task', 'review');
+      const task = await createTask('Waiting Task', 'todo');
+
+      const unknown = await request(app)
+        .patch(`/api/tasks/${task._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'inProgress' });
+
+      expect(unknown.status).toBe(400);
+
+      const full = await request(app)
+        .patch(`/api/tasks/${task._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'review' });
+
+      expect(full.status).toBe(409);
+      expect(full.body).toHaveProperty('success', false);
+    });
+  });
+
+  describe('Task links', () => {
+    const createTask = (title, status = 'todo') => Task.create({
+      title,
+      status,
+      projectId,
+      workspaceId,
+      createdBy: userId
+    });
+
+    const link = (fromId, toId, type) => request(app)
+      .post(`/api/tasks/${fromId}/links`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ taskId: toId, type });
+
+    afterEach(async () => {
+      await TaskLink.deleteMany({});
+      await Project.findByIdAndUpdate(projectId, { enforceDependencies: false });
+    });
+
+    it('should link tasks and describe the link from both sides', async () => {
+      const blocker = await createTask('Blocker Task');
+      const blocked = await createTask('Blocked Task');
+
+      const response = await link(blocked._id, blocker._id, 'blocked_by');
+
+      expect(response.status).toBe(201);
+      expect(response.body.link).toHaveProperty('type', 'blocked_by');
+
+      const fromBlocker = await request(app)
+        .get(`/api/tasks/${blocker._id}/links`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(fromBlocker.status).toBe(200);
+      expect(fromBlocker.body.links[0]).toHaveProperty('type', 'blocks');
+    });
+
+    it('should refuse links that create a dependency cycle', async () => {
+      const first = await createTask('First Task');
+      const second = await createTask('Second Task');
+      const third = await createTask('Third Task');
+
+      await link(first._id, second._id, 'blocks');
+      await link(second._id, third._id, 'blocks');
+
+      const response = await link(third._id, first._id, 'blocks');
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('success', false);
+    });
+
+    it('should refuse moving a blocked task into a done column when enforced', async () => {
+      await Project.findByIdAndUpdate(projectId, { enforceDependencies: true });
+      const blocker = await createTask('Open Blocker');
+      const blocked = await createTask('Waiting Task');
+      await link(blocker._id, blocked._id, 'blocks');
+
+      const response = await request(app)
+        .patch(`/api/tasks/${blocked._id}/move`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'done' });
+
+      expect(response.status).toBe(409);
+      expect(response.body).toHaveProperty('code', 'blocked');
+    });
+  });
+
+  describe('Recurring tasks', () => {
+    it('should schedule the next run when a rule is set', async () => {
+      const task = await Task.create({ title: 'Standup Notes', projectId, workspaceId, createdBy: userId });
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ recurrence: { frequency: 'weekly', weekdays: [1, 3] } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.task.recurrence).toHaveProperty('frequency', 'weekly');
+      expect(response.body.task.recurrence.nextRunAt).toBeTruthy();
+    });
+
+    it('should reject a weekly rule without weekdays', async () => {
+      const task = await Task.create({ title: 'Weekly Review', projectId, workspaceId, createdBy: userId });
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ recurrence: { frequency: 'weekly' } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should materialize the next occurrence and hand over the rule', async () => {
+      const day = 24 * 60 * 60 * 1000;
+      const startsAt = new Date(Date.now() - 2 * day - 60 * 60 * 1000);
+      const task = await Task.create({
+        title: 'Water Plants',
+        projectId,
+        workspaceId,
+        createdBy: userId,
+        tags: ['office'],
+        estimatedHours: 1,
+        subtasks: [{ title: 'Kitchen', done: true, createdBy: userId }],
+        recurrence: { frequency: 'daily', startsAt }
+      });
+      // Pretend the occurrence due an hour ago was missed
+      await Task.updateOne({ _id: task._id }, { 'recurrence.nextRunAt': new Date(startsAt.getTime() + 2 * day) });
+
+      const occurrence = await materializeOccurrence(null, await Task.findById(task._id));
+
+      expect(occurrence.recurringFromTaskId.toString()).toBe(task._id.toString());
+      expect(occurrence.tags).toEqual(['office']);
+      expect(occurrence.subtasks[0].done).toBe(false);
+      expect(occurrence.recurrence.nextRunAt > new Date()).toBe(true);
+
+      const previous = await Task.findById(task._id);
+      expect(previous.recurrence).toBeNull();
+    });
+  });
 });
\ No newline at end of file
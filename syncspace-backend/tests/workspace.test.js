@@ -11,6 +11,7 @@ const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Workspace = require('../src/models/Workspace');
+const Activity = require('../src/models/Activity');
 
 let authToken;
 let userId;
@@ -307,6 +308,72 @@ describe('Workspace API', () => {
       expect(response.body).toHaveProperty('success', false);
     });
   });
+
+  describe('GET /api/workspaces/:id/activity', () => {
+    let secondAuthToken;
+
+    beforeEach(async () => {
+      const workspaceResponse = await request(app)
+        .post('/api/workspaces')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Activity Workspace',
+          description: 'A workspace for activity testing'
+        });
+
+      workspaceId = workspaceResponse.body.workspace._id;
+
+      const secondUserResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Activity User',
+          email: 'activity-user@example.com',
+          password: 'Test@1234',
+          confirmPassword: 'Test@1234'
+        });
+
+      secondAuthToken = secondUserResponse.body.token;
+    });
+
+    afterEach(async () => {
+      await Activity.deleteMany({});
+      await User.deleteMany({ email: 'activity-user@example.com' });
+    });
+
+    it('should record membership changes in the workspace feed', async () => {
+      await request(app)
+        .post(`/api/workspaces/${workspaceId}/invite`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'activity-user@example.com' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/workspaces/${workspaceId}/activity`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ entityType: 'member' })
+        .expect(200);
+
+      expect(response.body.activity).toHaveLength(1);
+      expect(response.body.activity[0]).toHaveProperty('action', 'member.invited');
+      expect(response.body.activity[0]).toHaveProperty('entityName', 'Activity User');
+      expect(response.body.pagination).toHaveProperty('total', 1);
+    });
+
+    it('should deny the feed to non-members', async () => {
+      await request(app)
+        .get(`/api/workspaces/${workspaceId}/activity`)
+        .set('Authorization', `Bearer ${secondAuthToken}`)
+        .expect(403);
+    });
+
+    it('should reject invalid filters', async () => {
+      await request(app)
+        .get(`/api/workspaces/${workspaceId}/activity`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ entityType: 'planet' })
+        .expect(400);
+    });
+  });
 });
 
 // Note: Add to package.json devDependencies:
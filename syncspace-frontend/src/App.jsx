@@ -68,7 +68,7 @@ function App() {
           }
         />
         <Route
-          path="/workspace/:workspaceId"
+          path="/workspace/:workspaceId/*"
           element={
             <ProtectedRoute>
               <WorkspaceView />
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Hash, Lock, Plus, MessageSquare, X, User, Users } from 'lucide-react';
+import MemberPicker from './MemberPicker';
+import { conversationTitle } from './chatFormat';
+import '../../styles/App.css';
+
+// Other people a new conversation can include
+const MAX_CONVERSATION_PEOPLE = 7;
+
+const EMPTY_CHANNEL = { name: '', topic: '', isPrivate: false };
+
+function ChannelList({
+  channels,
+  activeChannelId,
+  onSelect,
+  onCreate,
+  onJoin,
+  conversations,
+  activeConversationId,
+  members,
+  userId,
+  onSelectConversation,
+  onStartConversation
+}) {
+  const [showCreate, setShowCreate] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const [form, setForm] = useState(EMPTY_CHANNEL);
+  const [saving, setSaving] = useState(false);
+
+  const joined = channels.filter((channel) => channel.isMember);
+  const browsable = channels.filter((channel) => !channel.isMember);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    setSaving(true);
+    const created = await onCreate(form);
+    setSaving(false);
+
+    if (created) {
+      setForm(EMPTY_CHANNEL);
+      setShowCreate(false);
+    }
+  };
+
+  const handleStartConversation = async (participantIds) => {
+    const conversation = await onStartConversation(participantIds);
+    if (conversation) setShowPicker(false);
+    return !!conversation;
+  };
+
+  const renderConversationButton = (conversation) => {
+    const Icon = conversation.isGroup ? Users : User;
+    const isActive = conversation._id === activeConversationId;
+    const unread = isActive ? 0 : conversation.unreadCount;
+
+    return (
+      <button
+        type="button"
+        onClick={() => onSelectConversation(conversation)}
+        className={`chat-channel-item ${isActive ? 'chat-channel-item-active' : ''} ${unread ? 'chat-channel-item-unread' : ''}`}
+        title={conversation.lastMessage?.text || ''}
+      >
+        <Icon size={14} />
+        <span className="chat-channel-name">{conversationTitle(conversation, userId)}</span>
+        {unread > 0 && <span className="chat-channel-badge">{unread > 99 ? '99+' : unread}</span>}
+      </button>
+    );
+  };
+
+  const renderChannelButton = (channel) => {
+    const Icon = channel.isPrivate ? Lock : Hash;
+    const isActive = channel._id === activeChannelId;
+    // The open channel is marked read as messages arrive
+    const unread = isActive ? 0 : channel.unreadCount;
+
+    return (
+      <button
+        type="button"
+        onClick={() => onSelect(channel)}
+        className={`chat-channel-item ${isActive ? 'chat-channel-item-active' : ''} ${unread ? 'chat-channel-item-unread' : ''}`}
+      >
+        <Icon size={14} />
+        <span className="chat-channel-name">{channel.name}</span>
+        {channel.isArchived && <span className="chat-channel-tag">archived</span>}
+        {unread > 0 && <span className="chat-channel-badge">{unread > 99 ? '99+' : unread}</span>}
+      </button>
+    );
+  };
+
+  return (
+    <aside className="chat-channel-sidebar">
+      <button
+        type="button"
+        onClick={() => onSelect(null)}
+        className={`chat-channel-item ${!activeChannelId && !activeConversationId ? 'chat-channel-item-active' : ''}`}
+      >
+        <MessageSquare size={14} />
+        <span className="chat-channel-name">Team Chat</span>
+      </button>
+
+      <div className="chat-channel-section-header">
+        <span>Channels</span>
+        <button
+          type="button"
+          onClick={() => setShowCreate(!showCreate)}
+          className="chat-channel-add-btn"
+          title={showCreate ? 'Cancel' : 'Create channel'}
+        >
+          {showCreate ? <X size={14} /> : <Plus size={14} />}
+        </button>
+      </div>
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="chat-channel-create-form">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="channel-name"
+            className="modal-form-input"
+            maxLength={50}
+            autoFocus
+          />
+          <input
+            type="text"
+            value={form.topic}
+            onChange={(e) => setForm({ ...form, topic: e.target.value })}
+            placeholder="Topic (optional)"
+            className="modal-form-input"
+            maxLength={250}
+          />
+          <label className="chat-channel-private-toggle">
+            <input
+              type="checkbox"
+              checked={form.isPrivate}
+              onChange={(e) => setForm({ ...form, isPrivate: e.target.checked })}
+            />
+            Private channel
+          </label>
+          <button type="submit" className="modal-btn-primary" disabled={saving || !form.name.trim()}>
+            {saving ? 'Creating...' : 'Create'}
+          </button>
+        </form>
+      )}
+
+      <ul className="chat-channel-list">
+        {joined.map((channel) => (
+          <li key={channel._id}>{renderChannelButton(channel)}</li>
+        ))}
+      </ul>
+
+      {browsable.length > 0 && (
+        <>
+          <div className="chat-channel-section-header">
+            <span>Browse</span>
+          </div>
+          <ul className="chat-channel-list">
+            {browsable.map((channel) => (
+              <li key={channel._id} className="chat-channel-browse-row">
+                {renderChannelButton(channel)}
+                {!channel.isArchived && (
+                  <button type="button" onClick={() => onJoin(channel)} className="chat-channel-join-btn">
+                    Join
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="chat-channel-section-header">
+        <span>Direct messages</span>
+        <button
+          type="button"
+          onClick={() => setShowPicker(!showPicker)}
+          className="chat-channel-add-btn"
+          title={showPicker ? 'Cancel' : 'New message'}
+        >
+          {showPicker ? <X size={14} /> : <Plus size={14} />}
+        </button>
+      </div>
+
+      {showPicker && (
+        <MemberPicker
+          members={members}
+          excludeIds={[userId]}
+          max={MAX_CONVERSATION_PEOPLE}
+          submitLabel="Start"
+          onSubmit={handleStartConversation}
+        />
+      )}
+
+      <ul className="chat-channel-list">
+        {conversations.map((conversation) => (
+          <li key={conversation._id}>{renderConversationButton(conversation)}</li>
+        ))}
+      </ul>
+    </aside>
+  );
+}
+
+export default ChannelList;
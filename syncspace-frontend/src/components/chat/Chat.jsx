@@ -1,15 +1,32 @@
 import React, { useState, useEffect, useRef } from 'react';
 import ChatMessage from './ChatMessage';
 import TypingIndicator from './TypingIndicator';
-import { Send, Paperclip, Smile, MoreVertical } from 'lucide-react';
+import ChannelList from './ChannelList';
+import ThreadPanel from './ThreadPanel';
+import MemberPicker from './MemberPicker';
+import SearchPanel from './SearchPanel';
+import { toChatMessage, conversationTitle } from './chatFormat';
+import { Send, Paperclip, Smile, MoreVertical, LogOut, Archive, ArchiveRestore, UserPlus, Search } from 'lucide-react';
 import socketService from '../../socket/socket';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
 import { useApp } from '../../context/AppContext';
 import '../../styles/App.css';
 
-function Chat({ workspaceId }) {
+// Including the current user
+const MAX_CONVERSATION_SIZE = 8;
+
+function Chat({ workspaceId, focusMessage }) {
   const { user } = useApp();
+  const [channels, setChannels] = useState([]);
+  const [activeChannel, setActiveChannel] = useState(null);
+  const [conversations, setConversations] = useState([]);
+  const [activeConversation, setActiveConversation] = useState(null);
+  const [members, setMembers] = useState([]);
+  const [showAddPeople, setShowAddPeople] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [threadMessageId, setThreadMessageId] = useState(null);
+  const [lastReplyEvent, setLastReplyEvent] = useState(null);
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isTyping, setIsTyping] = useState(false);
@@ -20,7 +37,45 @@ function Chat({ workspaceId }) {
   const messagesEndRef = useRef(null);
   const typingTimeoutRef = useRef(null);
 
+  const activeChannelId = activeChannel?._id || null;
+  const activeConversationId = activeConversation?._id || null;
+
+  useEffect(() => {
+    setActiveChannel(null);
+    setActiveConversation(null);
+    loadChannels();
+    loadConversations();
+    loadMembers();
+    socketService.subscribeToChannelUpdates(handleListUpdate);
+    socketService.subscribeToThreadReplies(handleThreadReply);
+
+    return () => {
+      socketService.unsubscribeFromChannelUpdates();
+      socketService.unsubscribeFromThreadReplies();
+    };
+  }, [workspaceId]);
+
   useEffect(() => {
+    if (activeChannelId) {
+      loadChannelMessages(activeChannelId);
+      subscribeToRoomEvents(activeChannelId, 'channel', markChannelRead);
+
+      return () => {
+        socketService.leaveChatRoom(activeChannelId, 'channel');
+        socketService.unsubscribeFromRoomMessages();
+      };
+    }
+
+    if (activeConversationId) {
+      loadConversationMessages(activeConversationId);
+      subscribeToRoomEvents(activeConversationId, 'conversation', markConversationRead);
+
+      return () => {
+        socketService.leaveChatRoom(activeConversationId, 'conversation');
+        socketService.unsubscribeFromRoomMessages();
+      };
+    }
+
     loadMessages();
     subscribeToChatEvents();
 
@@ -28,17 +83,58 @@ function Chat({ workspaceId }) {
       socketService.unsubscribeFromChatMessages();
       socketService.unsubscribeFromTypingIndicators();
     };
-  }, [workspaceId]);
+  }, [workspaceId, activeChannelId, activeConversationId]);
 
   useEffect(() => {
     scrollToBottom();
   }, [messages]);
 
+  useEffect(() => {
+    if (focusMessage) openLinkedMessage(focusMessage.id);
+  }, [focusMessage]);
+
+  const loadChannels = async () => {
+    try {
+      const channelsData = await api.chat.getChannels(workspaceId);
+      setChannels(channelsData);
+      // Keep the open channel's header (topic, archive state, role) current
+      setActiveChannel(prev => (prev ? channelsData.find(c => c._id === prev._id) || null : prev));
+    } catch (error) {
+      console.error('Error loading channels:', error);
+    }
+  };
+
+  const loadConversations = async () => {
+    try {
+      const conversationsData = await api.chat.getConversations(workspaceId);
+      setConversations(conversationsData);
+      // Drop the open conversation if the user left it elsewhere
+      setActiveConversation(prev => (prev ? conversationsData.find(c => c._id === prev._id) || null : prev));
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+  };
+
+  const loadMembers = async () => {
+    try {
+      const membersData = await api.members.getByWorkspace(workspaceId);
+      setMembers(membersData.filter(m => m.userId).map(m => ({ _id: m.userId._id, name: m.userId.name })));
+    } catch (error) {
+      console.error('Error loading members:', error);
+    }
+  };
+
+  // Socket updates don't say which list changed, so both are refreshed
+  const handleListUpdate = () => {
+    loadChannels();
+    loadConversations();
+  };
+
   const loadMessages = async () => {
     setLoading(true);
     try {
       const messagesData = await api.chat.getMessages(workspaceId);
-      setMessages(messagesData);
+      setMessages(messagesData.map(toChatMessage));
     } catch (error) {
       console.error('Error loading messages:', error);
       toast.error('Failed to load messages');
@@ -47,10 +143,234 @@ function Chat({ workspaceId }) {
     }
   };
 
+  const loadChannelMessages = async (channelId) => {
+    setLoading(true);
+    try {
+      const messagesData = await api.chat.getChannelMessages(channelId);
+      setMessages(messagesData.map(toChatMessage));
+      markChannelRead(channelId);
+    } catch (error) {
+      console.error('Error loading channel messages:', error);
+      toast.error(error?.response?.data?.message || 'Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadConversationMessages = async (conversationId) => {
+    setLoading(true);
+    try {
+      const messagesData = await api.chat.getConversationMessages(conversationId);
+      setMessages(messagesData.map(toChatMessage));
+      markConversationRead(conversationId);
+    } catch (error) {
+      console.error('Error loading conversation messages:', error);
+      toast.error(error?.response?.data?.message || 'Failed to load messages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const markConversationRead = async (conversationId) => {
+    try {
+      await api.chat.markConversationRead(conversationId);
+      setConversations(prev => prev.map(c => (c._id === conversationId ? { ...c, unreadCount: 0 } : c)));
+    } catch (error) {
+      console.error('Error marking conversation read:', error);
+    }
+  };
+
+  const markChannelRead = async (channelId) => {
+    const channel = channels.find(c => c._id === channelId) || activeChannel;
+    if (!channel?.isMember) return;
+
+    try {
+      await api.chat.markChannelRead(channelId);
+      setChannels(prev => prev.map(c => (c._id === channelId ? { ...c, unreadCount: 0 } : c)));
+    } catch (error) {
+      console.error('Error marking channel read:', error);
+    }
+  };
+
+  // Adds a message unless it is already shown (the sender gets it from both the API and the socket)
+  const appendMessage = (message) => {
+    const formatted = toChatMessage(message);
+    setMessages(prev => (prev.some(m => m.id === formatted.id) ? prev : [...prev, formatted]));
+  };
+
+  const subscribeToRoomEvents = (roomId, roomType, markRead) => {
+    socketService.joinChatRoom(roomId, roomType);
+    socketService.subscribeToRoomMessages((data) => {
+      if (data.roomType !== roomType || data.roomId !== roomId) return;
+      appendMessage(data.message);
+      markRead(roomId);
+    });
+  };
+
+  // Keep the reply count on the root message current and feed the open thread panel
+  const handleThreadReply = (data) => {
+    setMessages(prev => prev.map(m => (m.id === data.threadId ? { ...m, thread: data.thread } : m)));
+    setLastReplyEvent(data);
+  };
+
+  const clearOpenRoom = () => {
+    setThreadMessageId(null);
+    setMessages([]);
+    setTypingUsers([]);
+    setShowAddPeople(false);
+  };
+
+  const handleSelectChannel = (channel) => {
+    clearOpenRoom();
+    setActiveConversation(null);
+    setActiveChannel(channel);
+  };
+
+  const handleSelectConversation = (conversation) => {
+    clearOpenRoom();
+    setActiveChannel(null);
+    setActiveConversation(conversation);
+  };
+
+  // Open the channel or conversation of a search result, and its thread for thread-only replies
+  const handleOpenSearchResult = (message, threadId) => {
+    const channelId = message.channelId?._id || message.channelId || null;
+    const conversationId = message.conversationId || null;
+
+    if (channelId !== activeChannelId || conversationId !== activeConversationId) {
+      if (channelId) {
+        handleSelectChannel(channels.find(c => c._id === channelId) || null);
+      } else if (conversationId) {
+        handleSelectConversation(conversations.find(c => c._id === conversationId) || null);
+      } else {
+        handleSelectChannel(null);
+      }
+    }
+
+    setThreadMessageId(threadId || null);
+  };
+
+  // Open a message from a link: its channel or conversation, with the message in the thread panel
+  const openLinkedMessage = async (messageId) => {
+    try {
+      const [context, channelsData, conversationsData] = await Promise.all([
+        api.chat.getMessageContext(messageId, 0, 0),
+        api.chat.getChannels(workspaceId),
+        api.chat.getConversations(workspaceId)
+      ]);
+
+      if (context.channelId) {
+        handleSelectChannel(channelsData.find(c => c._id === String(context.channelId)) || null);
+      } else if (context.conversationId) {
+        handleSelectConversation(conversationsData.find(c => c._id === String(context.conversationId)) || null);
+      } else {
+        handleSelectChannel(null);
+      }
+      // Replies open their thread, other messages open as the root of theirs
+      const message = context.messages.find(m => m._id === context.messageId);
+      setThreadMessageId(message?.threadId || context.messageId);
+    } catch (error) {
+      console.error('Error opening linked message:', error);
+      toast.error(error?.response?.data?.message || 'Failed to open message');
+    }
+  };
+
+  const handleStartConversation = async (participantIds) => {
+    try {
+      const res = await api.chat.createConversation({ workspaceId, participants: participantIds });
+      await loadConversations();
+      handleSelectConversation(res.conversation);
+      return res.conversation;
+    } catch (error) {
+      console.error('Error starting conversation:', error);
+      toast.error(error?.response?.data?.message || 'Failed to start conversation');
+      return null;
+    }
+  };
+
+  const handleAddPeople = async (participantIds) => {
+    try {
+      const res = await api.chat.addConversationParticipants(activeConversation._id, participantIds);
+      // A one-to-one conversation stays as it was; the new people join a group instead
+      if (!activeConversation.isGroup) toast.info('Started a group conversation');
+      await loadConversations();
+      handleSelectConversation(res.conversation);
+      return true;
+    } catch (error) {
+      console.error('Error adding people:', error);
+      toast.error(error?.response?.data?.message || 'Failed to add people');
+      return false;
+    }
+  };
+
+  const handleLeaveConversation = async () => {
+    if (!window.confirm(`Leave ${conversationTitle(activeConversation, user.id)}?`)) return;
+
+    try {
+      await api.chat.leaveConversation(activeConversation._id);
+      handleSelectChannel(null);
+      await loadConversations();
+    } catch (error) {
+      console.error('Error leaving conversation:', error);
+      toast.error(error?.response?.data?.message || 'Failed to leave conversation');
+    }
+  };
+
+  const handleCreateChannel = async (form) => {
+    try {
+      const res = await api.chat.createChannel({ workspaceId, ...form });
+      toast.success(`#${res.channel.name} created`);
+      await loadChannels();
+      handleSelectChannel(res.channel);
+      return res.channel;
+    } catch (error) {
+      console.error('Error creating channel:', error);
+      toast.error(error?.response?.data?.message || 'Failed to create channel');
+      return null;
+    }
+  };
+
+  const handleJoinChannel = async (channel) => {
+    try {
+      const res = await api.chat.joinChannel(channel._id);
+      await loadChannels();
+      handleSelectChannel(res.channel);
+    } catch (error) {
+      console.error('Error joining channel:', error);
+      toast.error(error?.response?.data?.message || 'Failed to join channel');
+    }
+  };
+
+  const handleLeaveChannel = async () => {
+    if (!window.confirm(`Leave #${activeChannel.name}?`)) return;
+
+    try {
+      await api.chat.leaveChannel(activeChannel._id);
+      handleSelectChannel(null);
+      await loadChannels();
+    } catch (error) {
+      console.error('Error leaving channel:', error);
+      toast.error(error?.response?.data?.message || 'Failed to leave channel');
+    }
+  };
+
+  const handleToggleArchive = async () => {
+    const archived = !activeChannel.isArchived;
+    try {
+      const res = await api.chat.updateChannel(activeChannel._id, { archived });
+      toast.success(`#${res.channel.name} ${archived ? 'archived' : 'restored'}`);
+      await loadChannels();
+      setActiveChannel(res.channel);
+    } catch (error) {
+      console.error('Error archiving channel:', error);
+      toast.error(error?.response?.data?.message || 'Failed to update channel');
+    }
+  };
+
   const subscribeToChatEvents = () => {
     // Subscribe to new messages
     socketService.subscribeToChatMessages((message) => {
-      setMessages(prev => [...prev, message]);
+      setMessages(prev => [...prev, toChatMessage(message)]);
     });
 
     // Subscribe to typing indicators
@@ -70,6 +390,9 @@ function Chat({ workspaceId }) {
   const handleTyping = (e) => {
     setNewMessage(e.target.value);
 
+    // Typing indicators only cover Team Chat
+    if (activeChannel || activeConversation) return;
+
     // Emit typing indicator
     if (!isTyping) {
       setIsTyping(true);
@@ -93,6 +416,22 @@ function Chat({ workspaceId }) {
 
     if (!newMessage.trim()) return;
 
+    if (activeChannel || activeConversation) {
+      const text = newMessage.trim();
+      setNewMessage('');
+      try {
+        const res = activeChannel
+          ? await api.chat.sendChannelMessage(activeChannel._id, { text })
+          : await api.chat.sendConversationMessage(activeConversation._id, { text });
+        appendMessage(res.message);
+      } catch (error) {
+        console.error('Error sending message:', error);
+        toast.error(error?.response?.data?.message || 'Failed to send message');
+        setNewMessage(text);
+      }
+      return;
+    }
+
     const messageData = {
       id: Date.now(),
       user: user.name,
@@ -124,101 +463,224 @@ function Chat({ workspaceId }) {
     }
   };
 
-  if (loading) {
-    return (
-      <div className="chat-loading-wrapper">
-        <div className="chat-spinner"></div>
-        <p>Loading messages...</p>
-      </div>
-    );
-  }
+  const canPost = !activeChannel || (activeChannel.isMember && !activeChannel.isArchived);
+  const canManage = activeChannel?.role === 'owner';
+  const conversationName = activeConversation ? conversationTitle(activeConversation, user.id) : null;
 
   return (
     <div className="chat-container-wrapper">
       <div className="container-fluid h-100">
         <div className="row h-100">
           <div className="col-12">
-            <div className="chat-inner-container">
-              {/* Chat Header */}
-              <div className="chat-header-section">
-                <div className="row align-items-center">
-                  <div className="col">
-                    <h2 className="chat-header-title">Team Chat</h2>
-                    <div className="chat-online-status">
-                      <span className="chat-online-indicator"></span>
-                      <span className="chat-online-text">{onlineUsers} online</span>
+            <div className="chat-layout">
+              <ChannelList
+                channels={channels}
+                activeChannelId={activeChannelId}
+                onSelect={handleSelectChannel}
+                onCreate={handleCreateChannel}
+                onJoin={handleJoinChannel}
+                conversations={conversations}
+                activeConversationId={activeConversationId}
+                members={members}
+                userId={user.id}
+                onSelectConversation={handleSelectConversation}
+                onStartConversation={handleStartConversation}
+              />
+
+              <div className="chat-inner-container">
+                {/* Chat Header */}
+                <div className="chat-header-section">
+                  <div className="row align-items-center">
+                    <div className="col">
+                      <h2 className="chat-header-title">
+                        {activeChannel ? `#${activeChannel.name}` : conversationName || 'Team Chat'}
+                      </h2>
+                      {activeConversation ? (
+                        <div className="chat-online-status">
+                          <span className="chat-online-text">
+                            {activeConversation.participantCount} people
+                          </span>
+                        </div>
+                      ) : activeChannel ? (
+                        <div className="chat-online-status">
+                          <span className="chat-online-text">
+                            {activeChannel.memberCount} {activeChannel.memberCount === 1 ? 'member' : 'members'}
+                          </span>
+                          {activeChannel.topic && <span className="chat-channel-topic">{activeChannel.topic}</span>}
+                        </div>
+                      ) : (
+                        <div className="chat-online-status">
+                          <span className="chat-online-indicator"></span>
+                          <span className="chat-online-text">{onlineUsers} online</span>
+                        </div>
+                      )}
+                    </div>
+                    <div className="col-auto">
+                      <button
+                        className="chat-header-menu-btn"
+                        onClick={() => setShowSearch(!showSearch)}
+                        title="Search messages"
+                      >
+                        <Search size={20} />
+                      </button>
+                      {activeConversation ? (
+                        <>
+                          <button
+                            className="chat-header-menu-btn"
+                            onClick={() => setShowAddPeople(!showAddPeople)}
+                            title="Add people"
+                          >
+                            <UserPlus size={20} />
+                          </button>
+                          {activeConversation.isGroup && (
+                            <button className="chat-header-menu-btn" onClick={handleLeaveConversation} title="Leave conversation">
+                              <LogOut size={20} />
+                            </button>
+                          )}
+                        </>
+                      ) : activeChannel ? (
+                        <>
+                          {canManage && (
+                            <button
+                              className="chat-header-menu-btn"
+                              onClick={handleToggleArchive}
+                              title={activeChannel.isArchived ? 'Unarchive channel' : 'Archive channel'}
+                            >
+                              {activeChannel.isArchived ? <ArchiveRestore size={20} /> : <Archive size={20} />}
+                            </button>
+                          )}
+                          {activeChannel.isMember && (
+                            <button className="chat-header-menu-btn" onClick={handleLeaveChannel} title="Leave channel">
+                              <LogOut size={20} />
+                            </button>
+                          )}
+                        </>
+                      ) : (
+                        <button className="chat-header-menu-btn">
+                          <MoreVertical size={20} />
+                        </button>
+                      )}
                     </div>
-                  </div>
-                  <div className="col-auto">
-                    <button className="chat-header-menu-btn">
-                      <MoreVertical size={20} />
-                    </button>
                   </div>
                 </div>
-              </div>
 
-              {/* Messages Area */}
-              <div className="chat-messages-area">
-                {messages.length === 0 ? (
-                  <div className="chat-empty-state">
-                    <p>No messages yet. Start the conversation!</p>
+                {showAddPeople && activeConversation && (
+                  <div className="chat-add-people">
+                    <MemberPicker
+                      members={members}
+                      excludeIds={activeConversation.participants.map(p => p.userId?._id)}
+                      max={MAX_CONVERSATION_SIZE - activeConversation.participantCount}
+                      submitLabel="Add"
+                      onSubmit={handleAddPeople}
+                      onCancel={() => setShowAddPeople(false)}
+                    />
                   </div>
-                ) : (
-                  <div className="chat-messages-list">
-                    {messages.map((message) => (
-                      <ChatMessage
-                        key={message.id}
-                        message={message}
-                        isOwnMessage={message.userId === user.id}
-                      />
-                    ))}
-                    
-                    {/* Typing Indicator */}
-                    {typingUsers.length > 0 && (
-                      <TypingIndicator users={typingUsers} />
+                )}
+
+                {/* Messages Area */}
+                <div className="chat-messages-area">
+                  {loading ? (
+                    <div className="chat-loading-wrapper">
+                      <div className="chat-spinner"></div>
+                      <p>Loading messages...</p>
+                    </div>
+                  ) : messages.length === 0 ? (
+                    <div className="chat-empty-state">
+                      <p>No messages yet. Start the conversation!</p>
+                    </div>
+                  ) : (
+                    <div className="chat-messages-list">
+                      {messages.map((message) => (
+                        <ChatMessage
+                          key={message.id}
+                          message={message}
+                          isOwnMessage={message.userId === user.id}
+                          onOpenThread={setThreadMessageId}
+                        />
+                      ))}
+                      
+                      {/* Typing Indicator */}
+                      {typingUsers.length > 0 && (
+                        <TypingIndicator users={typingUsers} />
+                      )}
+                      
+                      <div ref={messagesEndRef} />
+                    </div>
+                  )}
+                </div>
+
+                {!canPost && (
+                  <div className="chat-input-section chat-channel-notice">
+                    {activeChannel.isArchived ? (
+                      <span>This channel is archived and read-only.</span>
+                    ) : (
+                      <button type="button" className="modal-btn-primary" onClick={() => handleJoinChannel(activeChannel)}>
+                        Join #{activeChannel.name} to post
+                      </button>
                     )}
-                    
-                    <div ref={messagesEndRef} />
                   </div>
                 )}
+
+                {/* Input Area */}
+                {canPost && (
+                  <form onSubmit={handleSendMessage} className="chat-input-section">
+                    <div className="row align-items-center g-2">
+                      <div className="col-auto d-none d-sm-block">
+                        <button type="button" className="chat-action-btn">
+                          <Paperclip size={20} />
+                        </button>
+                      </div>
+                      
+                      <div className="col">
+                        <input
+                          type="text"
+                          value={newMessage}
+                          onChange={handleTyping}
+                          placeholder="Type a message..."
+                          className="chat-message-input"
+                        />
+                      </div>
+                      
+                      <div className="col-auto d-none d-sm-block">
+                        <button type="button" className="chat-action-btn">
+                          <Smile size={20} />
+                        </button>
+                      </div>
+                      
+                      <div className="col-auto">
+                        <button
+                          type="submit"
+                          className="chat-send-btn"
+                          disabled={!newMessage.trim()}
+                        >
+                          <Send size={20} />
+                        </button>
+                      </div>
+                    </div>
+                  </form>
+                )}
               </div>
 
-              {/* Input Area */}
-              <form onSubmit={handleSendMessage} className="chat-input-section">
-                <div className="row align-items-center g-2">
-                  <div className="col-auto d-none d-sm-block">
-                    <button type="button" className="chat-action-btn">
-                      <Paperclip size={20} />
-                    </button>
-                  </div>
-                  
-                  <div className="col">
-                    <input
-                      type="text"
-                      value={newMessage}
-                      onChange={handleTyping}
-                      placeholder="Type a message..."
-                      className="chat-message-input"
-                    />
-                  </div>
-                  
-                  <div className="col-auto d-none d-sm-block">
-                    <button type="button" className="chat-action-btn">
-                      <Smile size={20} />
-                    </button>
-                  </div>
-                  
-                  <div className="col-auto">
-                    <button
-                      type="submit"
-                      className="chat-send-btn"
-                      disabled={!newMessage.trim()}
-                    >
-                      <Send size={20} />
-                    </button>
-                  </div>
-                </div>
-              </form>
+              {threadMessageId && (
+                <ThreadPanel
+                  key={threadMessageId}
+                  messageId={threadMessageId}
+                  channel={activeChannel}
+                  conversationName={conversationName}
+                  lastReplyEvent={lastReplyEvent}
+                  onClose={() => setThreadMessageId(null)}
+                />
+              )}
+
+              {/* Stays mounted under an open thread so the results survive */}
+              {showSearch && (
+                <SearchPanel
+                  hidden={!!threadMessageId}
+                  workspaceId={workspaceId}
+                  onOpenMessage={handleOpenSearchResult}
+                  onClose={() => setShowSearch(false)}
+                />
+              )}
             </div>
           </div>
         </div>
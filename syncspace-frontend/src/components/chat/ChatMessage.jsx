@@ -1,7 +1,11 @@
 import React from 'react';
+import { MessageSquare } from 'lucide-react';
+import { formatTime } from './chatFormat';
 import '../../styles/App.css';
 
-function ChatMessage({ message, isOwnMessage }) {
+function ChatMessage({ message, isOwnMessage, onOpenThread }) {
+  const replyCount = message.thread?.replyCount || 0;
+
   return (
     <div className={`chat-message-wrapper ${isOwnMessage ? 'chat-message-own' : 'chat-message-other'}`}>
       <div className="container-fluid">
@@ -22,9 +26,37 @@ function ChatMessage({ message, isOwnMessage }) {
                   <span className="chat-message-timestamp">{message.time}</span>
                 </div>
                 
+                {message.threadId && onOpenThread && (
+                  <button type="button" className="chat-thread-origin" onClick={() => onOpenThread(message.threadId)}>
+                    replied to a thread
+                  </button>
+                )}
+
                 <div className={`chat-message-bubble ${isOwnMessage ? 'chat-message-bubble-own' : 'chat-message-bubble-other'}`}>
                   <p className="chat-message-text">{message.message}</p>
                 </div>
+
+                {message.canThread && onOpenThread && (
+                  <button
+                    type="button"
+                    className={`chat-thread-summary ${replyCount ? '' : 'chat-thread-summary-empty'}`}
+                    onClick={() => onOpenThread(message.id)}
+                    title="Reply in thread"
+                  >
+                    <MessageSquare size={12} />
+                    {replyCount > 0 ? (
+                      <span>
+                        {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+                        {message.thread.lastReplyAt && ` · last reply ${formatTime(message.thread.lastReplyAt)}`}
+                        {message.thread.lastReply?.text && (
+                          <span className="chat-thread-preview"> — {message.thread.lastReply.text}</span>
+                        )}
+                      </span>
+                    ) : (
+                      <span>Reply in thread</span>
+                    )}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import '../../styles/App.css';
+
+// Pick workspace members for a direct or group conversation
+function MemberPicker({ members, excludeIds = [], max, submitLabel, onSubmit, onCancel }) {
+  const [selected, setSelected] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const candidates = members
+    .filter((member) => !excludeIds.includes(member._id))
+    .filter((member) => member.name.toLowerCase().includes(filter.trim().toLowerCase()));
+
+  const toggle = (memberId) => {
+    setSelected((prev) => (prev.includes(memberId)
+      ? prev.filter((id) => id !== memberId)
+      : [...prev, memberId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected.length) return;
+
+    setSaving(true);
+    const done = await onSubmit(selected);
+    setSaving(false);
+
+    if (done) setSelected([]);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="chat-member-picker">
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Find people"
+        className="modal-form-input"
+        autoFocus
+      />
+      <ul className="chat-member-picker-list">
+        {candidates.map((member) => {
+          const checked = selected.includes(member._id);
+          return (
+            <li key={member._id}>
+              <label className="chat-channel-private-toggle">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  disabled={!checked && selected.length >= max}
+                  onChange={() => toggle(member._id)}
+                />
+                {member.name}
+              </label>
+            </li>
+          );
+        })}
+        {candidates.length === 0 && <li className="chat-member-picker-empty">No one to add</li>}
+      </ul>
+      <div className="chat-member-picker-actions">
+        {onCancel && (
+          <button type="button" className="modal-btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="modal-btn-primary" disabled={saving || !selected.length}>
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default MemberPicker;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { X, Search, ArrowLeft, ExternalLink } from 'lucide-react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { formatTime } from './chatFormat';
+import '../../styles/App.css';
+
+const SEARCH_HINT = 'from:@name  in:#channel  has:file  has:link  is:pinned  before:2024-05-31  after:2024-05-01  "exact phrase"';
+
+// Split a snippet into plain and highlighted parts
+function HighlightedSnippet({ snippet, highlights = [] }) {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(({ start, end }) => {
+    if (start > position) parts.push(<span key={`t${position}`}>{snippet.slice(position, start)}</span>);
+    parts.push(<mark key={`m${start}`}>{snippet.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < snippet.length) parts.push(<span key={`t${position}`}>{snippet.slice(position)}</span>);
+
+  return <p className="chat-search-snippet">{parts}</p>;
+}
+
+const describeLocation = (message) => {
+  if (message.channelId) return `#${message.channelId.name}`;
+  if (message.conversationId) return 'Direct message';
+  return 'Team Chat';
+};
+
+function SearchPanel({ workspaceId, hidden, onOpenMessage, onClose }) {
+  const [query, setQuery] = useState('');
+  // "Load more" pages through the query as submitted, not as edited since
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searched, setSearched] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [context, setContext] = useState(null);
+
+  const runSearch = async (searchQuery, cursor) => {
+    setLoading(true);
+    try {
+      const res = await api.chat.search(workspaceId, searchQuery, cursor);
+      setResults(prev => (cursor ? [...prev, ...res.messages] : res.messages));
+      setNextCursor(res.nextCursor);
+      setSearched(true);
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      toast.error(error?.response?.data?.message || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setContext(null);
+    setSubmittedQuery(query.trim());
+    runSearch(query.trim());
+  };
+
+  const handleShowContext = async (result) => {
+    try {
+      const res = await api.chat.getMessageContext(result._id, 5, 5);
+      setContext({ ...res, result });
+    } catch (error) {
+      console.error('Error loading message context:', error);
+      toast.error(error?.response?.data?.message || 'Failed to load message');
+    }
+  };
+
+  return (
+    <aside className={`chat-thread-panel ${hidden ? 'chat-panel-hidden' : ''}`}>
+      <div className="chat-thread-header">
+        <div>
+          <h3 className="chat-thread-title">{context ? 'Message' : 'Search'}</h3>
+          {context && <span className="chat-thread-subtitle">{describeLocation(context.result)}</span>}
+        </div>
+        <div>
+          {context && (
+            <>
+              <button type="button" className="chat-header-menu-btn" onClick={() => setContext(null)} title="Back to results">
+                <ArrowLeft size={18} />
+              </button>
+              <button
+                type="button"
+                className="chat-header-menu-btn"
+                onClick={() => onOpenMessage(context.result, context.threadId)}
+                title="Open in chat"
+              >
+                <ExternalLink size={18} />
+              </button>
+            </>
+          )}
+          <button type="button" className="chat-header-menu-btn" onClick={onClose} title="Close search">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {context ? (
+        <div className="chat-thread-body">
+          {context.messages.map((message) => (
+            <div
+              key={message._id}
+              className={`chat-thread-message ${message._id === context.messageId ? 'chat-search-context-target' : ''}`}
+            >
+              <div className="chat-message-avatar">{(message.senderId?.name || '?').charAt(0).toUpperCase()}</div>
+              <div>
+                <div className="chat-message-header-info">
+                  <span className="chat-message-user-name">{message.senderId?.name}</span>
+                  <span className="chat-message-timestamp">{formatTime(message.createdAt)}</span>
+                </div>
+                <p className="chat-thread-message-text">{message.text}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <>
+          <form onSubmit={handleSubmit} className="chat-search-form">
+            <div className="chat-search-input-row">
+              <input
+                type="text"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search messages"
+                className="modal-form-input"
+                maxLength={200}
+                autoFocus
+              />
+              <button type="submit" className="chat-send-btn" disabled={loading || !query.trim()}>
+                <Search size={16} />
+              </button>
+            </div>
+            <p className="chat-search-hint">{SEARCH_HINT}</p>
+          </form>
+
+          <div className="chat-thread-body">
+            {searched && results.length === 0 && !loading && (
+              <p className="chat-search-hint">No messages found.</p>
+            )}
+            {results.map((result) => (
+              <button
+                type="button"
+                key={result._id}
+                className="chat-search-result"
+                onClick={() => handleShowContext(result)}
+              >
+                <div className="chat-message-header-info">
+                  <span className="chat-message-user-name">{result.senderId?.name}</span>
+                  <span className="chat-message-timestamp">
+                    {describeLocation(result)} · {new Date(result.createdAt).toLocaleDateString()} {formatTime(result.createdAt)}
+                  </span>
+                </div>
+                <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+              </button>
+            ))}
+            {nextCursor && (
+              <button
+                type="button"
+                className="modal-btn-secondary chat-search-more"
+                onClick={() => runSearch(submittedQuery, nextCursor)}
+                disabled={loading}
+              >
+                {loading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default SearchPanel;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Bell, BellOff, Send } from 'lucide-react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { toChatMessage } from './chatFormat';
+import ReferencedBy from '../workspace/ReferencedBy';
+import '../../styles/App.css';
+
+function ThreadMessage({ message }) {
+  return (
+    <div className="chat-thread-message">
+      <div className="chat-message-avatar">{message.avatar}</div>
+      <div>
+        <div className="chat-message-header-info">
+          <span className="chat-message-user-name">{message.user}</span>
+          <span className="chat-message-timestamp">{message.time}</span>
+        </div>
+        <p className="chat-thread-message-text">{message.message}</p>
+      </div>
+    </div>
+  );
+}
+
+function ThreadPanel({ messageId, channel, conversationName, lastReplyEvent, onClose }) {
+  const [root, setRoot] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [participants, setParticipants] = useState([]);
+  const [following, setFollowing] = useState(false);
+  const [text, setText] = useState('');
+  const [alsoSendToChannel, setAlsoSendToChannel] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+
+  const repliesEndRef = useRef(null);
+
+  const rootId = root?._id;
+  const canReply = !channel || (channel.isMember && !channel.isArchived);
+  const streamName = channel ? `#${channel.name}` : conversationName || 'Team Chat';
+
+  useEffect(() => {
+    loadThread();
+  }, [messageId]);
+
+  useEffect(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [replies]);
+
+  // Replies from other people arrive through Chat's socket subscription
+  useEffect(() => {
+    if (lastReplyEvent && lastReplyEvent.threadId === rootId) {
+      appendReply(lastReplyEvent.message);
+    }
+  }, [lastReplyEvent]);
+
+  const loadThread = async () => {
+    setLoading(true);
+    try {
+      const res = await api.chat.getThread(messageId);
+      setRoot(res.message);
+      setReplies(res.replies.map(toChatMessage));
+      setParticipants(res.participants || []);
+      setFollowing(res.isFollowing);
+    } catch (error) {
+      console.error('Error loading thread:', error);
+      toast.error(error?.response?.data?.message || 'Failed to load thread');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const appendReply = (reply) => {
+    const formatted = toChatMessage(reply);
+    setReplies(prev => (prev.some(r => r.id === formatted.id) ? prev : [...prev, formatted]));
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const replyText = text.trim();
+    if (!replyText) return;
+
+    setSending(true);
+    try {
+      const res = await api.chat.replyToThread(rootId, { text: replyText, alsoSendToChannel });
+      appendReply(res.message);
+      setText('');
+      // Replying follows the thread
+      setFollowing(true);
+    } catch (error) {
+      console.error('Error replying in thread:', error);
+      toast.error(error?.response?.data?.message || 'Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleToggleFollow = async () => {
+    try {
+      const res = following
+        ? await api.chat.unfollowThread(rootId)
+        : await api.chat.followThread(rootId);
+      setFollowing(res.isFollowing);
+    } catch (error) {
+      console.error('Error updating thread follow:', error);
+      toast.error('Failed to update thread');
+    }
+  };
+
+  return (
+    <aside className="chat-thread-panel">
+      <div className="chat-thread-header">
+        <div>
+          <h3 className="chat-thread-title">Thread</h3>
+          {(channel || conversationName) && <span className="chat-thread-subtitle">{streamName}</span>}
+        </div>
+        <div>
+          {root && (
+            <button
+              type="button"
+              className="chat-header-menu-btn"
+              onClick={handleToggleFollow}
+              title={following ? 'Unfollow thread' : 'Follow thread'}
+            >
+              {following ? <BellOff size={18} /> : <Bell size={18} />}
+            </button>
+          )}
+          <button type="button" className="chat-header-menu-btn" onClick={onClose} title="Close thread">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {loading || !root ? (
+        <div className="chat-loading-wrapper">
+          <div className="chat-spinner"></div>
+        </div>
+      ) : (
+        <>
+          <div className="chat-thread-body">
+            <ThreadMessage message={toChatMessage(root)} />
+            <ReferencedBy type="message" id={root._id} hideEmpty />
+
+            <div className="chat-thread-divider">
+              <span>
+                {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+                {participants.length > 0 && ` · ${participants.map(p => p.name).join(', ')}`}
+              </span>
+            </div>
+
+            {replies.map((reply) => (
+              <ThreadMessage key={reply.id} message={reply} />
+            ))}
+            <div ref={repliesEndRef} />
+          </div>
+
+          {canReply && (
+            <form onSubmit={handleSend} className="chat-thread-input">
+              <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) handleSend(e);
+                }}
+                placeholder="Reply..."
+                className="chat-message-input"
+                rows={2}
+                maxLength={2000}
+              />
+              <div className="chat-thread-input-footer">
+                <label className="chat-channel-private-toggle">
+                  <input
+                    type="checkbox"
+                    checked={alsoSendToChannel}
+                    onChange={(e) => setAlsoSendToChannel(e.target.checked)}
+                  />
+                  Also send to {streamName}
+                </label>
+                <button type="submit" className="chat-send-btn" disabled={sending || !text.trim()}>
+                  <Send size={16} />
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default ThreadPanel;
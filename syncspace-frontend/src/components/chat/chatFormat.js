@@ -0,0 +1,33 @@
+// Helpers shared by the chat stream and the thread panel
+
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Server messages -> the shape ChatMessage renders
+export const toChatMessage = (message) => {
+  if (!message.senderId) return message;
+
+  const sender = message.senderId;
+  return {
+    id: message._id,
+    user: sender.name,
+    message: message.text,
+    time: formatTime(message.createdAt),
+    avatar: (sender.name || '?').charAt(0).toUpperCase(),
+    userId: sender._id,
+    thread: message.thread,
+    // Replies sent to the stream as well link back to their thread
+    threadId: message.threadId || null,
+    canThread: !message.threadId
+  };
+};
+
+// Group name, or the other people in the conversation
+export const conversationTitle = (conversation, userId) => {
+  if (conversation.name) return conversation.name;
+
+  const others = (conversation.participants || [])
+    .map((participant) => participant.userId)
+    .filter((participant) => participant && participant._id !== userId);
+  return others.map((participant) => participant.name).join(', ') || 'Just you';
+};
@@ -7,6 +7,8 @@ import Navbar from '../../components/layout/Navbar';
 import StatsCard from './StatsCard';
 import WorkspaceCard from './WorkspaceCard';
 import CreateWorkspaceModal from '../../components/modals/CreateWorkspaceModal';
+import api from '../../services/api';
+import socketService from '../../socket/socket';
 import {
   Plus,
   Folder,
@@ -18,6 +20,33 @@ import {
 } from 'lucide-react';
 import '../../styles/App.css';
 
+const ACTIVITY_LIMIT = 10;
+
+// "task.priority_changed" -> "changed priority of"
+const ACTIVITY_VERBS = {
+  commented: 'commented on',
+  comment_deleted: 'deleted a comment on',
+  priority_changed: 'changed priority of',
+  version_saved: 'saved a version of',
+  version_named: 'named a version of',
+  role_changed: 'changed the role of',
+  sent: 'sent',
+  left: 'left',
+};
+
+const describeActivity = (activity) => {
+  const [entityType, verb] = activity.action.split('.');
+  const actor = activity.actorId?.name || 'Someone';
+  const action = ACTIVITY_VERBS[verb] || verb.replace(/_/g, ' ');
+
+  if (entityType === 'message') return `${actor} ${action} a message`;
+  if (verb === 'left') return `${actor} left the workspace`;
+  if (entityType === 'member') return `${actor} ${action} ${activity.entityName || 'a member'}`;
+  return `${actor} ${action} ${entityType} "${activity.entityName}"`;
+};
+
+const getWorkspaceId = (workspace) => workspace.id || workspace._id;
+
 function Dashboard() {
   const navigate = useNavigate();
   const { user, workspaces, setSelectedWorkspace } = useApp();
@@ -28,13 +57,58 @@ function Dashboard() {
     tasksCompleted: 0,
     teamMembers: 0,
     documents: 0,
-    recentActivity: [],
   });
+  const [recentActivity, setRecentActivity] = useState([]);
 
   useEffect(() => {
     loadDashboardData();
+    loadRecentActivity();
+  }, [workspaces]);
+
+  // Live activity feed for every workspace the user belongs to
+  useEffect(() => {
+    const socket = socketService.initialize();
+    if (!socket) return;
+
+    const workspaceIds = workspaces.map(getWorkspaceId);
+    workspaceIds.forEach((id) => socketService.joinWorkspace(id));
+
+    socketService.subscribeToActivity((activity) => {
+      setRecentActivity((prev) => [activity, ...prev.filter((a) => a.id !== activity.id)].slice(0, ACTIVITY_LIMIT));
+    });
+
+    return () => {
+      socketService.unsubscribeFromActivity();
+      workspaceIds.forEach((id) => socketService.leaveWorkspace(id));
+    };
   }, [workspaces]);
 
+  const loadRecentActivity = async () => {
+    try {
+      const feeds = await Promise.all(
+        workspaces.map((ws) =>
+          api.workspaces.getActivity(getWorkspaceId(ws), { limit: ACTIVITY_LIMIT })
+            .then((res) => res.activity || [])
+            .catch(() => [])
+        )
+      );
+
+      const merged = feeds
+        .flat()
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, ACTIVITY_LIMIT);
+
+      setRecentActivity(merged);
+    } catch (error) {
+      console.error('Error loading recent activity:', error);
+    }
+  };
+
+  const workspaceName = (workspaceId) => {
+    const ws = workspaces.find((w) => getWorkspaceId(w) === workspaceId);
+    return ws ? ws.name : '';
+  };
+
 const loadDashboardData = async () => {
   setLoading(true);
   try {
@@ -57,11 +131,6 @@ const loadDashboardData = async () => {
       tasksCompleted: 5, // Placeholder (could later come from API)
       teamMembers: totalMembers,
       documents: 10, // Placeholder
-      recentActivity: [
-        { id: 1, action: 'Task completed', workspace: 'Product Team', time: '2 hours ago' },
-        { id: 2, action: 'New member added', workspace: 'Marketing', time: '4 hours ago' },
-        { id: 3, action: 'Document updated', workspace: 'Product Team', time: '5 hours ago' },
-      ],
     });
   } catch (error) {
     console.error('Error loading dashboard data:', error);
@@ -203,18 +272,21 @@ const loadDashboardData = async () => {
                 </div>
 
                 <div className="dashboard-activity-list">
-                  {stats.recentActivity.map((activity) => (
+                  {recentActivity.length === 0 && (
+                    <p className="dashboard-activity-workspace">No activity yet</p>
+                  )}
+                  {recentActivity.map((activity) => (
                     <div key={activity.id} className="dashboard-activity-item">
                       <div className="dashboard-activity-dot"></div>
                       <div className="dashboard-activity-content">
                         <p className="dashboard-activity-action">
-                          {activity.action}
+                          {describeActivity(activity)}
                         </p>
                         <p className="dashboard-activity-workspace">
-                          {activity.workspace}
+                          {workspaceName(activity.workspaceId)}
                         </p>
                         <span className="dashboard-activity-time">
-                          {activity.time}
+                          {activity.timeAgo}
                         </span>
                       </div>
                     </div>
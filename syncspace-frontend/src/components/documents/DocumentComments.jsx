@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Check, RotateCcw, Trash2, Edit2, MessageSquare } from 'lucide-react';
+import socketService from '../../socket/socket';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { useApp } from '../../context/AppContext';
+import '../../styles/App.css';
+
+const SYNC_WAIT_MS = 5000;
+const STATUS_LABELS = {
+  resolved: 'Resolved',
+  accepted: 'Accepted',
+  rejected: 'Rejected'
+};
+
+const idOf = (user) => (user && (user._id || user.id)) || user;
+
+// Move a range through an edit; text typed at either edge stays outside it
+const transformRange = (delta, range) => {
+  const index = delta.transformPosition(range.index);
+  const end = Math.max(index, delta.transformPosition(range.index + range.length, true));
+  return { ...range, index, length: end - index };
+};
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Comment threads and suggested edits on ranges of the open document.
+ * Anchors are moved locally as the text changes and re-synced from the
+ * server whenever the list is loaded.
+ */
+function DocumentComments({ documentId, workspaceId, quillRef, syncRef, initialCommentId, onCountChange, onClose }) {
+  const { user } = useApp();
+  const [comments, setComments] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeId, setActiveId] = useState(initialCommentId || null);
+  const [draft, setDraft] = useState(null); // { kind, index, length, quote, text, replacement }
+  const [replyText, setReplyText] = useState({});
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [busy, setBusy] = useState(false);
+
+  const statusRef = useRef(status);
+  statusRef.current = status;
+
+  useEffect(() => {
+    loadComments();
+  }, [documentId, status]);
+
+  useEffect(() => {
+    api.members.getByWorkspace(workspaceId)
+      .then(setMembers)
+      .catch(error => console.error('Error loading members:', error));
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (onCountChange && status === 'open') onCountChange(comments.length);
+  }, [comments, status]);
+
+  // Keep anchors on their text while anyone edits
+  useEffect(() => {
+    const quill = quillRef.current?.getEditor();
+    if (!quill) return;
+
+    const handleTextChange = (delta) => {
+      setComments(prev => prev.map(comment => (
+        comment.anchor.detached ? comment : { ...comment, anchor: transformRange(delta, comment.anchor) }
+      )));
+      setDraft(prev => (prev ? transformRange(delta, prev) : prev));
+    };
+
+    quill.on('text-change', handleTextChange);
+    return () => quill.off('text-change', handleTextChange);
+  }, [documentId]);
+
+  useEffect(() => {
+    const socket = socketService.get();
+    if (!socket) return;
+
+    const matches = (data) => String(data.documentId) === String(documentId);
+
+    const handleAdded = (data) => {
+      if (!matches(data) || statusRef.current === 'closed') return;
+      setComments(prev => (
+        prev.some(c => c._id === data.comment._id)
+          ? prev
+          : [...prev, data.comment].sort((a, b) => a.anchor.index - b.anchor.index)
+      ));
+    };
+
+    // A thread leaves the list when it no longer matches the filter
+    const handleUpdated = (data) => {
+      if (!matches(data)) return;
+      const isOpen = data.comment.status === 'open';
+      const keep = statusRef.current === 'all' || (statusRef.current === 'open') === isOpen;
+      setComments(prev => {
+        const rest = prev.filter(c => c._id !== data.comment._id);
+        return keep ? [...rest, data.comment].sort((a, b) => a.anchor.index - b.anchor.index) : rest;
+      });
+    };
+
+    const handleDeleted = (data) => {
+      if (!matches(data)) return;
+      setComments(prev => prev.filter(c => c._id !== data.commentId));
+    };
+
+    // Content was reloaded: anchors are found again on the server
+    const handleReload = (data) => {
+      if (matches(data)) loadComments();
+    };
+
+    socket.on('document:comment:added', handleAdded);
+    socket.on('document:comment:updated', handleUpdated);
+    socket.on('document:comment:deleted', handleDeleted);
+    socket.on('document:snapshot', handleReload);
+    socket.on('document:reset', handleReload);
+
+    return () => {
+      socket.off('document:comment:added', handleAdded);
+      socket.off('document:comment:updated', handleUpdated);
+      socket.off('document:comment:deleted', handleDeleted);
+      socket.off('document:snapshot', handleReload);
+      socket.off('document:reset', handleReload);
+    };
+  }, [documentId]);
+
+  const loadComments = async () => {
+    setLoading(true);
+    try {
+      setComments(await api.documents.getComments(documentId, status));
+    } catch (error) {
+      console.error('Error loading comments:', error);
+      toast.error('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Members mentioned as @Name in the text
+  const mentionsIn = (text) => members
+    .filter(member => member.userId && text.includes(`@${member.userId.name}`))
+    .map(member => idOf(member.userId));
+
+  // Anchors are sent against the server revision, so local edits must land first
+  const waitForSync = async () => {
+    const started = Date.now();
+    while (syncRef.current?.hasPendingChanges() && Date.now() - started < SYNC_WAIT_MS) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const sync = syncRef.current;
+    if (!sync || sync.hasPendingChanges() || sync.getRevision() === null) {
+      throw new Error('The document is still syncing, try again in a moment');
+    }
+    return sync.getRevision();
+  };
+
+  const startDraft = (kind) => {
+    const quill = quillRef.current?.getEditor();
+    const range = quill && quill.getSelection();
+    if (!range || !range.length) {
+      toast.info(`Select the text you want to ${kind === 'suggestion' ? 'change' : 'comment on'}`);
+      return;
+    }
+    const quote = quill.getText(range.index, range.length);
+    setDraft({ kind, index: range.index, length: range.length, quote, text: '', replacement: quote });
+  };
+
+  const handleSubmitDraft = async (e) => {
+    e.preventDefault();
+    const text = draft.text.trim();
+    if (draft.kind === 'comment' && !text) return;
+
+    setBusy(true);
+    try {
+      const revision = await waitForSync();
+      const res = await api.documents.addComment(documentId, {
+        kind: draft.kind,
+        text,
+        replacement: draft.kind === 'suggestion' ? draft.replacement : undefined,
+        mentions: mentionsIn(text),
+        anchor: { index: draft.index, length: draft.length, revision }
+      });
+      setDraft(null);
+      setActiveId(res.comment._id);
+      if (status !== 'closed') {
+        setComments(prev => (
+          prev.some(c => c._id === res.comment._id)
+            ? prev
+            : [...prev, res.comment].sort((a, b) => a.anchor.index - b.anchor.index)
+        ));
+      }
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error(error?.response?.data?.message || error.message || 'Failed to add comment');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const replaceComment = (comment) => {
+    setComments(prev => prev.map(c => (c._id === comment._id ? comment : c)));
+  };
+
+  // Run a thread action; the socket broadcast brings the result to everyone else
+  const runAction = async (request, errorMessage) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      if (res.comment) replaceComment(res.comment);
+      return res;
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error?.response?.data?.message || errorMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReply = async (e, comment) => {
+    e.preventDefault();
+    const text = (replyText[comment._id] || '').trim();
+    if (!text) return;
+
+    const res = await runAction(
+      () => api.documents.replyToComment(documentId, comment._id, { text, mentions: mentionsIn(text) }),
+      'Failed to reply'
+    );
+    if (res) setReplyText(prev => ({ ...prev, [comment._id]: '' }));
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const text = editing.text.trim();
+    if (!text) return;
+
+    const res = await runAction(
+      () => api.documents.updateComment(documentId, editing.id, text),
+      'Failed to update comment'
+    );
+    if (res) setEditing(null);
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment thread?')) return;
+
+    const res = await runAction(() => api.documents.deleteComment(documentId, comment._id), 'Failed to delete comment');
+    if (res) setComments(prev => prev.filter(c => c._id !== comment._id));
+  };
+
+  const handleSelect = (comment) => {
+    setActiveId(comment._id);
+    const quill = quillRef.current?.getEditor();
+    if (quill && !comment.anchor.detached) {
+      quill.setSelection(comment.anchor.index, comment.anchor.length);
+    }
+  };
+
+  const renderThread = (comment) => {
+    const isAuthor = idOf(comment.authorId) === user?.id;
+    const isSuggestion = comment.kind === 'suggestion';
+    const isOpen = comment.status === 'open';
+
+    return (
+      <div
+        key={comment._id}
+        className={`document-comment-thread ${activeId === comment._id ? 'active' : ''}`}
+        onClick={() => handleSelect(comment)}
+      >
+        <blockquote className={`document-comment-quote ${comment.anchor.detached ? 'detached' : ''}`}>
+          {comment.anchor.quote || '(empty)'}
+        </blockquote>
+        {comment.anchor.detached && <span className="document-comment-note">The commented text was removed</span>}
+
+        <div className="document-comment-meta">
+          <span className="document-comment-author">{comment.authorId?.name || 'Unknown'}</span>
+          <span className="document-comment-time">{formatTime(comment.createdAt)}</span>
+          {!isOpen && <span className="document-comment-status">{STATUS_LABELS[comment.status]}</span>}
+        </div>
+
+        {isSuggestion && (
+          <div className="document-comment-suggestion">
+            {comment.suggestion.replacement
+              ? <>Replace with <ins>{comment.suggestion.replacement}</ins></>
+              : <>Delete <del>{comment.anchor.quote}</del></>}
+          </div>
+        )}
+
+        {editing && editing.id === comment._id ? (
+          <form onSubmit={handleSaveEdit} onClick={(e) => e.stopPropagation()}>
+            <textarea
+              className="form-control form-control-sm"
+              rows={2}
+              value={editing.text}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+              autoFocus
+            />
+            <div className="document-comment-actions">
+              <button type="button" className="document-comment-btn" onClick={() => setEditing(null)}>Cancel</button>
+              <button type="submit" className="document-comment-btn primary" disabled={busy}>Save</button>
+            </div>
+          </form>
+        ) : (
+          comment.text && <p className="document-comment-text">{comment.text}</p>
+        )}
+
+        {comment.replies.map(reply => (
+          <div key={reply._id} className="document-comment-reply">
+            <div className="document-comment-meta">
+              <span className="document-comment-author">{reply.authorId?.name || 'Unknown'}</span>
+              <span className="document-comment-time">{formatTime(reply.createdAt)}</span>
+            </div>
+            <p className="document-comment-text">{reply.text}</p>
+          </div>
+        ))}
+
+        <div className="document-comment-actions" onClick={(e) => e.stopPropagation()}>
+          {isSuggestion && isOpen && (
+            <>
+              <button
+                className="document-comment-btn primary"
+                disabled={busy || comment.anchor.detached}
+                onClick={() => runAction(() => api.documents.acceptSuggestion(documentId, comment._id), 'Failed to accept suggestion')}
+              >
+                Accept
+              </button>
+              <button
+                className="document-comment-btn"
+                disabled={busy}
+                onClick={() => runAction(() => api.documents.rejectSuggestion(documentId, comment._id), 'Failed to reject suggestion')}
+              >
+                Reject
+              </button>
+            </>
+          )}
+          {!isSuggestion && (isOpen ? (
+            <button
+              className="document-comment-icon-btn"
+              title="Resolve"
+              disabled={busy}
+              onClick={() => runAction(() => api.documents.resolveComment(documentId, comment._id), 'Failed to resolve comment')}
+            >
+              <Check size={14} />
+            </button>
+          ) : (
+            <button
+              className="document-comment-icon-btn"
+              title="Reopen"
+              disabled={busy}
+              onClick={() => runAction(() => api.documents.reopenComment(documentId, comment._id), 'Failed to reopen comment')}
+            >
+              <RotateCcw size={14} />
+            </button>
+          ))}
+          {isAuthor && !isSuggestion && (
+            <button
+              className="document-comment-icon-btn"
+              title="Edit"
+              onClick={() => setEditing({ id: comment._id, text: comment.text })}
+            >
+              <Edit2 size={14} />
+            </button>
+          )}
+          <button
+            className="document-comment-icon-btn"
+            title="Delete thread"
+            disabled={busy}
+            onClick={() => handleDelete(comment)}
+          >
+            <Trash2 size={14} />
+          </button>
+        </div>
+
+        {activeId === comment._id && (
+          <form className="document-comment-reply-form" onSubmit={(e) => handleReply(e, comment)} onClick={(e) => e.stopPropagation()}>
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              placeholder="Reply… (@Name to mention)"
+              value={replyText[comment._id] || ''}
+              onChange={(e) => setReplyText(prev => ({ ...prev, [comment._id]: e.target.value }))}
+            />
+          </form>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <aside className="document-comments-panel">
+      <div className="document-comments-header">
+        <h3 className="document-comments-title">Comments</h3>
+        <div>
+          <select
+            className="form-select form-select-sm document-comments-filter"
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+          >
+            <option value="open">Open</option>
+            <option value="closed">Closed</option>
+            <option value="all">All</option>
+          </select>
+          <button type="button" className="document-comment-icon-btn" onClick={onClose} title="Close comments">
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      <div className="document-comments-new">
+        <button className="document-comment-btn" onClick={() => startDraft('comment')} disabled={busy}>
+          <MessageSquare size={14} /> Comment
+        </button>
+        <button className="document-comment-btn" onClick={() => startDraft('suggestion')} disabled={busy}>
+          <Edit2 size={14} /> Suggest
+        </button>
+      </div>
+
+      {draft && (
+        <form className="document-comment-draft" onSubmit={handleSubmitDraft}>
+          <blockquote className="document-comment-quote">{draft.quote}</blockquote>
+          {draft.kind === 'suggestion' && (
+            <textarea
+              className="form-control form-control-sm"
+              rows={2}
+              placeholder="Suggested text (leave empty to delete)"
+              value={draft.replacement}
+              onChange={(e) => setDraft({ ...draft, replacement: e.target.value })}
+            />
+          )}
+          <textarea
+            className="form-control form-control-sm"
+            rows={2}
+            placeholder={draft.kind === 'suggestion' ? 'Why? (optional)' : 'Add a comment… (@Name to mention)'}
+            value={draft.text}
+            onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+            autoFocus
+          />
+          <div className="document-comment-actions">
+            <button type="button" className="document-comment-btn" onClick={() => setDraft(null)}>Cancel</button>
+            <button type="submit" className="document-comment-btn primary" disabled={busy}>
+              {draft.kind === 'suggestion' ? 'Suggest' : 'Comment'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="document-comments-body">
+        {loading ? (
+          <div className="chat-loading-wrapper">
+            <div className="chat-spinner"></div>
+          </div>
+        ) : comments.length === 0 ? (
+          <p className="document-comment-note">No {status === 'all' ? '' : status} comments</p>
+        ) : (
+          comments.map(renderThread)
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default DocumentComments;
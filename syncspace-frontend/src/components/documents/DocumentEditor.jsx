@@ -3,16 +3,48 @@ import ReactQuill from 'react-quill';
 import 'react-quill/dist/quill.snow.css';
 import EditorToolbar from './EditorToolbar';
 import RemoteCursor from './RemoteCursor';
-import { UserPlus, CheckCircle, Save } from 'lucide-react';
+import DocumentComments from './DocumentComments';
+import DocumentHistory from './DocumentHistory';
+import ReferencedBy from '../workspace/ReferencedBy';
+import { UserPlus, CheckCircle, Save, Download, Upload, MessageSquare, History, Link2, ChevronRight } from 'lucide-react';
 import socketService from '../../socket/socket';
+import { createDocumentSync } from '../../socket/documentSync';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
 import '../../styles/App.css';
 
-function DocumentEditor({ workspaceId }) {
+const EXPORT_FORMATS = [
+  { value: 'md', label: 'Markdown (.md)' },
+  { value: 'html', label: 'Web page (.html)' },
+  { value: 'txt', label: 'Plain text (.txt)' },
+  { value: 'docx', label: 'Word (.docx)' }
+];
+
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.txt', '.docx'];
+const IMPORT_BATCH_SIZE = 10;
+
+// Browsers often leave the type of .md files empty, which uploads reject
+const withImportType = (file) => {
+  if (file.type || !/\.(md|markdown)$/i.test(file.name)) return file;
+  return new File([file], file.name, { type: 'text/markdown' });
+};
+
+// Save a downloaded blob under the given file name
+const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+function DocumentEditor({ workspaceId, selectedDocumentId, onSelectDocument }) {
   const [documentTitle, setDocumentTitle] = useState('Untitled Document');
-  const [content, setContent] = useState('');
   const [documentId, setDocumentId] = useState(null);
+  const [breadcrumbs, setBreadcrumbs] = useState([]);
   const [isSaving, setIsSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const [collaborators, setCollaborators] = useState([
@@ -20,18 +52,23 @@ function DocumentEditor({ workspaceId }) {
     { id: 2, name: 'Sarah', color: '#10b981', cursor: null }
   ]);
   const [remoteCursors, setRemoteCursors] = useState([]);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  // Notification links open the panel on ?comment=<id>
+  const [linkedCommentId] = useState(() => new URLSearchParams(window.location.search).get('comment'));
+  const [sidePanel, setSidePanel] = useState(linkedCommentId ? 'comments' : null); // comments, history or references
+  const [openCommentCount, setOpenCommentCount] = useState(0);
   
   const quillRef = useRef(null);
+  const syncRef = useRef(null);
+  const importFilesRef = useRef(null);
+  const importFolderRef = useRef(null);
   const saveTimeoutRef = useRef(null);
 
   useEffect(() => {
-    loadDocument();
     subscribeToDocumentUpdates();
 
     return () => {
-      if (documentId) {
-        socketService.leaveDocument(documentId);
-      }
       socketService.unsubscribeFromDocumentUpdates();
       if (saveTimeoutRef.current) {
         clearTimeout(saveTimeoutRef.current);
@@ -39,16 +76,54 @@ function DocumentEditor({ workspaceId }) {
     };
   }, [workspaceId]);
 
+  useEffect(() => {
+    loadDocument();
+  }, [workspaceId, selectedDocumentId]);
+
+  // Real-time editing: content is synced as operations, not saved over REST
+  useEffect(() => {
+    const socket = socketService.get();
+    if (!documentId || !socket || !quillRef.current) return;
+
+    const sync = createDocumentSync({
+      socket,
+      documentId,
+      quill: quillRef.current.getEditor(),
+      onStatusChange: (status) => {
+        setIsSaving(status === 'saving');
+        if (status === 'synced') setLastSaved(new Date());
+      },
+      onResync: (hadPending) => {
+        if (hadPending) toast.warn('Document was reloaded; your latest edits may not have been saved');
+      },
+    });
+    syncRef.current = sync;
+
+    return () => {
+      syncRef.current = null;
+      sync.destroy();
+    };
+  }, [documentId]);
+
   const loadDocument = async () => {
     try {
-      // Load existing document or create new one
+      // Open the page picked in the sidebar tree
+      if (selectedDocumentId) {
+        const res = await api.documents.getWithBreadcrumbs(selectedDocumentId);
+        setDocumentId(res.document.id);
+        setDocumentTitle(res.document.title);
+        setBreadcrumbs(res.breadcrumbs || []);
+        return;
+      }
+
+      // Otherwise open the first document, or start a new one
       const documents = await api.documents.getByWorkspace(workspaceId);
       if (documents.length > 0) {
-        const doc = documents[0];
-        setDocumentId(doc.id);
-        setDocumentTitle(doc.title);
-        setContent(doc.content);
-        socketService.joinDocument(doc.id);
+        onSelectDocument(documents[0].id);
+      } else {
+        setDocumentId(null);
+        setDocumentTitle('Untitled Document');
+        setBreadcrumbs([]);
       }
     } catch (error) {
       console.error('Error loading document:', error);
@@ -58,9 +133,7 @@ function DocumentEditor({ workspaceId }) {
 
   const subscribeToDocumentUpdates = () => {
     socketService.subscribeToDocumentUpdates((data) => {
-      if (data.type === 'content') {
-        setContent(data.content);
-      } else if (data.type === 'cursor') {
+      if (data.type === 'cursor') {
         updateRemoteCursor(data);
       }
     });
@@ -79,13 +152,9 @@ function DocumentEditor({ workspaceId }) {
     });
   };
 
-  const handleContentChange = (value) => {
-    setContent(value);
-    
-    // Emit changes to other users
-    if (documentId) {
-      socketService.emitDocumentUpdate(documentId, value, null);
-    }
+  // Title is the only field saved over REST once the document exists
+  const handleTitleChange = (value) => {
+    setDocumentTitle(value);
 
     // Auto-save after 2 seconds of inactivity
     if (saveTimeoutRef.current) {
@@ -96,21 +165,18 @@ function DocumentEditor({ workspaceId }) {
     }, 2000);
   };
 
-  const saveDocument = async (contentToSave = content) => {
+  const saveDocument = async (titleToSave = documentTitle) => {
     setIsSaving(true);
     try {
       if (documentId) {
-        await api.documents.update(documentId, {
-          title: documentTitle,
-          content: contentToSave
-        });
+        await api.documents.update(documentId, { title: titleToSave });
       } else {
         const response = await api.documents.create(workspaceId, {
-          title: documentTitle,
-          content: contentToSave
+          title: titleToSave,
+          content: quillRef.current ? quillRef.current.getEditor().root.innerHTML : ''
         });
         setDocumentId(response.document.id);
-        socketService.joinDocument(response.document.id);
+        onSelectDocument(response.document.id);
       }
       setLastSaved(new Date());
     } catch (error) {
@@ -121,6 +187,64 @@ function DocumentEditor({ workspaceId }) {
     }
   };
 
+  const togglePanel = (panel) => {
+    setSidePanel(prev => (prev === panel ? null : panel));
+  };
+
+  const handleExport = async (format, all = false) => {
+    setShowExportMenu(false);
+    try {
+      if (all) {
+        const blob = await api.documents.exportAll(workspaceId, format);
+        saveBlob(blob, `documents-${format}.zip`);
+      } else {
+        const blob = await api.documents.export(documentId, format);
+        saveBlob(blob, `${documentTitle.trim() || 'Untitled document'}.${format}`);
+      }
+    } catch (error) {
+      console.error('Error exporting document:', error);
+      toast.error('Failed to export document');
+    }
+  };
+
+  // Folder uploads keep each file's relative path so folders become tags
+  const handleImport = async (e) => {
+    const files = Array.from(e.target.files || []).filter(file =>
+      IMPORT_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+    );
+    e.target.value = '';
+    if (!files.length) {
+      toast.info('No Markdown, HTML, text or Word files selected');
+      return;
+    }
+
+    setIsImporting(true);
+    let imported = 0;
+    const failed = [];
+    try {
+      for (let i = 0; i < files.length; i += IMPORT_BATCH_SIZE) {
+        const batch = files.slice(i, i + IMPORT_BATCH_SIZE);
+        try {
+          const res = await api.documents.import(workspaceId, batch.map(withImportType), {
+            paths: batch.map(file => file.webkitRelativePath || file.name)
+          });
+          imported += res.documents.length;
+          failed.push(...res.failed);
+        } catch (error) {
+          const data = error?.response?.data;
+          failed.push(...(data?.failed || batch.map(file => ({ fileName: file.name, message: data?.message }))));
+        }
+      }
+
+      if (imported) toast.success(`Imported ${imported} document${imported === 1 ? '' : 's'}`);
+      if (failed.length) {
+        toast.error(`Could not import ${failed.map(f => f.fileName).join(', ')}`);
+      }
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const modules = {
     toolbar: [
       [{ 'header': [1, 2, 3, false] }],
@@ -150,12 +274,24 @@ function DocumentEditor({ workspaceId }) {
             <div className="document-editor-container">
               {/* Editor Header */}
               <div className="document-editor-header-section">
+                {breadcrumbs.length > 0 && (
+                  <nav className="document-breadcrumbs" aria-label="Page location">
+                    {breadcrumbs.map(crumb => (
+                      <React.Fragment key={crumb._id}>
+                        <button type="button" onClick={() => onSelectDocument(crumb._id)}>
+                          {crumb.title}
+                        </button>
+                        <ChevronRight size={14} />
+                      </React.Fragment>
+                    ))}
+                  </nav>
+                )}
                 <div className="row align-items-center">
                   <div className="col-12 col-md-6">
                     <input
                       type="text"
                       value={documentTitle}
-                      onChange={(e) => setDocumentTitle(e.target.value)}
+                      onChange={(e) => handleTitleChange(e.target.value)}
                       className="document-title-input-field"
                       placeholder="Untitled Document"
                     />
@@ -199,6 +335,110 @@ function DocumentEditor({ workspaceId }) {
                         ) : null}
                       </div>
 
+                      {/* Comments */}
+                      <button
+                        onClick={() => togglePanel('comments')}
+                        className={`document-save-btn ${sidePanel === 'comments' ? 'active' : ''}`}
+                        disabled={!documentId}
+                        title="Comments and suggestions"
+                      >
+                        <MessageSquare size={16} />
+                        <span className="d-none d-md-inline">Comments</span>
+                        {openCommentCount > 0 && <span className="document-comment-count">{openCommentCount}</span>}
+                      </button>
+
+                      {/* Version History */}
+                      <button
+                        onClick={() => togglePanel('history')}
+                        className={`document-save-btn ${sidePanel === 'history' ? 'active' : ''}`}
+                        disabled={!documentId}
+                        title="Version history"
+                      >
+                        <History size={16} />
+                        <span className="d-none d-md-inline">History</span>
+                      </button>
+
+                      {/* Backlinks */}
+                      <button
+                        onClick={() => togglePanel('references')}
+                        className={`document-save-btn ${sidePanel === 'references' ? 'active' : ''}`}
+                        disabled={!documentId}
+                        title="Pages, tasks and messages linking here"
+                      >
+                        <Link2 size={16} />
+                        <span className="d-none d-md-inline">Links</span>
+                      </button>
+
+                      {/* Import */}
+                      <input
+                        ref={importFilesRef}
+                        type="file"
+                        multiple
+                        accept={IMPORT_EXTENSIONS.join(',')}
+                        onChange={handleImport}
+                        hidden
+                      />
+                      <input
+                        ref={importFolderRef}
+                        type="file"
+                        webkitdirectory=""
+                        onChange={handleImport}
+                        hidden
+                      />
+                      <button
+                        onClick={() => importFilesRef.current.click()}
+                        className="document-save-btn"
+                        disabled={isImporting}
+                        title="Import Markdown, HTML, text or Word files"
+                      >
+                        <Upload size={16} />
+                        <span className="d-none d-md-inline">{isImporting ? 'Importing...' : 'Import'}</span>
+                      </button>
+                      <button
+                        onClick={() => importFolderRef.current.click()}
+                        className="document-save-btn d-none d-md-inline-flex"
+                        disabled={isImporting}
+                        title="Import a folder; folder names become tags"
+                      >
+                        <span>Import folder</span>
+                      </button>
+
+                      {/* Export Menu */}
+                      <div className="document-export-menu">
+                        <button
+                          onClick={() => setShowExportMenu(prev => !prev)}
+                          className="document-save-btn"
+                          disabled={!documentId}
+                          title="Export"
+                        >
+                          <Download size={16} />
+                          <span className="d-none d-md-inline">Export</span>
+                        </button>
+                        {showExportMenu && (
+                          <div className="document-export-dropdown">
+                            {EXPORT_FORMATS.map(format => (
+                              <button
+                                key={format.value}
+                                className="document-export-item"
+                                onClick={() => handleExport(format.value)}
+                              >
+                                {format.label}
+                              </button>
+                            ))}
+                            <div className="document-export-divider" />
+                            {EXPORT_FORMATS.map(format => (
+                              <button
+                                key={`all-${format.value}`}
+                                className="document-export-item"
+                                onClick={() => handleExport(format.value, true)}
+                              >
+                                All documents, {format.label} in .zip
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
                       {/* Manual Save Button */}
                       <button
                         onClick={() => saveDocument()}
@@ -213,28 +453,53 @@ function DocumentEditor({ workspaceId }) {
                 </div>
               </div>
 
-              {/* Editor Content */}
-              <div className="document-editor-content-area">
-                <ReactQuill
-                  ref={quillRef}
-                  theme="snow"
-                  value={content}
-                  onChange={handleContentChange}
-                  modules={modules}
-                  formats={formats}
-                  placeholder="Start typing your document..."
-                  className="document-quill-editor"
-                />
-
-                {/* Remote Cursors */}
-                {remoteCursors.map((cursor) => (
-                  <RemoteCursor
-                    key={cursor.userId}
-                    position={cursor.position}
-                    color={cursor.color}
-                    userName={cursor.userName}
+              <div className="document-editor-body">
+                {/* Editor Content */}
+                <div className="document-editor-content-area">
+                  <ReactQuill
+                    ref={quillRef}
+                    theme="snow"
+                    modules={modules}
+                    formats={formats}
+                    placeholder="Start typing your document..."
+                    className="document-quill-editor"
+                  />
+
+                  {/* Remote Cursors */}
+                  {remoteCursors.map((cursor) => (
+                    <RemoteCursor
+                      key={cursor.userId}
+                      position={cursor.position}
+                      color={cursor.color}
+                      userName={cursor.userName}
+                    />
+                  ))}
+                </div>
+
+                {sidePanel === 'comments' && documentId && (
+                  <DocumentComments
+                    documentId={documentId}
+                    workspaceId={workspaceId}
+                    quillRef={quillRef}
+                    syncRef={syncRef}
+                    initialCommentId={linkedCommentId}
+                    onCountChange={setOpenCommentCount}
+                    onClose={() => setSidePanel(null)}
+                  />
+                )}
+                {sidePanel === 'history' && documentId && (
+                  <DocumentHistory
+                    documentId={documentId}
+                    onClose={() => setSidePanel(null)}
+                  />
+                )}
+                {sidePanel === 'references' && documentId && (
+                  <ReferencedBy
+                    type="document"
+                    id={documentId}
+                    onClose={() => setSidePanel(null)}
                   />
-                ))}
+                )}
               </div>
             </div>
           </div>
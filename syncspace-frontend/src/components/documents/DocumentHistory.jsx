@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import { X, RotateCcw, Tag, Bookmark } from 'lucide-react';
+import socketService from '../../socket/socket';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import '../../styles/App.css';
+
+const PAGE_SIZE = 30;
+const SOURCE_LABELS = {
+  manual: 'Saved',
+  restore: 'Restored',
+  import: 'Imported'
+};
+
+const formatTime = (date) => new Date(date).toLocaleString([], {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// One diff segment: text keeps its inline formats, embeds show as a placeholder
+function DiffSegment({ segment }) {
+  const { type, insert, attributes = {} } = segment;
+  const text = typeof insert === 'string' ? insert : insert.image ? '[image]' : '[embed]';
+  const style = {
+    fontWeight: attributes.bold ? 700 : undefined,
+    fontStyle: attributes.italic ? 'italic' : undefined,
+    fontFamily: attributes.code || attributes['code-block'] ? 'monospace' : undefined
+  };
+
+  return <span className={`document-diff-${type}`} style={style}>{text}</span>;
+}
+
+/**
+ * Version history of the open document: save and name versions, compare any
+ * two (or a version with the current content) and restore one as a new version.
+ */
+function DocumentHistory({ documentId, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState('current');
+  const [mode, setMode] = useState('inline');
+  const [diff, setDiff] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { number, name }
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    loadVersions();
+    setSelected(null);
+  }, [documentId]);
+
+  useEffect(() => {
+    if (selected) loadDiff();
+  }, [selected, compareTo, mode]);
+
+  // Versions saved or restored by anyone in the document
+  useEffect(() => {
+    const socket = socketService.get();
+    if (!socket) return;
+
+    const matches = (data) => String(data.documentId) === String(documentId);
+
+    const handleSaved = (data) => {
+      if (!matches(data)) return;
+      setVersions(prev => (prev.some(v => v.number === data.version.number) ? prev : [data.version, ...prev]));
+      setTotal(count => count + 1);
+    };
+
+    const handleUpdated = (data) => {
+      if (!matches(data)) return;
+      setVersions(prev => prev.map(v => (v.number === data.version.number ? data.version : v)));
+    };
+
+    socket.on('document:version:saved', handleSaved);
+    socket.on('document:version:updated', handleUpdated);
+    return () => {
+      socket.off('document:version:saved', handleSaved);
+      socket.off('document:version:updated', handleUpdated);
+    };
+  }, [documentId]);
+
+  const loadVersions = async (before) => {
+    setLoading(true);
+    try {
+      const res = await api.documents.getVersions(documentId, { limit: PAGE_SIZE, before });
+      setVersions(prev => (before ? [...prev, ...res.versions] : res.versions));
+      setTotal(res.total);
+    } catch (error) {
+      console.error('Error loading versions:', error);
+      toast.error('Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadDiff = async () => {
+    setDiff(null);
+    try {
+      // Older content on the left
+      const other = compareTo === 'current' ? 'current' : Number(compareTo);
+      const [from, to] = other !== 'current' && other < selected.number
+        ? [other, selected.number]
+        : [selected.number, other];
+      setDiff(await api.documents.diffVersions(documentId, from, to, mode));
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      toast.error(error?.response?.data?.message || 'Failed to compare versions');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.documents.saveVersion(documentId, { name: newName.trim() || undefined });
+      setVersions(prev => (prev.some(v => v.number === res.version.number) ? prev : [res.version, ...prev]));
+      setNewName('');
+      toast.success(`Saved ${res.version.name || `version ${res.version.number}`}`);
+    } catch (error) {
+      console.error('Error saving version:', error);
+      toast.error(error?.response?.data?.message || 'Failed to save version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const res = await api.documents.updateVersion(documentId, renaming.number, { name: renaming.name });
+      setVersions(prev => prev.map(v => (v.number === res.version.number ? res.version : v)));
+      if (selected && selected.number === res.version.number) setSelected(res.version);
+      setRenaming(null);
+    } catch (error) {
+      console.error('Error naming version:', error);
+      toast.error(error?.response?.data?.message || 'Failed to name version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Restore ${version.name || `version ${version.number}`}? The current content stays in the history.`)) return;
+
+    setBusy(true);
+    try {
+      await api.documents.restoreVersion(documentId, version.number);
+      toast.success('Version restored');
+      setSelected(null);
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error(error?.response?.data?.message || 'Failed to restore version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderDiff = () => {
+    if (!diff) {
+      return (
+        <div className="chat-loading-wrapper">
+          <div className="chat-spinner"></div>
+        </div>
+      );
+    }
+
+    const { stats } = diff;
+    return (
+      <>
+        <div className="document-diff-stats">
+          <span className="document-diff-insert">+{stats.insertions}</span>
+          <span className="document-diff-delete">−{stats.deletions}</span>
+          {stats.formatChanges > 0 && <span>{stats.formatChanges} formatting change(s)</span>}
+        </div>
+        {diff.mode === 'split' ? (
+          <div className="document-diff-split">
+            <div className="document-diff-text">
+              {diff.left.map((segment, i) => <DiffSegment key={i} segment={segment} />)}
+            </div>
+            <div className="document-diff-text">
+              {diff.right.map((segment, i) => <DiffSegment key={i} segment={segment} />)}
+            </div>
+          </div>
+        ) : (
+          <div className="document-diff-text">
+            {diff.segments.map((segment, i) => <DiffSegment key={i} segment={segment} />)}
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <aside className={`document-history-panel ${selected ? 'expanded' : ''}`}>
+      <div className="document-comments-header">
+        <h3 className="document-comments-title">Version history</h3>
+        <button type="button" className="document-comment-icon-btn" onClick={onClose} title="Close history">
+          <X size={18} />
+        </button>
+      </div>
+
+      <form className="document-comments-new" onSubmit={handleSave}>
+        <input
+          type="text"
+          className="form-control form-control-sm"
+          placeholder="Name this version (optional)"
+          maxLength={100}
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+        />
+        <button type="submit" className="document-comment-btn primary" disabled={busy}>
+          <Bookmark size={14} /> Save
+        </button>
+      </form>
+
+      {selected && (
+        <div className="document-history-compare">
+          <div className="document-history-compare-controls">
+            <span>{selected.name || `Version ${selected.number}`} vs</span>
+            <select
+              className="form-select form-select-sm"
+              value={compareTo}
+              onChange={(e) => setCompareTo(e.target.value)}
+            >
+              <option value="current">Current</option>
+              {versions.filter(v => v.number !== selected.number).map(v => (
+                <option key={v.number} value={v.number}>{v.name || `Version ${v.number}`}</option>
+              ))}
+            </select>
+            <select
+              className="form-select form-select-sm"
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+            >
+              <option value="inline">Inline</option>
+              <option value="split">Side by side</option>
+            </select>
+            <button
+              type="button"
+              className="document-comment-btn primary"
+              onClick={() => handleRestore(selected)}
+              disabled={busy}
+            >
+              <RotateCcw size={14} /> Restore
+            </button>
+          </div>
+          {renderDiff()}
+        </div>
+      )}
+
+      <div className="document-comments-body">
+        {versions.map(version => (
+          <div
+            key={version.number}
+            className={`document-comment-thread ${selected && selected.number === version.number ? 'active' : ''}`}
+            onClick={() => setSelected(version)}
+          >
+            {renaming && renaming.number === version.number ? (
+              <form onSubmit={handleRename} onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  placeholder="Version name (empty to clear)"
+                  maxLength={100}
+                  value={renaming.name}
+                  onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                  autoFocus
+                />
+              </form>
+            ) : (
+              <div className="document-comment-meta">
+                <span className="document-comment-author">{version.name || `Version ${version.number}`}</span>
+                {SOURCE_LABELS[version.source] && (
+                  <span className="document-comment-status">{SOURCE_LABELS[version.source]}</span>
+                )}
+                <button
+                  type="button"
+                  className="document-comment-icon-btn"
+                  title="Name version"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setRenaming({ number: version.number, name: version.name || '' });
+                  }}
+                >
+                  <Tag size={14} />
+                </button>
+              </div>
+            )}
+            <div className="document-comment-meta">
+              <span className="document-comment-time">{formatTime(version.createdAt)}</span>
+              <span className="document-comment-time">{version.createdBy?.name || 'Automatic'}</span>
+              <span className="document-diff-insert">+{version.changes?.insertions || 0}</span>
+              <span className="document-diff-delete">−{version.changes?.deletions || 0}</span>
+            </div>
+            {version.description && <p className="document-comment-text">{version.description}</p>}
+          </div>
+        ))}
+
+        {loading ? (
+          <div className="chat-loading-wrapper">
+            <div className="chat-spinner"></div>
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="document-comment-note">No versions yet</p>
+        ) : versions.length < total && (
+          <button
+            type="button"
+            className="document-comment-btn"
+            onClick={() => loadVersions(versions[versions.length - 1].number)}
+          >
+            Load older versions
+          </button>
+        )}
+      </div>
+    </aside>
+  );
+}
+
+export default DocumentHistory;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  ChevronRight,
+  ChevronDown,
+  FileText,
+  Plus,
+  Archive,
+  ArchiveRestore,
+  Trash2
+} from 'lucide-react';
+import socketService from '../../socket/socket';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import '../../styles/App.css';
+
+const TREE_EVENTS = ['document:created', 'document:updated', 'document:deleted', 'document:moved', 'document:archived'];
+
+const expandedKey = (workspaceId) => `syncspace:document-tree:${workspaceId}`;
+
+// Parent and sibling list of every page, for drag and drop
+const indexTree = (nodes, parent = null, index = new Map()) => {
+  nodes.forEach(node => {
+    index.set(String(node.id), { node, parent, siblings: nodes });
+    indexTree(node.children, node, index);
+  });
+  return index;
+};
+
+const countPages = (node) => node.children.reduce((sum, child) => sum + 1 + countPages(child), 0);
+
+/**
+ * Collapsible page tree of a workspace's documents, shown in the workspace
+ * sidebar. Pages can be added under each other, dragged to reorder or
+ * reparent, archived and deleted.
+ */
+function DocumentTree({ workspaceId, selectedId, onSelect }) {
+  const [tree, setTree] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(() => new Set(JSON.parse(localStorage.getItem(expandedKey(workspaceId)) || '[]')));
+  const [dragId, setDragId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { id, where: before | inside | after }
+
+  const index = useMemo(() => indexTree(tree), [tree]);
+
+  useEffect(() => {
+    loadTree();
+  }, [workspaceId, showArchived]);
+
+  useEffect(() => {
+    setExpanded(new Set(JSON.parse(localStorage.getItem(expandedKey(workspaceId)) || '[]')));
+  }, [workspaceId]);
+
+  useEffect(() => {
+    localStorage.setItem(expandedKey(workspaceId), JSON.stringify([...expanded]));
+  }, [expanded]);
+
+  // Open the pages above the selected one
+  useEffect(() => {
+    if (!selectedId) return;
+    const ancestors = [];
+    for (let entry = index.get(String(selectedId)); entry && entry.parent; entry = index.get(String(entry.parent.id))) {
+      ancestors.push(String(entry.parent.id));
+    }
+    if (ancestors.some(id => !expanded.has(id))) {
+      setExpanded(prev => new Set([...prev, ...ancestors]));
+    }
+  }, [selectedId, index]);
+
+  // Pages changed by anyone in the workspace
+  useEffect(() => {
+    const socket = socketService.get();
+    if (!socket) return;
+
+    const handleChange = () => loadTree();
+    TREE_EVENTS.forEach(event => socket.on(event, handleChange));
+    return () => TREE_EVENTS.forEach(event => socket.off(event, handleChange));
+  }, [workspaceId, showArchived]);
+
+  const loadTree = async () => {
+    try {
+      setTree(await api.documents.getTree(workspaceId, { archived: showArchived }));
+    } catch (error) {
+      console.error('Error loading pages:', error);
+      toast.error('Failed to load pages');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleAdd = async (parent = null) => {
+    try {
+      const res = await api.documents.create(workspaceId, {
+        title: 'Untitled page',
+        parentId: parent ? parent.id : undefined
+      });
+      if (parent) setExpanded(prev => new Set([...prev, String(parent.id)]));
+      await loadTree();
+      onSelect(res.document.id);
+    } catch (error) {
+      console.error('Error creating page:', error);
+      toast.error(error?.response?.data?.message || 'Failed to create page');
+    }
+  };
+
+  // The editor falls back to another page when the open one goes away
+  const deselectIfAffected = (ids) => {
+    if (selectedId && ids.some(id => String(id) === String(selectedId))) onSelect(null);
+  };
+
+  const handleArchive = async (node) => {
+    const subpages = countPages(node);
+    if (!node.isArchived && subpages && !window.confirm(`Archive "${node.title}" and its ${subpages} subpage(s)?`)) return;
+
+    try {
+      const res = node.isArchived
+        ? await api.documents.unarchive(node.id)
+        : await api.documents.archive(node.id);
+      if (!node.isArchived) deselectIfAffected(res.documentIds);
+      toast.success(node.isArchived ? 'Page restored' : 'Page archived');
+      await loadTree();
+    } catch (error) {
+      console.error('Error archiving page:', error);
+      toast.error(error?.response?.data?.message || 'Failed to archive page');
+    }
+  };
+
+  const handleDelete = async (node) => {
+    if (!window.confirm(`Delete "${node.title}"? This cannot be undone.`)) return;
+    const cascade = node.children.length > 0
+      && window.confirm(`Also delete its ${countPages(node)} subpage(s)? Cancel moves them up a level instead.`);
+
+    try {
+      const res = await api.documents.delete(node.id, { cascade });
+      deselectIfAffected(res.deletedIds);
+      toast.success('Page deleted');
+      await loadTree();
+    } catch (error) {
+      console.error('Error deleting page:', error);
+      toast.error(error?.response?.data?.message || 'Failed to delete page');
+    }
+  };
+
+  // A page can't be dropped onto itself or one of its subpages
+  const canDrop = (targetId) => {
+    for (let entry = index.get(String(targetId)); entry; entry = entry.parent && index.get(String(entry.parent.id))) {
+      if (String(entry.node.id) === String(dragId)) return false;
+    }
+    return true;
+  };
+
+  const handleDragOver = (e, node) => {
+    if (!dragId || !canDrop(node.id)) return;
+    e.preventDefault();
+
+    // Top and bottom quarter insert next to the page, the middle nests under it
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offset = (e.clientY - rect.top) / rect.height;
+    const where = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+    if (!dropTarget || dropTarget.id !== node.id || dropTarget.where !== where) {
+      setDropTarget({ id: node.id, where });
+    }
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    const target = dropTarget;
+    setDropTarget(null);
+    setDragId(null);
+    if (!target || !dragId) return;
+
+    let data;
+    if (target.where === 'inside') {
+      data = { parentId: target.id };
+      setExpanded(prev => new Set([...prev, String(target.id)]));
+    } else {
+      // Positions count the siblings without the page being moved
+      const { parent, siblings } = index.get(String(target.id));
+      const others = siblings.filter(page => String(page.id) !== String(dragId));
+      const position = others.findIndex(page => String(page.id) === String(target.id)) + (target.where === 'after' ? 1 : 0);
+      data = { parentId: parent ? parent.id : null, position };
+    }
+
+    try {
+      await api.documents.move(dragId, data);
+      await loadTree();
+    } catch (error) {
+      console.error('Error moving page:', error);
+      toast.error(error?.response?.data?.message || 'Failed to move page');
+    }
+  };
+
+  const renderNode = (node, depth) => {
+    const id = String(node.id);
+    const isOpen = expanded.has(id);
+    const dropClass = dropTarget && String(dropTarget.id) === id ? `document-tree-drop-${dropTarget.where}` : '';
+
+    return (
+      <li key={id}>
+        <div
+          className={`document-tree-item ${String(selectedId) === id ? 'active' : ''} ${dropClass}`}
+          style={{ paddingLeft: `${0.25 + depth * 0.875}rem` }}
+          draggable={!showArchived}
+          onDragStart={() => setDragId(node.id)}
+          onDragEnd={() => { setDragId(null); setDropTarget(null); }}
+          onDragOver={(e) => handleDragOver(e, node)}
+          onDragLeave={() => setDropTarget(null)}
+          onDrop={handleDrop}
+          onClick={() => !showArchived && onSelect(node.id)}
+        >
+          <button
+            type="button"
+            className="document-tree-toggle"
+            onClick={(e) => { e.stopPropagation(); toggleExpanded(id); }}
+            style={{ visibility: node.children.length ? 'visible' : 'hidden' }}
+            aria-label={isOpen ? 'Collapse' : 'Expand'}
+          >
+            {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          </button>
+          <FileText size={14} className="document-tree-icon" />
+          <span className="document-tree-title" title={node.title}>{node.title}</span>
+
+          <span className="document-tree-actions" onClick={(e) => e.stopPropagation()}>
+            {!showArchived && (
+              <button type="button" title="Add subpage" onClick={() => handleAdd(node)}>
+                <Plus size={14} />
+              </button>
+            )}
+            <button
+              type="button"
+              title={showArchived ? 'Unarchive' : 'Archive'}
+              onClick={() => handleArchive(node)}
+            >
+              {showArchived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+            </button>
+            <button type="button" title="Delete" onClick={() => handleDelete(node)}>
+              <Trash2 size={14} />
+            </button>
+          </span>
+        </div>
+
+        {isOpen && node.children.length > 0 && (
+          <ul className="document-tree-list">
+            {node.children.map(child => renderNode(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="document-tree">
+      <div className="document-tree-header">
+        <span>{showArchived ? 'Archived pages' : 'Pages'}</span>
+        <div className="document-tree-header-actions">
+          {!showArchived && (
+            <button type="button" title="New page" onClick={() => handleAdd()}>
+              <Plus size={16} />
+            </button>
+          )}
+          <button
+            type="button"
+            className={showArchived ? 'active' : ''}
+            title={showArchived ? 'Show pages' : 'Show archived pages'}
+            onClick={() => setShowArchived(prev => !prev)}
+          >
+            <Archive size={16} />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="chat-loading-wrapper">
+          <div className="chat-spinner"></div>
+        </div>
+      ) : tree.length === 0 ? (
+        <p className="document-tree-empty">{showArchived ? 'No archived pages' : 'No pages yet'}</p>
+      ) : (
+        <ul className="document-tree-list">
+          {tree.map(node => renderNode(node, 0))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DocumentTree;
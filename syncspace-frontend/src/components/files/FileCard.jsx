@@ -7,12 +7,15 @@ import {
   Eye,
   MoreVertical,
   Trash2,
-  Clock
+  Clock,
+  Copy
 } from 'lucide-react';
 import { format } from 'date-fns';
+import { setDragItem } from './fileFormat';
+import FileThumbnail from './FileThumbnail';
 import '../../styles/App.css';
 
-function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
+function FileCard({ file, viewMode, onClick, onDownload, onDelete, onCopy }) {
   const [showMenu, setShowMenu] = useState(false);
 
   const getFileIcon = (type) => {
@@ -42,6 +45,14 @@ function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
     onDownload();
   };
 
+  const handleCopy = (e) => {
+    e.stopPropagation();
+    setShowMenu(false);
+    onCopy();
+  };
+
+  const handleDragStart = (e) => setDragItem(e, { kind: 'file', id: file.id });
+
   const handleDelete = (e) => {
     e.stopPropagation();
     setShowMenu(false);
@@ -56,23 +67,24 @@ function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-  };
-
   if (viewMode === 'list') {
     return (
-      <div className="file-card-list-wrapper" onClick={onClick}>
+      <div className="file-card-list-wrapper" onClick={onClick} draggable onDragStart={handleDragStart}>
         <div className="container-fluid">
           <div className="row align-items-center g-3">
             <div className="col-auto">
-              <div className="file-card-icon-wrapper">
-                {getFileIcon(file.type)}
-              </div>
+              {file.thumbnail ? (
+                <FileThumbnail
+                  fileId={file.id}
+                  version={file.version}
+                  className="file-card-thumbnail-small"
+                  fallback={<div className="file-card-icon-wrapper">{getFileIcon(file.type)}</div>}
+                />
+              ) : (
+                <div className="file-card-icon-wrapper">
+                  {getFileIcon(file.type)}
+                </div>
+              )}
             </div>
 
             <div className="col">
@@ -117,6 +129,12 @@ function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
                         <Eye size={16} />
                         <span>View Details</span>
                       </button>
+                      {onCopy && (
+                        <button onClick={handleCopy} className="file-card-dropdown-item">
+                          <Copy size={16} />
+                          <span>Make a Copy</span>
+                        </button>
+                      )}
                       <div className="file-card-dropdown-divider"></div>
                       <button onClick={handleDelete} className="file-card-dropdown-item file-card-dropdown-item-danger">
                         <Trash2 size={16} />
@@ -134,11 +152,20 @@ function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
   }
 
   return (
-    <div className="file-card-grid-wrapper" onClick={onClick}>
+    <div className="file-card-grid-wrapper" onClick={onClick} draggable onDragStart={handleDragStart}>
       <div className="file-card-grid-header">
-        <div className="file-card-icon-large">
-          {getFileIcon(file.type)}
-        </div>
+        {file.thumbnail ? (
+          <FileThumbnail
+            fileId={file.id}
+            version={file.version}
+            className="file-card-thumbnail"
+            fallback={<div className="file-card-icon-large">{getFileIcon(file.type)}</div>}
+          />
+        ) : (
+          <div className="file-card-icon-large">
+            {getFileIcon(file.type)}
+          </div>
+        )}
         
         <div className="file-card-menu-wrapper">
           <button
@@ -159,6 +186,12 @@ function FileCard({ file, viewMode, onClick, onDownload, onDelete }) {
                 <Eye size={16} />
                 <span>View Details</span>
               </button>
+              {onCopy && (
+                <button onClick={handleCopy} className="file-card-dropdown-item">
+                  <Copy size={16} />
+                  <span>Make a Copy</span>
+                </button>
+              )}
               <div className="file-card-dropdown-divider"></div>
               <button onClick={handleDelete} className="file-card-dropdown-item file-card-dropdown-item-danger">
                 <Trash2 size={16} />
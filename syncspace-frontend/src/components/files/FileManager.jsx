@@ -1,12 +1,21 @@
 import React, { useState, useEffect } from 'react';
 import FileCard from './FileCard';
-import { Upload, Search, Filter, Grid, List } from 'lucide-react';
+import FolderCard from './FolderCard';
+import { Upload, Search, Filter, Grid, List, FolderPlus, ChevronRight } from 'lucide-react';
 import api from '../../services/api';
+import FileDetailsModal from '../modals/FileDetailsModal';
+import { toFileCard, saveBlob, formatFileSize, getDragItem, isDragItem } from './fileFormat';
 import { toast } from 'react-toastify';
 import '../../styles/App.css';
 
 function FileManager({ workspaceId }) {
   const [files, setFiles] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [folderId, setFolderId] = useState(null);
+  const [breadcrumbs, setBreadcrumbs] = useState([]);
+  const [totals, setTotals] = useState({ size: 0, fileCount: 0 });
+  const [dropTarget, setDropTarget] = useState(undefined); // breadcrumb being dragged over
+  const [storage, setStorage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState('grid'); // 'grid' or 'list'
   const [searchQuery, setSearchQuery] = useState('');
@@ -14,17 +23,28 @@ function FileManager({ workspaceId }) {
   const [selectedFile, setSelectedFile] = useState(null);
 
   useEffect(() => {
-    loadFiles();
+    setFolderId(null);
   }, [workspaceId]);
 
+  useEffect(() => {
+    loadFiles();
+  }, [workspaceId, folderId]);
+
   const loadFiles = async () => {
-    setLoading(true);
     try {
-      const filesData = await api.files.getByWorkspace(workspaceId);
-      setFiles(filesData);
+      const contents = await api.files.browse(workspaceId, { folderId });
+      setFiles(contents.files.map(toFileCard));
+      setFolders(contents.folders);
+      setBreadcrumbs(contents.breadcrumbs);
+      setTotals({ size: contents.size, fileCount: contents.fileCount });
+      api.workspaces.getStorageUsage(workspaceId)
+        .then(setStorage)
+        .catch(() => setStorage(null));
     } catch (error) {
       console.error('Error loading files:', error);
-      toast.error('Failed to load files');
+      toast.error(error?.response?.data?.message || 'Failed to load files');
+      // The folder may have been deleted meanwhile
+      if (folderId) setFolderId(null);
     } finally {
       setLoading(false);
     }
@@ -39,6 +59,7 @@ function FileManager({ workspaceId }) {
     selectedFiles.forEach(file => {
       formData.append('files', file);
     });
+    if (folderId) formData.append('folderId', folderId);
 
     try {
       toast.info('Uploading files...');
@@ -49,7 +70,7 @@ function FileManager({ workspaceId }) {
       loadFiles();
     } catch (error) {
       console.error('Error uploading files:', error);
-      toast.error('Failed to upload files');
+      toast.error(error?.response?.data?.message || 'Failed to upload files');
     }
   };
 
@@ -75,14 +96,7 @@ function FileManager({ workspaceId }) {
   const handleFileDownload = async (file) => {
     try {
       const blob = await api.files.download(file.id);
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = file.name;
-      document.body.appendChild(a);
-      a.click();
-      window.URL.revokeObjectURL(url);
-      document.body.removeChild(a);
+      saveBlob(blob, file.name);
       toast.success('File downloaded successfully');
     } catch (error) {
       console.error('Error downloading file:', error);
@@ -90,12 +104,107 @@ function FileManager({ workspaceId }) {
     }
   };
 
+  const handleFileCopy = async (file) => {
+    try {
+      await api.files.copy(file.id);
+      toast.success(`Copied ${file.name}`);
+      loadFiles();
+    } catch (error) {
+      console.error('Error copying file:', error);
+      toast.error(error?.response?.data?.message || 'Failed to copy file');
+    }
+  };
+
+  const handleNewFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
+
+    try {
+      await api.files.createFolder(workspaceId, name.trim(), folderId);
+      loadFiles();
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      toast.error(error?.response?.data?.message || 'Failed to create folder');
+    }
+  };
+
+  const handleFolderRename = async (folder) => {
+    const name = window.prompt('Rename folder', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+
+    try {
+      await api.files.renameFolder(folder._id, name.trim());
+      loadFiles();
+    } catch (error) {
+      console.error('Error renaming folder:', error);
+      toast.error(error?.response?.data?.message || 'Failed to rename folder');
+    }
+  };
+
+  const handleFolderDelete = async (folder) => {
+    const contents = folder.fileCount > 0 ? ` and the ${folder.fileCount} file(s) in it` : '';
+    if (!window.confirm(`Delete "${folder.name}"${contents}? This cannot be undone.`)) return;
+
+    try {
+      await api.files.deleteFolder(folder._id);
+      toast.success('Folder deleted');
+      loadFiles();
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      toast.error(error?.response?.data?.message || 'Failed to delete folder');
+    }
+  };
+
+  // A file or folder dropped on a folder card or breadcrumb (null: the top level)
+  const handleDropItem = async (item, targetFolderId) => {
+    if ((targetFolderId || null) === folderId) return;
+
+    try {
+      if (item.kind === 'file') {
+        await api.files.move(item.id, targetFolderId);
+      } else {
+        await api.files.moveFolder(item.id, targetFolderId);
+      }
+      toast.success('Moved');
+      loadFiles();
+    } catch (error) {
+      console.error('Error moving item:', error);
+      toast.error(error?.response?.data?.message || 'Failed to move');
+    }
+  };
+
+  const breadcrumbDropProps = (targetFolderId) => ({
+    onDragOver: (e) => {
+      if (!isDragItem(e)) return;
+      e.preventDefault();
+      setDropTarget(targetFolderId);
+    },
+    onDragLeave: () => setDropTarget(undefined),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(undefined);
+      const item = getDragItem(e);
+      if (item) handleDropItem(item, targetFolderId);
+    }
+  });
+
+  // A new or restored version replaces the card in place
+  const handleFileChanged = (updated) => {
+    const card = toFileCard(updated);
+    setFiles(prev => prev.map(f => (f.id === card.id ? card : f)));
+    setSelectedFile(card);
+  };
+
   const filteredFiles = files.filter(file => {
     const matchesSearch = file.name.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesFilter = filterType === 'all' || file.type === filterType;
+    const matchesFilter = filterType === 'all' || file.category === filterType;
     return matchesSearch && matchesFilter;
   });
 
+  const filteredFolders = filterType === 'all'
+    ? folders.filter(folder => folder.name.toLowerCase().includes(searchQuery.toLowerCase()))
+    : [];
+
   if (loading) {
     return (
       <div className="file-manager-loading-wrapper">
@@ -118,10 +227,19 @@ function FileManager({ workspaceId }) {
                   <p className="file-manager-subtitle">
                     Manage and share files with your team
                   </p>
+                  {storage && storage.quota && (
+                    <p className={`file-storage-usage ${storage.percent >= 80 ? 'file-storage-usage-warning' : ''}`}>
+                      {formatFileSize(storage.used)} of {formatFileSize(storage.quota)} used ({storage.percent}%)
+                    </p>
+                  )}
                 </div>
                 
                 <div className="col-12 col-md-6">
                   <div className="file-manager-actions-row">
+                    <button onClick={handleNewFolder} className="file-new-folder-btn">
+                      <FolderPlus size={20} />
+                      <span className="d-none d-sm-inline">New Folder</span>
+                    </button>
                     <label className="file-upload-btn">
                       <Upload size={20} />
                       <span className="d-none d-sm-inline">Upload Files</span>
@@ -200,10 +318,40 @@ function FileManager({ workspaceId }) {
           </div>
         </div>
 
+        {/* Breadcrumbs (also drop targets for moving up) */}
+        <div className="row mb-3">
+          <div className="col-12">
+            <div className="file-breadcrumbs">
+              <button
+                onClick={() => setFolderId(null)}
+                className={`file-breadcrumb ${dropTarget === null ? 'file-folder-drop-target' : ''}`}
+                {...breadcrumbDropProps(null)}
+              >
+                All Files
+              </button>
+              {breadcrumbs.map((crumb) => (
+                <React.Fragment key={crumb._id}>
+                  <ChevronRight size={16} className="file-breadcrumb-separator" />
+                  <button
+                    onClick={() => setFolderId(crumb._id)}
+                    className={`file-breadcrumb ${dropTarget === crumb._id ? 'file-folder-drop-target' : ''}`}
+                    {...breadcrumbDropProps(crumb._id)}
+                  >
+                    {crumb.name}
+                  </button>
+                </React.Fragment>
+              ))}
+              <span className="file-breadcrumbs-summary">
+                {totals.fileCount} file{totals.fileCount === 1 ? '' : 's'} • {formatFileSize(totals.size)}
+              </span>
+            </div>
+          </div>
+        </div>
+
         {/* Files Grid/List */}
         <div className="row">
           <div className="col-12">
-            {filteredFiles.length === 0 ? (
+            {filteredFiles.length === 0 && filteredFolders.length === 0 ? (
               <div className="file-manager-empty-state">
                 <Upload size={48} />
                 <h3>No files found</h3>
@@ -221,6 +369,21 @@ function FileManager({ workspaceId }) {
               </div>
             ) : (
               <div className={viewMode === 'grid' ? 'row g-3' : 'file-list-view'}>
+                {filteredFolders.map((folder) => (
+                  <div
+                    key={folder._id}
+                    className={viewMode === 'grid' ? 'col-12 col-sm-6 col-md-4 col-lg-3' : ''}
+                  >
+                    <FolderCard
+                      folder={folder}
+                      viewMode={viewMode}
+                      onOpen={() => setFolderId(folder._id)}
+                      onRename={() => handleFolderRename(folder)}
+                      onDelete={() => handleFolderDelete(folder)}
+                      onDropItem={(item) => handleDropItem(item, folder._id)}
+                    />
+                  </div>
+                ))}
                 {filteredFiles.map((file) => (
                   <div
                     key={file.id}
@@ -232,6 +395,7 @@ function FileManager({ workspaceId }) {
                       onClick={() => handleFileClick(file)}
                       onDownload={() => handleFileDownload(file)}
                       onDelete={() => handleFileDelete(file.id)}
+                      onCopy={() => handleFileCopy(file)}
                     />
                   </div>
                 ))}
@@ -240,6 +404,15 @@ function FileManager({ workspaceId }) {
           </div>
         </div>
       </div>
+
+      {selectedFile && (
+        <FileDetailsModal
+          file={selectedFile}
+          onClose={() => setSelectedFile(null)}
+          onDownload={handleFileDownload}
+          onChanged={handleFileChanged}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,36 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+/**
+ * Server-generated thumbnail of an image or PDF version. Shows `fallback`
+ * while it loads and when the file has none.
+ */
+function FileThumbnail({ fileId, version, className, fallback = null }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    setUrl(null);
+
+    api.files.getThumbnail(fileId, version)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => {
+        // No thumbnail: keep the fallback
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fileId, version]);
+
+  if (!url) return fallback;
+  return <img src={url} alt="" className={className} draggable={false} />;
+}
+
+export default FileThumbnail;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Folder, MoreVertical, Pencil, Trash2 } from 'lucide-react';
+import { formatFileSize, setDragItem, getDragItem, isDragItem } from './fileFormat';
+import '../../styles/App.css';
+
+/**
+ * A folder in the file manager. Opens on click, can be dragged onto another
+ * folder, and takes files and folders dropped on it.
+ */
+function FolderCard({ folder, viewMode, onOpen, onRename, onDelete, onDropItem }) {
+  const [showMenu, setShowMenu] = useState(false);
+  const [dropping, setDropping] = useState(false);
+
+  const summary = `${folder.fileCount} file${folder.fileCount === 1 ? '' : 's'} • ${formatFileSize(folder.size)}`;
+
+  const handleMenuClick = (e) => {
+    e.stopPropagation();
+    setShowMenu(!showMenu);
+  };
+
+  const handleRename = (e) => {
+    e.stopPropagation();
+    setShowMenu(false);
+    onRename();
+  };
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    setShowMenu(false);
+    onDelete();
+  };
+
+  const dragProps = {
+    draggable: true,
+    onDragStart: (e) => setDragItem(e, { kind: 'folder', id: folder._id }),
+    onDragOver: (e) => {
+      if (!isDragItem(e)) return;
+      e.preventDefault();
+      setDropping(true);
+    },
+    onDragLeave: () => setDropping(false),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropping(false);
+      const item = getDragItem(e);
+      if (item && item.id !== folder._id) onDropItem(item);
+    }
+  };
+
+  const menu = (
+    <div className="file-card-menu-wrapper">
+      <button onClick={handleMenuClick} className="file-card-menu-btn" aria-label="Folder options">
+        <MoreVertical size={18} />
+      </button>
+
+      {showMenu && (
+        <div className="file-card-dropdown-menu">
+          <button onClick={handleRename} className="file-card-dropdown-item">
+            <Pencil size={16} />
+            <span>Rename</span>
+          </button>
+          <div className="file-card-dropdown-divider"></div>
+          <button onClick={handleDelete} className="file-card-dropdown-item file-card-dropdown-item-danger">
+            <Trash2 size={16} />
+            <span>Delete</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+
+  if (viewMode === 'list') {
+    return (
+      <div
+        className={`file-card-list-wrapper file-folder-card ${dropping ? 'file-folder-drop-target' : ''}`}
+        onClick={onOpen}
+        {...dragProps}
+      >
+        <div className="container-fluid">
+          <div className="row align-items-center g-3">
+            <div className="col-auto">
+              <div className="file-card-icon-wrapper file-folder-icon">
+                <Folder size={24} />
+              </div>
+            </div>
+            <div className="col">
+              <h4 className="file-card-name">{folder.name}</h4>
+              <div className="file-card-meta-row">
+                <span className="file-card-meta-item">{summary}</span>
+              </div>
+            </div>
+            <div className="col-auto">{menu}</div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`file-card-grid-wrapper file-folder-card ${dropping ? 'file-folder-drop-target' : ''}`}
+      onClick={onOpen}
+      {...dragProps}
+    >
+      <div className="file-card-grid-header">
+        <div className="file-card-icon-large file-folder-icon">
+          <Folder size={32} />
+        </div>
+        {menu}
+      </div>
+
+      <div className="file-card-grid-body">
+        <h4 className="file-card-name">{folder.name}</h4>
+        <p className="file-card-meta-text">{summary}</p>
+      </div>
+    </div>
+  );
+}
+
+export default FolderCard;
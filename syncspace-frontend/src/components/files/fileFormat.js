@@ -0,0 +1,74 @@
+// Helpers shared by the file manager and file cards
+
+const CATEGORIES = {
+  pdf: 'pdf',
+  doc: 'doc',
+  docx: 'doc',
+  txt: 'doc',
+  md: 'doc',
+  xls: 'doc',
+  xlsx: 'doc',
+  ppt: 'doc',
+  pptx: 'doc',
+  jpg: 'image',
+  jpeg: 'image',
+  png: 'image',
+  gif: 'image',
+  webp: 'image',
+  svg: 'image'
+};
+
+// Types the server makes thumbnails of
+const THUMBNAIL_TYPES = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'tif', 'tiff', 'svg', 'pdf']);
+
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Server File records -> the shape FileCard renders
+export const toFileCard = (file) => ({
+  id: file._id,
+  name: file.originalName,
+  type: file.fileType,
+  category: CATEGORIES[file.fileType] || 'other',
+  size: formatFileSize(file.fileSize),
+  date: file.createdAt,
+  uploader: file.uploadedBy?.name || 'Unknown',
+  version: file.version,
+  versions: file.version > 1 ? file.version : null,
+  thumbnail: THUMBNAIL_TYPES.has(file.fileType)
+});
+
+// Save a downloaded blob under the given file name
+export const saveBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+// Files and folders dragged onto a folder or breadcrumb carry { kind, id }
+const DRAG_TYPE = 'application/x-syncspace-file';
+
+export const setDragItem = (e, item) => {
+  e.dataTransfer.setData(DRAG_TYPE, JSON.stringify(item));
+  e.dataTransfer.effectAllowed = 'move';
+};
+
+export const getDragItem = (e) => {
+  try {
+    return JSON.parse(e.dataTransfer.getData(DRAG_TYPE));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const isDragItem = (e) => e.dataTransfer.types.includes(DRAG_TYPE);
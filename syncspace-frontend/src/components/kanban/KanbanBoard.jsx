@@ -2,7 +2,7 @@
 
 // src/components/kanban/KanbanBoard.jsx
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { DragDropContext } from 'react-beautiful-dnd';
 import { Plus } from 'lucide-react';
 import KanbanColumn from './KanbanColumn';
@@ -12,12 +12,14 @@ import socketService from '../../socket/socket';
 import { toast } from 'react-toastify';
 import '../../styles/App.css';
 
-function KanbanBoard({ workspaceId }) {
-  const [tasks, setTasks] = useState({ todo: [], inProgress: [], done: [] });
+function KanbanBoard({ workspaceId, focusTask }) {
+  const [workflow, setWorkflow] = useState([]);
+  const [tasks, setTasks] = useState({});
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
   const [loading, setLoading] = useState(true);
   const [projectId, setProjectId] = useState(null);
+  const projectIdRef = useRef(null);
 
   useEffect(() => {
     if (workspaceId) {
@@ -37,7 +39,7 @@ function KanbanBoard({ workspaceId }) {
 
       if (!projects || projects.length === 0) {
         toast.info('No projects found in this workspace');
-        setTasks({ todo: [], inProgress: [], done: [] });
+        setTasks({});
         setLoading(false);
         return;
       }
@@ -49,7 +51,7 @@ function KanbanBoard({ workspaceId }) {
       if (!validId || validId.length !== 24) {
         console.error("❌ Invalid project ID received:", validId, firstProject);
         toast.error("Invalid project ID from backend. Please check workspaceController.");
-        setTasks({ todo: [], inProgress: [], done: [] });
+        setTasks({});
         setLoading(false);
         return;
       }
@@ -57,6 +59,7 @@ function KanbanBoard({ workspaceId }) {
       console.log("✅ Using Project ID:", validId, " | Project Name:", firstProject.name);
 
       setProjectId(validId);
+      projectIdRef.current = validId;
       await loadTasks(validId);
 
     } catch (error) {
@@ -67,12 +70,26 @@ function KanbanBoard({ workspaceId }) {
     }
   };
 
+  // ===================== LINKED TASK =====================
+  // A task opened from a link shows in the modal once the board has loaded
+  useEffect(() => {
+    if (!focusTask || loading) return;
+
+    const task = Object.values(tasks).flat().find((t) => (t._id || t.id) === focusTask.id);
+    if (task) {
+      handleEditTask(task);
+    } else {
+      toast.info('That task is not on this board');
+    }
+  }, [focusTask, loading]);
+
   // ===================== LOAD TASKS =====================
   const loadTasks = async (projId) => {
     try {
       console.log("📂 Loading tasks for project:", projId);
-      const tasksData = await api.tasks.getByProject(projId);
-      setTasks(tasksData || { todo: [], inProgress: [], done: [] });
+      const { workflow: columns, tasks: tasksData } = await api.tasks.getByProject(projId);
+      setWorkflow(columns);
+      setTasks(tasksData);
       console.log("✅ Tasks loaded:", tasksData);
     } catch (error) {
       console.error('❌ Error loading tasks:', error);
@@ -83,7 +100,7 @@ function KanbanBoard({ workspaceId }) {
   // ===================== SOCKET UPDATES =====================
   const subscribeToTaskUpdates = () => {
     socketService.subscribeToTaskUpdates(() => {
-      if (projectId) loadTasks(projectId);
+      if (projectIdRef.current) loadTasks(projectIdRef.current);
     });
   };
 
@@ -96,9 +113,17 @@ function KanbanBoard({ workspaceId }) {
     const sourceCol = source.droppableId;
     const destCol = destination.droppableId;
 
+    // The server enforces WIP limits too; this just avoids a round trip
+    const destColumn = workflow.find((column) => column.key === destCol);
+    const destCount = (tasks[destCol] || []).length;
+    if (sourceCol !== destCol && destColumn?.wipLimit && destCount >= destColumn.wipLimit) {
+      toast.warn(`"${destColumn.name}" has reached its WIP limit of ${destColumn.wipLimit}`);
+      return;
+    }
+
     const newTasks = { ...tasks };
-    const sourceItems = Array.from(newTasks[sourceCol]);
-    const destItems = Array.from(newTasks[destCol]);
+    const sourceItems = Array.from(newTasks[sourceCol] || []);
+    const destItems = sourceCol === destCol ? sourceItems : Array.from(newTasks[destCol] || []);
 
     const [movedTask] = sourceItems.splice(source.index, 1);
     destItems.splice(destination.index, 0, movedTask);
@@ -108,11 +133,11 @@ function KanbanBoard({ workspaceId }) {
     setTasks(newTasks);
 
     try {
-      await api.tasks.move(draggableId, destCol);
+      await api.tasks.move(draggableId, destCol, destination.index);
       socketService.emitTaskMove(draggableId, sourceCol, destCol);
     } catch (error) {
       console.error('❌ Error moving task:', error);
-      toast.error('Failed to move task');
+      toast.error(error.response?.data?.message || 'Failed to move task');
       loadTasks(projectId);
     }
   };
@@ -168,14 +193,26 @@ function KanbanBoard({ workspaceId }) {
 
       <DragDropContext onDragEnd={handleDragEnd}>
         <div className="row g-3 kanban-columns-container">
-          <KanbanColumn columnId="todo" title="To Do" tasks={tasks.todo} count={tasks.todo.length} onEditTask={handleEditTask} />
-          <KanbanColumn columnId="inProgress" title="In Progress" tasks={tasks.inProgress} count={tasks.inProgress.length} onEditTask={handleEditTask} />
-          <KanbanColumn columnId="done" title="Done" tasks={tasks.done} count={tasks.done.length} onEditTask={handleEditTask} />
+          {workflow.map((column) => {
+            const columnTasks = tasks[column.key] || [];
+            return (
+              <KanbanColumn
+                key={column.key}
+                columnId={column.key}
+                title={column.name}
+                color={column.color}
+                wipLimit={column.wipLimit}
+                tasks={columnTasks}
+                count={columnTasks.length}
+                onEditTask={handleEditTask}
+              />
+            );
+          })}
         </div>
       </DragDropContext>
 
       {showTaskModal && (
-        <TaskModal task={selectedTask} onClose={handleCloseModal} onSave={handleTaskSaved} projectId={projectId} />
+        <TaskModal task={selectedTask} onClose={handleCloseModal} onSave={handleTaskSaved} projectId={projectId} columns={workflow} />
       )}
     </div>
   );
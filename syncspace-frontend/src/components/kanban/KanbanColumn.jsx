@@ -5,12 +5,22 @@ import { Droppable, Draggable } from 'react-beautiful-dnd';
 import TaskCard from './TaskCard';
 import '../../styles/App.css';
 
-function KanbanColumn({ columnId, title, tasks, count, onEditTask }) {
+function KanbanColumn({ columnId, title, color, wipLimit, tasks, count, onEditTask }) {
+  const atWipLimit = wipLimit && count >= wipLimit;
+
   return (
     <div className="kanban-column-wrapper">
-      <div className="kanban-column-header-section">
-        <h3 className="kanban-column-title-text">{title}</h3>
-        <span className="kanban-column-count-badge">{count}</span>
+      <div className="kanban-column-header-section" style={color ? { borderBottomColor: color } : undefined}>
+        <h3 className="kanban-column-title-text">
+          {color && <span className="kanban-column-color-dot" style={{ background: color }} />}
+          {title}
+        </h3>
+        <span
+          className={`kanban-column-count-badge ${atWipLimit ? 'kanban-column-count-badge-full' : ''}`}
+          title={wipLimit ? `WIP limit: ${wipLimit}` : undefined}
+        >
+          {wipLimit ? `${count}/${wipLimit}` : count}
+        </span>
       </div>
 
       <Droppable droppableId={columnId}>
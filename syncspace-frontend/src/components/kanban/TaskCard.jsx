@@ -1,7 +1,7 @@
 // TaskCard.jsx
 
 import React, { useState } from 'react';
-import { Calendar, MoreVertical, Edit, Trash2, User } from 'lucide-react';
+import { Calendar, MoreVertical, Edit, Trash2, User, ListChecks, Lock, Repeat } from 'lucide-react';
 import { format } from 'date-fns';
 import '../../styles/App.css';
 
@@ -39,6 +39,10 @@ function TaskCard({ task, onEdit, isDragging }) {
     }
   };
 
+  const subtaskCount = task.subtasks ? task.subtasks.length : 0;
+  const completedSubtasks = task.subtasks ? task.subtasks.filter((subtask) => subtask.done).length : 0;
+  const subtaskProgress = subtaskCount ? Math.round((completedSubtasks / subtaskCount) * 100) : 0;
+
   const formatDate = (dateString) => {
     try {
       return format(new Date(dateString), 'MMM dd');
@@ -76,9 +80,36 @@ function TaskCard({ task, onEdit, isDragging }) {
         </div>
       </div>
 
-      <h4 className="task-card-title-text">{task.title}</h4>
+      {task.isBlocked && (
+        <div
+          className="task-card-blocked-badge"
+          title={`Blocked by ${task.openBlockers} open task${task.openBlockers === 1 ? '' : 's'}`}
+        >
+          <Lock size={12} />
+          <span>Blocked</span>
+        </div>
+      )}
+
+      <h4 className="task-card-title-text">
+        {task.recurrence && (
+          <Repeat size={14} className="task-card-recurring-icon" aria-label="Recurring task" />
+        )}
+        {task.title}
+      </h4>
       <p className="task-card-description-text">{task.description}</p>
 
+      {subtaskCount > 0 && (
+        <div className="task-card-checklist-section" title={`${subtaskProgress}% of checklist done`}>
+          <div className="task-card-checklist-label">
+            <ListChecks size={14} />
+            <span>{completedSubtasks}/{subtaskCount}</span>
+          </div>
+          <div className="task-progress-track">
+            <div className="task-progress-fill" style={{ width: `${subtaskProgress}%` }}></div>
+          </div>
+        </div>
+      )}
+
       <div className="task-card-footer-row">
         <div className="task-card-assignee-section">
           <div className="task-card-avatar-small">
@@ -0,0 +1,142 @@
+// TaskChecklist.jsx
+
+import React, { useState, useEffect } from 'react';
+import { ListChecks, Plus, Trash2, ArrowUpRight } from 'lucide-react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import '../../styles/App.css';
+
+const sortByOrder = (subtasks = []) => [...subtasks].sort((a, b) => a.order - b.order);
+
+function TaskChecklist({ task, onChange }) {
+  const taskId = task._id || task.id;
+  const [subtasks, setSubtasks] = useState(sortByOrder(task.subtasks));
+  const [newTitle, setNewTitle] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setSubtasks(sortByOrder(task.subtasks));
+  }, [task]);
+
+  const doneCount = subtasks.filter((subtask) => subtask.done).length;
+  const progress = subtasks.length ? Math.round((doneCount / subtasks.length) * 100) : 0;
+
+  // Every endpoint returns the parent task with its full checklist
+  const applyResponse = (res) => {
+    const updated = res.parentTask || res.task;
+    if (updated) {
+      setSubtasks(sortByOrder(updated.subtasks));
+      if (onChange) onChange(updated);
+    }
+  };
+
+  const runAction = async (action, errorMessage) => {
+    setBusy(true);
+    try {
+      const res = await action();
+      applyResponse(res);
+      return res;
+    } catch (error) {
+      console.error(`❌ ${errorMessage}:`, error);
+      toast.error(error?.response?.data?.message || errorMessage);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+
+    const res = await runAction(() => api.tasks.addSubtask(taskId, { title }), 'Failed to add item');
+    if (res) setNewTitle('');
+  };
+
+  const handleToggle = (subtask) =>
+    runAction(
+      () => api.tasks.updateSubtask(taskId, subtask._id, { done: !subtask.done }),
+      'Failed to update item'
+    );
+
+  const handleDelete = (subtask) =>
+    runAction(() => api.tasks.deleteSubtask(taskId, subtask._id), 'Failed to delete item');
+
+  const handleConvert = async (subtask) => {
+    const res = await runAction(() => api.tasks.convertSubtask(taskId, subtask._id), 'Failed to convert item');
+    if (res) toast.success(`✅ "${res.task.title}" is now a task`);
+  };
+
+  return (
+    <div className="task-checklist-wrapper">
+      <div className="task-checklist-header">
+        <span className="modal-form-label">
+          <ListChecks size={16} /> Checklist
+        </span>
+        {subtasks.length > 0 && (
+          <span className="task-checklist-count">{doneCount}/{subtasks.length}</span>
+        )}
+      </div>
+
+      {subtasks.length > 0 && (
+        <div className="task-progress-track">
+          <div className="task-progress-fill" style={{ width: `${progress}%` }}></div>
+        </div>
+      )}
+
+      <ul className="task-checklist-list">
+        {subtasks.map((subtask) => (
+          <li key={subtask._id} className="task-checklist-item">
+            <input
+              type="checkbox"
+              checked={subtask.done}
+              onChange={() => handleToggle(subtask)}
+              disabled={busy}
+            />
+            <span className={`task-checklist-title ${subtask.done ? 'task-checklist-title-done' : ''}`}>
+              {subtask.title}
+            </span>
+            <button
+              type="button"
+              onClick={() => handleConvert(subtask)}
+              className="task-checklist-action-btn"
+              title="Convert to task"
+              disabled={busy}
+            >
+              <ArrowUpRight size={14} />
+            </button>
+            <button
+              type="button"
+              onClick={() => handleDelete(subtask)}
+              className="task-checklist-action-btn"
+              title="Delete item"
+              disabled={busy}
+            >
+              <Trash2 size={14} />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <div className="task-checklist-add-row">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleAdd(e);
+          }}
+          placeholder="Add an item..."
+          className="modal-form-input"
+          disabled={busy}
+        />
+        <button type="button" onClick={handleAdd} className="modal-btn-secondary" disabled={busy || !newTitle.trim()}>
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TaskChecklist;
@@ -12,6 +12,7 @@ import {
   Menu,
   X
 } from 'lucide-react';
+import NotificationSettingsModal from '../modals/NotificationSettingsModal';
 import '../../styles/App.css';
 
 function Navbar({ onMenuToggle, isSidebarOpen }) {
@@ -20,6 +21,7 @@ function Navbar({ onMenuToggle, isSidebarOpen }) {
   
   const [showNotifications, setShowNotifications] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   
   const notificationRef = useRef(null);
@@ -151,14 +153,27 @@ function Navbar({ onMenuToggle, isSidebarOpen }) {
                       <div className="navbar-dropdown-header">
                         <div className="d-flex justify-content-between align-items-center">
                           <h3 className="navbar-dropdown-title mb-0">Notifications</h3>
-                          {unreadCount > 0 && (
+                          <div className="d-flex align-items-center gap-2">
+                            {unreadCount > 0 && (
+                              <button
+                                onClick={markAllNotificationsAsRead}
+                                className="navbar-link-small"
+                              >
+                                Mark all as read
+                              </button>
+                            )}
                             <button
-                              onClick={markAllNotificationsAsRead}
+                              onClick={() => {
+                                setShowNotifications(false);
+                                setShowNotificationSettings(true);
+                              }}
                               className="navbar-link-small"
+                              aria-label="Notification settings"
+                              title="Notification settings"
                             >
-                              Mark all as read
+                              <Settings size={14} />
                             </button>
-                          )}
+                          </div>
                         </div>
                       </div>
 
@@ -271,6 +286,10 @@ function Navbar({ onMenuToggle, isSidebarOpen }) {
           </div>
         </div>
       </div>
+
+      {showNotificationSettings && (
+        <NotificationSettingsModal onClose={() => setShowNotificationSettings(false)} />
+      )}
     </nav>
   );
 }
@@ -1,9 +1,106 @@
-import React from 'react';
-import { X, Download, Clock, Eye, FileText } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { X, Download, Clock, FileText, Upload, RotateCcw } from 'lucide-react';
 import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import api from '../../services/api';
+import { formatFileSize as formatBytes, saveBlob } from '../files/fileFormat';
+import FileThumbnail from '../files/FileThumbnail';
 import '../../styles/App.css';
 
-function FileDetailsModal({ file, onClose, onDownload }) {
+/**
+ * Details of a file with a preview of its current version and its version
+ * history: upload a new version with a change note, and download or restore
+ * any earlier one. The file keeps its ID throughout, so links to it stay valid.
+ */
+function FileDetailsModal({ file, onClose, onDownload, onChanged }) {
+  const [versions, setVersions] = useState([]);
+  const [loadingVersions, setLoadingVersions] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
+  const [newVersion, setNewVersion] = useState(null);
+  const [changes, setChanges] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [loadingPreview, setLoadingPreview] = useState(true);
+
+  useEffect(() => {
+    loadVersions();
+  }, [file.id]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [file.id, file.version]);
+
+  const loadPreview = async () => {
+    setLoadingPreview(true);
+    try {
+      setPreview(await api.files.getPreview(file.id, file.version));
+    } catch (error) {
+      console.error('Error loading preview:', error);
+      setPreview(null);
+    } finally {
+      setLoadingPreview(false);
+    }
+  };
+
+  const loadVersions = async () => {
+    setLoadingVersions(true);
+    try {
+      setVersions(await api.files.getVersions(file.id));
+    } catch (error) {
+      console.error('Error loading versions:', error);
+      setVersions([]);
+    } finally {
+      setLoadingVersions(false);
+    }
+  };
+
+  const handleUploadVersion = async (e) => {
+    e.preventDefault();
+    if (!newVersion) return;
+
+    setBusy(true);
+    try {
+      const updated = await api.files.uploadVersion(file.id, newVersion, changes.trim());
+      toast.success(`Version ${updated.version} uploaded`);
+      setNewVersion(null);
+      setChanges('');
+      onChanged?.(updated);
+      await loadVersions();
+    } catch (error) {
+      console.error('Error uploading version:', error);
+      toast.error(error?.response?.data?.message || 'Failed to upload version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownloadVersion = async (version) => {
+    try {
+      const blob = await api.files.downloadVersion(file.id, version.version);
+      saveBlob(blob, version.fileName);
+    } catch (error) {
+      console.error('Error downloading version:', error);
+      toast.error('Failed to download version');
+    }
+  };
+
+  const handleRestoreVersion = async (version) => {
+    if (!window.confirm(`Restore version ${version.version}? It becomes the newest version.`)) return;
+
+    setBusy(true);
+    try {
+      const updated = await api.files.restoreVersion(file.id, version.version);
+      toast.success(`Version ${version.version} restored`);
+      onChanged?.(updated);
+      await loadVersions();
+    } catch (error) {
+      console.error('Error restoring version:', error);
+      toast.error(error?.response?.data?.message || 'Failed to restore version');
+    } finally {
+      setBusy(false);
+    }
+  };
+
   const formatDate = (dateString) => {
     try {
       return format(new Date(dateString), 'MMMM dd, yyyy at h:mm a');
@@ -25,6 +122,71 @@ function FileDetailsModal({ file, onClose, onDownload }) {
     return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
   };
 
+  const renderPreview = () => {
+    if (loadingPreview) {
+      return (
+        <div className="file-details-preview">
+          <p className="file-details-preview-text">Generating preview...</p>
+        </div>
+      );
+    }
+
+    const ready = preview && preview.status === 'ready';
+    if (!ready || !(preview.hasThumbnail || preview.text || preview.html || preview.rows)) {
+      return (
+        <div className="file-details-preview">
+          <FileText size={64} className="file-details-preview-icon" />
+          <p className="file-details-preview-text">{preview?.error || 'Preview not available'}</p>
+        </div>
+      );
+    }
+
+    return (
+      <div className="file-details-preview file-details-preview-content">
+        {preview.hasThumbnail && (
+          <FileThumbnail
+            fileId={file.id}
+            version={preview.version}
+            className="file-details-preview-image"
+          />
+        )}
+
+        {preview.text && (
+          <pre className="file-preview-text">{preview.text}</pre>
+        )}
+
+        {preview.html && (
+          <pre className="file-preview-code">
+            <code className="hljs" dangerouslySetInnerHTML={{ __html: preview.html }} />
+          </pre>
+        )}
+
+        {preview.rows && (
+          <div className="file-preview-table-wrapper">
+            <table className="file-preview-table">
+              <tbody>
+                {preview.rows.map((row, i) => (
+                  <tr key={i}>
+                    {row.map((cell, j) => (i === 0 ? <th key={j}>{cell}</th> : <td key={j}>{cell}</td>))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {(preview.truncated || preview.pageCount > 1) && (
+          <p className="file-details-preview-text">
+            {[
+              preview.pageCount > 1 && `${preview.pageCount} pages`,
+              preview.truncated && 'Showing the beginning of the file'
+            ].filter(Boolean).join(' • ')}
+          </p>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="modal-overlay-wrapper" onClick={onClose}>
       <div className="modal-content-container modal-content-large" onClick={(e) => e.stopPropagation()}>
@@ -51,10 +213,7 @@ function FileDetailsModal({ file, onClose, onDownload }) {
                 <div className="row g-4">
                   {/* File Preview */}
                   <div className="col-12">
-                    <div className="file-details-preview">
-                      <FileText size={64} className="file-details-preview-icon" />
-                      <p className="file-details-preview-text">Preview not available</p>
-                    </div>
+                    {renderPreview()}
                   </div>
 
                   {/* File Information */}
@@ -121,14 +280,91 @@ function FileDetailsModal({ file, onClose, onDownload }) {
                           </button>
                         </div>
                         <div className="col-12 col-sm-6">
-                          <button className="file-details-action-btn file-details-action-btn-secondary">
+                          <button
+                            onClick={() => setShowHistory(!showHistory)}
+                            className="file-details-action-btn file-details-action-btn-secondary"
+                          >
                             <Clock size={18} />
-                            <span>View History</span>
+                            <span>{showHistory ? 'Hide History' : 'View History'}</span>
                           </button>
                         </div>
                       </div>
                     </div>
                   </div>
+
+                  {/* Version History */}
+                  {showHistory && (
+                    <div className="col-12">
+                      <h4 className="file-details-section-title">Version History</h4>
+
+                      <form className="file-version-upload" onSubmit={handleUploadVersion}>
+                        <label className="file-version-pick">
+                          <Upload size={16} />
+                          <span>{newVersion ? newVersion.name : 'Choose new version'}</span>
+                          <input
+                            type="file"
+                            onChange={(e) => setNewVersion(e.target.files[0] || null)}
+                            className="file-upload-input"
+                          />
+                        </label>
+                        <input
+                          type="text"
+                          value={changes}
+                          onChange={(e) => setChanges(e.target.value)}
+                          placeholder="What changed? (optional)"
+                          maxLength={500}
+                          className="form-control form-control-sm"
+                        />
+                        <button type="submit" className="modal-btn-primary" disabled={!newVersion || busy}>
+                          Upload
+                        </button>
+                      </form>
+
+                      {loadingVersions ? (
+                        <div className="chat-loading-wrapper">
+                          <div className="chat-spinner"></div>
+                        </div>
+                      ) : (
+                        <ul className="file-version-list">
+                          {versions.map(version => (
+                            <li key={version.version} className="file-version-item">
+                              <div className="file-version-info">
+                                <span className="file-version-title">
+                                  Version {version.version}
+                                  {version.isCurrent && <span className="file-version-current">Current</span>}
+                                </span>
+                                <span className="file-version-meta">
+                                  {version.fileName} • {formatBytes(version.fileSize)} • {version.uploadedBy?.name || 'Unknown'} • {formatDate(version.uploadedAt)}
+                                </span>
+                                {version.changes && <p className="file-version-changes">{version.changes}</p>}
+                              </div>
+                              <div className="file-version-actions">
+                                <button
+                                  type="button"
+                                  onClick={() => handleDownloadVersion(version)}
+                                  className="file-card-action-btn"
+                                  title="Download this version"
+                                >
+                                  <Download size={16} />
+                                </button>
+                                {!version.isCurrent && (
+                                  <button
+                                    type="button"
+                                    onClick={() => handleRestoreVersion(version)}
+                                    className="file-card-action-btn"
+                                    title="Restore this version"
+                                    disabled={busy}
+                                  >
+                                    <RotateCcw size={16} />
+                                  </button>
+                                )}
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
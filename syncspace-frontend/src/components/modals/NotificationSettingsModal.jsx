@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import { X, Bell, Moon, Mail } from 'lucide-react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import '../../styles/App.css';
+
+const TYPE_LABELS = {
+  mention: 'Mentions',
+  thread_reply: 'Replies in threads I follow',
+  direct_message: 'Direct messages',
+  task_assigned: 'Task assigned to me',
+  task_updated: 'Task updates',
+  task_completed: 'Tasks I created are completed',
+  task_due: 'Task due soon',
+  task_overdue: 'Task overdue',
+  comment: 'Comments on my tasks',
+  workspace_invite: 'Workspace invitations',
+  project_invite: 'Project invitations',
+  file_uploaded: 'Files attached to my tasks',
+  document_shared: 'Documents shared with me',
+  storage_quota: 'Workspace storage almost full (admins)',
+  system: 'System announcements'
+};
+
+const MODE_LABELS = {
+  in_app: 'In-app',
+  email: 'In-app + email',
+  digest: 'Daily digest only',
+  off: 'Off'
+};
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+function NotificationSettingsModal({ onClose }) {
+  const [types, setTypes] = useState({});
+  const [quietHours, setQuietHours] = useState({ enabled: false, start: '22:00', end: '07:00', timezone: 'UTC' });
+  const [digestHour, setDigestHour] = useState(8);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const res = await api.notifications.getPreferences();
+        const preferences = res.preferences;
+        setTypes(preferences.effective);
+        setQuietHours({
+          ...preferences.quietHours,
+          // Suggest the browser's zone until the user has set one
+          timezone: preferences.quietHours.enabled ? preferences.quietHours.timezone : browserTimeZone()
+        });
+        setDigestHour(preferences.digestHour);
+      } catch (error) {
+        console.error('❌ Failed to load notification preferences:', error);
+        toast.error('Failed to load notification settings');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPreferences();
+  }, []);
+
+  const handleQuietHoursChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setQuietHours(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSaving(true);
+    try {
+      await api.notifications.updatePreferences({ types, quietHours, digestHour: Number(digestHour) });
+      toast.success('Notification settings saved');
+      onClose();
+    } catch (error) {
+      console.error('❌ Failed to save notification preferences:', error);
+      toast.error(error?.response?.data?.message || 'Failed to save notification settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disabled = loading || saving;
+
+  return (
+    <div className="modal-overlay-wrapper" onClick={onClose}>
+      <div className="modal-content-container modal-content-large" onClick={(e) => e.stopPropagation()}>
+        <div className="container-fluid">
+          {/* Modal Header */}
+          <div className="row">
+            <div className="col-12">
+              <div className="modal-header-section">
+                <div className="modal-header-icon">
+                  <Bell size={24} />
+                </div>
+                <h3 className="modal-header-title">Notification Settings</h3>
+                <button onClick={onClose} className="modal-close-btn" aria-label="Close">
+                  <X size={20} />
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* Modal Body */}
+          <form onSubmit={handleSubmit}>
+            <div className="row">
+              <div className="col-12">
+                <div className="modal-body-section">
+                  <div className="row g-3">
+                    {Object.keys(TYPE_LABELS).map((type) => (
+                      <div className="col-12 col-md-6" key={type}>
+                        <div className="modal-form-group">
+                          <label htmlFor={`type-${type}`} className="modal-form-label">
+                            {TYPE_LABELS[type]}
+                          </label>
+                          <select
+                            id={`type-${type}`}
+                            value={types[type] || 'in_app'}
+                            onChange={(e) => setTypes(prev => ({ ...prev, [type]: e.target.value }))}
+                            className="modal-form-select"
+                            disabled={disabled}
+                          >
+                            {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                              <option key={mode} value={mode}>{label}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    ))}
+
+                    {/* Quiet Hours */}
+                    <div className="col-12">
+                      <label className="modal-form-label notification-settings-toggle">
+                        <input
+                          type="checkbox"
+                          name="enabled"
+                          checked={quietHours.enabled}
+                          onChange={handleQuietHoursChange}
+                          disabled={disabled}
+                        />
+                        <Moon size={16} /> Quiet hours
+                      </label>
+                      <p className="modal-form-help-text">
+                        Emails are held back during quiet hours and sent with your next digest.
+                      </p>
+                    </div>
+
+                    {quietHours.enabled && (
+                      <>
+                        <div className="col-6 col-md-3">
+                          <div className="modal-form-group">
+                            <label htmlFor="start" className="modal-form-label">From</label>
+                            <input
+                              id="start"
+                              name="start"
+                              type="time"
+                              value={quietHours.start}
+                              onChange={handleQuietHoursChange}
+                              className="modal-form-input"
+                              disabled={disabled}
+                            />
+                          </div>
+                        </div>
+                        <div className="col-6 col-md-3">
+                          <div className="modal-form-group">
+                            <label htmlFor="end" className="modal-form-label">Until</label>
+                            <input
+                              id="end"
+                              name="end"
+                              type="time"
+                              value={quietHours.end}
+                              onChange={handleQuietHoursChange}
+                              className="modal-form-input"
+                              disabled={disabled}
+                            />
+                          </div>
+                        </div>
+                        <div className="col-12 col-md-6">
+                          <div className="modal-form-group">
+                            <label htmlFor="timezone" className="modal-form-label">Time zone</label>
+                            <input
+                              id="timezone"
+                              name="timezone"
+                              type="text"
+                              value={quietHours.timezone}
+                              onChange={handleQuietHoursChange}
+                              placeholder="e.g., Europe/Berlin"
+                              className="modal-form-input"
+                              disabled={disabled}
+                            />
+                          </div>
+                        </div>
+                      </>
+                    )}
+
+                    {/* Digest */}
+                    <div className="col-12 col-md-6">
+                      <div className="modal-form-group">
+                        <label htmlFor="digestHour" className="modal-form-label">
+                          <Mail size={16} /> Send daily digest at
+                        </label>
+                        <select
+                          id="digestHour"
+                          value={digestHour}
+                          onChange={(e) => setDigestHour(e.target.value)}
+                          className="modal-form-select"
+                          disabled={disabled}
+                        >
+                          {Array.from({ length: 24 }, (_, hour) => (
+                            <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Modal Footer */}
+            <div className="row">
+              <div className="col-12">
+                <div className="modal-footer-section">
+                  <button type="button" onClick={onClose} className="modal-btn-secondary" disabled={saving}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="modal-btn-primary" disabled={disabled}>
+                    {saving ? (<><span className="modal-btn-spinner"></span> Saving...</>) : 'Save Settings'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationSettingsModal;
@@ -3,20 +3,45 @@
 // syncspace-frontend/src/components/modals/TaskModal.jsx
 
 import React, { useState, useEffect } from 'react';
-import { X, CheckSquare, Calendar, User, Tag } from 'lucide-react';
+import { X, CheckSquare, Calendar, User, Tag, Repeat } from 'lucide-react';
 import api from '../../services/api';
+import TaskChecklist from '../kanban/TaskChecklist';
+import ReferencedBy from '../workspace/ReferencedBy';
 import { toast } from 'react-toastify';
 import '../../styles/App.css';
 
-function TaskModal({ task, onClose, onSave, projectId }) {
+// Used until the project's workflow has loaded
+const DEFAULT_COLUMNS = [
+  { key: 'todo', name: 'To Do' },
+  { key: 'inProgress', name: 'In Progress' },
+  { key: 'done', name: 'Done' },
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_RECURRENCE = { frequency: '', interval: 1, weekdays: [], dayOfMonth: '' };
+
+// Form state for a task's recurrence rule
+const toRecurrenceForm = (rule) => rule ? {
+  frequency: rule.frequency,
+  interval: rule.interval || 1,
+  weekdays: rule.weekdays || [],
+  dayOfMonth: rule.dayOfMonth || ''
+} : EMPTY_RECURRENCE;
+
+function TaskModal({ task, onClose, onSave, projectId, columns = [] }) {
+  const statusColumns = columns.length ? columns : DEFAULT_COLUMNS;
+  const defaultStatus = statusColumns[0].key;
+
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     assignee: '',
     dueDate: '',
     priority: 'medium',
-    status: 'todo'
+    status: defaultStatus
   });
+  const [recurrence, setRecurrence] = useState(EMPTY_RECURRENCE);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
@@ -29,8 +54,9 @@ function TaskModal({ task, onClose, onSave, projectId }) {
         assignee: task.assignee?.name || '',
         dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
         priority: task.priority || 'medium',
-        status: task.status || 'todo'
+        status: task.status || defaultStatus
       });
+      setRecurrence(toRecurrenceForm(task.recurrence));
     } else {
       setFormData({
         title: '',
@@ -38,8 +64,9 @@ function TaskModal({ task, onClose, onSave, projectId }) {
         assignee: '',
         dueDate: '',
         priority: 'medium',
-        status: 'todo'
+        status: defaultStatus
       });
+      setRecurrence(EMPTY_RECURRENCE);
     }
   }, [task]);
 
@@ -50,6 +77,38 @@ function TaskModal({ task, onClose, onSave, projectId }) {
     if (errors[name]) setErrors(prev => ({ ...prev, [name]: '' }));
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value } = e.target;
+    setRecurrence(prev => ({ ...prev, [name]: value }));
+    if (errors.recurrence) setErrors(prev => ({ ...prev, recurrence: '' }));
+  };
+
+  const toggleWeekday = (day) => {
+    setRecurrence(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day].sort()
+    }));
+    if (errors.recurrence) setErrors(prev => ({ ...prev, recurrence: '' }));
+  };
+
+  // null stops an existing series; undefined leaves a new task non-recurring
+  const buildRecurrencePayload = () => {
+    if (!recurrence.frequency) return task?.recurrence ? null : undefined;
+
+    const rule = {
+      frequency: recurrence.frequency,
+      interval: Number(recurrence.interval) || 1,
+      // Keep the series anchored where it started when editing it
+      startsAt: task?.recurrence?.startsAt,
+      endsAt: task?.recurrence?.endsAt
+    };
+    if (recurrence.frequency === 'weekly') rule.weekdays = recurrence.weekdays;
+    if (recurrence.frequency === 'monthly' && recurrence.dayOfMonth) rule.dayOfMonth = Number(recurrence.dayOfMonth);
+    return rule;
+  };
+
   // -------------------- VALIDATION --------------------
   const validateForm = () => {
     const newErrors = {};
@@ -60,6 +119,8 @@ function TaskModal({ task, onClose, onSave, projectId }) {
       if (new Date(formData.dueDate) < today)
         newErrors.dueDate = 'Due date cannot be in the past';
     }
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays.length === 0)
+      newErrors.recurrence = 'Pick at least one weekday';
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -79,6 +140,7 @@ function TaskModal({ task, onClose, onSave, projectId }) {
     const payload = {
       ...formData,
       assignee: formData.assignee?.trim() ? formData.assignee.trim() : null,
+      recurrence: buildRecurrencePayload(),
     };
 
     console.log("📦 Submitting Task for Project:", projectId, "| Payload:", payload);
@@ -238,12 +300,115 @@ function TaskModal({ task, onClose, onSave, projectId }) {
                           className="modal-form-select"
                           disabled={loading}
                         >
-                          <option value="todo">To Do</option>
-                          <option value="inProgress">In Progress</option>
-                          <option value="done">Done</option>
+                          {statusColumns.map((column) => (
+                            <option key={column.key} value={column.key}>{column.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+
+                    {/* Repeat */}
+                    <div className="col-12 col-md-6">
+                      <div className="modal-form-group">
+                        <label htmlFor="frequency" className="modal-form-label"><Repeat size={16} /> Repeat</label>
+                        <select
+                          id="frequency"
+                          name="frequency"
+                          value={recurrence.frequency}
+                          onChange={handleRecurrenceChange}
+                          className="modal-form-select"
+                          disabled={loading}
+                        >
+                          <option value="">Does not repeat</option>
+                          <option value="daily">Daily</option>
+                          <option value="weekly">Weekly</option>
+                          <option value="monthly">Monthly</option>
+                          <option value="after_completion">After completion</option>
                         </select>
                       </div>
                     </div>
+
+                    {recurrence.frequency && (
+                      <div className="col-12 col-md-6">
+                        <div className="modal-form-group">
+                          <label htmlFor="interval" className="modal-form-label">
+                            {recurrence.frequency === 'after_completion' ? 'Days after completion' : 'Every'}
+                          </label>
+                          <div className="task-recurrence-row">
+                            <input
+                              id="interval"
+                              name="interval"
+                              type="number"
+                              min="1"
+                              max="365"
+                              value={recurrence.interval}
+                              onChange={handleRecurrenceChange}
+                              className="modal-form-input"
+                              disabled={loading}
+                            />
+                            {recurrence.frequency === 'daily' && <span>day(s)</span>}
+                            {recurrence.frequency === 'weekly' && <span>week(s)</span>}
+                            {recurrence.frequency === 'monthly' && <span>month(s)</span>}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+
+                    {recurrence.frequency === 'weekly' && (
+                      <div className="col-12">
+                        <div className="modal-form-group">
+                          <span className="modal-form-label">On</span>
+                          <div className="task-recurrence-weekdays">
+                            {WEEKDAYS.map((label, day) => (
+                              <button
+                                key={label}
+                                type="button"
+                                onClick={() => toggleWeekday(day)}
+                                className={`task-recurrence-weekday ${recurrence.weekdays.includes(day) ? 'task-recurrence-weekday-active' : ''}`}
+                                disabled={loading}
+                              >
+                                {label}
+                              </button>
+                            ))}
+                          </div>
+                          {errors.recurrence && <span className="modal-form-error-text">{errors.recurrence}</span>}
+                        </div>
+                      </div>
+                    )}
+
+                    {recurrence.frequency === 'monthly' && (
+                      <div className="col-12 col-md-6">
+                        <div className="modal-form-group">
+                          <label htmlFor="dayOfMonth" className="modal-form-label">On day</label>
+                          <input
+                            id="dayOfMonth"
+                            name="dayOfMonth"
+                            type="number"
+                            min="1"
+                            max="31"
+                            value={recurrence.dayOfMonth}
+                            onChange={handleRecurrenceChange}
+                            placeholder="Same day as today"
+                            className="modal-form-input"
+                            disabled={loading}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Checklist (saved immediately, existing tasks only) */}
+                    {task && (
+                      <div className="col-12">
+                        <TaskChecklist task={task} />
+                      </div>
+                    )}
+
+                    {/* Documents, tasks and messages linking to this task */}
+                    {task && (
+                      <div className="col-12">
+                        <ReferencedBy type="task" id={task._id || task.id} />
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { X, Link2, FileText, CheckSquare, MessageSquare } from 'lucide-react';
+import api from '../../services/api';
+import '../../styles/App.css';
+
+const LOADERS = {
+  document: (id) => api.documents.getBacklinks(id),
+  task: (id) => api.tasks.getBacklinks(id),
+  message: (id) => api.chat.getMessageBacklinks(id)
+};
+
+const SOURCE_ICONS = {
+  document: <FileText size={14} />,
+  task: <CheckSquare size={14} />,
+  message: <MessageSquare size={14} />
+};
+
+const formatTime = (date) => new Date(date).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+/**
+ * Documents, tasks and messages that link to an entity, through an app URL
+ * or a [[Page]] link. Shown as a side panel when `onClose` is given, and as
+ * a section of a modal or thread otherwise.
+ */
+function ReferencedBy({ type, id, onClose, hideEmpty = false }) {
+  const navigate = useNavigate();
+  const [backlinks, setBacklinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadBacklinks();
+  }, [type, id]);
+
+  const loadBacklinks = async () => {
+    setLoading(true);
+    try {
+      setBacklinks(await LOADERS[type](id));
+    } catch (error) {
+      console.error('Error loading references:', error);
+      setBacklinks([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (hideEmpty && !loading && backlinks.length === 0) return null;
+
+  const list = loading ? (
+    <div className="chat-loading-wrapper">
+      <div className="chat-spinner"></div>
+    </div>
+  ) : backlinks.length === 0 ? (
+    <p className="document-comment-note">Nothing links here yet</p>
+  ) : (
+    <ul className="referenced-by-list">
+      {backlinks.map(backlink => (
+        <li key={`${backlink.type}:${backlink.id}`}>
+          <button type="button" className="referenced-by-item" onClick={() => navigate(backlink.link)}>
+            <span className="referenced-by-title">
+              {SOURCE_ICONS[backlink.type]}
+              <span>{backlink.title}</span>
+              <span className="referenced-by-time">{formatTime(backlink.updatedAt)}</span>
+            </span>
+            {backlink.snippet && <span className="referenced-by-snippet">{backlink.snippet}</span>}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  if (onClose) {
+    return (
+      <aside className="document-comments-panel">
+        <div className="document-comments-header">
+          <h3 className="document-comments-title">Referenced by</h3>
+          <button type="button" className="document-comment-icon-btn" onClick={onClose} title="Close references">
+            <X size={18} />
+          </button>
+        </div>
+        <div className="document-comments-body">{list}</div>
+      </aside>
+    );
+  }
+
+  return (
+    <div className="referenced-by-section">
+      <span className="modal-form-label">
+        <Link2 size={16} /> Referenced by{backlinks.length > 0 && ` (${backlinks.length})`}
+      </span>
+      {list}
+    </div>
+  );
+}
+
+export default ReferencedBy;
@@ -9,9 +9,18 @@ import {
   ChevronLeft,
   ChevronRight
 } from 'lucide-react';
+import DocumentTree from '../documents/DocumentTree';
 import '../../styles/App.css';
 
-function WorkspaceSidebar({ workspace, activeTab, onTabChange, isOpen, onToggle }) {
+function WorkspaceSidebar({
+  workspace,
+  activeTab,
+  onTabChange,
+  isOpen,
+  onToggle,
+  selectedDocumentId,
+  onSelectDocument
+}) {
   const navigationItems = [
     { id: 'kanban', label: 'Kanban Board', icon: <CheckSquare size={20} /> },
     { id: 'documents', label: 'Documents', icon: <FileText size={20} /> },
@@ -44,6 +53,14 @@ function WorkspaceSidebar({ workspace, activeTab, onTabChange, isOpen, onToggle
                 <span className="workspace-sidebar-nav-label">{item.label}</span>
               </button>
             ))}
+
+            {activeTab === 'documents' && (
+              <DocumentTree
+                workspaceId={workspace.id || workspace._id}
+                selectedId={selectedDocumentId}
+                onSelect={onSelectDocument}
+              />
+            )}
           </nav>
 
           <div className="workspace-sidebar-footer">
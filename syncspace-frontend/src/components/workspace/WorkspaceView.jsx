@@ -2,7 +2,7 @@
 // src/components/workspace/WorkspaceView.jsx
 
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useLocation } from 'react-router-dom';
 import { useApp } from '../../context/AppContext';
 import Navbar from '../../components/layout/Navbar';
 import WorkspaceSidebar from './WorkspaceSidebar';
@@ -14,15 +14,36 @@ import Members from '../../components/members/Members';
 import socketService from '../../socket/socket';
 import '../../styles/App.css';
 
+// What a workspace URL points at: /document/:id, /project/:id/task/:id or
+// /chat?message=:id (?thread=:id from notifications opens the same way)
+const parseWorkspacePath = (path, search) => {
+  const params = new URLSearchParams(search);
+  let match = path.match(/^document\/([a-f0-9]{24})/);
+  if (match) return { tab: 'documents', type: 'document', id: match[1] };
+
+  match = path.match(/^project\/[a-f0-9]{24}(?:\/task\/([a-f0-9]{24}))?/);
+  if (match) return { tab: 'kanban', type: match[1] ? 'task' : null, id: match[1] };
+
+  if (path.startsWith('chat')) {
+    const messageId = params.get('message') || params.get('thread');
+    return { tab: 'chat', type: messageId ? 'message' : null, id: messageId };
+  }
+  return null;
+};
+
 function WorkspaceView() {
-  const { workspaceId } = useParams();
+  const { workspaceId, '*': path = '' } = useParams();
+  const location = useLocation();
   const { selectedWorkspace, setSelectedWorkspace, workspaces } = useApp();
   const [activeTab, setActiveTab] = useState('kanban');
+  const [selectedDocumentId, setSelectedDocumentId] = useState(null);
+  const [linkTarget, setLinkTarget] = useState(null); // { type, id } opened from a link
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     loadWorkspaceData();
+    setSelectedDocumentId(null);
 
     // Socket setup
     const socket = socketService.initialize();
@@ -37,6 +58,17 @@ function WorkspaceView() {
     };
   }, [workspaceId]);
 
+  // Links to a page, task or message open the matching tab; the location key
+  // changes on every navigation so following the same link twice works
+  useEffect(() => {
+    const target = parseWorkspacePath(path, location.search);
+    if (!target) return;
+
+    setActiveTab(target.tab);
+    if (target.type === 'document') setSelectedDocumentId(target.id);
+    setLinkTarget(target.type ? { type: target.type, id: target.id } : null);
+  }, [workspaceId, location.key]);
+
   const loadWorkspaceData = async () => {
     setLoading(true);
     try {
@@ -86,18 +118,30 @@ function WorkspaceView() {
           onTabChange={handleTabChange}
           isOpen={sidebarOpen}
           onToggle={handleSidebarToggle}
+          selectedDocumentId={selectedDocumentId}
+          onSelectDocument={setSelectedDocumentId}
         />
 
         <main className="workspace-main-content">
           <div className="workspace-content-container">
             {activeTab === 'kanban' && (
-              <KanbanBoard workspaceId={workspaceId} />
+              <KanbanBoard
+                workspaceId={workspaceId}
+                focusTask={linkTarget?.type === 'task' ? linkTarget : null}
+              />
             )}
             {activeTab === 'documents' && (
-              <DocumentEditor workspaceId={workspaceId} />
+              <DocumentEditor
+                workspaceId={workspaceId}
+                selectedDocumentId={selectedDocumentId}
+                onSelectDocument={setSelectedDocumentId}
+              />
             )}
             {activeTab === 'chat' && (
-              <Chat workspaceId={workspaceId} />
+              <Chat
+                workspaceId={workspaceId}
+                focusMessage={linkTarget?.type === 'message' ? linkTarget : null}
+              />
             )}
             {activeTab === 'files' && (
               <FileManager workspaceId={workspaceId} />
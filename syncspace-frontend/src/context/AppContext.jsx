@@ -44,11 +44,13 @@ export function AppProvider({ children }) {
           await loadUserData();
         } else {
           localStorage.removeItem('syncspace_token');
+          localStorage.removeItem('syncspace_refresh_token');
         }
       }
     } catch (error) {
       console.error('App initialization error:', error);
       localStorage.removeItem('syncspace_token');
+      localStorage.removeItem('syncspace_refresh_token');
     } finally {
       setLoading(false);
     }
@@ -75,6 +77,7 @@ export function AppProvider({ children }) {
       
       if (response.success) {
         localStorage.setItem('syncspace_token', response.token);
+        localStorage.setItem('syncspace_refresh_token', response.refreshToken);
         setUser(response.user);
         await loadUserData();
         toast.success('Welcome back!');
@@ -125,8 +128,9 @@ export function AppProvider({ children }) {
     console.log("✅ Register API Response:", response);
 
     if (response.success) {
-      // ✅ Save token to localStorage
+      // ✅ Save tokens to localStorage
       localStorage.setItem('syncspace_token', response.token);
+      localStorage.setItem('syncspace_refresh_token', response.refreshToken);
 
       // ✅ Save user for persistent session
       localStorage.setItem('syncspace_user', JSON.stringify(response.user));
@@ -154,6 +158,7 @@ export function AppProvider({ children }) {
     try {
       await api.auth.logout();
       localStorage.removeItem('syncspace_token');
+      localStorage.removeItem('syncspace_refresh_token');
       setUser(null);
       setWorkspaces([]);
       setSelectedWorkspace(null);
@@ -163,6 +168,7 @@ export function AppProvider({ children }) {
       console.error('Logout error:', error);
       // Clear local data anyway
       localStorage.removeItem('syncspace_token');
+      localStorage.removeItem('syncspace_refresh_token');
       setUser(null);
     }
   };
@@ -24,14 +24,65 @@ apiClient.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// ==================== TOKEN REFRESH ====================
+// Single in-flight refresh shared by every request that hit a 401
+let refreshPromise = null;
+
+// Auth calls whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ["/auth/login", "/auth/register", "/auth/refresh-token", "/auth/logout"];
+
+const clearSession = () => {
+  localStorage.removeItem("syncspace_token");
+  localStorage.removeItem("syncspace_refresh_token");
+};
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem("syncspace_refresh_token");
+  if (!refreshToken) throw new Error("No refresh token");
+
+  // Plain axios so this call bypasses the interceptors below
+  const { data } = await axios.post(
+    `${apiClient.defaults.baseURL}/auth/refresh-token`,
+    { refreshToken },
+    { timeout: apiClient.defaults.timeout }
+  );
+
+  localStorage.setItem("syncspace_token", data.token);
+  localStorage.setItem("syncspace_refresh_token", data.refreshToken);
+  return data.token;
+};
+
 apiClient.interceptors.response.use(
   (response) => response.data,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Transparently refresh once and replay the original request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.some((url) => originalRequest.url?.includes(url)) &&
+      localStorage.getItem("syncspace_refresh_token")
+    ) {
+      originalRequest._retry = true;
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken();
+        const token = await refreshPromise;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return apiClient(originalRequest);
+      } catch (refreshError) {
+        clearSession();
+      } finally {
+        refreshPromise = null;
+      }
+    }
+
     if (error.response) {
       const { status, data } = error.response;
 
       if (status === 401 && !window.location.pathname.includes("/login")) {
-        localStorage.removeItem("syncspace_token");
+        clearSession();
         window.location.href = "/login";
       } else if (status === 403) {
         console.error("Access denied:", data.message);
@@ -64,7 +115,12 @@ const api = {
       try {
         const res = await apiClient.post("/auth/login", { email, password });
         if (res && res.token && res.user) {
-          return { success: true, token: res.token, user: res.user };
+          return {
+            success: true,
+            token: res.token,
+            refreshToken: res.refreshToken,
+            user: res.user,
+          };
         }
         return { success: false, error: res?.message || "Login failed" };
       } catch (error) {
@@ -84,7 +140,12 @@ const api = {
           confirmPassword,
         });
         if (res && res.token && res.user) {
-          return { success: true, token: res.token, user: res.user };
+          return {
+            success: true,
+            token: res.token,
+            refreshToken: res.refreshToken,
+            user: res.user,
+          };
         } else {
           return { success: false, error: res?.message || "Registration failed" };
         }
@@ -99,13 +160,23 @@ const api = {
 
     logout: async () => {
       try {
-        return await apiClient.post("/auth/logout");
+        return await apiClient.post("/auth/logout", {
+          refreshToken: localStorage.getItem("syncspace_refresh_token"),
+        });
       } catch (error) {
         throw error;
       }
     },
 
     validateToken: async () => apiClient.get("/auth/validate"),
+
+    getSessions: async () => {
+      const res = await apiClient.get("/auth/sessions");
+      return res.sessions || [];
+    },
+    revokeSession: async (sessionId) =>
+      apiClient.delete(`/auth/sessions/${sessionId}`),
+    revokeOtherSessions: async () => apiClient.delete("/auth/sessions"),
     forgotPassword: async (email) =>
       apiClient.post("/auth/forgot-password", { email }),
     resetPassword: async (token, newPassword) =>
@@ -127,6 +198,16 @@ const api = {
     create: async (data) => apiClient.post("/workspaces", data),
     update: async (id, data) => apiClient.put(`/workspaces/${id}`, data),
     delete: async (id) => apiClient.delete(`/workspaces/${id}`),
+
+    // params: { projectId, actorId, entityType, entityId, from, to, page, limit }
+    getActivity: async (workspaceId, params = {}) =>
+      apiClient.get(`/workspaces/${workspaceId}/activity`, { params }),
+
+    // { used, quota, available, percent, categories, projects, users } in bytes
+    getStorageUsage: async (workspaceId) => {
+      const res = await apiClient.get(`/workspaces/${workspaceId}/storage`);
+      return res.usage;
+    },
   },
 
   // ==================== PROJECTS ====================
@@ -153,6 +234,19 @@ const api = {
       apiClient.put(`/projects/${projectId}`, data),
 
     delete: async (projectId) => apiClient.delete(`/projects/${projectId}`),
+
+    getActivity: async (projectId, params = {}) =>
+      apiClient.get(`/projects/${projectId}/activity`, { params }),
+
+    getWorkflow: async (projectId) => {
+      const res = await apiClient.get(`/projects/${projectId}/workflow`);
+      return res.workflow || [];
+    },
+
+    // columns: [{ key, name, color, order, wipLimit, isDone }]
+    // remap: { removedColumnKey: targetColumnKey } for columns that still hold tasks
+    updateWorkflow: async (projectId, columns, remap = {}) =>
+      apiClient.put(`/projects/${projectId}/workflow`, { columns, remap }),
   },
 
   // ==================== TASKS ====================
@@ -178,6 +272,12 @@ const api = {
   }
 },
 
+    // Resolves to { workflow, tasks } with tasks grouped by column key
+    getByProject: async (projectId) => {
+      const res = await apiClient.get(`/projects/${projectId}/tasks`);
+      return { workflow: res.workflow || [], tasks: res.tasks || {} };
+    },
+
     getById: async (taskId) => {
       const res = await apiClient.get(`/tasks/${taskId}`);
       return res.task;
@@ -196,10 +296,40 @@ const api = {
     update: async (taskId, data) =>
       apiClient.put(`/tasks/${taskId}`, data),
 
-    move: async (taskId, newStatus) =>
-      apiClient.patch(`/tasks/${taskId}/move`, { status: newStatus }),
+    move: async (taskId, newStatus, position) =>
+      apiClient.patch(`/tasks/${taskId}/move`, { status: newStatus, position }),
 
     delete: async (taskId) => apiClient.delete(`/tasks/${taskId}`),
+
+    // Checklist items; each call resolves to { subtask, task }
+    addSubtask: async (taskId, data) =>
+      apiClient.post(`/tasks/${taskId}/subtasks`, data),
+
+    updateSubtask: async (taskId, subtaskId, data) =>
+      apiClient.patch(`/tasks/${taskId}/subtasks/${subtaskId}`, data),
+
+    deleteSubtask: async (taskId, subtaskId) =>
+      apiClient.delete(`/tasks/${taskId}/subtasks/${subtaskId}`),
+
+    // Resolves to { task, parentTask }
+    convertSubtask: async (taskId, subtaskId, data = {}) =>
+      apiClient.post(`/tasks/${taskId}/subtasks/${subtaskId}/convert`, data),
+
+    // Resolves to { links, isBlocked }; link.type is seen from this task
+    getLinks: async (taskId) => apiClient.get(`/tasks/${taskId}/links`),
+
+    // type: blocks | blocked_by | relates_to | duplicates | duplicated_by
+    addLink: async (taskId, linkedTaskId, type) =>
+      apiClient.post(`/tasks/${taskId}/links`, { taskId: linkedTaskId, type }),
+
+    removeLink: async (taskId, linkId) =>
+      apiClient.delete(`/tasks/${taskId}/links/${linkId}`),
+
+    // Documents, tasks and messages linking to the task
+    getBacklinks: async (taskId) => {
+      const res = await apiClient.get(`/tasks/${taskId}/backlinks`);
+      return res.backlinks || [];
+    },
   },
 
 
@@ -337,14 +467,128 @@ const api = {
       return res.document;
     },
 
+    // Document with the pages above it ({ document, breadcrumbs })
+    getWithBreadcrumbs: async (documentId) =>
+      apiClient.get(`/documents/${documentId}`),
+
+    // data.parentId nests the new page under another one
     create: async (workspaceId, data) =>
-      apiClient.post(`/workspaces/${workspaceId}/documents`, data),
+      apiClient.post(`/documents/workspaces/${workspaceId}/documents`, data),
 
     update: async (documentId, data) =>
       apiClient.put(`/documents/${documentId}`, data),
 
-    delete: async (documentId) =>
-      apiClient.delete(`/documents/${documentId}`),
+    // cascade deletes subpages too; otherwise they move up a level
+    delete: async (documentId, { cascade = false } = {}) =>
+      apiClient.delete(`/documents/${documentId}`, { params: cascade ? { cascade } : undefined }),
+
+    // Nested page tree; archived: true lists archived pages instead
+    getTree: async (workspaceId, { archived = false } = {}) => {
+      const res = await apiClient.get(`/documents/workspaces/${workspaceId}/tree`, {
+        params: archived ? { archived } : undefined,
+      });
+      return res.tree || [];
+    },
+
+    // data: { parentId (null for top level), position }
+    move: async (documentId, data) =>
+      apiClient.patch(`/documents/${documentId}/move`, data),
+
+    archive: async (documentId) =>
+      apiClient.post(`/documents/${documentId}/archive`),
+
+    unarchive: async (documentId) =>
+      apiClient.post(`/documents/${documentId}/unarchive`),
+
+    // Documents, tasks and messages linking to the document
+    getBacklinks: async (documentId) => {
+      const res = await apiClient.get(`/documents/${documentId}/backlinks`);
+      return res.backlinks || [];
+    },
+
+    // format: md, html, txt or docx
+    export: async (documentId, format) =>
+      apiClient.get(`/documents/${documentId}/export`, {
+        params: { format },
+        responseType: "blob",
+      }),
+
+    // Up to 10 Markdown, HTML, text or DOCX files; folders in `paths` become tags
+    import: async (workspaceId, files, { projectId, paths } = {}) => {
+      const formData = new FormData();
+      files.forEach((file) => formData.append("files", file));
+      if (projectId) formData.append("projectId", projectId);
+      if (paths) formData.append("paths", JSON.stringify(paths));
+
+      return apiClient.post(`/documents/workspaces/${workspaceId}/import`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+    },
+
+    // Zip of every document in the workspace, or in one project
+    exportAll: async (workspaceId, format, projectId) =>
+      apiClient.get(`/documents/workspaces/${workspaceId}/export`, {
+        params: { format, projectId },
+        responseType: "blob",
+      }),
+
+    // status: open, closed or all
+    getComments: async (documentId, status = "open") => {
+      const res = await apiClient.get(`/documents/${documentId}/comments`, {
+        params: { status },
+      });
+      return res.comments || [];
+    },
+
+    // data: { kind, text, replacement, mentions, anchor: { index, length, revision } }
+    addComment: async (documentId, data) =>
+      apiClient.post(`/documents/${documentId}/comments`, data),
+
+    updateComment: async (documentId, commentId, text) =>
+      apiClient.patch(`/documents/${documentId}/comments/${commentId}`, { text }),
+
+    deleteComment: async (documentId, commentId) =>
+      apiClient.delete(`/documents/${documentId}/comments/${commentId}`),
+
+    // data: { text, mentions }
+    replyToComment: async (documentId, commentId, data) =>
+      apiClient.post(`/documents/${documentId}/comments/${commentId}/replies`, data),
+
+    resolveComment: async (documentId, commentId) =>
+      apiClient.post(`/documents/${documentId}/comments/${commentId}/resolve`),
+
+    reopenComment: async (documentId, commentId) =>
+      apiClient.post(`/documents/${documentId}/comments/${commentId}/reopen`),
+
+    acceptSuggestion: async (documentId, commentId) =>
+      apiClient.post(`/documents/${documentId}/comments/${commentId}/accept`),
+
+    rejectSuggestion: async (documentId, commentId) =>
+      apiClient.post(`/documents/${documentId}/comments/${commentId}/reject`),
+
+    // Newest first, without content; `before` pages back from a version number
+    getVersions: async (documentId, { limit, before } = {}) =>
+      apiClient.get(`/documents/${documentId}/versions`, { params: { limit, before } }),
+
+    // data: { name, description }
+    saveVersion: async (documentId, data = {}) =>
+      apiClient.post(`/documents/${documentId}/versions`, data),
+
+    getVersion: async (documentId, versionNumber) =>
+      apiClient.get(`/documents/${documentId}/versions/${versionNumber}`),
+
+    // data: { name, description }; an empty name clears it
+    updateVersion: async (documentId, versionNumber, data) =>
+      apiClient.patch(`/documents/${documentId}/versions/${versionNumber}`, data),
+
+    // from/to: version numbers or "current"; mode: inline or split
+    diffVersions: async (documentId, from, to = "current", mode = "inline") =>
+      apiClient.get(`/documents/${documentId}/versions/diff`, {
+        params: { from, to, mode },
+      }),
+
+    restoreVersion: async (documentId, versionNumber) =>
+      apiClient.post(`/documents/${documentId}/versions/${versionNumber}/restore`),
   },
 
   // ==================== CHAT ====================
@@ -361,6 +605,116 @@ const api = {
 
     deleteMessage: async (messageId) =>
       apiClient.delete(`/messages/${messageId}`),
+
+    // Channels
+    getChannels: async (workspaceId, includeArchived = false) => {
+      const res = await apiClient.get('/chat/channels', {
+        params: { workspaceId, includeArchived },
+      });
+      return res.channels || [];
+    },
+
+    getChannel: async (channelId) => apiClient.get(`/chat/channels/${channelId}`),
+
+    // data: { workspaceId, name, topic, description, isPrivate, members }
+    createChannel: async (data) => apiClient.post('/chat/channels', data),
+
+    // data: { name, topic, description, isPrivate, archived }
+    updateChannel: async (channelId, data) =>
+      apiClient.put(`/chat/channels/${channelId}`, data),
+
+    joinChannel: async (channelId) =>
+      apiClient.post(`/chat/channels/${channelId}/join`),
+
+    leaveChannel: async (channelId) =>
+      apiClient.post(`/chat/channels/${channelId}/leave`),
+
+    addChannelMember: async (channelId, userId, role) =>
+      apiClient.post(`/chat/channels/${channelId}/members`, { userId, role }),
+
+    removeChannelMember: async (channelId, userId) =>
+      apiClient.delete(`/chat/channels/${channelId}/members/${userId}`),
+
+    getChannelMessages: async (channelId, limit = 50, before) => {
+      const res = await apiClient.get(`/chat/channels/${channelId}/messages`, {
+        params: { limit, before },
+      });
+      return res.messages || [];
+    },
+
+    sendChannelMessage: async (channelId, data) =>
+      apiClient.post(`/chat/channels/${channelId}/messages`, data),
+
+    markChannelRead: async (channelId) =>
+      apiClient.post(`/chat/channels/${channelId}/read`),
+
+    // Threads
+    getThread: async (messageId, before) =>
+      apiClient.get(`/chat/messages/${messageId}/thread`, { params: { before } }),
+
+    // data: { text, mentions, alsoSendToChannel }
+    replyToThread: async (messageId, data) =>
+      apiClient.post(`/chat/messages/${messageId}/thread`, data),
+
+    followThread: async (messageId) =>
+      apiClient.post(`/chat/messages/${messageId}/thread/follow`),
+
+    unfollowThread: async (messageId) =>
+      apiClient.delete(`/chat/messages/${messageId}/thread/follow`),
+
+    getFollowedThreads: async (workspaceId) => {
+      const res = await apiClient.get('/chat/threads', { params: { workspaceId } });
+      return res.threads || [];
+    },
+
+    // Direct and group conversations
+    getConversations: async (workspaceId) => {
+      const res = await apiClient.get('/chat/conversations', { params: { workspaceId } });
+      return res.conversations || [];
+    },
+
+    // data: { workspaceId, participants, name }
+    createConversation: async (data) => apiClient.post('/chat/conversations', data),
+
+    getConversation: async (conversationId) =>
+      apiClient.get(`/chat/conversations/${conversationId}`),
+
+    addConversationParticipants: async (conversationId, participants) =>
+      apiClient.post(`/chat/conversations/${conversationId}/participants`, { participants }),
+
+    leaveConversation: async (conversationId) =>
+      apiClient.post(`/chat/conversations/${conversationId}/leave`),
+
+    getConversationMessages: async (conversationId, limit = 50, before) => {
+      const res = await apiClient.get(`/chat/conversations/${conversationId}/messages`, {
+        params: { limit, before },
+      });
+      return res.messages || [];
+    },
+
+    sendConversationMessage: async (conversationId, data) =>
+      apiClient.post(`/chat/conversations/${conversationId}/messages`, data),
+
+    markConversationRead: async (conversationId) =>
+      apiClient.post(`/chat/conversations/${conversationId}/read`),
+
+    // Search: query supports from:@user in:#channel has:file has:link is:pinned
+    // before:YYYY-MM-DD after:YYYY-MM-DD and "phrases"
+    search: async (workspaceId, query, cursor) =>
+      apiClient.get('/chat/search', { params: { workspaceId, query, cursor } }),
+
+    getMessageContext: async (messageId, before = 10, after = 10) =>
+      apiClient.get(`/chat/messages/${messageId}/context`, { params: { before, after } }),
+
+    // Documents, tasks and messages linking to the message
+    getMessageBacklinks: async (messageId) => {
+      const res = await apiClient.get(`/chat/messages/${messageId}/backlinks`);
+      return res.backlinks || [];
+    },
+
+    pinMessage: async (messageId) => apiClient.post(`/chat/messages/${messageId}/pin`),
+
+    unpinMessage: async (messageId) => apiClient.delete(`/chat/messages/${messageId}/pin`),
   },
 
   // ==================== FILES ====================
@@ -370,8 +724,43 @@ const api = {
       return res.files || [];
     },
 
-    upload: async (workspaceId, formData, onUploadProgress) =>
-      apiClient.post(`/workspaces/${workspaceId}/files/upload`, formData, {
+    // { folder, breadcrumbs, folders, files, size, fileCount } of a folder (the top level without folderId)
+    browse: async (workspaceId, { folderId, projectId } = {}) => {
+      const res = await apiClient.get("/files/browse", {
+        params: { workspaceId, folderId, projectId },
+      });
+      return res.data;
+    },
+
+    createFolder: async (workspaceId, name, parentId) => {
+      const res = await apiClient.post("/files/folders", { workspaceId, name, parentId });
+      return res.data;
+    },
+
+    renameFolder: async (folderId, name) => {
+      const res = await apiClient.patch(`/files/folders/${folderId}`, { name });
+      return res.data;
+    },
+
+    // parentId null moves the folder to the top level
+    moveFolder: async (folderId, parentId) =>
+      apiClient.post(`/files/folders/${folderId}/move`, { parentId }),
+
+    // Deletes the folder's subfolders and files as well
+    deleteFolder: async (folderId) => apiClient.delete(`/files/folders/${folderId}`),
+
+    move: async (fileId, folderId) => apiClient.post(`/files/${fileId}/move`, { folderId }),
+
+    // Copies into the file's own folder when folderId is omitted
+    copy: async (fileId, folderId) => {
+      const res = await apiClient.post(`/files/${fileId}/copy`, { folderId });
+      return res.data;
+    },
+
+    // formData holds up to 10 files in the `files` field
+    upload: async (workspaceId, formData, onUploadProgress) => {
+      formData.append("workspaceId", workspaceId);
+      return apiClient.post("/files/upload-multiple", formData, {
         headers: { "Content-Type": "multipart/form-data" },
         onUploadProgress: (event) => {
           if (onUploadProgress) {
@@ -379,12 +768,53 @@ const api = {
             onUploadProgress(percent);
           }
         },
-      }),
+      });
+    },
 
     download: async (fileId) =>
       apiClient.get(`/files/${fileId}/download`, { responseType: "blob" }),
 
+    // Short-lived signed link, usable without the auth header
+    getUrl: async (fileId) => {
+      const res = await apiClient.get(`/files/${fileId}/url`);
+      return res.data;
+    },
+
     delete: async (fileId) => apiClient.delete(`/files/${fileId}`),
+
+    // Versions, newest first; the current one has isCurrent
+    getVersions: async (fileId) => {
+      const res = await apiClient.get(`/files/${fileId}/versions`);
+      return res.versions || [];
+    },
+
+    uploadVersion: async (fileId, file, changes) => {
+      const formData = new FormData();
+      formData.append("file", file);
+      if (changes) formData.append("changes", changes);
+
+      const res = await apiClient.post(`/files/${fileId}/versions`, formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      });
+      return res.data;
+    },
+
+    downloadVersion: async (fileId, version) =>
+      apiClient.get(`/files/${fileId}/versions/${version}/download`, { responseType: "blob" }),
+
+    restoreVersion: async (fileId, version, changes) => {
+      const res = await apiClient.post(`/files/${fileId}/versions/${version}/restore`, { changes });
+      return res.data;
+    },
+
+    // Generated preview of a version (the current one by default)
+    getPreview: async (fileId, version) => {
+      const res = await apiClient.get(`/files/${fileId}/preview`, { params: { version } });
+      return res.data;
+    },
+
+    getThumbnail: async (fileId, version) =>
+      apiClient.get(`/files/${fileId}/thumbnail`, { params: { version }, responseType: "blob" }),
   },
 
   // ==================== MEMBERS ====================
@@ -422,6 +852,12 @@ const api = {
 
     delete: async (notificationId) =>
       apiClient.delete(`/notifications/${notificationId}`),
+
+    getPreferences: async (workspaceId) =>
+      apiClient.get("/notifications/preferences", { params: { workspaceId } }),
+
+    updatePreferences: async (preferences) =>
+      apiClient.post("/notifications/preferences", preferences),
   },
 };
 
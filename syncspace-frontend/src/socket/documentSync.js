@@ -0,0 +1,201 @@
+// syncspace-frontend/src/socket/documentSync.js
+
+import { Quill } from 'react-quill';
+
+const Delta = Quill.import('delta');
+
+const createOpId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Operational-transform client for one document.
+ *
+ * Keeps at most one operation in flight (`outstanding`) and buffers
+ * further local edits until the server acknowledges it. Remote operations
+ * are transformed against both before being applied to the editor.
+ * On reconnect it rejoins with its last revision and resends what is pending.
+ */
+export const createDocumentSync = ({ socket, documentId, quill, onStatusChange, onResync }) => {
+  let revision = null;
+  let outstanding = null; // { opId, delta }
+  let buffer = null; // Delta
+  let ready = false; // joined and in step with the server
+  let loaded = false; // editor holds the server document
+  let canEdit = false;
+
+  const setStatus = (status) => {
+    if (onStatusChange) onStatusChange(status);
+  };
+
+  const sendOutstanding = () => {
+    if (!outstanding || !socket.connected) return;
+    socket.emit('document:op', {
+      documentId,
+      revision,
+      ops: outstanding.delta.ops,
+      opId: outstanding.opId,
+    });
+  };
+
+  const flushBuffer = () => {
+    if (outstanding || !buffer) return;
+    outstanding = { opId: createOpId(), delta: buffer };
+    buffer = null;
+    sendOutstanding();
+  };
+
+  // Apply a server operation, transforming it over local pending edits
+  const applyRemote = (ops) => {
+    let remote = new Delta(ops);
+
+    if (outstanding) {
+      const transformed = outstanding.delta.transform(remote, false);
+      outstanding.delta = remote.transform(outstanding.delta, true);
+      remote = transformed;
+    }
+    if (buffer) {
+      const transformed = buffer.transform(remote, false);
+      buffer = remote.transform(buffer, true);
+      remote = transformed;
+    }
+
+    quill.updateContents(remote, 'api');
+  };
+
+  const loadSnapshot = (delta, snapshotRevision) => {
+    outstanding = null;
+    buffer = null;
+    revision = snapshotRevision;
+    quill.setContents(new Delta(delta), 'api');
+    quill.enable(canEdit);
+    ready = true;
+    loaded = true;
+    setStatus('synced');
+  };
+
+  // Edits made while offline are buffered and sent after the rejoin
+  const handleTextChange = (delta, oldDelta, source) => {
+    if (source !== 'user' || !loaded) return;
+
+    buffer = buffer ? buffer.compose(delta) : delta;
+    setStatus('saving');
+    flushBuffer();
+  };
+
+  const handleJoined = (data) => {
+    if (data.documentId !== documentId) return;
+
+    canEdit = data.canEdit !== false;
+
+    // Reconnect catch-up: replay missed operations, treating our own as acks
+    if (data.ops) {
+      data.ops.forEach((op) => {
+        if (outstanding && op.opId === outstanding.opId) {
+          outstanding = null;
+        } else {
+          applyRemote(op.ops);
+        }
+        revision = op.revision;
+      });
+      ready = true;
+      if (outstanding) {
+        sendOutstanding();
+      } else {
+        flushBuffer();
+      }
+      if (!outstanding && !buffer) setStatus('synced');
+      return;
+    }
+
+    if (data.delta) {
+      loadSnapshot(data.delta, data.revision);
+      return;
+    }
+
+    // Legacy HTML-only document: let Quill convert it and seed the server state
+    quill.disable();
+    quill.clipboard.dangerouslyPasteHTML(data.content || '', 'api');
+    revision = data.revision;
+    socket.emit('document:bootstrap', { documentId, delta: quill.getContents().ops });
+  };
+
+  const handleSnapshot = (data) => {
+    if (data.documentId !== documentId) return;
+    loadSnapshot(data.delta, data.revision);
+  };
+
+  const handleAck = (data) => {
+    if (data.documentId !== documentId || !outstanding || data.opId !== outstanding.opId) return;
+
+    revision = data.revision;
+    outstanding = null;
+    flushBuffer();
+    if (!outstanding && !buffer) setStatus('synced');
+  };
+
+  const handleRemoteOp = (data) => {
+    if (data.documentId !== documentId || !ready) return;
+
+    applyRemote(data.ops);
+    revision = data.revision;
+  };
+
+  const rejoin = () => {
+    ready = false;
+    socket.emit('document:join', { documentId, revision });
+  };
+
+  // State diverged or content was replaced elsewhere: reload from the server
+  const handleResync = (data) => {
+    if (data.documentId !== documentId) return;
+
+    const hadPending = !!(outstanding || buffer);
+    outstanding = null;
+    buffer = null;
+    revision = null;
+    ready = false;
+    loaded = false;
+    quill.disable();
+    socket.emit('document:join', { documentId });
+    if (onResync) onResync(hadPending);
+  };
+
+  const handleDisconnect = () => {
+    ready = false;
+    setStatus('offline');
+  };
+
+  quill.on('text-change', handleTextChange);
+  socket.on('document:joined', handleJoined);
+  socket.on('document:snapshot', handleSnapshot);
+  socket.on('document:op:ack', handleAck);
+  socket.on('document:op', handleRemoteOp);
+  socket.on('document:resync', handleResync);
+  socket.on('document:reset', handleResync);
+  socket.on('connect', rejoin);
+  socket.on('disconnect', handleDisconnect);
+
+  quill.disable();
+  if (socket.connected) {
+    socket.emit('document:join', { documentId });
+  }
+
+  return {
+    getRevision: () => revision,
+    hasPendingChanges: () => !!(outstanding || buffer),
+    destroy: () => {
+      quill.off('text-change', handleTextChange);
+      socket.off('document:joined', handleJoined);
+      socket.off('document:snapshot', handleSnapshot);
+      socket.off('document:op:ack', handleAck);
+      socket.off('document:op', handleRemoteOp);
+      socket.off('document:resync', handleResync);
+      socket.off('document:reset', handleResync);
+      socket.off('connect', rejoin);
+      socket.off('disconnect', handleDisconnect);
+      socket.emit('document:leave', { documentId });
+    },
+  };
+};
+
+export default createDocumentSync;
@@ -15,9 +15,8 @@ export const initializeSocket = (token) => {
   }
 
   socket = io(SOCKET_URL, {
-    auth: {
-      token: token || localStorage.getItem('syncspace_token'),
-    },
+    // Read the token on every (re)connect - access tokens are short-lived and refreshed by api.js
+    auth: (cb) => cb({ token: localStorage.getItem('syncspace_token') || token }),
     reconnection: true,
     reconnectionAttempts: RECONNECTION_ATTEMPTS,
     reconnectionDelay: RECONNECTION_DELAY,
@@ -49,6 +48,14 @@ export const initializeSocket = (token) => {
     console.error('❌ Socket reconnection failed');
   });
 
+  // This session was revoked from another device - sign out locally
+  socket.on('session:revoked', () => {
+    console.warn('🔒 Session revoked');
+    localStorage.removeItem('syncspace_token');
+    localStorage.removeItem('syncspace_refresh_token');
+    window.location.href = '/login';
+  });
+
   return socket;
 };
 
@@ -85,6 +92,19 @@ export const leaveWorkspace = (workspaceId) => {
   }
 };
 
+// ==================== ACTIVITY EVENTS ====================
+export const subscribeToActivity = (callback) => {
+  if (socket) {
+    socket.on('activity:new', callback);
+  }
+};
+
+export const unsubscribeFromActivity = () => {
+  if (socket) {
+    socket.off('activity:new');
+  }
+};
+
 // ==================== TASK EVENTS ====================
 export const subscribeToTaskUpdates = (callback) => {
   if (socket) {
@@ -92,6 +112,8 @@ export const subscribeToTaskUpdates = (callback) => {
     socket.on('task:updated', callback);
     socket.on('task:deleted', callback);
     socket.on('task:moved', callback);
+    socket.on('project:workflowUpdated', callback);
+    socket.on('task:links:updated', callback);
   }
 };
 
@@ -101,6 +123,8 @@ export const unsubscribeFromTaskUpdates = () => {
     socket.off('task:updated');
     socket.off('task:deleted');
     socket.off('task:moved');
+    socket.off('project:workflowUpdated');
+    socket.off('task:links:updated');
   }
 };
 
@@ -194,6 +218,70 @@ export const unsubscribeFromTypingIndicators = () => {
   }
 };
 
+// ==================== CHANNEL EVENTS ====================
+const CHANNEL_UPDATE_EVENTS = [
+  'chat:channel:created',
+  'chat:channel:updated',
+  'chat:channel:archived',
+  'chat:channel:unarchived',
+  'chat:channel:members:updated',
+  'chat:channel:activity',
+  'chat:conversation:updated',
+  'chat:conversation:left',
+  'chat:conversation:activity',
+];
+
+// roomType: 'workspace' | 'project' | 'channel' | 'conversation' | 'direct'
+export const joinChatRoom = (roomId, roomType) => {
+  if (socket) {
+    socket.emit('chat:join', { roomId, roomType });
+  }
+};
+
+export const leaveChatRoom = (roomId, roomType) => {
+  if (socket) {
+    socket.emit('chat:leave', { roomId, roomType });
+  }
+};
+
+export const subscribeToRoomMessages = (callback) => {
+  if (socket) {
+    socket.on('chat:message:received', callback);
+  }
+};
+
+export const unsubscribeFromRoomMessages = () => {
+  if (socket) {
+    socket.off('chat:message:received');
+  }
+};
+
+// { threadId, message, thread } for threads in joined rooms
+export const subscribeToThreadReplies = (callback) => {
+  if (socket) {
+    socket.on('chat:thread:reply', callback);
+  }
+};
+
+export const unsubscribeFromThreadReplies = () => {
+  if (socket) {
+    socket.off('chat:thread:reply');
+  }
+};
+
+// Channel and conversation list changes, and new messages outside the open room
+export const subscribeToChannelUpdates = (callback) => {
+  if (socket) {
+    CHANNEL_UPDATE_EVENTS.forEach((event) => socket.on(event, callback));
+  }
+};
+
+export const unsubscribeFromChannelUpdates = () => {
+  if (socket) {
+    CHANNEL_UPDATE_EVENTS.forEach((event) => socket.off(event));
+  }
+};
+
 // ==================== NOTIFICATION EVENTS ====================
 export const subscribeToNotifications = (callback) => {
   if (socket) {
@@ -257,6 +345,10 @@ export default {
   joinWorkspace,
   leaveWorkspace,
   
+  // Activity
+  subscribeToActivity,
+  unsubscribeFromActivity,
+  
   // Tasks
   subscribeToTaskUpdates,
   unsubscribeFromTaskUpdates,
@@ -278,6 +370,16 @@ export default {
   subscribeToTypingIndicators,
   unsubscribeFromChatMessages,
   unsubscribeFromTypingIndicators,
+
+  // Channels
+  joinChatRoom,
+  leaveChatRoom,
+  subscribeToRoomMessages,
+  unsubscribeFromRoomMessages,
+  subscribeToChannelUpdates,
+  unsubscribeFromChannelUpdates,
+  subscribeToThreadReplies,
+  unsubscribeFromThreadReplies,
   
   // Notifications
   subscribeToNotifications,